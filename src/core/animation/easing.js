@@ -0,0 +1,244 @@
+/**
+ * easing.js
+ *
+ * Easing curves for keyframe animations. An easing function maps linear progress
+ * from 0.0 to 1.0 to eased progress; curves such as back and elastic overshoot
+ * outside that range. Curves can be referenced by name, by CSS-style strings such
+ * as 'cubic-bezier(0.25, 0.1, 0.25, 1)' and 'steps(4, start)', or passed as functions.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Creates a cubic-bezier easing function, like the CSS cubic-bezier() timing function
+ *
+ * @param {number} x1 - X coordinate of the first control point (0.0 to 1.0)
+ * @param {number} y1 - Y coordinate of the first control point
+ * @param {number} x2 - X coordinate of the second control point (0.0 to 1.0)
+ * @param {number} y2 - Y coordinate of the second control point
+ * @returns {Function} Easing function
+ */
+export const createCubicBezier = (x1, y1, x2, y2) => {
+  // Validate input
+  if (![x1, y1, x2, y2].every(Number.isFinite) || x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+    throw new Error('Invalid control points provided to createCubicBezier');
+  }
+
+  // Polynomial coefficients of the curve
+  const cx = 3 * x1;
+  const bx = (3 * (x2 - x1)) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = (3 * (y2 - y1)) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (t) => ((((ax * t) + bx) * t) + cx) * t;
+  const sampleY = (t) => ((((ay * t) + by) * t) + cy) * t;
+  const sampleSlopeX = (t) => (((3 * ax * t) + (2 * bx)) * t) + cx;
+
+  /**
+   * Finds the curve parameter for an x value, with Newton's method and a bisection fallback
+   *
+   * @param {number} x - X value from 0.0 to 1.0
+   * @returns {number} Curve parameter
+   */
+  const solveX = (x) => {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) {
+        return t;
+      }
+      const slope = sampleSlopeX(t);
+      if (Math.abs(slope) < 1e-6) {
+        break;
+      }
+      t -= error / slope;
+    }
+
+    let low = 0;
+    let high = 1;
+    t = x;
+    while (high - low > 1e-6) {
+      if (sampleX(t) < x) {
+        low = t;
+      } else {
+        high = t;
+      }
+      t = (low + high) / 2;
+    }
+    return t;
+  };
+
+  return (progress) => {
+    if (progress <= 0) {
+      return 0;
+    }
+    if (progress >= 1) {
+      return 1;
+    }
+    return sampleY(solveX(progress));
+  };
+};
+
+/**
+ * Creates a step easing function, like the CSS steps() timing function
+ *
+ * @param {number} count - Number of steps
+ * @param {string} position - 'start' to jump at the start of each step or 'end' to jump at its end (default: 'end')
+ * @returns {Function} Easing function
+ */
+export const createSteps = (count, position = 'end') => {
+  // Validate input
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Invalid step count provided to createSteps');
+  }
+
+  const offset = position === 'start' || position === 'jump-start' ? 1 : 0;
+
+  return (progress) => {
+    if (progress >= 1) {
+      return 1;
+    }
+    return Math.max(0, Math.min(1, (Math.floor(progress * count) + offset) / count));
+  };
+};
+
+/**
+ * Creates a back easing function that overshoots before settling
+ *
+ * @param {number} overshoot - Amount of overshoot (default: 1.70158)
+ * @returns {Function} Ease-out easing function
+ */
+export const createBackEasing = (overshoot = 1.70158) => (progress) => {
+  const t = progress - 1;
+  return 1 + ((overshoot + 1) * t * t * t) + (overshoot * t * t);
+};
+
+/**
+ * Creates an elastic easing function that oscillates around the target
+ *
+ * @param {number} amplitude - Oscillation amplitude, at least 1 (default: 1)
+ * @param {number} period - Oscillation period as a fraction of the duration (default: 0.3)
+ * @returns {Function} Ease-out easing function
+ */
+export const createElasticEasing = (amplitude = 1, period = 0.3) => {
+  const a = Math.max(1, amplitude);
+  const shift = (period / (2 * Math.PI)) * Math.asin(1 / a);
+
+  return (progress) => {
+    if (progress <= 0 || progress >= 1) {
+      return progress <= 0 ? 0 : 1;
+    }
+    return (a * Math.pow(2, -10 * progress) * Math.sin(((progress - shift) * 2 * Math.PI) / period)) + 1;
+  };
+};
+
+/**
+ * Turns an ease-out function into its ease-in counterpart
+ *
+ * @param {Function} easeOut - Ease-out function
+ * @returns {Function} Ease-in function
+ */
+const toEaseIn = (easeOut) => (progress) => 1 - easeOut(1 - progress);
+
+/**
+ * Turns an ease-out function into a symmetric ease-in-out function
+ *
+ * @param {Function} easeOut - Ease-out function
+ * @returns {Function} Ease-in-out function
+ */
+const toEaseInOut = (easeOut) => (progress) => (progress < 0.5
+  ? (1 - easeOut(1 - (progress * 2))) / 2
+  : (1 + easeOut((progress * 2) - 1)) / 2);
+
+const easeOutBack = createBackEasing();
+const easeOutElastic = createElasticEasing();
+
+/**
+ * Bounce ease-out, like a ball dropped on the floor
+ *
+ * @param {number} progress - Linear progress from 0.0 to 1.0
+ * @returns {number} Eased progress
+ */
+const easeOutBounce = (progress) => {
+  const n = 7.5625;
+  const d = 2.75;
+
+  if (progress < 1 / d) {
+    return n * progress * progress;
+  }
+  if (progress < 2 / d) {
+    const t = progress - (1.5 / d);
+    return (n * t * t) + 0.75;
+  }
+  if (progress < 2.5 / d) {
+    const t = progress - (2.25 / d);
+    return (n * t * t) + 0.9375;
+  }
+  const t = progress - (2.625 / d);
+  return (n * t * t) + 0.984375;
+};
+
+/**
+ * Named easing functions
+ * @readonly
+ * @enum {Function}
+ */
+export const EASING = {
+  linear: (progress) => progress,
+  easeIn: createCubicBezier(0.42, 0, 1, 1),
+  easeOut: createCubicBezier(0, 0, 0.58, 1),
+  easeInOut: createCubicBezier(0.42, 0, 0.58, 1),
+  easeInQuad: (progress) => progress * progress,
+  easeOutQuad: (progress) => progress * (2 - progress),
+  easeInOutQuad: toEaseInOut((progress) => progress * (2 - progress)),
+  easeInCubic: (progress) => progress * progress * progress,
+  easeOutCubic: (progress) => 1 - Math.pow(1 - progress, 3),
+  easeInOutCubic: toEaseInOut((progress) => 1 - Math.pow(1 - progress, 3)),
+  easeInBack: toEaseIn(easeOutBack),
+  easeOutBack,
+  easeInOutBack: toEaseInOut(createBackEasing(1.70158 * 1.525)),
+  easeInElastic: toEaseIn(easeOutElastic),
+  easeOutElastic,
+  easeInOutElastic: toEaseInOut(createElasticEasing(1, 0.45)),
+  easeInBounce: toEaseIn(easeOutBounce),
+  easeOutBounce,
+  easeInOutBounce: toEaseInOut(easeOutBounce),
+  stepStart: createSteps(1, 'start'),
+  stepEnd: createSteps(1, 'end')
+};
+
+/**
+ * Resolves an easing specification to an easing function
+ *
+ * @param {string|Function|Array<number>} easing - A function, a name from EASING, a CSS-style
+ *   'cubic-bezier(x1, y1, x2, y2)' or 'steps(count, position)' string, or an array of four
+ *   cubic-bezier control point values (default: 'linear')
+ * @returns {Function} Easing function
+ */
+export const resolveEasing = (easing = 'linear') => {
+  if (typeof easing === 'function') {
+    return easing;
+  }
+
+  if (Array.isArray(easing) && easing.length === 4) {
+    return createCubicBezier(...easing);
+  }
+
+  if (typeof easing === 'string') {
+    if (EASING[easing]) {
+      return EASING[easing];
+    }
+
+    const match = easing.replace(/\s+/g, '').match(/^(cubic-bezier|steps)\((.*)\)$/);
+    if (match && match[1] === 'cubic-bezier') {
+      return createCubicBezier(...match[2].split(',').map(Number));
+    }
+    if (match && match[1] === 'steps') {
+      const [count, position] = match[2].split(',');
+      return createSteps(Number(count), position);
+    }
+  }
+
+  throw new Error('Invalid easing provided to resolveEasing');
+};
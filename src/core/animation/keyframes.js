@@ -0,0 +1,254 @@
+/**
+ * keyframes.js
+ *
+ * Keyframe tracks for smooth emoji animations. Each track animates one property
+ * (x, y, scale, rotation, opacity or emoji) through a list of keyframes; numeric
+ * properties are interpolated with an easing curve when sampled, and the emoji
+ * switches at each keyframe. Sampling is a pure function of elapsed time.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { resolveEasing } from './easing.js';
+
+/**
+ * Enum for animatable properties
+ * @readonly
+ * @enum {string}
+ */
+export const KEYFRAME_PROPERTY = {
+  X: 'x',
+  Y: 'y',
+  SCALE: 'scale',
+  ROTATION: 'rotation',
+  OPACITY: 'opacity',
+  EMOJI: 'emoji'
+};
+
+/**
+ * Values of properties without a track
+ */
+const DEFAULT_VALUES = {
+  x: 0,
+  y: 0,
+  scale: 1.0,
+  rotation: 0,
+  opacity: 1.0,
+  emoji: ''
+};
+
+/**
+ * Resolves a keyframe value. Numeric values may be given as relative offsets from
+ * the previous keyframe, such as '+=20' or '-=0.5'.
+ *
+ * @param {string} property - Track property
+ * @param {number|string} value - Keyframe value
+ * @param {number|string} previous - Resolved value of the previous keyframe
+ * @returns {number|string} The resolved value
+ */
+const resolveValue = (property, value, previous) => {
+  if (property === KEYFRAME_PROPERTY.EMOJI) {
+    return String(value);
+  }
+
+  if (typeof value === 'string') {
+    const match = value.replace(/\s+/g, '').match(/^([+-])=(-?\d*\.?\d+(?:e[+-]?\d+)?)$/i);
+    if (match) {
+      const offset = Number(match[2]) * (match[1] === '-' ? -1 : 1);
+      const base = previous !== undefined ? previous : DEFAULT_VALUES[property];
+      return base + offset;
+    }
+  }
+
+  const number = Number(value);
+  if (typeof value === 'boolean' || value === null || value === '' || !Number.isFinite(number)) {
+    throw new Error(`Invalid value provided for keyframe property ${property}`);
+  }
+  return number;
+};
+
+/**
+ * Creates a keyframe
+ *
+ * @param {number} time - Time of the keyframe in milliseconds
+ * @param {number|string} value - Value at that time. Numeric values may be relative to the
+ *   previous keyframe ('+=20', '-=0.5').
+ * @param {Object} options - Keyframe options
+ * @param {string|Function|Array<number>} options.easing - Easing of the segment from this keyframe
+ *   to the next (see resolveEasing; default: the track's easing). The easing of the last keyframe
+ *   is ignored because no segment starts there.
+ * @param {string|Array<string>} options.events - Marker names the animator emits when playback
+ *   reaches this keyframe
+ * @returns {Object} Keyframe object
+ */
+export const createKeyframe = (time, value, options = {}) => ({
+  time,
+  value,
+  easing: options.easing,
+  events: options.events !== undefined ? [].concat(options.events) : []
+});
+
+/**
+ * Creates a keyframe track
+ *
+ * @param {string} property - Property from KEYFRAME_PROPERTY
+ * @param {Array<Object|Array>} keyframes - Keyframes created with createKeyframe, or
+ *   [time, value, easing] tuples where easing applies to the segment that starts at that keyframe
+ * @param {Object} options - Track options
+ * @param {string|Function|Array<number>} options.easing - Default easing of the track (default: 'linear')
+ * @returns {Object} Keyframe track object
+ */
+export const createKeyframeTrack = (property, keyframes, options = {}) => {
+  // Validate input
+  if (!Object.values(KEYFRAME_PROPERTY).includes(property)) {
+    throw new Error('Invalid property provided to createKeyframeTrack');
+  }
+  if (!Array.isArray(keyframes) || keyframes.length === 0) {
+    throw new Error('Invalid keyframes provided to createKeyframeTrack');
+  }
+
+  const trackEasing = resolveEasing(options.easing);
+
+  // Normalize tuples and sort by time; equal times keep their order
+  const sorted = keyframes
+    .map(keyframe => (Array.isArray(keyframe)
+      ? createKeyframe(keyframe[0], keyframe[1], { easing: keyframe[2] })
+      : keyframe))
+    .map((keyframe, index) => ({ keyframe, index }))
+    .sort((a, b) => (a.keyframe.time - b.keyframe.time) || (a.index - b.index))
+    .map(entry => entry.keyframe);
+
+  // Resolve relative values and easings in time order
+  let previous;
+  const resolved = sorted.map(keyframe => {
+    if (!Number.isFinite(keyframe.time) || keyframe.time < 0) {
+      throw new Error('Invalid keyframe time provided to createKeyframeTrack');
+    }
+
+    const value = resolveValue(property, keyframe.value, previous);
+    previous = value;
+    return {
+      time: keyframe.time,
+      value,
+      easing: keyframe.easing !== undefined ? resolveEasing(keyframe.easing) : trackEasing,
+      events: keyframe.events || []
+    };
+  });
+
+  return {
+    property,
+    keyframes: resolved,
+    duration: resolved[resolved.length - 1].time
+  };
+};
+
+/**
+ * Samples a track at a time. Before the first keyframe the first value is held and
+ * after the last keyframe the last value is held.
+ *
+ * @param {Object} track - Keyframe track
+ * @param {number} time - Time in milliseconds
+ * @returns {number|string} The value at that time
+ */
+export const sampleKeyframeTrack = (track, time) => {
+  const { keyframes } = track;
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+
+  if (time <= first.time) {
+    return first.value;
+  }
+  if (time >= last.time) {
+    return last.value;
+  }
+
+  // Find the segment containing the time
+  let index = 0;
+  while (keyframes[index + 1].time <= time) {
+    index++;
+  }
+
+  const from = keyframes[index];
+  const to = keyframes[index + 1];
+
+  // The emoji switches at the next keyframe
+  if (track.property === KEYFRAME_PROPERTY.EMOJI) {
+    return from.value;
+  }
+
+  const progress = from.easing((time - from.time) / (to.time - from.time));
+  return from.value + ((to.value - from.value) * progress);
+};
+
+/**
+ * Creates a keyframe animation. It can be played by the emoji animator like a
+ * frame-list animation created with createAnimation.
+ *
+ * @param {Object|Array<Object>} tracks - Object mapping properties to keyframe arrays (or tracks),
+ *   e.g. { y: [[0, 0, 'easeOutQuad'], [300, -20, 'easeInQuad'], [600, 0]] } for a hop that slows
+ *   into its peak and speeds up as it falls, or an array of tracks. A keyframe's easing shapes the
+ *   segment that starts at it.
+ * @param {Object} options - Animation options
+ * @param {string} options.emoji - Emoji shown when there is no emoji track
+ * @param {number} options.duration - Duration in milliseconds (default: time of the last keyframe)
+ * @param {boolean} options.loop - Whether the animation should loop (default: true)
+ * @param {string} options.name - Name identifier for the animation
+ * @param {string|Function|Array<number>} options.easing - Default easing of tracks given as keyframe arrays
+ * @param {Array<Object>} options.markers - Named markers as { name, time } objects, emitted by the
+ *   animator when playback reaches their time
+ * @returns {Object} Keyframe animation object
+ */
+export const createKeyframeAnimation = (tracks, options = {}) => {
+  const trackList = Array.isArray(tracks)
+    ? tracks
+    : Object.entries(tracks || {}).map(([property, keyframes]) => (Array.isArray(keyframes)
+      ? createKeyframeTrack(property, keyframes, { easing: options.easing })
+      : keyframes));
+
+  // Validate input
+  if (trackList.length === 0 || !trackList.every(track => track && Array.isArray(track.keyframes))) {
+    throw new Error('Invalid tracks provided to createKeyframeAnimation');
+  }
+
+  const tracksByProperty = {};
+  trackList.forEach(track => {
+    tracksByProperty[track.property] = track;
+  });
+
+  return {
+    type: 'keyframes',
+    tracks: tracksByProperty,
+    frames: [],
+    emoji: options.emoji || '',
+    loop: options.loop !== undefined ? options.loop : true,
+    name: options.name || `animation_${Date.now()}`,
+    markers: options.markers ? [...options.markers] : [],
+    totalDuration: options.duration !== undefined
+      ? options.duration
+      : Math.max(...trackList.map(track => track.duration))
+  };
+};
+
+/**
+ * Checks whether an animation is a keyframe animation
+ *
+ * @param {Object} animation - Animation object
+ * @returns {boolean} True if the animation has keyframe tracks
+ */
+export const isKeyframeAnimation = (animation) => Boolean(animation && animation.type === 'keyframes' && animation.tracks);
+
+/**
+ * Samples every property of a keyframe animation at a time
+ *
+ * @param {Object} animation - Keyframe animation
+ * @param {number} time - Time in milliseconds (not wrapped for looping)
+ * @returns {Object} Frame-like object with emoji, x, y, scale, rotation and opacity
+ */
+export const sampleKeyframeAnimation = (animation, time) => {
+  const frame = { ...DEFAULT_VALUES, emoji: animation.emoji, duration: 0 };
+
+  Object.values(animation.tracks).forEach(track => {
+    frame[track.property] = sampleKeyframeTrack(track, time);
+  });
+
+  return frame;
+};
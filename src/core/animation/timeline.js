@@ -0,0 +1,152 @@
+/**
+ * timeline.js
+ *
+ * Combinators for building animation timelines: sequences that play steps one after
+ * another, parallel groups that play steps at the same time, and delays. Timelines
+ * are plain data; the emoji animator plays them with its play function, for example
+ * createParallel([createSequence([windup, strike, recoil]), shake]).
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Enum for timeline node types
+ * @readonly
+ * @enum {string}
+ */
+export const TIMELINE_NODE = {
+  SEQUENCE: 'sequence',
+  PARALLEL: 'parallel',
+  DELAY: 'delay',
+  STEP: 'step'
+};
+
+/**
+ * Checks whether a value is an animation (a frame-list or keyframe animation)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value can be played as an animation
+ */
+const isAnimation = (value) => Boolean(value && (Array.isArray(value.frames) || value.tracks));
+
+/**
+ * Checks whether a value is a timeline node
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value was created by one of the timeline combinators
+ */
+export const isTimelineNode = (value) => Boolean(value && Object.values(TIMELINE_NODE).includes(value.type));
+
+/**
+ * Validates the steps of a sequence or parallel group
+ *
+ * @param {Array<Object>} steps - Animations or timeline nodes
+ * @param {string} caller - Name of the calling function, for the error message
+ * @returns {Array<Object>} A copy of the steps
+ */
+const validateSteps = (steps, caller) => {
+  if (!Array.isArray(steps) || !steps.every(step => isAnimation(step) || isTimelineNode(step))) {
+    throw new Error(`Invalid steps provided to ${caller}`);
+  }
+  return [...steps];
+};
+
+/**
+ * Creates a sequence that plays its steps one after another. Animations inside a
+ * timeline play once, even if they loop on their own.
+ *
+ * @param {Array<Object>} steps - Animations or timeline nodes
+ * @param {Object} options - Sequence options
+ * @param {string} options.name - Name identifier for the sequence
+ * @returns {Object} Sequence node
+ */
+export const createSequence = (steps, options = {}) => ({
+  type: TIMELINE_NODE.SEQUENCE,
+  steps: validateSteps(steps, 'createSequence'),
+  name: options.name || `sequence_${Date.now()}`
+});
+
+/**
+ * Creates a parallel group that plays all of its steps at the same time and
+ * finishes when the last of them finishes
+ *
+ * @param {Array<Object>} steps - Animations or timeline nodes
+ * @param {Object} options - Group options
+ * @param {string} options.name - Name identifier for the group
+ * @returns {Object} Parallel node
+ */
+export const createParallel = (steps, options = {}) => ({
+  type: TIMELINE_NODE.PARALLEL,
+  steps: validateSteps(steps, 'createParallel'),
+  name: options.name || `parallel_${Date.now()}`
+});
+
+/**
+ * Creates a delay that waits without drawing anything
+ *
+ * @param {number} duration - Delay in milliseconds
+ * @returns {Object} Delay node
+ */
+export const createDelay = (duration) => {
+  // Validate input
+  if (!Number.isFinite(duration) || duration < 0) {
+    throw new Error('Invalid duration provided to createDelay');
+  }
+
+  return {
+    type: TIMELINE_NODE.DELAY,
+    duration
+  };
+};
+
+/**
+ * Creates a step that plays an animation or timeline at its own position, size or
+ * rendering options instead of those passed to play. Omitted values are inherited.
+ *
+ * @param {Object} animation - Animation or timeline node
+ * @param {Object} placement - Placement overrides
+ * @param {number} placement.x - X coordinate on canvas
+ * @param {number} placement.y - Y coordinate on canvas
+ * @param {number} placement.size - Base size for the emoji
+ * @param {Object} placement.options - Rendering options
+ * @returns {Object} Step node
+ */
+export const createTimelineStep = (animation, placement = {}) => {
+  // Validate input
+  if (!isAnimation(animation) && !isTimelineNode(animation)) {
+    throw new Error('Invalid animation provided to createTimelineStep');
+  }
+
+  return {
+    type: TIMELINE_NODE.STEP,
+    animation,
+    x: placement.x,
+    y: placement.y,
+    size: placement.size,
+    options: placement.options
+  };
+};
+
+/**
+ * Calculates how long a timeline or animation takes to play once
+ *
+ * @param {Object} node - Animation or timeline node
+ * @returns {number} Duration in milliseconds
+ */
+export const getTimelineDuration = (node) => {
+  switch (node.type) {
+    case TIMELINE_NODE.SEQUENCE:
+      return node.steps.reduce((sum, step) => sum + getTimelineDuration(step), 0);
+
+    case TIMELINE_NODE.PARALLEL:
+      return node.steps.reduce((max, step) => Math.max(max, getTimelineDuration(step)), 0);
+
+    case TIMELINE_NODE.DELAY:
+      return node.duration;
+
+    case TIMELINE_NODE.STEP:
+      return getTimelineDuration(node.animation);
+
+    default:
+      return node.totalDuration || 0;
+  }
+};
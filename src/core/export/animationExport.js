@@ -0,0 +1,407 @@
+/**
+ * animationExport.js
+ *
+ * Exports animations and compositions as files. Animations are rendered frame by
+ * frame on an offscreen surface; the captured pixels are then encoded as an
+ * animated GIF, an APNG, or a PNG sprite sheet with a JSON frame manifest in the
+ * same shape as asset pack manifests. Capturing needs a backend that produces
+ * pixels, so recording backends cannot be exported.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { createCanvasSurface } from '../graphics/renderBackend.js';
+import { createEmojiRenderer } from '../graphics/emojiRenderer.js';
+import { createEmojiAnimator, getAnimationFrameAtTime } from '../graphics/emojiAnimator.js';
+import { isKeyframeAnimation } from '../animation/keyframes.js';
+import { createScheduler } from '../time/scheduler.js';
+import { getCompositionClipDuration } from '../graphics/emojiComposer.js';
+import { encodePng, encodeApng } from './pngEncoder.js';
+import { encodeGif } from './gifEncoder.js';
+
+/**
+ * Enum for export formats
+ * @readonly
+ * @enum {string}
+ */
+export const EXPORT_FORMAT = {
+  GIF: 'gif',
+  APNG: 'apng',
+  SPRITE_SHEET: 'sprite-sheet'
+};
+
+// MIME type of the image produced for each format
+const MIME_TYPES = {
+  [EXPORT_FORMAT.GIF]: 'image/gif',
+  [EXPORT_FORMAT.APNG]: 'image/apng',
+  [EXPORT_FORMAT.SPRITE_SHEET]: 'image/png'
+};
+
+/**
+ * Lists the times at which an animation should be captured. Frame lists are
+ * captured once per frame; keyframe animations are sampled at a fixed rate.
+ *
+ * @param {Object} animation - Animation sequence object or keyframe animation
+ * @param {Object} options - Sampling options
+ * @param {number} options.fps - Samples per second for keyframe animations (default: 30)
+ * @returns {Array<Object>} Samples as { time, duration } objects in milliseconds
+ */
+export const getAnimationSamples = (animation, options = {}) => {
+  // Validate input
+  if (!animation || !(Array.isArray(animation.frames) || isKeyframeAnimation(animation))) {
+    throw new Error('Invalid animation provided to getAnimationSamples');
+  }
+
+  if (!isKeyframeAnimation(animation)) {
+    const samples = [];
+    let time = 0;
+    animation.frames.forEach(frame => {
+      if (frame.duration > 0) {
+        samples.push({ time, duration: frame.duration });
+      }
+      time += frame.duration;
+    });
+    return samples;
+  }
+
+  const fps = options.fps !== undefined ? options.fps : 30;
+  if (!(fps > 0)) {
+    throw new Error('Invalid fps provided to getAnimationSamples');
+  }
+
+  return sampleDuration(animation.totalDuration, fps);
+};
+
+/**
+ * Splits a duration into evenly spaced samples
+ *
+ * @param {number} duration - Duration in milliseconds
+ * @param {number} fps - Samples per second
+ * @returns {Array<Object>} Samples as { time, duration } objects in milliseconds
+ */
+const sampleDuration = (duration, fps) => {
+  if (!(duration > 0)) {
+    return [{ time: 0, duration: 0 }];
+  }
+
+  const count = Math.max(1, Math.round((duration * fps) / 1000));
+  const step = duration / count;
+  return Array.from({ length: count }, (_, index) => ({ time: index * step, duration: step }));
+};
+
+/**
+ * Renders samples one by one on an offscreen surface and reads back their pixels.
+ * This is the building block of the other capture functions; renderFrame draws one
+ * sample in logical pixels on a cleared surface.
+ *
+ * @param {Array<Object>} samples - Samples as { time, duration } objects
+ * @param {Function} renderFrame - Called with (renderer, sample, index) to draw a sample
+ * @param {Object} options - Capture options
+ * @param {number} options.width - Logical frame width (default: 128)
+ * @param {number} options.height - Logical frame height (default: width)
+ * @param {number} options.pixelRatio - Backing store pixels per logical pixel (default: 1)
+ * @param {string} options.background - Color to fill each frame with (default: transparent)
+ * @param {Object} options.emojiRenderer - Renderer whose backend, fallbacks and asset pack are used
+ *   for the offscreen surface (default: a canvas surface without fallbacks)
+ * @param {string} options.name - Name stored with the capture
+ * @param {boolean} options.loop - Whether the capture should loop when played (default: true)
+ * @returns {Object} Capture with width and height (in pixels), frames as { time, duration, data },
+ *   name and loop
+ */
+export const captureFrames = (samples, renderFrame, options = {}) => {
+  // Validate input
+  if (!Array.isArray(samples) || samples.length === 0 || typeof renderFrame !== 'function') {
+    throw new Error('Invalid samples provided to captureFrames');
+  }
+
+  const width = options.width !== undefined ? options.width : 128;
+  const height = options.height !== undefined ? options.height : width;
+  const pixelRatio = options.pixelRatio || 1;
+  const source = options.emojiRenderer || null;
+
+  // Create the offscreen surface and a renderer drawing the same art as the source
+  const surface = source
+    ? source.getBackend().createSurface(width, height, { pixelRatio })
+    : createCanvasSurface(width, height, { pixelRatio });
+  const renderer = createEmojiRenderer(surface, {
+    fallbacks: source ? (source.getFallbacks() || false) : false,
+    assetPack: source ? source.getAssetPack() : null
+  });
+  const ctx = surface.getContext();
+
+  const pixelWidth = Math.round(width * pixelRatio);
+  const pixelHeight = Math.round(height * pixelRatio);
+
+  const frames = samples.map((sample, index) => {
+    ctx.save();
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (options.background) {
+      ctx.fillStyle = options.background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    renderFrame(renderer, sample, index);
+    ctx.restore();
+
+    const pixels = surface.readPixels(0, 0, pixelWidth, pixelHeight);
+    if (!pixels) {
+      throw new Error('The render backend cannot read pixels; captureFrames needs a canvas backend');
+    }
+
+    return { time: sample.time, duration: sample.duration, data: new Uint8ClampedArray(pixels) };
+  });
+
+  return {
+    width: pixelWidth,
+    height: pixelHeight,
+    pixelRatio,
+    frames,
+    name: options.name || `capture_${Date.now()}`,
+    loop: options.loop !== undefined ? options.loop : true
+  };
+};
+
+/**
+ * Captures every frame of an animation, drawn at the center of the frame
+ *
+ * @param {Object} animation - Animation sequence object or keyframe animation
+ * @param {Object} options - Capture options (see captureFrames)
+ * @param {number} options.size - Logical frame width and height (default: 128)
+ * @param {number} options.emojiSize - Base emoji size (default: 75% of the frame size)
+ * @param {number} options.fps - Samples per second for keyframe animations (default: 30)
+ * @param {Object} options.renderOptions - Emoji rendering options
+ * @returns {Object} Capture (see captureFrames)
+ */
+export const captureAnimation = (animation, options = {}) => {
+  const samples = getAnimationSamples(animation, options);
+  const size = options.size !== undefined ? options.size : 128;
+  const width = options.width !== undefined ? options.width : size;
+  const height = options.height !== undefined ? options.height : size;
+  const emojiSize = options.emojiSize !== undefined ? options.emojiSize : Math.min(width, height) * 0.75;
+
+  // The animator is only used to draw frames, so its scheduler never runs
+  let animator = null;
+  const still = { ...animation, loop: false };
+
+  return captureFrames(samples, (renderer, sample) => {
+    animator = animator || createEmojiAnimator(renderer, { scheduler: createScheduler({ manual: true }) });
+    const current = getAnimationFrameAtTime(still, sample.time);
+    if (current) {
+      animator.renderAnimationFrame(current.frame, width / 2, height / 2, emojiSize, options.renderOptions || {});
+    }
+  }, {
+    ...options,
+    width,
+    height,
+    name: options.name || animation.name,
+    loop: options.loop !== undefined ? options.loop : animation.loop
+  });
+};
+
+/**
+ * Captures a composition as rendered by the composer's renderToCanvas. Clips are
+ * captured for their whole duration; static compositions give a single frame
+ * unless a duration is given.
+ *
+ * @param {Object} composer - Emoji composer created with createEmojiComposer
+ * @param {Object|string} compositionOrId - The composition object or ID
+ * @param {Object} options - Capture options (see captureFrames)
+ * @param {number} options.size - Logical frame width and height (default: 128)
+ * @param {string} options.clip - Name of the clip to capture (default: the static composition)
+ * @param {number} options.duration - Captured time in milliseconds (default: the clip's duration, or 0)
+ * @param {number} options.fps - Samples per second (default: 30)
+ * @returns {Object} Capture (see captureFrames)
+ */
+export const captureComposition = (composer, compositionOrId, options = {}) => {
+  // Validate input
+  if (!composer || typeof composer.renderToCanvas !== 'function') {
+    throw new Error('Invalid composer provided to captureComposition');
+  }
+
+  const composition = typeof compositionOrId === 'string'
+    ? composer.getComposition(compositionOrId)
+    : compositionOrId;
+  if (!composition) {
+    throw new Error('Invalid composition provided to captureComposition');
+  }
+
+  const size = options.size !== undefined ? options.size : 128;
+  const pixelRatio = options.pixelRatio || 1;
+  const clip = options.clip && composition.clips ? composition.clips[options.clip] : null;
+  const duration = options.duration !== undefined
+    ? options.duration
+    : (clip ? getCompositionClipDuration(composition, options.clip) : 0);
+  const samples = sampleDuration(duration, options.fps !== undefined ? options.fps : 30);
+
+  return captureFrames(samples, (renderer, sample) => {
+    const canvas = composer.renderToCanvas(composition, size, { pixelRatio, clip: options.clip, time: sample.time });
+    renderer.getContext().drawImage(canvas, 0, 0, size, size);
+  }, {
+    ...options,
+    width: size,
+    height: size,
+    name: options.name || (typeof compositionOrId === 'string' ? compositionOrId : composition.name),
+    loop: options.loop !== undefined ? options.loop : (clip ? clip.loop : true)
+  });
+};
+
+/**
+ * Lays the frames of a capture out on a sprite sheet, row by row
+ *
+ * @param {Object} capture - Capture created with captureFrames, captureAnimation or captureComposition
+ * @param {Object} options - Sheet options
+ * @param {number} options.columns - Frames per row (default: as square as possible)
+ * @param {string} options.image - Image file name stored in the manifest (default: '<name>.png')
+ * @returns {Object} Object with width, height, data (RGBA pixels) and manifest
+ */
+export const createSpriteSheet = (capture, options = {}) => {
+  // Validate input
+  if (!capture || !Array.isArray(capture.frames) || capture.frames.length === 0) {
+    throw new Error('Invalid capture provided to createSpriteSheet');
+  }
+
+  const count = capture.frames.length;
+  const columns = Math.min(options.columns || Math.ceil(Math.sqrt(count)), count);
+  const rows = Math.ceil(count / columns);
+  const width = columns * capture.width;
+  const height = rows * capture.height;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const rowBytes = capture.width * 4;
+
+  const frames = capture.frames.map((frame, index) => {
+    const x = (index % columns) * capture.width;
+    const y = Math.floor(index / columns) * capture.height;
+
+    // Copy the frame row by row
+    for (let row = 0; row < capture.height; row++) {
+      const from = row * rowBytes;
+      data.set(frame.data.subarray(from, from + rowBytes), (((y + row) * width) + x) * 4);
+    }
+
+    return { index, x, y, width: capture.width, height: capture.height, time: frame.time, duration: frame.duration };
+  });
+
+  return {
+    width,
+    height,
+    data,
+    manifest: {
+      name: capture.name,
+      image: options.image || `${capture.name}.png`,
+      size: capture.width,
+      columns,
+      width,
+      height,
+      loop: capture.loop,
+      totalDuration: frames.reduce((sum, frame) => sum + frame.duration, 0),
+      frames
+    }
+  };
+};
+
+/**
+ * Encodes a capture as a file
+ *
+ * @param {Object} capture - Capture created with captureFrames, captureAnimation or captureComposition
+ * @param {Object} options - Export options
+ * @param {string} options.format - Export format from EXPORT_FORMAT (default: GIF)
+ * @param {number} options.loops - Number of times to play; 0 plays forever
+ *   (default: 0 for looping captures, 1 otherwise)
+ * @param {number} options.columns - Frames per row of a sprite sheet
+ * @param {string} options.image - Image file name stored in a sprite sheet manifest
+ * @param {number} options.alphaThreshold - Pixels with lower alpha become transparent in GIFs
+ * @returns {Object} Object with format, mimeType, data (file bytes), width, height, frameCount
+ *   and, for sprite sheets, manifest
+ */
+export const exportCapture = (capture, options = {}) => {
+  // Validate input
+  if (!capture || !Array.isArray(capture.frames) || capture.frames.length === 0) {
+    throw new Error('Invalid capture provided to exportCapture');
+  }
+
+  const format = options.format || EXPORT_FORMAT.GIF;
+  const loops = options.loops !== undefined ? options.loops : (capture.loop ? 0 : 1);
+  const result = {
+    format,
+    mimeType: MIME_TYPES[format],
+    width: capture.width,
+    height: capture.height,
+    frameCount: capture.frames.length
+  };
+
+  switch (format) {
+    case EXPORT_FORMAT.GIF:
+      return {
+        ...result,
+        data: encodeGif(capture.frames, capture.width, capture.height, { loops, alphaThreshold: options.alphaThreshold })
+      };
+
+    case EXPORT_FORMAT.APNG:
+      return {
+        ...result,
+        data: encodeApng(capture.frames, capture.width, capture.height, { loops })
+      };
+
+    case EXPORT_FORMAT.SPRITE_SHEET: {
+      const sheet = createSpriteSheet(capture, options);
+      return {
+        ...result,
+        width: sheet.width,
+        height: sheet.height,
+        data: encodePng(sheet.data, sheet.width, sheet.height),
+        manifest: sheet.manifest
+      };
+    }
+
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+/**
+ * Renders an animation and encodes it as a file, for example
+ * exportAnimation(walk, { format: EXPORT_FORMAT.SPRITE_SHEET, size: 64, columns: 4 })
+ *
+ * @param {Object} animation - Animation sequence object or keyframe animation
+ * @param {Object} options - Capture options (see captureAnimation) and export options (see exportCapture)
+ * @returns {Object} The exported file (see exportCapture)
+ */
+export const exportAnimation = (animation, options = {}) => {
+  return exportCapture(captureAnimation(animation, options), options);
+};
+
+/**
+ * Renders a composition and encodes it as a file
+ *
+ * @param {Object} composer - Emoji composer created with createEmojiComposer
+ * @param {Object|string} compositionOrId - The composition object or ID
+ * @param {Object} options - Capture options (see captureComposition) and export options (see exportCapture)
+ * @returns {Object} The exported file (see exportCapture)
+ */
+export const exportComposition = (composer, compositionOrId, options = {}) => {
+  return exportCapture(captureComposition(composer, compositionOrId, options), options);
+};
+
+/**
+ * Converts an exported file to a data URL
+ *
+ * @param {Object} file - Exported file (see exportCapture)
+ * @returns {string} Base64 data URL
+ */
+export const toDataURL = (file) => {
+  // Convert in chunks so large files do not overflow the argument list
+  let binary = '';
+  for (let offset = 0; offset < file.data.length; offset += 0x8000) {
+    binary += String.fromCharCode(...file.data.subarray(offset, offset + 0x8000));
+  }
+  return `data:${file.mimeType};base64,${btoa(binary)}`;
+};
+
+/**
+ * Converts an exported file to a Blob for downloading or uploading
+ *
+ * @param {Object} file - Exported file (see exportCapture)
+ * @returns {Blob} The file as a Blob
+ */
+export const toBlob = (file) => {
+  return new Blob([file.data], { type: file.mimeType });
+};
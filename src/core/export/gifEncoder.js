@@ -0,0 +1,314 @@
+/**
+ * gifEncoder.js
+ *
+ * Pure JavaScript animated GIF encoding from raw RGBA pixels. Colors of all frames
+ * are reduced to one shared 255-color palette with median cut, and one palette
+ * entry is reserved for transparency (GIF has no partial transparency, so pixels
+ * are either opaque or fully transparent).
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { createByteWriter } from './pngEncoder.js';
+
+// Palette index of transparent pixels
+const TRANSPARENT_INDEX = 0;
+
+/**
+ * Gets the 15-bit color key (5 bits per channel) of a pixel
+ *
+ * @param {Uint8Array|Uint8ClampedArray} data - RGBA pixels
+ * @param {number} offset - Byte offset of the pixel
+ * @returns {number} Color key
+ */
+const colorKey = (data, offset) => ((data[offset] >> 3) << 10) | ((data[offset + 1] >> 3) << 5) | (data[offset + 2] >> 3);
+
+/**
+ * Builds a palette with median cut over a color histogram
+ *
+ * @param {Array<Object>} frames - Frames with RGBA data
+ * @param {number} maxColors - Maximum number of colors
+ * @param {number} alphaThreshold - Pixels with lower alpha are transparent
+ * @returns {Array<Array<number>>} Palette as [r, g, b] triples
+ */
+const buildPalette = (frames, maxColors, alphaThreshold) => {
+  // Histogram of 15-bit colors with channel sums for averaging
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+
+  frames.forEach(frame => {
+    const { data } = frame;
+    for (let offset = 0; offset < data.length; offset += 4) {
+      if (data[offset + 3] >= alphaThreshold) {
+        const key = colorKey(data, offset);
+        counts[key]++;
+        sums[key * 3] += data[offset];
+        sums[(key * 3) + 1] += data[offset + 1];
+        sums[(key * 3) + 2] += data[offset + 2];
+      }
+    }
+  });
+
+  const colors = [];
+  for (let key = 0; key < 32768; key++) {
+    if (counts[key] > 0) {
+      colors.push({
+        count: counts[key],
+        rgb: [sums[key * 3] / counts[key], sums[(key * 3) + 1] / counts[key], sums[(key * 3) + 2] / counts[key]]
+      });
+    }
+  }
+
+  if (colors.length === 0) {
+    return [];
+  }
+
+  // Split the box with the widest channel range until there are enough boxes
+  const boxes = [colors];
+  while (boxes.length < maxColors) {
+    let bestBox = -1;
+    let bestChannel = 0;
+    let bestRange = 0;
+
+    boxes.forEach((box, index) => {
+      if (box.length < 2) {
+        return;
+      }
+      for (let channel = 0; channel < 3; channel++) {
+        let min = 255;
+        let max = 0;
+        box.forEach(color => {
+          min = Math.min(min, color.rgb[channel]);
+          max = Math.max(max, color.rgb[channel]);
+        });
+        if (max - min > bestRange) {
+          bestRange = max - min;
+          bestBox = index;
+          bestChannel = channel;
+        }
+      }
+    });
+
+    if (bestBox < 0) {
+      break;
+    }
+
+    // Split at the weighted median
+    const box = boxes[bestBox].sort((a, b) => a.rgb[bestChannel] - b.rgb[bestChannel]);
+    const total = box.reduce((sum, color) => sum + color.count, 0);
+    let running = 0;
+    let split = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      running += box[i].count;
+      if (running >= total / 2) {
+        split = i + 1;
+        break;
+      }
+    }
+    boxes.splice(bestBox, 1, box.slice(0, split), box.slice(split));
+  }
+
+  // Each box becomes the weighted average of its colors
+  return boxes.map(box => {
+    const total = box.reduce((sum, color) => sum + color.count, 0);
+    return [0, 1, 2].map(channel => Math.round(box.reduce((sum, color) => sum + (color.rgb[channel] * color.count), 0) / total));
+  });
+};
+
+/**
+ * Encodes palette indexes with GIF's variant of LZW
+ *
+ * @param {Uint8Array} indexes - Palette index of every pixel
+ * @param {number} minCodeSize - Minimum code size (8 for a 256-color palette)
+ * @returns {Uint8Array} Compressed data, not yet split into sub-blocks
+ */
+const lzwEncode = (indexes, minCodeSize) => {
+  const output = createByteWriter(indexes.length >> 1);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  /**
+   * Writes a code, least significant bit first
+   *
+   * @param {number} code - The code
+   * @returns {void}
+   */
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xFF);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+
+  let prefix = indexes.length > 0 ? indexes[0] : -1;
+  for (let i = 1; i < indexes.length; i++) {
+    const index = indexes[i];
+    const key = (prefix << 8) | index;
+    const code = dictionary.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    writeCode(prefix);
+    if (nextCode < 4096) {
+      dictionary.set(key, nextCode);
+      if (nextCode === (1 << codeSize) && codeSize < 12) {
+        codeSize++;
+      }
+      nextCode++;
+    } else {
+      // The code table is full; start over
+      writeCode(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = index;
+  }
+
+  if (prefix >= 0) {
+    writeCode(prefix);
+  }
+  writeCode(endCode);
+  if (bitCount > 0) {
+    output.push(bitBuffer & 0xFF);
+  }
+
+  return output.toBytes();
+};
+
+/**
+ * Writes a little-endian unsigned 16-bit integer
+ *
+ * @param {Object} writer - Byte writer
+ * @param {number} value - The integer
+ * @returns {void}
+ */
+const pushUint16 = (writer, value) => {
+  writer.push(value & 0xFF);
+  writer.push((value >> 8) & 0xFF);
+};
+
+/**
+ * Encodes frames as an animated GIF. Every frame covers the whole image; the area
+ * is cleared before the next frame so transparent pixels do not show older frames.
+ *
+ * @param {Array<Object>} frames - Frames with data (RGBA pixels) and duration in milliseconds
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Encoding options
+ * @param {number} options.loops - Number of times to play; 0 plays forever (default: 0)
+ * @param {number} options.alphaThreshold - Pixels with lower alpha become transparent (default: 128)
+ * @returns {Uint8Array} GIF file bytes
+ */
+export const encodeGif = (frames, width, height, options = {}) => {
+  // Validate input
+  if (!Array.isArray(frames) || frames.length === 0 || !(width > 0) || !(height > 0) ||
+    !frames.every(frame => frame.data && frame.data.length === width * height * 4)) {
+    throw new Error('Invalid frames provided to encodeGif');
+  }
+
+  const alphaThreshold = options.alphaThreshold !== undefined ? options.alphaThreshold : 128;
+  const palette = [[0, 0, 0], ...buildPalette(frames, 255, alphaThreshold)];
+
+  // Nearest palette entry per 15-bit color, filled in as colors are seen
+  const lookup = new Int16Array(32768).fill(-1);
+
+  /**
+   * Finds the nearest opaque palette entry for a pixel
+   *
+   * @param {Uint8Array|Uint8ClampedArray} data - RGBA pixels
+   * @param {number} offset - Byte offset of the pixel
+   * @returns {number} Palette index
+   */
+  const nearestIndex = (data, offset) => {
+    const key = colorKey(data, offset);
+    if (lookup[key] < 0) {
+      let best = 1;
+      let bestDistance = Infinity;
+      for (let i = 1; i < palette.length; i++) {
+        const dr = palette[i][0] - data[offset];
+        const dg = palette[i][1] - data[offset + 1];
+        const db = palette[i][2] - data[offset + 2];
+        const distance = (dr * dr) + (dg * dg) + (db * db);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      }
+      lookup[key] = best;
+    }
+    return lookup[key];
+  };
+
+  const writer = createByteWriter(width * height * frames.length);
+
+  // Header and logical screen with a 256-color global palette
+  writer.pushBytes(Array.from('GIF89a', char => char.charCodeAt(0)));
+  pushUint16(writer, width);
+  pushUint16(writer, height);
+  writer.push(0xF7);
+  writer.push(TRANSPARENT_INDEX);
+  writer.push(0);
+  for (let i = 0; i < 256; i++) {
+    writer.pushBytes(palette[i] || [0, 0, 0]);
+  }
+
+  // Repeats (NETSCAPE2.0 application extension); without it the animation plays once
+  const loops = options.loops || 0;
+  if (loops !== 1) {
+    writer.pushBytes([0x21, 0xFF, 0x0B]);
+    writer.pushBytes(Array.from('NETSCAPE2.0', char => char.charCodeAt(0)));
+    writer.pushBytes([0x03, 0x01]);
+    pushUint16(writer, loops === 0 ? 0 : Math.min(loops - 1, 65535));
+    writer.push(0);
+  }
+
+  frames.forEach(frame => {
+    const { data } = frame;
+    const indexes = new Uint8Array(width * height);
+    for (let pixel = 0; pixel < indexes.length; pixel++) {
+      const offset = pixel * 4;
+      indexes[pixel] = data[offset + 3] >= alphaThreshold ? nearestIndex(data, offset) : TRANSPARENT_INDEX;
+    }
+
+    // Graphic control: restore to background after the frame, transparent index, delay in 1/100 s
+    writer.pushBytes([0x21, 0xF9, 0x04, (2 << 2) | 1]);
+    pushUint16(writer, Math.min(Math.max(0, Math.round((frame.duration || 0) / 10)), 65535));
+    writer.push(TRANSPARENT_INDEX);
+    writer.push(0);
+
+    // Image descriptor for the full image, without a local palette
+    writer.push(0x2C);
+    pushUint16(writer, 0);
+    pushUint16(writer, 0);
+    pushUint16(writer, width);
+    pushUint16(writer, height);
+    writer.push(0);
+
+    // Compressed pixels in sub-blocks of up to 255 bytes
+    const compressed = lzwEncode(indexes, 8);
+    writer.push(8);
+    for (let offset = 0; offset < compressed.length; offset += 255) {
+      const block = compressed.subarray(offset, offset + 255);
+      writer.push(block.length);
+      writer.pushBytes(block);
+    }
+    writer.push(0);
+  });
+
+  writer.push(0x3B);
+  return writer.toBytes();
+};
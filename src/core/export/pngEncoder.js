@@ -0,0 +1,514 @@
+/**
+ * pngEncoder.js
+ *
+ * Pure JavaScript PNG and APNG (animated PNG) encoding from raw RGBA pixels, with a
+ * small zlib compressor (LZ77 with fixed Huffman codes). Works without a canvas
+ * toBlob implementation, so exports behave the same in browsers, workers and Node.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * CRC-32 lookup table used by PNG chunks
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Calculates the CRC-32 of one or more byte arrays, as if they were concatenated
+ *
+ * @param {...Uint8Array} parts - Input bytes
+ * @returns {number} The CRC as an unsigned 32-bit integer
+ */
+export const crc32 = (...parts) => {
+  let crc = 0xFFFFFFFF;
+  parts.forEach(bytes => {
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+  });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Calculates the Adler-32 checksum used by zlib
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} The checksum as an unsigned 32-bit integer
+ */
+const adler32 = (bytes) => {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+/**
+ * Creates a growable byte buffer
+ *
+ * @param {number} capacity - Initial capacity in bytes
+ * @returns {Object} Buffer with push, pushBytes, pushUint32 and toBytes functions
+ */
+export const createByteWriter = (capacity = 1024) => {
+  let bytes = new Uint8Array(capacity);
+  let length = 0;
+
+  /**
+   * Makes room for more bytes
+   *
+   * @param {number} extra - Number of bytes to add
+   * @returns {void}
+   */
+  const ensure = (extra) => {
+    if (length + extra > bytes.length) {
+      const grown = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+      grown.set(bytes.subarray(0, length));
+      bytes = grown;
+    }
+  };
+
+  return {
+    /**
+     * Appends a byte
+     *
+     * @param {number} value - Byte value
+     * @returns {void}
+     */
+    push: (value) => {
+      ensure(1);
+      bytes[length++] = value;
+    },
+
+    /**
+     * Appends bytes
+     *
+     * @param {Uint8Array|Array<number>} values - Bytes
+     * @returns {void}
+     */
+    pushBytes: (values) => {
+      ensure(values.length);
+      bytes.set(values, length);
+      length += values.length;
+    },
+
+    /**
+     * Appends a big-endian unsigned 32-bit integer
+     *
+     * @param {number} value - The integer
+     * @returns {void}
+     */
+    pushUint32: (value) => {
+      ensure(4);
+      bytes[length++] = (value >>> 24) & 0xFF;
+      bytes[length++] = (value >>> 16) & 0xFF;
+      bytes[length++] = (value >>> 8) & 0xFF;
+      bytes[length++] = value & 0xFF;
+    },
+
+    /**
+     * Gets the current length
+     *
+     * @returns {number} Number of bytes written
+     */
+    getLength: () => length,
+
+    /**
+     * Gets the written bytes
+     *
+     * @returns {Uint8Array} A copy of the written bytes
+     */
+    toBytes: () => bytes.slice(0, length)
+  };
+};
+
+// Deflate length and distance code tables (RFC 1951, section 3.2.5)
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+const WINDOW_SIZE = 32768;
+const HASH_SIZE = 1 << 15;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+
+/**
+ * Finds the index of the last table entry not greater than a value
+ *
+ * @param {Array<number>} table - Ascending base values
+ * @param {number} value - The value
+ * @returns {number} Table index
+ */
+const findCode = (table, value) => {
+  let index = table.length - 1;
+  while (table[index] > value) {
+    index--;
+  }
+  return index;
+};
+
+/**
+ * Compresses bytes into a zlib stream (one deflate block with fixed Huffman codes)
+ *
+ * @param {Uint8Array} input - Bytes to compress
+ * @returns {Uint8Array} zlib stream
+ */
+export const zlibCompress = (input) => {
+  const output = createByteWriter(Math.max(1024, input.length >> 1));
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  /**
+   * Writes bits, least significant bit first
+   *
+   * @param {number} value - Bits to write
+   * @param {number} count - Number of bits
+   * @returns {void}
+   */
+  const writeBits = (value, count) => {
+    bitBuffer |= value << bitCount;
+    bitCount += count;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xFF);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  /**
+   * Writes a Huffman code, most significant bit first
+   *
+   * @param {number} code - The code
+   * @param {number} length - Code length in bits
+   * @returns {void}
+   */
+  const writeCode = (code, length) => {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | ((code >>> i) & 1);
+    }
+    writeBits(reversed, length);
+  };
+
+  /**
+   * Writes a literal or length symbol with the fixed Huffman code
+   *
+   * @param {number} symbol - Symbol from 0 to 287
+   * @returns {void}
+   */
+  const writeSymbol = (symbol) => {
+    if (symbol < 144) {
+      writeCode(0x30 + symbol, 8);
+    } else if (symbol < 256) {
+      writeCode(0x190 + (symbol - 144), 9);
+    } else if (symbol < 280) {
+      writeCode(symbol - 256, 7);
+    } else {
+      writeCode(0xC0 + (symbol - 280), 8);
+    }
+  };
+
+  // zlib header: deflate with a 32K window, no preset dictionary
+  output.push(0x78);
+  output.push(0x01);
+
+  // Final block with fixed Huffman codes
+  writeBits(1, 1);
+  writeBits(1, 2);
+
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const previous = new Int32Array(WINDOW_SIZE);
+  const hashAt = (i) => ((input[i] << 10) ^ (input[i + 1] << 5) ^ input[i + 2]) & (HASH_SIZE - 1);
+
+  /**
+   * Adds a position to the match chains
+   *
+   * @param {number} i - Input position
+   * @returns {void}
+   */
+  const insert = (i) => {
+    if (i + 2 < input.length) {
+      const hash = hashAt(i);
+      previous[i & (WINDOW_SIZE - 1)] = head[hash];
+      head[hash] = i;
+    }
+  };
+
+  let position = 0;
+  while (position < input.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    // Find the longest earlier match within the window
+    if (position + 2 < input.length) {
+      let candidate = head[hashAt(position)];
+      let chain = MAX_CHAIN;
+      const maxLength = Math.min(MAX_MATCH, input.length - position);
+
+      while (candidate >= 0 && position - candidate <= WINDOW_SIZE && chain-- > 0) {
+        if (input[candidate + bestLength] === input[position + bestLength]) {
+          let length = 0;
+          while (length < maxLength && input[candidate + length] === input[position + length]) {
+            length++;
+          }
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = position - candidate;
+            if (length === maxLength) {
+              break;
+            }
+          }
+        }
+        const next = previous[candidate & (WINDOW_SIZE - 1)];
+        if (next >= candidate) {
+          break;
+        }
+        candidate = next;
+      }
+    }
+
+    if (bestLength >= 3) {
+      const lengthIndex = findCode(LENGTH_BASE, bestLength);
+      writeSymbol(257 + lengthIndex);
+      writeBits(bestLength - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+
+      const distanceIndex = findCode(DISTANCE_BASE, bestDistance);
+      writeCode(distanceIndex, 5);
+      writeBits(bestDistance - DISTANCE_BASE[distanceIndex], DISTANCE_EXTRA[distanceIndex]);
+
+      for (let i = 0; i < bestLength; i++) {
+        insert(position + i);
+      }
+      position += bestLength;
+    } else {
+      writeSymbol(input[position]);
+      insert(position);
+      position++;
+    }
+  }
+
+  // End of block, then pad to a byte boundary
+  writeSymbol(256);
+  if (bitCount > 0) {
+    writeBits(0, 8 - bitCount);
+  }
+
+  output.pushUint32(adler32(input));
+  return output.toBytes();
+};
+
+/**
+ * Predicts a byte with the Paeth predictor
+ *
+ * @param {number} left - Byte to the left
+ * @param {number} above - Byte above
+ * @param {number} upperLeft - Byte above and to the left
+ * @returns {number} Predicted byte
+ */
+const paeth = (left, above, upperLeft) => {
+  const estimate = left + above - upperLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceAbove = Math.abs(estimate - above);
+  const distanceUpperLeft = Math.abs(estimate - upperLeft);
+  if (distanceLeft <= distanceAbove && distanceLeft <= distanceUpperLeft) {
+    return left;
+  }
+  return distanceAbove <= distanceUpperLeft ? above : upperLeft;
+};
+
+/**
+ * Filters RGBA scanlines for compression, choosing the filter per row that gives
+ * the smallest sum of absolute differences
+ *
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} Filtered scanlines, each prefixed with its filter type
+ */
+const filterScanlines = (pixels, width, height) => {
+  const stride = width * 4;
+  const output = new Uint8Array((stride + 1) * height);
+  const candidate = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    const prior = row - stride;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+    let bestRow = null;
+
+    for (let filter = 0; filter < 5; filter++) {
+      let score = 0;
+      for (let x = 0; x < stride; x++) {
+        const value = pixels[row + x];
+        const left = x >= 4 ? pixels[row + x - 4] : 0;
+        const above = y > 0 ? pixels[prior + x] : 0;
+        const upperLeft = y > 0 && x >= 4 ? pixels[prior + x - 4] : 0;
+        let predicted = 0;
+        if (filter === 1) {
+          predicted = left;
+        } else if (filter === 2) {
+          predicted = above;
+        } else if (filter === 3) {
+          predicted = (left + above) >> 1;
+        } else if (filter === 4) {
+          predicted = paeth(left, above, upperLeft);
+        }
+        const filtered = (value - predicted) & 0xFF;
+        candidate[x] = filtered;
+        score += filtered < 128 ? filtered : 256 - filtered;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        bestRow = candidate.slice();
+      }
+    }
+
+    const offset = y * (stride + 1);
+    output[offset] = bestFilter;
+    output.set(bestRow, offset + 1);
+  }
+
+  return output;
+};
+
+/**
+ * Writes a PNG chunk
+ *
+ * @param {Object} writer - Byte writer
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {void}
+ */
+const writeChunk = (writer, type, data) => {
+  const typeBytes = Uint8Array.from(type, char => char.charCodeAt(0));
+  writer.pushUint32(data.length);
+  writer.pushBytes(typeBytes);
+  writer.pushBytes(data);
+  writer.pushUint32(crc32(typeBytes, data));
+};
+
+/**
+ * Builds chunk data from big-endian fields
+ *
+ * @param {Array<Array<number>>} fields - [value, byteCount] pairs
+ * @returns {Uint8Array} Chunk data
+ */
+const packFields = (fields) => {
+  const bytes = [];
+  fields.forEach(([value, byteCount]) => {
+    for (let i = byteCount - 1; i >= 0; i--) {
+      bytes.push(Math.floor(value / Math.pow(256, i)) & 0xFF);
+    }
+  });
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Writes the PNG signature and header
+ *
+ * @param {Object} writer - Byte writer
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {void}
+ */
+const writeHeader = (writer, width, height) => {
+  writer.pushBytes([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  // 8-bit RGBA, default compression and filtering, no interlacing
+  writeChunk(writer, 'IHDR', packFields([[width, 4], [height, 4], [8, 1], [6, 1], [0, 1], [0, 1], [0, 1]]));
+};
+
+/**
+ * Validates image dimensions and pixel data
+ *
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} caller - Name of the calling function, for the error message
+ * @returns {void}
+ */
+const validateImage = (pixels, width, height, caller) => {
+  if (!(width > 0) || !(height > 0) || !pixels || pixels.length !== width * height * 4) {
+    throw new Error(`Invalid image provided to ${caller}`);
+  }
+};
+
+/**
+ * Encodes RGBA pixels as a PNG file
+ *
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixels, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} PNG file bytes
+ */
+export const encodePng = (pixels, width, height) => {
+  // Validate input
+  validateImage(pixels, width, height, 'encodePng');
+
+  const writer = createByteWriter(pixels.length >> 2);
+  writeHeader(writer, width, height);
+  writeChunk(writer, 'IDAT', zlibCompress(filterScanlines(pixels, width, height)));
+  writeChunk(writer, 'IEND', new Uint8Array(0));
+  return writer.toBytes();
+};
+
+/**
+ * Encodes frames as an animated PNG. Every frame covers the whole image and
+ * replaces the previous one, including transparent pixels.
+ *
+ * @param {Array<Object>} frames - Frames with data (RGBA pixels) and duration in milliseconds
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Animation options
+ * @param {number} options.loops - Number of times to play; 0 loops forever (default: 0)
+ * @returns {Uint8Array} APNG file bytes
+ */
+export const encodeApng = (frames, width, height, options = {}) => {
+  // Validate input
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error('Invalid frames provided to encodeApng');
+  }
+  frames.forEach(frame => validateImage(frame.data, width, height, 'encodeApng'));
+
+  const writer = createByteWriter(frames.length * (width * height));
+  writeHeader(writer, width, height);
+  writeChunk(writer, 'acTL', packFields([[frames.length, 4], [options.loops || 0, 4]]));
+
+  let sequence = 0;
+  frames.forEach((frame, index) => {
+    const delay = Math.min(Math.max(0, Math.round(frame.duration || 0)), 65535);
+
+    // Frame control: full-size frame at 0,0; delay in milliseconds; no disposal; replace pixels
+    writeChunk(writer, 'fcTL', packFields([
+      [sequence++, 4], [width, 4], [height, 4], [0, 4], [0, 4],
+      [delay, 2], [1000, 2], [0, 1], [0, 1]
+    ]));
+
+    const compressed = zlibCompress(filterScanlines(frame.data, width, height));
+    if (index === 0) {
+      writeChunk(writer, 'IDAT', compressed);
+    } else {
+      const data = new Uint8Array(compressed.length + 4);
+      data.set(packFields([[sequence++, 4]]), 0);
+      data.set(compressed, 4);
+      writeChunk(writer, 'fdAT', data);
+    }
+  });
+
+  writeChunk(writer, 'IEND', new Uint8Array(0));
+  return writer.toBytes();
+};
@@ -6,6 +6,23 @@
  * with the existing emojiRenderer system.
  */
 
+import { isKeyframeAnimation, sampleKeyframeAnimation } from '../animation/keyframes.js';
+import { TIMELINE_NODE, isTimelineNode } from '../animation/timeline.js';
+import { getDefaultScheduler } from '../time/scheduler.js';
+
+/**
+ * Enum for events emitted while animations play
+ * @readonly
+ * @enum {string}
+ */
+export const ANIMATION_EVENT = {
+  START: 'start',
+  MARKER: 'marker',
+  LOOP: 'loop',
+  COMPLETE: 'complete',
+  STOP: 'stop'
+};
+
 /**
  * Creates an animation frame object
  *
@@ -15,6 +32,8 @@
  * @param {number} options.scale - Scale factor for the emoji (1.0 = normal size)
  * @param {number} options.rotation - Rotation in radians
  * @param {number} options.opacity - Opacity from 0.0 to 1.0
+ * @param {string|Array<string>} options.events - Marker names the animator emits when playback
+ *   reaches this frame, e.g. 'hit' to play a sound or show damage
  * @returns {Object} Animation frame object
  */
 export const createAnimationFrame = (emoji, duration, options = {}) => ({
@@ -22,7 +41,8 @@ export const createAnimationFrame = (emoji, duration, options = {}) => ({
   duration,
   scale: options.scale !== undefined ? options.scale : 1.0,
   rotation: options.rotation !== undefined ? options.rotation : 0,
-  opacity: options.opacity !== undefined ? options.opacity : 1.0
+  opacity: options.opacity !== undefined ? options.opacity : 1.0,
+  events: options.events !== undefined ? [].concat(options.events) : []
 });
 
 /**
@@ -32,15 +52,169 @@ export const createAnimationFrame = (emoji, duration, options = {}) => ({
  * @param {Object} options - Animation options
  * @param {boolean} options.loop - Whether the animation should loop
  * @param {string} options.name - Name identifier for the animation
+ * @param {Array<Object>} options.markers - Named markers as { name, time } objects, emitted by the
+ *   animator when playback reaches their time
  * @returns {Object} Animation sequence object
  */
 export const createAnimation = (frames, options = {}) => ({
   frames: [...frames],
   loop: options.loop !== undefined ? options.loop : true,
   name: options.name || `animation_${Date.now()}`,
+  markers: options.markers ? [...options.markers] : [],
   totalDuration: frames.reduce((sum, frame) => sum + frame.duration, 0)
 });
 
+/**
+ * Collects the markers of an animation: events of frames (at the time the frame
+ * starts), events of keyframes and the animation's own markers
+ *
+ * @param {Object} animation - Animation sequence object or keyframe animation
+ * @returns {Array<Object>} Markers as { name, time } objects sorted by time
+ */
+export const getAnimationMarkers = (animation) => {
+  const markers = [];
+
+  if (isKeyframeAnimation(animation)) {
+    Object.values(animation.tracks).forEach(track => {
+      track.keyframes.forEach(keyframe => {
+        (keyframe.events || []).forEach(name => markers.push({ name, time: keyframe.time }));
+      });
+    });
+  } else {
+    let frameTime = 0;
+    (animation.frames || []).forEach(frame => {
+      (frame.events || []).forEach(name => markers.push({ name, time: frameTime }));
+      frameTime += frame.duration;
+    });
+  }
+
+  (animation.markers || []).forEach(marker => markers.push({ name: marker.name, time: marker.time }));
+
+  return markers.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Finds the frame of an animation that should be shown after a given elapsed time.
+ * Keyframe animations (see createKeyframeAnimation) are sampled into a frame with
+ * interpolated x, y, scale, rotation and opacity.
+ * This is a pure function, so animation timing can be tested without a render loop.
+ *
+ * @param {Object} animation - Animation sequence object or keyframe animation
+ * @param {number} elapsedTime - Time since the animation started in milliseconds
+ * @returns {Object|null} Object with frame and frameIndex (null for keyframe animations),
+ *   or null once a non-looping animation has finished
+ */
+export const getAnimationFrameAtTime = (animation, elapsedTime) => {
+  if (isKeyframeAnimation(animation)) {
+    if (!animation.loop && elapsedTime > animation.totalDuration) {
+      return null;
+    }
+
+    const time = animation.loop && animation.totalDuration > 0
+      ? elapsedTime % animation.totalDuration
+      : elapsedTime;
+    return { frame: sampleKeyframeAnimation(animation, time), frameIndex: null };
+  }
+
+  if (!animation.frames.length) {
+    return null;
+  }
+
+  // Looping animations wrap around their total duration
+  const time = animation.loop && animation.totalDuration > 0
+    ? elapsedTime % animation.totalDuration
+    : elapsedTime;
+
+  let frameTime = 0;
+  for (let i = 0; i < animation.frames.length; i++) {
+    const frame = animation.frames[i];
+
+    if (frameTime + frame.duration > time) {
+      return { frame, frameIndex: i };
+    }
+
+    frameTime += frame.duration;
+  }
+
+  return null;
+};
+
+/**
+ * Finds the frame to show at a time within one pass of an animation. At the very end
+ * of a frame list its last frame is shown, so reversed playback can start there.
+ *
+ * @param {Object} animation - Animation sequence object or keyframe animation
+ * @param {number} time - Time within the animation in milliseconds
+ * @returns {Object|null} Object with frame and frameIndex, or null for an empty animation
+ */
+const sampleAnimationFrame = (animation, time) => {
+  const current = getAnimationFrameAtTime({ ...animation, loop: false }, time);
+  if (current || isKeyframeAnimation(animation)) {
+    return current;
+  }
+
+  const lastIndex = animation.frames.length - 1;
+  return lastIndex >= 0 ? { frame: animation.frames[lastIndex], frameIndex: lastIndex } : null;
+};
+
+/**
+ * Resolves the playback options of an animation instance
+ *
+ * @param {Object} animation - Animation sequence object or keyframe animation
+ * @param {Object} playback - Playback options (see createEmojiAnimator's playAnimation)
+ * @returns {Object} Object with rate, reverse, pingPong, loops and offset
+ */
+const resolvePlayback = (animation, playback = {}) => {
+  const resolved = {
+    rate: playback.rate !== undefined ? playback.rate : 1,
+    reverse: Boolean(playback.reverse),
+    pingPong: Boolean(playback.pingPong),
+    loops: playback.loops !== undefined ? playback.loops : (animation.loop ? Infinity : 1),
+    offset: playback.offset !== undefined ? playback.offset : 0
+  };
+
+  // Validate input
+  if (!(resolved.rate >= 0) || !(resolved.loops === Infinity || (Number.isInteger(resolved.loops) && resolved.loops > 0)) ||
+    !Number.isFinite(resolved.offset)) {
+    throw new Error('Invalid playback options provided to playAnimation');
+  }
+
+  return resolved;
+};
+
+/**
+ * Maps the playhead of an animation instance to a position within the animation.
+ * The playhead counts animation time across all passes; with ping-pong every pass
+ * reverses direction, and each pass counts as one loop.
+ * This is a pure function, so playback options can be tested without a render loop.
+ *
+ * @param {number} duration - Duration of one pass in milliseconds
+ * @param {number} playhead - Animation time played so far in milliseconds
+ * @param {Object} playback - Object with reverse, pingPong and loops (Infinity to loop forever)
+ * @returns {Object} Object with time (within the pass), cycle (index of the pass), reversed
+ *   and finished
+ */
+export const getPlaybackPosition = (duration, playhead, playback) => {
+  const reverse = Boolean(playback.reverse);
+
+  if (!(duration > 0)) {
+    return { time: 0, cycle: 0, reversed: reverse, finished: playback.loops !== Infinity };
+  }
+
+  const time = Math.max(0, playhead);
+  const finished = time >= duration * playback.loops;
+  const cycle = finished ? playback.loops - 1 : Math.floor(time / duration);
+  const local = finished ? duration : time - (cycle * duration);
+  const reversed = reverse !== (Boolean(playback.pingPong) && cycle % 2 === 1);
+
+  return {
+    time: reversed ? duration - local : local,
+    cycle,
+    reversed,
+    finished
+  };
+};
+
 /**
  * Creates a transition between two emojis
  *
@@ -126,59 +300,179 @@ export const createEmojiTransition = (fromEmoji, toEmoji, duration, transitionTy
   });
 };
 
+/**
+ * Half the size of the square that contains a frame, relative to the emoji size.
+ * Glyphs may be wider than their font size and rotation reaches into the corners.
+ */
+const FRAME_EXTENT = 0.75 * Math.SQRT2;
+
 /**
  * Creates an emoji animator that can play animations on a specified canvas
  *
  * @param {Object} emojiRenderer - An instance of emojiRenderer
+ * @param {Object} animatorOptions - Animator options
+ * @param {Object} animatorOptions.pipeline - Render pipeline (see createRenderPipeline) to draw into.
+ *   The animator becomes one of its layers and only redraws the regions its animations cover,
+ *   so animations play on top of grid maps and other layers.
+ * @param {string} animatorOptions.layerId - Id of the animator's pipeline layer (default: 'animations')
+ * @param {number} animatorOptions.zIndex - Z-index of the animator's pipeline layer (default: 100)
+ * @param {boolean} animatorOptions.clear - Clear the whole canvas every frame when not using a
+ *   pipeline (default: true)
+ * @param {Object} animatorOptions.scheduler - Scheduler (see createScheduler) that drives the animations
+ *   and supplies their time. Animations follow its time scale and global pause. (default: the shared
+ *   scheduler from getDefaultScheduler)
  * @returns {Object} An object with methods for animation management and playback
  */
-export const createEmojiAnimator = (emojiRenderer) => {
+export const createEmojiAnimator = (emojiRenderer, animatorOptions = {}) => {
   // Validate input
   if (!emojiRenderer || !emojiRenderer.renderEmoji) {
     throw new Error('Invalid emojiRenderer provided to createEmojiAnimator');
   }
 
+  const pipeline = animatorOptions.pipeline || null;
+  const layerId = animatorOptions.layerId || 'animations';
+  const clearEachFrame = animatorOptions.clear !== undefined ? animatorOptions.clear : true;
+  const scheduler = animatorOptions.scheduler || getDefaultScheduler();
+
   // Store active animations
   const activeAnimations = new Map();
 
-  // Animation frame request ID for the animation loop
-  let animationFrameId = null;
+  // Animation event listeners
+  const listeners = new Set();
+
+  // Removes the animation loop from the scheduler while it is running
+  let unsubscribeFrame = null;
 
   /**
-   * Starts playing an animation at the specified position
+   * Runs the animation loop on every scheduler frame
    *
-   * @param {string} animationId - Unique identifier for this animation instance
-   * @param {Object} animation - Animation sequence object
+   * @returns {void}
+   */
+  const startLoop = () => {
+    if (unsubscribeFrame === null) {
+      unsubscribeFrame = scheduler.onFrame(() => animationLoop());
+      scheduler.start();
+    }
+  };
+
+  /**
+   * Stops running the animation loop
+   *
+   * @returns {void}
+   */
+  const stopLoop = () => {
+    if (unsubscribeFrame !== null) {
+      unsubscribeFrame();
+      unsubscribeFrame = null;
+    }
+  };
+
+  /**
+   * Generates an id for an animation instance
+   *
+   * @param {string} prefix - Id prefix
+   * @returns {string} The id
+   */
+  const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+
+  /**
+   * Notifies listeners of an animation event
+   *
+   * @param {Object} state - Animation state, whose own event handler is also called
+   * @param {Object} event - Event with type, id, and name and time for markers
+   * @returns {void}
+   */
+  const emit = (state, event) => {
+    listeners.forEach(listener => listener(event));
+    if (state.onEvent) {
+      state.onEvent(event);
+    }
+  };
+
+  /**
+   * Adds an animation instance and starts the animation loop
+   *
+   * @param {string} id - Animation instance id
+   * @param {Object} animation - Animation sequence object, keyframe animation or delay node
    * @param {number} x - X coordinate on canvas
    * @param {number} y - Y coordinate on canvas
    * @param {number} size - Base size for the emoji
    * @param {Object} options - Additional rendering options
    * @param {Function} onComplete - Callback function when animation completes
-   * @returns {string} The animation ID
+   * @param {Function} onEvent - Called with every event of this instance
+   * @returns {void}
    */
-  const playAnimation = (animationId, animation, x, y, size, options = {}, onComplete = null) => {
-    const id = animationId || `anim_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-
-    activeAnimations.set(id, {
+  const startAnimation = (id, animation, x, y, size, options, onComplete, onEvent) => {
+    const playback = resolvePlayback(animation, options ? options.playback : undefined);
+    const state = {
       animation,
       x,
       y,
       size,
       options,
       onComplete,
-      startTime: Date.now(),
+      onEvent,
+      markers: animation.type === TIMELINE_NODE.DELAY ? [] : getAnimationMarkers(animation),
+      playback,
+      playhead: playback.offset,
+      lastUpdate: scheduler.getTime(),
+      markerFrom: playback.offset,
+      markerInclusive: true,
       currentFrameIndex: 0,
+      frame: null,
+      bounds: null,
       isPlaying: true
-    });
+    };
+
+    activeAnimations.set(id, state);
+    emit(state, { type: ANIMATION_EVENT.START, id });
 
     // Start the animation loop if it's not already running
-    if (animationFrameId === null) {
-      animationFrameId = requestAnimationFrame(animationLoop);
-    }
+    startLoop();
+  };
 
+  /**
+   * Starts playing an animation at the specified position
+   *
+   * @param {string} animationId - Unique identifier for this animation instance
+   * @param {Object} animation - Animation sequence object
+   * @param {number} x - X coordinate on canvas
+   * @param {number} y - Y coordinate on canvas
+   * @param {number} size - Base size for the emoji
+   * @param {Object} options - Additional rendering options
+   * @param {Object} options.playback - Playback options of this instance
+   * @param {number} options.playback.rate - Playback speed; 2 plays twice as fast (default: 1)
+   * @param {boolean} options.playback.reverse - Play from the end to the start (default: false)
+   * @param {boolean} options.playback.pingPong - Reverse direction after every pass (default: false)
+   * @param {number} options.playback.loops - Number of passes, or Infinity to loop forever
+   *   (default: Infinity for looping animations, otherwise 1)
+   * @param {number} options.playback.offset - Animation time to start at in milliseconds, e.g. a
+   *   random offset so idle loops of several characters do not run in step (default: 0)
+   * @param {Function} onComplete - Callback function when animation completes
+   * @returns {string} The animation ID
+   */
+  const playAnimation = (animationId, animation, x, y, size, options = {}, onComplete = null) => {
+    const id = animationId || generateId('anim');
+    startAnimation(id, animation, x, y, size, options, onComplete, null);
     return id;
   };
 
+  /**
+   * Removes an animation instance and the region it covered
+   *
+   * @param {string} animationId - ID of the animation
+   * @returns {void}
+   */
+  const removeAnimation = (animationId) => {
+    invalidateBounds(activeAnimations.get(animationId).bounds);
+    activeAnimations.delete(animationId);
+
+    // If no more animations are active, stop the animation loop
+    if (activeAnimations.size === 0) {
+      stopLoop();
+    }
+  };
+
   /**
    * Stops a specific animation
    *
@@ -187,14 +481,9 @@ export const createEmojiAnimator = (emojiRenderer) => {
    */
   const stopAnimation = (animationId) => {
     if (activeAnimations.has(animationId)) {
-      activeAnimations.delete(animationId);
-
-      // If no more animations are active, stop the animation loop
-      if (activeAnimations.size === 0) {
-        cancelAnimationFrame(animationFrameId);
-        animationFrameId = null;
-      }
-
+      const state = activeAnimations.get(animationId);
+      removeAnimation(animationId);
+      emit(state, { type: ANIMATION_EVENT.STOP, id: animationId });
       return true;
     }
 
@@ -205,12 +494,238 @@ export const createEmojiAnimator = (emojiRenderer) => {
    * Stops all currently playing animations
    */
   const stopAllAnimations = () => {
+    const stopped = Array.from(activeAnimations.entries());
+
+    activeAnimations.forEach(state => invalidateBounds(state.bounds));
     activeAnimations.clear();
+    stopLoop();
+
+    stopped.forEach(([id, state]) => emit(state, { type: ANIMATION_EVENT.STOP, id }));
+  };
+
+  /**
+   * Plays one node of a timeline, calling done once it has finished
+   *
+   * @param {Object} node - Animation or timeline node
+   * @param {Object} placement - Object with x, y, size and options
+   * @param {Object} group - Playback group the node belongs to
+   * @param {Function} done - Called with true when the node completed or false when it was stopped
+   * @returns {void}
+   */
+  const playNode = (node, placement, group, done) => {
+    if (group.stopped) {
+      done(false);
+      return;
+    }
+
+    switch (node.type) {
+      case TIMELINE_NODE.SEQUENCE: {
+        // Each step starts in the frame the previous one completed, so nothing flickers in between
+        const playFrom = (index) => (completed) => {
+          if (!completed || index >= node.steps.length) {
+            done(completed);
+          } else {
+            playNode(node.steps[index], placement, group, playFrom(index + 1));
+          }
+        };
+        playFrom(0)(true);
+        return;
+      }
+
+      case TIMELINE_NODE.PARALLEL: {
+        let remaining = node.steps.length;
+        let allCompleted = true;
+        if (remaining === 0) {
+          done(true);
+          return;
+        }
+        node.steps.forEach(step => playNode(step, placement, group, (completed) => {
+          allCompleted = allCompleted && completed;
+          remaining--;
+          if (remaining === 0) {
+            done(allCompleted);
+          }
+        }));
+        return;
+      }
+
+      case TIMELINE_NODE.STEP: {
+        const overrides = {};
+        ['x', 'y', 'size', 'options'].forEach(key => {
+          if (node[key] !== undefined) {
+            overrides[key] = node[key];
+          }
+        });
+        playNode(node.animation, { ...placement, ...overrides }, group, done);
+        return;
+      }
+
+      default: {
+        // Animations inside a timeline play once; a single animation keeps its loop setting
+        const id = group.single ? group.id : `${group.id}_${++group.childCount}`;
+        const animation = group.single || node.type === TIMELINE_NODE.DELAY ? node : { ...node, loop: false };
+
+        group.running.add(id);
+        startAnimation(id, animation, placement.x, placement.y, placement.size, placement.options, null, (event) => {
+          if (event.type === ANIMATION_EVENT.MARKER || event.type === ANIMATION_EVENT.LOOP) {
+            group.notify(event);
+          } else if (event.type === ANIMATION_EVENT.COMPLETE || event.type === ANIMATION_EVENT.STOP) {
+            group.running.delete(id);
+            done(event.type === ANIMATION_EVENT.COMPLETE);
+          }
+        });
+
+        if (group.paused) {
+          pauseAnimation(id);
+        }
+      }
+    }
+  };
 
-    if (animationFrameId !== null) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
+  /**
+   * Plays an animation or a timeline built with createSequence, createParallel and
+   * createDelay, and returns a playback handle.
+   *
+   * The handle can be awaited (it is thenable and has a finished promise) and resolves
+   * with { id, completed }, where completed is false if playback was stopped. Looping
+   * animations played on their own only finish when stopped. Playback options in
+   * options.playback (see playAnimation) apply to each animation of a timeline; a single
+   * animation's handle id is its animation id, so it also works with seek and getProgress.
+   *
+   * @param {Object} target - Animation or timeline node
+   * @param {number} x - X coordinate on canvas
+   * @param {number} y - Y coordinate on canvas
+   * @param {number} size - Base size for the emoji
+   * @param {Object} options - Additional rendering options
+   * @returns {Object} Playback handle
+   */
+  const play = (target, x, y, size, options = {}) => {
+    // Validate input
+    if (!target || !(isTimelineNode(target) || Array.isArray(target.frames) || isKeyframeAnimation(target))) {
+      throw new Error('Invalid animation provided to play');
     }
+
+    const handleListeners = new Set();
+    let resolveFinished;
+    const finished = new Promise(resolve => {
+      resolveFinished = resolve;
+    });
+
+    const group = {
+      id: generateId(isTimelineNode(target) ? target.type : 'anim'),
+      single: !isTimelineNode(target) || target.type === TIMELINE_NODE.DELAY,
+      childCount: 0,
+      running: new Set(),
+      paused: false,
+      stopped: false,
+      finished: false,
+      notify: (event) => handleListeners.forEach(listener => listener(event))
+    };
+
+    /**
+     * Settles the handle once playback is over
+     *
+     * @param {boolean} completed - Whether playback completed rather than being stopped
+     * @returns {void}
+     */
+    const finish = (completed) => {
+      if (group.finished) {
+        return;
+      }
+      group.finished = true;
+      group.notify({ type: completed ? ANIMATION_EVENT.COMPLETE : ANIMATION_EVENT.STOP, id: group.id });
+      resolveFinished({ id: group.id, completed });
+    };
+
+    /**
+     * Adds a listener for the handle's events
+     *
+     * @param {Function} filter - Returns true for events the listener wants
+     * @param {Function} callback - The listener
+     * @returns {Function} Function that removes the listener
+     */
+    const listen = (filter, callback) => {
+      const listener = (event) => {
+        if (filter(event)) {
+          callback(event);
+        }
+      };
+      handleListeners.add(listener);
+      return () => handleListeners.delete(listener);
+    };
+
+    const handle = {
+      id: group.id,
+      finished,
+
+      /**
+       * Makes the handle awaitable
+       *
+       * @param {Function} onFulfilled - Called with { id, completed }
+       * @param {Function} onRejected - Called if playback fails
+       * @returns {Promise} Promise for the callback's result
+       */
+      then: (onFulfilled, onRejected) => finished.then(onFulfilled, onRejected),
+
+      /**
+       * Listens for an event type of this playback: 'marker', 'loop', 'complete' or 'stop'
+       *
+       * @param {string} type - Event type from ANIMATION_EVENT
+       * @param {Function} callback - Called with the event
+       * @returns {Function} Function that removes the listener
+       */
+      on: (type, callback) => listen(event => event.type === type, callback),
+
+      /**
+       * Listens for a named marker of any animation in this playback
+       *
+       * @param {string} name - Marker name
+       * @param {Function} callback - Called with the marker event
+       * @returns {Function} Function that removes the listener
+       */
+      onMarker: (name, callback) => listen(event => event.type === ANIMATION_EVENT.MARKER && event.name === name, callback),
+
+      /**
+       * Stops playback; the handle resolves with completed set to false
+       *
+       * @returns {void}
+       */
+      stop: () => {
+        group.stopped = true;
+        Array.from(group.running).forEach(stopAnimation);
+        finish(false);
+      },
+
+      /**
+       * Pauses every animation of this playback
+       *
+       * @returns {void}
+       */
+      pause: () => {
+        group.paused = true;
+        group.running.forEach(pauseAnimation);
+      },
+
+      /**
+       * Resumes every animation of this playback
+       *
+       * @returns {void}
+       */
+      resume: () => {
+        group.paused = false;
+        group.running.forEach(resumeAnimation);
+      },
+
+      /**
+       * Checks whether playback has finished
+       *
+       * @returns {boolean} True once completed or stopped
+       */
+      isFinished: () => group.finished
+    };
+
+    playNode(target, { x, y, size, options }, group, finish);
+    return handle;
   };
 
   /**
@@ -222,8 +737,12 @@ export const createEmojiAnimator = (emojiRenderer) => {
   const pauseAnimation = (animationId) => {
     if (activeAnimations.has(animationId)) {
       const animationState = activeAnimations.get(animationId);
-      animationState.isPlaying = false;
-      activeAnimations.set(animationId, animationState);
+
+      // Count the time played since the last frame so resuming continues from the same point
+      if (animationState.isPlaying) {
+        advancePlayhead(animationState);
+        animationState.isPlaying = false;
+      }
       return true;
     }
 
@@ -239,15 +758,16 @@ export const createEmojiAnimator = (emojiRenderer) => {
   const resumeAnimation = (animationId) => {
     if (activeAnimations.has(animationId)) {
       const animationState = activeAnimations.get(animationId);
-      animationState.isPlaying = true;
-      animationState.startTime = Date.now() - animationState.elapsedTime;
-      activeAnimations.set(animationId, animationState);
 
-      // Restart the animation loop if it's not running
-      if (animationFrameId === null) {
-        animationFrameId = requestAnimationFrame(animationLoop);
+      // Time spent paused is not played
+      if (!animationState.isPlaying) {
+        animationState.lastUpdate = scheduler.getTime();
+        animationState.isPlaying = true;
       }
 
+      // Restart the animation loop if it's not running
+      startLoop();
+
       return true;
     }
 
@@ -255,84 +775,317 @@ export const createEmojiAnimator = (emojiRenderer) => {
   };
 
   /**
-   * The main animation loop that updates and renders all active animations
+   * Moves an animation's playhead by the scheduler time since its last update
+   *
+   * @param {Object} state - Animation state
+   * @returns {void}
    */
-  const animationLoop = () => {
-    const currentTime = Date.now();
+  const advancePlayhead = (state) => {
+    const now = scheduler.getTime();
+    state.playhead += (now - state.lastUpdate) * state.playback.rate;
+    state.lastUpdate = now;
+  };
 
-    // Clear the canvas once at the beginning of each animation frame
-    // This prevents the "blurring" effect caused by previous frames remaining visible
-    const ctx = emojiRenderer.getContext();
-    emojiRenderer.clearCanvas();
+  /**
+   * Moves an animation to a time within its current pass, keeping its direction.
+   * Paused animations show the frame at that time, so a paused animation can be
+   * scrubbed in an editor. Markers at the new time are emitted when playback continues.
+   *
+   * @param {string} animationId - ID of the animation
+   * @param {number} time - Time within the animation in milliseconds
+   * @returns {boolean} True if the animation was found
+   */
+  const seek = (animationId, time) => {
+    const state = activeAnimations.get(animationId);
+    if (!state || state.animation.type === TIMELINE_NODE.DELAY) {
+      return false;
+    }
 
-    // Process each active animation
-    for (const [id, state] of activeAnimations.entries()) {
-      if (!state.isPlaying) {
-        // Skip paused animations but store elapsed time
-        state.elapsedTime = currentTime - state.startTime;
-        continue;
+    const duration = state.animation.totalDuration;
+    const target = Math.min(Math.max(0, time), duration);
+    const { cycle, reversed } = getPlaybackPosition(duration, state.playhead, state.playback);
+
+    state.playhead = (cycle * duration) + (reversed ? duration - target : target);
+    state.lastUpdate = scheduler.getTime();
+    state.markerFrom = state.playhead;
+    state.markerInclusive = true;
+
+    const current = sampleAnimationFrame(state.animation, target);
+    if (current) {
+      state.currentFrameIndex = current.frameIndex;
+      showFrame(state, current.frame);
+    }
+    return true;
+  };
+
+  /**
+   * Gets how far an animation is through its current pass
+   *
+   * @param {string} animationId - ID of the animation
+   * @returns {number|null} Progress from 0.0 to 1.0, or null if the animation is not active
+   */
+  const getProgress = (animationId) => {
+    const state = activeAnimations.get(animationId);
+    if (!state) {
+      return null;
+    }
+
+    if (state.animation.type === TIMELINE_NODE.DELAY) {
+      return state.animation.duration > 0 ? Math.min(1, state.playhead / state.animation.duration) : 1;
+    }
+
+    const duration = state.animation.totalDuration;
+    const position = getPlaybackPosition(duration, state.playhead, state.playback);
+    return duration > 0 ? position.time / duration : 1;
+  };
+
+  /**
+   * Changes the playback speed of an animation
+   *
+   * @param {string} animationId - ID of the animation
+   * @param {number} rate - Playback speed; 1 is normal speed
+   * @returns {boolean} True if the animation was found
+   */
+  const setPlaybackRate = (animationId, rate) => {
+    // Validate input
+    if (!(rate >= 0)) {
+      throw new Error('Invalid rate provided to setPlaybackRate');
+    }
+
+    const state = activeAnimations.get(animationId);
+    if (!state) {
+      return false;
+    }
+
+    // Time played so far counts at the old rate
+    if (state.isPlaying) {
+      advancePlayhead(state);
+    }
+    state.playback.rate = rate;
+    return true;
+  };
+
+  /**
+   * Marks a screen region of the pipeline for redraw
+   *
+   * @param {Object} bounds - Rectangle to redraw, or null
+   * @returns {void}
+   */
+  const invalidateBounds = (bounds) => {
+    if (pipeline && bounds) {
+      pipeline.invalidate(bounds);
+      pipeline.requestRender();
+    }
+  };
+
+  /**
+   * Calculates the screen rectangle covered by an animation frame
+   *
+   * @param {Object} state - Animation state
+   * @param {Object} frame - Animation frame
+   * @returns {Object} Rectangle with x, y, width and height
+   */
+  const getFrameBounds = (state, frame) => {
+    const extent = state.size * Math.abs(frame.scale) * FRAME_EXTENT;
+    return {
+      x: state.x + (frame.x || 0) - extent,
+      y: state.y + (frame.y || 0) - extent,
+      width: extent * 2,
+      height: extent * 2
+    };
+  };
+
+  /**
+   * Sets the frame an animation shows, invalidating the regions it leaves and enters
+   *
+   * @param {Object} state - Animation state
+   * @param {Object} frame - Animation frame
+   * @returns {void}
+   */
+  const showFrame = (state, frame) => {
+    const bounds = getFrameBounds(state, frame);
+
+    if (pipeline) {
+      if (state.bounds) {
+        pipeline.invalidate(state.bounds);
+      }
+      pipeline.invalidate(bounds);
+    }
+
+    state.frame = frame;
+    state.bounds = bounds;
+  };
+
+  /**
+   * Draws the current frame of every active animation without clearing anything.
+   * This is the animator's pipeline layer; call it directly to draw animations
+   * from your own render loop.
+   *
+   * @returns {void}
+   */
+  const renderAnimations = () => {
+    activeAnimations.forEach(state => {
+      if (state.frame) {
+        renderAnimationFrame(state.frame, state.x, state.y, state.size, state.options);
       }
+    });
+  };
 
-      const { animation, x, y, size, options, startTime, onComplete } = state;
-      const elapsedTime = currentTime - startTime;
+  /**
+   * Emits the markers and loop events an animation's playhead passed since the last
+   * frame, in the order they were passed
+   *
+   * @param {string} id - Animation instance id
+   * @param {Object} state - Animation state
+   * @returns {void}
+   */
+  const emitPlaybackEvents = (id, state) => {
+    const { playback } = state;
+    const duration = Math.max(0, state.animation.totalDuration);
+    const from = state.markerFrom;
+    const to = duration > 0 ? Math.min(state.playhead, duration * playback.loops) : 0;
+    const inclusive = state.markerInclusive;
 
-      // Find the current frame based on elapsed time
-      let frameTime = 0;
-      let currentFrameIndex = 0;
-      let currentFrame = null;
+    state.markerFrom = to;
+    state.markerInclusive = false;
 
-      // Calculate which frame we should be on
-      for (let i = 0; i < animation.frames.length; i++) {
-        const frame = animation.frames[i];
+    /**
+     * Gets the pass a playhead position belongs to
+     *
+     * @param {number} playhead - Playhead position
+     * @returns {number} Pass index
+     */
+    const getCycle = (playhead) => (duration > 0
+      ? Math.min(Math.floor(Math.max(0, playhead) / duration), playback.loops - 1)
+      : 0);
 
-        if (frameTime + frame.duration > elapsedTime) {
-          // Found the current frame
-          currentFrameIndex = i;
-          currentFrame = frame;
-          break;
-        }
+    // Limit the work after long jumps of very short looping animations
+    const lastCycle = getCycle(to);
+    const firstCycle = Math.max(getCycle(from), lastCycle - 100);
+
+    // Collect events with their playhead position; order breaks ties between passes
+    const passed = [];
+    const isPassed = (playhead) => (inclusive ? playhead >= from : playhead > from) && playhead <= to;
+
+    for (let cycle = firstCycle; cycle <= lastCycle; cycle++) {
+      const reversed = getPlaybackPosition(duration, cycle * duration, playback).reversed;
 
-        frameTime += frame.duration;
+      if (cycle > 0 && isPassed(cycle * duration)) {
+        passed.push({ playhead: cycle * duration, order: cycle - 0.5, event: { type: ANIMATION_EVENT.LOOP, id } });
       }
 
-      // If we've gone past the last frame
-      if (currentFrame === null) {
-        if (animation.loop) {
-          // Loop back to the beginning
-          state.startTime = currentTime;
-          currentFrameIndex = 0;
-          currentFrame = animation.frames[0];
-        } else {
-          // Animation is complete
-          stopAnimation(id);
+      state.markers.forEach(marker => {
+        const time = Math.min(Math.max(0, marker.time), duration);
+        const playhead = (cycle * duration) + (reversed ? duration - time : time);
+        if (isPassed(playhead)) {
+          passed.push({
+            playhead,
+            order: cycle,
+            event: {
+              type: ANIMATION_EVENT.MARKER,
+              id,
+              name: marker.name,
+              time: marker.time,
+              animation: state.animation
+            }
+          });
+        }
+      });
+    }
 
-          if (onComplete && typeof onComplete === 'function') {
-            onComplete();
-          }
+    passed
+      .sort((a, b) => (a.playhead - b.playhead) || (a.order - b.order))
+      .forEach(entry => {
+        if (activeAnimations.has(id)) {
+          emit(state, entry.event);
+        }
+      });
+  };
+
+  /**
+   * Removes a finished animation and notifies its callback and listeners
+   *
+   * @param {string} id - Animation instance id
+   * @param {Object} state - Animation state
+   * @returns {void}
+   */
+  const completeAnimation = (id, state) => {
+    removeAnimation(id);
+
+    if (state.onComplete && typeof state.onComplete === 'function') {
+      state.onComplete();
+    }
+    emit(state, { type: ANIMATION_EVENT.COMPLETE, id });
+  };
+
+  /**
+   * The main animation loop that updates and renders all active animations.
+   * It runs as a frame callback of the scheduler.
+   */
+  const animationLoop = () => {
+    const currentTime = scheduler.getTime();
+
+    // Process each active animation
+    for (const [id, state] of activeAnimations.entries()) {
+      // Paused animations keep showing their current frame
+      if (!state.isPlaying) {
+        continue;
+      }
 
-          continue;
+      const { animation } = state;
+      advancePlayhead(state);
+
+      // Delays draw nothing and complete once their time is up
+      if (animation.type === TIMELINE_NODE.DELAY) {
+        if (state.playhead >= animation.duration) {
+          completeAnimation(id, state);
         }
+        continue;
+      }
+
+      // Emit the markers and loops passed since the last frame; listeners may stop the animation
+      emitPlaybackEvents(id, state);
+      if (!activeAnimations.has(id)) {
+        continue;
       }
 
-      // Update the current frame index in the state
-      state.currentFrameIndex = currentFrameIndex;
+      const position = getPlaybackPosition(animation.totalDuration, state.playhead, state.playback);
+      if (position.finished) {
+        // Animation is complete
+        completeAnimation(id, state);
+        continue;
+      }
 
-      // Render the current frame with its transformations
-      renderAnimationFrame(currentFrame, x, y, size, options);
+      // Find the current frame within the current pass
+      const current = sampleAnimationFrame(animation, position.time);
+      if (current) {
+        state.currentFrameIndex = current.frameIndex;
+        showFrame(state, current.frame);
+      }
     }
 
-    // Continue the animation loop if there are active animations
-    if (activeAnimations.size > 0) {
-      animationFrameId = requestAnimationFrame(animationLoop);
+    if (pipeline) {
+      // Redraw only the regions the animations left or entered
+      pipeline.render(currentTime);
     } else {
-      animationFrameId = null;
+      // Clear the canvas once per animation frame so previous frames do not remain visible
+      if (clearEachFrame) {
+        emojiRenderer.clearCanvas();
+      }
+      renderAnimations();
+    }
+
+    // Stop the animation loop once there are no active animations
+    if (activeAnimations.size === 0) {
+      stopLoop();
     }
   };
 
   /**
    * Renders a single animation frame with transformations
    *
-   * @param {Object} frame - The animation frame to render
+   * @param {Object} frame - The animation frame to render. Frames sampled from keyframe
+   *   animations may carry x and y offsets from the animation position.
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    * @param {number} baseSize - Base size for the emoji
@@ -345,7 +1098,7 @@ export const createEmojiAnimator = (emojiRenderer) => {
     ctx.save();
 
     // Apply transformations
-    ctx.translate(x, y);
+    ctx.translate(x + (frame.x || 0), y + (frame.y || 0));
 
     if (frame.rotation !== 0) {
       ctx.rotate(frame.rotation);
@@ -359,8 +1112,8 @@ export const createEmojiAnimator = (emojiRenderer) => {
       ctx.globalAlpha = frame.opacity;
     }
 
-    // Render the emoji at the origin (transformations have been applied)
-    emojiRenderer.renderEmoji(frame.emoji, 0, 0, baseSize * frame.scale, options);
+    // Render the emoji at the origin (transformations, including scale, have been applied)
+    emojiRenderer.renderEmoji(frame.emoji, 0, 0, baseSize, options);
 
     // Restore the context state
     ctx.restore();
@@ -450,22 +1203,58 @@ export const createEmojiAnimator = (emojiRenderer) => {
    * @returns {CanvasRenderingContext2D} The canvas 2D rendering context
    */
   const getContext = () => {
-    // This assumes the emojiRenderer has a way to access its context
-    // If not, this would need to be passed in or handled differently
-    return emojiRenderer.ctx || null;
+    return emojiRenderer.getContext();
+  };
+
+  /**
+   * Stops all animations and removes the animator's pipeline layer
+   *
+   * @returns {void}
+   */
+  const destroy = () => {
+    stopAllAnimations();
+    if (pipeline) {
+      pipeline.removeLayer(layerId);
+    }
   };
 
+  // Draw animations as a layer of the pipeline
+  if (pipeline) {
+    pipeline.addLayer(layerId, renderAnimations, {
+      zIndex: animatorOptions.zIndex !== undefined ? animatorOptions.zIndex : 100
+    });
+  }
+
   // Return the public API
   return {
+    play,
     playAnimation,
     stopAnimation,
     stopAllAnimations,
     pauseAnimation,
     resumeAnimation,
+    seek,
+    getProgress,
+    setPlaybackRate,
     createEmojiCycleAnimation,
     createTypingAnimation,
     createBounceAnimation,
     createShakeAnimation,
-    getContext
+    renderAnimationFrame,
+    renderAnimations,
+    getContext,
+    destroy,
+
+    /**
+     * Subscribes to animation events of all animations. Listeners receive { type, id }
+     * where type is from ANIMATION_EVENT; marker events also have name, time and animation.
+     *
+     * @param {Function} listener - Event listener
+     * @returns {Function} Function that removes the listener
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
   };
 };
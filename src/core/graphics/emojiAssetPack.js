@@ -0,0 +1,440 @@
+/**
+ * emojiAssetPack.js
+ *
+ * A module for drawing emojis from a bundled asset pack instead of the system font,
+ * so that every player sees the same art. A pack is either a directory of SVG or PNG
+ * files named by code point sequence (for example 1f9d1-200d-1f4bb.svg) or a sprite
+ * sheet image with a JSON manifest. Glyphs missing from the pack fall back to the
+ * system font.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Enum for asset pack formats
+ * @readonly
+ * @enum {string}
+ */
+export const EMOJI_ASSET_FORMAT = {
+  SVG: 'svg',
+  PNG: 'png',
+  SPRITE_SHEET: 'sprite-sheet'
+};
+
+/**
+ * Enum for asset pack loading states
+ * @readonly
+ * @enum {string}
+ */
+export const EMOJI_ASSET_STATE = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  READY: 'ready',
+  ERROR: 'error'
+};
+
+/**
+ * Converts an emoji to its code point key, e.g. '🧑‍💻' becomes '1f9d1-200d-1f4bb'
+ *
+ * @param {string} emoji - The emoji
+ * @param {Object} options - Key options
+ * @param {string} options.separator - Separator between code points (default: '-')
+ * @param {boolean} options.keepSelectors - Keep U+FE0F presentation selectors (default: false)
+ * @returns {string} The code point key
+ */
+export const toCodePointKey = (emoji, options = {}) => {
+  const separator = options.separator !== undefined ? options.separator : '-';
+  const text = options.keepSelectors ? emoji : emoji.replace(/\uFE0F/g, '');
+  return Array.from(text).map(char => char.codePointAt(0).toString(16)).join(separator);
+};
+
+/**
+ * Computes where a square sprite is drawn so that it lines up with text drawn
+ * at the same position, size, alignment and baseline
+ *
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} size - Sprite size in pixels
+ * @param {string} textAlign - Canvas textAlign value (default: 'center')
+ * @param {string} textBaseline - Canvas textBaseline value (default: 'middle')
+ * @returns {Object} Object with x, y, width and height of the sprite
+ */
+export const getSpriteRect = (x, y, size, textAlign = 'center', textBaseline = 'middle') => {
+  let left = x - (size / 2);
+  if (textAlign === 'left' || textAlign === 'start') {
+    left = x;
+  } else if (textAlign === 'right' || textAlign === 'end') {
+    left = x - size;
+  }
+
+  let top = y - (size / 2);
+  if (textBaseline === 'top' || textBaseline === 'hanging') {
+    top = y;
+  } else if (textBaseline === 'bottom' || textBaseline === 'ideographic') {
+    top = y - size;
+  } else if (textBaseline === 'alphabetic') {
+    top = y - (size * 0.8);
+  }
+
+  return { x: left, y: top, width: size, height: size };
+};
+
+/**
+ * Resolves a project-relative path against a base URL
+ *
+ * @param {string} path - The path
+ * @param {string} baseUrl - Base URL, or null to leave the path unchanged
+ * @returns {string} The resolved path
+ */
+const resolvePath = (path, baseUrl) => {
+  if (!baseUrl) {
+    return path;
+  }
+  try {
+    return new URL(path, baseUrl).href;
+  } catch (error) {
+    // Relative bases (such as a pack directory without a page URL) are joined as paths
+    if (/^([a-z][a-z\d+.-]*:|\/)/i.test(path)) {
+      return path;
+    }
+    return `${baseUrl.replace(/[^/]*$/, '')}${path}`;
+  }
+};
+
+/**
+ * Loads an image with an HTML image element
+ *
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} Promise resolving to the loaded image
+ */
+const loadImageElement = (url) => new Promise((resolve, reject) => {
+  if (typeof Image === 'undefined') {
+    reject(new Error('No image loader available; pass options.loadImage'));
+    return;
+  }
+
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Failed to load emoji asset ${url}`));
+  image.src = url;
+});
+
+/**
+ * Loads a JSON file with fetch
+ *
+ * @param {string} url - JSON URL
+ * @returns {Promise<Object>} Promise resolving to the parsed JSON
+ */
+const fetchJson = (url) => {
+  if (typeof fetch !== 'function') {
+    return Promise.reject(new Error('No JSON loader available; pass options.loadJson'));
+  }
+
+  return fetch(url).then(response => {
+    if (!response.ok) {
+      throw new Error(`Failed to load emoji manifest ${url}`);
+    }
+    return response.json();
+  });
+};
+
+/**
+ * Creates an emoji asset pack.
+ *
+ * A sprite sheet manifest looks like:
+ * { "image": "sheet.png", "size": 64, "columns": 32,
+ *   "glyphs": { "1f600": 0, "1f9d1-200d-1f4bb": [3, 5], "2764": { "x": 0, "y": 64, "width": 64, "height": 64 } } }
+ * where a glyph is a cell index, a [column, row] pair or a pixel rectangle.
+ *
+ * @param {Object} options - Asset pack options
+ * @param {string} options.path - Project-relative path of the pack directory (default: 'assets/emoji/')
+ * @param {string} options.format - Format from EMOJI_ASSET_FORMAT (default: EMOJI_ASSET_FORMAT.SVG)
+ * @param {string|Object} options.manifest - Sprite sheet manifest, or its file name inside the pack
+ *   directory (default: 'manifest.json')
+ * @param {string} options.baseUrl - URL that the path is relative to (default: document.baseURI when available)
+ * @param {Function} options.fileName - Maps a code point key to a file name for SVG and PNG packs
+ *   (default: key plus the format's extension)
+ * @param {string} options.separator - Separator between code points in keys (default: '-')
+ * @param {boolean} options.keepSelectors - Keep U+FE0F in keys (default: false)
+ * @param {Function} options.loadImage - Loads an image URL and returns a promise (default: uses Image)
+ * @param {Function} options.loadJson - Loads a JSON URL and returns a promise (default: uses fetch)
+ * @returns {Object} An emoji asset pack object
+ */
+export const createEmojiAssetPack = (options = {}) => {
+  const format = options.format || EMOJI_ASSET_FORMAT.SVG;
+
+  // Validate input
+  if (!Object.values(EMOJI_ASSET_FORMAT).includes(format)) {
+    throw new Error('Invalid format provided to createEmojiAssetPack');
+  }
+
+  const baseUrl = options.baseUrl !== undefined
+    ? options.baseUrl
+    : (typeof document !== 'undefined' && document.baseURI) || null;
+
+  const config = {
+    path: options.path || 'assets/emoji/',
+    manifest: options.manifest || 'manifest.json',
+    fileName: options.fileName || (key => `${key}.${format === EMOJI_ASSET_FORMAT.PNG ? 'png' : 'svg'}`),
+    keyOptions: { separator: options.separator, keepSelectors: options.keepSelectors },
+    loadImage: options.loadImage || loadImageElement,
+    loadJson: options.loadJson || fetchJson
+  };
+
+  // Directory of the pack with a trailing slash
+  const directory = resolvePath(config.path.endsWith('/') ? config.path : `${config.path}/`, baseUrl);
+
+  let state = EMOJI_ASSET_STATE.IDLE;
+  let loadPromise = null;
+
+  // Sprite sheet image and glyph rectangles by key
+  let sheet = null;
+  const sheetGlyphs = new Map();
+
+  // Individual images by key, keys that are loading and keys missing from the pack
+  const images = new Map();
+  const pending = new Map();
+  const missing = new Set();
+
+  // Change listeners
+  const listeners = new Set();
+
+  /**
+   * Notifies listeners of a pack change
+   *
+   * @param {Object} event - Change event
+   * @returns {void}
+   */
+  const notify = (event) => {
+    listeners.forEach(listener => listener(event));
+  };
+
+  /**
+   * Gets the key of an emoji
+   *
+   * @param {string} emoji - The emoji
+   * @returns {string} Code point key
+   */
+  const getKey = (emoji) => toCodePointKey(emoji, config.keyOptions);
+
+  /**
+   * Converts a manifest glyph entry into a pixel rectangle
+   *
+   * @param {number|Array<number>|Object} entry - Cell index, [column, row] pair or rectangle
+   * @param {Object} manifest - The manifest
+   * @returns {Object|null} Rectangle with x, y, width and height
+   */
+  const toGlyphRect = (entry, manifest) => {
+    const size = manifest.size || 64;
+    const columns = manifest.columns || 1;
+
+    if (typeof entry === 'number') {
+      return { x: (entry % columns) * size, y: Math.floor(entry / columns) * size, width: size, height: size };
+    }
+    if (Array.isArray(entry)) {
+      return { x: entry[0] * size, y: entry[1] * size, width: size, height: size };
+    }
+    if (entry && typeof entry === 'object') {
+      return { x: entry.x, y: entry.y, width: entry.width || size, height: entry.height || size };
+    }
+    return null;
+  };
+
+  /**
+   * Loads the sprite sheet manifest and image
+   *
+   * @returns {Promise<void>} Promise resolving when the sheet is loaded
+   */
+  const loadSheet = () => {
+    const manifestPromise = typeof config.manifest === 'object'
+      ? Promise.resolve(config.manifest)
+      : config.loadJson(resolvePath(config.manifest, directory));
+
+    return manifestPromise.then(manifest => {
+      if (!manifest || !manifest.image || !manifest.glyphs) {
+        throw new Error('Invalid emoji sprite sheet manifest');
+      }
+
+      Object.entries(manifest.glyphs).forEach(([key, entry]) => {
+        const rect = toGlyphRect(entry, manifest);
+        if (rect) {
+          sheetGlyphs.set(key.toLowerCase(), rect);
+        }
+      });
+
+      return config.loadImage(resolvePath(manifest.image, directory));
+    }).then(image => {
+      sheet = image;
+    });
+  };
+
+  /**
+   * Loads the pack. SVG and PNG packs are ready right away and load glyphs on demand;
+   * sprite sheet packs load their manifest and image.
+   *
+   * @returns {Promise<Object>} Promise resolving to the pack
+   */
+  const load = () => {
+    if (loadPromise) {
+      return loadPromise;
+    }
+
+    if (format !== EMOJI_ASSET_FORMAT.SPRITE_SHEET) {
+      state = EMOJI_ASSET_STATE.READY;
+      loadPromise = Promise.resolve(pack);
+      return loadPromise;
+    }
+
+    state = EMOJI_ASSET_STATE.LOADING;
+    loadPromise = loadSheet().then(() => {
+      state = EMOJI_ASSET_STATE.READY;
+      notify({ type: 'load' });
+      return pack;
+    }, (error) => {
+      state = EMOJI_ASSET_STATE.ERROR;
+      notify({ type: 'error', error });
+      throw error;
+    });
+    return loadPromise;
+  };
+
+  /**
+   * Loads the image of one glyph of an SVG or PNG pack
+   *
+   * @param {string} key - Code point key
+   * @returns {Promise<boolean>} Promise resolving to true if the glyph exists in the pack
+   */
+  const loadGlyph = (key) => {
+    if (images.has(key)) {
+      return Promise.resolve(true);
+    }
+    if (missing.has(key)) {
+      return Promise.resolve(false);
+    }
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+
+    const promise = config.loadImage(resolvePath(config.fileName(key), directory)).then(image => {
+      pending.delete(key);
+      images.set(key, image);
+      notify({ type: 'glyph', key });
+      return true;
+    }, () => {
+      pending.delete(key);
+      missing.add(key);
+      return false;
+    });
+
+    pending.set(key, promise);
+    return promise;
+  };
+
+  /**
+   * Gets the sprite of an emoji. Glyphs of SVG and PNG packs are loaded on first
+   * request; until then, and for glyphs missing from the pack, null is returned so
+   * the caller can fall back to the system font. Listeners receive a 'glyph' event
+   * when a glyph becomes available.
+   *
+   * @param {string} emoji - The emoji
+   * @returns {Object|null} Sprite with id, image, sx, sy, sw and sh, or null
+   */
+  const getSprite = (emoji) => {
+    if (!emoji) {
+      return null;
+    }
+
+    // Start loading on first use; the system font is used until the pack is ready
+    if (state === EMOJI_ASSET_STATE.IDLE) {
+      load().catch(() => {});
+    }
+    if (state !== EMOJI_ASSET_STATE.READY) {
+      return null;
+    }
+
+    const key = getKey(emoji);
+
+    if (format === EMOJI_ASSET_FORMAT.SPRITE_SHEET) {
+      const rect = sheetGlyphs.get(key);
+      return rect
+        ? { id: `${directory}#${key}`, image: sheet, sx: rect.x, sy: rect.y, sw: rect.width, sh: rect.height }
+        : null;
+    }
+
+    const image = images.get(key);
+    if (!image) {
+      loadGlyph(key);
+      return null;
+    }
+
+    const width = image.naturalWidth || image.width || 0;
+    const height = image.naturalHeight || image.height || 0;
+    return { id: `${directory}#${key}`, image, sx: 0, sy: 0, sw: width, sh: height };
+  };
+
+  /**
+   * Loads the glyphs of several emojis ahead of time
+   *
+   * @param {Array<string>} emojis - Emojis to load
+   * @returns {Promise<Array<string>>} Promise resolving to the emojis found in the pack
+   */
+  const preload = (emojis) => {
+    return load().then(() => {
+      if (format === EMOJI_ASSET_FORMAT.SPRITE_SHEET) {
+        return emojis.filter(emoji => sheetGlyphs.has(getKey(emoji)));
+      }
+      return Promise.all(emojis.map(emoji => loadGlyph(getKey(emoji))))
+        .then(found => emojis.filter((emoji, index) => found[index]));
+    });
+  };
+
+  const pack = {
+    load,
+    preload,
+    getSprite,
+    getKey,
+
+    /**
+     * Checks whether the pack has a loaded glyph for an emoji
+     *
+     * @param {string} emoji - The emoji
+     * @returns {boolean} True if the glyph can be drawn from the pack
+     */
+    has: (emoji) => {
+      const key = getKey(emoji);
+      return format === EMOJI_ASSET_FORMAT.SPRITE_SHEET ? sheetGlyphs.has(key) && Boolean(sheet) : images.has(key);
+    },
+
+    /**
+     * Gets the loading state of the pack
+     *
+     * @returns {string} State from EMOJI_ASSET_STATE
+     */
+    getState: () => state,
+
+    /**
+     * Gets pack statistics
+     *
+     * @returns {Object} Object with glyphs, pending and missing counts
+     */
+    getStats: () => ({
+      glyphs: format === EMOJI_ASSET_FORMAT.SPRITE_SHEET ? sheetGlyphs.size : images.size,
+      pending: pending.size,
+      missing: missing.size
+    }),
+
+    /**
+     * Subscribes to pack changes. Listeners receive { type } where type is 'load'
+     * (sprite sheet loaded), 'glyph' (a glyph file loaded) or 'error'.
+     *
+     * @param {Function} listener - Change listener
+     * @returns {Function} Function that removes the listener
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+
+  // Return the pack object
+  return pack;
+};
@@ -0,0 +1,479 @@
+/**
+ * emojiAtlas.js
+ *
+ * A glyph cache that rasterizes each emoji once into offscreen atlas pages so it
+ * can be blitted with drawImage instead of being re-rendered with fillText.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { createCanvasSurface } from './renderBackend.js';
+import { getSpriteRect } from './emojiAssetPack.js';
+
+/**
+ * Creates an offscreen drawing surface
+ *
+ * @param {number} width - Surface width in pixels
+ * @param {number} height - Surface height in pixels
+ * @returns {Object} Object containing the canvas and its 2D context
+ */
+const createDefaultSurface = (width, height) => {
+  const surface = createCanvasSurface(width, height);
+  return {
+    canvas: surface.getCanvas(),
+    ctx: surface.getContext()
+  };
+};
+
+/**
+ * Builds the cache key for a glyph
+ *
+ * @param {string} emoji - The emoji character
+ * @param {number} size - Font size in pixels
+ * @param {Object} style - Resolved glyph style
+ * @returns {string} Cache key
+ */
+const createGlyphKey = (emoji, size, style) =>
+  [
+    emoji, size, style.font, style.textAlign, style.textBaseline, style.color, style.pixelRatio,
+    style.tint, style.tintAmount, style.sprite ? style.sprite.id : ''
+  ].join('|');
+
+/**
+ * Calculates where the text anchor sits inside a glyph slot
+ *
+ * @param {number} width - Slot width in pixels
+ * @param {number} height - Slot height in pixels
+ * @param {number} size - Font size in pixels
+ * @param {number} padding - Slot padding in pixels
+ * @param {Object} style - Resolved glyph style
+ * @returns {Object} Object with anchorX and anchorY
+ */
+const getGlyphAnchor = (width, height, size, padding, style) => {
+  const innerHeight = height - (padding * 2);
+
+  let anchorX = width / 2;
+  if (style.textAlign === 'left' || style.textAlign === 'start') {
+    anchorX = padding;
+  } else if (style.textAlign === 'right' || style.textAlign === 'end') {
+    anchorX = width - padding;
+  }
+
+  let anchorY = height / 2;
+  if (style.textBaseline === 'top' || style.textBaseline === 'hanging') {
+    anchorY = padding + ((innerHeight - size) / 2);
+  } else if (style.textBaseline === 'bottom' || style.textBaseline === 'ideographic') {
+    anchorY = padding + ((innerHeight + size) / 2);
+  } else if (style.textBaseline === 'alphabetic') {
+    anchorY = padding + (innerHeight / 2) + (size * 0.3);
+  }
+
+  return { anchorX, anchorY };
+};
+
+/**
+ * Creates a glyph atlas that caches rasterized emojis in offscreen pages.
+ * Glyphs are packed into pages with a shelf packer. Slots of evicted or
+ * invalidated glyphs are reused by later glyphs of a similar size, and when
+ * every page is full the least recently used page is wiped and reused.
+ *
+ * @param {Object} options - Atlas options
+ * @param {number} options.pageSize - Width and height of each atlas page (default: 1024)
+ * @param {number} options.maxPages - Maximum number of pages to allocate (default: 4)
+ * @param {number} options.maxEntries - Maximum number of cached glyphs; the slots of glyphs evicted
+ *   over the limit are reused by later glyphs of a similar size (default: 2048)
+ * @param {number} options.padding - Padding around each glyph in pixels (default: 2)
+ * @param {Function} options.createSurface - Factory returning { canvas, ctx } for a new page
+ * @returns {Object} A glyph atlas object
+ */
+export const createGlyphAtlas = (options = {}) => {
+  const config = {
+    pageSize: options.pageSize || 1024,
+    maxPages: options.maxPages || 4,
+    maxEntries: options.maxEntries || 2048,
+    padding: options.padding !== undefined ? options.padding : 2,
+    createSurface: options.createSurface || createDefaultSurface
+  };
+
+  // Cached glyphs in least-recently-used order (oldest first)
+  const entries = new Map();
+
+  // Allocated atlas pages
+  const pages = [];
+
+  // Cache statistics
+  const stats = {
+    hits: 0,
+    misses: 0,
+    evictions: 0,
+    pageResets: 0,
+    oversized: 0
+  };
+
+  // Monotonic counter used to track page usage
+  let useCounter = 0;
+
+  /**
+   * Creates a new empty atlas page
+   *
+   * @returns {Object} Atlas page
+   */
+  const createPage = () => {
+    const surface = config.createSurface(config.pageSize, config.pageSize);
+    return {
+      canvas: surface.canvas,
+      ctx: surface.ctx,
+      shelves: [],
+      freeSlots: [],
+      nextY: 0,
+      lastUsed: useCounter
+    };
+  };
+
+  /**
+   * Wipes a page and drops every glyph stored on it
+   *
+   * @param {Object} page - The page to reset
+   * @returns {void}
+   */
+  const resetPage = (page) => {
+    for (const [key, entry] of entries) {
+      if (entry.page === page) {
+        entries.delete(key);
+        stats.evictions++;
+      }
+    }
+
+    page.ctx.clearRect(0, 0, config.pageSize, config.pageSize);
+    page.shelves = [];
+    page.freeSlots = [];
+    page.nextY = 0;
+    stats.pageResets++;
+  };
+
+  /**
+   * Drops a glyph and returns its slot to the page's free list
+   *
+   * @param {string} key - Cache key
+   * @returns {void}
+   */
+  const releaseEntry = (key) => {
+    const entry = entries.get(key);
+    entries.delete(key);
+    entry.page.freeSlots.push(entry.slot);
+  };
+
+  /**
+   * Takes a freed slot of the same size class from a page. Slots may be up to half
+   * as large again as requested, matching the shelf packer's tolerance.
+   *
+   * @param {Object} page - The page to search
+   * @param {number} width - Slot width
+   * @param {number} height - Slot height
+   * @returns {Object|null} The slot with x, y, width and height, or null if none fits
+   */
+  const takeFreeSlot = (page, width, height) => {
+    const index = page.freeSlots.findIndex(slot =>
+      slot.width >= width && slot.width <= width * 1.5 &&
+      slot.height >= height && slot.height <= height * 1.5
+    );
+    return index === -1 ? null : page.freeSlots.splice(index, 1)[0];
+  };
+
+  /**
+   * Finds space for a slot on a page using shelf packing
+   *
+   * @param {Object} page - The page to pack into
+   * @param {number} width - Slot width
+   * @param {number} height - Slot height
+   * @returns {Object|null} Object with x and y, or null if the page is full
+   */
+  const packOnPage = (page, width, height) => {
+    const shelf = page.shelves.find(s =>
+      s.height >= height && s.height <= height * 1.5 && s.x + width <= config.pageSize
+    );
+
+    if (shelf) {
+      const slot = { x: shelf.x, y: shelf.y, width, height: shelf.height };
+      shelf.x += width;
+      return slot;
+    }
+
+    if (page.nextY + height > config.pageSize) {
+      return null;
+    }
+
+    const newShelf = { y: page.nextY, height, x: width };
+    page.shelves.push(newShelf);
+    page.nextY += height;
+    return { x: 0, y: newShelf.y, width, height };
+  };
+
+  /**
+   * Allocates a slot, adding or recycling pages as needed
+   *
+   * @param {number} width - Slot width
+   * @param {number} height - Slot height
+   * @returns {Object|null} Object with page, x, y, width and height, or null if the slot can never fit
+   */
+  const allocate = (width, height) => {
+    if (width > config.pageSize || height > config.pageSize) {
+      return null;
+    }
+
+    for (const page of pages) {
+      const slot = takeFreeSlot(page, width, height);
+      if (slot) {
+        return { page, ...slot };
+      }
+    }
+
+    for (const page of pages) {
+      const slot = packOnPage(page, width, height);
+      if (slot) {
+        return { page, ...slot };
+      }
+    }
+
+    if (pages.length < config.maxPages) {
+      const page = createPage();
+      pages.push(page);
+      return { page, ...packOnPage(page, width, height) };
+    }
+
+    // Every page is full, so recycle the least recently used one
+    const oldest = pages.reduce((a, b) => (b.lastUsed < a.lastUsed ? b : a));
+    resetPage(oldest);
+    return { page: oldest, ...packOnPage(oldest, width, height) };
+  };
+
+  /**
+   * Drops the least recently used glyphs until the entry limit is respected
+   *
+   * @returns {void}
+   */
+  const enforceEntryLimit = () => {
+    while (entries.size > config.maxEntries) {
+      releaseEntry(entries.keys().next().value);
+      stats.evictions++;
+    }
+  };
+
+  /**
+   * Rasterizes a glyph into the atlas
+   *
+   * @param {string} key - Cache key
+   * @param {string} emoji - The emoji character
+   * @param {number} logicalSize - Font size in logical pixels
+   * @param {Object} style - Resolved glyph style
+   * @returns {Object|null} The new entry, or null if the glyph is too large
+   */
+  const rasterize = (key, emoji, logicalSize, style) => {
+    const padding = config.padding;
+
+    // Glyphs are rasterized at device resolution so they stay sharp on high-DPI displays
+    const size = logicalSize * style.pixelRatio;
+    const font = `${size}px ${style.font}`;
+
+    // Measure using the first page context, or a throwaway surface if none exist yet
+    // Sprites from an asset pack are square, so only text needs measuring
+    let textWidth = size;
+    if (!style.sprite) {
+      const measureCtx = pages.length ? pages[0].ctx : config.createSurface(1, 1).ctx;
+      measureCtx.save();
+      measureCtx.font = font;
+      textWidth = measureCtx.measureText(emoji).width;
+      measureCtx.restore();
+    }
+
+    const width = Math.ceil(Math.max(textWidth, size)) + (padding * 2);
+    const height = Math.ceil(size * 1.4) + (padding * 2);
+
+    const slot = allocate(width, height);
+    if (!slot) {
+      stats.oversized++;
+      return null;
+    }
+
+    const { anchorX, anchorY } = getGlyphAnchor(width, height, size, padding, style);
+    const { page, x, y } = slot;
+
+    // Draw the glyph clipped to its slot so it cannot bleed into neighbours
+    page.ctx.save();
+    page.ctx.beginPath();
+    page.ctx.rect(x, y, width, height);
+    page.ctx.clip();
+    page.ctx.clearRect(x, y, slot.width, slot.height);
+    page.ctx.font = font;
+    page.ctx.textAlign = style.textAlign;
+    page.ctx.textBaseline = style.textBaseline;
+    page.ctx.fillStyle = style.color;
+
+    if (style.sprite) {
+      const { sprite } = style;
+      const rect = getSpriteRect(x + anchorX, y + anchorY, size, style.textAlign, style.textBaseline);
+      page.ctx.drawImage(sprite.image, sprite.sx, sprite.sy, sprite.sw, sprite.sh, rect.x, rect.y, rect.width, rect.height);
+    } else {
+      page.ctx.fillText(emoji, x + anchorX, y + anchorY);
+    }
+
+    // Tint only the pixels the glyph covers
+    if (style.tint) {
+      page.ctx.globalCompositeOperation = 'source-atop';
+      page.ctx.globalAlpha = style.tintAmount;
+      page.ctx.fillStyle = style.tint;
+      page.ctx.fillRect(x, y, width, height);
+    }
+
+    page.ctx.restore();
+
+    const entry = {
+      page,
+      slot: { x, y, width: slot.width, height: slot.height },
+      canvas: page.canvas,
+      emoji,
+      font: style.font,
+      sx: x,
+      sy: y,
+      width,
+      height,
+      anchorX,
+      anchorY,
+      pixelRatio: style.pixelRatio
+    };
+
+    entries.set(key, entry);
+    enforceEntryLimit();
+    return entry;
+  };
+
+  /**
+   * Gets a cached glyph, rasterizing it on a miss
+   *
+   * @param {string} emoji - The emoji character
+   * @param {number} size - Font size in pixels
+   * @param {Object} style - Glyph style options
+   * @param {string} style.font - Font family (default: 'sans-serif')
+   * @param {string} style.textAlign - Canvas textAlign property (default: 'center')
+   * @param {string} style.textBaseline - Canvas textBaseline property (default: 'middle')
+   * @param {string} style.color - Fill color for text-style glyphs (default: '#000000'; the
+   *   renderer passes its current fillStyle so cached and direct glyphs match)
+   * @param {number} style.pixelRatio - Device pixels per logical pixel (default: 1)
+   * @param {string} style.tint - Color to tint the glyph with (optional)
+   * @param {number} style.tintAmount - Tint strength from 0.0 to 1.0 (default: 0.5)
+   * @param {Object} style.sprite - Asset pack sprite (see createEmojiAssetPack) to draw instead of
+   *   the system font glyph (optional)
+   * @returns {Object|null} Glyph entry with canvas, sx, sy, width, height, anchorX, anchorY
+   *   (all in device pixels) and pixelRatio, or null if the glyph cannot be cached
+   */
+  const getGlyph = (emoji, size, style = {}) => {
+    const resolvedStyle = {
+      font: style.font || 'sans-serif',
+      textAlign: style.textAlign || 'center',
+      textBaseline: style.textBaseline || 'middle',
+      color: style.color || '#000000',
+      pixelRatio: style.pixelRatio || 1,
+      tint: style.tint || '',
+      tintAmount: style.tint ? (style.tintAmount !== undefined ? style.tintAmount : 0.5) : 0,
+      sprite: style.sprite || null
+    };
+    const key = createGlyphKey(emoji, size, resolvedStyle);
+
+    useCounter++;
+
+    if (entries.has(key)) {
+      // Move to the most recently used position
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      entry.page.lastUsed = useCounter;
+      stats.hits++;
+      return entry;
+    }
+
+    stats.misses++;
+    const entry = rasterize(key, emoji, size, resolvedStyle);
+    if (entry) {
+      entry.page.lastUsed = useCounter;
+    }
+    return entry;
+  };
+
+  /**
+   * Invalidates cached glyphs. With no arguments the whole atlas is cleared.
+   *
+   * @param {string} emoji - Only invalidate glyphs for this emoji (optional)
+   * @param {Object} filter - Additional filter options
+   * @param {string} filter.font - Only invalidate glyphs using this font family
+   * @returns {number} Number of glyphs removed
+   */
+  const invalidate = (emoji, filter = {}) => {
+    if (emoji === undefined && filter.font === undefined) {
+      const count = entries.size;
+      entries.clear();
+      pages.forEach(page => {
+        page.ctx.clearRect(0, 0, config.pageSize, config.pageSize);
+        page.shelves = [];
+        page.freeSlots = [];
+        page.nextY = 0;
+      });
+      return count;
+    }
+
+    // Matching slots go back to their page's free list for reuse
+    let count = 0;
+    for (const [key, entry] of entries) {
+      const emojiMatches = emoji === undefined || entry.emoji === emoji;
+      const fontMatches = filter.font === undefined || entry.font === filter.font;
+      if (emojiMatches && fontMatches) {
+        releaseEntry(key);
+        count++;
+      }
+    }
+    return count;
+  };
+
+  /**
+   * Gets cache statistics
+   *
+   * @returns {Object} Object with hits, misses, hitRate, evictions, pageResets,
+   *   oversized, entries and pages
+   */
+  const getStats = () => {
+    const lookups = stats.hits + stats.misses;
+    return {
+      ...stats,
+      hitRate: lookups > 0 ? stats.hits / lookups : 0,
+      entries: entries.size,
+      pages: pages.length
+    };
+  };
+
+  /**
+   * Resets the hit/miss counters without touching cached glyphs
+   *
+   * @returns {void}
+   */
+  const resetStats = () => {
+    stats.hits = 0;
+    stats.misses = 0;
+    stats.evictions = 0;
+    stats.pageResets = 0;
+    stats.oversized = 0;
+  };
+
+  /**
+   * Gets the atlas page canvases (useful for debugging)
+   *
+   * @returns {Array} Array of page canvases
+   */
+  const getPages = () => pages.map(page => page.canvas);
+
+  // Return the public API
+  return {
+    getGlyph,
+    invalidate,
+    getStats,
+    resetStats,
+    getPages
+  };
+};
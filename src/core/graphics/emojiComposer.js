@@ -6,6 +6,36 @@
  * emoji rendering system.
  */
 
+import { createEmojiRenderer } from './emojiRenderer.js';
+import { createCommandHistory } from '../history/commandHistory.js';
+import { createKeyframeTrack, sampleKeyframeTrack, KEYFRAME_PROPERTY } from '../animation/keyframes.js';
+import { getDefaultScheduler } from '../time/scheduler.js';
+
+/**
+ * Normalizes a layer outline
+ *
+ * @param {Object|null} outline - Outline with color and width, or null for none
+ * @returns {Object|null} Outline with defaults applied
+ */
+const createLayerOutline = (outline) => (outline ? {
+  color: outline.color || '#000000',
+  width: outline.width !== undefined ? outline.width : 2
+} : null);
+
+/**
+ * Normalizes a layer shadow
+ *
+ * @param {Object|null} shadow - Shadow with color, opacity, blur, offsetX and offsetY, or null for none
+ * @returns {Object|null} Shadow with defaults applied
+ */
+const createLayerShadow = (shadow) => (shadow ? {
+  color: shadow.color || '#000000',
+  opacity: shadow.opacity !== undefined ? shadow.opacity : 0.5,
+  blur: shadow.blur !== undefined ? shadow.blur : 4,
+  offsetX: shadow.offsetX !== undefined ? shadow.offsetX : 2,
+  offsetY: shadow.offsetY !== undefined ? shadow.offsetY : 2
+} : null);
+
 /**
  * Creates a layer object for an emoji composition
  *
@@ -17,6 +47,21 @@
  * @param {number} options.rotation - Rotation in radians (default: 0)
  * @param {number} options.opacity - Opacity from 0.0 to 1.0 (default: 1.0)
  * @param {number} options.zIndex - Layer stacking order (default: 0)
+ * @param {boolean} options.visible - Whether the layer is drawn (default: true)
+ * @param {boolean} options.flipX - Mirror horizontally, e.g. to face left (default: false)
+ * @param {boolean} options.flipY - Mirror vertically (default: false)
+ * @param {number} options.skewX - Horizontal skew in radians (default: 0)
+ * @param {number} options.skewY - Vertical skew in radians (default: 0)
+ * @param {string} options.tint - Color to tint the emoji with (default: null)
+ * @param {number} options.tintAmount - Tint strength from 0.0 to 1.0; 1.0 gives a silhouette (default: 0.5)
+ * @param {Object} options.outline - Outline drawn around the emoji as { color, width } (default: null)
+ * @param {Object} options.shadow - Drop shadow as { color, opacity, blur, offsetX, offsetY }; a shadow
+ *   without offset makes a glow (default: null)
+ * @param {number} options.blur - Blur radius in pixels; needs canvas filter support (default: 0)
+ * @param {Object} options.tracks - Animation tracks by clip name, each mapping properties to
+ *   keyframes, e.g. { idle: { y: [[0, 0, 'easeInOutQuad'], [400, -3, 'easeInOutQuad'], [800, 0]] } },
+ *   where each keyframe's easing shapes the segment that starts at it.
+ *   See sampleCompositionLayer for how animated values combine with the layer's own.
  * @returns {Object} Layer object
  */
 export const createCompositionLayer = (emoji, options = {}) => ({
@@ -26,9 +71,177 @@ export const createCompositionLayer = (emoji, options = {}) => ({
   scale: options.scale !== undefined ? options.scale : 1.0,
   rotation: options.rotation !== undefined ? options.rotation : 0,
   opacity: options.opacity !== undefined ? options.opacity : 1.0,
-  zIndex: options.zIndex !== undefined ? options.zIndex : 0
+  zIndex: options.zIndex !== undefined ? options.zIndex : 0,
+  visible: options.visible !== undefined ? options.visible : true,
+  flipX: Boolean(options.flipX),
+  flipY: Boolean(options.flipY),
+  skewX: options.skewX !== undefined ? options.skewX : 0,
+  skewY: options.skewY !== undefined ? options.skewY : 0,
+  tint: options.tint || null,
+  tintAmount: options.tintAmount !== undefined ? options.tintAmount : 0.5,
+  outline: createLayerOutline(options.outline),
+  shadow: createLayerShadow(options.shadow),
+  blur: options.blur !== undefined ? options.blur : 0,
+  tracks: options.tracks ? { ...options.tracks } : {}
+});
+
+/**
+ * Enum for composition layer types
+ * @readonly
+ * @enum {string}
+ */
+export const COMPOSITION_LAYER_TYPE = {
+  EMOJI: 'emoji',
+  GROUP: 'group',
+  COMPOSITION: 'composition'
+};
+
+/**
+ * Gets the type of a composition layer
+ *
+ * @param {Object} layer - The layer
+ * @returns {string} Layer type from COMPOSITION_LAYER_TYPE
+ */
+export const getCompositionLayerType = (layer) => {
+  if (Array.isArray(layer.layers)) {
+    return COMPOSITION_LAYER_TYPE.GROUP;
+  }
+  return layer.composition ? COMPOSITION_LAYER_TYPE.COMPOSITION : COMPOSITION_LAYER_TYPE.EMOJI;
+};
+
+/**
+ * Creates a layer group: layers that are moved, hidden and transformed together.
+ * Children are positioned relative to the group, and the group's scale applies to
+ * their positions and sizes. Tint, outline and shadow of a group apply to children
+ * that do not set their own.
+ *
+ * @param {Array<Object>} layers - Child layers (emoji layers, groups or composition references)
+ * @param {Object} options - Layer options (see createCompositionLayer)
+ * @param {string} options.name - Name of the group (default: 'Group')
+ * @returns {Object} Group layer object
+ */
+export const createLayerGroup = (layers = [], options = {}) => ({
+  ...createCompositionLayer(null, options),
+  name: options.name || 'Group',
+  layers: [...layers].sort((a, b) => a.zIndex - b.zIndex)
 });
 
+/**
+ * Creates a layer that draws another composition, looked up by ID when drawn so edits
+ * to it show up everywhere it is used. At scale 1.0 the referenced composition is drawn
+ * at its own base size relative to this one.
+ *
+ * @param {string} compositionId - ID of the referenced composition
+ * @param {Object} options - Layer options (see createCompositionLayer)
+ * @param {string} options.clip - Clip of the referenced composition to play (default: the clip
+ *   the outer composition is drawn with)
+ * @returns {Object} Composition reference layer object
+ */
+export const createCompositionReference = (compositionId, options = {}) => {
+  // Validate input
+  if (!compositionId || typeof compositionId !== 'string') {
+    throw new Error('Invalid composition ID provided to createCompositionReference');
+  }
+
+  return {
+    ...createCompositionLayer(null, options),
+    composition: compositionId,
+    clip: options.clip || null
+  };
+};
+
+/**
+ * Normalizes a layer from imported data, filling in defaults of missing properties
+ *
+ * @param {Object} layer - Layer data
+ * @returns {Object} Layer object
+ */
+const normalizeLayer = (layer) => {
+  const options = {
+    ...layer,
+    tracks: layer.tracks && typeof layer.tracks === 'object' ? layer.tracks : {}
+  };
+
+  switch (getCompositionLayerType(layer)) {
+    case COMPOSITION_LAYER_TYPE.GROUP:
+      return createLayerGroup(layer.layers.map(normalizeLayer), options);
+
+    case COMPOSITION_LAYER_TYPE.COMPOSITION:
+      return createCompositionReference(String(layer.composition), options);
+
+    default:
+      return createCompositionLayer(layer.emoji || '❓', options);
+  }
+};
+
+/**
+ * Lists the IDs of the compositions a composition references directly, including
+ * references inside groups
+ *
+ * @param {Object} composition - The composition
+ * @returns {Array<string>} Referenced composition IDs without duplicates
+ */
+export const getCompositionDependencies = (composition) => {
+  const ids = new Set();
+
+  /**
+   * Collects references from a list of layers
+   *
+   * @param {Array<Object>} layers - Layers
+   * @returns {void}
+   */
+  const collect = (layers) => {
+    layers.forEach(layer => {
+      if (Array.isArray(layer.layers)) {
+        collect(layer.layers);
+      } else if (layer.composition) {
+        ids.add(layer.composition);
+      }
+    });
+  };
+
+  collect(composition.layers || []);
+  return Array.from(ids);
+};
+
+/**
+ * Finds a reference cycle that storing a composition under an ID would create
+ *
+ * @param {string} id - ID the composition is (or would be) stored under
+ * @param {Object} composition - The composition
+ * @param {Function} resolve - Looks up other compositions by ID
+ * @returns {Array<string>|null} The cycle as a path of IDs starting and ending with id, or null
+ */
+export const findCompositionCycle = (id, composition, resolve) => {
+  const visited = new Set();
+
+  /**
+   * Searches the references of a composition depth-first
+   *
+   * @param {Object} current - Composition being searched
+   * @param {Array<string>} path - IDs from id to the current composition
+   * @returns {Array<string>|null} The cycle, or null
+   */
+  const search = (current, path) => {
+    for (const dependency of getCompositionDependencies(current)) {
+      if (dependency === id) {
+        return [...path, dependency];
+      }
+      if (!visited.has(dependency)) {
+        visited.add(dependency);
+        const next = resolve(dependency);
+        const cycle = next ? search(next, [...path, dependency]) : null;
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    return null;
+  };
+
+  return search(composition, [id]);
+};
+
 /**
  * Creates an emoji composition from multiple layers
  *
@@ -37,6 +250,7 @@ export const createCompositionLayer = (emoji, options = {}) => ({
  * @param {string} options.name - Name of the composition
  * @param {string} options.description - Description of the composition
  * @param {number} options.baseSize - Base size for the composition in pixels
+ * @param {Object} options.clips - Named clips (see createCompositionClip), e.g. { idle, walk, attack }
  * @returns {Object} Emoji composition object
  */
 export const createEmojiComposition = (layers = [], options = {}) => ({
@@ -44,480 +258,2352 @@ export const createEmojiComposition = (layers = [], options = {}) => ({
   name: options.name || `composition_${Date.now()}`,
   description: options.description || '',
   baseSize: options.baseSize || 64,
+  clips: { ...options.clips },
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString()
 });
 
 /**
- * Creates an emoji composer that can create, edit, and render emoji compositions
+ * Converts a shadow color and opacity to a CSS color. Hex colors get the opacity as
+ * alpha; other CSS colors are used as given.
  *
- * @param {Object} emojiRenderer - An instance of emojiRenderer
- * @returns {Object} An object with methods for composition management
+ * @param {string} color - CSS color
+ * @param {number} opacity - Opacity from 0.0 to 1.0
+ * @returns {string} CSS color
  */
-export const createEmojiComposer = (emojiRenderer) => {
-  // Validate input
-  if (!emojiRenderer || !emojiRenderer.renderEmoji) {
-    throw new Error('Invalid emojiRenderer provided to createEmojiComposer');
+const toShadowColor = (color, opacity) => {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!match) {
+    return color;
   }
 
-  // Store compositions
-  const compositions = new Map();
+  const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+  const [r, g, b] = [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+};
 
-  /**
-   * Renders a composition to a canvas
-   *
-   * @param {Object} composition - The emoji composition to render
-   * @param {number} x - X coordinate on canvas (center of composition)
-   * @param {number} y - Y coordinate on canvas (center of composition)
-   * @param {number} size - Size multiplier (1.0 = original size)
-   * @param {Object} options - Additional rendering options
-   * @returns {void}
-   */
-  const renderComposition = (composition, x, y, size = 1.0, options = {}) => {
-    const ctx = emojiRenderer.getContext();
-    const effectiveSize = composition.baseSize * size;
+/**
+ * Draws one composition layer with its transformations and effects. Groups draw their
+ * children and composition references draw the referenced composition, both inside
+ * the layer's transform.
+ *
+ * @param {Object} layer - The composition layer
+ * @param {number} x - X coordinate of the layer center
+ * @param {number} y - Y coordinate of the layer center
+ * @param {Object} space - Scale of the layer's composition: unit (pixels per composition pixel,
+ *   for positions and effect lengths), emojiScale (emoji pixels per base size pixel) and baseSize
+ * @param {Object} scene - Drawing state: renderer, resolve (looks up compositions by ID), clip,
+ *   time, stack (IDs of the compositions being drawn) and renderOptions
+ * @param {Object} inherited - Tint, tintAmount, outline and shadow of the enclosing groups
+ * @returns {void}
+ */
+const drawCompositionLayer = (layer, x, y, space, scene, inherited) => {
+  if (layer.visible === false) {
+    return;
+  }
 
-    // Save the current context state
-    ctx.save();
+  const { renderer } = scene;
+  const ctx = renderer.getContext();
+  const effects = {
+    tint: layer.tint || inherited.tint,
+    tintAmount: layer.tint ? layer.tintAmount : inherited.tintAmount,
+    outline: layer.outline || inherited.outline,
+    shadow: layer.shadow || inherited.shadow
+  };
 
-    // Apply global composition transformations
-    ctx.translate(x, y);
+  // Shadows and filters ignore the transform, so their lengths are in device pixels
+  const deviceUnit = space.unit * renderer.getBackend().getPixelRatio();
 
-    // Render each layer
-    composition.layers.forEach(layer => {
-      // Save state for this layer
-      ctx.save();
+  // Save state for this layer
+  ctx.save();
 
-      // Apply layer transformations
-      ctx.translate(layer.x * size, layer.y * size);
+  // Apply layer transformations
+  ctx.translate(x, y);
 
-      if (layer.rotation !== 0) {
-        ctx.rotate(layer.rotation);
-      }
+  if (layer.rotation !== 0) {
+    ctx.rotate(layer.rotation);
+  }
 
-      if (layer.opacity !== 1.0) {
-        ctx.globalAlpha = layer.opacity;
-      }
+  if (layer.skewX || layer.skewY) {
+    ctx.transform(1, Math.tan(layer.skewY || 0), Math.tan(layer.skewX || 0), 1, 0, 0);
+  }
+
+  if (layer.flipX || layer.flipY) {
+    ctx.scale(layer.flipX ? -1 : 1, layer.flipY ? -1 : 1);
+  }
+
+  // Opacity multiplies, so groups fade their children
+  if (layer.opacity !== 1.0) {
+    ctx.globalAlpha *= layer.opacity;
+  }
 
-      // Render the emoji
-      const layerSize = effectiveSize * layer.scale;
-      emojiRenderer.renderEmoji(layer.emoji, 0, 0, layerSize, options);
+  if (layer.blur > 0) {
+    ctx.filter = `blur(${layer.blur * deviceUnit}px)`;
+  }
+
+  const type = getCompositionLayerType(layer);
+  if (type !== COMPOSITION_LAYER_TYPE.EMOJI) {
+    // Children are laid out in the layer's scaled space
+    const childSpace = { ...space, unit: space.unit * layer.scale, emojiScale: space.emojiScale * layer.scale };
+    let children = layer.layers;
+    let childScene = scene;
+
+    if (type === COMPOSITION_LAYER_TYPE.COMPOSITION) {
+      // Skip references that would draw a composition inside itself
+      const referenced = scene.stack.includes(layer.composition) ? null : scene.resolve(layer.composition);
+      const pose = referenced ? sampleComposition(referenced, layer.clip || scene.clip, scene.time) : null;
+      children = pose ? pose.layers : [];
+      childSpace.baseSize = referenced ? referenced.baseSize : space.baseSize;
+      childScene = { ...scene, stack: [...scene.stack, layer.composition] };
+    }
 
-      // Restore state after this layer
-      ctx.restore();
+    children.forEach(child => {
+      drawCompositionLayer(child, child.x * childSpace.unit, child.y * childSpace.unit, childSpace, childScene, effects);
     });
 
-    // Restore the original context state
     ctx.restore();
-  };
+    return;
+  }
+
+  const layerSize = space.baseSize * space.emojiScale * layer.scale;
+  const emojiOptions = effects.tint
+    ? { ...scene.renderOptions, tint: effects.tint, tintAmount: effects.tintAmount }
+    : scene.renderOptions;
+
+  if (effects.shadow) {
+    ctx.shadowColor = toShadowColor(effects.shadow.color, effects.shadow.opacity);
+    ctx.shadowBlur = effects.shadow.blur * deviceUnit;
+    ctx.shadowOffsetX = effects.shadow.offsetX * deviceUnit;
+    ctx.shadowOffsetY = effects.shadow.offsetY * deviceUnit;
+  }
+
+  // The outline is the emoji's silhouette drawn around it in eight directions
+  if (effects.outline && effects.outline.width > 0) {
+    const outlineOptions = { ...emojiOptions, tint: effects.outline.color, tintAmount: 1 };
+    const width = effects.outline.width * space.unit;
+
+    // Cast the shadow once, under the outline, so overlapping copies do not darken it
+    if (effects.shadow) {
+      renderer.renderEmoji(layer.emoji, 0, 0, layerSize, outlineOptions);
+      ctx.shadowColor = 'transparent';
+    }
+
+    for (let i = 0; i < 8; i++) {
+      const angle = (i / 8) * Math.PI * 2;
+      renderer.renderEmoji(layer.emoji, Math.cos(angle) * width, Math.sin(angle) * width, layerSize, outlineOptions);
+    }
+  }
+
+  // Render the emoji
+  renderer.renderEmoji(layer.emoji, 0, 0, layerSize, emojiOptions);
+
+  // Restore state after this layer
+  ctx.restore();
+};
+
+/**
+ * Creates a clip: a named animation of a composition, such as idle, walk or attack.
+ * The keyframes of a clip are stored on the layers it animates, under the clip's name.
+ *
+ * @param {Object} options - Clip options
+ * @param {number} options.duration - Duration in milliseconds (default: null, the time of the
+ *   last keyframe of any layer)
+ * @param {boolean} options.loop - Whether the clip should loop (default: true)
+ * @returns {Object} Clip object
+ */
+export const createCompositionClip = (options = {}) => ({
+  duration: options.duration !== undefined ? options.duration : null,
+  loop: options.loop !== undefined ? options.loop : true
+});
+
+// Keyframe tracks resolved from layer keyframe arrays. Layers keep plain keyframe data
+// so compositions stay serializable; tracks are resolved when first sampled.
+const resolvedTracks = new WeakMap();
+
+/**
+ * Gets the keyframe track for keyframes stored on a layer
+ *
+ * @param {string} property - Animated property from KEYFRAME_PROPERTY
+ * @param {Array<Object|Array>} keyframes - Keyframes or [time, value, easing] tuples
+ * @returns {Object} Keyframe track
+ */
+const resolveLayerTrack = (property, keyframes) => {
+  const cached = resolvedTracks.get(keyframes);
+  if (cached && cached.property === property) {
+    return cached;
+  }
+
+  const track = createKeyframeTrack(property, keyframes);
+  resolvedTracks.set(keyframes, track);
+  return track;
+};
+
+/**
+ * Gets the duration of a clip of a composition
+ *
+ * @param {Object} composition - The composition
+ * @param {string} clipName - Name of the clip
+ * @returns {number} Duration in milliseconds (0 if the clip does not exist)
+ */
+export const getCompositionClipDuration = (composition, clipName) => {
+  const clip = composition.clips ? composition.clips[clipName] : null;
+  if (!clip) {
+    return 0;
+  }
+
+  if (clip.duration !== null && clip.duration !== undefined) {
+    return clip.duration;
+  }
 
   /**
-   * Creates a new composition and stores it
+   * Gets the time of the last keyframe of a clip in a list of layers, including groups
    *
-   * @param {string} id - Unique identifier for the composition
-   * @param {Array<Object>} layers - Array of layer objects
-   * @param {Object} options - Composition options
-   * @returns {Object} The created composition
+   * @param {Array<Object>} layers - Layers
+   * @returns {number} Time in milliseconds
    */
-  const createComposition = (id, layers = [], options = {}) => {
-    const compositionId = id || `comp_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-    const composition = createEmojiComposition(layers, options);
-    compositions.set(compositionId, composition);
+  const getTracksDuration = (layers) => layers.reduce((max, layer) => {
+    const tracks = (layer.tracks && layer.tracks[clipName]) || {};
+    const own = Object.entries(tracks)
+      .reduce((longest, [property, keyframes]) => Math.max(longest, resolveLayerTrack(property, keyframes).duration), max);
+    return Array.isArray(layer.layers) ? Math.max(own, getTracksDuration(layer.layers)) : own;
+  }, 0);
+
+  return getTracksDuration(composition.layers);
+};
+
+/**
+ * Samples the animated properties of a layer at a time within a clip. Animated x, y
+ * and rotation are added to the layer's own values, scale and opacity multiply them,
+ * and an emoji track replaces the layer's emoji, so moving a layer keeps its animation.
+ * This is a pure function.
+ *
+ * @param {Object} layer - The composition layer
+ * @param {string} clipName - Name of the clip
+ * @param {number} time - Time within the clip in milliseconds
+ * @returns {Object} The layer with animated values applied (the layer itself if the clip
+ *   does not animate it). Children of groups are sampled too.
+ */
+export const sampleCompositionLayer = (layer, clipName, time) => {
+  const tracks = layer.tracks ? layer.tracks[clipName] : null;
+  const isGroup = Array.isArray(layer.layers);
+  if (!tracks && !isGroup) {
+    return layer;
+  }
+
+  const sampled = isGroup
+    ? { ...layer, layers: layer.layers.map(child => sampleCompositionLayer(child, clipName, time)) }
+    : { ...layer };
+  Object.entries(tracks || {}).forEach(([property, keyframes]) => {
+    const value = sampleKeyframeTrack(resolveLayerTrack(property, keyframes), time);
+
+    switch (property) {
+      case KEYFRAME_PROPERTY.EMOJI:
+        sampled.emoji = value;
+        break;
+
+      case KEYFRAME_PROPERTY.SCALE:
+        sampled.scale = layer.scale * value;
+        break;
+
+      case KEYFRAME_PROPERTY.OPACITY:
+        sampled.opacity = Math.min(Math.max(layer.opacity * value, 0), 1);
+        break;
+
+      default:
+        sampled[property] = layer[property] + value;
+    }
+  });
+
+  return sampled;
+};
+
+/**
+ * Samples a composition at a time within a clip. Looping clips wrap around their
+ * duration; other clips hold their last pose.
+ * This is a pure function.
+ *
+ * @param {Object} composition - The composition
+ * @param {string} clipName - Name of the clip (the static composition is returned without one)
+ * @param {number} time - Time since the clip started in milliseconds (default: 0)
+ * @returns {Object} A composition whose layers hold the values at that time
+ */
+export const sampleComposition = (composition, clipName, time = 0) => {
+  const clip = clipName && composition.clips ? composition.clips[clipName] : null;
+  if (!clip) {
     return composition;
+  }
+
+  const duration = getCompositionClipDuration(composition, clipName);
+  const clipTime = clip.loop && duration > 0
+    ? ((time % duration) + duration) % duration
+    : Math.min(Math.max(time, 0), duration);
+
+  return {
+    ...composition,
+    layers: composition.layers.map(layer => sampleCompositionLayer(layer, clipName, clipTime))
+  };
+};
+
+/**
+ * Enum for layer alignments
+ * @readonly
+ * @enum {string}
+ */
+export const LAYER_ALIGNMENT = {
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  TOP: 'top',
+  MIDDLE: 'middle',
+  BOTTOM: 'bottom'
+};
+
+/**
+ * Rotates the corners of an extent and moves them to a position
+ *
+ * @param {Object} extent - minX, minY, maxX and maxY around the position
+ * @param {number} rotation - Rotation in radians
+ * @param {number} x - X coordinate of the position
+ * @param {number} y - Y coordinate of the position
+ * @returns {Array<Object>} The four corners as { x, y }, clockwise from the top left
+ */
+const getExtentCorners = (extent, rotation, x, y) => {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return [
+    [extent.minX, extent.minY],
+    [extent.maxX, extent.minY],
+    [extent.maxX, extent.maxY],
+    [extent.minX, extent.maxY]
+  ].map(([cornerX, cornerY]) => ({
+    x: x + (cornerX * cos) - (cornerY * sin),
+    y: y + (cornerX * sin) + (cornerY * cos)
+  }));
+};
+
+/**
+ * Measures what a layer draws, in the layer's rotated frame around its position.
+ * Follows drawCompositionLayer; skew and effects such as outlines are not included.
+ *
+ * @param {Object} layer - The posed composition layer
+ * @param {Object} space - Scale of the layer's composition (see drawCompositionLayer)
+ * @param {Object} scene - resolve, clip, time and stack (see drawCompositionLayer)
+ * @returns {Object|null} minX, minY, maxX and maxY in pixels, or null if the layer draws nothing
+ */
+const measureLayerExtent = (layer, space, scene) => {
+  if (layer.visible === false) {
+    return null;
+  }
+
+  const type = getCompositionLayerType(layer);
+  if (type === COMPOSITION_LAYER_TYPE.EMOJI) {
+    const half = (space.baseSize * space.emojiScale * layer.scale) / 2;
+    return { minX: -half, minY: -half, maxX: half, maxY: half };
+  }
+
+  const childSpace = { ...space, unit: space.unit * layer.scale, emojiScale: space.emojiScale * layer.scale };
+  let children = layer.layers;
+  let childScene = scene;
+
+  if (type === COMPOSITION_LAYER_TYPE.COMPOSITION) {
+    const referenced = scene.stack.includes(layer.composition) ? null : scene.resolve(layer.composition);
+    const pose = referenced ? sampleComposition(referenced, layer.clip || scene.clip, scene.time) : null;
+    children = pose ? pose.layers : [];
+    childSpace.baseSize = referenced ? referenced.baseSize : space.baseSize;
+    childScene = { ...scene, stack: [...scene.stack, layer.composition] };
+  }
+
+  // Bounding box of the children's rotated boxes
+  const extent = children.reduce((box, child) => {
+    const childExtent = measureLayerExtent(child, childSpace, childScene);
+    if (!childExtent) {
+      return box;
+    }
+
+    return getExtentCorners(childExtent, child.rotation, child.x * childSpace.unit, child.y * childSpace.unit)
+      .reduce((current, corner) => ({
+        minX: Math.min(current.minX, corner.x),
+        minY: Math.min(current.minY, corner.y),
+        maxX: Math.max(current.maxX, corner.x),
+        maxY: Math.max(current.maxY, corner.y)
+      }), box || { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+  }, null);
+
+  if (!extent) {
+    return null;
+  }
+
+  // Flips mirror the children
+  return {
+    minX: layer.flipX ? -extent.maxX : extent.minX,
+    maxX: layer.flipX ? -extent.minX : extent.maxX,
+    minY: layer.flipY ? -extent.maxY : extent.minY,
+    maxY: layer.flipY ? -extent.minY : extent.maxY
   };
+};
+
+/**
+ * Calculates where the layers of a composition are drawn by renderComposition, relative
+ * to the composition center. Each box is rotated with its layer; skew and effects such
+ * as outlines and shadows are not included. This is a pure function.
+ *
+ * @param {Object} composition - The emoji composition
+ * @param {Object} options - Layout options
+ * @param {number} options.size - Size multiplier passed to renderComposition (default: 1.0)
+ * @param {string} options.clip - Name of the clip to pose the layers with (default: none)
+ * @param {number} options.time - Time within the clip in milliseconds (default: 0)
+ * @param {Function} options.resolve - Looks up referenced compositions by ID (default: none
+ *   are found, so references have no bounds)
+ * @returns {Array<Object|null>} Per layer index: x and y of the layer position, rotation,
+ *   minX, minY, maxX and maxY around the position in the rotated frame, the four corners,
+ *   and left, top, right and bottom of the unrotated bounding box; null for layers that draw nothing
+ */
+export const getCompositionLayerBounds = (composition, options = {}) => {
+  const size = options.size !== undefined ? options.size : 1.0;
+  const pose = sampleComposition(composition, options.clip, options.time);
+  const space = { unit: size, emojiScale: size, baseSize: composition.baseSize };
+  const scene = { resolve: options.resolve || (() => null), clip: options.clip, time: options.time, stack: [] };
+
+  return pose.layers.map(layer => {
+    const extent = measureLayerExtent(layer, space, scene);
+    if (!extent) {
+      return null;
+    }
+
+    const x = layer.x * size;
+    const y = layer.y * size;
+    const corners = getExtentCorners(extent, layer.rotation, x, y);
+
+    return {
+      x,
+      y,
+      rotation: layer.rotation,
+      ...extent,
+      corners,
+      left: Math.min(...corners.map(corner => corner.x)),
+      top: Math.min(...corners.map(corner => corner.y)),
+      right: Math.max(...corners.map(corner => corner.x)),
+      bottom: Math.max(...corners.map(corner => corner.y))
+    };
+  });
+};
+
+/**
+ * Finds the topmost layer drawn at a point. This is a pure function.
+ *
+ * @param {Array<Object|null>} bounds - Layer bounds from getCompositionLayerBounds
+ * @param {number} x - X coordinate relative to the composition center
+ * @param {number} y - Y coordinate relative to the composition center
+ * @returns {number} Index of the layer, or -1 if no layer is drawn there
+ */
+export const hitTestCompositionLayers = (bounds, x, y) => {
+  for (let index = bounds.length - 1; index >= 0; index--) {
+    const box = bounds[index];
+    if (box) {
+      // Move the point into the layer's rotated frame
+      const cos = Math.cos(box.rotation);
+      const sin = Math.sin(box.rotation);
+      const dx = x - box.x;
+      const dy = y - box.y;
+      const localX = (dx * cos) + (dy * sin);
+      const localY = (dy * cos) - (dx * sin);
+
+      if (localX >= box.minX && localX <= box.maxX && localY >= box.minY && localY <= box.maxY) {
+        return index;
+      }
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Creates a composition registry that stores compositions by ID. A registry can
+ * be shared between composers and grid renderers so that every map cell
+ * referencing a composition draws its latest version.
+ *
+ * @returns {Object} A composition registry with a Map-like API and change events
+ */
+export const createCompositionRegistry = () => {
+  const compositions = new Map();
+  const listeners = new Set();
 
   /**
-   * Retrieves a stored composition by ID
+   * Notifies listeners about a change
    *
-   * @param {string} id - The composition ID
-   * @returns {Object|null} The composition or null if not found
+   * @param {Object} event - Change event with type, id and composition
+   * @returns {void}
    */
-  const getComposition = (id) => {
-    return compositions.has(id) ? compositions.get(id) : null;
+  const notify = (event) => {
+    listeners.forEach(listener => listener(event));
+  };
+
+  return {
+    /**
+     * Checks whether a composition exists
+     *
+     * @param {string} id - The composition ID
+     * @returns {boolean} True if the composition exists
+     */
+    has: (id) => compositions.has(id),
+
+    /**
+     * Gets a composition
+     *
+     * @param {string} id - The composition ID
+     * @returns {Object|undefined} The composition
+     */
+    get: (id) => compositions.get(id),
+
+    /**
+     * Stores a composition and notifies listeners
+     *
+     * @param {string} id - The composition ID
+     * @param {Object} composition - The composition
+     * @returns {void}
+     */
+    set: (id, composition) => {
+      const type = compositions.has(id) ? 'update' : 'add';
+      compositions.set(id, composition);
+      notify({ type, id, composition });
+    },
+
+    /**
+     * Removes a composition and notifies listeners
+     *
+     * @param {string} id - The composition ID
+     * @returns {boolean} True if the composition was found and removed
+     */
+    delete: (id) => {
+      if (!compositions.delete(id)) {
+        return false;
+      }
+      notify({ type: 'delete', id, composition: null });
+      return true;
+    },
+
+    /**
+     * Gets an iterator over [id, composition] pairs
+     *
+     * @returns {Iterator} The entries iterator
+     */
+    entries: () => compositions.entries(),
+
+    /**
+     * Gets the number of stored compositions
+     *
+     * @returns {number} The number of compositions
+     */
+    size: () => compositions.size,
+
+    /**
+     * Subscribes to changes. Listeners receive { type, id, composition } where type
+     * is 'add', 'update' or 'delete'.
+     *
+     * @param {Function} listener - Change listener
+     * @returns {Function} Function that removes the listener
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+/**
+ * Creates an emoji composer that can create, edit, and render emoji compositions
+ *
+ * @param {Object} emojiRenderer - An instance of emojiRenderer
+ * @param {Object} options - Composer options
+ * @param {Object} options.registry - Composition registry to store compositions in
+ *   (default: a new private registry)
+ * @param {Object} options.history - Command history (see createCommandHistory) that records
+ *   composition and layer edits so they can be undone
+ * @returns {Object} An object with methods for composition management
+ */
+export const createEmojiComposer = (emojiRenderer, options = {}) => {
+  // Validate input
+  if (!emojiRenderer || !emojiRenderer.renderEmoji) {
+    throw new Error('Invalid emojiRenderer provided to createEmojiComposer');
+  }
+
+  // Store compositions
+  const compositions = options.registry || createCompositionRegistry();
+
+  // Undo history, if any
+  const history = options.history || null;
+
+  /**
+   * Puts a composition snapshot into the registry, or removes it for null
+   *
+   * @param {string} id - The composition ID
+   * @param {Object|null} composition - The composition snapshot
+   * @returns {void}
+   */
+  const restoreComposition = (id, composition) => {
+    if (composition) {
+      compositions.set(id, composition);
+    } else {
+      compositions.delete(id);
+    }
+  };
+
+  /**
+   * Stores a new composition snapshot (or removes it for null) and records the change
+   *
+   * @param {string} id - The composition ID
+   * @param {Object|null} composition - The new composition snapshot
+   * @param {string} label - Label of the undo step
+   * @returns {void}
+   */
+  const commitComposition = (id, composition, label) => {
+    // Refuse edits that would make a composition contain itself
+    const cycle = composition ? findCompositionCycle(id, composition, getComposition) : null;
+    if (cycle) {
+      throw new Error(`Composition reference cycle: ${cycle.join(' -> ')}`);
+    }
+
+    const previous = compositions.has(id) ? compositions.get(id) : null;
+    restoreComposition(id, composition);
+
+    if (history) {
+      history.record({
+        label,
+        undo: () => restoreComposition(id, previous),
+        redo: () => restoreComposition(id, composition),
+        size: (previous ? previous.layers.length : 0) + (composition ? composition.layers.length : 0)
+      });
+    }
+  };
+
+  /**
+   * Renders a composition to a canvas
+   *
+   * @param {Object} composition - The emoji composition to render
+   * @param {number} x - X coordinate on canvas (center of composition)
+   * @param {number} y - Y coordinate on canvas (center of composition)
+   * @param {number} size - Size multiplier (1.0 = original size)
+   * @param {Object} options - Additional rendering options
+   * @param {string} options.clip - Name of the clip to draw (default: the static composition)
+   * @param {number} options.time - Time since the clip started in milliseconds (default: 0)
+   * @param {Object} options.renderer - Emoji renderer to draw with (default: the composer's renderer)
+   * @returns {void}
+   */
+  const renderComposition = (composition, x, y, size = 1.0, options = {}) => {
+    const { clip, time, renderer = emojiRenderer, ...renderOptions } = options;
+    const ctx = renderer.getContext();
+    const pose = sampleComposition(composition, clip, time);
+    const space = { unit: size, emojiScale: size, baseSize: composition.baseSize };
+    const scene = { renderer, resolve: getComposition, clip, time, stack: [], renderOptions };
+
+    // Save the current context state
+    ctx.save();
+
+    // Apply global composition transformations
+    ctx.translate(x, y);
+
+    // Render each layer
+    pose.layers.forEach(layer => {
+      drawCompositionLayer(layer, layer.x * size, layer.y * size, space, scene, {});
+    });
+
+    // Restore the original context state
+    ctx.restore();
+  };
+
+  /**
+   * Creates a new composition and stores it
+   *
+   * @param {string} id - Unique identifier for the composition
+   * @param {Array<Object>} layers - Array of layer objects
+   * @param {Object} options - Composition options
+   * @returns {Object} The created composition
+   */
+  const createComposition = (id, layers = [], options = {}) => {
+    const compositionId = id || `comp_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    const composition = createEmojiComposition(layers, options);
+    commitComposition(compositionId, composition, 'Create composition');
+    return composition;
+  };
+
+  /**
+   * Retrieves a stored composition by ID
+   *
+   * @param {string} id - The composition ID
+   * @returns {Object|null} The composition or null if not found
+   */
+  const getComposition = (id) => {
+    return compositions.has(id) ? compositions.get(id) : null;
+  };
+
+  /**
+   * Applies updates to an existing composition and records them under a label
+   *
+   * @param {string} id - The composition ID
+   * @param {Object} updates - The properties to update
+   * @param {string} label - Label of the undo step
+   * @returns {Object|null} The updated composition or null if not found
+   */
+  const applyUpdates = (id, updates, label) => {
+    if (!compositions.has(id)) {
+      return null;
+    }
+
+    const composition = compositions.get(id);
+    const updated = {
+      ...composition,
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+
+    // If layers are provided, sort them by zIndex
+    if (updates.layers) {
+      updated.layers = [...updates.layers].sort((a, b) => a.zIndex - b.zIndex);
+    }
+
+    commitComposition(id, updated, label);
+    return updated;
+  };
+
+  /**
+   * Updates an existing composition
+   *
+   * @param {string} id - The composition ID
+   * @param {Object} updates - The properties to update
+   * @returns {Object|null} The updated composition or null if not found
+   */
+  const updateComposition = (id, updates = {}) => {
+    return applyUpdates(id, updates, 'Update composition');
+  };
+
+  /**
+   * Deletes a composition
+   *
+   * @param {string} id - The composition ID
+   * @returns {boolean} True if the composition was found and deleted
+   */
+  const deleteComposition = (id) => {
+    if (!compositions.has(id)) {
+      return false;
+    }
+
+    commitComposition(id, null, 'Delete composition');
+    return true;
+  };
+
+  /**
+   * Moves layers into a new group. The group starts at the composition center, so the
+   * layers keep their places.
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {Array<number>} layerIndexes - Indexes of the layers to group
+   * @param {Object} groupOptions - Group options (see createLayerGroup); zIndex defaults to the
+   *   highest zIndex of the grouped layers
+   * @returns {Object|null} The updated composition or null if not found or no layer was given
+   */
+  const groupLayers = (compositionId, layerIndexes, groupOptions = {}) => {
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+    const indexes = new Set(layerIndexes.filter(index => index >= 0 && index < composition.layers.length));
+    if (indexes.size === 0) {
+      return null;
+    }
+
+    const grouped = composition.layers.filter((_, index) => indexes.has(index));
+    const group = createLayerGroup(grouped, {
+      zIndex: Math.max(...grouped.map(layer => layer.zIndex)),
+      ...groupOptions
+    });
+    const updatedLayers = composition.layers.filter((_, index) => !indexes.has(index)).concat([group]);
+
+    return applyUpdates(compositionId, { layers: updatedLayers }, 'Group layers');
+  };
+
+  /**
+   * Aligns layers by their bounding boxes (see getCompositionLayerBounds). Several layers
+   * align to the box around all of them; a single layer aligns to the composition center.
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {Array<number>} layerIndexes - Indexes of the layers to align
+   * @param {string} alignment - One of LAYER_ALIGNMENT
+   * @returns {Object|null} The updated composition or null if not found or no layer draws anything
+   */
+  const alignLayers = (compositionId, layerIndexes, alignment) => {
+    // Validate input
+    if (!Object.values(LAYER_ALIGNMENT).includes(alignment)) {
+      throw new Error('Invalid alignment provided to alignLayers');
+    }
+
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+    const bounds = getCompositionLayerBounds(composition, { resolve: getComposition });
+    const targets = layerIndexes.filter(index => bounds[index]);
+    if (targets.length === 0) {
+      return null;
+    }
+
+    const horizontal = [LAYER_ALIGNMENT.LEFT, LAYER_ALIGNMENT.CENTER, LAYER_ALIGNMENT.RIGHT].includes(alignment);
+    const [low, high] = horizontal ? ['left', 'right'] : ['top', 'bottom'];
+    const start = targets.length === 1 ? 0 : Math.min(...targets.map(index => bounds[index][low]));
+    const end = targets.length === 1 ? 0 : Math.max(...targets.map(index => bounds[index][high]));
+
+    const updatedLayers = composition.layers.map((layer, index) => {
+      if (!targets.includes(index)) {
+        return layer;
+      }
+
+      const box = bounds[index];
+      let offset = ((start + end) / 2) - ((box[low] + box[high]) / 2);
+      if (alignment === LAYER_ALIGNMENT.LEFT || alignment === LAYER_ALIGNMENT.TOP) {
+        offset = start - box[low];
+      } else if (alignment === LAYER_ALIGNMENT.RIGHT || alignment === LAYER_ALIGNMENT.BOTTOM) {
+        offset = end - box[high];
+      }
+
+      return horizontal ? { ...layer, x: layer.x + offset } : { ...layer, y: layer.y + offset };
+    });
+
+    return applyUpdates(compositionId, { layers: updatedLayers }, 'Align layers');
+  };
+
+  /**
+   * Spaces layers evenly along an axis. The outermost layers stay in place and the
+   * centers of the others are spread evenly between them.
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {Array<number>} layerIndexes - Indexes of the layers to distribute
+   * @param {string} axis - 'x' to distribute horizontally or 'y' vertically
+   * @returns {Object|null} The updated composition or null if not found or fewer than three
+   *   of the layers draw anything
+   */
+  const distributeLayers = (compositionId, layerIndexes, axis) => {
+    // Validate input
+    if (axis !== 'x' && axis !== 'y') {
+      throw new Error('Invalid axis provided to distributeLayers');
+    }
+
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+    const bounds = getCompositionLayerBounds(composition, { resolve: getComposition });
+    const [low, high] = axis === 'x' ? ['left', 'right'] : ['top', 'bottom'];
+
+    /**
+     * Gets the center of a layer's bounding box along the axis
+     *
+     * @param {number} index - Layer index
+     * @returns {number} Center coordinate
+     */
+    const getCenter = (index) => (bounds[index][low] + bounds[index][high]) / 2;
+
+    const targets = layerIndexes.filter(index => bounds[index]).sort((a, b) => getCenter(a) - getCenter(b));
+    if (targets.length < 3) {
+      return null;
+    }
+
+    const first = getCenter(targets[0]);
+    const step = (getCenter(targets[targets.length - 1]) - first) / (targets.length - 1);
+    const offsets = new Map(targets.map((index, order) => [index, first + (step * order) - getCenter(index)]));
+
+    const updatedLayers = composition.layers.map((layer, index) => (
+      offsets.has(index) ? { ...layer, [axis]: layer[axis] + offsets.get(index) } : layer
+    ));
+
+    return applyUpdates(compositionId, { layers: updatedLayers }, 'Distribute layers');
+  };
+
+  /**
+   * Replaces a group with its children. The group's position, rotation, scale, flips,
+   * opacity, visibility and effects are applied to the children; its skew and
+   * animation tracks are dropped.
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {number} layerIndex - The index of the group
+   * @returns {Object|null} The updated composition or null if not found or not a group
+   */
+  const ungroupLayer = (compositionId, layerIndex) => {
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+    const group = composition.layers[layerIndex];
+    if (!group || getCompositionLayerType(group) !== COMPOSITION_LAYER_TYPE.GROUP) {
+      return null;
+    }
+
+    const cos = Math.cos(group.rotation);
+    const sin = Math.sin(group.rotation);
+    const mirrored = Boolean(group.flipX) !== Boolean(group.flipY);
+
+    const children = group.layers.map(child => {
+      const childX = child.x * group.scale * (group.flipX ? -1 : 1);
+      const childY = child.y * group.scale * (group.flipY ? -1 : 1);
+      return {
+        ...child,
+        x: group.x + (childX * cos) - (childY * sin),
+        y: group.y + (childX * sin) + (childY * cos),
+        rotation: group.rotation + (mirrored ? -child.rotation : child.rotation),
+        scale: child.scale * group.scale,
+        opacity: child.opacity * group.opacity,
+        flipX: Boolean(child.flipX) !== Boolean(group.flipX),
+        flipY: Boolean(child.flipY) !== Boolean(group.flipY),
+        visible: child.visible !== false && group.visible !== false,
+        zIndex: group.zIndex,
+        tint: child.tint || group.tint || null,
+        tintAmount: child.tint ? child.tintAmount : group.tintAmount,
+        outline: child.outline || group.outline || null,
+        shadow: child.shadow || group.shadow || null,
+        blur: child.blur || group.blur || 0
+      };
+    });
+
+    const updatedLayers = [
+      ...composition.layers.slice(0, layerIndex),
+      ...children,
+      ...composition.layers.slice(layerIndex + 1)
+    ];
+
+    return applyUpdates(compositionId, { layers: updatedLayers }, 'Ungroup layers');
+  };
+
+  /**
+   * Adds a clip to a composition, or replaces the settings of an existing clip
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {string} clipName - Name of the clip, such as 'idle' or 'walk'
+   * @param {Object} clipOptions - Clip options (see createCompositionClip)
+   * @returns {Object|null} The updated composition or null if not found
+   */
+  const setClip = (compositionId, clipName, clipOptions = {}) => {
+    // Validate input
+    if (!clipName || typeof clipName !== 'string') {
+      throw new Error('Invalid clip name provided to setClip');
+    }
+
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+    return applyUpdates(compositionId, {
+      clips: { ...composition.clips, [clipName]: createCompositionClip(clipOptions) }
+    }, 'Set clip');
+  };
+
+  /**
+   * Removes a clip and the keyframes its layers hold for it
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {string} clipName - Name of the clip
+   * @returns {Object|null} The updated composition or null if the composition or clip was not found
+   */
+  const removeClip = (compositionId, clipName) => {
+    const composition = compositions.has(compositionId) ? compositions.get(compositionId) : null;
+    if (!composition || !composition.clips || !composition.clips[clipName]) {
+      return null;
+    }
+
+    const { [clipName]: removed, ...clips } = composition.clips;
+    const layers = composition.layers.map(layer => {
+      if (!layer.tracks || !layer.tracks[clipName]) {
+        return layer;
+      }
+      const { [clipName]: removedTracks, ...tracks } = layer.tracks;
+      return { ...layer, tracks };
+    });
+
+    return applyUpdates(compositionId, { clips, layers }, 'Remove clip');
+  };
+
+  /**
+   * Sets the keyframes of one property of a layer within a clip. Use easing names or
+   * cubic-bezier arrays rather than functions so the composition stays serializable.
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {number} layerIndex - The index of the layer
+   * @param {string} clipName - Name of the clip (created with default settings if missing)
+   * @param {string} property - Property from KEYFRAME_PROPERTY
+   * @param {Array<Object|Array>|null} keyframes - Keyframes or [time, value, easing] tuples,
+   *   or null to remove the track
+   * @returns {Object|null} The updated composition or null if not found
+   */
+  const setLayerTrack = (compositionId, layerIndex, clipName, property, keyframes) => {
+    // Validate input
+    if (!clipName || typeof clipName !== 'string') {
+      throw new Error('Invalid clip name provided to setLayerTrack');
+    }
+    if (keyframes !== null) {
+      createKeyframeTrack(property, keyframes);
+    }
+
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+
+    if (layerIndex < 0 || layerIndex >= composition.layers.length) {
+      return null;
+    }
+
+    const layer = composition.layers[layerIndex];
+    const { [property]: previous, ...clipTracks } = (layer.tracks && layer.tracks[clipName]) || {};
+    if (keyframes !== null) {
+      clipTracks[property] = keyframes.map(keyframe => (Array.isArray(keyframe) ? [...keyframe] : { ...keyframe }));
+    }
+
+    const updatedLayers = [...composition.layers];
+    updatedLayers[layerIndex] = {
+      ...layer,
+      tracks: { ...layer.tracks, [clipName]: clipTracks }
+    };
+
+    const clips = composition.clips && composition.clips[clipName]
+      ? composition.clips
+      : { ...composition.clips, [clipName]: createCompositionClip() };
+
+    return applyUpdates(compositionId, { layers: updatedLayers, clips }, 'Animate layer');
+  };
+
+  /**
+   * Lists the clips of a composition
+   *
+   * @param {string} compositionId - The composition ID
+   * @returns {Array<Object>} Clips with their name, duration (resolved) and loop setting
+   */
+  const listClips = (compositionId) => {
+    const composition = getComposition(compositionId);
+    if (!composition || !composition.clips) {
+      return [];
+    }
+
+    return Object.entries(composition.clips).map(([name, clip]) => ({
+      name,
+      duration: getCompositionClipDuration(composition, name),
+      loop: clip.loop
+    }));
+  };
+
+  /**
+   * Adds a layer to an existing composition
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {Object} layer - The layer to add
+   * @returns {Object|null} The updated composition or null if not found
+   */
+  const addLayer = (compositionId, layer) => {
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+    const updatedLayers = [...composition.layers, layer].sort((a, b) => a.zIndex - b.zIndex);
+
+    return applyUpdates(compositionId, { layers: updatedLayers }, 'Add layer');
+  };
+
+  /**
+   * Updates a layer in an existing composition
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {number} layerIndex - The index of the layer to update
+   * @param {Object} updates - The properties to update
+   * @returns {Object|null} The updated composition or null if not found
+   */
+  const updateLayer = (compositionId, layerIndex, updates) => {
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+
+    if (layerIndex < 0 || layerIndex >= composition.layers.length) {
+      return null;
+    }
+
+    const updatedLayers = [...composition.layers];
+    updatedLayers[layerIndex] = {
+      ...updatedLayers[layerIndex],
+      ...updates
+    };
+
+    // Fill in defaults of partial effect settings
+    if (updates.outline !== undefined) {
+      updatedLayers[layerIndex].outline = createLayerOutline(updates.outline);
+    }
+    if (updates.shadow !== undefined) {
+      updatedLayers[layerIndex].shadow = createLayerShadow(updates.shadow);
+    }
+
+    return applyUpdates(compositionId, {
+      layers: updatedLayers.sort((a, b) => a.zIndex - b.zIndex)
+    }, 'Update layer');
+  };
+
+  /**
+   * Removes a layer from an existing composition
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {number} layerIndex - The index of the layer to remove
+   * @returns {Object|null} The updated composition or null if not found
+   */
+  const removeLayer = (compositionId, layerIndex) => {
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const composition = compositions.get(compositionId);
+
+    if (layerIndex < 0 || layerIndex >= composition.layers.length) {
+      return null;
+    }
+
+    const updatedLayers = composition.layers.filter((_, index) => index !== layerIndex);
+    return applyUpdates(compositionId, { layers: updatedLayers }, 'Remove layer');
+  };
+
+  /**
+   * Exports a composition to a serializable JSON object
+   *
+   * @param {string} compositionId - The composition ID
+   * @param {Object} exportOptions - Export options
+   * @param {string} exportOptions.dependencies - 'reference' to keep references to other compositions
+   *   as IDs only, or 'inline' to include every composition it uses, directly or indirectly, under
+   *   dependencies keyed by ID (default: 'reference')
+   * @returns {Object|null} The exported composition or null if not found
+   */
+  const exportComposition = (compositionId, exportOptions = {}) => {
+    if (!compositions.has(compositionId)) {
+      return null;
+    }
+
+    const exported = JSON.parse(JSON.stringify(compositions.get(compositionId)));
+
+    if (exportOptions.dependencies === 'inline') {
+      exported.dependencies = {};
+      const pending = getCompositionDependencies(exported);
+      while (pending.length > 0) {
+        const dependencyId = pending.shift();
+        const dependency = getComposition(dependencyId);
+        if (dependency && dependencyId !== compositionId && !exported.dependencies[dependencyId]) {
+          exported.dependencies[dependencyId] = JSON.parse(JSON.stringify(dependency));
+          pending.push(...getCompositionDependencies(dependency));
+        }
+      }
+    }
+
+    return exported;
+  };
+
+  /**
+   * Imports a composition from a JSON object. Inlined dependencies are imported under
+   * their own IDs first; compositions that already exist under those IDs are kept.
+   * With a command history, the import is a single undo step.
+   *
+   * @param {string} id - The ID to assign to the imported composition
+   * @param {Object} data - The composition data to import
+   * @returns {Object} The imported composition
+   */
+  const importComposition = (id, data) => {
+    const compositionId = id || `imported_${Date.now()}`;
+
+    // Validate the imported data
+    if (!data || !Array.isArray(data.layers)) {
+      throw new Error('Invalid composition data');
+    }
+
+    const dependencies = data.dependencies && typeof data.dependencies === 'object' ? data.dependencies : {};
+    if (history && Object.keys(dependencies).length > 0) {
+      return history.transaction('Import composition', () => importWithDependencies(compositionId, data, dependencies));
+    }
+    return importWithDependencies(compositionId, data, dependencies);
+  };
+
+  /**
+   * Imports the missing dependencies of a composition, then the composition itself
+   *
+   * @param {string} compositionId - The ID to assign to the imported composition
+   * @param {Object} data - The composition data to import
+   * @param {Object} dependencies - Inlined dependencies keyed by ID
+   * @returns {Object} The imported composition
+   */
+  const importWithDependencies = (compositionId, data, dependencies) => {
+    Object.entries(dependencies).forEach(([dependencyId, dependency]) => {
+      if (!compositions.has(dependencyId) && dependency && Array.isArray(dependency.layers)) {
+        commitComposition(dependencyId, createImportedComposition(dependency), 'Import composition');
+      }
+    });
+
+    const composition = createImportedComposition(data);
+    commitComposition(compositionId, composition, 'Import composition');
+    return composition;
+  };
+
+  /**
+   * Creates a composition from imported data; missing properties get their defaults
+   *
+   * @param {Object} data - The composition data
+   * @returns {Object} The composition
+   */
+  const createImportedComposition = (data) => {
+    return {
+      layers: data.layers.map(normalizeLayer).sort((a, b) => a.zIndex - b.zIndex),
+      name: data.name || `imported_${Date.now()}`,
+      description: data.description || '',
+      baseSize: data.baseSize || 64,
+      clips: Object.fromEntries(Object.entries(data.clips && typeof data.clips === 'object' ? data.clips : {})
+        .map(([name, clip]) => [name, createCompositionClip(clip || {})])),
+      createdAt: data.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  };
+
+  /**
+   * Renders a composition to an offscreen canvas and returns it
+   *
+   * @param {Object|string} compositionOrId - The composition object or ID
+   * @param {number} size - Logical size of the output canvas
+   * @param {Object} options - Output options
+   * @param {number} options.pixelRatio - Backing store pixels per logical pixel (default: 1).
+   *   The canvas holds size * pixelRatio pixels while layers are laid out in logical pixels.
+   * @param {string} options.clip - Name of the clip to draw (default: the static composition)
+   * @param {number} options.time - Time since the clip started in milliseconds (default: 0)
+   * @returns {HTMLCanvasElement|Object} The rendered composition canvas (a canvas stand-in
+   *   when the composer uses a recording backend)
+   */
+  const renderToCanvas = (compositionOrId, size = 128, options = {}) => {
+    // Get the composition
+    const composition = typeof compositionOrId === 'string'
+      ? getComposition(compositionOrId)
+      : compositionOrId;
+
+    if (!composition) {
+      throw new Error('Invalid composition');
+    }
+
+    const pose = sampleComposition(composition, options.clip, options.time);
+
+    // Create an offscreen surface with the same backend as the composer's renderer
+    const surface = emojiRenderer.getBackend().createSurface(size, size, { pixelRatio: options.pixelRatio || 1 });
+    const ctx = surface.getContext();
+
+    // Create a temporary renderer for this surface
+    const tempRenderer = createEmojiRenderer(surface);
+
+    // Clear the canvas
+    ctx.clearRect(0, 0, size, size);
+
+    // Layers are laid out in logical pixels, and emoji sizes follow the canvas size
+    const space = { unit: 1, emojiScale: size / 64, baseSize: composition.baseSize };
+    const scene = {
+      renderer: tempRenderer,
+      resolve: getComposition,
+      clip: options.clip,
+      time: options.time,
+      stack: typeof compositionOrId === 'string' ? [compositionOrId] : [],
+      renderOptions: {}
+    };
+
+    // Render each layer
+    pose.layers.forEach(layer => {
+      drawCompositionLayer(layer, size / 2 + layer.x, size / 2 + layer.y, space, scene, {});
+    });
+
+    return surface.getCanvas();
+  };
+
+  /**
+   * Converts a composition to a data URL
+   *
+   * @param {Object|string} compositionOrId - The composition object or ID
+   * @param {number} size - Size of the output image
+   * @param {string} type - Image MIME type (default: 'image/png')
+   * @param {number} quality - Image quality for JPEG (0-1)
+   * @param {Object} options - Output options (see renderToCanvas)
+   * @returns {string} Data URL of the composition
+   */
+  const toDataURL = (compositionOrId, size = 128, type = 'image/png', quality = 0.92, options = {}) => {
+    const canvas = renderToCanvas(compositionOrId, size, options);
+    return canvas.toDataURL(type, quality);
+  };
+
+  /**
+   * Lists all stored compositions
+   *
+   * @returns {Array<Object>} Array of compositions with their IDs
+   */
+  const listCompositions = () => {
+    return Array.from(compositions.entries()).map(([id, composition]) => ({
+      id,
+      ...composition
+    }));
+  };
+
+  /**
+   * Creates a preview function that renders a composition with interactive controls
+   *
+   * @param {HTMLElement} container - Container element for the preview
+   * @param {string} compositionId - ID of the composition to preview
+   * @returns {Object} Preview controller
+   */
+  const createPreview = (container, compositionId) => {
+    if (!container || !(container instanceof HTMLElement)) {
+      throw new Error('Invalid container element');
+    }
+
+    if (!compositions.has(compositionId)) {
+      throw new Error(`Composition with ID ${compositionId} not found`);
+    }
+
+    // Create preview elements
+    const previewContainer = document.createElement('div');
+    previewContainer.className = 'emoji-composition-preview';
+    container.appendChild(previewContainer);
+
+    // Create canvas for rendering
+    const canvas = document.createElement('canvas');
+    canvas.width = 200;
+    canvas.height = 200;
+    canvas.style.border = '1px solid #ccc';
+    canvas.style.backgroundColor = '#f9f9f9';
+    previewContainer.appendChild(canvas);
+
+    const ctx = canvas.getContext('2d');
+    const previewRenderer = createEmojiRenderer(ctx);
+
+    // Create controls
+    const controls = document.createElement('div');
+    controls.className = 'emoji-composition-controls';
+    controls.style.marginTop = '10px';
+    previewContainer.appendChild(controls);
+
+    // Size control
+    const sizeControl = document.createElement('div');
+    sizeControl.style.marginBottom = '10px';
+
+    const sizeLabel = document.createElement('label');
+    sizeLabel.textContent = 'Size: ';
+    sizeControl.appendChild(sizeLabel);
+
+    const sizeSlider = document.createElement('input');
+    sizeSlider.type = 'range';
+    sizeSlider.min = '0.5';
+    sizeSlider.max = '2';
+    sizeSlider.step = '0.1';
+    sizeSlider.value = '1';
+    sizeControl.appendChild(sizeSlider);
+
+    controls.appendChild(sizeControl);
+
+    // Render the composition
+    const render = () => {
+      const composition = compositions.get(compositionId);
+      const size = parseFloat(sizeSlider.value);
+
+      // Clear canvas
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      // Render composition
+      renderComposition(composition, canvas.width / 2, canvas.height / 2, size, { renderer: previewRenderer });
+    };
+
+    // Add event listeners
+    sizeSlider.addEventListener('input', render);
+
+    // Initial render
+    render();
+
+    // Return controller
+    return {
+      render,
+      updateComposition: (updates) => {
+        updateComposition(compositionId, updates);
+        render();
+      },
+      destroy: () => {
+        container.removeChild(previewContainer);
+      }
+    };
+  };
+
+  /**
+   * Gets the registry this composer stores compositions in
+   *
+   * @returns {Object} The composition registry
+   */
+  const getRegistry = () => {
+    return compositions;
+  };
+
+  /**
+   * Gets the command history this composer records edits into
+   *
+   * @returns {Object|null} The command history or null if edits are not recorded
+   */
+  const getHistory = () => {
+    return history;
+  };
+
+  // Return the public API
+  return {
+    renderComposition,
+    createComposition,
+    getComposition,
+    updateComposition,
+    deleteComposition,
+    addLayer,
+    updateLayer,
+    removeLayer,
+    groupLayers,
+    ungroupLayer,
+    alignLayers,
+    distributeLayers,
+    setClip,
+    removeClip,
+    setLayerTrack,
+    listClips,
+    exportComposition,
+    importComposition,
+    renderToCanvas,
+    toDataURL,
+    listCompositions,
+    createPreview,
+    getRegistry,
+    getHistory
+  };
+};
+
+/**
+ * Generates a composition ID that is not used by a composer yet, so the UI knows
+ * which composition it created even when the registry is shared
+ *
+ * @param {Object} composer - Emoji composer created with createEmojiComposer
+ * @param {string} prefix - ID prefix
+ * @returns {string} An unused composition ID
+ */
+const createUnusedCompositionId = (composer, prefix) => {
+  let id;
+  do {
+    id = `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+  } while (composer.getComposition(id));
+  return id;
+};
+
+/**
+ * Creates a UI for composing and customizing emojis. Layers can be edited in the
+ * properties form or on the canvas: click to select (Ctrl/Cmd- or Shift-click for
+ * several), drag to move, drag the corner handles to scale and the top handle to
+ * rotate, and press the arrow keys to nudge.
+ *
+ * @param {Object} options - Configuration options
+ * @param {HTMLElement} options.container - Container element for the UI
+ * @param {Object} options.emojiRenderer - An instance of emojiRenderer
+ * @param {Function} options.onSave - Callback when a composition is saved
+ * @param {Object} options.initialComposition - Optional initial composition to edit
+ * @param {Object} options.registry - Optional composition registry shared with other composers
+ * @param {Object} options.history - Optional command history; Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+ *   undo and redo edits made in the UI (default: a new history)
+ * @param {Object} options.scheduler - Scheduler that drives clip previews (default: the shared
+ *   default scheduler)
+ * @param {boolean} options.snap - Snap dragged layers to the center, other layers and the grid (default: true)
+ * @param {number} options.gridSize - Grid spacing in pixels for snapping and Shift+arrow nudges; 0 turns
+ *   the grid off (default: 10)
+ * @param {number} options.snapThreshold - Distance in pixels within which layers snap to the center
+ *   and other layers (default: 5)
+ * @returns {Object} Composer UI controller
+ */
+export const createEmojiComposerUI = (options) => {
+  // Validate required options
+  if (!options.container || !(options.container instanceof HTMLElement)) {
+    throw new Error('Invalid container element provided to createEmojiComposerUI');
+  }
+
+  if (!options.emojiRenderer || !options.emojiRenderer.renderEmoji) {
+    throw new Error('Invalid emojiRenderer provided to createEmojiComposerUI');
+  }
+
+  // Create composer instance
+  const history = options.history || createCommandHistory();
+  const composer = createEmojiComposer(options.emojiRenderer, { registry: options.registry, history });
+
+  // State variables
+  let currentCompositionId = null;
+  let selectedLayerIndex = -1;
+  let composerElement = null;
+
+  // Indexes of further selected layers (Ctrl/Cmd- or Shift-click); they are moved, nudged,
+  // aligned and grouped together with the selected layer
+  const multiSelection = new Set();
+
+  // On-canvas editing: the renderer of the composer canvas, snapping settings, the drag in
+  // progress and the snap guides it shows
+  let previewRenderer = null;
+  let snapEnabled = options.snap !== undefined ? options.snap : true;
+  let gridSize = options.gridSize !== undefined ? options.gridSize : 10;
+  const snapThreshold = options.snapThreshold !== undefined ? options.snapThreshold : 5;
+  let drag = null;
+  let guides = [];
+
+  // Radius of the scale and rotation handles and distance of the rotation handle above the layer
+  const HANDLE_RADIUS = 5;
+  const ROTATION_HANDLE_OFFSET = 20;
+
+  /**
+   * Gets the indexes of all selected layers
+   *
+   * @returns {Array<number>} Sorted layer indexes
+   */
+  const getSelectedIndexes = () => {
+    const indexes = new Set(multiSelection);
+    if (selectedLayerIndex >= 0) {
+      indexes.add(selectedLayerIndex);
+    }
+    return Array.from(indexes).sort((a, b) => a - b);
+  };
+
+  /**
+   * Adds a layer to the selection or removes it
+   *
+   * @param {number} index - Layer index
+   * @returns {void}
+   */
+  const toggleLayerSelection = (index) => {
+    if (index === selectedLayerIndex) {
+      // The next selected layer takes over the properties panel
+      const next = Array.from(multiSelection)[0];
+      selectedLayerIndex = next !== undefined ? next : -1;
+      multiSelection.delete(next);
+    } else if (multiSelection.has(index)) {
+      multiSelection.delete(index);
+    } else if (selectedLayerIndex < 0) {
+      selectedLayerIndex = index;
+    } else {
+      multiSelection.add(index);
+    }
+  };
+
+  // Clip preview state: the clip being edited, the preview time and the frame callback remover
+  const scheduler = options.scheduler || getDefaultScheduler();
+  let currentClip = null;
+  let clipTime = 0;
+  let stopPlayback = null;
+
+  // True while a slider drag or text edit is being grouped into one undo step
+  let editing = false;
+
+  /**
+   * Starts grouping property edits into one undo step
+   *
+   * @param {string} label - Label of the undo step
+   * @returns {void}
+   */
+  const beginEdit = (label) => {
+    if (!editing) {
+      editing = true;
+      history.beginGroup(label);
+    }
+  };
+
+  /**
+   * Finishes the current property edit
+   *
+   * @returns {void}
+   */
+  const endEdit = () => {
+    if (editing) {
+      editing = false;
+      history.endGroup();
+    }
+  };
+
+  /**
+   * Moves layers by a distance in the direction of an arrow key, as one undo step
+   *
+   * @param {Array<number>} indexes - Layer indexes
+   * @param {string} key - 'ArrowLeft', 'ArrowRight', 'ArrowUp' or 'ArrowDown'
+   * @param {number} distance - Distance in pixels
+   * @returns {void}
+   */
+  const nudgeLayers = (indexes, key, distance) => {
+    const dx = key === 'ArrowLeft' ? -distance : key === 'ArrowRight' ? distance : 0;
+    const dy = key === 'ArrowUp' ? -distance : key === 'ArrowDown' ? distance : 0;
+    const composition = composer.getComposition(currentCompositionId);
+
+    history.transaction('Nudge layers', () => {
+      indexes.forEach(index => {
+        const layer = composition.layers[index];
+        composer.updateLayer(currentCompositionId, index, { x: layer.x + dx, y: layer.y + dy });
+      });
+    });
+    updateUI();
   };
 
   /**
-   * Updates an existing composition
+   * Handles keyboard shortcuts: undo/redo and nudging the selection
    *
-   * @param {string} id - The composition ID
-   * @param {Object} updates - The properties to update
-   * @returns {Object|null} The updated composition or null if not found
+   * @param {KeyboardEvent} e - The keyboard event
+   * @returns {void}
    */
-  const updateComposition = (id, updates = {}) => {
-    if (!compositions.has(id)) {
-      return null;
+  const handleKeyDown = (e) => {
+    // Arrow keys nudge the selected layers, Shift+arrow by a grid step
+    if (e.key.startsWith('Arrow') && !e.ctrlKey && !e.metaKey && !e.altKey &&
+      e.target.tagName !== 'INPUT' && e.target.tagName !== 'SELECT') {
+      const indexes = getSelectedIndexes();
+      if (currentCompositionId && indexes.length > 0) {
+        e.preventDefault();
+        endEdit();
+        nudgeLayers(indexes, e.key, e.shiftKey ? (gridSize || 10) : 1);
+      }
+      return;
     }
 
-    const composition = compositions.get(id);
-    const updated = {
-      ...composition,
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+      return;
+    }
 
-    // If layers are provided, sort them by zIndex
-    if (updates.layers) {
-      updated.layers = [...updates.layers].sort((a, b) => a.zIndex - b.zIndex);
+    // Leave text fields to the browser's own undo
+    if (e.target.tagName === 'INPUT' && e.target.type === 'text') {
+      return;
     }
 
-    compositions.set(id, updated);
-    return updated;
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      e.preventDefault();
+      endEdit();
+      if (key === 'y' || e.shiftKey) {
+        history.redo();
+      } else {
+        history.undo();
+      }
+    }
   };
 
+  // Refresh the UI when edits are undone or redone
+  const unsubscribeHistory = history.subscribe(event => {
+    if (event.type !== 'undo' && event.type !== 'redo') {
+      return;
+    }
+
+    const composition = currentCompositionId ? composer.getComposition(currentCompositionId) : null;
+    if (!composition) {
+      selectedLayerIndex = -1;
+    } else if (selectedLayerIndex >= composition.layers.length) {
+      selectedLayerIndex = composition.layers.length - 1;
+    }
+    updateUI();
+  });
+
   /**
-   * Deletes a composition
+   * Gets the layer bounds of a composition as drawn on the composer canvas
    *
-   * @param {string} id - The composition ID
-   * @returns {boolean} True if the composition was found and deleted
+   * @param {Object} composition - The composition
+   * @returns {Array<Object|null>} Layer bounds (see getCompositionLayerBounds)
    */
-  const deleteComposition = (id) => {
-    return compositions.delete(id);
-  };
+  const getCanvasBounds = (composition) => getCompositionLayerBounds(composition, {
+    clip: currentClip,
+    time: clipTime,
+    resolve: composer.getComposition
+  });
 
   /**
-   * Adds a layer to an existing composition
+   * Gets the handles of a layer: one scale handle per corner and a rotation handle above it
    *
-   * @param {string} compositionId - The composition ID
-   * @param {Object} layer - The layer to add
-   * @returns {Object|null} The updated composition or null if not found
+   * @param {Object} box - Layer bounds
+   * @returns {Object} scale (corner points) and rotate (point)
    */
-  const addLayer = (compositionId, layer) => {
-    if (!compositions.has(compositionId)) {
-      return null;
-    }
-
-    const composition = compositions.get(compositionId);
-    const updatedLayers = [...composition.layers, layer].sort((a, b) => a.zIndex - b.zIndex);
+  const getLayerHandles = (box) => {
+    const cos = Math.cos(box.rotation);
+    const sin = Math.sin(box.rotation);
+    const localX = (box.minX + box.maxX) / 2;
+    const localY = box.minY - ROTATION_HANDLE_OFFSET;
 
-    return updateComposition(compositionId, { layers: updatedLayers });
+    return {
+      scale: box.corners,
+      rotate: {
+        x: box.x + (localX * cos) - (localY * sin),
+        y: box.y + (localX * sin) + (localY * cos)
+      }
+    };
   };
 
   /**
-   * Updates a layer in an existing composition
+   * Finds the handle of a layer at a point
    *
-   * @param {string} compositionId - The composition ID
-   * @param {number} layerIndex - The index of the layer to update
-   * @param {Object} updates - The properties to update
-   * @returns {Object|null} The updated composition or null if not found
+   * @param {Object} box - Layer bounds
+   * @param {Object} point - Point relative to the composition center
+   * @returns {string|null} 'scale', 'rotate' or null
    */
-  const updateLayer = (compositionId, layerIndex, updates) => {
-    if (!compositions.has(compositionId)) {
-      return null;
+  const getHandleAt = (box, point) => {
+    const handles = getLayerHandles(box);
+
+    /**
+     * Checks whether the point is on a handle
+     *
+     * @param {Object} handle - Handle center
+     * @returns {boolean} True if the point is within the handle radius
+     */
+    const isOn = (handle) => Math.hypot(point.x - handle.x, point.y - handle.y) <= HANDLE_RADIUS + 2;
+
+    if (isOn(handles.rotate)) {
+      return 'rotate';
     }
+    return handles.scale.some(isOn) ? 'scale' : null;
+  };
 
-    const composition = compositions.get(compositionId);
-
-    if (layerIndex < 0 || layerIndex >= composition.layers.length) {
-      return null;
+  /**
+   * Snaps a layer position to the composition center, to other layers and to the grid
+   *
+   * @param {number} x - X coordinate relative to the composition center
+   * @param {number} y - Y coordinate relative to the composition center
+   * @param {Array<Object>} targets - Bounds of the layers to snap to
+   * @returns {Object} Snapped x and y, and the guides to show
+   */
+  const snapPosition = (x, y, targets) => {
+    const snapped = { x, y, guides: [] };
+    if (!snapEnabled) {
+      return snapped;
     }
 
-    const updatedLayers = [...composition.layers];
-    updatedLayers[layerIndex] = {
-      ...updatedLayers[layerIndex],
-      ...updates
-    };
-
-    return updateComposition(compositionId, {
-      layers: updatedLayers.sort((a, b) => a.zIndex - b.zIndex)
+    ['x', 'y'].forEach(axis => {
+      // The center and other layers win over the grid
+      const nearest = [0, ...targets.map(target => target[axis])].reduce((best, value) => {
+        const distance = Math.abs(value - snapped[axis]);
+        return distance <= snapThreshold && (best === null || distance < Math.abs(best - snapped[axis])) ? value : best;
+      }, null);
+
+      if (nearest !== null) {
+        snapped[axis] = nearest;
+        snapped.guides.push({ axis, value: nearest, grid: false });
+      } else if (gridSize > 0) {
+        snapped[axis] = Math.round(snapped[axis] / gridSize) * gridSize;
+        snapped.guides.push({ axis, value: snapped[axis], grid: true });
+      }
     });
+
+    return snapped;
   };
 
   /**
-   * Removes a layer from an existing composition
+   * Draws the snap guides, the boxes of the selected layers and the handles of a single
+   * selected layer over the composition
    *
-   * @param {string} compositionId - The composition ID
-   * @param {number} layerIndex - The index of the layer to remove
-   * @returns {Object|null} The updated composition or null if not found
+   * @param {CanvasRenderingContext2D} ctx - Context of the composer canvas
+   * @param {Object} composition - The composition
+   * @returns {void}
    */
-  const removeLayer = (compositionId, layerIndex) => {
-    if (!compositions.has(compositionId)) {
-      return null;
-    }
+  const drawCanvasOverlay = (ctx, composition) => {
+    const { width, height } = ctx.canvas;
+    const bounds = getCanvasBounds(composition);
+    const selected = getSelectedIndexes().filter(index => bounds[index]);
 
-    const composition = compositions.get(compositionId);
+    ctx.save();
+    ctx.translate(width / 2, height / 2);
+    ctx.lineWidth = 1;
+
+    // Guides cross the whole canvas
+    guides.forEach(guide => {
+      ctx.strokeStyle = guide.grid ? 'rgba(24, 144, 255, 0.4)' : '#ff4d4f';
+      ctx.beginPath();
+      if (guide.axis === 'x') {
+        ctx.moveTo(guide.value, -height / 2);
+        ctx.lineTo(guide.value, height / 2);
+      } else {
+        ctx.moveTo(-width / 2, guide.value);
+        ctx.lineTo(width / 2, guide.value);
+      }
+      ctx.stroke();
+    });
 
-    if (layerIndex < 0 || layerIndex >= composition.layers.length) {
-      return null;
+    // Selection boxes; further selected layers are dashed
+    ctx.strokeStyle = '#1890ff';
+    selected.forEach(index => {
+      const { corners } = bounds[index];
+      ctx.setLineDash(index === selectedLayerIndex ? [] : [4, 3]);
+      ctx.beginPath();
+      corners.forEach((corner, i) => (i === 0 ? ctx.moveTo(corner.x, corner.y) : ctx.lineTo(corner.x, corner.y)));
+      ctx.closePath();
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    if (selected.length === 1) {
+      const box = bounds[selected[0]];
+      const handles = getLayerHandles(box);
+
+      // Stem of the rotation handle
+      const top = { x: (box.corners[0].x + box.corners[1].x) / 2, y: (box.corners[0].y + box.corners[1].y) / 2 };
+      ctx.beginPath();
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(handles.rotate.x, handles.rotate.y);
+      ctx.stroke();
+
+      ctx.fillStyle = '#fff';
+      [...handles.scale, handles.rotate].forEach(handle => {
+        ctx.beginPath();
+        ctx.arc(handle.x, handle.y, HANDLE_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
     }
 
-    const updatedLayers = composition.layers.filter((_, index) => index !== layerIndex);
-    return updateComposition(compositionId, { layers: updatedLayers });
+    ctx.restore();
   };
 
   /**
-   * Exports a composition to a serializable JSON object
+   * Converts the position of a pointer event to coordinates relative to the composition center
    *
-   * @param {string} compositionId - The composition ID
-   * @returns {Object|null} The exported composition or null if not found
+   * @param {PointerEvent} e - The pointer event
+   * @returns {Object} x and y in canvas pixels
    */
-  const exportComposition = (compositionId) => {
-    if (!compositions.has(compositionId)) {
-      return null;
-    }
-
-    return JSON.parse(JSON.stringify(compositions.get(compositionId)));
+  const getCanvasPoint = (e) => {
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * (canvas.width / rect.width)) - (canvas.width / 2),
+      y: ((e.clientY - rect.top) * (canvas.height / rect.height)) - (canvas.height / 2)
+    };
   };
 
   /**
-   * Imports a composition from a JSON object
+   * Starts selecting, moving, scaling or rotating layers on the canvas
    *
-   * @param {string} id - The ID to assign to the imported composition
-   * @param {Object} data - The composition data to import
-   * @returns {Object} The imported composition
+   * @param {PointerEvent} e - The pointer event
+   * @returns {void}
    */
-  const importComposition = (id, data) => {
-    const compositionId = id || `imported_${Date.now()}`;
+  const handleCanvasPointerDown = (e) => {
+    const composition = currentCompositionId ? composer.getComposition(currentCompositionId) : null;
+    if (!composition || e.button !== 0) {
+      return;
+    }
 
-    // Validate the imported data
-    if (!data || !Array.isArray(data.layers)) {
-      throw new Error('Invalid composition data');
+    const point = getCanvasPoint(e);
+    const bounds = getCanvasBounds(composition);
+    const selected = getSelectedIndexes();
+
+    // Handles of a single selected layer come before the layers under them
+    const handle = selected.length === 1 && bounds[selected[0]] ? getHandleAt(bounds[selected[0]], point) : null;
+    if (handle) {
+      drag = {
+        mode: handle,
+        start: point,
+        index: selected[0],
+        layer: composition.layers[selected[0]],
+        origin: { x: bounds[selected[0]].x, y: bounds[selected[0]].y }
+      };
+      e.currentTarget.setPointerCapture(e.pointerId);
+      return;
     }
 
-    // Create a new composition from the imported data
-    const composition = {
-      layers: data.layers.map(layer => ({
-        emoji: layer.emoji || '❓',
-        x: layer.x !== undefined ? layer.x : 0,
-        y: layer.y !== undefined ? layer.y : 0,
-        scale: layer.scale !== undefined ? layer.scale : 1.0,
-        rotation: layer.rotation !== undefined ? layer.rotation : 0,
-        opacity: layer.opacity !== undefined ? layer.opacity : 1.0,
-        zIndex: layer.zIndex !== undefined ? layer.zIndex : 0
-      })).sort((a, b) => a.zIndex - b.zIndex),
-      name: data.name || `imported_${Date.now()}`,
-      description: data.description || '',
-      baseSize: data.baseSize || 64,
-      createdAt: data.createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const index = hitTestCompositionLayers(bounds, point.x, point.y);
+    const additive = e.ctrlKey || e.metaKey || e.shiftKey;
 
-    compositions.set(compositionId, composition);
-    return composition;
+    if (additive) {
+      if (index >= 0) {
+        toggleLayerSelection(index);
+        updateUI();
+      }
+      return;
+    }
+
+    if (index < 0) {
+      selectedLayerIndex = -1;
+      multiSelection.clear();
+      updateUI();
+      return;
+    }
+
+    // Clicking a selected layer keeps the selection so all of it can be dragged
+    if (!selected.includes(index)) {
+      multiSelection.clear();
+    } else if (selectedLayerIndex !== index) {
+      multiSelection.add(selectedLayerIndex);
+      multiSelection.delete(index);
+    }
+    selectedLayerIndex = index;
+
+    const indexes = getSelectedIndexes();
+    drag = {
+      mode: 'move',
+      start: point,
+      indexes,
+      positions: indexes.map(i => ({ x: composition.layers[i].x, y: composition.layers[i].y })),
+      anchor: bounds[index],
+      targets: bounds.filter((box, i) => box && !indexes.includes(i))
+    };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    updateUI();
   };
 
   /**
-   * Renders a composition to an offscreen canvas and returns it
+   * Updates the dragged layers, or the cursor when nothing is dragged
    *
-   * @param {Object|string} compositionOrId - The composition object or ID
-   * @param {number} size - Size of the output canvas
-   * @returns {HTMLCanvasElement} The rendered composition canvas
+   * @param {PointerEvent} e - The pointer event
+   * @returns {void}
    */
-  const renderToCanvas = (compositionOrId, size = 128) => {
-    // Get the composition
-    const composition = typeof compositionOrId === 'string'
-      ? getComposition(compositionOrId)
-      : compositionOrId;
-
+  const handleCanvasPointerMove = (e) => {
+    const composition = currentCompositionId ? composer.getComposition(currentCompositionId) : null;
     if (!composition) {
-      throw new Error('Invalid composition');
+      return;
     }
 
-    // Create an offscreen canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    // Create a temporary renderer for this canvas
-    const tempRenderer = createEmojiRenderer(ctx);
-
-    // Clear the canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const point = getCanvasPoint(e);
 
-    // Render each layer
-    composition.layers.forEach(layer => {
-      // Save state for this layer
-      ctx.save();
+    if (!drag) {
+      const bounds = getCanvasBounds(composition);
+      const selected = getSelectedIndexes();
+      const handle = selected.length === 1 && bounds[selected[0]] ? getHandleAt(bounds[selected[0]], point) : null;
+      const cursors = { scale: 'nwse-resize', rotate: 'grab' };
+      e.currentTarget.style.cursor = handle
+        ? cursors[handle]
+        : hitTestCompositionLayers(bounds, point.x, point.y) >= 0 ? 'move' : 'default';
+      return;
+    }
 
-      // Apply layer transformations
-      ctx.translate(size / 2 + layer.x, size / 2 + layer.y);
+    if (drag.mode === 'move') {
+      beginEdit('Move layers');
 
-      if (layer.rotation !== 0) {
-        ctx.rotate(layer.rotation);
-      }
+      // The layer under the pointer snaps; the rest of the selection follows it
+      const snapped = snapPosition(drag.anchor.x + point.x - drag.start.x, drag.anchor.y + point.y - drag.start.y, drag.targets);
+      const dx = Math.round(snapped.x - drag.anchor.x);
+      const dy = Math.round(snapped.y - drag.anchor.y);
+      guides = snapped.guides;
 
-      if (layer.opacity !== 1.0) {
-        ctx.globalAlpha = layer.opacity;
+      drag.indexes.forEach((index, i) => {
+        composer.updateLayer(currentCompositionId, index, { x: drag.positions[i].x + dx, y: drag.positions[i].y + dy });
+      });
+    } else if (drag.mode === 'scale') {
+      beginEdit('Scale layer');
+      const startDistance = Math.hypot(drag.start.x - drag.origin.x, drag.start.y - drag.origin.y);
+      const distance = Math.hypot(point.x - drag.origin.x, point.y - drag.origin.y);
+      const scale = startDistance > 0 ? drag.layer.scale * (distance / startDistance) : drag.layer.scale;
+      composer.updateLayer(currentCompositionId, drag.index, { scale: Math.max(0.1, Math.round(scale * 100) / 100) });
+    } else {
+      beginEdit('Rotate layer');
+      const startAngle = Math.atan2(drag.start.y - drag.origin.y, drag.start.x - drag.origin.x);
+      const angle = Math.atan2(point.y - drag.origin.y, point.x - drag.origin.x);
+      let rotation = drag.layer.rotation + angle - startAngle;
+
+      // Shift rotates in steps of 15 degrees
+      if (e.shiftKey) {
+        const step = Math.PI / 12;
+        rotation = Math.round(rotation / step) * step;
       }
 
-      // Calculate the size based on the composition's base size and the layer's scale
-      const layerSize = (composition.baseSize / 64) * size * layer.scale;
-
-      // Render the emoji
-      tempRenderer.renderEmoji(layer.emoji, 0, 0, layerSize);
-
-      // Restore state after this layer
-      ctx.restore();
-    });
+      // Keep the rotation within the range of the rotation slider
+      const fullTurn = Math.PI * 2;
+      composer.updateLayer(currentCompositionId, drag.index, { rotation: ((rotation % fullTurn) + fullTurn) % fullTurn });
+    }
 
-    return canvas;
+    renderCanvas();
   };
 
   /**
-   * Converts a composition to a data URL
+   * Finishes a drag on the canvas
    *
-   * @param {Object|string} compositionOrId - The composition object or ID
-   * @param {number} size - Size of the output image
-   * @param {string} type - Image MIME type (default: 'image/png')
-   * @param {number} quality - Image quality for JPEG (0-1)
-   * @returns {string} Data URL of the composition
+   * @param {PointerEvent} e - The pointer event
+   * @returns {void}
    */
-  const toDataURL = (compositionOrId, size = 128, type = 'image/png', quality = 0.92) => {
-    const canvas = renderToCanvas(compositionOrId, size);
-    return canvas.toDataURL(type, quality);
+  const handleCanvasPointerUp = (e) => {
+    if (!drag) {
+      return;
+    }
+
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      e.currentTarget.releasePointerCapture(e.pointerId);
+    }
+    drag = null;
+    guides = [];
+    endEdit();
+    updateUI();
   };
 
   /**
-   * Lists all stored compositions
+   * Draws the current composition on the composer canvas, posed at the preview time
+   * of the current clip
    *
-   * @returns {Array<Object>} Array of compositions with their IDs
+   * @returns {void}
    */
-  const listCompositions = () => {
-    return Array.from(compositions.entries()).map(([id, composition]) => ({
-      id,
-      ...composition
-    }));
+  const renderCanvas = () => {
+    if (!composerElement) {
+      return;
+    }
+
+    const canvas = composerElement.querySelector('.emoji-composer-canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const composition = currentCompositionId ? composer.getComposition(currentCompositionId) : null;
+    if (composition) {
+      composer.renderComposition(composition, canvas.width / 2, canvas.height / 2, 1.0, {
+        clip: currentClip,
+        time: clipTime,
+        renderer: previewRenderer
+      });
+      drawCanvasOverlay(ctx, composition);
+    }
   };
 
   /**
-   * Creates a preview function that renders a composition with interactive controls
+   * Stops playing the clip preview, keeping the preview time
    *
-   * @param {HTMLElement} container - Container element for the preview
-   * @param {string} compositionId - ID of the composition to preview
-   * @returns {Object} Preview controller
+   * @returns {void}
    */
-  const createPreview = (container, compositionId) => {
-    if (!container || !(container instanceof HTMLElement)) {
-      throw new Error('Invalid container element');
+  const pausePreview = () => {
+    if (stopPlayback) {
+      stopPlayback();
+      stopPlayback = null;
     }
+    updateClipControls();
+  };
 
-    if (!compositions.has(compositionId)) {
-      throw new Error(`Composition with ID ${compositionId} not found`);
+  /**
+   * Plays the current clip on the composer canvas from the preview time
+   *
+   * @returns {void}
+   */
+  const playPreview = () => {
+    if (stopPlayback || !currentClip) {
+      return;
     }
 
-    // Create preview elements
-    const previewContainer = document.createElement('div');
-    previewContainer.className = 'emoji-composition-preview';
-    container.appendChild(previewContainer);
+    scheduler.start();
+    stopPlayback = scheduler.onFrame((frame) => {
+      const composition = currentCompositionId ? composer.getComposition(currentCompositionId) : null;
+      const clip = composition && composition.clips ? composition.clips[currentClip] : null;
+      if (!clip) {
+        pausePreview();
+        return;
+      }
 
-    // Create canvas for rendering
-    const canvas = document.createElement('canvas');
-    canvas.width = 200;
-    canvas.height = 200;
-    canvas.style.border = '1px solid #ccc';
-    canvas.style.backgroundColor = '#f9f9f9';
-    previewContainer.appendChild(canvas);
+      // Looping clips wrap around; others stop at their last pose
+      const duration = getCompositionClipDuration(composition, currentClip);
+      clipTime += frame.delta;
+      if (clipTime >= duration) {
+        if (clip.loop && duration > 0) {
+          clipTime %= duration;
+        } else {
+          clipTime = duration;
+          pausePreview();
+        }
+      }
 
-    const ctx = canvas.getContext('2d');
-    const previewRenderer = createEmojiRenderer(ctx);
+      renderCanvas();
+      updateClipControls();
+    });
+    updateClipControls();
+  };
 
-    // Create controls
-    const controls = document.createElement('div');
-    controls.className = 'emoji-composition-controls';
-    controls.style.marginTop = '10px';
-    previewContainer.appendChild(controls);
+  /**
+   * Selects the clip to preview and edit, or the static composition for null
+   *
+   * @param {string|null} clipName - Name of the clip
+   * @returns {void}
+   */
+  const selectClip = (clipName) => {
+    pausePreview();
+    currentClip = clipName || null;
+    clipTime = 0;
+    updateUI();
+  };
 
-    // Size control
-    const sizeControl = document.createElement('div');
-    sizeControl.style.marginBottom = '10px';
+  /**
+   * Updates the clip panel controls to reflect the current clip and preview time
+   *
+   * @returns {void}
+   */
+  const updateClipControls = () => {
+    if (!composerElement) {
+      return;
+    }
 
-    const sizeLabel = document.createElement('label');
-    sizeLabel.textContent = 'Size: ';
-    sizeControl.appendChild(sizeLabel);
+    const clipSelect = composerElement.querySelector('.emoji-composer-clip-select');
+    const timeSlider = composerElement.querySelector('.emoji-composer-clip-time');
+    const timeLabel = composerElement.querySelector('.emoji-composer-clip-time-label');
+    const playBtn = composerElement.querySelector('.emoji-composer-clip-play-btn');
+    const durationInput = composerElement.querySelector('.emoji-composer-clip-duration');
+    const loopInput = composerElement.querySelector('.emoji-composer-clip-loop');
 
-    const sizeSlider = document.createElement('input');
-    sizeSlider.type = 'range';
-    sizeSlider.min = '0.5';
-    sizeSlider.max = '2';
-    sizeSlider.step = '0.1';
-    sizeSlider.value = '1';
-    sizeControl.appendChild(sizeSlider);
+    const composition = currentCompositionId ? composer.getComposition(currentCompositionId) : null;
+    const clip = composition && currentClip && composition.clips ? composition.clips[currentClip] : null;
+    const duration = clip ? getCompositionClipDuration(composition, currentClip) : 0;
+
+    // Rebuild the clip list only when it changed, so an open select is not disturbed
+    const names = composition && composition.clips ? Object.keys(composition.clips) : [];
+    const listed = Array.from(clipSelect.options).slice(1).map(option => option.value);
+    if (listed.join('\n') !== names.join('\n')) {
+      clipSelect.innerHTML = '<option value="">Static</option>';
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        clipSelect.appendChild(option);
+      });
+    }
+    clipSelect.value = currentClip || '';
 
-    controls.appendChild(sizeControl);
+    timeSlider.max = String(duration);
+    timeSlider.value = String(clipTime);
+    timeLabel.textContent = `${Math.round(clipTime)} / ${Math.round(duration)}ms`;
+    playBtn.textContent = stopPlayback ? 'Pause' : 'Play';
 
-    // Render the composition
-    const render = () => {
-      const composition = compositions.get(compositionId);
-      const size = parseFloat(sizeSlider.value);
+    // Keep inputs the user is typing in untouched
+    if (document.activeElement !== durationInput) {
+      durationInput.value = clip && clip.duration !== null ? String(clip.duration) : '';
+      durationInput.placeholder = clip ? `${Math.round(duration)} (auto)` : '';
+    }
+    loopInput.checked = clip ? clip.loop : false;
 
-      // Clear canvas
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    [timeSlider, playBtn, durationInput, loopInput, composerElement.querySelector('.emoji-composer-clip-delete-btn')]
+      .forEach(control => {
+        control.disabled = !clip;
+      });
+  };
 
-      // Render composition
-      renderComposition(composition, canvas.width / 2, canvas.height / 2, size);
+  /**
+   * Creates the effects editor of a layer: flips, skew, tint, outline, shadow and blur.
+   * Sliders are grouped into one undo step per drag like the other properties.
+   *
+   * @param {Object} layer - The selected layer
+   * @returns {HTMLElement} The editor element
+   */
+  const createEffectsEditor = (layer) => {
+    const editor = document.createElement('div');
+    editor.className = 'emoji-composer-effects-editor';
+
+    const title = document.createElement('h4');
+    title.textContent = 'Effects';
+    editor.appendChild(title);
+
+    /**
+     * Gets the selected layer as currently stored, since edits do not rebuild this editor
+     *
+     * @returns {Object} The layer
+     */
+    const currentLayer = () => composer.getComposition(currentCompositionId).layers[selectedLayerIndex];
+
+    /**
+     * Applies a change to the selected layer and redraws the canvas
+     *
+     * @param {Object} updates - Layer properties to update
+     * @param {boolean} refresh - Rebuild the panels, for changes that show or hide controls
+     * @returns {void}
+     */
+    const applyEffect = (updates, refresh) => {
+      composer.updateLayer(currentCompositionId, selectedLayerIndex, updates);
+      if (refresh) {
+        updateUI();
+      } else {
+        renderCanvas();
+      }
     };
 
-    // Add event listeners
-    sizeSlider.addEventListener('input', render);
-
-    // Initial render
-    render();
+    /**
+     * Adds a labelled row with one input
+     *
+     * @param {string} label - Row label
+     * @param {Object} attributes - Input attributes such as type, min, max, step and value
+     * @param {Function} onValue - Called with the input element when its value changes
+     * @returns {HTMLInputElement} The input
+     */
+    const addRow = (label, attributes, onValue) => {
+      const row = document.createElement('div');
+      row.className = 'emoji-composer-property-row';
+
+      const labelElement = document.createElement('div');
+      labelElement.className = 'emoji-composer-property-label';
+      labelElement.textContent = label;
+      row.appendChild(labelElement);
+
+      const input = document.createElement('input');
+      input.className = attributes.type === 'checkbox' ? '' : 'emoji-composer-property-input';
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (name === 'checked') {
+          input.checked = value;
+        } else {
+          input[name] = String(value);
+        }
+      });
 
-    // Return controller
-    return {
-      render,
-      updateComposition: (updates) => {
-        updateComposition(compositionId, updates);
-        render();
-      },
-      destroy: () => {
-        container.removeChild(previewContainer);
+      // Checkboxes are single edits; sliders and pickers group while dragging
+      if (attributes.type === 'checkbox') {
+        input.addEventListener('change', () => onValue(input));
+      } else {
+        input.addEventListener('input', () => {
+          beginEdit('Update layer');
+          onValue(input);
+        });
+        input.addEventListener('change', endEdit);
       }
+
+      const value = document.createElement('div');
+      value.className = 'emoji-composer-property-value';
+      value.appendChild(input);
+      row.appendChild(value);
+
+      editor.appendChild(row);
+      return input;
     };
-  };
 
-  // Return the public API
-  return {
-    renderComposition,
-    createComposition,
-    getComposition,
-    updateComposition,
-    deleteComposition,
-    addLayer,
-    updateLayer,
-    removeLayer,
-    exportComposition,
-    importComposition,
-    renderToCanvas,
-    toDataURL,
-    listCompositions,
-    createPreview
+    addRow('Flip X', { type: 'checkbox', checked: Boolean(layer.flipX) }, input => applyEffect({ flipX: input.checked }));
+    addRow('Flip Y', { type: 'checkbox', checked: Boolean(layer.flipY) }, input => applyEffect({ flipY: input.checked }));
+    addRow('Skew X', { type: 'range', min: -0.8, max: 0.8, step: 0.05, value: layer.skewX || 0 },
+      input => applyEffect({ skewX: parseFloat(input.value) }));
+    addRow('Skew Y', { type: 'range', min: -0.8, max: 0.8, step: 0.05, value: layer.skewY || 0 },
+      input => applyEffect({ skewY: parseFloat(input.value) }));
+
+    addRow('Tint', { type: 'checkbox', checked: Boolean(layer.tint) },
+      input => applyEffect({ tint: input.checked ? '#ff0000' : null }, true));
+    if (layer.tint) {
+      addRow('Tint Color', { type: 'color', value: layer.tint }, input => applyEffect({ tint: input.value }));
+      addRow('Tint Amount', { type: 'range', min: 0, max: 1, step: 0.05, value: layer.tintAmount },
+        input => applyEffect({ tintAmount: parseFloat(input.value) }));
+    }
+
+    addRow('Outline', { type: 'checkbox', checked: Boolean(layer.outline) },
+      input => applyEffect({ outline: input.checked ? {} : null }, true));
+    if (layer.outline) {
+      addRow('Outline Color', { type: 'color', value: layer.outline.color },
+        input => applyEffect({ outline: { ...currentLayer().outline, color: input.value } }));
+      addRow('Outline Width', { type: 'range', min: 0.5, max: 8, step: 0.5, value: layer.outline.width },
+        input => applyEffect({ outline: { ...currentLayer().outline, width: parseFloat(input.value) } }));
+    }
+
+    addRow('Shadow', { type: 'checkbox', checked: Boolean(layer.shadow) },
+      input => applyEffect({ shadow: input.checked ? {} : null }, true));
+    if (layer.shadow) {
+      addRow('Shadow Color', { type: 'color', value: layer.shadow.color },
+        input => applyEffect({ shadow: { ...currentLayer().shadow, color: input.value } }));
+      addRow('Shadow Opacity', { type: 'range', min: 0, max: 1, step: 0.05, value: layer.shadow.opacity },
+        input => applyEffect({ shadow: { ...currentLayer().shadow, opacity: parseFloat(input.value) } }));
+      addRow('Shadow Blur', { type: 'range', min: 0, max: 20, step: 1, value: layer.shadow.blur },
+        input => applyEffect({ shadow: { ...currentLayer().shadow, blur: parseFloat(input.value) } }));
+      addRow('Shadow X', { type: 'range', min: -10, max: 10, step: 1, value: layer.shadow.offsetX },
+        input => applyEffect({ shadow: { ...currentLayer().shadow, offsetX: parseFloat(input.value) } }));
+      addRow('Shadow Y', { type: 'range', min: -10, max: 10, step: 1, value: layer.shadow.offsetY },
+        input => applyEffect({ shadow: { ...currentLayer().shadow, offsetY: parseFloat(input.value) } }));
+    }
+
+    addRow('Blur', { type: 'range', min: 0, max: 10, step: 0.5, value: layer.blur || 0 },
+      input => applyEffect({ blur: parseFloat(input.value) }));
+
+    return editor;
   };
-};
 
-/**
- * Creates a UI for composing and customizing emojis
- *
- * @param {Object} options - Configuration options
- * @param {HTMLElement} options.container - Container element for the UI
- * @param {Object} options.emojiRenderer - An instance of emojiRenderer
- * @param {Function} options.onSave - Callback when a composition is saved
- * @param {Object} options.initialComposition - Optional initial composition to edit
- * @returns {Object} Composer UI controller
- */
-export const createEmojiComposerUI = (options) => {
-  // Validate required options
-  if (!options.container || !(options.container instanceof HTMLElement)) {
-    throw new Error('Invalid container element provided to createEmojiComposerUI');
-  }
+  /**
+   * Creates the keyframe editor of a layer for the current clip. Keyframes are
+   * added at the preview time; clicking a keyframe removes it.
+   *
+   * @param {Object} composition - The current composition
+   * @param {number} layerIndex - Index of the layer
+   * @returns {HTMLElement} The editor element
+   */
+  const createTrackEditor = (composition, layerIndex) => {
+    const layer = composition.layers[layerIndex];
+    const clipTracks = (layer.tracks && layer.tracks[currentClip]) || {};
+
+    /**
+     * Gets the time and value of a stored keyframe
+     *
+     * @param {Object|Array} keyframe - Keyframe object or [time, value, easing] tuple
+     * @returns {Array} [time, value]
+     */
+    const readKeyframe = (keyframe) => (Array.isArray(keyframe) ? keyframe : [keyframe.time, keyframe.value]);
+
+    const editor = document.createElement('div');
+    editor.className = 'emoji-composer-track-editor';
+
+    const title = document.createElement('h4');
+    title.textContent = `Animation: ${currentClip}`;
+    editor.appendChild(title);
+
+    Object.entries(clipTracks).forEach(([property, keyframes]) => {
+      const row = document.createElement('div');
+      row.className = 'emoji-composer-track-row';
+
+      const label = document.createElement('div');
+      label.className = 'emoji-composer-property-label';
+      label.textContent = property;
+      row.appendChild(label);
+
+      keyframes.forEach((keyframe, index) => {
+        const [time, value] = readKeyframe(keyframe);
+        const chip = document.createElement('button');
+        chip.className = 'emoji-composer-keyframe';
+        chip.title = 'Remove keyframe';
+        chip.textContent = `${time}ms: ${value} ×`;
+        chip.addEventListener('click', () => {
+          const remaining = keyframes.filter((_, i) => i !== index);
+          composer.setLayerTrack(currentCompositionId, layerIndex, currentClip, property, remaining.length ? remaining : null);
+          updateUI();
+        });
+        row.appendChild(chip);
+      });
 
-  if (!options.emojiRenderer || !options.emojiRenderer.renderEmoji) {
-    throw new Error('Invalid emojiRenderer provided to createEmojiComposerUI');
-  }
+      editor.appendChild(row);
+    });
 
-  // Create composer instance
-  const composer = createEmojiComposer(options.emojiRenderer);
+    // New keyframes are added at the preview time
+    const addRow = document.createElement('div');
+    addRow.className = 'emoji-composer-track-row';
 
-  // State variables
-  let currentCompositionId = null;
-  let selectedLayerIndex = -1;
-  let composerElement = null;
+    const propertySelect = document.createElement('select');
+    Object.values(KEYFRAME_PROPERTY).forEach(property => {
+      const option = document.createElement('option');
+      option.value = property;
+      option.textContent = property;
+      propertySelect.appendChild(option);
+    });
+    addRow.appendChild(propertySelect);
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.className = 'emoji-composer-property-input emoji-composer-keyframe-value';
+    valueInput.placeholder = 'Value';
+    valueInput.title = 'Offset for x, y and rotation, factor for scale and opacity, or an emoji';
+    addRow.appendChild(valueInput);
+
+    const addKeyframeBtn = document.createElement('button');
+    addKeyframeBtn.textContent = 'Add Keyframe';
+    addKeyframeBtn.className = 'emoji-composer-add-keyframe-btn';
+    addKeyframeBtn.addEventListener('click', () => {
+      const property = propertySelect.value;
+      const value = property === KEYFRAME_PROPERTY.EMOJI ? valueInput.value : parseFloat(valueInput.value);
+      if (property === KEYFRAME_PROPERTY.EMOJI ? value === '' : !Number.isFinite(value)) {
+        return;
+      }
+
+      // A keyframe at the same time is replaced
+      const time = Math.round(clipTime);
+      const keyframes = (clipTracks[property] || [])
+        .filter(keyframe => readKeyframe(keyframe)[0] !== time)
+        .concat([[time, value]])
+        .sort((a, b) => readKeyframe(a)[0] - readKeyframe(b)[0]);
+
+      composer.setLayerTrack(currentCompositionId, layerIndex, currentClip, property, keyframes);
+      updateUI();
+    });
+    addRow.appendChild(addKeyframeBtn);
+
+    editor.appendChild(addRow);
+    return editor;
+  };
 
   // Create the composer UI
   const createComposerElement = () => {
     // Create main container
     composerElement = document.createElement('div');
     composerElement.className = 'emoji-composer-ui';
+    composerElement.tabIndex = 0;
+    composerElement.addEventListener('keydown', handleKeyDown);
 
     // Add styles
     addComposerStyles();
@@ -530,8 +2616,82 @@ export const createEmojiComposerUI = (options) => {
     canvas.width = 300;
     canvas.height = 300;
     canvas.className = 'emoji-composer-canvas';
+    canvas.style.touchAction = 'none';
     canvasContainer.appendChild(canvas);
 
+    // Layers are selected, dragged, scaled and rotated directly on the canvas
+    previewRenderer = createEmojiRenderer(canvas.getContext('2d'));
+    canvas.addEventListener('pointerdown', handleCanvasPointerDown);
+    canvas.addEventListener('pointermove', handleCanvasPointerMove);
+    canvas.addEventListener('pointerup', handleCanvasPointerUp);
+    canvas.addEventListener('pointercancel', handleCanvasPointerUp);
+
+    // Snapping settings and alignment of the selected layers
+    const canvasToolbar = document.createElement('div');
+    canvasToolbar.className = 'emoji-composer-canvas-toolbar';
+
+    const snapLabel = document.createElement('label');
+    const snapCheckbox = document.createElement('input');
+    snapCheckbox.type = 'checkbox';
+    snapCheckbox.checked = snapEnabled;
+    snapCheckbox.addEventListener('change', () => {
+      snapEnabled = snapCheckbox.checked;
+    });
+    snapLabel.appendChild(snapCheckbox);
+    snapLabel.appendChild(document.createTextNode(' Snap'));
+    canvasToolbar.appendChild(snapLabel);
+
+    const gridLabel = document.createElement('label');
+    gridLabel.textContent = 'Grid ';
+    const gridInput = document.createElement('input');
+    gridInput.type = 'number';
+    gridInput.min = '0';
+    gridInput.value = gridSize;
+    gridInput.title = 'Grid size in pixels (0: no grid)';
+    gridInput.className = 'emoji-composer-grid-input';
+    gridInput.addEventListener('change', () => {
+      gridSize = Math.max(0, parseFloat(gridInput.value) || 0);
+    });
+    gridLabel.appendChild(gridInput);
+    canvasToolbar.appendChild(gridLabel);
+
+    [
+      [LAYER_ALIGNMENT.LEFT, '⇤', 'Align left'],
+      [LAYER_ALIGNMENT.CENTER, '↔', 'Align centers horizontally'],
+      [LAYER_ALIGNMENT.RIGHT, '⇥', 'Align right'],
+      [LAYER_ALIGNMENT.TOP, '⤒', 'Align top'],
+      [LAYER_ALIGNMENT.MIDDLE, '↕', 'Align centers vertically'],
+      [LAYER_ALIGNMENT.BOTTOM, '⤓', 'Align bottom']
+    ].forEach(([alignment, symbol, title]) => {
+      const alignBtn = document.createElement('button');
+      alignBtn.textContent = symbol;
+      alignBtn.title = title;
+      alignBtn.className = 'emoji-composer-align-btn';
+      alignBtn.addEventListener('click', () => {
+        if (currentCompositionId) {
+          composer.alignLayers(currentCompositionId, getSelectedIndexes(), alignment);
+          updateUI();
+        }
+      });
+      canvasToolbar.appendChild(alignBtn);
+    });
+
+    [['x', '⋯', 'Distribute horizontally'], ['y', '⋮', 'Distribute vertically']].forEach(([axis, symbol, title]) => {
+      const distributeBtn = document.createElement('button');
+      distributeBtn.textContent = symbol;
+      distributeBtn.title = `${title} (three or more layers)`;
+      distributeBtn.className = 'emoji-composer-align-btn';
+      distributeBtn.addEventListener('click', () => {
+        if (currentCompositionId) {
+          composer.distributeLayers(currentCompositionId, getSelectedIndexes(), axis);
+          updateUI();
+        }
+      });
+      canvasToolbar.appendChild(distributeBtn);
+    });
+
+    canvasContainer.appendChild(canvasToolbar);
+
     composerElement.appendChild(canvasContainer);
 
     // Create layers panel
@@ -563,18 +2723,62 @@ export const createEmojiComposerUI = (options) => {
         }
       } else {
         // Create a new composition with this layer
-        const composition = composer.createComposition(
-          null,
-          [newLayer],
-          { name: 'New Composition' }
-        );
-        currentCompositionId = Array.from(composer.listCompositions())[0].id;
+        const compositionId = createUnusedCompositionId(composer, 'comp');
+        composer.createComposition(compositionId, [newLayer], { name: 'New Composition' });
+        currentCompositionId = compositionId;
         selectedLayerIndex = 0;
         updateUI();
       }
     });
     layersPanel.appendChild(addLayerBtn);
 
+    // Other compositions can be placed as layers
+    const referenceSelect = document.createElement('select');
+    referenceSelect.className = 'emoji-composer-reference-select';
+    layersPanel.appendChild(referenceSelect);
+
+    const addReferenceBtn = document.createElement('button');
+    addReferenceBtn.textContent = 'Add Composition';
+    addReferenceBtn.className = 'emoji-composer-add-layer-btn emoji-composer-add-reference-btn';
+    addReferenceBtn.addEventListener('click', () => {
+      if (!currentCompositionId || !referenceSelect.value) {
+        return;
+      }
+
+      try {
+        const updatedComposition = composer.addLayer(currentCompositionId, createCompositionReference(referenceSelect.value));
+        if (updatedComposition) {
+          selectedLayerIndex = updatedComposition.layers.length - 1;
+          updateUI();
+        }
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+    layersPanel.appendChild(addReferenceBtn);
+
+    const groupBtn = document.createElement('button');
+    groupBtn.textContent = 'Group';
+    groupBtn.title = 'Group the selected layers (Ctrl/Cmd- or Shift-click to select several)';
+    groupBtn.className = 'emoji-composer-add-layer-btn emoji-composer-group-btn';
+    groupBtn.addEventListener('click', () => {
+      if (!currentCompositionId) {
+        return;
+      }
+
+      const indexes = getSelectedIndexes();
+
+      // Remember one grouped layer to find the new group after sorting
+      const firstLayer = composer.getComposition(currentCompositionId).layers[indexes[0]];
+      const updatedComposition = composer.groupLayers(currentCompositionId, indexes);
+      if (updatedComposition) {
+        multiSelection.clear();
+        selectedLayerIndex = updatedComposition.layers.findIndex(layer => Array.isArray(layer.layers) && layer.layers.includes(firstLayer));
+        updateUI();
+      }
+    });
+    layersPanel.appendChild(groupBtn);
+
     composerElement.appendChild(layersPanel);
 
     // Create properties panel
@@ -591,6 +2795,128 @@ export const createEmojiComposerUI = (options) => {
 
     composerElement.appendChild(propertiesPanel);
 
+    // Create clips panel
+    const clipsPanel = document.createElement('div');
+    clipsPanel.className = 'emoji-composer-clips-panel';
+
+    const clipsTitle = document.createElement('h3');
+    clipsTitle.textContent = 'Clips';
+    clipsPanel.appendChild(clipsTitle);
+
+    const clipRow = document.createElement('div');
+    clipRow.className = 'emoji-composer-clip-row';
+
+    const clipSelect = document.createElement('select');
+    clipSelect.className = 'emoji-composer-clip-select';
+    clipSelect.addEventListener('change', () => selectClip(clipSelect.value));
+    clipRow.appendChild(clipSelect);
+
+    const addClipBtn = document.createElement('button');
+    addClipBtn.textContent = 'Add Clip';
+    addClipBtn.className = 'emoji-composer-add-clip-btn';
+    addClipBtn.addEventListener('click', () => {
+      if (!currentCompositionId) {
+        return;
+      }
+
+      const clipName = prompt('Clip name', 'idle');
+      if (clipName) {
+        composer.setClip(currentCompositionId, clipName, { duration: 1000 });
+        selectClip(clipName);
+      }
+    });
+    clipRow.appendChild(addClipBtn);
+
+    const deleteClipBtn = document.createElement('button');
+    deleteClipBtn.textContent = 'Delete';
+    deleteClipBtn.className = 'emoji-composer-clip-delete-btn';
+    deleteClipBtn.addEventListener('click', () => {
+      if (currentCompositionId && currentClip) {
+        composer.removeClip(currentCompositionId, currentClip);
+        selectClip(null);
+      }
+    });
+    clipRow.appendChild(deleteClipBtn);
+
+    clipsPanel.appendChild(clipRow);
+
+    const timeRow = document.createElement('div');
+    timeRow.className = 'emoji-composer-clip-row';
+
+    const playBtn = document.createElement('button');
+    playBtn.textContent = 'Play';
+    playBtn.className = 'emoji-composer-clip-play-btn';
+    playBtn.addEventListener('click', () => {
+      if (stopPlayback) {
+        pausePreview();
+      } else {
+        playPreview();
+      }
+    });
+    timeRow.appendChild(playBtn);
+
+    const timeSlider = document.createElement('input');
+    timeSlider.type = 'range';
+    timeSlider.min = '0';
+    timeSlider.step = '10';
+    timeSlider.className = 'emoji-composer-clip-time';
+    timeSlider.addEventListener('input', () => {
+      pausePreview();
+      clipTime = parseFloat(timeSlider.value);
+      renderCanvas();
+      updateClipControls();
+    });
+    timeRow.appendChild(timeSlider);
+
+    const timeLabel = document.createElement('span');
+    timeLabel.className = 'emoji-composer-clip-time-label';
+    timeRow.appendChild(timeLabel);
+
+    clipsPanel.appendChild(timeRow);
+
+    const settingsRow = document.createElement('div');
+    settingsRow.className = 'emoji-composer-clip-row';
+
+    const durationLabel = document.createElement('label');
+    durationLabel.textContent = 'Duration ';
+    const durationInput = document.createElement('input');
+    durationInput.type = 'number';
+    durationInput.min = '0';
+    durationInput.step = '50';
+    durationInput.className = 'emoji-composer-clip-duration';
+    durationLabel.appendChild(durationInput);
+    settingsRow.appendChild(durationLabel);
+
+    const loopLabel = document.createElement('label');
+    const loopInput = document.createElement('input');
+    loopInput.type = 'checkbox';
+    loopInput.className = 'emoji-composer-clip-loop';
+    loopLabel.appendChild(loopInput);
+    loopLabel.appendChild(document.createTextNode(' Loop'));
+    settingsRow.appendChild(loopLabel);
+
+    /**
+     * Saves the duration and loop settings of the current clip
+     *
+     * @returns {void}
+     */
+    const saveClipSettings = () => {
+      if (currentCompositionId && currentClip) {
+        const duration = parseFloat(durationInput.value);
+        composer.setClip(currentCompositionId, currentClip, {
+          duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+          loop: loopInput.checked
+        });
+        updateUI();
+      }
+    };
+    durationInput.addEventListener('change', saveClipSettings);
+    loopInput.addEventListener('change', saveClipSettings);
+
+    clipsPanel.appendChild(settingsRow);
+
+    composerElement.appendChild(clipsPanel);
+
     // Create action buttons
     const actionsPanel = document.createElement('div');
     actionsPanel.className = 'emoji-composer-actions-panel';
@@ -611,7 +2937,11 @@ export const createEmojiComposerUI = (options) => {
     exportBtn.className = 'emoji-composer-export-btn';
     exportBtn.addEventListener('click', () => {
       if (currentCompositionId) {
-        const exported = composer.exportComposition(currentCompositionId);
+        // Referenced compositions can be bundled so the file stands alone
+        const composition = composer.getComposition(currentCompositionId);
+        const inline = getCompositionDependencies(composition).length > 0 &&
+          confirm('Include the referenced compositions in the file?');
+        const exported = composer.exportComposition(currentCompositionId, { dependencies: inline ? 'inline' : 'reference' });
         if (exported) {
           // Create a download link for the JSON
           const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(exported));
@@ -643,8 +2973,10 @@ export const createEmojiComposerUI = (options) => {
           reader.onload = (event) => {
             try {
               const data = JSON.parse(event.target.result);
-              const imported = composer.importComposition(null, data);
-              currentCompositionId = Array.from(composer.listCompositions()).pop().id;
+              // Inlined dependencies are imported too, so select the composition by its ID
+              const importedId = createUnusedCompositionId(composer, 'imported');
+              const imported = composer.importComposition(importedId, data);
+              currentCompositionId = importedId;
               selectedLayerIndex = imported.layers.length > 0 ? 0 : -1;
               updateUI();
             } catch (error) {
@@ -685,8 +3017,9 @@ export const createEmojiComposerUI = (options) => {
 
     // Initialize with existing composition if provided
     if (options.initialComposition) {
-      const composition = composer.importComposition(null, options.initialComposition);
-      currentCompositionId = Array.from(composer.listCompositions())[0].id;
+      const initialId = createUnusedCompositionId(composer, 'imported');
+      const composition = composer.importComposition(initialId, options.initialComposition);
+      currentCompositionId = initialId;
       selectedLayerIndex = composition.layers.length > 0 ? 0 : -1;
     }
 
@@ -714,10 +3047,11 @@ export const createEmojiComposerUI = (options) => {
         .emoji-composer-ui {
           display: grid;
           grid-template-columns: 1fr 250px;
-          grid-template-rows: auto 1fr auto;
+          grid-template-rows: auto 1fr auto auto;
           grid-template-areas:
             "canvas layers"
             "canvas properties"
+            "canvas clips"
             "canvas actions";
           gap: 15px;
           max-width: 800px;
@@ -731,6 +3065,7 @@ export const createEmojiComposerUI = (options) => {
         .emoji-composer-canvas-container {
           grid-area: canvas;
           display: flex;
+          flex-direction: column;
           justify-content: center;
           align-items: center;
           background-color: #fff;
@@ -744,6 +3079,26 @@ export const createEmojiComposerUI = (options) => {
           border: 1px solid #ccc;
         }
 
+        .emoji-composer-canvas-toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 5px;
+          margin-top: 10px;
+        }
+
+        .emoji-composer-grid-input {
+          width: 50px;
+        }
+
+        .emoji-composer-align-btn {
+          padding: 2px 6px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+          background-color: #f0f0f0;
+          cursor: pointer;
+        }
+
         .emoji-composer-layers-panel {
           grid-area: layers;
           background-color: #fff;
@@ -773,6 +3128,15 @@ export const createEmojiComposerUI = (options) => {
           border-color: #91d5ff;
         }
 
+        .emoji-composer-layer-item.picked {
+          border-style: dashed;
+          border-color: #1890ff;
+        }
+
+        .emoji-composer-layer-item.hidden {
+          opacity: 0.5;
+        }
+
         .emoji-composer-layer-emoji {
           font-size: 24px;
           margin-right: 10px;
@@ -832,6 +3196,48 @@ export const createEmojiComposerUI = (options) => {
           border-radius: 4px;
         }
 
+        .emoji-composer-clips-panel {
+          grid-area: clips;
+          background-color: #fff;
+          border: 1px solid #ddd;
+          border-radius: 5px;
+          padding: 15px;
+        }
+
+        .emoji-composer-clip-row,
+        .emoji-composer-track-row {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 5px;
+          margin-top: 8px;
+        }
+
+        .emoji-composer-clip-select,
+        .emoji-composer-clip-time {
+          flex: 1;
+        }
+
+        .emoji-composer-clip-duration {
+          width: 70px;
+        }
+
+        .emoji-composer-keyframe {
+          padding: 2px 6px;
+          font-size: 12px;
+          background-color: #e6f7ff;
+          border: 1px solid #91d5ff;
+          border-radius: 10px;
+          cursor: pointer;
+        }
+
+        .emoji-composer-effects-editor,
+        .emoji-composer-track-editor {
+          margin-top: 10px;
+          padding-top: 10px;
+          border-top: 1px solid #eee;
+        }
+
         .emoji-composer-actions-panel {
           grid-area: actions;
           display: flex;
@@ -877,6 +3283,12 @@ export const createEmojiComposerUI = (options) => {
           background-color: #e0e0e0;
         }
 
+        .emoji-composer-reference-select {
+          width: 100%;
+          margin-top: 10px;
+          padding: 5px;
+        }
+
         .emoji-composer-emoji-selector {
           width: 100%;
           padding: 5px;
@@ -897,17 +3309,42 @@ export const createEmojiComposerUI = (options) => {
       return;
     }
 
-    const canvas = composerElement.querySelector('.emoji-composer-canvas');
-    const ctx = canvas.getContext('2d');
     const layersList = composerElement.querySelector('.emoji-composer-layers-list');
     const propertiesForm = composerElement.querySelector('.emoji-composer-properties-form');
 
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
     // Get current composition
     const composition = currentCompositionId ? composer.getComposition(currentCompositionId) : null;
 
+    // Drop the clip selection if the clip is gone (deleted, undone or another composition)
+    if (currentClip && !(composition && composition.clips && composition.clips[currentClip])) {
+      currentClip = null;
+      clipTime = 0;
+      pausePreview();
+    }
+
+    // Render the composition
+    renderCanvas();
+    updateClipControls();
+
+    // Offer every other composition for references
+    const referenceSelect = composerElement.querySelector('.emoji-composer-reference-select');
+    referenceSelect.innerHTML = '';
+    Array.from(composer.listCompositions())
+      .filter(item => item.id !== currentCompositionId)
+      .forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.id;
+        option.textContent = item.name || item.id;
+        referenceSelect.appendChild(option);
+      });
+
+    // Forget selected layers that no longer exist
+    Array.from(multiSelection).forEach(index => {
+      if (!composition || index >= composition.layers.length || index === selectedLayerIndex) {
+        multiSelection.delete(index);
+      }
+    });
+
     // If no composition, show empty state
     if (!composition) {
       layersList.innerHTML = '<div class="emoji-composer-empty-state">No composition selected</div>';
@@ -915,38 +3352,67 @@ export const createEmojiComposerUI = (options) => {
       return;
     }
 
-    // Render the composition
-    const renderer = createEmojiRenderer(ctx);
-    composer.renderComposition(composition, canvas.width / 2, canvas.height / 2, 1.0);
-
     // Update layers list
     layersList.innerHTML = '';
     composition.layers.forEach((layer, index) => {
       const layerItem = document.createElement('div');
-      layerItem.className = `emoji-composer-layer-item ${index === selectedLayerIndex ? 'selected' : ''}`;
+      const layerType = getCompositionLayerType(layer);
+      layerItem.className = [
+        'emoji-composer-layer-item',
+        index === selectedLayerIndex ? 'selected' : '',
+        multiSelection.has(index) ? 'picked' : '',
+        layer.visible === false ? 'hidden' : ''
+      ].join(' ');
       layerItem.innerHTML = `
-        <div class="emoji-composer-layer-emoji">${layer.emoji}</div>
-        <div class="emoji-composer-layer-info">Layer ${index + 1}</div>
+        <div class="emoji-composer-layer-emoji"></div>
+        <div class="emoji-composer-layer-info"></div>
         <div class="emoji-composer-layer-controls">
+          <button class="emoji-composer-layer-btn emoji-composer-layer-visibility-btn" title="${layer.visible === false ? 'Show' : 'Hide'}">${layer.visible === false ? '○' : '●'}</button>
           <button class="emoji-composer-layer-btn emoji-composer-layer-up-btn" title="Move Up">↑</button>
           <button class="emoji-composer-layer-btn emoji-composer-layer-down-btn" title="Move Down">↓</button>
           <button class="emoji-composer-layer-btn emoji-composer-layer-delete-btn" title="Delete">×</button>
         </div>
       `;
 
-      // Add click handler to select layer
+      // Names and IDs come from users, so they are set as text
+      if (layerType === COMPOSITION_LAYER_TYPE.GROUP) {
+        layerItem.querySelector('.emoji-composer-layer-emoji').textContent = '📁';
+        layerItem.querySelector('.emoji-composer-layer-info').textContent = `${layer.name} (${layer.layers.length})`;
+      } else if (layerType === COMPOSITION_LAYER_TYPE.COMPOSITION) {
+        const referenced = composer.getComposition(layer.composition);
+        layerItem.querySelector('.emoji-composer-layer-emoji').textContent = '🔗';
+        layerItem.querySelector('.emoji-composer-layer-info').textContent = referenced ? (referenced.name || layer.composition) : `Missing: ${layer.composition}`;
+      } else {
+        layerItem.querySelector('.emoji-composer-layer-emoji').textContent = layer.emoji;
+        layerItem.querySelector('.emoji-composer-layer-info').textContent = `Layer ${index + 1}`;
+      }
+
+      // Add click handler to select layer; Ctrl/Cmd- or Shift-click selects several
       layerItem.addEventListener('click', (e) => {
-        if (!e.target.closest('button')) {
+        if (e.target.closest('button')) {
+          return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.shiftKey) {
+          toggleLayerSelection(index);
+        } else {
+          multiSelection.clear();
           selectedLayerIndex = index;
-          updateUI();
         }
+        updateUI();
       });
 
       // Add button handlers
+      const visibilityBtn = layerItem.querySelector('.emoji-composer-layer-visibility-btn');
       const upBtn = layerItem.querySelector('.emoji-composer-layer-up-btn');
       const downBtn = layerItem.querySelector('.emoji-composer-layer-down-btn');
       const deleteBtn = layerItem.querySelector('.emoji-composer-layer-delete-btn');
 
+      visibilityBtn.addEventListener('click', () => {
+        composer.updateLayer(currentCompositionId, index, { visible: layer.visible === false });
+        updateUI();
+      });
+
       upBtn.addEventListener('click', () => {
         if (index > 0) {
           // Increase z-index to move up
@@ -969,6 +3435,7 @@ export const createEmojiComposerUI = (options) => {
 
       deleteBtn.addEventListener('click', () => {
         composer.removeLayer(currentCompositionId, index);
+        multiSelection.clear();
         if (selectedLayerIndex === index) {
           selectedLayerIndex = Math.min(index, composition.layers.length - 2);
         }
@@ -984,17 +3451,72 @@ export const createEmojiComposerUI = (options) => {
     // If a layer is selected, show its properties
     if (selectedLayerIndex >= 0 && selectedLayerIndex < composition.layers.length) {
       const layer = composition.layers[selectedLayerIndex];
-
-      // Emoji selector
-      const emojiRow = document.createElement('div');
-      emojiRow.className = 'emoji-composer-property-row';
-      emojiRow.innerHTML = `
-        <div class="emoji-composer-property-label">Emoji</div>
-        <div class="emoji-composer-property-value">
-          <input type="text" class="emoji-composer-property-input emoji-composer-emoji-selector" value="${layer.emoji}">
-        </div>
-      `;
-      propertiesForm.appendChild(emojiRow);
+      const layerType = getCompositionLayerType(layer);
+
+      if (layerType === COMPOSITION_LAYER_TYPE.EMOJI) {
+        // Emoji selector
+        const emojiRow = document.createElement('div');
+        emojiRow.className = 'emoji-composer-property-row';
+        emojiRow.innerHTML = `
+          <div class="emoji-composer-property-label">Emoji</div>
+          <div class="emoji-composer-property-value">
+            <input type="text" class="emoji-composer-property-input emoji-composer-emoji-selector" value="${layer.emoji}">
+          </div>
+        `;
+        propertiesForm.appendChild(emojiRow);
+      } else if (layerType === COMPOSITION_LAYER_TYPE.GROUP) {
+        // Group name; the generic input handler below updates it
+        const groupNameRow = document.createElement('div');
+        groupNameRow.className = 'emoji-composer-property-row';
+        groupNameRow.innerHTML = `
+          <div class="emoji-composer-property-label">Name</div>
+          <div class="emoji-composer-property-value">
+            <input type="text" class="emoji-composer-property-input">
+          </div>
+        `;
+        groupNameRow.querySelector('input').value = layer.name;
+        propertiesForm.appendChild(groupNameRow);
+
+        const ungroupBtn = document.createElement('button');
+        ungroupBtn.textContent = 'Ungroup';
+        ungroupBtn.className = 'emoji-composer-ungroup-btn';
+        ungroupBtn.addEventListener('click', () => {
+          composer.ungroupLayer(currentCompositionId, selectedLayerIndex);
+          selectedLayerIndex = -1;
+          multiSelection.clear();
+          updateUI();
+        });
+        propertiesForm.appendChild(ungroupBtn);
+      } else {
+        // Referenced composition
+        const referenceRow = document.createElement('div');
+        referenceRow.className = 'emoji-composer-property-row';
+        referenceRow.innerHTML = `
+          <div class="emoji-composer-property-label">Composition</div>
+          <div class="emoji-composer-property-value">
+            <select class="emoji-composer-property-input"></select>
+          </div>
+        `;
+        const select = referenceRow.querySelector('select');
+        Array.from(composer.listCompositions())
+          .filter(item => item.id !== currentCompositionId)
+          .forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.name || item.id;
+            select.appendChild(option);
+          });
+        select.value = layer.composition;
+        select.addEventListener('change', () => {
+          try {
+            composer.updateLayer(currentCompositionId, selectedLayerIndex, { composition: select.value });
+          } catch (error) {
+            alert(error.message);
+          }
+          updateUI();
+        });
+        propertiesForm.appendChild(referenceRow);
+      }
 
       // X position
       const xRow = document.createElement('div');
@@ -1059,19 +3581,21 @@ export const createEmojiComposerUI = (options) => {
       // Add event listeners to update the layer properties
       const inputs = propertiesForm.querySelectorAll('input');
       inputs.forEach(input => {
+        input.addEventListener('change', endEdit);
         input.addEventListener('input', (e) => {
+          beginEdit('Update layer');
           const property = e.target.closest('.emoji-composer-property-row').querySelector('.emoji-composer-property-label').textContent.toLowerCase().split(' ')[0];
           let value = e.target.value;
 
           // Convert to appropriate type
-          if (property === 'emoji') {
-            // No conversion needed for emoji
+          if (property === 'emoji' || property === 'name') {
+            // No conversion needed for text
           } else if (['x', 'y', 'rotation', 'scale', 'opacity'].includes(property)) {
             value = parseFloat(value);
           }
 
           // Update the display value
-          if (property !== 'emoji') {
+          if (property !== 'emoji' && property !== 'name') {
             const span = e.target.nextElementSibling;
             if (property === 'rotation') {
               span.textContent = `${Math.round(value * 180 / Math.PI)}°`;
@@ -1089,8 +3613,7 @@ export const createEmojiComposerUI = (options) => {
           composer.updateLayer(currentCompositionId, selectedLayerIndex, updates);
 
           // Re-render the composition
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          composer.renderComposition(composition, canvas.width / 2, canvas.height / 2, 1.0);
+          renderCanvas();
         });
       });
 
@@ -1145,6 +3668,13 @@ export const createEmojiComposerUI = (options) => {
           }, 100);
         });
       }
+
+      propertiesForm.appendChild(createEffectsEditor(layer));
+
+      // Keyframes of the layer in the clip being edited
+      if (currentClip) {
+        propertiesForm.appendChild(createTrackEditor(composition, selectedLayerIndex));
+      }
     } else {
       // Show composition properties if no layer is selected
       const nameRow = document.createElement('div');
@@ -1180,7 +3710,9 @@ export const createEmojiComposerUI = (options) => {
       // Add event listeners to update the composition properties
       const inputs = propertiesForm.querySelectorAll('input');
       inputs.forEach(input => {
+        input.addEventListener('change', endEdit);
         input.addEventListener('input', (e) => {
+          beginEdit('Update composition');
           const property = e.target.closest('.emoji-composer-property-row').querySelector('.emoji-composer-property-label').textContent.toLowerCase();
           let value = e.target.value;
 
@@ -1194,8 +3726,7 @@ export const createEmojiComposerUI = (options) => {
           composer.updateComposition(currentCompositionId, updates);
 
           // Re-render the composition
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          composer.renderComposition(composition, canvas.width / 2, canvas.height / 2, 1.0);
+          renderCanvas();
         });
       });
     }
@@ -1210,22 +3741,51 @@ export const createEmojiComposerUI = (options) => {
     getCurrentCompositionId: () => currentCompositionId,
     setComposition: (compositionId) => {
       if (composer.getComposition(compositionId)) {
+        pausePreview();
         currentCompositionId = compositionId;
         selectedLayerIndex = -1;
+        multiSelection.clear();
+        currentClip = null;
+        clipTime = 0;
         updateUI();
         return true;
       }
       return false;
     },
+    selectClip,
+    getCurrentClip: () => currentClip,
+    playPreview,
+    pausePreview,
     createNewComposition: (name = 'New Composition') => {
-      const composition = composer.createComposition(null, [], { name });
-      currentCompositionId = Array.from(composer.listCompositions())[0].id;
+      const compositionId = createUnusedCompositionId(composer, 'comp');
+      composer.createComposition(compositionId, [], { name });
+      currentCompositionId = compositionId;
       selectedLayerIndex = -1;
+      multiSelection.clear();
       updateUI();
       return currentCompositionId;
     },
+    getSelectedLayers: getSelectedIndexes,
+    selectLayers: (layerIndexes) => {
+      multiSelection.clear();
+      selectedLayerIndex = layerIndexes.length > 0 ? layerIndexes[0] : -1;
+      layerIndexes.slice(1).forEach(index => multiSelection.add(index));
+      updateUI();
+    },
     updateUI,
+    getHistory: () => history,
+    undo: () => {
+      endEdit();
+      return history.undo();
+    },
+    redo: () => {
+      endEdit();
+      return history.redo();
+    },
     destroy: () => {
+      endEdit();
+      pausePreview();
+      unsubscribeHistory();
       if (composerElement && options.container.contains(composerElement)) {
         options.container.removeChild(composerElement);
       }
@@ -0,0 +1,2080 @@
+/**
+ * emojiData.js
+ *
+ * Bundled emoji dataset covering every fully-qualified emoji (skin tone variants are
+ * described by a flag on their base emoji rather than listed separately).
+ * Generated from emojibase-data 17.0.0 (MIT License, Copyright (c) 2017-2019 Miles Johnson),
+ * which is derived from Unicode CLDR annotations and the Unicode emoji-test.txt data files.
+ * Emoji strings are the fully-qualified forms built from each entry's code points
+ * (FE0F only after characters without default emoji presentation).
+ * Regenerate from a newer emojibase-data release rather than editing entries by hand.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Emoji group names, indexed by the group number used in EMOJI_DATA
+ * @readonly
+ */
+export const EMOJI_GROUPS = [
+  'smileys-emotion',
+  'people-body',
+  'component',
+  'animals-nature',
+  'food-drink',
+  'travel-places',
+  'activities',
+  'objects',
+  'symbols',
+  'flags'
+];
+
+/**
+ * Emoji subgroup names, indexed by the subgroup number used in EMOJI_DATA
+ * @readonly
+ */
+export const EMOJI_SUBGROUPS = [
+  'face-smiling',
+  'face-affection',
+  'face-tongue',
+  'face-hand',
+  'face-neutral-skeptical',
+  'face-sleepy',
+  'face-unwell',
+  'face-hat',
+  'face-glasses',
+  'face-concerned',
+  'face-negative',
+  'face-costume',
+  'cat-face',
+  'monkey-face',
+  'heart',
+  'emotion',
+  'hand-fingers-open',
+  'hand-fingers-partial',
+  'hand-single-finger',
+  'hand-fingers-closed',
+  'hands',
+  'hand-prop',
+  'body-parts',
+  'person',
+  'person-gesture',
+  'person-role',
+  'person-fantasy',
+  'person-activity',
+  'person-sport',
+  'person-resting',
+  'family',
+  'person-symbol',
+  'skin-tone',
+  'hair-style',
+  'animal-mammal',
+  'animal-bird',
+  'animal-amphibian',
+  'animal-reptile',
+  'animal-marine',
+  'animal-bug',
+  'plant-flower',
+  'plant-other',
+  'food-fruit',
+  'food-vegetable',
+  'food-prepared',
+  'food-asian',
+  'food-sweet',
+  'drink',
+  'dishware',
+  'place-map',
+  'place-geographic',
+  'place-building',
+  'place-religious',
+  'place-other',
+  'transport-ground',
+  'transport-water',
+  'transport-air',
+  'hotel',
+  'time',
+  'sky-weather',
+  'event',
+  'award-medal',
+  'sport',
+  'game',
+  'arts-crafts',
+  'clothing',
+  'sound',
+  'music',
+  'musical-instrument',
+  'phone',
+  'computer',
+  'light-video',
+  'book-paper',
+  'money',
+  'mail',
+  'writing',
+  'office',
+  'lock',
+  'tool',
+  'science',
+  'medical',
+  'household',
+  'other-object',
+  'transport-sign',
+  'warning',
+  'arrow',
+  'religion',
+  'zodiac',
+  'av-symbol',
+  'gender',
+  'math',
+  'punctuation',
+  'currency',
+  'other-symbol',
+  'keycap',
+  'alphanum',
+  'geometric',
+  'flag',
+  'country-flag',
+  'subdivision-flag'
+];
+
+/**
+ * Skin tone support of an emoji
+ * @readonly
+ * @enum {number}
+ */
+export const EMOJI_SKIN_TONE_SUPPORT = {
+  NONE: 0,
+  SINGLE: 1,
+  MULTIPLE: 2
+};
+
+/**
+ * Emoji entries in CLDR order. Each entry is
+ * [emoji, name, keywords separated by '|', group, subgroup, Unicode emoji version, skin tone support]
+ * where skin tone support is a value from EMOJI_SKIN_TONE_SUPPORT (MULTIPLE means each person
+ * in the sequence can take a different tone).
+ * @readonly
+ */
+export const EMOJI_DATA = [
+  ['😀', 'grinning face', 'cheerful|cheery|face|grin|grinning|happy|laugh|nice|smile|smiling|teeth', 0, 0, 1, 0],
+  ['😃', 'grinning face with big eyes', 'awesome|big|eyes|face|grin|grinning|happy|mouth|open|smile|smiling|teeth|yay', 0, 0, 0.6, 0],
+  ['😄', 'grinning face with smiling eyes', 'eye|eyes|face|grin|grinning|happy|laugh|lol|mouth|open|smile|smiling', 0, 0, 0.6, 0],
+  ['😁', 'beaming face with smiling eyes', 'beaming|eye|eyes|face|grin|grinning|happy|nice|smile|smiling|teeth', 0, 0, 0.6, 0],
+  ['😆', 'grinning squinting face', 'closed|eyes|face|grinning|haha|hahaha|happy|laugh|lol|mouth|open|rofl|smile|smiling|squinting', 0, 0, 0.6, 0],
+  ['😅', 'grinning face with sweat', 'cold|dejected|excited|face|grinning|mouth|nervous|open|smile|smiling|stress|stressed|sweat', 0, 0, 0.6, 0],
+  ['🤣', 'rolling on the floor laughing', 'crying|face|floor|funny|haha|happy|hehe|hilarious|joy|laugh|lmao|lol|rofl|roflmao|rolling|tear', 0, 0, 3, 0],
+  ['😂', 'face with tears of joy', 'crying|face|feels|funny|haha|happy|hehe|hilarious|joy|laugh|lmao|lol|rofl|roflmao|tear', 0, 0, 0.6, 0],
+  ['🙂', 'slightly smiling face', 'face|happy|slightly|smile|smiling', 0, 0, 1, 0],
+  ['🙃', 'upside-down face', 'face|hehe|smile|upside-down', 0, 0, 1, 0],
+  ['🫠', 'melting face', 'disappear|dissolve|embarrassed|face|haha|heat|hot|liquid|lol|melt|melting|sarcasm|sarcastic', 0, 0, 14, 0],
+  ['😉', 'winking face', 'face|flirt|heartbreaker|sexy|slide|tease|wink|winking|winks', 0, 0, 0.6, 0],
+  ['😊', 'smiling face with smiling eyes', 'blush|eye|eyes|face|glad|satisfied|smile|smiling', 0, 0, 0.6, 0],
+  ['😇', 'smiling face with halo', 'angel|angelic|angels|blessed|face|fairy|fairytale|fantasy|halo|happy|innocent|peaceful|smile|smiling|spirit|tale', 0, 0, 1, 0],
+  ['🥰', 'smiling face with hearts', '3|adore|crush|face|heart|hearts|ily|love|romance|smile|smiling|you', 0, 1, 11, 0],
+  ['😍', 'smiling face with heart-eyes', '143|bae|eye|face|feels|heart-eyes|hearts|ily|kisses|love|romance|romantic|smile|xoxo', 0, 1, 0.6, 0],
+  ['🤩', 'star-struck', 'excited|eyes|face|grinning|smile|star|starry-eyed|wow', 0, 1, 5, 0],
+  ['😘', 'face blowing a kiss', 'adorbs|bae|blowing|face|flirt|heart|ily|kiss|love|lover|miss|muah|romantic|smooch|xoxo|you', 0, 1, 0.6, 0],
+  ['😗', 'kissing face', '143|date|dating|face|flirt|ily|kiss|love|smooch|smooches|xoxo|you', 0, 1, 1, 0],
+  ['☺️', 'smiling face', 'face|happy|outlined|relaxed|smile|smiling', 0, 1, 0.6, 0],
+  ['😚', 'kissing face with closed eyes', '143|bae|blush|closed|date|dating|eye|eyes|face|flirt|ily|kisses|kissing|smooches|xoxo', 0, 1, 0.6, 0],
+  ['😙', 'kissing face with smiling eyes', '143|closed|date|dating|eye|eyes|face|flirt|ily|kiss|kisses|kissing|love|night|smile|smiling', 0, 1, 1, 0],
+  ['🥲', 'smiling face with tear', 'face|glad|grateful|happy|joy|pain|proud|relieved|smile|smiley|smiling|tear|touched', 0, 1, 13, 0],
+  ['😋', 'face savoring food', 'delicious|eat|face|food|full|hungry|savor|smile|smiling|tasty|um|yum|yummy', 0, 2, 0.6, 0],
+  ['😛', 'face with tongue', 'awesome|cool|face|nice|party|stuck-out|sweet|tongue', 0, 2, 1, 0],
+  ['😜', 'winking face with tongue', 'crazy|epic|eye|face|funny|joke|loopy|nutty|party|stuck-out|tongue|wacky|weirdo|wink|winking|yolo', 0, 2, 0.6, 0],
+  ['🤪', 'zany face', 'crazy|eye|eyes|face|goofy|large|small|zany', 0, 2, 5, 0],
+  ['😝', 'squinting face with tongue', 'closed|eye|eyes|face|gross|horrible|omg|squinting|stuck-out|taste|tongue|whatever|yolo', 0, 2, 0.6, 0],
+  ['🤑', 'money-mouth face', 'face|money|money-mouth|mouth|paid', 0, 2, 1, 0],
+  ['🤗', 'smiling face with open hands', 'face|hands|hug|hugging|open|smiling', 0, 3, 1, 0],
+  ['🤭', 'face with hand over mouth', 'face|giggle|giggling|hand|mouth|oops|realization|secret|shock|sudden|surprise|whoops', 0, 3, 5, 0],
+  ['🫢', 'face with open eyes and hand over mouth', 'amazement|awe|disbelief|embarrass|eyes|face|gasp|hand|mouth|omg|open|over|quiet|scared|shock|surprise', 0, 3, 14, 0],
+  ['🫣', 'face with peeking eye', 'captivated|embarrass|eye|face|hide|hiding|peek|peeking|peep|scared|shy|stare', 0, 3, 14, 0],
+  ['🤫', 'shushing face', 'face|quiet|shh|shush|shushing', 0, 3, 5, 0],
+  ['🤔', 'thinking face', 'chin|consider|face|hmm|ponder|pondering|thinking|wondering', 0, 3, 1, 0],
+  ['🫡', 'saluting face', 'face|good|luck|ma’am|ok|respect|salute|saluting|sir|troops|yes', 0, 3, 14, 0],
+  ['🤐', 'zipper-mouth face', 'face|keep|mouth|quiet|secret|shut|zip|zipper|zipper-mouth', 0, 4, 1, 0],
+  ['🤨', 'face with raised eyebrow', 'disapproval|disbelief|distrust|emoji|eyebrow|face|hmm|mild|raised|skeptic|skeptical|skepticism|surprise|what', 0, 4, 5, 0],
+  ['😐', 'neutral face', 'awkward|blank|deadpan|expressionless|face|fine|jealous|meh|neutral|oh|shade|straight|unamused|unhappy|unimpressed|whatever', 0, 4, 0.7, 0],
+  ['😑', 'expressionless face', 'awkward|dead|expressionless|face|fine|inexpressive|jealous|meh|not|oh|omg|straight|uh|unhappy|unimpressed|whatever', 0, 4, 1, 0],
+  ['😶', 'face without mouth', 'awkward|blank|expressionless|face|mouth|mouthless|mute|quiet|secret|silence|silent|speechless', 0, 4, 1, 0],
+  ['🫥', 'dotted line face', 'depressed|disappear|dotted|face|hidden|hide|introvert|invisible|line|meh|whatever|wtv', 0, 4, 14, 0],
+  ['😶‍🌫️', 'face in clouds', 'absentminded|clouds|face|fog|head', 0, 4, 13.1, 0],
+  ['😏', 'smirking face', 'boss|dapper|face|flirt|homie|kidding|leer|shade|slick|sly|smirk|smug|snicker|suave|suspicious|swag', 0, 4, 0.6, 0],
+  ['😒', 'unamused face', '...|bored|face|fine|jealous|jel|jelly|pissed|smh|ugh|uhh|unamused|unhappy|weird|whatever', 0, 4, 0.6, 0],
+  ['🙄', 'face with rolling eyes', 'eyeroll|eyes|face|rolling|shade|ugh|whatever', 0, 4, 1, 0],
+  ['😬', 'grimacing face', 'awk|awkward|dentist|face|grimace|grimacing|grinning|smile|smiling', 0, 4, 1, 0],
+  ['😮‍💨', 'face exhaling', 'blow|blowing|exhale|exhaling|exhausted|face|gasp|groan|relief|sigh|smiley|smoke|whisper|whistle', 0, 4, 13.1, 0],
+  ['🤥', 'lying face', 'face|liar|lie|lying|pinocchio', 0, 4, 3, 0],
+  ['🫨', 'shaking face', 'crazy|daze|earthquake|face|omg|panic|shaking|shock|surprise|vibrate|whoa|wow', 0, 4, 15, 0],
+  ['🙂‍↔️', 'head shaking horizontally', 'head|horizontally|no|shake|shaking', 0, 4, 15.1, 0],
+  ['🙂‍↕️', 'head shaking vertically', 'head|nod|shaking|vertically|yes', 0, 4, 15.1, 0],
+  ['😌', 'relieved face', 'calm|face|peace|relief|relieved|zen', 0, 5, 0.6, 0],
+  ['😔', 'pensive face', 'awful|bored|dejected|died|disappointed|face|losing|lost|pensive|sad|sucks', 0, 5, 0.6, 0],
+  ['😪', 'sleepy face', 'crying|face|good|night|sad|sleep|sleeping|sleepy|tired', 0, 5, 0.6, 0],
+  ['🤤', 'drooling face', 'drooling|face', 0, 5, 3, 0],
+  ['😴', 'sleeping face', 'bed|bedtime|face|good|goodnight|nap|night|sleep|sleeping|tired|whatever|yawn|zzz', 0, 5, 1, 0],
+  ['🫩', 'face with bags under eyes', 'bags|bored|exhausted|eyes|face|fatigued|late|sleepy|tired|weary', 0, 5, 16, 0],
+  ['😷', 'face with medical mask', 'cold|dentist|dermatologist|doctor|dr|face|germs|mask|medical|medicine|sick', 0, 6, 0.6, 0],
+  ['🤒', 'face with thermometer', 'face|ill|sick|thermometer', 0, 6, 1, 0],
+  ['🤕', 'face with head-bandage', 'bandage|face|head-bandage|hurt|injury|ouch', 0, 6, 1, 0],
+  ['🤢', 'nauseated face', 'face|gross|nasty|nauseated|sick|vomit', 0, 6, 3, 0],
+  ['🤮', 'face vomiting', 'barf|ew|face|gross|puke|sick|spew|throw|up|vomit|vomiting', 0, 6, 5, 0],
+  ['🤧', 'sneezing face', 'face|fever|flu|gesundheit|sick|sneeze|sneezing', 0, 6, 3, 0],
+  ['🥵', 'hot face', 'dying|face|feverish|heat|hot|panting|red-faced|stroke|sweating|tongue', 0, 6, 11, 0],
+  ['🥶', 'cold face', 'blue|blue-faced|cold|face|freezing|frostbite|icicles|subzero|teeth', 0, 6, 11, 0],
+  ['🥴', 'woozy face', 'dizzy|drunk|eyes|face|intoxicated|mouth|tipsy|uneven|wavy|woozy', 0, 6, 11, 0],
+  ['😵', 'face with crossed-out eyes', 'crossed-out|dead|dizzy|eyes|face|feels|knocked|out|sick|tired', 0, 6, 0.6, 0],
+  ['😵‍💫', 'face with spiral eyes', 'confused|dizzy|eyes|face|hypnotized|omg|smiley|spiral|trouble|whoa|woah|woozy', 0, 6, 13.1, 0],
+  ['🤯', 'exploding head', 'blown|explode|exploding|head|mind|mindblown|no|shocked|way', 0, 6, 5, 0],
+  ['🤠', 'cowboy hat face', 'cowboy|cowgirl|face|hat', 0, 7, 3, 0],
+  ['🥳', 'partying face', 'bday|birthday|celebrate|celebration|excited|face|happy|hat|hooray|horn|party|partying', 0, 7, 11, 0],
+  ['🥸', 'disguised face', 'disguise|eyebrow|face|glasses|incognito|moustache|mustache|nose|person|spy|tache|tash', 0, 7, 13, 0],
+  ['😎', 'smiling face with sunglasses', 'awesome|beach|bright|bro|chilling|cool|face|rad|relaxed|shades|slay|smile|style|sunglasses|swag|win', 0, 8, 1, 0],
+  ['🤓', 'nerd face', 'brainy|clever|expert|face|geek|gifted|glasses|intelligent|nerd|smart', 0, 8, 1, 0],
+  ['🧐', 'face with monocle', 'classy|face|fancy|monocle|rich|stuffy|wealthy', 0, 8, 5, 0],
+  ['😕', 'confused face', 'befuddled|confused|confusing|dunno|face|frown|hm|meh|not|sad|sorry|sure', 0, 9, 1, 0],
+  ['🫤', 'face with diagonal mouth', 'confused|confusion|diagonal|disappointed|doubt|doubtful|face|frustrated|frustration|meh|mouth|skeptical|unsure|whatever|wtv', 0, 9, 14, 0],
+  ['😟', 'worried face', 'anxious|butterflies|face|nerves|nervous|sad|stress|stressed|surprised|worried|worry', 0, 9, 1, 0],
+  ['🙁', 'slightly frowning face', 'face|frown|frowning|sad|slightly', 0, 9, 1, 0],
+  ['☹️', 'frowning face', 'face|frown|frowning|sad', 0, 9, 0.7, 0],
+  ['😮', 'face with open mouth', 'believe|face|forgot|mouth|omg|open|shocked|surprised|sympathy|unbelievable|unreal|whoa|wow|you', 0, 9, 1, 0],
+  ['😯', 'hushed face', 'epic|face|hushed|omg|stunned|surprised|whoa|woah', 0, 9, 1, 0],
+  ['😲', 'astonished face', 'astonished|cost|face|no|omg|shocked|totally|way', 0, 9, 0.6, 0],
+  ['😳', 'flushed face', 'amazed|awkward|crazy|dazed|dead|disbelief|embarrassed|face|flushed|geez|heat|hot|impressed|jeez|what|wow', 0, 9, 0.6, 0],
+  ['🫪', 'distorted face', 'anxiety|bloated|panic|shocked|surprised|vulnerable', 0, 9, 17, 0],
+  ['🥺', 'pleading face', 'begging|big|eyes|face|mercy|not|pleading|please|pretty|puppy|sad|why', 0, 9, 11, 0],
+  ['🥹', 'face holding back tears', 'admiration|aww|back|cry|embarrassed|face|feelings|grateful|gratitude|holding|joy|please|proud|resist|sad|tears', 0, 9, 14, 0],
+  ['😦', 'frowning face with open mouth', 'caught|face|frown|frowning|guard|mouth|open|scared|scary|surprise|what|wow', 0, 9, 1, 0],
+  ['😧', 'anguished face', 'anguished|face|forgot|scared|scary|stressed|surprise|unhappy|what|wow', 0, 9, 1, 0],
+  ['😨', 'fearful face', 'afraid|anxious|blame|face|fear|fearful|scared|worried', 0, 9, 0.6, 0],
+  ['😰', 'anxious face with sweat', 'anxious|blue|cold|eek|face|mouth|nervous|open|rushed|scared|sweat|yikes', 0, 9, 0.6, 0],
+  ['😥', 'sad but relieved face', 'anxious|call|close|complicated|disappointed|face|not|relieved|sad|sweat|time|whew', 0, 9, 0.6, 0],
+  ['😢', 'crying face', 'awful|cry|crying|face|feels|miss|sad|tear|triste|unhappy', 0, 9, 0.6, 0],
+  ['😭', 'loudly crying face', 'bawling|cry|crying|face|loudly|sad|sob|tear|tears|unhappy', 0, 9, 0.6, 0],
+  ['😱', 'face screaming in fear', 'epic|face|fear|fearful|munch|scared|scream|screamer|screaming|shocked|surprised|woah', 0, 9, 0.6, 0],
+  ['😖', 'confounded face', 'annoyed|confounded|confused|cringe|distraught|face|feels|frustrated|mad|sad', 0, 9, 0.6, 0],
+  ['😣', 'persevering face', 'concentrate|concentration|face|focus|headache|persevere|persevering', 0, 9, 0.6, 0],
+  ['😞', 'disappointed face', 'awful|blame|dejected|disappointed|face|fail|losing|sad|unhappy', 0, 9, 0.6, 0],
+  ['😓', 'downcast face with sweat', 'close|cold|downcast|face|feels|headache|nervous|sad|scared|sweat|yikes', 0, 9, 0.6, 0],
+  ['😩', 'weary face', 'crying|face|fail|feels|hungry|mad|nooo|sad|sleepy|tired|unhappy|weary', 0, 9, 0.6, 0],
+  ['😫', 'tired face', 'cost|face|feels|nap|sad|sneeze|tired', 0, 9, 0.6, 0],
+  ['🥱', 'yawning face', 'bedtime|bored|face|goodnight|nap|night|sleep|sleepy|tired|whatever|yawn|yawning|zzz', 0, 9, 12, 0],
+  ['😤', 'face with steam from nose', 'anger|angry|face|feels|fume|fuming|furious|fury|mad|nose|steam|triumph|unhappy|won', 0, 10, 0.6, 0],
+  ['😡', 'enraged face', 'anger|angry|enraged|face|feels|mad|maddening|pouting|rage|red|shade|unhappy|upset', 0, 10, 0.6, 0],
+  ['😠', 'angry face', 'anger|angry|blame|face|feels|frustrated|mad|maddening|rage|shade|unhappy|upset', 0, 10, 0.6, 0],
+  ['🤬', 'face with symbols on mouth', 'censor|cursing|cussing|face|mad|mouth|pissed|swearing|symbols', 0, 10, 5, 0],
+  ['😈', 'smiling face with horns', 'demon|devil|evil|face|fairy|fairytale|fantasy|horns|purple|shade|smile|smiling|tale', 0, 10, 1, 0],
+  ['👿', 'angry face with horns', 'angry|demon|devil|evil|face|fairy|fairytale|fantasy|horns|imp|mischievous|purple|shade|tale', 0, 10, 0.6, 0],
+  ['💀', 'skull', 'body|dead|death|face|fairy|fairytale|i’m|lmao|monster|tale|yolo', 0, 10, 0.6, 0],
+  ['☠️', 'skull and crossbones', 'bone|crossbones|dead|death|face|monster|skull', 0, 10, 1, 0],
+  ['💩', 'pile of poo', 'bs|comic|doo|dung|face|fml|monster|pile|poo|poop|smelly|smh|stink|stinks|stinky|turd', 0, 11, 0.6, 0],
+  ['🤡', 'clown face', 'clown|face', 0, 11, 3, 0],
+  ['👹', 'ogre', 'creature|devil|face|fairy|fairytale|fantasy|mask|monster|scary|tale', 0, 11, 0.6, 0],
+  ['👺', 'goblin', 'angry|creature|face|fairy|fairytale|fantasy|mask|mean|monster|tale', 0, 11, 0.6, 0],
+  ['👻', 'ghost', 'boo|creature|excited|face|fairy|fairytale|fantasy|halloween|haunting|monster|scary|silly|tale', 0, 11, 0.6, 0],
+  ['👽', 'alien', 'creature|extraterrestrial|face|fairy|fairytale|fantasy|monster|space|tale|ufo', 0, 11, 0.6, 0],
+  ['👾', 'alien monster', 'alien|creature|extraterrestrial|face|fairy|fairytale|fantasy|game|gamer|games|monster|pixelated|space|tale|ufo', 0, 11, 0.6, 0],
+  ['🤖', 'robot', 'face|monster', 0, 11, 1, 0],
+  ['😺', 'grinning cat', 'animal|cat|face|grinning|mouth|open|smile|smiling', 0, 12, 0.6, 0],
+  ['😸', 'grinning cat with smiling eyes', 'animal|cat|eye|eyes|face|grin|grinning|smile|smiling', 0, 12, 0.6, 0],
+  ['😹', 'cat with tears of joy', 'animal|cat|face|joy|laugh|laughing|lol|tear|tears', 0, 12, 0.6, 0],
+  ['😻', 'smiling cat with heart-eyes', 'animal|cat|eye|face|heart|heart-eyes|love|smile|smiling', 0, 12, 0.6, 0],
+  ['😼', 'cat with wry smile', 'animal|cat|face|ironic|smile|wry', 0, 12, 0.6, 0],
+  ['😽', 'kissing cat', 'animal|cat|closed|eye|eyes|face|kiss|kissing', 0, 12, 0.6, 0],
+  ['🙀', 'weary cat', 'animal|cat|face|oh|surprised|weary', 0, 12, 0.6, 0],
+  ['😿', 'crying cat', 'animal|cat|cry|crying|face|sad|tear', 0, 12, 0.6, 0],
+  ['😾', 'pouting cat', 'animal|cat|face|pouting', 0, 12, 0.6, 0],
+  ['🙈', 'see-no-evil monkey', 'embarrassed|evil|face|forbidden|forgot|gesture|hide|monkey|no|omg|prohibited|scared|secret|smh|watch', 0, 13, 0.6, 0],
+  ['🙉', 'hear-no-evil monkey', 'animal|ears|evil|face|forbidden|gesture|hear|listen|monkey|no|not|prohibited|secret|shh|tmi', 0, 13, 0.6, 0],
+  ['🙊', 'speak-no-evil monkey', 'animal|evil|face|forbidden|gesture|monkey|no|not|oops|prohibited|quiet|secret|speak|stealth', 0, 13, 0.6, 0],
+  ['💌', 'love letter', 'heart|letter|love|mail|romance|valentine', 0, 14, 0.6, 0],
+  ['💘', 'heart with arrow', '143|adorbs|arrow|cupid|date|emotion|heart|ily|love|romance|valentine', 0, 14, 0.6, 0],
+  ['💝', 'heart with ribbon', '143|anniversary|emotion|heart|ily|kisses|ribbon|valentine|xoxo', 0, 14, 0.6, 0],
+  ['💖', 'sparkling heart', '143|emotion|excited|good|heart|ily|kisses|morning|night|sparkle|sparkling|xoxo', 0, 14, 0.6, 0],
+  ['💗', 'growing heart', '143|emotion|excited|growing|heart|heartpulse|ily|kisses|muah|nervous|pulse|xoxo', 0, 14, 0.6, 0],
+  ['💓', 'beating heart', '143|beating|cardio|emotion|heart|heartbeat|ily|love|pulsating|pulse', 0, 14, 0.6, 0],
+  ['💞', 'revolving hearts', '143|adorbs|anniversary|emotion|heart|hearts|revolving', 0, 14, 0.6, 0],
+  ['💕', 'two hearts', '143|anniversary|date|dating|emotion|heart|hearts|ily|kisses|love|loving|two|xoxo', 0, 14, 0.6, 0],
+  ['💟', 'heart decoration', '143|decoration|emotion|heart|hearth|purple|white', 0, 14, 0.6, 0],
+  ['❣️', 'heart exclamation', 'exclamation|heart|heavy|mark|punctuation', 0, 14, 1, 0],
+  ['💔', 'broken heart', 'break|broken|crushed|emotion|heart|heartbroken|lonely|sad', 0, 14, 0.6, 0],
+  ['❤️‍🔥', 'heart on fire', 'burn|fire|heart|love|lust|sacred', 0, 14, 13.1, 0],
+  ['❤️‍🩹', 'mending heart', 'healthier|heart|improving|mending|recovering|recuperating|well', 0, 14, 13.1, 0],
+  ['❤️', 'red heart', 'emotion|heart|love|red', 0, 14, 0.6, 0],
+  ['🩷', 'pink heart', '143|adorable|cute|emotion|heart|ily|like|love|pink|special|sweet', 0, 14, 15, 0],
+  ['🧡', 'orange heart', '143|heart|orange', 0, 14, 5, 0],
+  ['💛', 'yellow heart', '143|cardiac|emotion|heart|ily|love|yellow', 0, 14, 0.6, 0],
+  ['💚', 'green heart', '143|emotion|green|heart|ily|love|romantic', 0, 14, 0.6, 0],
+  ['💙', 'blue heart', '143|blue|emotion|heart|ily|love|romance', 0, 14, 0.6, 0],
+  ['🩵', 'light blue heart', '143|blue|cute|cyan|emotion|heart|ily|light|like|love|sky|special|teal', 0, 14, 15, 0],
+  ['💜', 'purple heart', '143|bestest|emotion|heart|ily|love|purple', 0, 14, 0.6, 0],
+  ['🤎', 'brown heart', '143|brown|heart', 0, 14, 12, 0],
+  ['🖤', 'black heart', 'black|evil|heart|wicked', 0, 14, 3, 0],
+  ['🩶', 'grey heart', '143|emotion|gray|grey|heart|ily|love|silver|slate|special', 0, 14, 15, 0],
+  ['🤍', 'white heart', '143|heart|white', 0, 14, 12, 0],
+  ['💋', 'kiss mark', 'dating|emotion|heart|kiss|kissing|lips|mark|romance|sexy', 0, 15, 0.6, 0],
+  ['💯', 'hundred points', '100|a+|agree|clearly|definitely|faithful|fleek|full|hundred|keep|perfect|point|score|true|truth|yup', 0, 15, 0.6, 0],
+  ['💢', 'anger symbol', 'anger|angry|comic|mad|symbol|upset', 0, 15, 0.6, 0],
+  ['🫯', 'fight cloud', 'argument|brawl|debate|disagreement|fight|ruckus|wrestle', 0, 15, 17, 0],
+  ['💥', 'collision', 'bomb|boom|collide|comic|explode', 0, 15, 0.6, 0],
+  ['💫', 'dizzy', 'comic|shining|shooting|star|stars', 0, 15, 0.6, 0],
+  ['💦', 'sweat droplets', 'comic|drip|droplet|droplets|drops|splashing|squirt|sweat|water|wet|work|workout', 0, 15, 0.6, 0],
+  ['💨', 'dashing away', 'away|cloud|comic|dash|dashing|fart|fast|go|gone|gotta|running|smoke', 0, 15, 0.6, 0],
+  ['🕳️', 'hole', 'hole', 0, 15, 0.7, 0],
+  ['💬', 'speech balloon', 'balloon|bubble|comic|dialog|message|sms|speech|talk|text|typing', 0, 15, 0.6, 0],
+  ['👁️‍🗨️', 'eye in speech bubble', 'balloon|bubble|eye|speech|witness', 0, 15, 2, 0],
+  ['🗨️', 'left speech bubble', 'balloon|bubble|dialog|left|speech', 0, 15, 2, 0],
+  ['🗯️', 'right anger bubble', 'anger|angry|balloon|bubble|mad|right', 0, 15, 0.7, 0],
+  ['💭', 'thought balloon', 'balloon|bubble|cartoon|cloud|comic|daydream|decisions|dream|idea|invent|invention|realize|think|thoughts|wonder', 0, 15, 1, 0],
+  ['💤', 'ZZZ', 'comic|good|goodnight|night|sleep|sleeping|sleepy|tired|zzz', 0, 15, 0.6, 0],
+  ['👋', 'waving hand', 'bye|cya|g2g|greetings|gtg|hand|hello|hey|hi|later|outtie|ttfn|ttyl|wave|yo|you', 1, 16, 0.6, 1],
+  ['🤚', 'raised back of hand', 'back|backhand|hand|raised', 1, 16, 3, 1],
+  ['🖐️', 'hand with fingers splayed', 'finger|fingers|hand|raised|splayed|stop', 1, 16, 0.7, 1],
+  ['✋', 'raised hand', '5|five|hand|high|raised|stop', 1, 16, 0.6, 1],
+  ['🖖', 'vulcan salute', 'finger|hand|hands|salute|vulcan', 1, 16, 1, 1],
+  ['🫱', 'rightwards hand', 'hand|handshake|hold|reach|right|rightward|rightwards|shake', 1, 16, 14, 1],
+  ['🫲', 'leftwards hand', 'hand|handshake|hold|left|leftward|leftwards|reach|shake', 1, 16, 14, 1],
+  ['🫳', 'palm down hand', 'dismiss|down|drop|dropped|hand|palm|pick|shoo|up', 1, 16, 14, 1],
+  ['🫴', 'palm up hand', 'beckon|catch|come|hand|hold|know|lift|me|offer|palm|tell', 1, 16, 14, 1],
+  ['🫷', 'leftwards pushing hand', 'block|five|halt|hand|high|hold|leftward|leftwards|pause|push|pushing|refuse|slap|stop|wait', 1, 16, 15, 1],
+  ['🫸', 'rightwards pushing hand', 'block|five|halt|hand|high|hold|pause|push|pushing|refuse|rightward|rightwards|slap|stop|wait', 1, 16, 15, 1],
+  ['👌', 'OK hand', 'awesome|bet|dope|fleek|fosho|got|gotcha|hand|legit|ok|okay|pinch|rad|sure|sweet|three', 1, 17, 0.6, 1],
+  ['🤌', 'pinched fingers', 'fingers|gesture|hand|hold|huh|interrogation|patience|pinched|relax|sarcastic|ugh|what|zip', 1, 17, 13, 1],
+  ['🤏', 'pinching hand', 'amount|bit|fingers|hand|little|pinching|small|sort', 1, 17, 12, 1],
+  ['✌️', 'victory hand', 'hand|peace|v|victory', 1, 17, 0.6, 1],
+  ['🤞', 'crossed fingers', 'cross|crossed|finger|fingers|hand|luck', 1, 17, 3, 1],
+  ['🫰', 'hand with index finger and thumb crossed', '<3|crossed|expensive|finger|hand|heart|index|love|money|snap|thumb', 1, 17, 14, 1],
+  ['🤟', 'love-you gesture', 'fingers|gesture|hand|ily|love|love-you|three|you', 1, 17, 5, 1],
+  ['🤘', 'sign of the horns', 'finger|hand|horns|rock-on|sign', 1, 17, 1, 1],
+  ['🤙', 'call me hand', 'call|hand|hang|loose|me|shaka', 1, 17, 3, 1],
+  ['👈', 'backhand index pointing left', 'backhand|finger|hand|index|left|point|pointing', 1, 18, 0.6, 1],
+  ['👉', 'backhand index pointing right', 'backhand|finger|hand|index|point|pointing|right', 1, 18, 0.6, 1],
+  ['👆', 'backhand index pointing up', 'backhand|finger|hand|index|point|pointing|up', 1, 18, 0.6, 1],
+  ['🖕', 'middle finger', 'finger|hand|middle', 1, 18, 1, 1],
+  ['👇', 'backhand index pointing down', 'backhand|down|finger|hand|index|point|pointing', 1, 18, 0.6, 1],
+  ['☝️', 'index pointing up', 'finger|hand|index|point|pointing|this|up', 1, 18, 0.6, 1],
+  ['🫵', 'index pointing at the viewer', 'at|finger|hand|index|pointing|poke|viewer|you', 1, 18, 14, 1],
+  ['👍', 'thumbs up', '+1|good|hand|like|thumb|up|yes', 1, 19, 0.6, 1],
+  ['👎', 'thumbs down', '-1|bad|dislike|down|good|hand|no|nope|thumb|thumbs', 1, 19, 0.6, 1],
+  ['✊', 'raised fist', 'clenched|fist|hand|punch|raised|solidarity', 1, 19, 0.6, 1],
+  ['👊', 'oncoming fist', 'absolutely|agree|boom|bro|bruh|bump|clenched|correct|fist|hand|knuckle|oncoming|pound|punch|rock|ttyl', 1, 19, 0.6, 1],
+  ['🤛', 'left-facing fist', 'fist|left-facing|leftwards', 1, 19, 3, 1],
+  ['🤜', 'right-facing fist', 'fist|right-facing|rightwards', 1, 19, 3, 1],
+  ['👏', 'clapping hands', 'applause|approval|awesome|clap|congrats|congratulations|excited|good|great|hand|homie|job|nice|prayed|well|yay', 1, 20, 0.6, 1],
+  ['🙌', 'raising hands', 'celebration|gesture|hand|hands|hooray|praise|raised|raising', 1, 20, 0.6, 1],
+  ['🫶', 'heart hands', '<3|hands|heart|love|you', 1, 20, 14, 1],
+  ['👐', 'open hands', 'hand|hands|hug|jazz|open|swerve', 1, 20, 0.6, 1],
+  ['🤲', 'palms up together', 'cupped|dua|hands|palms|pray|prayer|together|up|wish', 1, 20, 5, 1],
+  ['🤝', 'handshake', 'agreement|deal|hand|meeting|shake', 1, 20, 3, 2],
+  ['🙏', 'folded hands', 'appreciate|ask|beg|blessed|bow|cmon|five|folded|gesture|hand|high|please|pray|thanks|thx', 1, 20, 0.6, 1],
+  ['✍️', 'writing hand', 'hand|write|writing', 1, 21, 0.7, 1],
+  ['💅', 'nail polish', 'bored|care|cosmetics|done|makeup|manicure|nail|polish|whatever', 1, 21, 0.6, 1],
+  ['🤳', 'selfie', 'camera|phone', 1, 21, 3, 1],
+  ['💪', 'flexed biceps', 'arm|beast|bench|biceps|bodybuilder|bro|curls|flex|gains|gym|jacked|muscle|press|ripped|strong|weightlift', 1, 22, 0.6, 1],
+  ['🦾', 'mechanical arm', 'accessibility|arm|mechanical|prosthetic', 1, 22, 12, 0],
+  ['🦿', 'mechanical leg', 'accessibility|leg|mechanical|prosthetic', 1, 22, 12, 0],
+  ['🦵', 'leg', 'bent|foot|kick|knee|limb', 1, 22, 11, 1],
+  ['🦶', 'foot', 'ankle|feet|kick|stomp', 1, 22, 11, 1],
+  ['👂', 'ear', 'body|ears|hear|hearing|listen|listening|sound', 1, 22, 0.6, 1],
+  ['🦻', 'ear with hearing aid', 'accessibility|aid|ear|hard|hearing', 1, 22, 12, 1],
+  ['👃', 'nose', 'body|noses|nosey|odor|smell|smells', 1, 22, 0.6, 1],
+  ['🧠', 'brain', 'intelligent|smart', 1, 22, 5, 0],
+  ['🫀', 'anatomical heart', 'anatomical|beat|cardiology|heart|heartbeat|organ|pulse|real|red', 1, 22, 13, 0],
+  ['🫁', 'lungs', 'breath|breathe|exhalation|inhalation|lung|organ|respiration', 1, 22, 13, 0],
+  ['🦷', 'tooth', 'dentist|pearly|teeth|white', 1, 22, 11, 0],
+  ['🦴', 'bone', 'bones|dog|skeleton|wishbone', 1, 22, 11, 0],
+  ['👀', 'eyes', 'body|eye|face|googly|look|looking|omg|peep|see|seeing', 1, 22, 0.6, 0],
+  ['👁️', 'eye', '1|body|one', 1, 22, 0.7, 0],
+  ['👅', 'tongue', 'body|lick|slurp', 1, 22, 0.6, 0],
+  ['👄', 'mouth', 'beauty|body|kiss|kissing|lips|lipstick', 1, 22, 0.6, 0],
+  ['🫦', 'biting lip', 'anxious|bite|biting|fear|flirt|flirting|kiss|lip|lipstick|nervous|sexy|uncomfortable|worried|worry', 1, 22, 14, 0],
+  ['👶', 'baby', 'babies|children|goo|infant|newborn|pregnant|young', 1, 23, 0.6, 1],
+  ['🧒', 'child', 'bright-eyed|grandchild|kid|young|younger', 1, 23, 5, 1],
+  ['👦', 'boy', 'bright-eyed|child|grandson|kid|son|young|younger', 1, 23, 0.6, 1],
+  ['👧', 'girl', 'bright-eyed|child|daughter|granddaughter|kid|virgo|young|younger|zodiac', 1, 23, 0.6, 1],
+  ['🧑', 'person', 'adult', 1, 23, 5, 1],
+  ['👱', 'person: blond hair', 'blond|blond-haired|human|person', 1, 23, 0.6, 1],
+  ['👨', 'man', 'adult|bro', 1, 23, 0.6, 1],
+  ['🧔', 'person: beard', 'beard|bearded|person|whiskers', 1, 23, 5, 1],
+  ['🧔‍♂️', 'man: beard', 'beard|bearded|man|whiskers', 1, 23, 13.1, 1],
+  ['🧔‍♀️', 'woman: beard', 'beard|bearded|whiskers|woman', 1, 23, 13.1, 1],
+  ['👨‍🦰', 'man: red hair', 'adult|bro|man|red hair', 1, 23, 11, 1],
+  ['👨‍🦱', 'man: curly hair', 'adult|bro|curly hair|man', 1, 23, 11, 1],
+  ['👨‍🦳', 'man: white hair', 'adult|bro|man|white hair', 1, 23, 11, 1],
+  ['👨‍🦲', 'man: bald', 'adult|bald|bro|man', 1, 23, 11, 1],
+  ['👩', 'woman', 'adult|lady', 1, 23, 0.6, 1],
+  ['👩‍🦰', 'woman: red hair', 'adult|lady|red hair|woman', 1, 23, 11, 1],
+  ['🧑‍🦰', 'person: red hair', 'adult|person|red hair', 1, 23, 12.1, 1],
+  ['👩‍🦱', 'woman: curly hair', 'adult|curly hair|lady|woman', 1, 23, 11, 1],
+  ['🧑‍🦱', 'person: curly hair', 'adult|curly hair|person', 1, 23, 12.1, 1],
+  ['👩‍🦳', 'woman: white hair', 'adult|lady|white hair|woman', 1, 23, 11, 1],
+  ['🧑‍🦳', 'person: white hair', 'adult|person|white hair', 1, 23, 12.1, 1],
+  ['👩‍🦲', 'woman: bald', 'adult|bald|lady|woman', 1, 23, 11, 1],
+  ['🧑‍🦲', 'person: bald', 'adult|bald|person', 1, 23, 12.1, 1],
+  ['👱‍♀️', 'woman: blond hair', 'blond|blond-haired|blonde|hair|woman', 1, 23, 4, 1],
+  ['👱‍♂️', 'man: blond hair', 'blond|blond-haired|hair|man', 1, 23, 4, 1],
+  ['🧓', 'older person', 'adult|elderly|grandparent|old|person|wise', 1, 23, 5, 1],
+  ['👴', 'old man', 'adult|bald|elderly|gramps|grandfather|grandpa|man|old|wise', 1, 23, 0.6, 1],
+  ['👵', 'old woman', 'adult|elderly|grandma|grandmother|granny|lady|old|wise|woman', 1, 23, 0.6, 1],
+  ['🙍', 'person frowning', 'annoyed|disappointed|disgruntled|disturbed|frown|frowning|frustrated|gesture|irritated|person|upset', 1, 24, 0.6, 1],
+  ['🙍‍♂️', 'man frowning', 'annoyed|disappointed|disgruntled|disturbed|frown|frowning|frustrated|gesture|irritated|man|upset', 1, 24, 4, 1],
+  ['🙍‍♀️', 'woman frowning', 'annoyed|disappointed|disgruntled|disturbed|frown|frowning|frustrated|gesture|irritated|upset|woman', 1, 24, 4, 1],
+  ['🙎', 'person pouting', 'disappointed|downtrodden|frown|grimace|person|pouting|scowl|sulk|upset|whine', 1, 24, 0.6, 1],
+  ['🙎‍♂️', 'man pouting', 'disappointed|downtrodden|frown|grimace|man|pouting|scowl|sulk|upset|whine', 1, 24, 4, 1],
+  ['🙎‍♀️', 'woman pouting', 'disappointed|downtrodden|frown|grimace|pouting|scowl|sulk|upset|whine|woman', 1, 24, 4, 1],
+  ['🙅', 'person gesturing NO', 'forbidden|gesture|hand|no|not|person|prohibit', 1, 24, 0.6, 1],
+  ['🙅‍♂️', 'man gesturing NO', 'forbidden|gesture|hand|man|no|not|prohibit', 1, 24, 4, 1],
+  ['🙅‍♀️', 'woman gesturing NO', 'forbidden|gesture|hand|no|not|prohibit|woman', 1, 24, 4, 1],
+  ['🙆', 'person gesturing OK', 'exercise|gesture|gesturing|hand|ok|omg|person', 1, 24, 0.6, 1],
+  ['🙆‍♂️', 'man gesturing OK', 'exercise|gesture|gesturing|hand|man|ok|omg', 1, 24, 4, 1],
+  ['🙆‍♀️', 'woman gesturing OK', 'exercise|gesture|gesturing|hand|ok|omg|woman', 1, 24, 4, 1],
+  ['💁', 'person tipping hand', 'fetch|flick|flip|gossip|hand|person|sarcasm|sarcastic|sassy|seriously|tipping|whatever', 1, 24, 0.6, 1],
+  ['💁‍♂️', 'man tipping hand', 'fetch|flick|flip|gossip|hand|man|sarcasm|sarcastic|sassy|seriously|tipping|whatever', 1, 24, 4, 1],
+  ['💁‍♀️', 'woman tipping hand', 'fetch|flick|flip|gossip|hand|sarcasm|sarcastic|sassy|seriously|tipping|whatever|woman', 1, 24, 4, 1],
+  ['🙋', 'person raising hand', 'gesture|hand|here|know|me|person|pick|question|raise|raising', 1, 24, 0.6, 1],
+  ['🙋‍♂️', 'man raising hand', 'gesture|hand|here|know|man|me|pick|question|raise|raising', 1, 24, 4, 1],
+  ['🙋‍♀️', 'woman raising hand', 'gesture|hand|here|know|me|pick|question|raise|raising|woman', 1, 24, 4, 1],
+  ['🧏', 'deaf person', 'accessibility|deaf|ear|gesture|hear|person', 1, 24, 12, 1],
+  ['🧏‍♂️', 'deaf man', 'accessibility|deaf|ear|gesture|hear|man', 1, 24, 12, 1],
+  ['🧏‍♀️', 'deaf woman', 'accessibility|deaf|ear|gesture|hear|woman', 1, 24, 12, 1],
+  ['🙇', 'person bowing', 'apology|ask|beg|bow|bowing|favor|forgive|gesture|meditate|meditation|person|pity|regret|sorry', 1, 24, 0.6, 1],
+  ['🙇‍♂️', 'man bowing', 'apology|ask|beg|bow|bowing|favor|forgive|gesture|man|meditate|meditation|pity|regret|sorry', 1, 24, 4, 1],
+  ['🙇‍♀️', 'woman bowing', 'apology|ask|beg|bow|bowing|favor|forgive|gesture|meditate|meditation|pity|regret|sorry|woman', 1, 24, 4, 1],
+  ['🤦', 'person facepalming', 'again|bewilder|disbelief|exasperation|facepalm|no|not|oh|omg|person|shock|smh', 1, 24, 3, 1],
+  ['🤦‍♂️', 'man facepalming', 'again|bewilder|disbelief|exasperation|facepalm|man|no|not|oh|omg|shock|smh', 1, 24, 4, 1],
+  ['🤦‍♀️', 'woman facepalming', 'again|bewilder|disbelief|exasperation|facepalm|no|not|oh|omg|shock|smh|woman', 1, 24, 4, 1],
+  ['🤷', 'person shrugging', 'doubt|dunno|guess|idk|ignorance|indifference|knows|maybe|person|shrug|shrugging|whatever|who', 1, 24, 3, 1],
+  ['🤷‍♂️', 'man shrugging', 'doubt|dunno|guess|idk|ignorance|indifference|knows|man|maybe|shrug|shrugging|whatever|who', 1, 24, 4, 1],
+  ['🤷‍♀️', 'woman shrugging', 'doubt|dunno|guess|idk|ignorance|indifference|knows|maybe|shrug|shrugging|whatever|who|woman', 1, 24, 4, 1],
+  ['🧑‍⚕️', 'health worker', 'doctor|health|healthcare|nurse|therapist|worker', 1, 25, 12.1, 1],
+  ['👨‍⚕️', 'man health worker', 'doctor|health|healthcare|man|nurse|therapist|worker', 1, 25, 4, 1],
+  ['👩‍⚕️', 'woman health worker', 'doctor|health|healthcare|nurse|therapist|woman|worker', 1, 25, 4, 1],
+  ['🧑‍🎓', 'student', 'graduate', 1, 25, 12.1, 1],
+  ['👨‍🎓', 'man student', 'graduate|man|student', 1, 25, 4, 1],
+  ['👩‍🎓', 'woman student', 'graduate|student|woman', 1, 25, 4, 1],
+  ['🧑‍🏫', 'teacher', 'instructor|lecturer|professor', 1, 25, 12.1, 1],
+  ['👨‍🏫', 'man teacher', 'instructor|lecturer|man|professor|teacher', 1, 25, 4, 1],
+  ['👩‍🏫', 'woman teacher', 'instructor|lecturer|professor|teacher|woman', 1, 25, 4, 1],
+  ['🧑‍⚖️', 'judge', 'justice|law|scales', 1, 25, 12.1, 1],
+  ['👨‍⚖️', 'man judge', 'judge|justice|law|man|scales', 1, 25, 4, 1],
+  ['👩‍⚖️', 'woman judge', 'judge|justice|law|scales|woman', 1, 25, 4, 1],
+  ['🧑‍🌾', 'farmer', 'gardener|rancher', 1, 25, 12.1, 1],
+  ['👨‍🌾', 'man farmer', 'farmer|gardener|man|rancher', 1, 25, 4, 1],
+  ['👩‍🌾', 'woman farmer', 'farmer|gardener|rancher|woman', 1, 25, 4, 1],
+  ['🧑‍🍳', 'cook', 'chef', 1, 25, 12.1, 1],
+  ['👨‍🍳', 'man cook', 'chef|cook|man', 1, 25, 4, 1],
+  ['👩‍🍳', 'woman cook', 'chef|cook|woman', 1, 25, 4, 1],
+  ['🧑‍🔧', 'mechanic', 'electrician|plumber|tradesperson', 1, 25, 12.1, 1],
+  ['👨‍🔧', 'man mechanic', 'electrician|man|mechanic|plumber|tradesperson', 1, 25, 4, 1],
+  ['👩‍🔧', 'woman mechanic', 'electrician|mechanic|plumber|tradesperson|woman', 1, 25, 4, 1],
+  ['🧑‍🏭', 'factory worker', 'assembly|factory|industrial|worker', 1, 25, 12.1, 1],
+  ['👨‍🏭', 'man factory worker', 'assembly|factory|industrial|man|worker', 1, 25, 4, 1],
+  ['👩‍🏭', 'woman factory worker', 'assembly|factory|industrial|woman|worker', 1, 25, 4, 1],
+  ['🧑‍💼', 'office worker', 'architect|business|manager|office|white-collar|worker', 1, 25, 12.1, 1],
+  ['👨‍💼', 'man office worker', 'architect|business|man|manager|office|white-collar|worker', 1, 25, 4, 1],
+  ['👩‍💼', 'woman office worker', 'architect|business|manager|office|white-collar|woman|worker', 1, 25, 4, 1],
+  ['🧑‍🔬', 'scientist', 'biologist|chemist|engineer|mathematician|physicist', 1, 25, 12.1, 1],
+  ['👨‍🔬', 'man scientist', 'biologist|chemist|engineer|man|mathematician|physicist|scientist', 1, 25, 4, 1],
+  ['👩‍🔬', 'woman scientist', 'biologist|chemist|engineer|mathematician|physicist|scientist|woman', 1, 25, 4, 1],
+  ['🧑‍💻', 'technologist', 'coder|computer|developer|inventor|software', 1, 25, 12.1, 1],
+  ['👨‍💻', 'man technologist', 'coder|computer|developer|inventor|man|software|technologist', 1, 25, 4, 1],
+  ['👩‍💻', 'woman technologist', 'coder|computer|developer|inventor|software|technologist|woman', 1, 25, 4, 1],
+  ['🧑‍🎤', 'singer', 'actor|entertainer|rock|rockstar|star', 1, 25, 12.1, 1],
+  ['👨‍🎤', 'man singer', 'actor|entertainer|man|rock|rockstar|singer|star', 1, 25, 4, 1],
+  ['👩‍🎤', 'woman singer', 'actor|entertainer|rock|rockstar|singer|star|woman', 1, 25, 4, 1],
+  ['🧑‍🎨', 'artist', 'palette', 1, 25, 12.1, 1],
+  ['👨‍🎨', 'man artist', 'artist|man|palette', 1, 25, 4, 1],
+  ['👩‍🎨', 'woman artist', 'artist|palette|woman', 1, 25, 4, 1],
+  ['🧑‍✈️', 'pilot', 'plane', 1, 25, 12.1, 1],
+  ['👨‍✈️', 'man pilot', 'man|pilot|plane', 1, 25, 4, 1],
+  ['👩‍✈️', 'woman pilot', 'pilot|plane|woman', 1, 25, 4, 1],
+  ['🧑‍🚀', 'astronaut', 'rocket|space', 1, 25, 12.1, 1],
+  ['👨‍🚀', 'man astronaut', 'astronaut|man|rocket|space', 1, 25, 4, 1],
+  ['👩‍🚀', 'woman astronaut', 'astronaut|rocket|space|woman', 1, 25, 4, 1],
+  ['🧑‍🚒', 'firefighter', 'fire|firetruck', 1, 25, 12.1, 1],
+  ['👨‍🚒', 'man firefighter', 'fire|firefighter|firetruck|man', 1, 25, 4, 1],
+  ['👩‍🚒', 'woman firefighter', 'fire|firefighter|firetruck|woman', 1, 25, 4, 1],
+  ['👮', 'police officer', 'apprehend|arrest|citation|cop|law|officer|over|police|pulled|undercover', 1, 25, 0.6, 1],
+  ['👮‍♂️', 'man police officer', 'apprehend|arrest|citation|cop|law|man|officer|over|police|pulled|undercover', 1, 25, 4, 1],
+  ['👮‍♀️', 'woman police officer', 'apprehend|arrest|citation|cop|law|officer|over|police|pulled|undercover|woman', 1, 25, 4, 1],
+  ['🕵️', 'detective', 'sleuth|spy', 1, 25, 0.7, 1],
+  ['🕵️‍♂️', 'man detective', 'detective|man|sleuth|spy', 1, 25, 4, 1],
+  ['🕵️‍♀️', 'woman detective', 'detective|sleuth|spy|woman', 1, 25, 4, 1],
+  ['💂', 'guard', 'buckingham|helmet|london|palace', 1, 25, 0.6, 1],
+  ['💂‍♂️', 'man guard', 'buckingham|guard|helmet|london|man|palace', 1, 25, 4, 1],
+  ['💂‍♀️', 'woman guard', 'buckingham|guard|helmet|london|palace|woman', 1, 25, 4, 1],
+  ['🥷', 'ninja', 'assassin|fight|fighter|hidden|person|secret|skills|sly|soldier|stealth|war', 1, 25, 13, 1],
+  ['👷', 'construction worker', 'build|construction|fix|hardhat|hat|man|person|rebuild|remodel|repair|work|worker', 1, 25, 0.6, 1],
+  ['👷‍♂️', 'man construction worker', 'build|construction|fix|hardhat|hat|man|rebuild|remodel|repair|work|worker', 1, 25, 4, 1],
+  ['👷‍♀️', 'woman construction worker', 'build|construction|fix|hardhat|hat|man|rebuild|remodel|repair|woman|work|worker', 1, 25, 4, 1],
+  ['🫅', 'person with crown', 'crown|monarch|noble|person|regal|royal|royalty', 1, 25, 14, 1],
+  ['🤴', 'prince', 'crown|fairy|fairytale|fantasy|king|royal|royalty|tale', 1, 25, 3, 1],
+  ['👸', 'princess', 'crown|fairy|fairytale|fantasy|queen|royal|royalty|tale', 1, 25, 0.6, 1],
+  ['👳', 'person wearing turban', 'person|turban|wearing', 1, 25, 0.6, 1],
+  ['👳‍♂️', 'man wearing turban', 'man|turban|wearing', 1, 25, 4, 1],
+  ['👳‍♀️', 'woman wearing turban', 'turban|wearing|woman', 1, 25, 4, 1],
+  ['👲', 'person with skullcap', 'cap|chinese|gua|guapi|hat|mao|person|pi|skullcap', 1, 25, 0.6, 1],
+  ['🧕', 'woman with headscarf', 'bandana|head|headscarf|hijab|kerchief|mantilla|tichel|woman', 1, 25, 5, 1],
+  ['🤵', 'person in tuxedo', 'formal|person|tuxedo|wedding', 1, 25, 3, 1],
+  ['🤵‍♂️', 'man in tuxedo', 'formal|groom|man|tuxedo|wedding', 1, 25, 13, 1],
+  ['🤵‍♀️', 'woman in tuxedo', 'formal|tuxedo|wedding|woman', 1, 25, 13, 1],
+  ['👰', 'person with veil', 'person|veil|wedding', 1, 25, 0.6, 1],
+  ['👰‍♂️', 'man with veil', 'man|veil|wedding', 1, 25, 13, 1],
+  ['👰‍♀️', 'woman with veil', 'bride|veil|wedding|woman', 1, 25, 13, 1],
+  ['🤰', 'pregnant woman', 'pregnant|woman', 1, 25, 3, 1],
+  ['🫃', 'pregnant man', 'belly|bloated|full|man|overeat|pregnant', 1, 25, 14, 1],
+  ['🫄', 'pregnant person', 'belly|bloated|full|overeat|person|pregnant|stuffed', 1, 25, 14, 1],
+  ['🤱', 'breast-feeding', 'baby|breast|feeding|mom|mother|nursing|woman', 1, 25, 5, 1],
+  ['👩‍🍼', 'woman feeding baby', 'baby|feed|feeding|mom|mother|nanny|newborn|nursing|woman', 1, 25, 13, 1],
+  ['👨‍🍼', 'man feeding baby', 'baby|dad|father|feed|feeding|man|nanny|newborn|nursing', 1, 25, 13, 1],
+  ['🧑‍🍼', 'person feeding baby', 'baby|feed|feeding|nanny|newborn|nursing|parent', 1, 25, 13, 1],
+  ['👼', 'baby angel', 'angel|baby|church|face|fairy|fairytale|fantasy|tale', 1, 26, 0.6, 1],
+  ['🎅', 'Santa Claus', 'celebration|christmas|claus|fairy|fantasy|father|holiday|merry|santa|tale|xmas', 1, 26, 0.6, 1],
+  ['🤶', 'Mrs. Claus', 'celebration|christmas|claus|fairy|fantasy|holiday|merry|mother|mrs|santa|tale|xmas', 1, 26, 3, 1],
+  ['🧑‍🎄', 'Mx Claus', 'celebration|christmas|claus|fairy|fantasy|holiday|merry|mx|santa|tale|xmas', 1, 26, 13, 1],
+  ['🦸', 'superhero', 'good|hero|superpower', 1, 26, 11, 1],
+  ['🦸‍♂️', 'man superhero', 'good|hero|man|superhero|superpower', 1, 26, 11, 1],
+  ['🦸‍♀️', 'woman superhero', 'good|hero|heroine|superhero|superpower|woman', 1, 26, 11, 1],
+  ['🦹', 'supervillain', 'bad|criminal|evil|superpower|villain', 1, 26, 11, 1],
+  ['🦹‍♂️', 'man supervillain', 'bad|criminal|evil|man|superpower|supervillain|villain', 1, 26, 11, 1],
+  ['🦹‍♀️', 'woman supervillain', 'bad|criminal|evil|superpower|supervillain|villain|woman', 1, 26, 11, 1],
+  ['🧙', 'mage', 'fantasy|magic|play|sorcerer|sorceress|sorcery|spell|summon|witch|wizard', 1, 26, 5, 1],
+  ['🧙‍♂️', 'man mage', 'fantasy|mage|magic|man|play|sorcerer|sorceress|sorcery|spell|summon|witch|wizard', 1, 26, 5, 1],
+  ['🧙‍♀️', 'woman mage', 'fantasy|mage|magic|play|sorcerer|sorceress|sorcery|spell|summon|witch|wizard|woman', 1, 26, 5, 1],
+  ['🧚', 'fairy', 'fairytale|fantasy|myth|person|pixie|tale|wings', 1, 26, 5, 1],
+  ['🧚‍♂️', 'man fairy', 'fairy|fairytale|fantasy|man|myth|oberon|person|pixie|puck|tale|wings', 1, 26, 5, 1],
+  ['🧚‍♀️', 'woman fairy', 'fairy|fairytale|fantasy|myth|person|pixie|tale|titania|wings|woman', 1, 26, 5, 1],
+  ['🧛', 'vampire', 'blood|dracula|fangs|halloween|scary|supernatural|teeth|undead', 1, 26, 5, 1],
+  ['🧛‍♂️', 'man vampire', 'blood|fangs|halloween|man|scary|supernatural|teeth|undead|vampire', 1, 26, 5, 1],
+  ['🧛‍♀️', 'woman vampire', 'blood|fangs|halloween|scary|supernatural|teeth|undead|vampire|woman', 1, 26, 5, 1],
+  ['🧜', 'merperson', 'creature|fairytale|folklore|ocean|sea|siren|trident', 1, 26, 5, 1],
+  ['🧜‍♂️', 'merman', 'creature|fairytale|folklore|neptune|ocean|poseidon|sea|siren|trident|triton', 1, 26, 5, 1],
+  ['🧜‍♀️', 'mermaid', 'creature|fairytale|folklore|merwoman|ocean|sea|siren|trident', 1, 26, 5, 1],
+  ['🧝', 'elf', 'elves|enchantment|fantasy|folklore|magic|magical|myth', 1, 26, 5, 1],
+  ['🧝‍♂️', 'man elf', 'elf|elves|enchantment|fantasy|folklore|magic|magical|man|myth', 1, 26, 5, 1],
+  ['🧝‍♀️', 'woman elf', 'elf|elves|enchantment|fantasy|folklore|magic|magical|myth|woman', 1, 26, 5, 1],
+  ['🧞', 'genie', 'djinn|fantasy|jinn|lamp|myth|rub|wishes', 1, 26, 5, 0],
+  ['🧞‍♂️', 'man genie', 'djinn|fantasy|genie|jinn|lamp|man|myth|rub|wishes', 1, 26, 5, 0],
+  ['🧞‍♀️', 'woman genie', 'djinn|fantasy|genie|jinn|lamp|myth|rub|wishes|woman', 1, 26, 5, 0],
+  ['🧟', 'zombie', 'apocalypse|dead|halloween|horror|scary|undead|walking', 1, 26, 5, 0],
+  ['🧟‍♂️', 'man zombie', 'apocalypse|dead|halloween|horror|man|scary|undead|walking|zombie', 1, 26, 5, 0],
+  ['🧟‍♀️', 'woman zombie', 'apocalypse|dead|halloween|horror|scary|undead|walking|woman|zombie', 1, 26, 5, 0],
+  ['🧌', 'troll', 'fairy|fantasy|monster|tale|trolling', 1, 26, 14, 0],
+  ['🫈', 'hairy creature', 'bigfoot|cryptid|forest|giant|hairy|sasquatch|woodwose|yeti', 1, 26, 17, 0],
+  ['💆', 'person getting massage', 'face|getting|headache|massage|person|relax|relaxing|salon|soothe|spa|tension|therapy|treatment', 1, 27, 0.6, 1],
+  ['💆‍♂️', 'man getting massage', 'face|getting|headache|man|massage|relax|relaxing|salon|soothe|spa|tension|therapy|treatment', 1, 27, 4, 1],
+  ['💆‍♀️', 'woman getting massage', 'face|getting|headache|massage|relax|relaxing|salon|soothe|spa|tension|therapy|treatment|woman', 1, 27, 4, 1],
+  ['💇', 'person getting haircut', 'barber|beauty|chop|cosmetology|cut|groom|hair|haircut|parlor|person|shears|style', 1, 27, 0.6, 1],
+  ['💇‍♂️', 'man getting haircut', 'barber|beauty|chop|cosmetology|cut|groom|hair|haircut|man|parlor|person|shears|style', 1, 27, 4, 1],
+  ['💇‍♀️', 'woman getting haircut', 'barber|beauty|chop|cosmetology|cut|groom|hair|haircut|parlor|person|shears|style|woman', 1, 27, 4, 1],
+  ['🚶', 'person walking', 'amble|gait|hike|man|pace|pedestrian|person|stride|stroll|walk|walking', 1, 27, 0.6, 1],
+  ['🚶‍♂️', 'man walking', 'amble|gait|hike|man|pace|pedestrian|stride|stroll|walk|walking', 1, 27, 4, 1],
+  ['🚶‍♀️', 'woman walking', 'amble|gait|hike|man|pace|pedestrian|stride|stroll|walk|walking|woman', 1, 27, 4, 1],
+  ['🚶‍➡️', 'person walking: facing right', 'amble|facing|gait|hike|man|pace|pedestrian|person|right|stride|stroll|walk|walking', 1, 27, 15.1, 1],
+  ['🚶‍♀️‍➡️', 'woman walking: facing right', 'amble|facing|gait|hike|man|pace|pedestrian|right|stride|stroll|walk|walking|woman', 1, 27, 15.1, 1],
+  ['🚶‍♂️‍➡️', 'man walking: facing right', 'amble|facing|gait|hike|man|pace|pedestrian|right|stride|stroll|walk|walking', 1, 27, 15.1, 1],
+  ['🧍', 'person standing', 'person|stand|standing', 1, 27, 12, 1],
+  ['🧍‍♂️', 'man standing', 'man|stand|standing', 1, 27, 12, 1],
+  ['🧍‍♀️', 'woman standing', 'stand|standing|woman', 1, 27, 12, 1],
+  ['🧎', 'person kneeling', 'kneel|kneeling|knees|person', 1, 27, 12, 1],
+  ['🧎‍♂️', 'man kneeling', 'kneel|kneeling|knees|man', 1, 27, 12, 1],
+  ['🧎‍♀️', 'woman kneeling', 'kneel|kneeling|knees|woman', 1, 27, 12, 1],
+  ['🧎‍➡️', 'person kneeling: facing right', 'facing|kneel|kneeling|knees|person|right', 1, 27, 15.1, 1],
+  ['🧎‍♀️‍➡️', 'woman kneeling: facing right', 'facing|kneel|kneeling|knees|right|woman', 1, 27, 15.1, 1],
+  ['🧎‍♂️‍➡️', 'man kneeling: facing right', 'facing|kneel|kneeling|knees|man|right', 1, 27, 15.1, 1],
+  ['🧑‍🦯', 'person with white cane', 'accessibility|blind|cane|person|probing|white', 1, 27, 12.1, 1],
+  ['🧑‍🦯‍➡️', 'person with white cane: facing right', 'accessibility|blind|cane|facing|person|probing|right|white', 1, 27, 15.1, 1],
+  ['👨‍🦯', 'man with white cane', 'accessibility|blind|cane|man|probing|white', 1, 27, 12, 1],
+  ['👨‍🦯‍➡️', 'man with white cane: facing right', 'accessibility|blind|cane|facing|man|probing|right|white', 1, 27, 15.1, 1],
+  ['👩‍🦯', 'woman with white cane', 'accessibility|blind|cane|probing|white|woman', 1, 27, 12, 1],
+  ['👩‍🦯‍➡️', 'woman with white cane: facing right', 'accessibility|blind|cane|facing|probing|right|white|woman', 1, 27, 15.1, 1],
+  ['🧑‍🦼', 'person in motorized wheelchair', 'accessibility|motorized|person|wheelchair', 1, 27, 12.1, 1],
+  ['🧑‍🦼‍➡️', 'person in motorized wheelchair: facing right', 'accessibility|facing|motorized|person|right|wheelchair', 1, 27, 15.1, 1],
+  ['👨‍🦼', 'man in motorized wheelchair', 'accessibility|man|motorized|wheelchair', 1, 27, 12, 1],
+  ['👨‍🦼‍➡️', 'man in motorized wheelchair: facing right', 'accessibility|facing|man|motorized|right|wheelchair', 1, 27, 15.1, 1],
+  ['👩‍🦼', 'woman in motorized wheelchair', 'accessibility|motorized|wheelchair|woman', 1, 27, 12, 1],
+  ['👩‍🦼‍➡️', 'woman in motorized wheelchair: facing right', 'accessibility|facing|motorized|right|wheelchair|woman', 1, 27, 15.1, 1],
+  ['🧑‍🦽', 'person in manual wheelchair', 'accessibility|manual|person|wheelchair', 1, 27, 12.1, 1],
+  ['🧑‍🦽‍➡️', 'person in manual wheelchair: facing right', 'accessibility|facing|manual|person|right|wheelchair', 1, 27, 15.1, 1],
+  ['👨‍🦽', 'man in manual wheelchair', 'accessibility|man|manual|wheelchair', 1, 27, 12, 1],
+  ['👨‍🦽‍➡️', 'man in manual wheelchair: facing right', 'accessibility|facing|man|manual|right|wheelchair', 1, 27, 15.1, 1],
+  ['👩‍🦽', 'woman in manual wheelchair', 'accessibility|manual|wheelchair|woman', 1, 27, 12, 1],
+  ['👩‍🦽‍➡️', 'woman in manual wheelchair: facing right', 'accessibility|facing|manual|right|wheelchair|woman', 1, 27, 15.1, 1],
+  ['🏃', 'person running', 'fast|hurry|marathon|move|person|quick|race|racing|run|rush|speed', 1, 27, 0.6, 1],
+  ['🏃‍♂️', 'man running', 'fast|hurry|man|marathon|move|quick|race|racing|run|rush|speed', 1, 27, 4, 1],
+  ['🏃‍♀️', 'woman running', 'fast|hurry|marathon|move|quick|race|racing|run|rush|speed|woman', 1, 27, 4, 1],
+  ['🏃‍➡️', 'person running: facing right', 'facing|fast|hurry|marathon|move|person|quick|race|racing|right|run|rush|speed', 1, 27, 15.1, 1],
+  ['🏃‍♀️‍➡️', 'woman running: facing right', 'facing|fast|hurry|marathon|move|quick|race|racing|right|run|rush|speed|woman', 1, 27, 15.1, 1],
+  ['🏃‍♂️‍➡️', 'man running: facing right', 'facing|fast|hurry|man|marathon|move|quick|race|racing|right|run|rush|speed', 1, 27, 15.1, 1],
+  ['🧑‍🩰', 'ballet dancer', 'ballet|dancer', 1, 27, 17, 1],
+  ['💃', 'woman dancing', 'dance|dancer|dancing|elegant|festive|flair|flamenco|groove|let’s|salsa|tango|woman', 1, 27, 0.6, 1],
+  ['🕺', 'man dancing', 'dance|dancer|dancing|elegant|festive|flair|flamenco|groove|let’s|man|salsa|tango', 1, 27, 3, 1],
+  ['🕴️', 'person in suit levitating', 'business|levitating|person|suit', 1, 27, 0.7, 1],
+  ['👯', 'people with bunny ears', 'bestie|bff|bunny|counterpart|dancer|double|ear|identical|pair|party|partying|people|soulmate|twin|twinsies', 1, 27, 0.6, 2],
+  ['👯‍♂️', 'men with bunny ears', 'bestie|bff|bunny|counterpart|dancer|double|ear|identical|men|pair|party|partying|people|soulmate|twin|twinsies', 1, 27, 4, 2],
+  ['👯‍♀️', 'women with bunny ears', 'bestie|bff|bunny|counterpart|dancer|double|ear|identical|pair|party|partying|people|soulmate|twin|twinsies|women', 1, 27, 4, 2],
+  ['🧖', 'person in steamy room', 'day|luxurious|pamper|person|relax|room|sauna|spa|steam|steambath|unwind', 1, 27, 5, 1],
+  ['🧖‍♂️', 'man in steamy room', 'day|luxurious|man|pamper|relax|room|sauna|spa|steam|steambath|unwind', 1, 27, 5, 1],
+  ['🧖‍♀️', 'woman in steamy room', 'day|luxurious|pamper|relax|room|sauna|spa|steam|steambath|unwind|woman', 1, 27, 5, 1],
+  ['🧗', 'person climbing', 'climb|climber|climbing|mountain|person|rock|scale|up', 1, 27, 5, 1],
+  ['🧗‍♂️', 'man climbing', 'climb|climber|climbing|man|mountain|rock|scale|up', 1, 27, 5, 1],
+  ['🧗‍♀️', 'woman climbing', 'climb|climber|climbing|mountain|rock|scale|up|woman', 1, 27, 5, 1],
+  ['🤺', 'person fencing', 'fencer|fencing|person|sword', 1, 28, 3, 0],
+  ['🏇', 'horse racing', 'horse|jockey|racehorse|racing|riding|sport', 1, 28, 1, 1],
+  ['⛷️', 'skier', 'ski|snow', 1, 28, 0.7, 0],
+  ['🏂', 'snowboarder', 'ski|snow|snowboard|sport', 1, 28, 0.6, 1],
+  ['🏌️', 'person golfing', 'ball|birdie|caddy|driving|golf|golfing|green|person|pga|putt|range|tee', 1, 28, 0.7, 1],
+  ['🏌️‍♂️', 'man golfing', 'ball|birdie|caddy|driving|golf|golfing|green|man|pga|putt|range|tee', 1, 28, 4, 1],
+  ['🏌️‍♀️', 'woman golfing', 'ball|birdie|caddy|driving|golf|golfing|green|pga|putt|range|tee|woman', 1, 28, 4, 1],
+  ['🏄', 'person surfing', 'beach|ocean|person|sport|surf|surfer|surfing|swell|waves', 1, 28, 0.6, 1],
+  ['🏄‍♂️', 'man surfing', 'beach|man|ocean|sport|surf|surfer|surfing|swell|waves', 1, 28, 4, 1],
+  ['🏄‍♀️', 'woman surfing', 'beach|ocean|person|sport|surf|surfer|surfing|swell|waves', 1, 28, 4, 1],
+  ['🚣', 'person rowing boat', 'boat|canoe|cruise|fishing|lake|oar|paddle|person|raft|river|row|rowboat|rowing', 1, 28, 1, 1],
+  ['🚣‍♂️', 'man rowing boat', 'boat|canoe|cruise|fishing|lake|man|oar|paddle|raft|river|row|rowboat|rowing', 1, 28, 4, 1],
+  ['🚣‍♀️', 'woman rowing boat', 'boat|canoe|cruise|fishing|lake|oar|paddle|raft|river|row|rowboat|rowing|woman', 1, 28, 4, 1],
+  ['🏊', 'person swimming', 'freestyle|person|sport|swim|swimmer|swimming|triathlon', 1, 28, 0.6, 1],
+  ['🏊‍♂️', 'man swimming', 'freestyle|man|sport|swim|swimmer|swimming|triathlon', 1, 28, 4, 1],
+  ['🏊‍♀️', 'woman swimming', 'freestyle|man|sport|swim|swimmer|swimming|triathlon', 1, 28, 4, 1],
+  ['⛹️', 'person bouncing ball', 'athletic|ball|basketball|bouncing|championship|dribble|net|person|player|throw', 1, 28, 0.7, 1],
+  ['⛹️‍♂️', 'man bouncing ball', 'athletic|ball|basketball|bouncing|championship|dribble|man|net|player|throw', 1, 28, 4, 1],
+  ['⛹️‍♀️', 'woman bouncing ball', 'athletic|ball|basketball|bouncing|championship|dribble|net|player|throw|woman', 1, 28, 4, 1],
+  ['🏋️', 'person lifting weights', 'barbell|bodybuilder|deadlift|lifter|lifting|person|powerlifting|weight|weightlifter|weights|workout', 1, 28, 0.7, 1],
+  ['🏋️‍♂️', 'man lifting weights', 'barbell|bodybuilder|deadlift|lifter|lifting|man|powerlifting|weight|weightlifter|weights|workout', 1, 28, 4, 1],
+  ['🏋️‍♀️', 'woman lifting weights', 'barbell|bodybuilder|deadlift|lifter|lifting|powerlifting|weight|weightlifter|weights|woman|workout', 1, 28, 4, 1],
+  ['🚴', 'person biking', 'bicycle|bicyclist|bike|biking|cycle|cyclist|person|riding|sport', 1, 28, 1, 1],
+  ['🚴‍♂️', 'man biking', 'bicycle|bicyclist|bike|biking|cycle|cyclist|man|riding|sport', 1, 28, 4, 1],
+  ['🚴‍♀️', 'woman biking', 'bicycle|bicyclist|bike|biking|cycle|cyclist|riding|sport|woman', 1, 28, 4, 1],
+  ['🚵', 'person mountain biking', 'bicycle|bicyclist|bike|biking|cycle|cyclist|mountain|person|riding|sport', 1, 28, 1, 1],
+  ['🚵‍♂️', 'man mountain biking', 'bicycle|bicyclist|bike|biking|cycle|cyclist|man|mountain|riding|sport', 1, 28, 4, 1],
+  ['🚵‍♀️', 'woman mountain biking', 'bicycle|bicyclist|bike|biking|cycle|cyclist|mountain|riding|sport|woman', 1, 28, 4, 1],
+  ['🤸', 'person cartwheeling', 'active|cartwheel|cartwheeling|excited|flip|gymnastics|happy|person|somersault', 1, 28, 3, 1],
+  ['🤸‍♂️', 'man cartwheeling', 'active|cartwheel|cartwheeling|excited|flip|gymnastics|happy|man|somersault', 1, 28, 4, 1],
+  ['🤸‍♀️', 'woman cartwheeling', 'active|cartwheel|cartwheeling|excited|flip|gymnastics|happy|somersault|woman', 1, 28, 4, 1],
+  ['🤼', 'people wrestling', 'combat|duel|grapple|people|ring|tournament|wrestle|wrestling', 1, 28, 3, 2],
+  ['🤼‍♂️', 'men wrestling', 'combat|duel|grapple|men|ring|tournament|wrestle|wrestling', 1, 28, 4, 2],
+  ['🤼‍♀️', 'women wrestling', 'combat|duel|grapple|ring|tournament|women|wrestle|wrestling', 1, 28, 4, 2],
+  ['🤽', 'person playing water polo', 'person|playing|polo|sport|swimming|water|waterpolo', 1, 28, 3, 1],
+  ['🤽‍♂️', 'man playing water polo', 'man|playing|polo|sport|swimming|water|waterpolo', 1, 28, 4, 1],
+  ['🤽‍♀️', 'woman playing water polo', 'playing|polo|sport|swimming|water|waterpolo|woman', 1, 28, 4, 1],
+  ['🤾', 'person playing handball', 'athletics|ball|catch|chuck|handball|hurl|lob|person|pitch|playing|sport|throw|toss', 1, 28, 3, 1],
+  ['🤾‍♂️', 'man playing handball', 'athletics|ball|catch|chuck|handball|hurl|lob|man|pitch|playing|sport|throw|toss', 1, 28, 4, 1],
+  ['🤾‍♀️', 'woman playing handball', 'athletics|ball|catch|chuck|handball|hurl|lob|pitch|playing|sport|throw|toss|woman', 1, 28, 4, 1],
+  ['🤹', 'person juggling', 'act|balance|balancing|handle|juggle|juggling|manage|multitask|person|skill', 1, 28, 3, 1],
+  ['🤹‍♂️', 'man juggling', 'act|balance|balancing|handle|juggle|juggling|man|manage|multitask|skill', 1, 28, 4, 1],
+  ['🤹‍♀️', 'woman juggling', 'act|balance|balancing|handle|juggle|juggling|manage|multitask|skill|woman', 1, 28, 4, 1],
+  ['🧘', 'person in lotus position', 'cross|legged|legs|lotus|meditation|peace|person|position|relax|serenity|yoga|yogi|zen', 1, 29, 5, 1],
+  ['🧘‍♂️', 'man in lotus position', 'cross|legged|legs|lotus|man|meditation|peace|position|relax|serenity|yoga|yogi|zen', 1, 29, 5, 1],
+  ['🧘‍♀️', 'woman in lotus position', 'cross|legged|legs|lotus|meditation|peace|position|relax|serenity|woman|yoga|yogi|zen', 1, 29, 5, 1],
+  ['🛀', 'person taking bath', 'bath|bathtub|person|taking|tub', 1, 29, 0.6, 1],
+  ['🛌', 'person in bed', 'bed|bedtime|good|goodnight|hotel|nap|night|person|sleep|tired|zzz', 1, 29, 1, 1],
+  ['🧑‍🤝‍🧑', 'people holding hands', 'bae|bestie|bff|couple|dating|flirt|friends|hand|hold|people|twins', 1, 30, 12, 2],
+  ['👭', 'women holding hands', 'bae|bestie|bff|couple|dating|flirt|friends|girls|hand|hold|sisters|twins|women', 1, 30, 1, 2],
+  ['👫', 'woman and man holding hands', 'bae|bestie|bff|couple|dating|flirt|friends|hand|hold|man|twins|woman', 1, 30, 0.6, 2],
+  ['👬', 'men holding hands', 'bae|bestie|bff|boys|brothers|couple|dating|flirt|friends|hand|hold|men|twins', 1, 30, 1, 2],
+  ['💏', 'kiss', 'anniversary|babe|bae|couple|date|dating|heart|love|mwah|person|romance|together|xoxo', 1, 30, 0.6, 2],
+  ['👩‍❤️‍💋‍👨', 'kiss: woman, man', 'anniversary|babe|bae|couple|date|dating|heart|kiss|love|man|mwah|person|romance|together|woman|xoxo', 1, 30, 2, 2],
+  ['👨‍❤️‍💋‍👨', 'kiss: man, man', 'anniversary|babe|bae|couple|date|dating|heart|kiss|love|man|mwah|person|romance|together|xoxo', 1, 30, 2, 2],
+  ['👩‍❤️‍💋‍👩', 'kiss: woman, woman', 'anniversary|babe|bae|couple|date|dating|heart|kiss|love|mwah|person|romance|together|woman|xoxo', 1, 30, 2, 2],
+  ['💑', 'couple with heart', 'anniversary|babe|bae|couple|dating|heart|kiss|love|person|relationship|romance|together|you', 1, 30, 0.6, 2],
+  ['👩‍❤️‍👨', 'couple with heart: woman, man', 'anniversary|babe|bae|couple|dating|heart|kiss|love|man|person|relationship|romance|together|woman|you', 1, 30, 2, 2],
+  ['👨‍❤️‍👨', 'couple with heart: man, man', 'anniversary|babe|bae|couple|dating|heart|kiss|love|man|person|relationship|romance|together|you', 1, 30, 2, 2],
+  ['👩‍❤️‍👩', 'couple with heart: woman, woman', 'anniversary|babe|bae|couple|dating|heart|kiss|love|person|relationship|romance|together|woman|you', 1, 30, 2, 2],
+  ['👨‍👩‍👦', 'family: man, woman, boy', 'boy|child|family|man|woman', 1, 30, 2, 0],
+  ['👨‍👩‍👧', 'family: man, woman, girl', 'child|family|girl|man|woman', 1, 30, 2, 0],
+  ['👨‍👩‍👧‍👦', 'family: man, woman, girl, boy', 'boy|child|family|girl|man|woman', 1, 30, 2, 0],
+  ['👨‍👩‍👦‍👦', 'family: man, woman, boy, boy', 'boy|child|family|man|woman', 1, 30, 2, 0],
+  ['👨‍👩‍👧‍👧', 'family: man, woman, girl, girl', 'child|family|girl|man|woman', 1, 30, 2, 0],
+  ['👨‍👨‍👦', 'family: man, man, boy', 'boy|child|family|man', 1, 30, 2, 0],
+  ['👨‍👨‍👧', 'family: man, man, girl', 'child|family|girl|man', 1, 30, 2, 0],
+  ['👨‍👨‍👧‍👦', 'family: man, man, girl, boy', 'boy|child|family|girl|man', 1, 30, 2, 0],
+  ['👨‍👨‍👦‍👦', 'family: man, man, boy, boy', 'boy|child|family|man', 1, 30, 2, 0],
+  ['👨‍👨‍👧‍👧', 'family: man, man, girl, girl', 'child|family|girl|man', 1, 30, 2, 0],
+  ['👩‍👩‍👦', 'family: woman, woman, boy', 'boy|child|family|woman', 1, 30, 2, 0],
+  ['👩‍👩‍👧', 'family: woman, woman, girl', 'child|family|girl|woman', 1, 30, 2, 0],
+  ['👩‍👩‍👧‍👦', 'family: woman, woman, girl, boy', 'boy|child|family|girl|woman', 1, 30, 2, 0],
+  ['👩‍👩‍👦‍👦', 'family: woman, woman, boy, boy', 'boy|child|family|woman', 1, 30, 2, 0],
+  ['👩‍👩‍👧‍👧', 'family: woman, woman, girl, girl', 'child|family|girl|woman', 1, 30, 2, 0],
+  ['👨‍👦', 'family: man, boy', 'boy|child|family|man', 1, 30, 4, 0],
+  ['👨‍👦‍👦', 'family: man, boy, boy', 'boy|child|family|man', 1, 30, 4, 0],
+  ['👨‍👧', 'family: man, girl', 'child|family|girl|man', 1, 30, 4, 0],
+  ['👨‍👧‍👦', 'family: man, girl, boy', 'boy|child|family|girl|man', 1, 30, 4, 0],
+  ['👨‍👧‍👧', 'family: man, girl, girl', 'child|family|girl|man', 1, 30, 4, 0],
+  ['👩‍👦', 'family: woman, boy', 'boy|child|family|woman', 1, 30, 4, 0],
+  ['👩‍👦‍👦', 'family: woman, boy, boy', 'boy|child|family|woman', 1, 30, 4, 0],
+  ['👩‍👧', 'family: woman, girl', 'child|family|girl|woman', 1, 30, 4, 0],
+  ['👩‍👧‍👦', 'family: woman, girl, boy', 'boy|child|family|girl|woman', 1, 30, 4, 0],
+  ['👩‍👧‍👧', 'family: woman, girl, girl', 'child|family|girl|woman', 1, 30, 4, 0],
+  ['🗣️', 'speaking head', 'face|head|silhouette|speak|speaking', 1, 31, 0.7, 0],
+  ['👤', 'bust in silhouette', 'bust|mysterious|shadow|silhouette', 1, 31, 0.6, 0],
+  ['👥', 'busts in silhouette', 'bff|bust|busts|everyone|friend|friends|people|silhouette', 1, 31, 1, 0],
+  ['🫂', 'people hugging', 'comfort|embrace|farewell|friendship|goodbye|hello|hug|hugging|love|people|thanks', 1, 31, 13, 0],
+  ['👪', 'family', 'child', 1, 31, 0.6, 0],
+  ['🧑‍🧑‍🧒', 'family: adult, adult, child', 'adult|child|family', 1, 31, 15.1, 0],
+  ['🧑‍🧑‍🧒‍🧒', 'family: adult, adult, child, child', 'adult|child|family', 1, 31, 15.1, 0],
+  ['🧑‍🧒', 'family: adult, child', 'adult|child|family', 1, 31, 15.1, 0],
+  ['🧑‍🧒‍🧒', 'family: adult, child, child', 'adult|child|family', 1, 31, 15.1, 0],
+  ['👣', 'footprints', 'barefoot|clothing|footprint|omw|print|walk', 1, 31, 0.6, 0],
+  ['🫆', 'fingerprint', 'clue|crime|detective|forensics|identity|mystery|print|safety|trace', 1, 31, 16, 0],
+  ['🏻', 'light skin tone', '1–2|light|skin|tone|type', 2, 32, 1, 0],
+  ['🏼', 'medium-light skin tone', '3|medium-light|skin|tone|type', 2, 32, 1, 0],
+  ['🏽', 'medium skin tone', '4|medium|skin|tone|type', 2, 32, 1, 0],
+  ['🏾', 'medium-dark skin tone', '5|medium-dark|skin|tone|type', 2, 32, 1, 0],
+  ['🏿', 'dark skin tone', '6|dark|skin|tone|type', 2, 32, 1, 0],
+  ['🦰', 'red hair', 'ginger|hair|red|redhead', 2, 33, 11, 0],
+  ['🦱', 'curly hair', 'afro|curly|hair|ringlets', 2, 33, 11, 0],
+  ['🦳', 'white hair', 'gray|hair|old|white', 2, 33, 11, 0],
+  ['🦲', 'bald', 'chemotherapy|hair|hairless|no|shaven', 2, 33, 11, 0],
+  ['🐵', 'monkey face', 'animal|banana|face|monkey', 3, 34, 0.6, 0],
+  ['🐒', 'monkey', 'animal|banana', 3, 34, 0.6, 0],
+  ['🦍', 'gorilla', 'animal', 3, 34, 3, 0],
+  ['🦧', 'orangutan', 'animal|ape|monkey', 3, 34, 12, 0],
+  ['🐶', 'dog face', 'adorbs|animal|dog|face|pet|puppies|puppy', 3, 34, 0.6, 0],
+  ['🐕', 'dog', 'animal|animals|dogs|pet', 3, 34, 0.7, 0],
+  ['🦮', 'guide dog', 'accessibility|animal|blind|dog|guide', 3, 34, 12, 0],
+  ['🐕‍🦺', 'service dog', 'accessibility|animal|assistance|dog|service', 3, 34, 12, 0],
+  ['🐩', 'poodle', 'animal|dog|fluffy', 3, 34, 0.6, 0],
+  ['🐺', 'wolf', 'animal|face', 3, 34, 0.6, 0],
+  ['🦊', 'fox', 'animal|face', 3, 34, 3, 0],
+  ['🦝', 'raccoon', 'animal|curious|sly', 3, 34, 11, 0],
+  ['🐱', 'cat face', 'animal|cat|face|kitten|kitty|pet', 3, 34, 0.6, 0],
+  ['🐈', 'cat', 'animal|animals|cats|kitten|pet', 3, 34, 0.7, 0],
+  ['🐈‍⬛', 'black cat', 'animal|black|cat|feline|halloween|meow|unlucky', 3, 34, 13, 0],
+  ['🦁', 'lion', 'alpha|animal|face|leo|mane|order|rawr|roar|safari|strong|zodiac', 3, 34, 1, 0],
+  ['🐯', 'tiger face', 'animal|big|cat|face|predator|tiger', 3, 34, 0.6, 0],
+  ['🐅', 'tiger', 'animal|big|cat|predator|zoo', 3, 34, 1, 0],
+  ['🐆', 'leopard', 'animal|big|cat|predator|zoo', 3, 34, 1, 0],
+  ['🐴', 'horse face', 'animal|dressage|equine|face|farm|horse|horses', 3, 34, 0.6, 0],
+  ['🫎', 'moose', 'alces|animal|antlers|elk|mammal', 3, 34, 15, 0],
+  ['🫏', 'donkey', 'animal|ass|burro|hinny|mammal|mule|stubborn', 3, 34, 15, 0],
+  ['🐎', 'horse', 'animal|equestrian|farm|racehorse|racing', 3, 34, 0.6, 0],
+  ['🦄', 'unicorn', 'face', 3, 34, 1, 0],
+  ['🦓', 'zebra', 'animal|stripe', 3, 34, 5, 0],
+  ['🦌', 'deer', 'animal', 3, 34, 3, 0],
+  ['🦬', 'bison', 'animal|buffalo|herd|wisent', 3, 34, 13, 0],
+  ['🐮', 'cow face', 'animal|cow|face|farm|milk|moo', 3, 34, 0.6, 0],
+  ['🐂', 'ox', 'animal|animals|bull|farm|taurus|zodiac', 3, 34, 1, 0],
+  ['🐃', 'water buffalo', 'animal|buffalo|water|zoo', 3, 34, 1, 0],
+  ['🐄', 'cow', 'animal|animals|farm|milk|moo', 3, 34, 1, 0],
+  ['🐷', 'pig face', 'animal|bacon|face|farm|pig|pork', 3, 34, 0.6, 0],
+  ['🐖', 'pig', 'animal|bacon|farm|pork|sow', 3, 34, 1, 0],
+  ['🐗', 'boar', 'animal|pig', 3, 34, 0.6, 0],
+  ['🐽', 'pig nose', 'animal|face|farm|nose|pig|smell|snout', 3, 34, 0.6, 0],
+  ['🐏', 'ram', 'animal|aries|horns|male|sheep|zodiac|zoo', 3, 34, 1, 0],
+  ['🐑', 'ewe', 'animal|baa|farm|female|fluffy|lamb|sheep|wool', 3, 34, 0.6, 0],
+  ['🐐', 'goat', 'animal|capricorn|farm|milk|zodiac', 3, 34, 1, 0],
+  ['🐪', 'camel', 'animal|desert|dromedary|hump|one', 3, 34, 1, 0],
+  ['🐫', 'two-hump camel', 'animal|bactrian|camel|desert|hump|two|two-hump', 3, 34, 0.6, 0],
+  ['🦙', 'llama', 'alpaca|animal|guanaco|vicuña|wool', 3, 34, 11, 0],
+  ['🦒', 'giraffe', 'animal|spots', 3, 34, 5, 0],
+  ['🐘', 'elephant', 'animal', 3, 34, 0.6, 0],
+  ['🦣', 'mammoth', 'animal|extinction|large|tusk|wooly', 3, 34, 13, 0],
+  ['🦏', 'rhinoceros', 'animal', 3, 34, 3, 0],
+  ['🦛', 'hippopotamus', 'animal|hippo', 3, 34, 11, 0],
+  ['🐭', 'mouse face', 'animal|face|mouse', 3, 34, 0.6, 0],
+  ['🐁', 'mouse', 'animal|animals', 3, 34, 1, 0],
+  ['🐀', 'rat', 'animal', 3, 34, 1, 0],
+  ['🐹', 'hamster', 'animal|face|pet', 3, 34, 0.6, 0],
+  ['🐰', 'rabbit face', 'animal|bunny|face|pet|rabbit', 3, 34, 0.6, 0],
+  ['🐇', 'rabbit', 'animal|bunny|pet', 3, 34, 1, 0],
+  ['🐿️', 'chipmunk', 'animal|squirrel', 3, 34, 0.7, 0],
+  ['🦫', 'beaver', 'animal|dam|teeth', 3, 34, 13, 0],
+  ['🦔', 'hedgehog', 'animal|spiny', 3, 34, 5, 0],
+  ['🦇', 'bat', 'animal|vampire', 3, 34, 3, 0],
+  ['🐻', 'bear', 'animal|face|grizzly|growl|honey', 3, 34, 0.6, 0],
+  ['🐻‍❄️', 'polar bear', 'animal|arctic|bear|polar|white', 3, 34, 13, 0],
+  ['🐨', 'koala', 'animal|australia|bear|down|face|marsupial|under', 3, 34, 0.6, 0],
+  ['🐼', 'panda', 'animal|bamboo|face', 3, 34, 0.6, 0],
+  ['🦥', 'sloth', 'lazy|slow', 3, 34, 12, 0],
+  ['🦦', 'otter', 'animal|fishing|playful', 3, 34, 12, 0],
+  ['🦨', 'skunk', 'animal|stink', 3, 34, 12, 0],
+  ['🦘', 'kangaroo', 'animal|joey|jump|marsupial', 3, 34, 11, 0],
+  ['🦡', 'badger', 'animal|honey|pester', 3, 34, 11, 0],
+  ['🐾', 'paw prints', 'feet|paw|paws|print|prints', 3, 34, 0.6, 0],
+  ['🦃', 'turkey', 'bird|gobble|thanksgiving', 3, 35, 1, 0],
+  ['🐔', 'chicken', 'animal|bird|ornithology', 3, 35, 0.6, 0],
+  ['🐓', 'rooster', 'animal|bird|ornithology', 3, 35, 1, 0],
+  ['🐣', 'hatching chick', 'animal|baby|bird|chick|egg|hatching', 3, 35, 0.6, 0],
+  ['🐤', 'baby chick', 'animal|baby|bird|chick|ornithology', 3, 35, 0.6, 0],
+  ['🐥', 'front-facing baby chick', 'animal|baby|bird|chick|front-facing|newborn|ornithology', 3, 35, 0.6, 0],
+  ['🐦', 'bird', 'animal|ornithology', 3, 35, 0.6, 0],
+  ['🐧', 'penguin', 'animal|antarctica|bird|ornithology', 3, 35, 0.6, 0],
+  ['🕊️', 'dove', 'bird|fly|ornithology|peace', 3, 35, 0.7, 0],
+  ['🦅', 'eagle', 'animal|bird|ornithology', 3, 35, 3, 0],
+  ['🦆', 'duck', 'animal|bird|ornithology', 3, 35, 3, 0],
+  ['🦢', 'swan', 'animal|bird|cygnet|duckling|ornithology|ugly', 3, 35, 11, 0],
+  ['🦉', 'owl', 'animal|bird|ornithology|wise', 3, 35, 3, 0],
+  ['🦤', 'dodo', 'animal|bird|extinction|large|ornithology', 3, 35, 13, 0],
+  ['🪶', 'feather', 'bird|flight|light|plumage', 3, 35, 13, 0],
+  ['🦩', 'flamingo', 'animal|bird|flamboyant|ornithology|tropical', 3, 35, 12, 0],
+  ['🦚', 'peacock', 'animal|bird|colorful|ornithology|ostentatious|peahen|pretty|proud', 3, 35, 11, 0],
+  ['🦜', 'parrot', 'animal|bird|ornithology|pirate|talk', 3, 35, 11, 0],
+  ['🪽', 'wing', 'angelic|ascend|aviation|bird|fly|flying|heavenly|mythology|soar', 3, 35, 15, 0],
+  ['🐦‍⬛', 'black bird', 'animal|beak|bird|black|caw|corvid|crow|ornithology|raven|rook', 3, 35, 15, 0],
+  ['🪿', 'goose', 'animal|bird|duck|flock|fowl|gaggle|gander|geese|honk|ornithology|silly', 3, 35, 15, 0],
+  ['🐦‍🔥', 'phoenix', 'ascend|ascension|emerge|fantasy|firebird|glory|immortal|rebirth|reincarnation|reinvent|renewal|revival|revive|rise|transform', 3, 35, 15.1, 0],
+  ['🐸', 'frog', 'animal|face', 3, 36, 0.6, 0],
+  ['🐊', 'crocodile', 'animal|zoo', 3, 37, 1, 0],
+  ['🐢', 'turtle', 'animal|terrapin|tortoise', 3, 37, 0.6, 0],
+  ['🦎', 'lizard', 'animal|reptile', 3, 37, 3, 0],
+  ['🐍', 'snake', 'animal|bearer|ophiuchus|serpent|zodiac', 3, 37, 0.6, 0],
+  ['🐲', 'dragon face', 'animal|dragon|face|fairy|fairytale|tale', 3, 37, 0.6, 0],
+  ['🐉', 'dragon', 'animal|fairy|fairytale|knights|tale', 3, 37, 1, 0],
+  ['🦕', 'sauropod', 'brachiosaurus|brontosaurus|dinosaur|diplodocus', 3, 37, 5, 0],
+  ['🦖', 'T-Rex', 'dinosaur|rex|t|t-rex|tyrannosaurus', 3, 37, 5, 0],
+  ['🐳', 'spouting whale', 'animal|beach|face|ocean|spouting|whale', 3, 38, 0.6, 0],
+  ['🐋', 'whale', 'animal|beach|ocean', 3, 38, 1, 0],
+  ['🐬', 'dolphin', 'animal|beach|flipper|ocean', 3, 38, 0.6, 0],
+  ['🫍', 'orca', 'marine|ocean|whale', 3, 38, 17, 0],
+  ['🦭', 'seal', 'animal|lion|ocean|sea', 3, 38, 13, 0],
+  ['🐟', 'fish', 'animal|dinner|fishes|fishing|pisces|zodiac', 3, 38, 0.6, 0],
+  ['🐠', 'tropical fish', 'animal|fish|fishes|tropical', 3, 38, 0.6, 0],
+  ['🐡', 'blowfish', 'animal|fish', 3, 38, 0.6, 0],
+  ['🦈', 'shark', 'animal|fish', 3, 38, 3, 0],
+  ['🐙', 'octopus', 'animal|creature|ocean', 3, 38, 0.6, 0],
+  ['🐚', 'spiral shell', 'animal|beach|conch|sea|shell|spiral', 3, 38, 0.6, 0],
+  ['🪸', 'coral', 'change|climate|ocean|reef|sea', 3, 38, 14, 0],
+  ['🪼', 'jellyfish', 'animal|aquarium|burn|invertebrate|jelly|life|marine|ocean|ouch|plankton|sea|sting|stinger|tentacles', 3, 38, 15, 0],
+  ['🦀', 'crab', 'cancer|zodiac', 3, 38, 1, 0],
+  ['🦞', 'lobster', 'animal|bisque|claws|seafood', 3, 38, 11, 0],
+  ['🦐', 'shrimp', 'food|shellfish|small', 3, 38, 3, 0],
+  ['🦑', 'squid', 'animal|food|mollusk', 3, 38, 3, 0],
+  ['🦪', 'oyster', 'diving|pearl', 3, 38, 12, 0],
+  ['🐌', 'snail', 'animal|escargot|garden|nature|slug', 3, 39, 0.6, 0],
+  ['🦋', 'butterfly', 'insect|pretty', 3, 39, 3, 0],
+  ['🐛', 'bug', 'animal|garden|insect', 3, 39, 0.6, 0],
+  ['🐜', 'ant', 'animal|garden|insect', 3, 39, 0.6, 0],
+  ['🐝', 'honeybee', 'animal|bee|bumblebee|honey|insect|nature|spring', 3, 39, 0.6, 0],
+  ['🪲', 'beetle', 'animal|bug|insect', 3, 39, 13, 0],
+  ['🐞', 'lady beetle', 'animal|beetle|garden|insect|lady|ladybird|ladybug|nature', 3, 39, 0.6, 0],
+  ['🦗', 'cricket', 'animal|bug|grasshopper|insect|orthoptera', 3, 39, 5, 0],
+  ['🪳', 'cockroach', 'animal|insect|pest|roach', 3, 39, 13, 0],
+  ['🕷️', 'spider', 'animal|insect', 3, 39, 0.7, 0],
+  ['🕸️', 'spider web', 'spider|web', 3, 39, 0.7, 0],
+  ['🦂', 'scorpion', 'scorpio|scorpius|zodiac', 3, 39, 1, 0],
+  ['🦟', 'mosquito', 'bite|disease|fever|insect|malaria|pest|virus', 3, 39, 11, 0],
+  ['🪰', 'fly', 'animal|disease|insect|maggot|pest|rotting', 3, 39, 13, 0],
+  ['🪱', 'worm', 'animal|annelid|earthworm|parasite', 3, 39, 13, 0],
+  ['🦠', 'microbe', 'amoeba|bacteria|science|virus', 3, 39, 11, 0],
+  ['💐', 'bouquet', 'anniversary|birthday|date|flower|love|plant|romance', 3, 40, 0.6, 0],
+  ['🌸', 'cherry blossom', 'blossom|cherry|flower|plant|spring|springtime', 3, 40, 0.6, 0],
+  ['💮', 'white flower', 'flower|white', 3, 40, 0.6, 0],
+  ['🪷', 'lotus', 'beauty|buddhism|calm|flower|hinduism|peace|purity|serenity', 3, 40, 14, 0],
+  ['🏵️', 'rosette', 'plant', 3, 40, 0.7, 0],
+  ['🌹', 'rose', 'beauty|elegant|flower|love|plant|red|valentine', 3, 40, 0.6, 0],
+  ['🥀', 'wilted flower', 'dying|flower|wilted', 3, 40, 3, 0],
+  ['🌺', 'hibiscus', 'flower|plant', 3, 40, 0.6, 0],
+  ['🌻', 'sunflower', 'flower|outdoors|plant|sun', 3, 40, 0.6, 0],
+  ['🌼', 'blossom', 'buttercup|dandelion|flower|plant', 3, 40, 0.6, 0],
+  ['🌷', 'tulip', 'blossom|flower|growth|plant', 3, 40, 0.6, 0],
+  ['🪻', 'hyacinth', 'bloom|bluebonnet|flower|indigo|lavender|lilac|lupine|plant|purple|shrub|snapdragon|spring|violet', 3, 40, 15, 0],
+  ['🌱', 'seedling', 'plant|sapling|sprout|young', 3, 41, 0.6, 0],
+  ['🪴', 'potted plant', 'decor|grow|house|nurturing|plant|pot|potted', 3, 41, 13, 0],
+  ['🌲', 'evergreen tree', 'christmas|evergreen|forest|pine|tree', 3, 41, 1, 0],
+  ['🌳', 'deciduous tree', 'deciduous|forest|green|habitat|shedding|tree', 3, 41, 1, 0],
+  ['🌴', 'palm tree', 'beach|palm|plant|tree|tropical', 3, 41, 0.6, 0],
+  ['🌵', 'cactus', 'desert|drought|nature|plant', 3, 41, 0.6, 0],
+  ['🌾', 'sheaf of rice', 'ear|grain|grains|plant|rice|sheaf', 3, 41, 0.6, 0],
+  ['🌿', 'herb', 'leaf|plant', 3, 41, 0.6, 0],
+  ['☘️', 'shamrock', 'irish|plant', 3, 41, 1, 0],
+  ['🍀', 'four leaf clover', '4|clover|four|four-leaf|irish|leaf|lucky|plant', 3, 41, 0.6, 0],
+  ['🍁', 'maple leaf', 'falling|leaf|maple', 3, 41, 0.6, 0],
+  ['🍂', 'fallen leaf', 'autumn|fall|fallen|falling|leaf', 3, 41, 0.6, 0],
+  ['🍃', 'leaf fluttering in wind', 'blow|flutter|fluttering|leaf|wind', 3, 41, 0.6, 0],
+  ['🪹', 'empty nest', 'branch|empty|home|nest|nesting', 3, 41, 14, 0],
+  ['🪺', 'nest with eggs', 'bird|branch|egg|eggs|nest|nesting', 3, 41, 14, 0],
+  ['🍄', 'mushroom', 'fungus|toadstool', 3, 41, 0.6, 0],
+  ['🪾', 'leafless tree', 'bare|barren|branches|dead|drought|leafless|tree|trunk|winter|wood', 3, 41, 16, 0],
+  ['🍇', 'grapes', 'dionysus|fruit|grape', 4, 42, 0.6, 0],
+  ['🍈', 'melon', 'cantaloupe|fruit', 4, 42, 0.6, 0],
+  ['🍉', 'watermelon', 'fruit', 4, 42, 0.6, 0],
+  ['🍊', 'tangerine', 'c|citrus|fruit|nectarine|orange|vitamin', 4, 42, 0.6, 0],
+  ['🍋', 'lemon', 'citrus|fruit|sour', 4, 42, 1, 0],
+  ['🍋‍🟩', 'lime', 'acidity|citrus|cocktail|fruit|garnish|key|margarita|mojito|refreshing|salsa|sour|tangy|tequila|tropical|zest', 4, 42, 15.1, 0],
+  ['🍌', 'banana', 'fruit|potassium', 4, 42, 0.6, 0],
+  ['🍍', 'pineapple', 'colada|fruit|pina|tropical', 4, 42, 0.6, 0],
+  ['🥭', 'mango', 'food|fruit|tropical', 4, 42, 11, 0],
+  ['🍎', 'red apple', 'apple|diet|food|fruit|health|red|ripe', 4, 42, 0.6, 0],
+  ['🍏', 'green apple', 'apple|fruit|green', 4, 42, 0.6, 0],
+  ['🍐', 'pear', 'fruit', 4, 42, 1, 0],
+  ['🍑', 'peach', 'fruit', 4, 42, 0.6, 0],
+  ['🍒', 'cherries', 'berries|cherry|fruit|red', 4, 42, 0.6, 0],
+  ['🍓', 'strawberry', 'berry|fruit', 4, 42, 0.6, 0],
+  ['🫐', 'blueberries', 'berries|berry|bilberry|blue|blueberry|food|fruit', 4, 42, 13, 0],
+  ['🥝', 'kiwi fruit', 'food|fruit|kiwi', 4, 42, 3, 0],
+  ['🍅', 'tomato', 'food|fruit|vegetable', 4, 42, 0.6, 0],
+  ['🫒', 'olive', 'food', 4, 42, 13, 0],
+  ['🥥', 'coconut', 'colada|palm|piña', 4, 42, 5, 0],
+  ['🥑', 'avocado', 'food|fruit', 4, 43, 3, 0],
+  ['🍆', 'eggplant', 'aubergine|vegetable', 4, 43, 0.6, 0],
+  ['🥔', 'potato', 'food|vegetable', 4, 43, 3, 0],
+  ['🥕', 'carrot', 'food|vegetable', 4, 43, 3, 0],
+  ['🌽', 'ear of corn', 'corn|crops|ear|farm|maize|maze', 4, 43, 0.6, 0],
+  ['🌶️', 'hot pepper', 'hot|pepper', 4, 43, 0.7, 0],
+  ['🫑', 'bell pepper', 'bell|capsicum|food|pepper|vegetable', 4, 43, 13, 0],
+  ['🥒', 'cucumber', 'food|pickle|vegetable', 4, 43, 3, 0],
+  ['🥬', 'leafy green', 'bok|burgers|cabbage|choy|green|kale|leafy|lettuce|salad', 4, 43, 11, 0],
+  ['🥦', 'broccoli', 'cabbage|wild', 4, 43, 5, 0],
+  ['🧄', 'garlic', 'flavoring', 4, 43, 12, 0],
+  ['🧅', 'onion', 'flavoring', 4, 43, 12, 0],
+  ['🥜', 'peanuts', 'food|nut|peanut|vegetable', 4, 43, 3, 0],
+  ['🫘', 'beans', 'food|kidney|legume|small', 4, 43, 14, 0],
+  ['🌰', 'chestnut', 'almond|plant', 4, 43, 0.6, 0],
+  ['🫚', 'ginger root', 'beer|ginger|health|herb|natural|root|spice', 4, 43, 15, 0],
+  ['🫛', 'pea pod', 'beans|beanstalk|edamame|legume|pea|pod|soybean|vegetable|veggie', 4, 43, 15, 0],
+  ['🍄‍🟫', 'brown mushroom', 'food|fungi|fungus|mushroom|nature|pizza|portobello|shiitake|shroom|spore|sprout|toppings|truffle|vegetable|vegetarian|veggie', 4, 43, 15.1, 0],
+  ['🫜', 'root vegetable', 'beet|food|garden|radish|root|salad|turnip|vegetable|vegetarian', 4, 43, 16, 0],
+  ['🍞', 'bread', 'carbs|food|grain|loaf|restaurant|toast|wheat', 4, 44, 0.6, 0],
+  ['🥐', 'croissant', 'bread|breakfast|crescent|food|french|roll', 4, 44, 3, 0],
+  ['🥖', 'baguette bread', 'baguette|bread|food|french', 4, 44, 3, 0],
+  ['🫓', 'flatbread', 'arepa|bread|food|gordita|lavash|naan|pita', 4, 44, 13, 0],
+  ['🥨', 'pretzel', 'convoluted|twisted', 4, 44, 5, 0],
+  ['🥯', 'bagel', 'bakery|bread|breakfast|schmear', 4, 44, 11, 0],
+  ['🥞', 'pancakes', 'breakfast|crêpe|food|hotcake|pancake', 4, 44, 3, 0],
+  ['🧇', 'waffle', 'breakfast|indecisive|iron', 4, 44, 12, 0],
+  ['🧀', 'cheese wedge', 'cheese|wedge', 4, 44, 1, 0],
+  ['🍖', 'meat on bone', 'bone|meat', 4, 44, 0.6, 0],
+  ['🍗', 'poultry leg', 'bone|chicken|drumstick|hungry|leg|poultry|turkey', 4, 44, 0.6, 0],
+  ['🥩', 'cut of meat', 'chop|cut|lambchop|meat|porkchop|red|steak', 4, 44, 5, 0],
+  ['🥓', 'bacon', 'breakfast|food|meat', 4, 44, 3, 0],
+  ['🍔', 'hamburger', 'burger|eat|fast|food|hungry', 4, 44, 0.6, 0],
+  ['🍟', 'french fries', 'fast|food|french|fries', 4, 44, 0.6, 0],
+  ['🍕', 'pizza', 'cheese|food|hungry|pepperoni|slice', 4, 44, 0.6, 0],
+  ['🌭', 'hot dog', 'dog|frankfurter|hot|hotdog|sausage', 4, 44, 1, 0],
+  ['🥪', 'sandwich', 'bread', 4, 44, 5, 0],
+  ['🌮', 'taco', 'mexican', 4, 44, 1, 0],
+  ['🌯', 'burrito', 'mexican|wrap', 4, 44, 1, 0],
+  ['🫔', 'tamale', 'food|mexican|pamonha|wrapped', 4, 44, 13, 0],
+  ['🥙', 'stuffed flatbread', 'falafel|flatbread|food|gyro|kebab|stuffed', 4, 44, 3, 0],
+  ['🧆', 'falafel', 'chickpea|meatball', 4, 44, 12, 0],
+  ['🥚', 'egg', 'breakfast|food', 4, 44, 3, 0],
+  ['🍳', 'cooking', 'breakfast|easy|egg|fry|frying|over|pan|restaurant|side|sunny|up', 4, 44, 0.6, 0],
+  ['🥘', 'shallow pan of food', 'casserole|food|paella|pan|shallow', 4, 44, 3, 0],
+  ['🍲', 'pot of food', 'food|pot|soup|stew', 4, 44, 0.6, 0],
+  ['🫕', 'fondue', 'cheese|chocolate|food|melted|pot|ski', 4, 44, 13, 0],
+  ['🥣', 'bowl with spoon', 'bowl|breakfast|cereal|congee|oatmeal|porridge|spoon', 4, 44, 5, 0],
+  ['🥗', 'green salad', 'food|green|salad', 4, 44, 3, 0],
+  ['🍿', 'popcorn', 'corn|movie|pop', 4, 44, 1, 0],
+  ['🧈', 'butter', 'dairy', 4, 44, 12, 0],
+  ['🧂', 'salt', 'condiment|flavor|mad|salty|shaker|taste|upset', 4, 44, 11, 0],
+  ['🥫', 'canned food', 'can|canned|food', 4, 44, 5, 0],
+  ['🍱', 'bento box', 'bento|box|food', 4, 45, 0.6, 0],
+  ['🍘', 'rice cracker', 'cracker|food|rice', 4, 45, 0.6, 0],
+  ['🍙', 'rice ball', 'ball|food|japanese|rice', 4, 45, 0.6, 0],
+  ['🍚', 'cooked rice', 'cooked|food|rice', 4, 45, 0.6, 0],
+  ['🍛', 'curry rice', 'curry|food|rice', 4, 45, 0.6, 0],
+  ['🍜', 'steaming bowl', 'bowl|chopsticks|food|noodle|pho|ramen|soup|steaming', 4, 45, 0.6, 0],
+  ['🍝', 'spaghetti', 'food|meatballs|pasta|restaurant', 4, 45, 0.6, 0],
+  ['🍠', 'roasted sweet potato', 'food|potato|roasted|sweet', 4, 45, 0.6, 0],
+  ['🍢', 'oden', 'food|kebab|restaurant|seafood|skewer|stick', 4, 45, 0.6, 0],
+  ['🍣', 'sushi', 'food', 4, 45, 0.6, 0],
+  ['🍤', 'fried shrimp', 'fried|prawn|shrimp|tempura', 4, 45, 0.6, 0],
+  ['🍥', 'fish cake with swirl', 'cake|fish|food|pastry|restaurant|swirl', 4, 45, 0.6, 0],
+  ['🥮', 'moon cake', 'autumn|cake|festival|moon|yuèbǐng', 4, 45, 11, 0],
+  ['🍡', 'dango', 'dessert|japanese|skewer|stick|sweet', 4, 45, 0.6, 0],
+  ['🥟', 'dumpling', 'empanada|gyōza|jiaozi|pierogi|potsticker', 4, 45, 5, 0],
+  ['🥠', 'fortune cookie', 'cookie|fortune|prophecy', 4, 45, 5, 0],
+  ['🥡', 'takeout box', 'box|chopsticks|delivery|food|oyster|pail|takeout', 4, 45, 5, 0],
+  ['🍦', 'soft ice cream', 'cream|dessert|food|ice|icecream|restaurant|serve|soft|sweet', 4, 46, 0.6, 0],
+  ['🍧', 'shaved ice', 'dessert|ice|restaurant|shaved|sweet', 4, 46, 0.6, 0],
+  ['🍨', 'ice cream', 'cream|dessert|food|ice|restaurant|sweet', 4, 46, 0.6, 0],
+  ['🍩', 'doughnut', 'breakfast|dessert|donut|food|sweet', 4, 46, 0.6, 0],
+  ['🍪', 'cookie', 'chip|chocolate|dessert|sweet', 4, 46, 0.6, 0],
+  ['🎂', 'birthday cake', 'bday|birthday|cake|celebration|dessert|happy|pastry|sweet', 4, 46, 0.6, 0],
+  ['🍰', 'shortcake', 'cake|dessert|pastry|slice|sweet', 4, 46, 0.6, 0],
+  ['🧁', 'cupcake', 'bakery|dessert|sprinkles|sugar|sweet|treat', 4, 46, 11, 0],
+  ['🥧', 'pie', 'apple|filling|fruit|meat|pastry|pumpkin|slice', 4, 46, 5, 0],
+  ['🍫', 'chocolate bar', 'bar|candy|chocolate|dessert|halloween|sweet|tooth', 4, 46, 0.6, 0],
+  ['🍬', 'candy', 'cavities|dessert|halloween|restaurant|sweet|tooth|wrapper', 4, 46, 0.6, 0],
+  ['🍭', 'lollipop', 'candy|dessert|food|restaurant|sweet', 4, 46, 0.6, 0],
+  ['🍮', 'custard', 'dessert|pudding|sweet', 4, 46, 0.6, 0],
+  ['🍯', 'honey pot', 'barrel|bear|food|honey|honeypot|jar|pot|sweet', 4, 46, 0.6, 0],
+  ['🍼', 'baby bottle', 'babies|baby|birth|born|bottle|drink|infant|milk|newborn', 4, 47, 1, 0],
+  ['🥛', 'glass of milk', 'drink|glass|milk', 4, 47, 3, 0],
+  ['☕', 'hot beverage', 'beverage|cafe|caffeine|chai|coffee|drink|hot|morning|steaming|tea', 4, 47, 0.6, 0],
+  ['🫖', 'teapot', 'brew|drink|food|pot|tea', 4, 47, 13, 0],
+  ['🍵', 'teacup without handle', 'beverage|cup|drink|handle|oolong|tea|teacup', 4, 47, 0.6, 0],
+  ['🍶', 'sake', 'bar|beverage|bottle|cup|drink|restaurant', 4, 47, 0.6, 0],
+  ['🍾', 'bottle with popping cork', 'bar|bottle|cork|drink|popping', 4, 47, 1, 0],
+  ['🍷', 'wine glass', 'alcohol|bar|beverage|booze|club|drink|drinking|drinks|glass|restaurant|wine', 4, 47, 0.6, 0],
+  ['🍸', 'cocktail glass', 'alcohol|bar|booze|club|cocktail|drink|drinking|drinks|glass|mad|martini|men', 4, 47, 0.6, 0],
+  ['🍹', 'tropical drink', 'alcohol|bar|booze|club|cocktail|drink|drinking|drinks|drunk|mai|party|tai|tropical|tropics', 4, 47, 0.6, 0],
+  ['🍺', 'beer mug', 'alcohol|ale|bar|beer|booze|drink|drinking|drinks|mug|octoberfest|oktoberfest|pint|stein|summer', 4, 47, 0.6, 0],
+  ['🍻', 'clinking beer mugs', 'alcohol|bar|beer|booze|bottoms|cheers|clink|clinking|drinking|drinks|mugs', 4, 47, 0.6, 0],
+  ['🥂', 'clinking glasses', 'celebrate|clink|clinking|drink|glass|glasses', 4, 47, 3, 0],
+  ['🥃', 'tumbler glass', 'glass|liquor|scotch|shot|tumbler|whiskey|whisky', 4, 47, 3, 0],
+  ['🫗', 'pouring liquid', 'accident|drink|empty|glass|liquid|oops|pour|pouring|spill|water', 4, 47, 14, 0],
+  ['🥤', 'cup with straw', 'cup|drink|juice|malt|soda|soft|straw|water', 4, 47, 5, 0],
+  ['🧋', 'bubble tea', 'boba|bubble|food|milk|pearl|tea', 4, 47, 13, 0],
+  ['🧃', 'beverage box', 'beverage|box|juice|straw|sweet', 4, 47, 12, 0],
+  ['🧉', 'mate', 'drink', 4, 47, 12, 0],
+  ['🧊', 'ice', 'cold|cube|iceberg', 4, 47, 12, 0],
+  ['🥢', 'chopsticks', 'hashi|jeotgarak|kuaizi', 4, 48, 5, 0],
+  ['🍽️', 'fork and knife with plate', 'cooking|dinner|eat|fork|knife|plate', 4, 48, 0.7, 0],
+  ['🍴', 'fork and knife', 'breakfast|breaky|cooking|cutlery|delicious|dinner|eat|feed|food|fork|hungry|knife|lunch|restaurant|yum|yummy', 4, 48, 0.6, 0],
+  ['🥄', 'spoon', 'eat|tableware', 4, 48, 3, 0],
+  ['🔪', 'kitchen knife', 'chef|cooking|hocho|kitchen|knife|tool|weapon', 4, 48, 0.6, 0],
+  ['🫙', 'jar', 'condiment|container|empty|nothing|sauce|store', 4, 48, 14, 0],
+  ['🏺', 'amphora', 'aquarius|cooking|drink|jug|tool|weapon|zodiac', 4, 48, 1, 0],
+  ['🌍', 'globe showing Europe-Africa', 'africa|earth|europe|europe-africa|globe|showing|world', 5, 49, 0.7, 0],
+  ['🌎', 'globe showing Americas', 'americas|earth|globe|showing|world', 5, 49, 0.7, 0],
+  ['🌏', 'globe showing Asia-Australia', 'asia|asia-australia|australia|earth|globe|showing|world', 5, 49, 0.6, 0],
+  ['🌐', 'globe with meridians', 'earth|globe|internet|meridians|web|world|worldwide', 5, 49, 1, 0],
+  ['🗺️', 'world map', 'map|world', 5, 49, 0.7, 0],
+  ['🗾', 'map of Japan', 'japan|map', 5, 49, 0.6, 0],
+  ['🧭', 'compass', 'direction|magnetic|navigation|orienteering', 5, 49, 11, 0],
+  ['🏔️', 'snow-capped mountain', 'cold|mountain|snow|snow-capped', 5, 50, 0.7, 0],
+  ['⛰️', 'mountain', 'mountain', 5, 50, 0.7, 0],
+  ['🛘', 'landslide', 'avalanche|danger|disaster|earthquake|mountain|mudslide|rocks', 5, 50, 17, 0],
+  ['🌋', 'volcano', 'eruption|mountain|nature', 5, 50, 0.6, 0],
+  ['🗻', 'mount fuji', 'fuji|mount|mountain|nature', 5, 50, 0.6, 0],
+  ['🏕️', 'camping', 'camping', 5, 50, 0.7, 0],
+  ['🏖️', 'beach with umbrella', 'beach|umbrella', 5, 50, 0.7, 0],
+  ['🏜️', 'desert', 'desert', 5, 50, 0.7, 0],
+  ['🏝️', 'desert island', 'desert|island', 5, 50, 0.7, 0],
+  ['🏞️', 'national park', 'national|park', 5, 50, 0.7, 0],
+  ['🏟️', 'stadium', 'stadium', 5, 51, 0.7, 0],
+  ['🏛️', 'classical building', 'building|classical', 5, 51, 0.7, 0],
+  ['🏗️', 'building construction', 'building|construction|crane', 5, 51, 0.7, 0],
+  ['🧱', 'brick', 'bricks|clay|mortar|wall', 5, 51, 11, 0],
+  ['🪨', 'rock', 'boulder|heavy|solid|stone|tough', 5, 51, 13, 0],
+  ['🪵', 'wood', 'log|lumber|timber', 5, 51, 13, 0],
+  ['🛖', 'hut', 'home|house|roundhouse|shelter|yurt', 5, 51, 13, 0],
+  ['🏘️', 'houses', 'house', 5, 51, 0.7, 0],
+  ['🏚️', 'derelict house', 'derelict|home|house', 5, 51, 0.7, 0],
+  ['🏠', 'house', 'building|country|heart|home|ranch|settle|simple|suburban|suburbia|where', 5, 51, 0.6, 0],
+  ['🏡', 'house with garden', 'building|country|garden|heart|home|house|ranch|settle|simple|suburban|suburbia|where', 5, 51, 0.6, 0],
+  ['🏢', 'office building', 'building|city|cubical|job|office', 5, 51, 0.6, 0],
+  ['🏣', 'Japanese post office', 'building|japanese|office|post', 5, 51, 0.6, 0],
+  ['🏤', 'post office', 'building|european|office|post', 5, 51, 1, 0],
+  ['🏥', 'hospital', 'building|doctor|medicine', 5, 51, 0.6, 0],
+  ['🏦', 'bank', 'building', 5, 51, 0.6, 0],
+  ['🏨', 'hotel', 'building', 5, 51, 0.6, 0],
+  ['🏩', 'love hotel', 'building|hotel|love', 5, 51, 0.6, 0],
+  ['🏪', 'convenience store', '24|building|convenience|hours|store', 5, 51, 0.6, 0],
+  ['🏫', 'school', 'building', 5, 51, 0.6, 0],
+  ['🏬', 'department store', 'building|department|store', 5, 51, 0.6, 0],
+  ['🏭', 'factory', 'building', 5, 51, 0.6, 0],
+  ['🏯', 'Japanese castle', 'building|castle|japanese', 5, 51, 0.6, 0],
+  ['🏰', 'castle', 'building|european', 5, 51, 0.6, 0],
+  ['💒', 'wedding', 'chapel|hitched|nuptials|romance', 5, 51, 0.6, 0],
+  ['🗼', 'Tokyo tower', 'tokyo|tower', 5, 51, 0.6, 0],
+  ['🗽', 'Statue of Liberty', 'liberty|new|ny|nyc|statue|york', 5, 51, 0.6, 0],
+  ['⛪', 'church', 'bless|chapel|christian|cross|religion', 5, 52, 0.6, 0],
+  ['🕌', 'mosque', 'islam|masjid|muslim|religion', 5, 52, 1, 0],
+  ['🛕', 'hindu temple', 'hindu|temple', 5, 52, 12, 0],
+  ['🕍', 'synagogue', 'jew|jewish|judaism|religion|temple', 5, 52, 1, 0],
+  ['⛩️', 'shinto shrine', 'religion|shinto|shrine', 5, 52, 0.7, 0],
+  ['🕋', 'kaaba', 'hajj|islam|muslim|religion|umrah', 5, 52, 1, 0],
+  ['⛲', 'fountain', 'fountain', 5, 53, 0.6, 0],
+  ['⛺', 'tent', 'camping', 5, 53, 0.6, 0],
+  ['🌁', 'foggy', 'fog', 5, 53, 0.6, 0],
+  ['🌃', 'night with stars', 'night|star|stars', 5, 53, 0.6, 0],
+  ['🏙️', 'cityscape', 'city', 5, 53, 0.7, 0],
+  ['🌄', 'sunrise over mountains', 'morning|mountains|over|sun|sunrise', 5, 53, 0.6, 0],
+  ['🌅', 'sunrise', 'morning|nature|sun', 5, 53, 0.6, 0],
+  ['🌆', 'cityscape at dusk', 'at|building|city|cityscape|dusk|evening|landscape|sun|sunset', 5, 53, 0.6, 0],
+  ['🌇', 'sunset', 'building|dusk|sun', 5, 53, 0.6, 0],
+  ['🌉', 'bridge at night', 'at|bridge|night', 5, 53, 0.6, 0],
+  ['♨️', 'hot springs', 'hot|hotsprings|springs|steaming', 5, 53, 0.6, 0],
+  ['🎠', 'carousel horse', 'carousel|entertainment|horse', 5, 53, 0.6, 0],
+  ['🛝', 'playground slide', 'amusement|park|play|playground|playing|slide|sliding|theme', 5, 53, 14, 0],
+  ['🎡', 'ferris wheel', 'amusement|ferris|park|theme|wheel', 5, 53, 0.6, 0],
+  ['🎢', 'roller coaster', 'amusement|coaster|park|roller|theme', 5, 53, 0.6, 0],
+  ['💈', 'barber pole', 'barber|cut|fresh|haircut|pole|shave', 5, 53, 0.6, 0],
+  ['🎪', 'circus tent', 'circus|tent', 5, 53, 0.6, 0],
+  ['🚂', 'locomotive', 'caboose|engine|railway|steam|train|trains|travel', 5, 54, 1, 0],
+  ['🚃', 'railway car', 'car|electric|railway|train|tram|travel|trolleybus', 5, 54, 0.6, 0],
+  ['🚄', 'high-speed train', 'high-speed|railway|shinkansen|speed|train', 5, 54, 0.6, 0],
+  ['🚅', 'bullet train', 'bullet|high-speed|nose|railway|shinkansen|speed|train|travel', 5, 54, 0.6, 0],
+  ['🚆', 'train', 'arrived|choo|railway', 5, 54, 1, 0],
+  ['🚇', 'metro', 'subway|travel', 5, 54, 0.6, 0],
+  ['🚈', 'light rail', 'arrived|light|monorail|rail|railway', 5, 54, 1, 0],
+  ['🚉', 'station', 'railway|train', 5, 54, 0.6, 0],
+  ['🚊', 'tram', 'trolleybus', 5, 54, 1, 0],
+  ['🚝', 'monorail', 'vehicle', 5, 54, 1, 0],
+  ['🚞', 'mountain railway', 'car|mountain|railway|trip', 5, 54, 1, 0],
+  ['🚋', 'tram car', 'bus|car|tram|trolley|trolleybus', 5, 54, 1, 0],
+  ['🚌', 'bus', 'school|vehicle', 5, 54, 0.6, 0],
+  ['🚍', 'oncoming bus', 'bus|cars|oncoming', 5, 54, 0.7, 0],
+  ['🚎', 'trolleybus', 'bus|tram|trolley', 5, 54, 1, 0],
+  ['🚐', 'minibus', 'bus|drive|van|vehicle', 5, 54, 1, 0],
+  ['🚑', 'ambulance', 'emergency|vehicle', 5, 54, 0.6, 0],
+  ['🚒', 'fire engine', 'engine|fire|truck', 5, 54, 0.6, 0],
+  ['🚓', 'police car', '5–0|car|cops|patrol|police', 5, 54, 0.6, 0],
+  ['🚔', 'oncoming police car', 'car|oncoming|police', 5, 54, 0.7, 0],
+  ['🚕', 'taxi', 'cab|cabbie|car|drive|vehicle|yellow', 5, 54, 0.6, 0],
+  ['🚖', 'oncoming taxi', 'cab|cabbie|cars|drove|hail|oncoming|taxi|yellow', 5, 54, 1, 0],
+  ['🚗', 'automobile', 'car|driving|vehicle', 5, 54, 0.6, 0],
+  ['🚘', 'oncoming automobile', 'automobile|car|cars|drove|oncoming|vehicle', 5, 54, 0.7, 0],
+  ['🚙', 'sport utility vehicle', 'car|drive|recreational|sport|sportutility|utility|vehicle', 5, 54, 0.6, 0],
+  ['🛻', 'pickup truck', 'automobile|car|flatbed|pick-up|pickup|transportation|truck', 5, 54, 13, 0],
+  ['🚚', 'delivery truck', 'car|delivery|drive|truck|vehicle', 5, 54, 0.6, 0],
+  ['🚛', 'articulated lorry', 'articulated|car|drive|lorry|move|semi|truck|vehicle', 5, 54, 1, 0],
+  ['🚜', 'tractor', 'vehicle', 5, 54, 1, 0],
+  ['🏎️', 'racing car', 'car|racing|zoom', 5, 54, 0.7, 0],
+  ['🏍️', 'motorcycle', 'racing', 5, 54, 0.7, 0],
+  ['🛵', 'motor scooter', 'motor|scooter', 5, 54, 3, 0],
+  ['🦽', 'manual wheelchair', 'accessibility|manual|wheelchair', 5, 54, 12, 0],
+  ['🦼', 'motorized wheelchair', 'accessibility|motorized|wheelchair', 5, 54, 12, 0],
+  ['🛺', 'auto rickshaw', 'auto|rickshaw|tuk', 5, 54, 12, 0],
+  ['🚲', 'bicycle', 'bike|class|cycle|cycling|cyclist|gang|ride|spin|spinning', 5, 54, 0.6, 0],
+  ['🛴', 'kick scooter', 'kick|scooter', 5, 54, 3, 0],
+  ['🛹', 'skateboard', 'board|skate|skater|wheels', 5, 54, 11, 0],
+  ['🛼', 'roller skate', 'blades|roller|skate|skates|sport', 5, 54, 13, 0],
+  ['🚏', 'bus stop', 'bus|busstop|stop', 5, 54, 0.6, 0],
+  ['🛣️', 'motorway', 'highway|road', 5, 54, 0.7, 0],
+  ['🛤️', 'railway track', 'railway|track|train', 5, 54, 0.7, 0],
+  ['🛢️', 'oil drum', 'drum|oil', 5, 54, 0.7, 0],
+  ['⛽', 'fuel pump', 'diesel|fuel|fuelpump|gas|gasoline|pump|station', 5, 54, 0.6, 0],
+  ['🛞', 'wheel', 'car|circle|tire|turn|vehicle', 5, 54, 14, 0],
+  ['🚨', 'police car light', 'alarm|alert|beacon|car|emergency|light|police|revolving|siren', 5, 54, 0.6, 0],
+  ['🚥', 'horizontal traffic light', 'horizontal|intersection|light|signal|stop|stoplight|traffic', 5, 54, 0.6, 0],
+  ['🚦', 'vertical traffic light', 'drove|intersection|light|signal|stop|stoplight|traffic|vertical', 5, 54, 1, 0],
+  ['🛑', 'stop sign', 'octagonal|sign|stop', 5, 54, 3, 0],
+  ['🚧', 'construction', 'barrier', 5, 54, 0.6, 0],
+  ['⚓', 'anchor', 'ship|tool', 5, 55, 0.6, 0],
+  ['🛟', 'ring buoy', 'buoy|float|life|lifesaver|preserver|rescue|ring|safety|save|saver|swim', 5, 55, 14, 0],
+  ['⛵', 'sailboat', 'boat|resort|sailing|sea|yacht', 5, 55, 0.6, 0],
+  ['🛶', 'canoe', 'boat', 5, 55, 3, 0],
+  ['🚤', 'speedboat', 'billionaire|boat|lake|luxury|millionaire|summer|travel', 5, 55, 0.6, 0],
+  ['🛳️', 'passenger ship', 'passenger|ship', 5, 55, 0.7, 0],
+  ['⛴️', 'ferry', 'boat|passenger', 5, 55, 0.7, 0],
+  ['🛥️', 'motor boat', 'boat|motor|motorboat', 5, 55, 0.7, 0],
+  ['🚢', 'ship', 'boat|passenger|travel', 5, 55, 0.6, 0],
+  ['✈️', 'airplane', 'aeroplane|fly|flying|jet|plane|travel', 5, 56, 0.6, 0],
+  ['🛩️', 'small airplane', 'aeroplane|airplane|plane|small', 5, 56, 0.7, 0],
+  ['🛫', 'airplane departure', 'aeroplane|airplane|check-in|departure|departures|plane', 5, 56, 1, 0],
+  ['🛬', 'airplane arrival', 'aeroplane|airplane|arrival|arrivals|arriving|landing|plane', 5, 56, 1, 0],
+  ['🪂', 'parachute', 'hang-glide|parasail|skydive', 5, 56, 12, 0],
+  ['💺', 'seat', 'chair', 5, 56, 0.6, 0],
+  ['🚁', 'helicopter', 'copter|roflcopter|travel|vehicle', 5, 56, 1, 0],
+  ['🚟', 'suspension railway', 'railway|suspension', 5, 56, 1, 0],
+  ['🚠', 'mountain cableway', 'cable|cableway|gondola|lift|mountain|ski', 5, 56, 1, 0],
+  ['🚡', 'aerial tramway', 'aerial|cable|car|gondola|ropeway|tramway', 5, 56, 1, 0],
+  ['🛰️', 'satellite', 'space', 5, 56, 0.7, 0],
+  ['🚀', 'rocket', 'launch|rockets|space|travel', 5, 56, 0.6, 0],
+  ['🛸', 'flying saucer', 'aliens|extra|flying|saucer|terrestrial|ufo', 5, 56, 5, 0],
+  ['🛎️', 'bellhop bell', 'bell|bellhop|hotel', 5, 57, 0.7, 0],
+  ['🧳', 'luggage', 'bag|packing|roller|suitcase|travel', 5, 57, 11, 0],
+  ['⌛', 'hourglass done', 'done|hourglass|sand|time|timer', 5, 58, 0.6, 0],
+  ['⏳', 'hourglass not done', 'done|flowing|hourglass|hours|not|sand|timer|waiting|yolo', 5, 58, 0.6, 0],
+  ['⌚', 'watch', 'clock|time', 5, 58, 0.6, 0],
+  ['⏰', 'alarm clock', 'alarm|clock|hours|hrs|late|time|waiting', 5, 58, 0.6, 0],
+  ['⏱️', 'stopwatch', 'clock|time', 5, 58, 1, 0],
+  ['⏲️', 'timer clock', 'clock|timer', 5, 58, 1, 0],
+  ['🕰️', 'mantelpiece clock', 'clock|mantelpiece|time', 5, 58, 0.7, 0],
+  ['🕛', 'twelve o’clock', '12|12:00|clock|o’clock|time|twelve', 5, 58, 0.6, 0],
+  ['🕧', 'twelve-thirty', '12|12:30|30|clock|thirty|time|twelve', 5, 58, 0.7, 0],
+  ['🕐', 'one o’clock', '1|1:00|clock|one|o’clock|time', 5, 58, 0.6, 0],
+  ['🕜', 'one-thirty', '1|1:30|30|clock|one|thirty|time', 5, 58, 0.7, 0],
+  ['🕑', 'two o’clock', '2|2:00|clock|o’clock|time|two', 5, 58, 0.6, 0],
+  ['🕝', 'two-thirty', '2|2:30|30|clock|thirty|time|two', 5, 58, 0.7, 0],
+  ['🕒', 'three o’clock', '3|3:00|clock|o’clock|three|time', 5, 58, 0.6, 0],
+  ['🕞', 'three-thirty', '3|30|3:30|clock|thirty|three|time', 5, 58, 0.7, 0],
+  ['🕓', 'four o’clock', '4|4:00|clock|four|o’clock|time', 5, 58, 0.6, 0],
+  ['🕟', 'four-thirty', '30|4|4:30|clock|four|thirty|time', 5, 58, 0.7, 0],
+  ['🕔', 'five o’clock', '5|5:00|clock|five|o’clock|time', 5, 58, 0.6, 0],
+  ['🕠', 'five-thirty', '30|5|5:30|clock|five|thirty|time', 5, 58, 0.7, 0],
+  ['🕕', 'six o’clock', '6|6:00|clock|o’clock|six|time', 5, 58, 0.6, 0],
+  ['🕡', 'six-thirty', '30|6|6:30|clock|six|thirty', 5, 58, 0.7, 0],
+  ['🕖', 'seven o’clock', '0|7|7:00|clock|o’clock|seven', 5, 58, 0.6, 0],
+  ['🕢', 'seven-thirty', '30|7|7:30|clock|seven|thirty', 5, 58, 0.7, 0],
+  ['🕗', 'eight o’clock', '8|8:00|clock|eight|o’clock|time', 5, 58, 0.6, 0],
+  ['🕣', 'eight-thirty', '30|8|8:30|clock|eight|thirty|time', 5, 58, 0.7, 0],
+  ['🕘', 'nine o’clock', '9|9:00|clock|nine|o’clock|time', 5, 58, 0.6, 0],
+  ['🕤', 'nine-thirty', '30|9|9:30|clock|nine|thirty|time', 5, 58, 0.7, 0],
+  ['🕙', 'ten o’clock', '0|10|10:00|clock|o’clock|ten', 5, 58, 0.6, 0],
+  ['🕥', 'ten-thirty', '10|10:30|30|clock|ten|thirty|time', 5, 58, 0.7, 0],
+  ['🕚', 'eleven o’clock', '11|11:00|clock|eleven|o’clock|time', 5, 58, 0.6, 0],
+  ['🕦', 'eleven-thirty', '11|11:30|30|clock|eleven|thirty|time', 5, 58, 0.7, 0],
+  ['🌑', 'new moon', 'dark|moon|new|space', 5, 59, 0.6, 0],
+  ['🌒', 'waxing crescent moon', 'crescent|dreams|moon|space|waxing', 5, 59, 1, 0],
+  ['🌓', 'first quarter moon', 'first|moon|quarter|space', 5, 59, 0.6, 0],
+  ['🌔', 'waxing gibbous moon', 'gibbous|moon|space|waxing', 5, 59, 0.6, 0],
+  ['🌕', 'full moon', 'full|moon|space', 5, 59, 0.6, 0],
+  ['🌖', 'waning gibbous moon', 'gibbous|moon|space|waning', 5, 59, 1, 0],
+  ['🌗', 'last quarter moon', 'last|moon|quarter|space', 5, 59, 1, 0],
+  ['🌘', 'waning crescent moon', 'crescent|moon|space|waning', 5, 59, 1, 0],
+  ['🌙', 'crescent moon', 'crescent|moon|ramadan|space', 5, 59, 0.6, 0],
+  ['🌚', 'new moon face', 'face|moon|new|space', 5, 59, 1, 0],
+  ['🌛', 'first quarter moon face', 'face|first|moon|quarter|space', 5, 59, 0.6, 0],
+  ['🌜', 'last quarter moon face', 'dreams|face|last|moon|quarter', 5, 59, 0.7, 0],
+  ['🌡️', 'thermometer', 'weather', 5, 59, 0.7, 0],
+  ['☀️', 'sun', 'bright|rays|space|sunny|weather', 5, 59, 0.6, 0],
+  ['🌝', 'full moon face', 'bright|face|full|moon', 5, 59, 1, 0],
+  ['🌞', 'sun with face', 'beach|bright|day|face|heat|shine|sun|sunny|sunshine|weather', 5, 59, 1, 0],
+  ['🪐', 'ringed planet', 'planet|ringed|saturn|saturnine', 5, 59, 12, 0],
+  ['⭐', 'star', 'astronomy|medium|stars|white', 5, 59, 0.6, 0],
+  ['🌟', 'glowing star', 'glittery|glow|glowing|night|shining|sparkle|star|win', 5, 59, 0.6, 0],
+  ['🌠', 'shooting star', 'falling|night|shooting|space|star', 5, 59, 0.6, 0],
+  ['🌌', 'milky way', 'milky|space|way', 5, 59, 0.6, 0],
+  ['☁️', 'cloud', 'weather', 5, 59, 0.6, 0],
+  ['⛅', 'sun behind cloud', 'behind|cloud|cloudy|sun|weather', 5, 59, 0.6, 0],
+  ['⛈️', 'cloud with lightning and rain', 'cloud|lightning|rain|thunder|thunderstorm', 5, 59, 0.7, 0],
+  ['🌤️', 'sun behind small cloud', 'behind|cloud|sun|weather', 5, 59, 0.7, 0],
+  ['🌥️', 'sun behind large cloud', 'behind|cloud|sun|weather', 5, 59, 0.7, 0],
+  ['🌦️', 'sun behind rain cloud', 'behind|cloud|rain|sun|weather', 5, 59, 0.7, 0],
+  ['🌧️', 'cloud with rain', 'cloud|rain|weather', 5, 59, 0.7, 0],
+  ['🌨️', 'cloud with snow', 'cloud|cold|snow|weather', 5, 59, 0.7, 0],
+  ['🌩️', 'cloud with lightning', 'cloud|lightning|weather', 5, 59, 0.7, 0],
+  ['🌪️', 'tornado', 'cloud|weather|whirlwind', 5, 59, 0.7, 0],
+  ['🌫️', 'fog', 'cloud|weather', 5, 59, 0.7, 0],
+  ['🌬️', 'wind face', 'blow|cloud|face|wind', 5, 59, 0.7, 0],
+  ['🌀', 'cyclone', 'dizzy|hurricane|twister|typhoon|weather', 5, 59, 0.6, 0],
+  ['🌈', 'rainbow', 'gay|genderqueer|glbt|glbtq|lesbian|lgbt|lgbtq|lgbtqia|nature|pride|queer|rain|trans|transgender|weather', 5, 59, 0.6, 0],
+  ['🌂', 'closed umbrella', 'closed|clothing|rain|umbrella', 5, 59, 0.6, 0],
+  ['☂️', 'umbrella', 'clothing|rain', 5, 59, 0.7, 0],
+  ['☔', 'umbrella with rain drops', 'clothing|drop|drops|rain|umbrella|weather', 5, 59, 0.6, 0],
+  ['⛱️', 'umbrella on ground', 'ground|rain|sun|umbrella', 5, 59, 0.7, 0],
+  ['⚡', 'high voltage', 'danger|electric|electricity|high|lightning|nature|thunder|thunderbolt|voltage|zap', 5, 59, 0.6, 0],
+  ['❄️', 'snowflake', 'cold|snow|weather', 5, 59, 0.6, 0],
+  ['☃️', 'snowman', 'cold|man|snow', 5, 59, 0.7, 0],
+  ['⛄', 'snowman without snow', 'cold|man|snow|snowman', 5, 59, 0.6, 0],
+  ['☄️', 'comet', 'space', 5, 59, 1, 0],
+  ['🔥', 'fire', 'af|burn|flame|hot|lit|litaf|tool', 5, 59, 0.6, 0],
+  ['💧', 'droplet', 'cold|comic|drop|nature|sad|sweat|tear|water|weather', 5, 59, 0.6, 0],
+  ['🌊', 'water wave', 'nature|ocean|surf|surfer|surfing|water|wave', 5, 59, 0.6, 0],
+  ['🎃', 'jack-o-lantern', 'celebration|halloween|jack|lantern|pumpkin', 6, 60, 0.6, 0],
+  ['🎄', 'Christmas tree', 'celebration|christmas|tree', 6, 60, 0.6, 0],
+  ['🎆', 'fireworks', 'boom|celebration|entertainment|yolo', 6, 60, 0.6, 0],
+  ['🎇', 'sparkler', 'boom|celebration|fireworks|sparkle', 6, 60, 0.6, 0],
+  ['🧨', 'firecracker', 'dynamite|explosive|fire|fireworks|light|pop|popping|spark', 6, 60, 11, 0],
+  ['✨', 'sparkles', '*|magic|sparkle|star', 6, 60, 0.6, 0],
+  ['🎈', 'balloon', 'birthday|celebrate|celebration', 6, 60, 0.6, 0],
+  ['🎉', 'party popper', 'awesome|birthday|celebrate|celebration|excited|hooray|party|popper|tada|woohoo', 6, 60, 0.6, 0],
+  ['🎊', 'confetti ball', 'ball|celebrate|celebration|confetti|party|woohoo', 6, 60, 0.6, 0],
+  ['🎋', 'tanabata tree', 'banner|celebration|japanese|tanabata|tree', 6, 60, 0.6, 0],
+  ['🎍', 'pine decoration', 'bamboo|celebration|decoration|japanese|pine|plant', 6, 60, 0.6, 0],
+  ['🎎', 'Japanese dolls', 'celebration|doll|dolls|festival|japanese', 6, 60, 0.6, 0],
+  ['🎏', 'carp streamer', 'carp|celebration|streamer', 6, 60, 0.6, 0],
+  ['🎐', 'wind chime', 'bell|celebration|chime|wind', 6, 60, 0.6, 0],
+  ['🎑', 'moon viewing ceremony', 'celebration|ceremony|moon|viewing', 6, 60, 0.6, 0],
+  ['🧧', 'red envelope', 'envelope|gift|good|hóngbāo|lai|luck|money|red|see', 6, 60, 11, 0],
+  ['🎀', 'ribbon', 'celebration', 6, 60, 0.6, 0],
+  ['🎁', 'wrapped gift', 'birthday|bow|box|celebration|christmas|gift|present|surprise|wrapped', 6, 60, 0.6, 0],
+  ['🎗️', 'reminder ribbon', 'celebration|reminder|ribbon', 6, 60, 0.7, 0],
+  ['🎟️', 'admission tickets', 'admission|ticket|tickets', 6, 60, 0.7, 0],
+  ['🎫', 'ticket', 'admission|stub', 6, 60, 0.6, 0],
+  ['🎖️', 'military medal', 'award|celebration|medal|military', 6, 61, 0.7, 0],
+  ['🏆', 'trophy', 'champion|champs|prize|slay|sport|victory|win|winning', 6, 61, 0.6, 0],
+  ['🏅', 'sports medal', 'award|gold|medal|sports|winner', 6, 61, 1, 0],
+  ['🥇', '1st place medal', '1st|first|gold|medal|place', 6, 61, 3, 0],
+  ['🥈', '2nd place medal', '2nd|medal|place|second|silver', 6, 61, 3, 0],
+  ['🥉', '3rd place medal', '3rd|bronze|medal|place|third', 6, 61, 3, 0],
+  ['⚽', 'soccer ball', 'ball|football|futbol|soccer|sport', 6, 62, 0.6, 0],
+  ['⚾', 'baseball', 'ball|sport', 6, 62, 0.6, 0],
+  ['🥎', 'softball', 'ball|glove|sports|underarm', 6, 62, 11, 0],
+  ['🏀', 'basketball', 'ball|hoop|sport', 6, 62, 0.6, 0],
+  ['🏐', 'volleyball', 'ball|game', 6, 62, 1, 0],
+  ['🏈', 'american football', 'american|ball|bowl|football|sport|super', 6, 62, 0.6, 0],
+  ['🏉', 'rugby football', 'ball|football|rugby|sport', 6, 62, 1, 0],
+  ['🎾', 'tennis', 'ball|racquet|sport', 6, 62, 0.6, 0],
+  ['🥏', 'flying disc', 'disc|flying|ultimate', 6, 62, 11, 0],
+  ['🎳', 'bowling', 'ball|game|sport|strike', 6, 62, 0.6, 0],
+  ['🏏', 'cricket game', 'ball|bat|cricket|game', 6, 62, 1, 0],
+  ['🏑', 'field hockey', 'ball|field|game|hockey|stick', 6, 62, 1, 0],
+  ['🏒', 'ice hockey', 'game|hockey|ice|puck|stick', 6, 62, 1, 0],
+  ['🥍', 'lacrosse', 'ball|goal|sports|stick', 6, 62, 11, 0],
+  ['🏓', 'ping pong', 'ball|bat|game|paddle|ping|pingpong|pong|table|tennis', 6, 62, 1, 0],
+  ['🏸', 'badminton', 'birdie|game|racquet|shuttlecock', 6, 62, 1, 0],
+  ['🥊', 'boxing glove', 'boxing|glove', 6, 62, 3, 0],
+  ['🥋', 'martial arts uniform', 'arts|judo|karate|martial|taekwondo|uniform', 6, 62, 3, 0],
+  ['🥅', 'goal net', 'goal|net', 6, 62, 3, 0],
+  ['⛳', 'flag in hole', 'flag|golf|hole|sport', 6, 62, 0.6, 0],
+  ['⛸️', 'ice skate', 'ice|skate|skating', 6, 62, 0.7, 0],
+  ['🎣', 'fishing pole', 'entertainment|fish|fishing|pole|sport', 6, 62, 0.6, 0],
+  ['🤿', 'diving mask', 'diving|mask|scuba|snorkeling', 6, 62, 12, 0],
+  ['🎽', 'running shirt', 'athletics|running|sash|shirt', 6, 62, 0.6, 0],
+  ['🎿', 'skis', 'ski|snow|sport', 6, 62, 0.6, 0],
+  ['🛷', 'sled', 'luge|sledge|sleigh|snow|toboggan', 6, 62, 5, 0],
+  ['🥌', 'curling stone', 'curling|game|rock|stone', 6, 62, 5, 0],
+  ['🎯', 'bullseye', 'bull|dart|direct|entertainment|game|hit|target', 6, 63, 0.6, 0],
+  ['🪀', 'yo-yo', 'fluctuate|toy', 6, 63, 12, 0],
+  ['🪁', 'kite', 'fly|soar', 6, 63, 12, 0],
+  ['🔫', 'water pistol', 'gun|handgun|pistol|revolver|tool|water|weapon', 6, 63, 0.6, 0],
+  ['🎱', 'pool 8 ball', '8|8ball|ball|billiard|eight|game|pool', 6, 63, 0.6, 0],
+  ['🔮', 'crystal ball', 'ball|crystal|fairy|fairytale|fantasy|fortune|future|magic|tale|tool', 6, 63, 0.6, 0],
+  ['🪄', 'magic wand', 'magic|magician|wand|witch|wizard', 6, 63, 13, 0],
+  ['🎮', 'video game', 'controller|entertainment|game|video', 6, 63, 0.6, 0],
+  ['🕹️', 'joystick', 'game|video|videogame', 6, 63, 0.7, 0],
+  ['🎰', 'slot machine', 'casino|gamble|gambling|game|machine|slot|slots', 6, 63, 0.6, 0],
+  ['🎲', 'game die', 'dice|die|entertainment|game', 6, 63, 0.6, 0],
+  ['🧩', 'puzzle piece', 'clue|interlocking|jigsaw|piece|puzzle', 6, 63, 11, 0],
+  ['🧸', 'teddy bear', 'bear|plaything|plush|stuffed|teddy|toy', 6, 63, 11, 0],
+  ['🪅', 'piñata', 'candy|celebrate|celebration|cinco|de|festive|mayo|party|pinada|pinata', 6, 63, 13, 0],
+  ['🪩', 'mirror ball', 'ball|dance|disco|glitter|mirror|party', 6, 63, 14, 0],
+  ['🪆', 'nesting dolls', 'babooshka|baboushka|babushka|doll|dolls|matryoshka|nesting|russia', 6, 63, 13, 0],
+  ['♠️', 'spade suit', 'card|game|spade|suit', 6, 63, 0.6, 0],
+  ['♥️', 'heart suit', 'card|emotion|game|heart|hearts|suit', 6, 63, 0.6, 0],
+  ['♦️', 'diamond suit', 'card|diamond|game|suit', 6, 63, 0.6, 0],
+  ['♣️', 'club suit', 'card|club|clubs|game|suit', 6, 63, 0.6, 0],
+  ['♟️', 'chess pawn', 'chess|dupe|expendable|pawn', 6, 63, 11, 0],
+  ['🃏', 'joker', 'card|game|wildcard', 6, 63, 0.6, 0],
+  ['🀄', 'mahjong red dragon', 'dragon|game|mahjong|red', 6, 63, 0.6, 0],
+  ['🎴', 'flower playing cards', 'card|cards|flower|game|japanese|playing', 6, 63, 0.6, 0],
+  ['🎭', 'performing arts', 'actor|actress|art|arts|entertainment|mask|performing|theater|theatre|thespian', 6, 64, 0.6, 0],
+  ['🖼️', 'framed picture', 'art|frame|framed|museum|painting|picture', 6, 64, 0.7, 0],
+  ['🎨', 'artist palette', 'art|artist|artsy|arty|colorful|creative|entertainment|museum|painter|painting|palette', 6, 64, 0.6, 0],
+  ['🧵', 'thread', 'needle|sewing|spool|string', 6, 64, 11, 0],
+  ['🪡', 'sewing needle', 'embroidery|needle|sew|sewing|stitches|sutures|tailoring|thread', 6, 64, 13, 0],
+  ['🧶', 'yarn', 'ball|crochet|knit', 6, 64, 11, 0],
+  ['🪢', 'knot', 'cord|rope|tangled|tie|twine|twist', 6, 64, 13, 0],
+  ['👓', 'glasses', 'clothing|eye|eyeglasses|eyewear', 7, 65, 0.6, 0],
+  ['🕶️', 'sunglasses', 'dark|eye|eyewear|glasses', 7, 65, 0.7, 0],
+  ['🥽', 'goggles', 'dive|eye|protection|scuba|swimming|welding', 7, 65, 11, 0],
+  ['🥼', 'lab coat', 'clothes|coat|doctor|dr|experiment|jacket|lab|scientist|white', 7, 65, 11, 0],
+  ['🦺', 'safety vest', 'emergency|safety|vest', 7, 65, 12, 0],
+  ['👔', 'necktie', 'clothing|employed|serious|shirt|tie', 7, 65, 0.6, 0],
+  ['👕', 't-shirt', 'blue|casual|clothes|clothing|collar|dressed|shirt|shopping|tshirt|weekend', 7, 65, 0.6, 0],
+  ['👖', 'jeans', 'blue|casual|clothes|clothing|denim|dressed|pants|shopping|trousers|weekend', 7, 65, 0.6, 0],
+  ['🧣', 'scarf', 'bundle|cold|neck|up', 7, 65, 5, 0],
+  ['🧤', 'gloves', 'hand', 7, 65, 5, 0],
+  ['🧥', 'coat', 'brr|bundle|cold|jacket|up', 7, 65, 5, 0],
+  ['🧦', 'socks', 'stocking', 7, 65, 5, 0],
+  ['👗', 'dress', 'clothes|clothing|dressed|fancy|shopping', 7, 65, 0.6, 0],
+  ['👘', 'kimono', 'clothing|comfortable', 7, 65, 0.6, 0],
+  ['🥻', 'sari', 'clothing|dress', 7, 65, 12, 0],
+  ['🩱', 'one-piece swimsuit', 'bathing|one-piece|suit|swimsuit', 7, 65, 12, 0],
+  ['🩲', 'briefs', 'bathing|one-piece|suit|swimsuit|underwear', 7, 65, 12, 0],
+  ['🩳', 'shorts', 'bathing|pants|suit|swimsuit|underwear', 7, 65, 12, 0],
+  ['👙', 'bikini', 'bathing|beach|clothing|pool|suit|swim', 7, 65, 0.6, 0],
+  ['👚', 'woman’s clothes', 'blouse|clothes|clothing|collar|dress|dressed|lady|shirt|shopping|woman|woman’s', 7, 65, 0.6, 0],
+  ['🪭', 'folding hand fan', 'clack|clap|cool|cooling|dance|fan|flirt|flutter|folding|hand|hot|shy', 7, 65, 15, 0],
+  ['👛', 'purse', 'clothes|clothing|coin|dress|fancy|handbag|shopping', 7, 65, 0.6, 0],
+  ['👜', 'handbag', 'bag|clothes|clothing|dress|lady|purse|shopping', 7, 65, 0.6, 0],
+  ['👝', 'clutch bag', 'bag|clothes|clothing|clutch|dress|handbag|pouch|purse', 7, 65, 0.6, 0],
+  ['🛍️', 'shopping bags', 'bag|bags|hotel|shopping', 7, 65, 0.7, 0],
+  ['🎒', 'backpack', 'backpacking|bag|bookbag|education|rucksack|satchel|school', 7, 65, 0.6, 0],
+  ['🩴', 'thong sandal', 'beach|flip|flop|sandal|sandals|shoe|thong|thongs|zōri', 7, 65, 13, 0],
+  ['👞', 'man’s shoe', 'brown|clothes|clothing|feet|foot|kick|man|man’s|shoe|shoes|shopping', 7, 65, 0.6, 0],
+  ['👟', 'running shoe', 'athletic|clothes|clothing|fast|kick|running|shoe|shoes|shopping|sneaker|tennis', 7, 65, 0.6, 0],
+  ['🥾', 'hiking boot', 'backpacking|boot|brown|camping|hiking|outdoors|shoe', 7, 65, 11, 0],
+  ['🥿', 'flat shoe', 'ballet|comfy|flat|flats|shoe|slip-on|slipper', 7, 65, 11, 0],
+  ['👠', 'high-heeled shoe', 'clothes|clothing|dress|fashion|heel|heels|high-heeled|shoe|shoes|shopping|stiletto|woman', 7, 65, 0.6, 0],
+  ['👡', 'woman’s sandal', 'clothing|sandal|shoe|woman|woman’s', 7, 65, 0.6, 0],
+  ['🩰', 'ballet shoes', 'ballet|dance|shoes', 7, 65, 12, 0],
+  ['👢', 'woman’s boot', 'boot|clothes|clothing|dress|shoe|shoes|shopping|woman|woman’s', 7, 65, 0.6, 0],
+  ['🪮', 'hair pick', 'afro|comb|groom|hair|pick', 7, 65, 15, 0],
+  ['👑', 'crown', 'clothing|family|king|medieval|queen|royal|royalty|win', 7, 65, 0.6, 0],
+  ['👒', 'woman’s hat', 'clothes|clothing|garden|hat|hats|party|woman|woman’s', 7, 65, 0.6, 0],
+  ['🎩', 'top hat', 'clothes|clothing|fancy|formal|hat|magic|top|tophat', 7, 65, 0.6, 0],
+  ['🎓', 'graduation cap', 'cap|celebration|clothing|education|graduation|hat|scholar', 7, 65, 0.6, 0],
+  ['🧢', 'billed cap', 'baseball|bent|billed|cap|dad|hat', 7, 65, 5, 0],
+  ['🪖', 'military helmet', 'army|helmet|military|soldier|war|warrior', 7, 65, 13, 0],
+  ['⛑️', 'rescue worker’s helmet', 'aid|cross|face|hat|helmet|rescue|worker’s', 7, 65, 0.7, 0],
+  ['📿', 'prayer beads', 'beads|clothing|necklace|prayer|religion', 7, 65, 1, 0],
+  ['💄', 'lipstick', 'cosmetics|date|makeup', 7, 65, 0.6, 0],
+  ['💍', 'ring', 'diamond|engaged|engagement|married|romance|shiny|sparkling|wedding', 7, 65, 0.6, 0],
+  ['💎', 'gem stone', 'diamond|engagement|gem|jewel|money|romance|stone|wedding', 7, 65, 0.6, 0],
+  ['🔇', 'muted speaker', 'mute|muted|quiet|silent|sound|speaker', 7, 66, 1, 0],
+  ['🔈', 'speaker low volume', 'low|soft|sound|speaker|volume', 7, 66, 0.7, 0],
+  ['🔉', 'speaker medium volume', 'medium|sound|speaker|volume', 7, 66, 1, 0],
+  ['🔊', 'speaker high volume', 'high|loud|music|sound|speaker|volume', 7, 66, 0.6, 0],
+  ['📢', 'loudspeaker', 'address|communication|loud|public|sound', 7, 66, 0.6, 0],
+  ['📣', 'megaphone', 'cheering|sound', 7, 66, 0.6, 0],
+  ['📯', 'postal horn', 'horn|post|postal', 7, 66, 1, 0],
+  ['🔔', 'bell', 'break|church|sound', 7, 66, 0.6, 0],
+  ['🔕', 'bell with slash', 'bell|forbidden|mute|no|not|prohibited|quiet|silent|slash|sound', 7, 66, 1, 0],
+  ['🎼', 'musical score', 'music|musical|note|score', 7, 67, 0.6, 0],
+  ['🎵', 'musical note', 'music|musical|note|sound', 7, 67, 0.6, 0],
+  ['🎶', 'musical notes', 'music|musical|note|notes|sound', 7, 67, 0.6, 0],
+  ['🎙️', 'studio microphone', 'mic|microphone|music|studio', 7, 67, 0.7, 0],
+  ['🎚️', 'level slider', 'level|music|slider', 7, 67, 0.7, 0],
+  ['🎛️', 'control knobs', 'control|knobs|music', 7, 67, 0.7, 0],
+  ['🎤', 'microphone', 'karaoke|mic|music|sing|sound', 7, 67, 0.6, 0],
+  ['🎧', 'headphone', 'earbud|sound', 7, 67, 0.6, 0],
+  ['📻', 'radio', 'entertainment|tbt|video', 7, 67, 0.6, 0],
+  ['🎷', 'saxophone', 'instrument|music|sax', 7, 68, 0.6, 0],
+  ['🎺', 'trumpet', 'instrument|music', 7, 68, 0.6, 0],
+  ['🪊', 'trombone', 'brass|instrument|jazz|music|sad|slide', 7, 68, 17, 0],
+  ['🪗', 'accordion', 'box|concertina|instrument|music|squeeze|squeezebox', 7, 68, 13, 0],
+  ['🎸', 'guitar', 'instrument|music|strat', 7, 68, 0.6, 0],
+  ['🎹', 'musical keyboard', 'instrument|keyboard|music|musical|piano', 7, 68, 0.6, 0],
+  ['🎻', 'violin', 'instrument|music', 7, 68, 0.6, 0],
+  ['🪕', 'banjo', 'music|stringed', 7, 68, 12, 0],
+  ['🥁', 'drum', 'drumsticks|music', 7, 68, 3, 0],
+  ['🪘', 'long drum', 'beat|conga|drum|instrument|long|rhythm', 7, 68, 13, 0],
+  ['🪇', 'maracas', 'cha|dance|instrument|music|party|percussion|rattle|shake|shaker', 7, 68, 15, 0],
+  ['🪈', 'flute', 'band|fife|flautist|instrument|marching|music|orchestra|piccolo|pipe|recorder|woodwind', 7, 68, 15, 0],
+  ['🪉', 'harp', 'cupid|instrument|love|music|orchestra', 7, 68, 16, 0],
+  ['📱', 'mobile phone', 'cell|communication|mobile|phone|telephone', 7, 69, 0.6, 0],
+  ['📲', 'mobile phone with arrow', 'arrow|build|call|cell|communication|mobile|phone|receive|telephone', 7, 69, 0.6, 0],
+  ['☎️', 'telephone', 'phone', 7, 69, 0.6, 0],
+  ['📞', 'telephone receiver', 'communication|phone|receiver|telephone|voip', 7, 69, 0.6, 0],
+  ['📟', 'pager', 'communication', 7, 69, 0.6, 0],
+  ['📠', 'fax machine', 'communication|fax|machine', 7, 69, 0.6, 0],
+  ['🔋', 'battery', 'battery', 7, 70, 0.6, 0],
+  ['🪫', 'low battery', 'battery|drained|electronic|energy|low|power', 7, 70, 14, 0],
+  ['🔌', 'electric plug', 'electric|electricity|plug', 7, 70, 0.6, 0],
+  ['💻', 'laptop', 'computer|office|pc|personal', 7, 70, 0.6, 0],
+  ['🖥️', 'desktop computer', 'computer|desktop|monitor', 7, 70, 0.7, 0],
+  ['🖨️', 'printer', 'computer', 7, 70, 0.7, 0],
+  ['⌨️', 'keyboard', 'computer', 7, 70, 1, 0],
+  ['🖱️', 'computer mouse', 'computer|mouse', 7, 70, 0.7, 0],
+  ['🖲️', 'trackball', 'computer', 7, 70, 0.7, 0],
+  ['💽', 'computer disk', 'computer|disk|minidisk|optical', 7, 70, 0.6, 0],
+  ['💾', 'floppy disk', 'computer|disk|floppy', 7, 70, 0.6, 0],
+  ['💿', 'optical disk', 'blu-ray|cd|computer|disk|dvd|optical', 7, 70, 0.6, 0],
+  ['📀', 'dvd', 'blu-ray|cd|computer|disk|optical', 7, 70, 0.6, 0],
+  ['🧮', 'abacus', 'calculation|calculator', 7, 70, 11, 0],
+  ['🎥', 'movie camera', 'bollywood|camera|cinema|film|hollywood|movie|record', 7, 71, 0.6, 0],
+  ['🎞️', 'film frames', 'cinema|film|frames|movie', 7, 71, 0.7, 0],
+  ['📽️', 'film projector', 'cinema|film|movie|projector|video', 7, 71, 0.7, 0],
+  ['🎬', 'clapper board', 'action|board|clapper|movie', 7, 71, 0.6, 0],
+  ['📺', 'television', 'tv|video', 7, 71, 0.6, 0],
+  ['📷', 'camera', 'photo|selfie|snap|tbt|trip|video', 7, 71, 0.6, 0],
+  ['📸', 'camera with flash', 'camera|flash|video', 7, 71, 1, 0],
+  ['📹', 'video camera', 'camcorder|camera|tbt|video', 7, 71, 0.6, 0],
+  ['📼', 'videocassette', 'old|school|tape|vcr|vhs|video', 7, 71, 0.6, 0],
+  ['🔍', 'magnifying glass tilted left', 'glass|lab|left|left-pointing|magnifying|science|search|tilted|tool', 7, 71, 0.6, 0],
+  ['🔎', 'magnifying glass tilted right', 'contact|glass|lab|magnifying|right|right-pointing|science|search|tilted|tool', 7, 71, 0.6, 0],
+  ['🕯️', 'candle', 'light', 7, 71, 0.7, 0],
+  ['💡', 'light bulb', 'bulb|comic|electric|idea|light', 7, 71, 0.6, 0],
+  ['🔦', 'flashlight', 'electric|light|tool|torch', 7, 71, 0.6, 0],
+  ['🏮', 'red paper lantern', 'bar|lantern|light|paper|red|restaurant', 7, 71, 0.6, 0],
+  ['🪔', 'diya lamp', 'diya|lamp|light|oil', 7, 71, 12, 0],
+  ['📔', 'notebook with decorative cover', 'book|cover|decorated|decorative|education|notebook|school|writing', 7, 72, 0.6, 0],
+  ['📕', 'closed book', 'book|closed|education', 7, 72, 0.6, 0],
+  ['📖', 'open book', 'book|education|fantasy|knowledge|library|novels|open|reading', 7, 72, 0.6, 0],
+  ['📗', 'green book', 'book|education|fantasy|green|library|reading', 7, 72, 0.6, 0],
+  ['📘', 'blue book', 'blue|book|education|fantasy|library|reading', 7, 72, 0.6, 0],
+  ['📙', 'orange book', 'book|education|fantasy|library|orange|reading', 7, 72, 0.6, 0],
+  ['📚', 'books', 'book|education|fantasy|knowledge|library|novels|reading|school|study', 7, 72, 0.6, 0],
+  ['📓', 'notebook', 'notebook', 7, 72, 0.6, 0],
+  ['📒', 'ledger', 'notebook', 7, 72, 0.6, 0],
+  ['📃', 'page with curl', 'curl|document|page|paper', 7, 72, 0.6, 0],
+  ['📜', 'scroll', 'paper', 7, 72, 0.6, 0],
+  ['📄', 'page facing up', 'document|facing|page|paper|up', 7, 72, 0.6, 0],
+  ['📰', 'newspaper', 'communication|news|paper', 7, 72, 0.6, 0],
+  ['🗞️', 'rolled-up newspaper', 'news|newspaper|paper|rolled|rolled-up', 7, 72, 0.7, 0],
+  ['📑', 'bookmark tabs', 'bookmark|mark|marker|tabs', 7, 72, 0.6, 0],
+  ['🔖', 'bookmark', 'mark', 7, 72, 0.6, 0],
+  ['🏷️', 'label', 'tag', 7, 72, 0.7, 0],
+  ['🪙', 'coin', 'dollar|euro|gold|metal|money|rich|silver|treasure', 7, 73, 13, 0],
+  ['💰', 'money bag', 'bag|bank|bet|billion|cash|cost|dollar|gold|million|money|moneybag|paid|paying|pot|rich|win', 7, 73, 0.6, 0],
+  ['🪎', 'treasure chest', 'gem|gold|jewels|loot|money|prize|silver|valuables|wealth', 7, 73, 17, 0],
+  ['💴', 'yen banknote', 'bank|banknote|bill|currency|money|note|yen', 7, 73, 0.6, 0],
+  ['💵', 'dollar banknote', 'bank|banknote|bill|currency|dollar|money|note', 7, 73, 0.6, 0],
+  ['💶', 'euro banknote', '100|bank|banknote|bill|currency|euro|money|note|rich', 7, 73, 1, 0],
+  ['💷', 'pound banknote', 'bank|banknote|bill|billion|cash|currency|money|note|pound|pounds', 7, 73, 1, 0],
+  ['💸', 'money with wings', 'bank|banknote|bill|billion|cash|dollar|fly|million|money|note|pay|wings', 7, 73, 0.6, 0],
+  ['💳', 'credit card', 'bank|card|cash|charge|credit|money|pay', 7, 73, 0.6, 0],
+  ['🧾', 'receipt', 'accounting|bookkeeping|evidence|invoice|proof', 7, 73, 11, 0],
+  ['💹', 'chart increasing with yen', 'bank|chart|currency|graph|growth|increasing|market|money|rise|trend|upward|yen', 7, 73, 0.6, 0],
+  ['✉️', 'envelope', 'e-mail|email|letter', 7, 74, 0.6, 0],
+  ['📧', 'e-mail', 'email|letter|mail', 7, 74, 0.6, 0],
+  ['📨', 'incoming envelope', 'delivering|e-mail|email|envelope|incoming|letter|mail|receive|sent', 7, 74, 0.6, 0],
+  ['📩', 'envelope with arrow', 'arrow|communication|down|e-mail|email|envelope|letter|mail|outgoing|send|sent', 7, 74, 0.6, 0],
+  ['📤', 'outbox tray', 'box|email|letter|mail|outbox|sent|tray', 7, 74, 0.6, 0],
+  ['📥', 'inbox tray', 'box|email|inbox|letter|mail|receive|tray|zero', 7, 74, 0.6, 0],
+  ['📦', 'package', 'box|communication|delivery|parcel|shipping', 7, 74, 0.6, 0],
+  ['📫', 'closed mailbox with raised flag', 'closed|communication|flag|mail|mailbox|postbox|raised', 7, 74, 0.6, 0],
+  ['📪', 'closed mailbox with lowered flag', 'closed|flag|lowered|mail|mailbox|postbox', 7, 74, 0.6, 0],
+  ['📬', 'open mailbox with raised flag', 'flag|mail|mailbox|open|postbox|raised', 7, 74, 0.7, 0],
+  ['📭', 'open mailbox with lowered flag', 'flag|lowered|mail|mailbox|open|postbox', 7, 74, 0.7, 0],
+  ['📮', 'postbox', 'mail|mailbox', 7, 74, 0.6, 0],
+  ['🗳️', 'ballot box with ballot', 'ballot|box', 7, 74, 0.7, 0],
+  ['✏️', 'pencil', 'pencil', 7, 75, 0.6, 0],
+  ['✒️', 'black nib', 'black|nib|pen', 7, 75, 0.6, 0],
+  ['🖋️', 'fountain pen', 'fountain|pen', 7, 75, 0.7, 0],
+  ['🖊️', 'pen', 'ballpoint', 7, 75, 0.7, 0],
+  ['🖌️', 'paintbrush', 'painting', 7, 75, 0.7, 0],
+  ['🖍️', 'crayon', 'crayon', 7, 75, 0.7, 0],
+  ['📝', 'memo', 'communication|media|notes|pencil', 7, 75, 0.6, 0],
+  ['💼', 'briefcase', 'office', 7, 76, 0.6, 0],
+  ['📁', 'file folder', 'file|folder', 7, 76, 0.6, 0],
+  ['📂', 'open file folder', 'file|folder|open', 7, 76, 0.6, 0],
+  ['🗂️', 'card index dividers', 'card|dividers|index', 7, 76, 0.7, 0],
+  ['📅', 'calendar', 'date', 7, 76, 0.6, 0],
+  ['📆', 'tear-off calendar', 'calendar|tear-off', 7, 76, 0.6, 0],
+  ['🗒️', 'spiral notepad', 'note|notepad|pad|spiral', 7, 76, 0.7, 0],
+  ['🗓️', 'spiral calendar', 'calendar|pad|spiral', 7, 76, 0.7, 0],
+  ['📇', 'card index', 'card|index|old|rolodex|school', 7, 76, 0.6, 0],
+  ['📈', 'chart increasing', 'chart|data|graph|growth|increasing|right|trend|up|upward', 7, 76, 0.6, 0],
+  ['📉', 'chart decreasing', 'chart|data|decreasing|down|downward|graph|negative|trend', 7, 76, 0.6, 0],
+  ['📊', 'bar chart', 'bar|chart|data|graph', 7, 76, 0.6, 0],
+  ['📋', 'clipboard', 'do|list|notes', 7, 76, 0.6, 0],
+  ['📌', 'pushpin', 'collage|pin', 7, 76, 0.6, 0],
+  ['📍', 'round pushpin', 'location|map|pin|pushpin|round', 7, 76, 0.6, 0],
+  ['📎', 'paperclip', 'paperclip', 7, 76, 0.6, 0],
+  ['🖇️', 'linked paperclips', 'link|linked|paperclip|paperclips', 7, 76, 0.7, 0],
+  ['📏', 'straight ruler', 'angle|edge|math|ruler|straight|straightedge', 7, 76, 0.6, 0],
+  ['📐', 'triangular ruler', 'angle|math|rule|ruler|set|slide|triangle|triangular', 7, 76, 0.6, 0],
+  ['✂️', 'scissors', 'cut|cutting|paper|tool', 7, 76, 0.6, 0],
+  ['🗃️', 'card file box', 'box|card|file', 7, 76, 0.7, 0],
+  ['🗄️', 'file cabinet', 'cabinet|file|filing|paper', 7, 76, 0.7, 0],
+  ['🗑️', 'wastebasket', 'can|garbage|trash|waste', 7, 76, 0.7, 0],
+  ['🔒', 'locked', 'closed|lock|private', 7, 77, 0.6, 0],
+  ['🔓', 'unlocked', 'cracked|lock|open|unlock', 7, 77, 0.6, 0],
+  ['🔏', 'locked with pen', 'ink|lock|locked|nib|pen|privacy', 7, 77, 0.6, 0],
+  ['🔐', 'locked with key', 'bike|closed|key|lock|locked|secure', 7, 77, 0.6, 0],
+  ['🔑', 'key', 'keys|lock|major|password|unlock', 7, 77, 0.6, 0],
+  ['🗝️', 'old key', 'clue|key|lock|old', 7, 77, 0.7, 0],
+  ['🔨', 'hammer', 'home|improvement|repairs|tool', 7, 78, 0.6, 0],
+  ['🪓', 'axe', 'ax|chop|hatchet|split|wood', 7, 78, 12, 0],
+  ['⛏️', 'pick', 'hammer|mining|tool', 7, 78, 0.7, 0],
+  ['⚒️', 'hammer and pick', 'hammer|pick|tool', 7, 78, 1, 0],
+  ['🛠️', 'hammer and wrench', 'hammer|spanner|tool|wrench', 7, 78, 0.7, 0],
+  ['🗡️', 'dagger', 'knife|weapon', 7, 78, 0.7, 0],
+  ['⚔️', 'crossed swords', 'crossed|swords|weapon', 7, 78, 1, 0],
+  ['💣', 'bomb', 'boom|comic|dangerous|explosion|hot', 7, 78, 0.6, 0],
+  ['🪃', 'boomerang', 'rebound|repercussion|weapon', 7, 78, 13, 0],
+  ['🏹', 'bow and arrow', 'archer|archery|arrow|bow|sagittarius|tool|weapon|zodiac', 7, 78, 1, 0],
+  ['🛡️', 'shield', 'weapon', 7, 78, 0.7, 0],
+  ['🪚', 'carpentry saw', 'carpenter|carpentry|cut|lumber|saw|tool|trim', 7, 78, 13, 0],
+  ['🔧', 'wrench', 'home|improvement|spanner|tool', 7, 78, 0.6, 0],
+  ['🪛', 'screwdriver', 'flathead|handy|screw|tool', 7, 78, 13, 0],
+  ['🔩', 'nut and bolt', 'bolt|home|improvement|nut|tool', 7, 78, 0.6, 0],
+  ['⚙️', 'gear', 'cog|cogwheel|tool', 7, 78, 1, 0],
+  ['🗜️', 'clamp', 'compress|tool|vice', 7, 78, 0.7, 0],
+  ['⚖️', 'balance scale', 'balance|justice|libra|scale|scales|tool|weight|zodiac', 7, 78, 1, 0],
+  ['🦯', 'white cane', 'accessibility|blind|cane|probing|white', 7, 78, 12, 0],
+  ['🔗', 'link', 'links', 7, 78, 0.6, 0],
+  ['⛓️‍💥', 'broken chain', 'break|breaking|broken|chain|cuffs|freedom', 7, 78, 15.1, 0],
+  ['⛓️', 'chains', 'chain', 7, 78, 0.7, 0],
+  ['🪝', 'hook', 'catch|crook|curve|ensnare|point|selling', 7, 78, 13, 0],
+  ['🧰', 'toolbox', 'box|chest|mechanic|red|tool', 7, 78, 11, 0],
+  ['🧲', 'magnet', 'attraction|horseshoe|magnetic|negative|positive|shape|u', 7, 78, 11, 0],
+  ['🪜', 'ladder', 'climb|rung|step', 7, 78, 13, 0],
+  ['🪏', 'shovel', 'bury|dig|garden|hole|plant|scoop|snow|spade', 7, 78, 16, 0],
+  ['⚗️', 'alembic', 'chemistry|tool', 7, 79, 1, 0],
+  ['🧪', 'test tube', 'chemist|chemistry|experiment|lab|science|test|tube', 7, 79, 11, 0],
+  ['🧫', 'petri dish', 'bacteria|biologist|biology|culture|dish|lab|petri', 7, 79, 11, 0],
+  ['🧬', 'dna', 'biologist|evolution|gene|genetics|life', 7, 79, 11, 0],
+  ['🔬', 'microscope', 'experiment|lab|science|tool', 7, 79, 1, 0],
+  ['🔭', 'telescope', 'contact|extraterrestrial|science|tool', 7, 79, 1, 0],
+  ['📡', 'satellite antenna', 'aliens|antenna|contact|dish|satellite|science', 7, 79, 0.6, 0],
+  ['💉', 'syringe', 'doctor|flu|medicine|needle|shot|sick|tool|vaccination', 7, 80, 0.6, 0],
+  ['🩸', 'drop of blood', 'bleed|blood|donation|drop|injury|medicine|menstruation', 7, 80, 12, 0],
+  ['💊', 'pill', 'doctor|drugs|medicated|medicine|pills|sick|vitamin', 7, 80, 0.6, 0],
+  ['🩹', 'adhesive bandage', 'adhesive|bandage', 7, 80, 12, 0],
+  ['🩼', 'crutch', 'aid|cane|disability|help|hurt|injured|mobility|stick', 7, 80, 14, 0],
+  ['🩺', 'stethoscope', 'doctor|heart|medicine', 7, 80, 12, 0],
+  ['🩻', 'x-ray', 'bones|doctor|medical|skeleton|skull|xray', 7, 80, 14, 0],
+  ['🚪', 'door', 'back|closet|front', 7, 81, 0.6, 0],
+  ['🛗', 'elevator', 'accessibility|hoist|lift', 7, 81, 13, 0],
+  ['🪞', 'mirror', 'makeup|reflection|reflector|speculum', 7, 81, 13, 0],
+  ['🪟', 'window', 'air|frame|fresh|opening|transparent|view', 7, 81, 13, 0],
+  ['🛏️', 'bed', 'hotel|sleep', 7, 81, 0.7, 0],
+  ['🛋️', 'couch and lamp', 'couch|hotel|lamp', 7, 81, 0.7, 0],
+  ['🪑', 'chair', 'seat|sit', 7, 81, 12, 0],
+  ['🚽', 'toilet', 'bathroom', 7, 81, 0.6, 0],
+  ['🪠', 'plunger', 'cup|force|plumber|poop|suction|toilet', 7, 81, 13, 0],
+  ['🚿', 'shower', 'water', 7, 81, 1, 0],
+  ['🛁', 'bathtub', 'bath', 7, 81, 1, 0],
+  ['🪤', 'mouse trap', 'bait|cheese|lure|mouse|mousetrap|snare|trap', 7, 81, 13, 0],
+  ['🪒', 'razor', 'sharp|shave', 7, 81, 12, 0],
+  ['🧴', 'lotion bottle', 'bottle|lotion|moisturizer|shampoo|sunscreen', 7, 81, 11, 0],
+  ['🧷', 'safety pin', 'diaper|pin|punk|rock|safety', 7, 81, 11, 0],
+  ['🧹', 'broom', 'cleaning|sweeping|witch', 7, 81, 11, 0],
+  ['🧺', 'basket', 'farming|laundry|picnic', 7, 81, 11, 0],
+  ['🧻', 'roll of paper', 'paper|roll|toilet|towels', 7, 81, 11, 0],
+  ['🪣', 'bucket', 'cask|pail|vat', 7, 81, 13, 0],
+  ['🧼', 'soap', 'bar|bathing|clean|cleaning|lather|soapdish', 7, 81, 11, 0],
+  ['🫧', 'bubbles', 'bubble|burp|clean|floating|pearl|soap|underwater', 7, 81, 14, 0],
+  ['🪥', 'toothbrush', 'bathroom|brush|clean|dental|hygiene|teeth|toiletry', 7, 81, 13, 0],
+  ['🧽', 'sponge', 'absorbing|cleaning|porous|soak', 7, 81, 11, 0],
+  ['🧯', 'fire extinguisher', 'extinguish|extinguisher|fire|quench', 7, 81, 11, 0],
+  ['🛒', 'shopping cart', 'cart|shopping|trolley', 7, 81, 3, 0],
+  ['🚬', 'cigarette', 'smoking', 7, 82, 0.6, 0],
+  ['⚰️', 'coffin', 'dead|death|vampire', 7, 82, 1, 0],
+  ['🪦', 'headstone', 'cemetery|dead|grave|graveyard|memorial|rip|tomb|tombstone', 7, 82, 13, 0],
+  ['⚱️', 'funeral urn', 'ashes|death|funeral|urn', 7, 82, 1, 0],
+  ['🧿', 'nazar amulet', 'amulet|bead|blue|charm|evil-eye|nazar|talisman', 7, 82, 11, 0],
+  ['🪬', 'hamsa', 'amulet|fatima|fortune|guide|hand|mary|miriam|palm|protect|protection', 7, 82, 14, 0],
+  ['🗿', 'moai', 'face|moyai|statue|stoneface|travel', 7, 82, 0.6, 0],
+  ['🪧', 'placard', 'card|demonstration|notice|picket|plaque|protest|sign', 7, 82, 13, 0],
+  ['🪪', 'identification card', 'card|credentials|document|id|identification|license|security', 7, 82, 14, 0],
+  ['🏧', 'ATM sign', 'atm|automated|bank|cash|money|sign|teller', 8, 83, 0.6, 0],
+  ['🚮', 'litter in bin sign', 'bin|litter|litterbin|sign', 8, 83, 1, 0],
+  ['🚰', 'potable water', 'drinking|potable|water', 8, 83, 1, 0],
+  ['♿', 'wheelchair symbol', 'access|handicap|symbol|wheelchair', 8, 83, 0.6, 0],
+  ['🚹', 'men’s room', 'bathroom|lavatory|man|men’s|restroom|room|toilet|wc', 8, 83, 0.6, 0],
+  ['🚺', 'women’s room', 'bathroom|lavatory|restroom|room|toilet|wc|woman|women’s', 8, 83, 0.6, 0],
+  ['🚻', 'restroom', 'bathroom|lavatory|toilet|wc', 8, 83, 0.6, 0],
+  ['🚼', 'baby symbol', 'baby|changing|symbol', 8, 83, 0.6, 0],
+  ['🚾', 'water closet', 'bathroom|closet|lavatory|restroom|toilet|water|wc', 8, 83, 0.6, 0],
+  ['🛂', 'passport control', 'control|passport', 8, 83, 1, 0],
+  ['🛃', 'customs', 'packing', 8, 83, 1, 0],
+  ['🛄', 'baggage claim', 'arrived|baggage|bags|case|checked|claim|journey|packing|plane|ready|travel|trip', 8, 83, 1, 0],
+  ['🛅', 'left luggage', 'baggage|case|left|locker|luggage', 8, 83, 1, 0],
+  ['⚠️', 'warning', 'caution', 8, 84, 0.6, 0],
+  ['🚸', 'children crossing', 'child|children|crossing|pedestrian|traffic', 8, 84, 1, 0],
+  ['⛔', 'no entry', 'do|entry|fail|forbidden|no|not|pass|prohibited|traffic', 8, 84, 0.6, 0],
+  ['🚫', 'prohibited', 'entry|forbidden|no|not|smoke', 8, 84, 0.6, 0],
+  ['🚳', 'no bicycles', 'bicycle|bicycles|bike|forbidden|no|not|prohibited', 8, 84, 1, 0],
+  ['🚭', 'no smoking', 'forbidden|no|not|prohibited|smoke|smoking', 8, 84, 0.6, 0],
+  ['🚯', 'no littering', 'forbidden|litter|littering|no|not|prohibited', 8, 84, 1, 0],
+  ['🚱', 'non-potable water', 'dry|non-drinking|non-potable|prohibited|water', 8, 84, 1, 0],
+  ['🚷', 'no pedestrians', 'forbidden|no|not|pedestrian|pedestrians|prohibited', 8, 84, 1, 0],
+  ['📵', 'no mobile phones', 'cell|forbidden|mobile|no|not|phone|phones|prohibited|telephone', 8, 84, 1, 0],
+  ['🔞', 'no one under eighteen', '18|age|eighteen|forbidden|no|not|one|prohibited|restriction|underage', 8, 84, 0.6, 0],
+  ['☢️', 'radioactive', 'sign', 8, 84, 1, 0],
+  ['☣️', 'biohazard', 'sign', 8, 84, 1, 0],
+  ['⬆️', 'up arrow', 'arrow|cardinal|direction|north|up', 8, 85, 0.6, 0],
+  ['↗️', 'up-right arrow', 'arrow|direction|intercardinal|northeast|up-right', 8, 85, 0.6, 0],
+  ['➡️', 'right arrow', 'arrow|cardinal|direction|east|right', 8, 85, 0.6, 0],
+  ['↘️', 'down-right arrow', 'arrow|direction|down-right|intercardinal|southeast', 8, 85, 0.6, 0],
+  ['⬇️', 'down arrow', 'arrow|cardinal|direction|down|south', 8, 85, 0.6, 0],
+  ['↙️', 'down-left arrow', 'arrow|direction|down-left|intercardinal|southwest', 8, 85, 0.6, 0],
+  ['⬅️', 'left arrow', 'arrow|cardinal|direction|left|west', 8, 85, 0.6, 0],
+  ['↖️', 'up-left arrow', 'arrow|direction|intercardinal|northwest|up-left', 8, 85, 0.6, 0],
+  ['↕️', 'up-down arrow', 'arrow|up-down', 8, 85, 0.6, 0],
+  ['↔️', 'left-right arrow', 'arrow|left-right', 8, 85, 0.6, 0],
+  ['↩️', 'right arrow curving left', 'arrow|curving|left|right', 8, 85, 0.6, 0],
+  ['↪️', 'left arrow curving right', 'arrow|curving|left|right', 8, 85, 0.6, 0],
+  ['⤴️', 'right arrow curving up', 'arrow|curving|right|up', 8, 85, 0.6, 0],
+  ['⤵️', 'right arrow curving down', 'arrow|curving|down|right', 8, 85, 0.6, 0],
+  ['🔃', 'clockwise vertical arrows', 'arrow|arrows|clockwise|refresh|reload|vertical', 8, 85, 0.6, 0],
+  ['🔄', 'counterclockwise arrows button', 'again|anticlockwise|arrow|arrows|button|counterclockwise|deja|refresh|rewindershins|vu', 8, 85, 1, 0],
+  ['🔙', 'BACK arrow', 'arrow|back', 8, 85, 0.6, 0],
+  ['🔚', 'END arrow', 'arrow|end', 8, 85, 0.6, 0],
+  ['🔛', 'ON! arrow', 'arrow|mark|on!', 8, 85, 0.6, 0],
+  ['🔜', 'SOON arrow', 'arrow|brb|omw|soon', 8, 85, 0.6, 0],
+  ['🔝', 'TOP arrow', 'arrow|homie|top|up', 8, 85, 0.6, 0],
+  ['🛐', 'place of worship', 'place|pray|religion|worship', 8, 86, 1, 0],
+  ['⚛️', 'atom symbol', 'atheist|atom|symbol', 8, 86, 1, 0],
+  ['🕉️', 'om', 'hindu|religion', 8, 86, 0.7, 0],
+  ['✡️', 'star of David', 'david|jew|jewish|judaism|religion|star', 8, 86, 0.7, 0],
+  ['☸️', 'wheel of dharma', 'buddhist|dharma|religion|wheel', 8, 86, 0.7, 0],
+  ['☯️', 'yin yang', 'difficult|lives|religion|tao|taoist|total|yang|yin|yinyang', 8, 86, 0.7, 0],
+  ['✝️', 'latin cross', 'christ|christian|cross|latin|religion', 8, 86, 0.7, 0],
+  ['☦️', 'orthodox cross', 'christian|cross|orthodox|religion', 8, 86, 1, 0],
+  ['☪️', 'star and crescent', 'crescent|islam|muslim|ramadan|religion|star', 8, 86, 0.7, 0],
+  ['☮️', 'peace symbol', 'healing|peace|peaceful|symbol', 8, 86, 1, 0],
+  ['🕎', 'menorah', 'candelabrum|candlestick|hanukkah|jewish|judaism|religion', 8, 86, 1, 0],
+  ['🔯', 'dotted six-pointed star', 'dotted|fortune|jewish|judaism|six-pointed|star', 8, 86, 0.6, 0],
+  ['🪯', 'khanda', 'deg|fateh|khalsa|religion|sikh|sikhism|tegh', 8, 86, 15, 0],
+  ['♈', 'Aries', 'aries|horoscope|ram|zodiac', 8, 87, 0.6, 0],
+  ['♉', 'Taurus', 'bull|horoscope|ox|taurus|zodiac', 8, 87, 0.6, 0],
+  ['♊', 'Gemini', 'gemini|horoscope|twins|zodiac', 8, 87, 0.6, 0],
+  ['♋', 'Cancer', 'cancer|crab|horoscope|zodiac', 8, 87, 0.6, 0],
+  ['♌', 'Leo', 'horoscope|leo|lion|zodiac', 8, 87, 0.6, 0],
+  ['♍', 'Virgo', 'horoscope|virgo|zodiac', 8, 87, 0.6, 0],
+  ['♎', 'Libra', 'balance|horoscope|justice|libra|scales|zodiac', 8, 87, 0.6, 0],
+  ['♏', 'Scorpio', 'horoscope|scorpio|scorpion|scorpius|zodiac', 8, 87, 0.6, 0],
+  ['♐', 'Sagittarius', 'archer|horoscope|sagittarius|zodiac', 8, 87, 0.6, 0],
+  ['♑', 'Capricorn', 'capricorn|goat|horoscope|zodiac', 8, 87, 0.6, 0],
+  ['♒', 'Aquarius', 'aquarius|bearer|horoscope|water|zodiac', 8, 87, 0.6, 0],
+  ['♓', 'Pisces', 'fish|horoscope|pisces|zodiac', 8, 87, 0.6, 0],
+  ['⛎', 'Ophiuchus', 'bearer|ophiuchus|serpent|snake|zodiac', 8, 87, 0.6, 0],
+  ['🔀', 'shuffle tracks button', 'arrow|button|crossed|shuffle|tracks', 8, 88, 1, 0],
+  ['🔁', 'repeat button', 'arrow|button|clockwise|repeat', 8, 88, 1, 0],
+  ['🔂', 'repeat single button', 'arrow|button|clockwise|once|repeat|single', 8, 88, 1, 0],
+  ['▶️', 'play button', 'arrow|button|play|right|triangle', 8, 88, 0.6, 0],
+  ['⏩', 'fast-forward button', 'arrow|button|double|fast|fast-forward|forward', 8, 88, 0.6, 0],
+  ['⏭️', 'next track button', 'arrow|button|next|scene|track|triangle', 8, 88, 0.7, 0],
+  ['⏯️', 'play or pause button', 'arrow|button|pause|play|right|triangle', 8, 88, 1, 0],
+  ['◀️', 'reverse button', 'arrow|button|left|reverse|triangle', 8, 88, 0.6, 0],
+  ['⏪', 'fast reverse button', 'arrow|button|double|fast|reverse|rewind', 8, 88, 0.6, 0],
+  ['⏮️', 'last track button', 'arrow|button|last|previous|scene|track|triangle', 8, 88, 0.7, 0],
+  ['🔼', 'upwards button', 'arrow|button|red|up|upwards', 8, 88, 0.6, 0],
+  ['⏫', 'fast up button', 'arrow|button|double|fast|up', 8, 88, 0.6, 0],
+  ['🔽', 'downwards button', 'arrow|button|down|downwards|red', 8, 88, 0.6, 0],
+  ['⏬', 'fast down button', 'arrow|button|double|down|fast', 8, 88, 0.6, 0],
+  ['⏸️', 'pause button', 'bar|button|double|pause|vertical', 8, 88, 0.7, 0],
+  ['⏹️', 'stop button', 'button|square|stop', 8, 88, 0.7, 0],
+  ['⏺️', 'record button', 'button|circle|record', 8, 88, 0.7, 0],
+  ['⏏️', 'eject button', 'button|eject', 8, 88, 1, 0],
+  ['🎦', 'cinema', 'camera|film|movie', 8, 88, 0.6, 0],
+  ['🔅', 'dim button', 'brightness|button|dim|low', 8, 88, 1, 0],
+  ['🔆', 'bright button', 'bright|brightness|button|light', 8, 88, 1, 0],
+  ['📶', 'antenna bars', 'antenna|bar|bars|cell|communication|mobile|phone|signal|telephone', 8, 88, 0.6, 0],
+  ['🛜', 'wireless', 'broadband|computer|connectivity|hotspot|internet|network|router|smartphone|wi-fi|wifi|wlan', 8, 88, 15, 0],
+  ['📳', 'vibration mode', 'cell|communication|mobile|mode|phone|telephone|vibration', 8, 88, 0.6, 0],
+  ['📴', 'mobile phone off', 'cell|mobile|off|phone|telephone', 8, 88, 0.6, 0],
+  ['♀️', 'female sign', 'female|sign|woman', 8, 89, 4, 0],
+  ['♂️', 'male sign', 'male|man|sign', 8, 89, 4, 0],
+  ['⚧️', 'transgender symbol', 'symbol|transgender', 8, 89, 13, 0],
+  ['✖️', 'multiply', 'cancel|multiplication|sign|x|×', 8, 90, 0.6, 0],
+  ['➕', 'plus', '+', 8, 90, 0.6, 0],
+  ['➖', 'minus', '-|heavy|math|sign|−', 8, 90, 0.6, 0],
+  ['➗', 'divide', 'division|heavy|math|sign|÷', 8, 90, 0.6, 0],
+  ['🟰', 'heavy equals sign', 'answer|equal|equality|equals|heavy|math|sign', 8, 90, 14, 0],
+  ['♾️', 'infinity', 'forever|unbounded|universal', 8, 90, 11, 0],
+  ['‼️', 'double exclamation mark', '!|!!|bangbang|double|exclamation|mark|punctuation', 8, 91, 0.6, 0],
+  ['⁉️', 'exclamation question mark', '!|!?|?|exclamation|interrobang|mark|punctuation|question', 8, 91, 0.6, 0],
+  ['❓', 'red question mark', '?|mark|punctuation|question|red', 8, 91, 0.6, 0],
+  ['❔', 'white question mark', '?|mark|outlined|punctuation|question|white', 8, 91, 0.6, 0],
+  ['❕', 'white exclamation mark', '!|exclamation|mark|outlined|punctuation|white', 8, 91, 0.6, 0],
+  ['❗', 'red exclamation mark', '!|exclamation|mark|punctuation|red', 8, 91, 0.6, 0],
+  ['〰️', 'wavy dash', 'dash|punctuation|wavy', 8, 91, 0.6, 0],
+  ['💱', 'currency exchange', 'bank|currency|exchange|money', 8, 92, 0.6, 0],
+  ['💲', 'heavy dollar sign', 'billion|cash|charge|currency|dollar|heavy|million|money|pay|sign', 8, 92, 0.6, 0],
+  ['⚕️', 'medical symbol', 'aesculapius|medical|medicine|staff|symbol', 8, 93, 4, 0],
+  ['♻️', 'recycling symbol', 'recycle|recycling|symbol', 8, 93, 0.6, 0],
+  ['⚜️', 'fleur-de-lis', 'knights', 8, 93, 1, 0],
+  ['🔱', 'trident emblem', 'anchor|emblem|poseidon|ship|tool|trident', 8, 93, 0.6, 0],
+  ['📛', 'name badge', 'badge|name', 8, 93, 0.6, 0],
+  ['🔰', 'Japanese symbol for beginner', 'beginner|chevron|green|japanese|leaf|symbol|tool|yellow', 8, 93, 0.6, 0],
+  ['⭕', 'hollow red circle', 'circle|heavy|hollow|large|o|red', 8, 93, 0.6, 0],
+  ['✅', 'check mark button', 'button|check|checked|checkmark|complete|completed|done|fixed|mark|tick|✓', 8, 93, 0.6, 0],
+  ['☑️', 'check box with check', 'ballot|box|check|checked|done|off|tick|✓', 8, 93, 0.6, 0],
+  ['✔️', 'check mark', 'check|checked|checkmark|done|heavy|mark|tick|✓', 8, 93, 0.6, 0],
+  ['❌', 'cross mark', 'cancel|cross|mark|multiplication|multiply|x|×', 8, 93, 0.6, 0],
+  ['❎', 'cross mark button', 'button|cross|mark|multiplication|multiply|square|x|×', 8, 93, 0.6, 0],
+  ['➰', 'curly loop', 'curl|curly|loop', 8, 93, 0.6, 0],
+  ['➿', 'double curly loop', 'curl|curly|double|loop', 8, 93, 1, 0],
+  ['〽️', 'part alternation mark', 'alternation|mark|part', 8, 93, 0.6, 0],
+  ['✳️', 'eight-spoked asterisk', '*|asterisk|eight-spoked', 8, 93, 0.6, 0],
+  ['✴️', 'eight-pointed star', '*|eight-pointed|star', 8, 93, 0.6, 0],
+  ['❇️', 'sparkle', '*', 8, 93, 0.6, 0],
+  ['©️', 'copyright', 'c', 8, 93, 0.6, 0],
+  ['®️', 'registered', 'r', 8, 93, 0.6, 0],
+  ['™️', 'trade mark', 'mark|tm|trade|trademark', 8, 93, 0.6, 0],
+  ['🫟', 'splatter', 'drip|holi|ink|liquid|mess|paint|spill|stain', 8, 93, 16, 0],
+  ['#️⃣', 'keycap: #', 'keycap', 8, 94, 0.6, 0],
+  ['*️⃣', 'keycap: *', 'keycap', 8, 94, 2, 0],
+  ['0️⃣', 'keycap: 0', '0|keycap|zero', 8, 94, 0.6, 0],
+  ['1️⃣', 'keycap: 1', '1|keycap|one', 8, 94, 0.6, 0],
+  ['2️⃣', 'keycap: 2', '2|keycap|two', 8, 94, 0.6, 0],
+  ['3️⃣', 'keycap: 3', '3|keycap|three', 8, 94, 0.6, 0],
+  ['4️⃣', 'keycap: 4', '4|four|keycap', 8, 94, 0.6, 0],
+  ['5️⃣', 'keycap: 5', '5|five|keycap', 8, 94, 0.6, 0],
+  ['6️⃣', 'keycap: 6', '6|keycap|six', 8, 94, 0.6, 0],
+  ['7️⃣', 'keycap: 7', '7|keycap|seven', 8, 94, 0.6, 0],
+  ['8️⃣', 'keycap: 8', '8|eight|keycap', 8, 94, 0.6, 0],
+  ['9️⃣', 'keycap: 9', '9|keycap|nine', 8, 94, 0.6, 0],
+  ['🔟', 'keycap: 10', 'keycap', 8, 94, 0.6, 0],
+  ['🔠', 'input latin uppercase', 'abcd|input|latin|letters|uppercase', 8, 95, 0.6, 0],
+  ['🔡', 'input latin lowercase', 'abcd|input|latin|letters|lowercase', 8, 95, 0.6, 0],
+  ['🔢', 'input numbers', '1234|input|numbers', 8, 95, 0.6, 0],
+  ['🔣', 'input symbols', '%|&|input|symbols|♪|〒', 8, 95, 0.6, 0],
+  ['🔤', 'input latin letters', 'abc|alphabet|input|latin|letters', 8, 95, 0.6, 0],
+  ['🅰️', 'A button (blood type)', 'blood|button|type', 8, 95, 0.6, 0],
+  ['🆎', 'AB button (blood type)', 'ab|blood|button|type', 8, 95, 0.6, 0],
+  ['🅱️', 'B button (blood type)', 'b|blood|button|type', 8, 95, 0.6, 0],
+  ['🆑', 'CL button', 'button|cl', 8, 95, 0.6, 0],
+  ['🆒', 'COOL button', 'button|cool', 8, 95, 0.6, 0],
+  ['🆓', 'FREE button', 'button|free', 8, 95, 0.6, 0],
+  ['ℹ️', 'information', 'i', 8, 95, 0.6, 0],
+  ['🆔', 'ID button', 'button|id|identity', 8, 95, 0.6, 0],
+  ['Ⓜ️', 'circled M', 'circle|circled|m', 8, 95, 0.6, 0],
+  ['🆕', 'NEW button', 'button|new', 8, 95, 0.6, 0],
+  ['🆖', 'NG button', 'button|ng', 8, 95, 0.6, 0],
+  ['🅾️', 'O button (blood type)', 'blood|button|o|type', 8, 95, 0.6, 0],
+  ['🆗', 'OK button', 'button|ok|okay', 8, 95, 0.6, 0],
+  ['🅿️', 'P button', 'button|p|parking', 8, 95, 0.6, 0],
+  ['🆘', 'SOS button', 'button|help|sos', 8, 95, 0.6, 0],
+  ['🆙', 'UP! button', 'button|mark|up|up!', 8, 95, 0.6, 0],
+  ['🆚', 'VS button', 'button|versus|vs', 8, 95, 0.6, 0],
+  ['🈁', 'Japanese “here” button', 'button|here|japanese|katakana', 8, 95, 0.6, 0],
+  ['🈂️', 'Japanese “service charge” button', 'button|charge|japanese|katakana|service', 8, 95, 0.6, 0],
+  ['🈷️', 'Japanese “monthly amount” button', 'amount|button|ideograph|japanese|monthly', 8, 95, 0.6, 0],
+  ['🈶', 'Japanese “not free of charge” button', 'button|charge|free|ideograph|japanese|not', 8, 95, 0.6, 0],
+  ['🈯', 'Japanese “reserved” button', 'button|ideograph|japanese|reserved', 8, 95, 0.6, 0],
+  ['🉐', 'Japanese “bargain” button', 'bargain|button|ideograph|japanese', 8, 95, 0.6, 0],
+  ['🈹', 'Japanese “discount” button', 'button|discount|ideograph|japanese', 8, 95, 0.6, 0],
+  ['🈚', 'Japanese “free of charge” button', 'button|charge|free|ideograph|japanese', 8, 95, 0.6, 0],
+  ['🈲', 'Japanese “prohibited” button', 'button|ideograph|japanese|prohibited', 8, 95, 0.6, 0],
+  ['🉑', 'Japanese “acceptable” button', 'acceptable|button|ideograph|japanese', 8, 95, 0.6, 0],
+  ['🈸', 'Japanese “application” button', 'application|button|ideograph|japanese', 8, 95, 0.6, 0],
+  ['🈴', 'Japanese “passing grade” button', 'button|grade|ideograph|japanese|passing', 8, 95, 0.6, 0],
+  ['🈳', 'Japanese “vacancy” button', 'button|ideograph|japanese|vacancy', 8, 95, 0.6, 0],
+  ['㊗️', 'Japanese “congratulations” button', 'button|congratulations|ideograph|japanese', 8, 95, 0.6, 0],
+  ['㊙️', 'Japanese “secret” button', 'button|ideograph|japanese|secret', 8, 95, 0.6, 0],
+  ['🈺', 'Japanese “open for business” button', 'business|button|ideograph|japanese|open', 8, 95, 0.6, 0],
+  ['🈵', 'Japanese “no vacancy” button', 'button|ideograph|japanese|no|vacancy', 8, 95, 0.6, 0],
+  ['🔴', 'red circle', 'circle|geometric|red', 8, 96, 0.6, 0],
+  ['🟠', 'orange circle', 'circle|orange', 8, 96, 12, 0],
+  ['🟡', 'yellow circle', 'circle|yellow', 8, 96, 12, 0],
+  ['🟢', 'green circle', 'circle|green', 8, 96, 12, 0],
+  ['🔵', 'blue circle', 'blue|circle|geometric', 8, 96, 0.6, 0],
+  ['🟣', 'purple circle', 'circle|purple', 8, 96, 12, 0],
+  ['🟤', 'brown circle', 'brown|circle', 8, 96, 12, 0],
+  ['⚫', 'black circle', 'black|circle|geometric', 8, 96, 0.6, 0],
+  ['⚪', 'white circle', 'circle|geometric|white', 8, 96, 0.6, 0],
+  ['🟥', 'red square', 'card|penalty|red|square', 8, 96, 12, 0],
+  ['🟧', 'orange square', 'orange|square', 8, 96, 12, 0],
+  ['🟨', 'yellow square', 'card|penalty|square|yellow', 8, 96, 12, 0],
+  ['🟩', 'green square', 'green|square', 8, 96, 12, 0],
+  ['🟦', 'blue square', 'blue|square', 8, 96, 12, 0],
+  ['🟪', 'purple square', 'purple|square', 8, 96, 12, 0],
+  ['🟫', 'brown square', 'brown|square', 8, 96, 12, 0],
+  ['⬛', 'black large square', 'black|geometric|large|square', 8, 96, 0.6, 0],
+  ['⬜', 'white large square', 'geometric|large|square|white', 8, 96, 0.6, 0],
+  ['◼️', 'black medium square', 'black|geometric|medium|square', 8, 96, 0.6, 0],
+  ['◻️', 'white medium square', 'geometric|medium|square|white', 8, 96, 0.6, 0],
+  ['◾', 'black medium-small square', 'black|geometric|medium-small|square', 8, 96, 0.6, 0],
+  ['◽', 'white medium-small square', 'geometric|medium-small|square|white', 8, 96, 0.6, 0],
+  ['▪️', 'black small square', 'black|geometric|small|square', 8, 96, 0.6, 0],
+  ['▫️', 'white small square', 'geometric|small|square|white', 8, 96, 0.6, 0],
+  ['🔶', 'large orange diamond', 'diamond|geometric|large|orange', 8, 96, 0.6, 0],
+  ['🔷', 'large blue diamond', 'blue|diamond|geometric|large', 8, 96, 0.6, 0],
+  ['🔸', 'small orange diamond', 'diamond|geometric|orange|small', 8, 96, 0.6, 0],
+  ['🔹', 'small blue diamond', 'blue|diamond|geometric|small', 8, 96, 0.6, 0],
+  ['🔺', 'red triangle pointed up', 'geometric|pointed|red|triangle|up', 8, 96, 0.6, 0],
+  ['🔻', 'red triangle pointed down', 'down|geometric|pointed|red|triangle', 8, 96, 0.6, 0],
+  ['💠', 'diamond with a dot', 'comic|diamond|dot|geometric', 8, 96, 0.6, 0],
+  ['🔘', 'radio button', 'button|geometric|radio', 8, 96, 0.6, 0],
+  ['🔳', 'white square button', 'button|geometric|outlined|square|white', 8, 96, 0.6, 0],
+  ['🔲', 'black square button', 'black|button|geometric|square', 8, 96, 0.6, 0],
+  ['🏁', 'chequered flag', 'checkered|chequered|finish|flag|flags|game|race|racing|sport|win', 9, 97, 0.6, 0],
+  ['🚩', 'triangular flag', 'construction|flag|golf|post|triangular', 9, 97, 0.6, 0],
+  ['🎌', 'crossed flags', 'celebration|cross|crossed|flags|japanese', 9, 97, 0.6, 0],
+  ['🏴', 'black flag', 'black|flag|waving', 9, 97, 1, 0],
+  ['🏳️', 'white flag', 'flag|waving|white', 9, 97, 0.7, 0],
+  ['🏳️‍🌈', 'rainbow flag', 'bisexual|flag|gay|genderqueer|glbt|glbtq|lesbian|lgbt|lgbtq|lgbtqia|pride|queer|rainbow|trans|transgender', 9, 97, 4, 0],
+  ['🏳️‍⚧️', 'transgender flag', 'blue|flag|light|pink|transgender|white', 9, 97, 13, 0],
+  ['🏴‍☠️', 'pirate flag', 'flag|jolly|pirate|plunder|roger|treasure', 9, 97, 11, 0],
+  ['🇦🇨', 'flag: Ascension Island', 'AC|flag', 9, 98, 2, 0],
+  ['🇦🇩', 'flag: Andorra', 'AD|flag', 9, 98, 2, 0],
+  ['🇦🇪', 'flag: United Arab Emirates', 'AE|flag', 9, 98, 2, 0],
+  ['🇦🇫', 'flag: Afghanistan', 'AF|flag', 9, 98, 2, 0],
+  ['🇦🇬', 'flag: Antigua & Barbuda', 'AG|flag', 9, 98, 2, 0],
+  ['🇦🇮', 'flag: Anguilla', 'AI|flag', 9, 98, 2, 0],
+  ['🇦🇱', 'flag: Albania', 'AL|flag', 9, 98, 2, 0],
+  ['🇦🇲', 'flag: Armenia', 'AM|flag', 9, 98, 2, 0],
+  ['🇦🇴', 'flag: Angola', 'AO|flag', 9, 98, 2, 0],
+  ['🇦🇶', 'flag: Antarctica', 'AQ|flag', 9, 98, 2, 0],
+  ['🇦🇷', 'flag: Argentina', 'AR|flag', 9, 98, 2, 0],
+  ['🇦🇸', 'flag: American Samoa', 'AS|flag', 9, 98, 2, 0],
+  ['🇦🇹', 'flag: Austria', 'AT|flag', 9, 98, 2, 0],
+  ['🇦🇺', 'flag: Australia', 'AU|flag', 9, 98, 2, 0],
+  ['🇦🇼', 'flag: Aruba', 'AW|flag', 9, 98, 2, 0],
+  ['🇦🇽', 'flag: Åland Islands', 'AX|flag', 9, 98, 2, 0],
+  ['🇦🇿', 'flag: Azerbaijan', 'AZ|flag', 9, 98, 2, 0],
+  ['🇧🇦', 'flag: Bosnia & Herzegovina', 'BA|flag', 9, 98, 2, 0],
+  ['🇧🇧', 'flag: Barbados', 'BB|flag', 9, 98, 2, 0],
+  ['🇧🇩', 'flag: Bangladesh', 'BD|flag', 9, 98, 2, 0],
+  ['🇧🇪', 'flag: Belgium', 'BE|flag', 9, 98, 2, 0],
+  ['🇧🇫', 'flag: Burkina Faso', 'BF|flag', 9, 98, 2, 0],
+  ['🇧🇬', 'flag: Bulgaria', 'BG|flag', 9, 98, 2, 0],
+  ['🇧🇭', 'flag: Bahrain', 'BH|flag', 9, 98, 2, 0],
+  ['🇧🇮', 'flag: Burundi', 'BI|flag', 9, 98, 2, 0],
+  ['🇧🇯', 'flag: Benin', 'BJ|flag', 9, 98, 2, 0],
+  ['🇧🇱', 'flag: St. Barthélemy', 'BL|flag', 9, 98, 2, 0],
+  ['🇧🇲', 'flag: Bermuda', 'BM|flag', 9, 98, 2, 0],
+  ['🇧🇳', 'flag: Brunei', 'BN|flag', 9, 98, 2, 0],
+  ['🇧🇴', 'flag: Bolivia', 'BO|flag', 9, 98, 2, 0],
+  ['🇧🇶', 'flag: Caribbean Netherlands', 'BQ|flag', 9, 98, 2, 0],
+  ['🇧🇷', 'flag: Brazil', 'BR|flag', 9, 98, 2, 0],
+  ['🇧🇸', 'flag: Bahamas', 'BS|flag', 9, 98, 2, 0],
+  ['🇧🇹', 'flag: Bhutan', 'BT|flag', 9, 98, 2, 0],
+  ['🇧🇻', 'flag: Bouvet Island', 'BV|flag', 9, 98, 2, 0],
+  ['🇧🇼', 'flag: Botswana', 'BW|flag', 9, 98, 2, 0],
+  ['🇧🇾', 'flag: Belarus', 'BY|flag', 9, 98, 2, 0],
+  ['🇧🇿', 'flag: Belize', 'BZ|flag', 9, 98, 2, 0],
+  ['🇨🇦', 'flag: Canada', 'CA|flag', 9, 98, 2, 0],
+  ['🇨🇨', 'flag: Cocos (Keeling) Islands', 'CC|flag', 9, 98, 2, 0],
+  ['🇨🇩', 'flag: Congo - Kinshasa', 'CD|flag', 9, 98, 2, 0],
+  ['🇨🇫', 'flag: Central African Republic', 'CF|flag', 9, 98, 2, 0],
+  ['🇨🇬', 'flag: Congo - Brazzaville', 'CG|flag', 9, 98, 2, 0],
+  ['🇨🇭', 'flag: Switzerland', 'CH|flag', 9, 98, 2, 0],
+  ['🇨🇮', 'flag: Côte d’Ivoire', 'CI|flag', 9, 98, 2, 0],
+  ['🇨🇰', 'flag: Cook Islands', 'CK|flag', 9, 98, 2, 0],
+  ['🇨🇱', 'flag: Chile', 'CL|flag', 9, 98, 2, 0],
+  ['🇨🇲', 'flag: Cameroon', 'CM|flag', 9, 98, 2, 0],
+  ['🇨🇳', 'flag: China', 'CN|flag', 9, 98, 0.6, 0],
+  ['🇨🇴', 'flag: Colombia', 'CO|flag', 9, 98, 2, 0],
+  ['🇨🇵', 'flag: Clipperton Island', 'CP|flag', 9, 98, 2, 0],
+  ['🇨🇶', 'flag: Sark', 'CQ|flag', 9, 98, 16, 0],
+  ['🇨🇷', 'flag: Costa Rica', 'CR|flag', 9, 98, 2, 0],
+  ['🇨🇺', 'flag: Cuba', 'CU|flag', 9, 98, 2, 0],
+  ['🇨🇻', 'flag: Cape Verde', 'CV|flag', 9, 98, 2, 0],
+  ['🇨🇼', 'flag: Curaçao', 'CW|flag', 9, 98, 2, 0],
+  ['🇨🇽', 'flag: Christmas Island', 'CX|flag', 9, 98, 2, 0],
+  ['🇨🇾', 'flag: Cyprus', 'CY|flag', 9, 98, 2, 0],
+  ['🇨🇿', 'flag: Czechia', 'CZ|flag', 9, 98, 2, 0],
+  ['🇩🇪', 'flag: Germany', 'DE|flag', 9, 98, 0.6, 0],
+  ['🇩🇬', 'flag: Diego Garcia', 'DG|flag', 9, 98, 2, 0],
+  ['🇩🇯', 'flag: Djibouti', 'DJ|flag', 9, 98, 2, 0],
+  ['🇩🇰', 'flag: Denmark', 'DK|flag', 9, 98, 2, 0],
+  ['🇩🇲', 'flag: Dominica', 'DM|flag', 9, 98, 2, 0],
+  ['🇩🇴', 'flag: Dominican Republic', 'DO|flag', 9, 98, 2, 0],
+  ['🇩🇿', 'flag: Algeria', 'DZ|flag', 9, 98, 2, 0],
+  ['🇪🇦', 'flag: Ceuta & Melilla', 'EA|flag', 9, 98, 2, 0],
+  ['🇪🇨', 'flag: Ecuador', 'EC|flag', 9, 98, 2, 0],
+  ['🇪🇪', 'flag: Estonia', 'EE|flag', 9, 98, 2, 0],
+  ['🇪🇬', 'flag: Egypt', 'EG|flag', 9, 98, 2, 0],
+  ['🇪🇭', 'flag: Western Sahara', 'EH|flag', 9, 98, 2, 0],
+  ['🇪🇷', 'flag: Eritrea', 'ER|flag', 9, 98, 2, 0],
+  ['🇪🇸', 'flag: Spain', 'ES|flag', 9, 98, 0.6, 0],
+  ['🇪🇹', 'flag: Ethiopia', 'ET|flag', 9, 98, 2, 0],
+  ['🇪🇺', 'flag: European Union', 'EU|flag', 9, 98, 2, 0],
+  ['🇫🇮', 'flag: Finland', 'FI|flag', 9, 98, 2, 0],
+  ['🇫🇯', 'flag: Fiji', 'FJ|flag', 9, 98, 2, 0],
+  ['🇫🇰', 'flag: Falkland Islands', 'FK|flag', 9, 98, 2, 0],
+  ['🇫🇲', 'flag: Micronesia', 'FM|flag', 9, 98, 2, 0],
+  ['🇫🇴', 'flag: Faroe Islands', 'FO|flag', 9, 98, 2, 0],
+  ['🇫🇷', 'flag: France', 'FR|flag', 9, 98, 0.6, 0],
+  ['🇬🇦', 'flag: Gabon', 'GA|flag', 9, 98, 2, 0],
+  ['🇬🇧', 'flag: United Kingdom', 'GB|flag', 9, 98, 0.6, 0],
+  ['🇬🇩', 'flag: Grenada', 'GD|flag', 9, 98, 2, 0],
+  ['🇬🇪', 'flag: Georgia', 'GE|flag', 9, 98, 2, 0],
+  ['🇬🇫', 'flag: French Guiana', 'GF|flag', 9, 98, 2, 0],
+  ['🇬🇬', 'flag: Guernsey', 'GG|flag', 9, 98, 2, 0],
+  ['🇬🇭', 'flag: Ghana', 'GH|flag', 9, 98, 2, 0],
+  ['🇬🇮', 'flag: Gibraltar', 'GI|flag', 9, 98, 2, 0],
+  ['🇬🇱', 'flag: Greenland', 'GL|flag', 9, 98, 2, 0],
+  ['🇬🇲', 'flag: Gambia', 'GM|flag', 9, 98, 2, 0],
+  ['🇬🇳', 'flag: Guinea', 'GN|flag', 9, 98, 2, 0],
+  ['🇬🇵', 'flag: Guadeloupe', 'GP|flag', 9, 98, 2, 0],
+  ['🇬🇶', 'flag: Equatorial Guinea', 'GQ|flag', 9, 98, 2, 0],
+  ['🇬🇷', 'flag: Greece', 'GR|flag', 9, 98, 2, 0],
+  ['🇬🇸', 'flag: South Georgia & South Sandwich Islands', 'GS|flag', 9, 98, 2, 0],
+  ['🇬🇹', 'flag: Guatemala', 'GT|flag', 9, 98, 2, 0],
+  ['🇬🇺', 'flag: Guam', 'GU|flag', 9, 98, 2, 0],
+  ['🇬🇼', 'flag: Guinea-Bissau', 'GW|flag', 9, 98, 2, 0],
+  ['🇬🇾', 'flag: Guyana', 'GY|flag', 9, 98, 2, 0],
+  ['🇭🇰', 'flag: Hong Kong SAR China', 'HK|flag', 9, 98, 2, 0],
+  ['🇭🇲', 'flag: Heard & McDonald Islands', 'HM|flag', 9, 98, 2, 0],
+  ['🇭🇳', 'flag: Honduras', 'HN|flag', 9, 98, 2, 0],
+  ['🇭🇷', 'flag: Croatia', 'HR|flag', 9, 98, 2, 0],
+  ['🇭🇹', 'flag: Haiti', 'HT|flag', 9, 98, 2, 0],
+  ['🇭🇺', 'flag: Hungary', 'HU|flag', 9, 98, 2, 0],
+  ['🇮🇨', 'flag: Canary Islands', 'IC|flag', 9, 98, 2, 0],
+  ['🇮🇩', 'flag: Indonesia', 'ID|flag', 9, 98, 2, 0],
+  ['🇮🇪', 'flag: Ireland', 'IE|flag', 9, 98, 2, 0],
+  ['🇮🇱', 'flag: Israel', 'IL|flag', 9, 98, 2, 0],
+  ['🇮🇲', 'flag: Isle of Man', 'IM|flag', 9, 98, 2, 0],
+  ['🇮🇳', 'flag: India', 'IN|flag', 9, 98, 2, 0],
+  ['🇮🇴', 'flag: British Indian Ocean Territory', 'IO|flag', 9, 98, 2, 0],
+  ['🇮🇶', 'flag: Iraq', 'IQ|flag', 9, 98, 2, 0],
+  ['🇮🇷', 'flag: Iran', 'IR|flag', 9, 98, 2, 0],
+  ['🇮🇸', 'flag: Iceland', 'IS|flag', 9, 98, 2, 0],
+  ['🇮🇹', 'flag: Italy', 'IT|flag', 9, 98, 0.6, 0],
+  ['🇯🇪', 'flag: Jersey', 'JE|flag', 9, 98, 2, 0],
+  ['🇯🇲', 'flag: Jamaica', 'JM|flag', 9, 98, 2, 0],
+  ['🇯🇴', 'flag: Jordan', 'JO|flag', 9, 98, 2, 0],
+  ['🇯🇵', 'flag: Japan', 'JP|flag', 9, 98, 0.6, 0],
+  ['🇰🇪', 'flag: Kenya', 'KE|flag', 9, 98, 2, 0],
+  ['🇰🇬', 'flag: Kyrgyzstan', 'KG|flag', 9, 98, 2, 0],
+  ['🇰🇭', 'flag: Cambodia', 'KH|flag', 9, 98, 2, 0],
+  ['🇰🇮', 'flag: Kiribati', 'KI|flag', 9, 98, 2, 0],
+  ['🇰🇲', 'flag: Comoros', 'KM|flag', 9, 98, 2, 0],
+  ['🇰🇳', 'flag: St. Kitts & Nevis', 'KN|flag', 9, 98, 2, 0],
+  ['🇰🇵', 'flag: North Korea', 'KP|flag', 9, 98, 2, 0],
+  ['🇰🇷', 'flag: South Korea', 'KR|flag', 9, 98, 0.6, 0],
+  ['🇰🇼', 'flag: Kuwait', 'KW|flag', 9, 98, 2, 0],
+  ['🇰🇾', 'flag: Cayman Islands', 'KY|flag', 9, 98, 2, 0],
+  ['🇰🇿', 'flag: Kazakhstan', 'KZ|flag', 9, 98, 2, 0],
+  ['🇱🇦', 'flag: Laos', 'LA|flag', 9, 98, 2, 0],
+  ['🇱🇧', 'flag: Lebanon', 'LB|flag', 9, 98, 2, 0],
+  ['🇱🇨', 'flag: St. Lucia', 'LC|flag', 9, 98, 2, 0],
+  ['🇱🇮', 'flag: Liechtenstein', 'LI|flag', 9, 98, 2, 0],
+  ['🇱🇰', 'flag: Sri Lanka', 'LK|flag', 9, 98, 2, 0],
+  ['🇱🇷', 'flag: Liberia', 'LR|flag', 9, 98, 2, 0],
+  ['🇱🇸', 'flag: Lesotho', 'LS|flag', 9, 98, 2, 0],
+  ['🇱🇹', 'flag: Lithuania', 'LT|flag', 9, 98, 2, 0],
+  ['🇱🇺', 'flag: Luxembourg', 'LU|flag', 9, 98, 2, 0],
+  ['🇱🇻', 'flag: Latvia', 'LV|flag', 9, 98, 2, 0],
+  ['🇱🇾', 'flag: Libya', 'LY|flag', 9, 98, 2, 0],
+  ['🇲🇦', 'flag: Morocco', 'MA|flag', 9, 98, 2, 0],
+  ['🇲🇨', 'flag: Monaco', 'MC|flag', 9, 98, 2, 0],
+  ['🇲🇩', 'flag: Moldova', 'MD|flag', 9, 98, 2, 0],
+  ['🇲🇪', 'flag: Montenegro', 'ME|flag', 9, 98, 2, 0],
+  ['🇲🇫', 'flag: St. Martin', 'MF|flag', 9, 98, 2, 0],
+  ['🇲🇬', 'flag: Madagascar', 'MG|flag', 9, 98, 2, 0],
+  ['🇲🇭', 'flag: Marshall Islands', 'MH|flag', 9, 98, 2, 0],
+  ['🇲🇰', 'flag: North Macedonia', 'MK|flag', 9, 98, 2, 0],
+  ['🇲🇱', 'flag: Mali', 'ML|flag', 9, 98, 2, 0],
+  ['🇲🇲', 'flag: Myanmar (Burma)', 'MM|flag', 9, 98, 2, 0],
+  ['🇲🇳', 'flag: Mongolia', 'MN|flag', 9, 98, 2, 0],
+  ['🇲🇴', 'flag: Macao SAR China', 'MO|flag', 9, 98, 2, 0],
+  ['🇲🇵', 'flag: Northern Mariana Islands', 'MP|flag', 9, 98, 2, 0],
+  ['🇲🇶', 'flag: Martinique', 'MQ|flag', 9, 98, 2, 0],
+  ['🇲🇷', 'flag: Mauritania', 'MR|flag', 9, 98, 2, 0],
+  ['🇲🇸', 'flag: Montserrat', 'MS|flag', 9, 98, 2, 0],
+  ['🇲🇹', 'flag: Malta', 'MT|flag', 9, 98, 2, 0],
+  ['🇲🇺', 'flag: Mauritius', 'MU|flag', 9, 98, 2, 0],
+  ['🇲🇻', 'flag: Maldives', 'MV|flag', 9, 98, 2, 0],
+  ['🇲🇼', 'flag: Malawi', 'MW|flag', 9, 98, 2, 0],
+  ['🇲🇽', 'flag: Mexico', 'MX|flag', 9, 98, 2, 0],
+  ['🇲🇾', 'flag: Malaysia', 'MY|flag', 9, 98, 2, 0],
+  ['🇲🇿', 'flag: Mozambique', 'MZ|flag', 9, 98, 2, 0],
+  ['🇳🇦', 'flag: Namibia', 'NA|flag', 9, 98, 2, 0],
+  ['🇳🇨', 'flag: New Caledonia', 'NC|flag', 9, 98, 2, 0],
+  ['🇳🇪', 'flag: Niger', 'NE|flag', 9, 98, 2, 0],
+  ['🇳🇫', 'flag: Norfolk Island', 'NF|flag', 9, 98, 2, 0],
+  ['🇳🇬', 'flag: Nigeria', 'NG|flag', 9, 98, 2, 0],
+  ['🇳🇮', 'flag: Nicaragua', 'NI|flag', 9, 98, 2, 0],
+  ['🇳🇱', 'flag: Netherlands', 'NL|flag', 9, 98, 2, 0],
+  ['🇳🇴', 'flag: Norway', 'NO|flag', 9, 98, 2, 0],
+  ['🇳🇵', 'flag: Nepal', 'NP|flag', 9, 98, 2, 0],
+  ['🇳🇷', 'flag: Nauru', 'NR|flag', 9, 98, 2, 0],
+  ['🇳🇺', 'flag: Niue', 'NU|flag', 9, 98, 2, 0],
+  ['🇳🇿', 'flag: New Zealand', 'NZ|flag', 9, 98, 2, 0],
+  ['🇴🇲', 'flag: Oman', 'OM|flag', 9, 98, 2, 0],
+  ['🇵🇦', 'flag: Panama', 'PA|flag', 9, 98, 2, 0],
+  ['🇵🇪', 'flag: Peru', 'PE|flag', 9, 98, 2, 0],
+  ['🇵🇫', 'flag: French Polynesia', 'PF|flag', 9, 98, 2, 0],
+  ['🇵🇬', 'flag: Papua New Guinea', 'PG|flag', 9, 98, 2, 0],
+  ['🇵🇭', 'flag: Philippines', 'PH|flag', 9, 98, 2, 0],
+  ['🇵🇰', 'flag: Pakistan', 'PK|flag', 9, 98, 2, 0],
+  ['🇵🇱', 'flag: Poland', 'PL|flag', 9, 98, 2, 0],
+  ['🇵🇲', 'flag: St. Pierre & Miquelon', 'PM|flag', 9, 98, 2, 0],
+  ['🇵🇳', 'flag: Pitcairn Islands', 'PN|flag', 9, 98, 2, 0],
+  ['🇵🇷', 'flag: Puerto Rico', 'PR|flag', 9, 98, 2, 0],
+  ['🇵🇸', 'flag: Palestinian Territories', 'PS|flag', 9, 98, 2, 0],
+  ['🇵🇹', 'flag: Portugal', 'PT|flag', 9, 98, 2, 0],
+  ['🇵🇼', 'flag: Palau', 'PW|flag', 9, 98, 2, 0],
+  ['🇵🇾', 'flag: Paraguay', 'PY|flag', 9, 98, 2, 0],
+  ['🇶🇦', 'flag: Qatar', 'QA|flag', 9, 98, 2, 0],
+  ['🇷🇪', 'flag: Réunion', 'RE|flag', 9, 98, 2, 0],
+  ['🇷🇴', 'flag: Romania', 'RO|flag', 9, 98, 2, 0],
+  ['🇷🇸', 'flag: Serbia', 'RS|flag', 9, 98, 2, 0],
+  ['🇷🇺', 'flag: Russia', 'RU|flag', 9, 98, 0.6, 0],
+  ['🇷🇼', 'flag: Rwanda', 'RW|flag', 9, 98, 2, 0],
+  ['🇸🇦', 'flag: Saudi Arabia', 'SA|flag', 9, 98, 2, 0],
+  ['🇸🇧', 'flag: Solomon Islands', 'SB|flag', 9, 98, 2, 0],
+  ['🇸🇨', 'flag: Seychelles', 'SC|flag', 9, 98, 2, 0],
+  ['🇸🇩', 'flag: Sudan', 'SD|flag', 9, 98, 2, 0],
+  ['🇸🇪', 'flag: Sweden', 'SE|flag', 9, 98, 2, 0],
+  ['🇸🇬', 'flag: Singapore', 'SG|flag', 9, 98, 2, 0],
+  ['🇸🇭', 'flag: St. Helena', 'SH|flag', 9, 98, 2, 0],
+  ['🇸🇮', 'flag: Slovenia', 'SI|flag', 9, 98, 2, 0],
+  ['🇸🇯', 'flag: Svalbard & Jan Mayen', 'SJ|flag', 9, 98, 2, 0],
+  ['🇸🇰', 'flag: Slovakia', 'SK|flag', 9, 98, 2, 0],
+  ['🇸🇱', 'flag: Sierra Leone', 'SL|flag', 9, 98, 2, 0],
+  ['🇸🇲', 'flag: San Marino', 'SM|flag', 9, 98, 2, 0],
+  ['🇸🇳', 'flag: Senegal', 'SN|flag', 9, 98, 2, 0],
+  ['🇸🇴', 'flag: Somalia', 'SO|flag', 9, 98, 2, 0],
+  ['🇸🇷', 'flag: Suriname', 'SR|flag', 9, 98, 2, 0],
+  ['🇸🇸', 'flag: South Sudan', 'SS|flag', 9, 98, 2, 0],
+  ['🇸🇹', 'flag: São Tomé & Príncipe', 'ST|flag', 9, 98, 2, 0],
+  ['🇸🇻', 'flag: El Salvador', 'SV|flag', 9, 98, 2, 0],
+  ['🇸🇽', 'flag: Sint Maarten', 'SX|flag', 9, 98, 2, 0],
+  ['🇸🇾', 'flag: Syria', 'SY|flag', 9, 98, 2, 0],
+  ['🇸🇿', 'flag: Eswatini', 'SZ|flag', 9, 98, 2, 0],
+  ['🇹🇦', 'flag: Tristan da Cunha', 'TA|flag', 9, 98, 2, 0],
+  ['🇹🇨', 'flag: Turks & Caicos Islands', 'TC|flag', 9, 98, 2, 0],
+  ['🇹🇩', 'flag: Chad', 'TD|flag', 9, 98, 2, 0],
+  ['🇹🇫', 'flag: French Southern Territories', 'TF|flag', 9, 98, 2, 0],
+  ['🇹🇬', 'flag: Togo', 'TG|flag', 9, 98, 2, 0],
+  ['🇹🇭', 'flag: Thailand', 'TH|flag', 9, 98, 2, 0],
+  ['🇹🇯', 'flag: Tajikistan', 'TJ|flag', 9, 98, 2, 0],
+  ['🇹🇰', 'flag: Tokelau', 'TK|flag', 9, 98, 2, 0],
+  ['🇹🇱', 'flag: Timor-Leste', 'TL|flag', 9, 98, 2, 0],
+  ['🇹🇲', 'flag: Turkmenistan', 'TM|flag', 9, 98, 2, 0],
+  ['🇹🇳', 'flag: Tunisia', 'TN|flag', 9, 98, 2, 0],
+  ['🇹🇴', 'flag: Tonga', 'TO|flag', 9, 98, 2, 0],
+  ['🇹🇷', 'flag: Türkiye', 'TR|flag', 9, 98, 2, 0],
+  ['🇹🇹', 'flag: Trinidad & Tobago', 'TT|flag', 9, 98, 2, 0],
+  ['🇹🇻', 'flag: Tuvalu', 'TV|flag', 9, 98, 2, 0],
+  ['🇹🇼', 'flag: Taiwan', 'TW|flag', 9, 98, 2, 0],
+  ['🇹🇿', 'flag: Tanzania', 'TZ|flag', 9, 98, 2, 0],
+  ['🇺🇦', 'flag: Ukraine', 'UA|flag', 9, 98, 2, 0],
+  ['🇺🇬', 'flag: Uganda', 'UG|flag', 9, 98, 2, 0],
+  ['🇺🇲', 'flag: U.S. Outlying Islands', 'UM|flag', 9, 98, 2, 0],
+  ['🇺🇳', 'flag: United Nations', 'UN|flag', 9, 98, 4, 0],
+  ['🇺🇸', 'flag: United States', 'US|flag', 9, 98, 0.6, 0],
+  ['🇺🇾', 'flag: Uruguay', 'UY|flag', 9, 98, 2, 0],
+  ['🇺🇿', 'flag: Uzbekistan', 'UZ|flag', 9, 98, 2, 0],
+  ['🇻🇦', 'flag: Vatican City', 'VA|flag', 9, 98, 2, 0],
+  ['🇻🇨', 'flag: St. Vincent & Grenadines', 'VC|flag', 9, 98, 2, 0],
+  ['🇻🇪', 'flag: Venezuela', 'VE|flag', 9, 98, 2, 0],
+  ['🇻🇬', 'flag: British Virgin Islands', 'VG|flag', 9, 98, 2, 0],
+  ['🇻🇮', 'flag: U.S. Virgin Islands', 'VI|flag', 9, 98, 2, 0],
+  ['🇻🇳', 'flag: Vietnam', 'VN|flag', 9, 98, 2, 0],
+  ['🇻🇺', 'flag: Vanuatu', 'VU|flag', 9, 98, 2, 0],
+  ['🇼🇫', 'flag: Wallis & Futuna', 'WF|flag', 9, 98, 2, 0],
+  ['🇼🇸', 'flag: Samoa', 'WS|flag', 9, 98, 2, 0],
+  ['🇽🇰', 'flag: Kosovo', 'XK|flag', 9, 98, 2, 0],
+  ['🇾🇪', 'flag: Yemen', 'YE|flag', 9, 98, 2, 0],
+  ['🇾🇹', 'flag: Mayotte', 'YT|flag', 9, 98, 2, 0],
+  ['🇿🇦', 'flag: South Africa', 'ZA|flag', 9, 98, 2, 0],
+  ['🇿🇲', 'flag: Zambia', 'ZM|flag', 9, 98, 2, 0],
+  ['🇿🇼', 'flag: Zimbabwe', 'ZW|flag', 9, 98, 2, 0],
+  ['🏴󠁧󠁢󠁥󠁮󠁧󠁿', 'flag: England', 'flag|gbeng', 9, 99, 5, 0],
+  ['🏴󠁧󠁢󠁳󠁣󠁴󠁿', 'flag: Scotland', 'flag|gbsct', 9, 99, 5, 0],
+  ['🏴󠁧󠁢󠁷󠁬󠁳󠁿', 'flag: Wales', 'flag|gbwls', 9, 99, 5, 0]
+];
@@ -5,6 +5,8 @@
  * This module follows the functional programming paradigm and avoids external dependencies.
  */
 
+import { createEmojiComposer } from './emojiComposer.js';
+
 /**
  * Enum for grid layer types
  * @readonly
@@ -18,16 +20,124 @@ export const GRID_LAYER_TYPE = {
   GUI: 'gui'
 };
 
+/**
+ * Creates a tile descriptor for a grid cell. Cells hold either a bare emoji
+ * string or a tile descriptor when they need per-cell rendering options.
+ *
+ * @param {string} emoji - The emoji to display
+ * @param {Object} options - Tile options
+ * @param {number} options.rotation - Rotation in radians (default: 0)
+ * @param {number} options.scale - Scale factor (default: 1.0)
+ * @param {boolean} options.flipX - Mirror horizontally (default: false)
+ * @param {boolean} options.flipY - Mirror vertically (default: false)
+ * @param {number} options.opacity - Opacity from 0.0 to 1.0 (default: 1.0)
+ * @param {string} options.tint - Color to tint the emoji with (default: null)
+ * @param {number} options.tintAmount - Tint strength from 0.0 to 1.0 (default: 0.5)
+ * @param {string} options.composition - ID of a composition to draw instead of the emoji (default: null)
+ * @param {Object} options.data - Custom JSON-serializable data (default: null)
+ * @returns {Object} Tile descriptor
+ */
+export const createTile = (emoji, options = {}) => ({
+  emoji: emoji || '',
+  rotation: options.rotation !== undefined ? options.rotation : 0,
+  scale: options.scale !== undefined ? options.scale : 1.0,
+  flipX: options.flipX !== undefined ? options.flipX : false,
+  flipY: options.flipY !== undefined ? options.flipY : false,
+  opacity: options.opacity !== undefined ? options.opacity : 1.0,
+  tint: options.tint !== undefined ? options.tint : null,
+  tintAmount: options.tintAmount !== undefined ? options.tintAmount : 0.5,
+  composition: options.composition !== undefined ? options.composition : null,
+  data: options.data !== undefined && options.data !== null ? JSON.parse(JSON.stringify(options.data)) : null
+});
+
+/**
+ * Default values of tile descriptor fields, used to keep serialized tiles compact
+ */
+const TILE_DEFAULTS = createTile('');
+
+/**
+ * Checks whether a cell value is a tile descriptor rather than a bare emoji string
+ *
+ * @param {string|Object} cell - The cell value
+ * @returns {boolean} True if the cell holds a tile descriptor
+ */
+export const isTile = (cell) => cell !== null && typeof cell === 'object';
+
+/**
+ * Gets the emoji displayed by a cell value
+ *
+ * @param {string|Object} cell - The cell value
+ * @returns {string} The emoji, or empty string for empty cells
+ */
+export const getTileEmoji = (cell) => (isTile(cell) ? cell.emoji : (cell || ''));
+
+/**
+ * Checks whether a cell value is empty
+ *
+ * @param {string|Object} cell - The cell value
+ * @returns {boolean} True if the cell displays nothing
+ */
+export const isCellEmpty = (cell) => (isTile(cell) ? !cell.emoji && !cell.composition : !cell);
+
+/**
+ * Normalizes a cell value. Strings are kept as-is and tile-like objects are
+ * copied into full tile descriptors, so cells never share mutable state.
+ *
+ * @param {string|Object} cell - The cell value
+ * @returns {string|Object} The normalized cell value
+ */
+export const normalizeCell = (cell) => {
+  if (isTile(cell)) {
+    return createTile(cell.emoji, cell);
+  }
+  return cell || '';
+};
+
+/**
+ * Serializes a cell value. Tiles only keep fields that differ from the defaults.
+ *
+ * @param {string|Object} cell - The cell value
+ * @returns {string|Object} The serializable cell value
+ */
+export const serializeCell = (cell) => {
+  if (!isTile(cell)) {
+    return cell || '';
+  }
+
+  const serialized = { emoji: cell.emoji };
+  Object.keys(TILE_DEFAULTS).forEach(key => {
+    if (key !== 'emoji' && cell[key] !== TILE_DEFAULTS[key] && cell[key] !== undefined) {
+      serialized[key] = key === 'data' ? JSON.parse(JSON.stringify(cell[key])) : cell[key];
+    }
+  });
+  return serialized;
+};
+
+/**
+ * Checks whether two cells hold the same content. Tile descriptors are compared by
+ * their serialized form, since every write normalizes them into a new object.
+ *
+ * @param {string|Object} a - First cell value
+ * @param {string|Object} b - Second cell value
+ * @returns {boolean} True if the cells are equal
+ */
+export const isSameCell = (a, b) => a === b ||
+  JSON.stringify(serializeCell(a)) === JSON.stringify(serializeCell(b));
+
 /**
  * Creates a grid layer with the specified dimensions
  *
  * @param {number} width - Width of the grid in cells
  * @param {number} height - Height of the grid in cells
  * @param {string} type - Type of layer (from GRID_LAYER_TYPE)
- * @param {string} defaultEmoji - Default emoji to fill the grid with (empty string for no default)
+ * @param {string|Object} defaultEmoji - Default emoji or tile descriptor to fill the grid with
+ *   (empty string for no default)
+ * @param {Object} options - Layer options
+ * @param {Object} options.history - Command history (see createCommandHistory) that records
+ *   setCell, fillRect and clear so they can be undone
  * @returns {Object} A grid layer object
  */
-export const createGridLayer = (width, height, type, defaultEmoji = '') => {
+export const createGridLayer = (width, height, type, defaultEmoji = '', options = {}) => {
   // Validate input
   if (width <= 0 || height <= 0) {
     throw new Error('Grid dimensions must be positive numbers');
@@ -39,7 +149,7 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
 
   // Create the grid data structure as a 2D array
   const cells = Array(height).fill().map(() =>
-    Array(width).fill().map(() => defaultEmoji)
+    Array(width).fill().map(() => normalizeCell(defaultEmoji))
   );
 
   // Layer properties
@@ -49,20 +159,84 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
     name: type
   };
 
-  // Return the layer object
-  return {
+  // Change listeners
+  const listeners = new Set();
+
+  /**
+   * Notifies listeners that cells changed
+   *
+   * @param {Object} event - Change event
+   * @returns {void}
+   */
+  const notifyChange = (event) => {
+    listeners.forEach(listener => listener({ layer: type, ...event }));
+  };
+
+  // Undo history, if any
+  let history = options.history || null;
+
+  /**
+   * Copies the cells of a rectangular area
+   *
+   * @param {number} minX - Minimum X coordinate
+   * @param {number} minY - Minimum Y coordinate
+   * @param {number} maxX - Maximum X coordinate
+   * @param {number} maxY - Maximum Y coordinate
+   * @returns {Array<Array>} Copied rows of cells
+   */
+  const copyRect = (minX, minY, maxX, maxY) => {
+    const rows = [];
+    for (let y = minY; y <= maxY; y++) {
+      rows.push(cells[y].slice(minX, maxX + 1));
+    }
+    return rows;
+  };
+
+  /**
+   * Writes copied cells back into a rectangular area, skipping cells that no longer exist
+   *
+   * @param {number} minX - Minimum X coordinate
+   * @param {number} minY - Minimum Y coordinate
+   * @param {Array<Array>} rows - Rows of cells produced by copyRect
+   * @returns {void}
+   */
+  const restoreRect = (minX, minY, rows) => {
+    const maxX = Math.min(width - 1, minX + rows[0].length - 1);
+    const maxY = Math.min(height - 1, minY + rows.length - 1);
+
+    // The layer may have shrunk since the cells were copied
+    if (minX > maxX || minY > maxY) {
+      return;
+    }
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        cells[y][x] = rows[y - minY][x - minX];
+      }
+    }
+
+    notifyChange({ type: 'rect', minX, minY, maxX, maxY });
+  };
+
+  // The layer object
+  const layer = {
     type,
-    width,
-    height,
+    get width() {
+      return width;
+    },
+    get height() {
+      return height;
+    },
     cells,
     properties,
 
     /**
-     * Gets the emoji at the specified cell
+     * Gets the content of the specified cell
      *
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @returns {string} The emoji at the specified cell, or empty string if out of bounds
+     * @returns {string|Object} The emoji or tile descriptor at the specified cell,
+     *   or empty string if out of bounds
      */
     getCell: (x, y) => {
       if (x >= 0 && x < width && y >= 0 && y < height) {
@@ -72,16 +246,41 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
     },
 
     /**
-     * Sets the emoji at the specified cell
+     * Gets the emoji displayed at the specified cell, whether it holds a string or a tile
      *
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {string} emoji - Emoji to set
+     * @returns {string} The emoji at the specified cell, or empty string if empty or out of bounds
+     */
+    getCellEmoji: (x, y) => {
+      if (x >= 0 && x < width && y >= 0 && y < height) {
+        return getTileEmoji(cells[y][x]);
+      }
+      return '';
+    },
+
+    /**
+     * Sets the content of the specified cell
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string|Object} emoji - Emoji or tile descriptor to set
      * @returns {boolean} True if the cell was set, false if out of bounds
      */
     setCell: (x, y, emoji) => {
       if (x >= 0 && x < width && y >= 0 && y < height) {
-        cells[y][x] = emoji;
+        const previous = cells[y][x];
+        const value = normalizeCell(emoji);
+        cells[y][x] = value;
+        notifyChange({ type: 'cell', x, y, previous, value });
+
+        if (history && !isSameCell(previous, value)) {
+          history.record({
+            label: 'Set cell',
+            undo: () => layer.setCell(x, y, previous),
+            redo: () => layer.setCell(x, y, value)
+          });
+        }
         return true;
       }
       return false;
@@ -94,7 +293,7 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
      * @param {number} startY - Starting Y coordinate
      * @param {number} endX - Ending X coordinate
      * @param {number} endY - Ending Y coordinate
-     * @param {string} emoji - Emoji to fill with
+     * @param {string|Object} emoji - Emoji or tile descriptor to fill with
      * @returns {void}
      */
     fillRect: (startX, startY, endX, endY, emoji) => {
@@ -103,11 +302,28 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
       const minY = Math.max(0, Math.min(startY, endY));
       const maxY = Math.min(height - 1, Math.max(startY, endY));
 
+      if (minX > maxX || minY > maxY) {
+        return;
+      }
+
+      const previous = history ? copyRect(minX, minY, maxX, maxY) : null;
+
       for (let y = minY; y <= maxY; y++) {
         for (let x = minX; x <= maxX; x++) {
-          cells[y][x] = emoji;
+          cells[y][x] = normalizeCell(emoji);
         }
       }
+
+      notifyChange({ type: 'rect', minX, minY, maxX, maxY });
+
+      if (history) {
+        history.record({
+          label: 'Fill area',
+          undo: () => restoreRect(minX, minY, previous),
+          redo: () => layer.fillRect(minX, minY, maxX, maxY, emoji),
+          size: (maxX - minX + 1) * (maxY - minY + 1)
+        });
+      }
     },
 
     /**
@@ -116,11 +332,34 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
      * @returns {void}
      */
     clear: () => {
+      const previous = history ? copyRect(0, 0, width - 1, height - 1) : null;
+
       for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
           cells[y][x] = '';
         }
       }
+
+      notifyChange({ type: 'clear' });
+
+      if (history) {
+        history.record({
+          label: 'Clear layer',
+          undo: () => restoreRect(0, 0, previous),
+          redo: () => layer.clear(),
+          size: width * height
+        });
+      }
+    },
+
+    /**
+     * Sets or removes the command history that records edits to this layer
+     *
+     * @param {Object|null} newHistory - Command history or null to stop recording
+     * @returns {void}
+     */
+    setHistory: (newHistory) => {
+      history = newHistory || null;
     },
 
     /**
@@ -176,8 +415,26 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
       Array.prototype.push.apply(cells, newCells);
       width = newWidth;
       height = newHeight;
+
+      notifyChange({ type: 'resize', width, height });
+    },
+
+    /**
+     * Subscribes to cell changes. Listeners receive an event with the layer type and
+     * one of: { type: 'cell', x, y, previous, value }, { type: 'rect', minX, minY, maxX, maxY },
+     * { type: 'clear' } or { type: 'resize', width, height }.
+     *
+     * @param {Function} listener - Change listener
+     * @returns {Function} Function that removes the listener
+     */
+    onChange: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
     }
   };
+
+  // Return the layer object
+  return layer;
 };
 
 /**
@@ -187,6 +444,12 @@ export const createGridLayer = (width, height, type, defaultEmoji = '') => {
  * @param {number} height - Height of the grid in cells
  * @param {number} cellSize - Size of each cell in pixels
  * @param {Object} options - Additional options
+ * @param {Object} options.history - Command history (see createCommandHistory) that all layers record
+ *   their edits into; importData is not recorded
+ * @param {Object} options.emojiFallbacks - Fallback chains for emojis the player's platform may not
+ *   display, such as { '🫠': ['😵', '?'] }. Stored as a map property and registered with the
+ *   emoji renderer's fallback registry when the map is rendered (renderers created without the
+ *   fallbacks option have none, and draw emojis as given).
  * @returns {Object} A grid map object
  */
 export const createGridMap = (width, height, cellSize, options = {}) => {
@@ -195,13 +458,16 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
     throw new Error('Grid dimensions and cell size must be positive numbers');
   }
 
+  // Layers record their edits into the shared history, if any
+  const layerOptions = { history: options.history || null };
+
   // Create layers for each type
   const layers = {
-    [GRID_LAYER_TYPE.BACKGROUND]: createGridLayer(width, height, GRID_LAYER_TYPE.BACKGROUND, options.defaultBackgroundEmoji || '⬜'),
-    [GRID_LAYER_TYPE.COLLISION]: createGridLayer(width, height, GRID_LAYER_TYPE.COLLISION, options.defaultCollisionEmoji || ''),
-    [GRID_LAYER_TYPE.EVENT]: createGridLayer(width, height, GRID_LAYER_TYPE.EVENT, options.defaultEventEmoji || ''),
-    [GRID_LAYER_TYPE.SPRITE]: createGridLayer(width, height, GRID_LAYER_TYPE.SPRITE, options.defaultSpriteEmoji || ''),
-    [GRID_LAYER_TYPE.GUI]: createGridLayer(width, height, GRID_LAYER_TYPE.GUI, options.defaultGuiEmoji || '')
+    [GRID_LAYER_TYPE.BACKGROUND]: createGridLayer(width, height, GRID_LAYER_TYPE.BACKGROUND, options.defaultBackgroundEmoji || '⬜', layerOptions),
+    [GRID_LAYER_TYPE.COLLISION]: createGridLayer(width, height, GRID_LAYER_TYPE.COLLISION, options.defaultCollisionEmoji || '', layerOptions),
+    [GRID_LAYER_TYPE.EVENT]: createGridLayer(width, height, GRID_LAYER_TYPE.EVENT, options.defaultEventEmoji || '', layerOptions),
+    [GRID_LAYER_TYPE.SPRITE]: createGridLayer(width, height, GRID_LAYER_TYPE.SPRITE, options.defaultSpriteEmoji || '', layerOptions),
+    [GRID_LAYER_TYPE.GUI]: createGridLayer(width, height, GRID_LAYER_TYPE.GUI, options.defaultGuiEmoji || '', layerOptions)
   };
 
   // Map properties
@@ -213,15 +479,54 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
     ...options
   };
 
-  // Camera position (for scrolling)
+  // The history is not a serializable map property
+  delete properties.history;
+
+  // Camera position (for scrolling) in world pixels, and zoom
   let cameraX = 0;
   let cameraY = 0;
+  let cameraZoom = 1.0;
+
+  // Attached visibility map (see createVisibilityMap), serialized with the map
+  let visibilityMap = null;
+
+  /**
+   * Converts screen coordinates to grid coordinates, taking camera position and zoom into account
+   *
+   * @param {number} screenX - X coordinate on screen
+   * @param {number} screenY - Y coordinate on screen
+   * @returns {Object} Object with x and y grid coordinates
+   */
+  const screenToGrid = (screenX, screenY) => {
+    const gridX = Math.floor(((screenX / cameraZoom) + cameraX) / cellSize);
+    const gridY = Math.floor(((screenY / cameraZoom) + cameraY) / cellSize);
+    return { x: gridX, y: gridY };
+  };
+
+  /**
+   * Converts grid coordinates to screen coordinates, taking camera position and zoom into account
+   *
+   * @param {number} gridX - X coordinate on grid
+   * @param {number} gridY - Y coordinate on grid
+   * @returns {Object} Object with x and y screen coordinates (center of cell)
+   */
+  const gridToScreen = (gridX, gridY) => {
+    const screenX = ((gridX * cellSize) + (cellSize / 2) - cameraX) * cameraZoom;
+    const screenY = ((gridY * cellSize) + (cellSize / 2) - cameraY) * cameraZoom;
+    return { x: screenX, y: screenY };
+  };
 
   // Return the map object
   return {
-    width,
-    height,
-    cellSize,
+    get width() {
+      return width;
+    },
+    get height() {
+      return height;
+    },
+    get cellSize() {
+      return cellSize;
+    },
     layers,
     properties,
 
@@ -252,7 +557,7 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
      *
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @returns {Object} Object with layer types as keys and emoji content as values
+     * @returns {Object} Object with layer types as keys and cell content (emoji or tile) as values
      */
     getCellContent: (x, y) => {
       const content = {};
@@ -305,6 +610,15 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
       height = newHeight;
     },
 
+    /**
+     * Gets the cell bounds of the map
+     *
+     * @returns {Object} Object with minX, minY, maxX and maxY
+     */
+    getBounds: () => {
+      return { minX: 0, minY: 0, maxX: width - 1, maxY: height - 1 };
+    },
+
     /**
      * Sets the camera position
      *
@@ -339,31 +653,31 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
     },
 
     /**
-     * Converts screen coordinates to grid coordinates
+     * Sets the camera zoom. Screen coordinates are world pixels relative to the
+     * camera multiplied by the zoom.
      *
-     * @param {number} screenX - X coordinate on screen
-     * @param {number} screenY - Y coordinate on screen
-     * @returns {Object} Object with x and y grid coordinates
+     * @param {number} zoom - Zoom factor (1.0 = original size)
+     * @returns {void}
      */
-    screenToGrid: (screenX, screenY) => {
-      const gridX = Math.floor((screenX + cameraX) / cellSize);
-      const gridY = Math.floor((screenY + cameraY) / cellSize);
-      return { x: gridX, y: gridY };
+    setZoom: (zoom) => {
+      if (!(zoom > 0)) {
+        throw new Error('Zoom must be a positive number');
+      }
+      cameraZoom = zoom;
     },
 
     /**
-     * Converts grid coordinates to screen coordinates
+     * Gets the camera zoom
      *
-     * @param {number} gridX - X coordinate on grid
-     * @param {number} gridY - Y coordinate on grid
-     * @returns {Object} Object with x and y screen coordinates (center of cell)
+     * @returns {number} Zoom factor
      */
-    gridToScreen: (gridX, gridY) => {
-      const screenX = (gridX * cellSize) + (cellSize / 2) - cameraX;
-      const screenY = (gridY * cellSize) + (cellSize / 2) - cameraY;
-      return { x: screenX, y: screenY };
+    getZoom: () => {
+      return cameraZoom;
     },
 
+    screenToGrid,
+    gridToScreen,
+
     /**
      * Snaps a screen coordinate to the nearest grid cell
      *
@@ -372,8 +686,39 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
      * @returns {Object} Object with snapped x and y screen coordinates
      */
     snapToGrid: (screenX, screenY) => {
-      const gridCoords = this.screenToGrid(screenX, screenY);
-      return this.gridToScreen(gridCoords.x, gridCoords.y);
+      const gridCoords = screenToGrid(screenX, screenY);
+      return gridToScreen(gridCoords.x, gridCoords.y);
+    },
+
+    /**
+     * Attaches a visibility map so that its visible and explored state is
+     * included in exportData and restored by importData
+     *
+     * @param {Object|null} visibility - A visibility map created with createVisibilityMap, or null to detach
+     * @returns {void}
+     */
+    setVisibilityMap: (visibility) => {
+      visibilityMap = visibility || null;
+    },
+
+    /**
+     * Gets the attached visibility map
+     *
+     * @returns {Object|null} The visibility map or null if none is attached
+     */
+    getVisibilityMap: () => {
+      return visibilityMap;
+    },
+
+    /**
+     * Sets or removes the command history that all layers record their edits into
+     *
+     * @param {Object|null} history - Command history or null to stop recording
+     * @returns {void}
+     */
+    setHistory: (history) => {
+      layerOptions.history = history || null;
+      Object.values(layers).forEach(layer => layer.setHistory(layerOptions.history));
     },
 
     /**
@@ -385,22 +730,29 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
       const layerData = {};
       Object.entries(layers).forEach(([type, layer]) => {
         layerData[type] = {
-          cells: layer.cells,
+          cells: layer.cells.map(row => row.map(serializeCell)),
           properties: { ...layer.properties }
         };
       });
 
-      return {
+      const data = {
         width,
         height,
         cellSize,
         properties: { ...properties },
         layers: layerData
       };
+
+      if (visibilityMap) {
+        data.visibility = visibilityMap.exportData();
+      }
+
+      return data;
     },
 
     /**
-     * Imports map data from a serialized object
+     * Imports map data from a serialized object. Cells may hold emoji strings or
+     * tile descriptor objects.
      *
      * @param {Object} data - Serialized map data
      * @returns {boolean} True if import was successful
@@ -416,6 +768,9 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
       cellSize = data.cellSize;
       Object.assign(properties, data.properties || {});
 
+      // Imports are not undoable, so stop recording while cells are copied
+      Object.values(layers).forEach(layer => layer.setHistory(null));
+
       // Update layers
       Object.entries(data.layers).forEach(([type, layerData]) => {
         if (layers[type] && layerData.cells) {
@@ -442,6 +797,13 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
         }
       });
 
+      Object.values(layers).forEach(layer => layer.setHistory(layerOptions.history));
+
+      // Restore visibility after the layers so it matches the final map size
+      if (visibilityMap && data.visibility) {
+        visibilityMap.importData(data.visibility);
+      }
+
       return true;
     }
   };
@@ -451,9 +813,16 @@ export const createGridMap = (width, height, cellSize, options = {}) => {
  * Creates a grid renderer that can render a grid map on a canvas
  *
  * @param {Object} emojiRenderer - An emoji renderer created with createEmojiRenderer
+ * @param {Object} options - Renderer options
+ * @param {Object} options.compositions - Composition registry (see createCompositionRegistry) used to
+ *   draw tiles that reference a composition. Compositions are looked up on every draw, so edits
+ *   show up in every cell that uses them the next time the map is drawn.
+ * @param {Object} options.pipeline - Render pipeline (see createRenderPipeline) that draws the map.
+ *   When a composition is added, updated or deleted the pipeline is invalidated and a render is
+ *   requested, so composition tiles update without other changes to the map.
  * @returns {Object} A grid renderer object
  */
-export const createGridRenderer = (emojiRenderer) => {
+export const createGridRenderer = (emojiRenderer, options = {}) => {
   // Validate input
   if (!emojiRenderer || !emojiRenderer.renderEmoji) {
     throw new Error('Invalid emoji renderer provided to createGridRenderer');
@@ -462,38 +831,175 @@ export const createGridRenderer = (emojiRenderer) => {
   // Get the canvas context from the emoji renderer
   const ctx = emojiRenderer.getContext();
 
+  // Composer used to draw composition tiles on this renderer's canvas
+  const composer = options.compositions
+    ? createEmojiComposer(emojiRenderer, { registry: options.compositions })
+    : null;
+
+  // Redraw the pipeline when compositions drawn by tiles change
+  const pipeline = options.pipeline || null;
+  const unsubscribeCompositions = composer && pipeline
+    ? options.compositions.subscribe(() => {
+      pipeline.invalidate();
+      pipeline.requestRender();
+    })
+    : null;
+
+  // Fallback chain objects already registered with the emoji renderer
+  const registeredFallbacks = new WeakSet();
+
   /**
-   * Renders a grid map
+   * Registers the fallback chains declared by a map with the emoji renderer
    *
-   * @param {Object} gridMap - A grid map created with createGridMap
+   * @param {Object} gridMap - A grid map
+   * @returns {void}
+   */
+  const registerMapFallbacks = (gridMap) => {
+    const chains = gridMap.getProperty('emojiFallbacks');
+    const fallbacks = typeof emojiRenderer.getFallbacks === 'function' ? emojiRenderer.getFallbacks() : null;
+
+    if (fallbacks && chains && typeof chains === 'object' && !registeredFallbacks.has(chains)) {
+      fallbacks.setFallbacks(chains);
+      registeredFallbacks.add(chains);
+    }
+  };
+
+  /**
+   * Renders the content of a single cell, applying tile descriptor options
+   *
+   * @param {string|Object} cell - The cell value (emoji string or tile descriptor)
+   * @param {number} x - X coordinate of the cell center
+   * @param {number} y - Y coordinate of the cell center
+   * @param {number} emojiSize - Size of emojis in pixels
+   * @returns {void}
+   */
+  const renderCell = (cell, x, y, emojiSize) => {
+    if (!isTile(cell)) {
+      emojiRenderer.renderEmoji(cell, x, y, emojiSize);
+      return;
+    }
+
+    // Composition tiles fall back to their emoji when the composition is unavailable
+    const composition = cell.composition && composer ? composer.getComposition(cell.composition) : null;
+
+    if (!cell.emoji && !composition) {
+      return;
+    }
+
+    const renderOptions = cell.tint ? { tint: cell.tint, tintAmount: cell.tintAmount } : {};
+    const isTransformed = cell.rotation !== 0 || cell.scale !== 1.0 || cell.flipX || cell.flipY;
+
+    /**
+     * Draws the tile content centered at the given position
+     *
+     * @param {number} drawX - X coordinate
+     * @param {number} drawY - Y coordinate
+     * @returns {void}
+     */
+    const drawContent = (drawX, drawY) => {
+      if (composition) {
+        composer.renderComposition(composition, drawX, drawY, emojiSize / composition.baseSize, renderOptions);
+      } else {
+        emojiRenderer.renderEmoji(cell.emoji, drawX, drawY, emojiSize, renderOptions);
+      }
+    };
+
+    // Fast path for tiles that only carry data
+    if (!isTransformed && cell.opacity === 1.0) {
+      drawContent(x, y);
+      return;
+    }
+
+    ctx.save();
+    ctx.translate(x, y);
+
+    if (cell.rotation !== 0) {
+      ctx.rotate(cell.rotation);
+    }
+
+    if (cell.scale !== 1.0 || cell.flipX || cell.flipY) {
+      ctx.scale(cell.flipX ? -cell.scale : cell.scale, cell.flipY ? -cell.scale : cell.scale);
+    }
+
+    if (cell.opacity !== 1.0) {
+      ctx.globalAlpha *= cell.opacity;
+    }
+
+    drawContent(0, 0);
+    ctx.restore();
+  };
+
+  /**
+   * Gets the zoom of a grid map, for maps that support it
+   *
+   * @param {Object} gridMap - A grid map
+   * @returns {number} Zoom factor
+   */
+  const getMapZoom = (gridMap) => (typeof gridMap.getZoom === 'function' ? gridMap.getZoom() : 1.0);
+
+  /**
+   * Renders a grid map. Cell and emoji sizes are scaled by the map's zoom.
+   *
+   * @param {Object} gridMap - A grid map created with createGridMap or createChunkedGridMap
    * @param {number} startX - Starting X coordinate on canvas
    * @param {number} startY - Starting Y coordinate on canvas
    * @param {number} emojiSize - Size of emojis in pixels
    * @param {Object} options - Additional rendering options
+   * @param {boolean|Object} options.fog - Fog-of-war mode: true to use the map's attached visibility map,
+   *   or a visibility map created with createVisibilityMap. Explored cells that are not visible are
+   *   dimmed and unexplored cells are hidden. The GUI layer is drawn above the fog.
+   * @param {string} options.exploredColor - Overlay for explored but not visible cells (default: 'rgba(0, 0, 0, 0.5)')
+   * @param {string} options.unexploredColor - Fill for unexplored cells (default: '#000000')
+   * @param {boolean} options.showSpritesInFog - Draw sprites in explored but not visible cells (default: false)
+   * @param {Object} options.region - Screen rectangle { x, y, width, height } to redraw, for example a
+   *   dirty region of a render pipeline. Only cells touching it are drawn and only it is filled with
+   *   the background color (default: the whole viewport)
    * @returns {void}
    */
   const renderGridMap = (gridMap, startX, startY, emojiSize, options = {}) => {
     const ctx = emojiRenderer.getContext();
     const cellSize = gridMap.cellSize;
     const camera = gridMap.getCamera();
+    const zoom = getMapZoom(gridMap);
+
+    // Cell and emoji sizes on screen
+    const screenCellSize = cellSize * zoom;
+    const screenEmojiSize = emojiSize * zoom;
+
+    // Viewport size in logical pixels (CSS pixels on high-DPI canvases)
+    const viewport = emojiRenderer.getViewportSize();
+
+    // Screen area to draw
+    const region = options.region || { x: 0, y: 0, width: viewport.width, height: viewport.height };
+
+    // Glyphs can overhang their cell, so partial redraws include neighbouring cells
+    const margin = options.region ? 1 : 0;
 
-    // Calculate visible area
-    const visibleStartX = Math.floor(camera.x / cellSize);
-    const visibleStartY = Math.floor(camera.y / cellSize);
-    const visibleEndX = Math.ceil((camera.x + ctx.canvas.width) / cellSize);
-    const visibleEndY = Math.ceil((camera.y + ctx.canvas.height) / cellSize);
+    // Calculate visible area in world pixels
+    const visibleStartX = Math.floor((camera.x + (region.x / zoom)) / cellSize) - margin;
+    const visibleStartY = Math.floor((camera.y + (region.y / zoom)) / cellSize) - margin;
+    const visibleEndX = Math.ceil((camera.x + ((region.x + region.width) / zoom)) / cellSize) + margin;
+    const visibleEndY = Math.ceil((camera.y + ((region.y + region.height) / zoom)) / cellSize) + margin;
 
     // Clamp to map boundaries
-    const startCol = Math.max(0, visibleStartX);
-    const startRow = Math.max(0, visibleStartY);
-    const endCol = Math.min(gridMap.width - 1, visibleEndX);
-    const endRow = Math.min(gridMap.height - 1, visibleEndY);
+    const bounds = gridMap.getBounds();
+    const startCol = Math.max(bounds.minX, visibleStartX);
+    const startRow = Math.max(bounds.minY, visibleStartY);
+    const endCol = Math.min(bounds.maxX, visibleEndX);
+    const endRow = Math.min(bounds.maxY, visibleEndY);
+
+    // Let chunked maps stream in the chunks that intersect the camera
+    if (typeof gridMap.prepareRegion === 'function') {
+      gridMap.prepareRegion(startCol, startRow, endCol, endRow);
+    }
+
+    registerMapFallbacks(gridMap);
 
     // Clear canvas or fill with background color
     if (options.clear !== false) {
       const backgroundColor = gridMap.getProperty('backgroundColor') || '#FFFFFF';
       ctx.fillStyle = backgroundColor;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      ctx.fillRect(region.x, region.y, region.width, region.height);
     }
 
     // Draw grid lines if enabled
@@ -503,24 +1009,24 @@ export const createGridRenderer = (emojiRenderer) => {
       ctx.lineWidth = 1;
 
       // Adjust for camera position
-      const offsetX = startX - camera.x;
-      const offsetY = startY - camera.y;
+      const offsetX = startX - (camera.x * zoom);
+      const offsetY = startY - (camera.y * zoom);
 
       // Draw vertical grid lines
       for (let x = startCol; x <= endCol + 1; x++) {
-        const lineX = offsetX + (x * cellSize);
+        const lineX = offsetX + (x * screenCellSize);
         ctx.beginPath();
-        ctx.moveTo(lineX, offsetY + (startRow * cellSize));
-        ctx.lineTo(lineX, offsetY + ((endRow + 1) * cellSize));
+        ctx.moveTo(lineX, offsetY + (startRow * screenCellSize));
+        ctx.lineTo(lineX, offsetY + ((endRow + 1) * screenCellSize));
         ctx.stroke();
       }
 
       // Draw horizontal grid lines
       for (let y = startRow; y <= endRow + 1; y++) {
-        const lineY = offsetY + (y * cellSize);
+        const lineY = offsetY + (y * screenCellSize);
         ctx.beginPath();
-        ctx.moveTo(offsetX + (startCol * cellSize), lineY);
-        ctx.lineTo(offsetX + ((endCol + 1) * cellSize), lineY);
+        ctx.moveTo(offsetX + (startCol * screenCellSize), lineY);
+        ctx.lineTo(offsetX + ((endCol + 1) * screenCellSize), lineY);
         ctx.stroke();
       }
 
@@ -536,9 +1042,65 @@ export const createGridRenderer = (emojiRenderer) => {
       GRID_LAYER_TYPE.GUI
     ];
 
+    // Resolve the visibility map for fog-of-war
+    const visibility = options.fog === true
+      ? (typeof gridMap.getVisibilityMap === 'function' ? gridMap.getVisibilityMap() : null)
+      : (options.fog || null);
+    const showSpritesInFog = options.showSpritesInFog !== undefined ? options.showSpritesInFog : false;
+
+    /**
+     * Checks whether a cell of a layer should be drawn under the current fog
+     *
+     * @param {string} layerType - Layer type
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the cell should be drawn
+     */
+    const isCellRevealed = (layerType, x, y) => {
+      if (!visibility || layerType === GRID_LAYER_TYPE.GUI || visibility.isVisible(x, y)) {
+        return true;
+      }
+      if (!visibility.isExplored(x, y)) {
+        return false;
+      }
+      return layerType !== GRID_LAYER_TYPE.SPRITE || showSpritesInFog;
+    };
+
+    /**
+     * Draws the fog overlay over explored and unexplored cells
+     *
+     * @returns {void}
+     */
+    const renderFog = () => {
+      const exploredColor = options.exploredColor || 'rgba(0, 0, 0, 0.5)';
+      const unexploredColor = options.unexploredColor || '#000000';
+
+      ctx.save();
+      for (let y = startRow; y <= endRow; y++) {
+        for (let x = startCol; x <= endCol; x++) {
+          if (!visibility.isVisible(x, y)) {
+            const screenPos = gridMap.gridToScreen(x, y);
+            ctx.fillStyle = visibility.isExplored(x, y) ? exploredColor : unexploredColor;
+            ctx.fillRect(
+              screenPos.x - (screenCellSize / 2),
+              screenPos.y - (screenCellSize / 2),
+              screenCellSize,
+              screenCellSize
+            );
+          }
+        }
+      }
+      ctx.restore();
+    };
+
     layerOrder.forEach(layerType => {
       const layer = gridMap.getLayer(layerType);
 
+      // Fog covers every layer except the GUI
+      if (visibility && layerType === GRID_LAYER_TYPE.GUI) {
+        renderFog();
+      }
+
       // Skip invisible layers
       if (!layer.getProperty('visible')) {
         return;
@@ -551,11 +1113,11 @@ export const createGridRenderer = (emojiRenderer) => {
       // Render visible cells
       for (let y = startRow; y <= endRow; y++) {
         for (let x = startCol; x <= endCol; x++) {
-          const emoji = layer.getCell(x, y);
-          if (emoji) {
+          const cell = layer.getCell(x, y);
+          if (!isCellEmpty(cell) && isCellRevealed(layerType, x, y)) {
             // Calculate screen position
             const screenPos = gridMap.gridToScreen(x, y);
-            emojiRenderer.renderEmoji(emoji, screenPos.x, screenPos.y, emojiSize);
+            renderCell(cell, screenPos.x, screenPos.y, screenEmojiSize);
           }
         }
       }
@@ -576,12 +1138,14 @@ export const createGridRenderer = (emojiRenderer) => {
    */
   const renderHighlightedCell = (gridMap, gridX, gridY, emojiSize, highlightColor = 'rgba(255, 255, 0, 0.3)') => {
     // Skip if out of bounds
-    if (gridX < 0 || gridX >= gridMap.width || gridY < 0 || gridY >= gridMap.height) {
+    const bounds = gridMap.getBounds();
+    if (gridX < bounds.minX || gridX > bounds.maxX || gridY < bounds.minY || gridY > bounds.maxY) {
       return;
     }
 
     const ctx = emojiRenderer.getContext();
-    const cellSize = gridMap.cellSize;
+    const zoom = getMapZoom(gridMap);
+    const cellSize = gridMap.cellSize * zoom;
     const screenPos = gridMap.gridToScreen(gridX, gridY);
 
     // Draw highlight
@@ -597,9 +1161,9 @@ export const createGridRenderer = (emojiRenderer) => {
 
     // Render cell content
     const content = gridMap.getCellContent(gridX, gridY);
-    Object.entries(content).forEach(([layerType, emoji]) => {
-      if (emoji && gridMap.getLayer(layerType).getProperty('visible')) {
-        emojiRenderer.renderEmoji(emoji, screenPos.x, screenPos.y, emojiSize);
+    Object.entries(content).forEach(([layerType, cell]) => {
+      if (!isCellEmpty(cell) && gridMap.getLayer(layerType).getProperty('visible')) {
+        renderCell(cell, screenPos.x, screenPos.y, emojiSize * zoom);
       }
     });
   };
@@ -617,7 +1181,7 @@ export const createGridRenderer = (emojiRenderer) => {
    */
   const renderSelectionRect = (gridMap, startGridX, startGridY, endGridX, endGridY, selectionColor = 'rgba(0, 100, 255, 0.3)') => {
     const ctx = emojiRenderer.getContext();
-    const cellSize = gridMap.cellSize;
+    const cellSize = gridMap.cellSize * getMapZoom(gridMap);
 
     // Calculate corners
     const minX = Math.min(startGridX, endGridX);
@@ -652,10 +1216,22 @@ export const createGridRenderer = (emojiRenderer) => {
     ctx.restore();
   };
 
+  /**
+   * Stops redrawing the pipeline on composition changes
+   *
+   * @returns {void}
+   */
+  const destroy = () => {
+    if (unsubscribeCompositions) {
+      unsubscribeCompositions();
+    }
+  };
+
   // Return the public API
   return {
     renderGridMap,
     renderHighlightedCell,
-    renderSelectionRect
+    renderSelectionRect,
+    destroy
   };
 };
@@ -0,0 +1,274 @@
+/**
+ * emojiParser.js
+ *
+ * A module for parsing emoji in arbitrary strings. Text is segmented into emoji
+ * graphemes (including ZWJ sequences, flags, keycaps, tag sequences and skin tone
+ * modifier sequences) and plain text graphemes. Emoji can be classified, normalized
+ * to fully-qualified form and given skin tones per person.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Enum for emoji sequence types
+ * @readonly
+ * @enum {string}
+ */
+export const EMOJI_SEQUENCE_TYPE = {
+  BASIC: 'basic',
+  MODIFIER: 'modifier',
+  ZWJ: 'zwj',
+  FLAG: 'flag',
+  KEYCAP: 'keycap',
+  TAG: 'tag'
+};
+
+const ZWJ = '\u200D';
+const TEXT_SELECTOR = '\uFE0E';
+const EMOJI_SELECTOR = '\uFE0F';
+const HANDSHAKE = '\u{1F91D}';
+
+// Building blocks of the emoji grapheme pattern
+const TAG_SEQUENCE = '\\u{1F3F4}[\\u{E0020}-\\u{E007E}]+\\u{E007F}';
+const FLAG_SEQUENCE = '\\p{Regional_Indicator}{2}';
+const KEYCAP_SEQUENCE = '[#*0-9]\\uFE0F?\\u20E3';
+const ELEMENT = '(?:\\p{Extended_Pictographic}[\\uFE0E\\uFE0F]?\\p{Emoji_Modifier}?|\\p{Emoji_Presentation})';
+const ZWJ_SEQUENCE = `${ELEMENT}(?:\\u200D${ELEMENT})*`;
+const EMOJI_PATTERN = `${TAG_SEQUENCE}|${FLAG_SEQUENCE}|${KEYCAP_SEQUENCE}|${ZWJ_SEQUENCE}`;
+
+const MODIFIER_REGEX = /\p{Emoji_Modifier}/u;
+const MODIFIERS_REGEX = /\p{Emoji_Modifier}/gu;
+const MODIFIER_BASE_REGEX = /^\p{Emoji_Modifier_Base}/u;
+const SINGLE_EMOJI_REGEX = new RegExp(`^(?:${EMOJI_PATTERN})$`, 'u');
+
+/**
+ * Multi-person emojis that become ZWJ sequences when people have different skin tones
+ */
+const MULTI_PERSON_SEQUENCES = {
+  '\u{1F91D}': '\u{1FAF1}\u200D\u{1FAF2}', // 🤝 -> ZWJ sequence
+  '\u{1F46B}': '\u{1F469}\u200D\u{1F91D}\u200D\u{1F468}', // 👫 -> ZWJ sequence
+  '\u{1F46C}': '\u{1F468}\u200D\u{1F91D}\u200D\u{1F468}', // 👬 -> ZWJ sequence
+  '\u{1F46D}': '\u{1F469}\u200D\u{1F91D}\u200D\u{1F469}', // 👭 -> ZWJ sequence
+  '\u{1F48F}': '\u{1F9D1}\u200D\u2764\uFE0F\u200D\u{1F48B}\u200D\u{1F9D1}', // 💏 -> ZWJ sequence
+  '\u{1F491}': '\u{1F9D1}\u200D\u2764\uFE0F\u200D\u{1F9D1}' // 💑 -> ZWJ sequence
+};
+
+/**
+ * Splits plain text into graphemes, using Intl.Segmenter when available
+ *
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Graphemes
+ */
+const splitGraphemes = (text) => {
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text))
+      .map(part => part.segment);
+  }
+  return Array.from(text);
+};
+
+/**
+ * Segments a string into emoji and text graphemes
+ *
+ * @param {string} text - The string to segment
+ * @returns {Array<Object>} Segments with value, index (UTF-16 offset), isEmoji and
+ *   type (from EMOJI_SEQUENCE_TYPE, or null for text)
+ */
+export const segmentEmoji = (text) => {
+  if (typeof text !== 'string' || text.length === 0) {
+    return [];
+  }
+
+  const segments = [];
+  const regex = new RegExp(EMOJI_PATTERN, 'gu');
+  let lastIndex = 0;
+
+  /**
+   * Adds plain text graphemes between emoji
+   *
+   * @param {number} end - End offset of the plain text
+   * @returns {void}
+   */
+  const addText = (end) => {
+    let index = lastIndex;
+    splitGraphemes(text.slice(lastIndex, end)).forEach(grapheme => {
+      segments.push({ value: grapheme, index, isEmoji: false, type: null });
+      index += grapheme.length;
+    });
+  };
+
+  let match = regex.exec(text);
+  while (match) {
+    addText(match.index);
+    segments.push({
+      value: match[0],
+      index: match.index,
+      isEmoji: true,
+      type: classifyEmoji(match[0])
+    });
+    lastIndex = match.index + match[0].length;
+    match = regex.exec(text);
+  }
+
+  addText(text.length);
+  return segments;
+};
+
+/**
+ * Extracts the emoji from a string
+ *
+ * @param {string} text - The string to search
+ * @returns {Array<string>} Emoji graphemes in order of appearance
+ */
+export const extractEmoji = (text) => {
+  return segmentEmoji(text).filter(segment => segment.isEmoji).map(segment => segment.value);
+};
+
+/**
+ * Checks whether a string is exactly one emoji grapheme
+ *
+ * @param {string} text - The string to check
+ * @returns {boolean} True if the string is a single emoji
+ */
+export const isEmojiGrapheme = (text) => {
+  return typeof text === 'string' && SINGLE_EMOJI_REGEX.test(text);
+};
+
+/**
+ * Classifies a single emoji grapheme
+ *
+ * @param {string} emoji - The emoji grapheme
+ * @returns {string|null} Type from EMOJI_SEQUENCE_TYPE, or null if the string is not a single emoji
+ */
+export const classifyEmoji = (emoji) => {
+  if (!isEmojiGrapheme(emoji)) {
+    return null;
+  }
+
+  if (new RegExp(`^${TAG_SEQUENCE}$`, 'u').test(emoji)) {
+    return EMOJI_SEQUENCE_TYPE.TAG;
+  }
+  if (new RegExp(`^${FLAG_SEQUENCE}$`, 'u').test(emoji)) {
+    return EMOJI_SEQUENCE_TYPE.FLAG;
+  }
+  if (new RegExp(`^${KEYCAP_SEQUENCE}$`, 'u').test(emoji)) {
+    return EMOJI_SEQUENCE_TYPE.KEYCAP;
+  }
+  if (emoji.includes(ZWJ)) {
+    return EMOJI_SEQUENCE_TYPE.ZWJ;
+  }
+  if (Array.from(emoji).length > 1 && MODIFIER_REGEX.test(emoji)) {
+    return EMOJI_SEQUENCE_TYPE.MODIFIER;
+  }
+  return EMOJI_SEQUENCE_TYPE.BASIC;
+};
+
+/**
+ * Converts one emoji grapheme to fully-qualified form: an emoji presentation
+ * selector follows every character without default emoji presentation, except
+ * before a skin tone modifier. Graphemes with an explicit text presentation
+ * selector are left as they are.
+ *
+ * @param {string} emoji - The emoji grapheme
+ * @returns {string} The fully-qualified emoji
+ */
+const qualifyEmoji = (emoji) => {
+  if (emoji.includes(TEXT_SELECTOR)) {
+    return emoji;
+  }
+
+  const chars = Array.from(emoji.split(EMOJI_SELECTOR).join(''));
+  return chars.map((char, index) => {
+    const next = chars[index + 1];
+    const needsSelector = /\p{Emoji}/u.test(char) &&
+      !/\p{Emoji_Presentation}/u.test(char) &&
+      !(next && MODIFIER_REGEX.test(next));
+    return needsSelector ? `${char}${EMOJI_SELECTOR}` : char;
+  }).join('');
+};
+
+/**
+ * Normalizes every emoji in a string to fully-qualified form, e.g. '❤' becomes '❤️'
+ * and '🏳‍🌈' becomes '🏳️‍🌈'. Plain text is left unchanged.
+ *
+ * @param {string} text - The string to normalize
+ * @returns {string} The normalized string
+ */
+export const normalizeEmoji = (text) => {
+  return segmentEmoji(text)
+    .map(segment => (segment.isEmoji ? qualifyEmoji(segment.value) : segment.value))
+    .join('');
+};
+
+/**
+ * Gets the skin tone modifiers of an emoji, one per toned person
+ *
+ * @param {string} emoji - The emoji
+ * @returns {Array<string>} Skin tone modifiers in order
+ */
+export const getSkinTones = (emoji) => {
+  return typeof emoji === 'string' ? emoji.match(MODIFIERS_REGEX) || [] : [];
+};
+
+/**
+ * Removes all skin tone modifiers from an emoji. Multi-person sequences produced by
+ * applySkinTones (such as 🫱🏻‍🫲🏿) collapse back to their single-character form.
+ *
+ * @param {string} emoji - The emoji
+ * @returns {string} The emoji without skin tones
+ */
+export const removeSkinTones = (emoji) => {
+  if (typeof emoji !== 'string') {
+    return '';
+  }
+
+  const stripped = emoji.replace(MODIFIERS_REGEX, '');
+  const collapsed = Object.keys(MULTI_PERSON_SEQUENCES)
+    .find(key => MULTI_PERSON_SEQUENCES[key] === stripped);
+  return collapsed || stripped;
+};
+
+/**
+ * Applies skin tones per person. Every person in a ZWJ sequence receives a tone;
+ * with an array of tones the people are toned in order (the last tone is reused
+ * when there are more people than tones). Multi-person emojis such as 🤝 or 💑 are
+ * expanded to their ZWJ form when the tones differ. Existing tones are replaced.
+ * This function does not check whether the result is a recommended emoji; use
+ * applyEmojiSkinTone in emojiUtils for dataset-checked application.
+ *
+ * @param {string} emoji - The emoji
+ * @param {string|Array<string>} tones - Skin tone modifier or array of modifiers
+ * @returns {string} The toned emoji, or the emoji unchanged if it has no person to tone
+ */
+export const applySkinTones = (emoji, tones) => {
+  const toneList = (Array.isArray(tones) ? tones : [tones])
+    .filter(tone => typeof tone === 'string' && MODIFIER_REGEX.test(tone));
+  if (!isEmojiGrapheme(emoji) || toneList.length === 0) {
+    return emoji;
+  }
+
+  let base = removeSkinTones(emoji);
+  if (new Set(toneList).size > 1 && MULTI_PERSON_SEQUENCES[base]) {
+    base = MULTI_PERSON_SEQUENCES[base];
+  }
+
+  let personCount = 0;
+  const parts = base.split(ZWJ).map((part, index) => {
+    const chars = Array.from(part);
+    const first = chars[0];
+
+    // The handshake joining two people is not a person itself
+    const isPerson = MODIFIER_BASE_REGEX.test(first) && !(index > 0 && first === HANDSHAKE);
+    if (!isPerson) {
+      return part;
+    }
+
+    const tone = toneList[Math.min(personCount, toneList.length - 1)];
+    personCount++;
+
+    // The modifier replaces the presentation selector
+    const rest = chars.slice(1).filter(char => char !== EMOJI_SELECTOR).join('');
+    return `${first}${tone}${rest}`;
+  });
+
+  return personCount > 0 ? parts.join(ZWJ) : emoji;
+};
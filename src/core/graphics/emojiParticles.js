@@ -0,0 +1,838 @@
+/**
+ * emojiParticles.js
+ *
+ * A particle system for effects made of emoji such as sparkles, rain, fire and
+ * explosions. Emitters spawn particles from a serializable config, so designers can
+ * save presets as JSON. Particles are simulated in fixed steps of a shared scheduler,
+ * kept in a pool shared by all emitters of a system so effects do not allocate while
+ * they run, even when every explosion is a new one-shot emitter, and drawn
+ * with the emoji animator's frame renderer, either on their own or as a layer of a
+ * render pipeline.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { createEmojiAnimator } from './emojiAnimator.js';
+import { resolveEasing } from '../animation/easing.js';
+import { getDefaultScheduler } from '../time/scheduler.js';
+
+/**
+ * Enum for the areas emitters spawn particles in
+ * @readonly
+ * @enum {string}
+ */
+export const EMITTER_SHAPE = {
+  POINT: 'point',
+  CIRCLE: 'circle',
+  RECT: 'rect'
+};
+
+/**
+ * Default emitter configuration. Ranges are [min, max] pairs (a single number means
+ * a fixed value); "over life" values are spread evenly over a particle's lifetime.
+ */
+const DEFAULT_EMITTER_CONFIG = {
+  name: '',
+  emojis: ['✨'],
+  rate: 0,
+  burst: 0,
+  duration: 0,
+  maxParticles: 100,
+  lifetime: [800, 1200],
+  speed: [20, 60],
+  angle: [0, 360],
+  gravity: { x: 0, y: 0 },
+  drag: 0,
+  rotation: [0, 0],
+  spin: [0, 0],
+  size: 24,
+  scale: [1, 1],
+  opacity: [1, 0],
+  easing: 'linear',
+  shape: EMITTER_SHAPE.POINT,
+  radius: 0,
+  width: 0,
+  height: 0
+};
+
+/**
+ * Emitter presets. Each preset is a plain config object that can be passed to
+ * createEmitterConfig or combined with overrides, e.g. { ...PARTICLE_PRESETS.rain, rate: 80 }.
+ */
+export const PARTICLE_PRESETS = {
+  sparkles: {
+    name: 'sparkles',
+    emojis: ['✨', '⭐', '🌟'],
+    rate: 12,
+    lifetime: [600, 1000],
+    speed: [10, 40],
+    spin: [-90, 90],
+    scale: [0.4, 1, 0],
+    opacity: [0, 1, 0],
+    shape: EMITTER_SHAPE.CIRCLE,
+    radius: 16
+  },
+  rain: {
+    name: 'rain',
+    emojis: ['💧'],
+    rate: 40,
+    lifetime: [700, 900],
+    speed: [250, 320],
+    angle: [95, 100],
+    size: 16,
+    opacity: [0.9, 0.6],
+    shape: EMITTER_SHAPE.RECT,
+    width: 400
+  },
+  explosion: {
+    name: 'explosion',
+    emojis: ['💥', '🔥', '💨'],
+    burst: 24,
+    maxParticles: 24,
+    lifetime: [400, 800],
+    speed: [80, 220],
+    drag: 2,
+    spin: [-180, 180],
+    scale: [0.6, 1.4],
+    opacity: [1, 0],
+    easing: 'easeOutQuad'
+  },
+  fire: {
+    name: 'fire',
+    emojis: ['🔥'],
+    rate: 20,
+    lifetime: [500, 900],
+    speed: [30, 70],
+    angle: [250, 290],
+    gravity: { x: 0, y: -40 },
+    scale: [1, 0.3],
+    opacity: [1, 0],
+    shape: EMITTER_SHAPE.CIRCLE,
+    radius: 6
+  }
+};
+
+/**
+ * Normalizes a range to a [min, max] pair
+ *
+ * @param {number|Array<number>} value - Number or [min, max] pair
+ * @param {string} key - Config key, for the error message
+ * @returns {Array<number>} Range
+ */
+const toRange = (value, key) => {
+  const range = Array.isArray(value) ? [value[0], value.length > 1 ? value[1] : value[0]] : [value, value];
+  if (!range.every(Number.isFinite)) {
+    throw new Error(`Invalid ${key} provided to createEmitterConfig`);
+  }
+  return [Math.min(range[0], range[1]), Math.max(range[0], range[1])];
+};
+
+/**
+ * Normalizes an "over life" value to a list of values
+ *
+ * @param {number|Array<number>} value - Number or list of values
+ * @param {string} key - Config key, for the error message
+ * @returns {Array<number>} Values
+ */
+const toCurve = (value, key) => {
+  const curve = Array.isArray(value) ? [...value] : [value];
+  if (curve.length === 0 || !curve.every(Number.isFinite)) {
+    throw new Error(`Invalid ${key} provided to createEmitterConfig`);
+  }
+  return curve;
+};
+
+/**
+ * Creates a normalized emitter config. Every value is JSON-serializable, so configs
+ * can be saved with exportEmitterConfig and loaded with importEmitterConfig.
+ *
+ * @param {Object} config - Emitter settings; omitted settings use defaults
+ * @param {string} config.name - Name of the config
+ * @param {Array<string>|string} config.emojis - Emojis to pick from for each particle (default: ['✨'])
+ * @param {number} config.rate - Particles emitted per second (default: 0)
+ * @param {number} config.burst - Particles emitted at once when the emitter starts (default: 0)
+ * @param {number} config.duration - How long the emitter emits in milliseconds; 0 emits until
+ *   stopped (default: 0)
+ * @param {number} config.maxParticles - Size of the particle pool (default: 100)
+ * @param {number|Array<number>} config.lifetime - Particle lifetime range in milliseconds (default: [800, 1200])
+ * @param {number|Array<number>} config.speed - Initial speed range in pixels per second (default: [20, 60])
+ * @param {number|Array<number>} config.angle - Direction range in degrees; 0 is right and 90 is down
+ *   (default: [0, 360])
+ * @param {Object} config.gravity - Acceleration { x, y } in pixels per second squared (default: { x: 0, y: 0 })
+ * @param {number} config.drag - Fraction of velocity lost per second (default: 0)
+ * @param {number|Array<number>} config.rotation - Initial rotation range in degrees (default: 0)
+ * @param {number|Array<number>} config.spin - Rotation speed range in degrees per second (default: 0)
+ * @param {number} config.size - Emoji size in pixels (default: 24)
+ * @param {number|Array<number>} config.scale - Scale over life (default: [1, 1])
+ * @param {number|Array<number>} config.opacity - Opacity over life (default: [1, 0])
+ * @param {string} config.easing - Easing name applied to the over-life values (see resolveEasing;
+ *   default: 'linear')
+ * @param {string} config.shape - Spawn area from EMITTER_SHAPE (default: EMITTER_SHAPE.POINT)
+ * @param {number} config.radius - Radius of the circle shape in pixels
+ * @param {number} config.width - Width of the rect shape in pixels
+ * @param {number} config.height - Height of the rect shape in pixels
+ * @returns {Object} Emitter config
+ */
+export const createEmitterConfig = (config = {}) => {
+  const merged = { ...DEFAULT_EMITTER_CONFIG, ...config };
+  const emojis = [].concat(merged.emojis).filter(Boolean);
+
+  // Validate input
+  if (emojis.length === 0) {
+    throw new Error('Invalid emojis provided to createEmitterConfig');
+  }
+  if (!Object.values(EMITTER_SHAPE).includes(merged.shape)) {
+    throw new Error('Invalid shape provided to createEmitterConfig');
+  }
+  if (typeof merged.easing !== 'string') {
+    throw new Error('Invalid easing provided to createEmitterConfig');
+  }
+  resolveEasing(merged.easing);
+
+  const nonNegative = ['rate', 'burst', 'duration', 'maxParticles', 'drag', 'size', 'radius', 'width', 'height'];
+  nonNegative.forEach(key => {
+    if (!Number.isFinite(merged[key]) || merged[key] < 0) {
+      throw new Error(`Invalid ${key} provided to createEmitterConfig`);
+    }
+  });
+
+  return {
+    name: String(merged.name),
+    emojis,
+    rate: merged.rate,
+    burst: Math.floor(merged.burst),
+    duration: merged.duration,
+    maxParticles: Math.floor(merged.maxParticles),
+    lifetime: toRange(merged.lifetime, 'lifetime'),
+    speed: toRange(merged.speed, 'speed'),
+    angle: toRange(merged.angle, 'angle'),
+    gravity: {
+      x: Number(merged.gravity.x) || 0,
+      y: Number(merged.gravity.y) || 0
+    },
+    drag: merged.drag,
+    rotation: toRange(merged.rotation, 'rotation'),
+    spin: toRange(merged.spin, 'spin'),
+    size: merged.size,
+    scale: toCurve(merged.scale, 'scale'),
+    opacity: toCurve(merged.opacity, 'opacity'),
+    easing: merged.easing,
+    shape: merged.shape,
+    radius: merged.radius,
+    width: merged.width,
+    height: merged.height
+  };
+};
+
+/**
+ * Exports an emitter config to a serializable JSON object
+ *
+ * @param {Object} config - Emitter config
+ * @returns {Object} A copy of the normalized config
+ */
+export const exportEmitterConfig = (config) => JSON.parse(JSON.stringify(createEmitterConfig(config)));
+
+/**
+ * Imports an emitter config from a JSON object or string
+ *
+ * @param {Object|string} data - Exported config
+ * @returns {Object} Emitter config
+ */
+export const importEmitterConfig = (data) => createEmitterConfig(typeof data === 'string' ? JSON.parse(data) : data);
+
+/**
+ * Picks a value in a range
+ *
+ * @param {Array<number>} range - [min, max] pair
+ * @param {Function} random - Random number generator
+ * @returns {number} Value in the range
+ */
+const pickInRange = (range, random) => range[0] + ((range[1] - range[0]) * random());
+
+/**
+ * Samples an "over life" curve
+ *
+ * @param {Array<number>} curve - Values spread evenly over the lifetime
+ * @param {number} progress - Eased life progress from 0.0 to 1.0
+ * @returns {number} The value
+ */
+const sampleCurve = (curve, progress) => {
+  if (curve.length === 1) {
+    return curve[0];
+  }
+
+  const position = Math.min(Math.max(progress, 0), 1) * (curve.length - 1);
+  const index = Math.min(Math.floor(position), curve.length - 2);
+  return curve[index] + ((curve[index + 1] - curve[index]) * (position - index));
+};
+
+/**
+ * Particle bounds relative to the emoji size; glyphs are wider than their font size
+ * and rotate into the corners of their square.
+ */
+const PARTICLE_EXTENT = 0.75 * Math.SQRT2;
+
+/**
+ * Creates a particle system that draws emoji particles through an emoji renderer
+ *
+ * @param {Object} emojiRenderer - An emoji renderer created with createEmojiRenderer
+ * @param {Object} options - Particle system options
+ * @param {Object} options.scheduler - Scheduler (see createScheduler) whose fixed update steps
+ *   simulate the particles (default: the shared scheduler from getDefaultScheduler)
+ * @param {Object} options.pipeline - Render pipeline (see createRenderPipeline) to draw into as a layer
+ * @param {string} options.layerId - Id of the pipeline layer (default: 'particles')
+ * @param {number} options.zIndex - Z-index of the pipeline layer (default: 90)
+ * @param {boolean} options.clear - Without a pipeline, clear the whole canvas and draw the particles
+ *   every frame. Only use this when the particles have the canvas to themselves, since it erases
+ *   everything else on it. Otherwise call render from your own render loop after drawing the
+ *   scene (default: false)
+ * @param {number} options.maxSpareParticles - Most particle objects kept for reuse after their
+ *   emitters are removed (default: 1000)
+ * @param {Object} options.animator - Emoji animator used to draw particles (default: a new animator
+ *   on the same renderer and scheduler)
+ * @param {Function} options.random - Random number generator (default: Math.random)
+ * @returns {Object} A particle system object
+ */
+export const createParticleSystem = (emojiRenderer, options = {}) => {
+  // Validate input
+  if (!emojiRenderer || !emojiRenderer.renderEmoji) {
+    throw new Error('Invalid emoji renderer provided to createParticleSystem');
+  }
+
+  const config = {
+    scheduler: options.scheduler || getDefaultScheduler(),
+    pipeline: options.pipeline || null,
+    layerId: options.layerId || 'particles',
+    clear: options.clear !== undefined ? options.clear : false,
+    maxSpareParticles: options.maxSpareParticles !== undefined ? options.maxSpareParticles : 1000,
+    random: options.random || Math.random
+  };
+  const { scheduler, pipeline } = config;
+  const animator = options.animator || createEmojiAnimator(emojiRenderer, { scheduler });
+
+  // Emitters by id
+  const emitters = new Map();
+  let emitterCount = 0;
+
+  // Particle objects of removed emitters, handed to the next emitters that need them
+  const spareParticles = [];
+
+  // Scheduler subscriptions while emitters exist
+  let unsubscribeUpdate = null;
+  let unsubscribeFrame = null;
+
+  // Frame object reused to draw every particle
+  const scratchFrame = { emoji: '', x: 0, y: 0, scale: 1, rotation: 0, opacity: 1 };
+
+  /**
+   * Converts a simulation position of an emitter to screen coordinates
+   *
+   * @param {Object} emitter - Emitter state
+   * @param {number} x - X position (world pixels for grid emitters)
+   * @param {number} y - Y position (world pixels for grid emitters)
+   * @returns {Object} Object with x, y and the zoom to scale particles by
+   */
+  const toScreen = (emitter, x, y) => {
+    if (!emitter.gridMap) {
+      return { x, y, zoom: 1 };
+    }
+
+    const { cellSize } = emitter.gridMap;
+    const zoom = typeof emitter.gridMap.getZoom === 'function' ? emitter.gridMap.getZoom() : 1;
+    const screen = emitter.gridMap.gridToScreen((x / cellSize) - 0.5, (y / cellSize) - 0.5);
+    return { x: screen.x, y: screen.y, zoom };
+  };
+
+  /**
+   * Spawns one particle from the pool
+   *
+   * @param {Object} emitter - Emitter state
+   * @returns {boolean} False if the pool is full
+   */
+  const spawn = (emitter) => {
+    const settings = emitter.config;
+    if (emitter.count >= settings.maxParticles) {
+      return false;
+    }
+
+    // Reuse a particle object of this emitter or of a removed one when one exists
+    let particle = emitter.pool[emitter.count];
+    if (!particle) {
+      particle = spareParticles.pop() || {};
+      emitter.pool[emitter.count] = particle;
+    }
+    emitter.count++;
+
+    // Spawn position within the emitter shape
+    let offsetX = 0;
+    let offsetY = 0;
+    if (settings.shape === EMITTER_SHAPE.CIRCLE) {
+      const angle = config.random() * Math.PI * 2;
+      const distance = settings.radius * Math.sqrt(config.random());
+      offsetX = Math.cos(angle) * distance;
+      offsetY = Math.sin(angle) * distance;
+    } else if (settings.shape === EMITTER_SHAPE.RECT) {
+      offsetX = (config.random() - 0.5) * settings.width;
+      offsetY = (config.random() - 0.5) * settings.height;
+    }
+
+    const direction = pickInRange(settings.angle, config.random) * (Math.PI / 180);
+    const speed = pickInRange(settings.speed, config.random);
+
+    particle.emoji = settings.emojis[Math.floor(config.random() * settings.emojis.length) % settings.emojis.length];
+    particle.x = emitter.x + offsetX;
+    particle.y = emitter.y + offsetY;
+    particle.vx = Math.cos(direction) * speed;
+    particle.vy = Math.sin(direction) * speed;
+    particle.age = 0;
+    particle.life = Math.max(1, pickInRange(settings.lifetime, config.random));
+    particle.rotation = pickInRange(settings.rotation, config.random) * (Math.PI / 180);
+    particle.spin = pickInRange(settings.spin, config.random) * (Math.PI / 180);
+    particle.scale = settings.scale[0];
+    particle.opacity = settings.opacity[0];
+    return true;
+  };
+
+  /**
+   * Emits a number of particles at once
+   *
+   * @param {Object} emitter - Emitter state
+   * @param {number} count - Number of particles
+   * @returns {number} Number of particles emitted
+   */
+  const emitBurst = (emitter, count) => {
+    let emitted = 0;
+    while (emitted < count && spawn(emitter)) {
+      emitted++;
+    }
+    return emitted;
+  };
+
+  /**
+   * Simulates an emitter and its particles
+   *
+   * @param {Object} emitter - Emitter state
+   * @param {number} step - Time step in milliseconds
+   * @returns {void}
+   */
+  const updateEmitter = (emitter, step) => {
+    const settings = emitter.config;
+    const seconds = step / 1000;
+
+    // Continuous emission
+    if (emitter.emitting) {
+      emitter.emitTime += step;
+      emitter.emitDebt += settings.rate * seconds;
+      while (emitter.emitDebt >= 1) {
+        emitter.emitDebt -= 1;
+        spawn(emitter);
+      }
+      if (settings.duration > 0 && emitter.emitTime >= settings.duration) {
+        emitter.emitting = false;
+      }
+    }
+
+    // Move particles; dead particles are swapped with the last live one
+    const dragFactor = Math.max(0, 1 - (settings.drag * seconds));
+    let index = 0;
+    while (index < emitter.count) {
+      const particle = emitter.pool[index];
+      particle.age += step;
+
+      if (particle.age >= particle.life) {
+        emitter.count--;
+        emitter.pool[index] = emitter.pool[emitter.count];
+        emitter.pool[emitter.count] = particle;
+        continue;
+      }
+
+      particle.vx = (particle.vx + (settings.gravity.x * seconds)) * dragFactor;
+      particle.vy = (particle.vy + (settings.gravity.y * seconds)) * dragFactor;
+      particle.x += particle.vx * seconds;
+      particle.y += particle.vy * seconds;
+      particle.rotation += particle.spin * seconds;
+
+      const progress = emitter.easing(particle.age / particle.life);
+      particle.scale = sampleCurve(settings.scale, progress);
+      particle.opacity = Math.min(Math.max(sampleCurve(settings.opacity, progress), 0), 1);
+      index++;
+    }
+  };
+
+  /**
+   * Checks whether an emitter has nothing left to do
+   *
+   * @param {Object} emitter - Emitter state
+   * @returns {boolean} True if the emitter is not emitting and has no particles
+   */
+  const isFinished = (emitter) => emitter.count === 0 &&
+    (!emitter.emitting || emitter.config.rate === 0);
+
+  /**
+   * Calculates the screen rectangle covered by an emitter's particles
+   *
+   * @param {Object} emitter - Emitter state
+   * @returns {Object|null} Rectangle, or null without particles
+   */
+  const getEmitterBounds = (emitter) => {
+    if (emitter.count === 0) {
+      return null;
+    }
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (let i = 0; i < emitter.count; i++) {
+      const particle = emitter.pool[i];
+      const screen = toScreen(emitter, particle.x, particle.y);
+      const extent = emitter.config.size * Math.abs(particle.scale) * screen.zoom * PARTICLE_EXTENT;
+      minX = Math.min(minX, screen.x - extent);
+      minY = Math.min(minY, screen.y - extent);
+      maxX = Math.max(maxX, screen.x + extent);
+      maxY = Math.max(maxY, screen.y + extent);
+    }
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  };
+
+  /**
+   * Marks a screen region of the pipeline for redraw
+   *
+   * @param {Object} bounds - Rectangle, or null
+   * @returns {void}
+   */
+  const invalidateBounds = (bounds) => {
+    if (pipeline && bounds) {
+      pipeline.invalidate(bounds);
+    }
+  };
+
+  /**
+   * Draws every particle without clearing anything. This is the system's pipeline
+   * layer; call it directly to draw particles from your own render loop.
+   *
+   * @returns {void}
+   */
+  const render = () => {
+    emitters.forEach(emitter => {
+      for (let i = 0; i < emitter.count; i++) {
+        const particle = emitter.pool[i];
+        const screen = toScreen(emitter, particle.x, particle.y);
+
+        scratchFrame.emoji = particle.emoji;
+        scratchFrame.x = screen.x;
+        scratchFrame.y = screen.y;
+        scratchFrame.scale = particle.scale;
+        scratchFrame.rotation = particle.rotation;
+        scratchFrame.opacity = particle.opacity;
+        animator.renderAnimationFrame(scratchFrame, 0, 0, emitter.config.size * screen.zoom, emitter.renderOptions);
+      }
+    });
+  };
+
+  /**
+   * Simulates all emitters by one step and removes finished emitters
+   *
+   * @param {number} step - Time step in milliseconds (default: the scheduler's fixed step)
+   * @returns {void}
+   */
+  const update = (step = scheduler.getFixedStep()) => {
+    emitters.forEach((emitter, id) => {
+      updateEmitter(emitter, step);
+      if (emitter.autoRemove && isFinished(emitter)) {
+        removeEmitter(id);
+      }
+    });
+  };
+
+  /**
+   * Redraws the particles once per scheduler frame
+   *
+   * @returns {void}
+   */
+  const drawFrame = () => {
+    if (pipeline) {
+      // Redraw the regions the particles left and entered
+      emitters.forEach(emitter => {
+        const bounds = getEmitterBounds(emitter);
+        invalidateBounds(emitter.bounds);
+        invalidateBounds(bounds);
+        emitter.bounds = bounds;
+      });
+      pipeline.requestRender();
+    } else if (config.clear) {
+      emojiRenderer.clearCanvas();
+      render();
+    }
+
+    if (emitters.size === 0) {
+      stopLoop();
+    }
+  };
+
+  /**
+   * Subscribes to the scheduler while there are emitters
+   *
+   * @returns {void}
+   */
+  const startLoop = () => {
+    if (unsubscribeUpdate === null) {
+      unsubscribeUpdate = scheduler.onUpdate((step) => update(step));
+      unsubscribeFrame = scheduler.onFrame(drawFrame);
+      scheduler.start();
+    }
+  };
+
+  /**
+   * Unsubscribes from the scheduler
+   *
+   * @returns {void}
+   */
+  const stopLoop = () => {
+    if (unsubscribeUpdate !== null) {
+      unsubscribeUpdate();
+      unsubscribeFrame();
+      unsubscribeUpdate = null;
+      unsubscribeFrame = null;
+    }
+  };
+
+  /**
+   * Removes an emitter and its particles, keeping the particle objects for reuse
+   *
+   * @param {string} id - Emitter id
+   * @returns {boolean} True if the emitter was removed
+   */
+  const removeEmitter = (id) => {
+    const emitter = emitters.get(id);
+    if (!emitter) {
+      return false;
+    }
+
+    invalidateBounds(emitter.bounds);
+    if (pipeline && emitter.bounds) {
+      pipeline.requestRender();
+    }
+    emitters.delete(id);
+
+    const kept = Math.max(0, Math.min(emitter.pool.length, config.maxSpareParticles - spareParticles.length));
+    for (let i = 0; i < kept; i++) {
+      spareParticles.push(emitter.pool[i]);
+    }
+    emitter.pool.length = 0;
+    emitter.count = 0;
+    emitter.bounds = null;
+    return true;
+  };
+
+  /**
+   * Creates an emitter. Positions are screen coordinates, or grid coordinates when a
+   * grid map is given; grid emitters follow the map's camera and zoom, and their
+   * particles move in world pixels.
+   *
+   * @param {Object} emitterConfig - Emitter config (see createEmitterConfig)
+   * @param {Object} placement - Emitter placement
+   * @param {number} placement.x - X position (default: 0)
+   * @param {number} placement.y - Y position (default: 0)
+   * @param {Object} placement.gridMap - Grid map whose cell coordinates x and y are in
+   * @param {boolean} placement.autoStart - Start emitting immediately (default: true)
+   * @param {boolean} placement.autoRemove - Remove the emitter once it stopped emitting and its
+   *   particles died (default: true)
+   * @param {Object} placement.renderOptions - Rendering options passed to the emoji renderer
+   * @returns {Object} Emitter object
+   */
+  const createEmitter = (emitterConfig, placement = {}) => {
+    const settings = createEmitterConfig(emitterConfig);
+    const id = `emitter_${++emitterCount}`;
+
+    const emitter = {
+      config: settings,
+      easing: resolveEasing(settings.easing),
+      gridMap: placement.gridMap || null,
+      x: 0,
+      y: 0,
+      pool: [],
+      count: 0,
+      emitting: false,
+      emitTime: 0,
+      emitDebt: 0,
+      bounds: null,
+      autoRemove: placement.autoRemove !== undefined ? placement.autoRemove : true,
+      renderOptions: placement.renderOptions || {}
+    };
+
+    /**
+     * Moves the emitter; live particles keep their positions
+     *
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {void}
+     */
+    const setPosition = (x, y) => {
+      const cellSize = emitter.gridMap ? emitter.gridMap.cellSize : 0;
+      emitter.x = emitter.gridMap ? (x + 0.5) * cellSize : x;
+      emitter.y = emitter.gridMap ? (y + 0.5) * cellSize : y;
+    };
+
+    /**
+     * Starts emitting, including the config's burst
+     *
+     * @returns {void}
+     */
+    const start = () => {
+      if (!emitters.has(id)) {
+        emitters.set(id, emitter);
+      }
+      emitter.emitting = true;
+      emitter.emitTime = 0;
+      emitter.emitDebt = 0;
+      emitBurst(emitter, settings.burst);
+      startLoop();
+    };
+
+    setPosition(placement.x || 0, placement.y || 0);
+    emitters.set(id, emitter);
+    if (placement.autoStart !== false) {
+      start();
+    }
+
+    return {
+      id,
+      start,
+      setPosition,
+
+      /**
+       * Stops emitting; live particles finish their lives
+       *
+       * @returns {void}
+       */
+      stop: () => {
+        emitter.emitting = false;
+      },
+
+      /**
+       * Emits a number of particles at once
+       *
+       * @param {number} count - Number of particles (default: the config's burst)
+       * @returns {number} Number of particles emitted
+       */
+      burst: (count = settings.burst) => {
+        if (!emitters.has(id)) {
+          emitters.set(id, emitter);
+        }
+        const emitted = emitBurst(emitter, count);
+        startLoop();
+        return emitted;
+      },
+
+      /**
+       * Checks whether the emitter is emitting
+       *
+       * @returns {boolean} True while emitting
+       */
+      isEmitting: () => emitter.emitting,
+
+      /**
+       * Gets the number of live particles
+       *
+       * @returns {number} Particle count
+       */
+      getParticleCount: () => emitter.count,
+
+      /**
+       * Gets the emitter config
+       *
+       * @returns {Object} A copy of the normalized config
+       */
+      getConfig: () => exportEmitterConfig(settings),
+
+      /**
+       * Removes the emitter and its particles
+       *
+       * @returns {boolean} True if the emitter was removed
+       */
+      remove: () => removeEmitter(id)
+    };
+  };
+
+  /**
+   * Plays a one-shot effect: emits the config's burst (or a given count) once and
+   * removes the emitter when its particles have died
+   *
+   * @param {Object} emitterConfig - Emitter config (see createEmitterConfig)
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {Object} placement - Other placement options (see createEmitter)
+   * @param {number} count - Number of particles (default: the config's burst)
+   * @returns {Object} Emitter object
+   */
+  const burst = (emitterConfig, x, y, placement = {}, count = undefined) => {
+    const emitter = createEmitter({ ...emitterConfig, rate: 0 }, { ...placement, x, y, autoStart: false, autoRemove: true });
+    emitter.burst(count);
+    return emitter;
+  };
+
+  /**
+   * Removes all emitters and their particles
+   *
+   * @returns {void}
+   */
+  const clear = () => {
+    Array.from(emitters.keys()).forEach(removeEmitter);
+  };
+
+  /**
+   * Removes all emitters and the pipeline layer
+   *
+   * @returns {void}
+   */
+  const destroy = () => {
+    clear();
+    stopLoop();
+    if (pipeline) {
+      pipeline.removeLayer(config.layerId);
+    }
+  };
+
+  // Draw particles as a layer of the pipeline
+  if (pipeline) {
+    pipeline.addLayer(config.layerId, render, {
+      zIndex: options.zIndex !== undefined ? options.zIndex : 90
+    });
+  }
+
+  // Return the public API
+  return {
+    createEmitter,
+    burst,
+    removeEmitter,
+    update,
+    render,
+    clear,
+    destroy,
+
+    /**
+     * Gets the ids of all emitters
+     *
+     * @returns {Array<string>} Emitter ids
+     */
+    getEmitterIds: () => Array.from(emitters.keys()),
+
+    /**
+     * Gets particle statistics
+     *
+     * @returns {Object} Object with emitters, particles, pooled (particle objects held by emitters
+     *   and kept for reuse) and spare (those kept for reuse)
+     */
+    getStats: () => {
+      let particles = 0;
+      let pooled = spareParticles.length;
+      emitters.forEach(emitter => {
+        particles += emitter.count;
+        pooled += emitter.pool.length;
+      });
+      return { emitters: emitters.size, particles, pooled, spare: spareParticles.length };
+    }
+  };
+};
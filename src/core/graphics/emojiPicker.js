@@ -6,7 +6,15 @@
  * with the existing emoji rendering system.
  */
 
-import { EMOJI_CATEGORIES, SKIN_TONES, applyEmojiSkinTone, supportsSkinTone } from './emojiUtils.js';
+import {
+  EMOJI_CATEGORIES,
+  SKIN_TONES,
+  applyEmojiSkinTone,
+  supportsSkinTone,
+  searchEmojis,
+  getEmojisByCategory,
+  getEmojiName
+} from './emojiUtils.js';
 
 /**
  * Creates an emoji picker component
@@ -20,6 +28,9 @@ import { EMOJI_CATEGORIES, SKIN_TONES, applyEmojiSkinTone, supportsSkinTone } fr
  * @param {boolean} options.showFavorites - Whether to show favorite emojis (default: true)
  * @param {number} options.recentCount - Maximum number of recent emojis to store (default: 20)
  * @param {number} options.favoritesCount - Maximum number of favorite emojis to store (default: 20)
+ * @param {number} options.searchLimit - Maximum number of search results (default: 100)
+ * @param {number} options.maxVersion - Hide emojis newer than this Unicode emoji version, for
+ *   platforms with older emoji fonts (default: no limit)
  * @returns {Object} Emoji picker controller object
  */
 export const createEmojiPicker = (options) => {
@@ -39,7 +50,9 @@ export const createEmojiPicker = (options) => {
     showRecents: options.showRecents !== undefined ? options.showRecents : true,
     showFavorites: options.showFavorites !== undefined ? options.showFavorites : true,
     recentCount: options.recentCount || 20,
-    favoritesCount: options.favoritesCount || 20
+    favoritesCount: options.favoritesCount || 20,
+    searchLimit: options.searchLimit || 100,
+    maxVersion: options.maxVersion
   };
 
   // State variables
@@ -473,16 +486,15 @@ export const createEmojiPicker = (options) => {
     let emojisToShow = [];
 
     if (searchQuery) {
-      // Search across all categories
-      Object.values(EMOJI_CATEGORIES).forEach(category => {
-        const matchingEmojis = category.samples.filter(emoji =>
-          emoji.toLowerCase().includes(searchQuery)
-        );
-        emojisToShow = [...emojisToShow, ...matchingEmojis];
-      });
+      // Search names and keywords across all categories, best match first
+      emojisToShow = searchEmojis(searchQuery, {
+        limit: config.searchLimit,
+        maxVersion: config.maxVersion
+      }).map(entry => entry.emoji);
     } else {
-      // Show current category
-      emojisToShow = EMOJI_CATEGORIES[currentCategory].samples;
+      // Show every emoji of the current category, falling back to its samples
+      const categoryEmojis = getEmojisByCategory(currentCategory, { maxVersion: config.maxVersion });
+      emojisToShow = categoryEmojis.length > 0 ? categoryEmojis : EMOJI_CATEGORIES[currentCategory].samples;
     }
 
     if (emojisToShow.length === 0) {
@@ -516,6 +528,7 @@ export const createEmojiPicker = (options) => {
       : emoji;
 
     element.textContent = displayEmoji;
+    element.title = getEmojiName(emoji) || '';
 
     // Add click handler
     element.addEventListener('click', () => {
@@ -5,18 +5,121 @@
  * This module follows the functional programming paradigm and avoids external dependencies.
  */
 
+import { createGlyphAtlas } from './emojiAtlas.js';
+import { createEmojiFallbacks, createEmojiSupportProbe } from './emojiSupport.js';
+import { getSpriteRect } from './emojiAssetPack.js';
+import {
+  createCanvasBackend,
+  getDevicePixelRatio,
+  resolveRenderBackend,
+  watchDevicePixelRatio
+} from './renderBackend.js';
+
 /**
  * Creates an emoji renderer that can draw emojis on a specified canvas context.
  *
- * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {CanvasRenderingContext2D|Object} target - The canvas 2D rendering context, or a render
+ *   backend created with createCanvasBackend or createRecordingBackend
+ * @param {Object} rendererOptions - Renderer options
+ * @param {boolean|Object} rendererOptions.atlas - Cache glyphs in a texture atlas. Pass true to create
+ *   a private atlas, or an atlas created with createGlyphAtlas to share one between renderers
+ * @param {Object} rendererOptions.atlasOptions - Options for the private atlas (see createGlyphAtlas)
+ * @param {boolean|Object} rendererOptions.fallbacks - Substitution of emojis the platform cannot display.
+ *   Pass a registry created with createEmojiFallbacks to share one between renderers, true for a
+ *   private registry with automatic fallbacks, or an object of fallback chains such as
+ *   { '🫠': ['😵', '?'] } for a private registry with those chains. A private registry probes each
+ *   emoji with a pixel readback the first time it is drawn. By default emojis are drawn as given.
+ * @param {Object} rendererOptions.assetPack - Asset pack created with createEmojiAssetPack. Emojis are
+ *   drawn from the pack when it has them and from the system font otherwise, so every player sees
+ *   the same art. Subscribe to the pack to redraw when glyphs finish loading.
  * @returns {Object} An object with methods for emoji rendering
  */
-export const createEmojiRenderer = (ctx) => {
+export const createEmojiRenderer = (target, rendererOptions = {}) => {
   // Validate input
-  if (!ctx || !(ctx instanceof CanvasRenderingContext2D)) {
+  const backend = resolveRenderBackend(target);
+  if (!backend) {
     throw new Error('Invalid canvas context provided to createEmojiRenderer');
   }
 
+  const ctx = backend.getContext();
+
+  /**
+   * Creates an offscreen surface for an atlas page using this renderer's backend
+   *
+   * @param {number} width - Surface width in pixels
+   * @param {number} height - Surface height in pixels
+   * @returns {Object} Object containing the canvas and its 2D context
+   */
+  const createAtlasSurface = (width, height) => {
+    const surface = backend.createSurface(width, height);
+    return { canvas: surface.getCanvas(), ctx: surface.getContext() };
+  };
+
+  // Glyph cache (null when rendering directly with fillText)
+  const atlas = rendererOptions.atlas === true
+    ? createGlyphAtlas({ createSurface: createAtlasSurface, ...rendererOptions.atlasOptions })
+    : (rendererOptions.atlas || null);
+
+  // Fallback registry (null when emojis are drawn as given)
+  let fallbacks = null;
+  if (rendererOptions.fallbacks && typeof rendererOptions.fallbacks.resolve === 'function') {
+    fallbacks = rendererOptions.fallbacks;
+  } else if (rendererOptions.fallbacks) {
+    fallbacks = createEmojiFallbacks({
+      probe: createEmojiSupportProbe({ backend }),
+      chains: typeof rendererOptions.fallbacks === 'object' ? rendererOptions.fallbacks : {}
+    });
+  }
+
+  /**
+   * Resolves an emoji to the one that will be drawn, following fallback chains
+   * when the platform cannot display it
+   *
+   * @param {string} emoji - The emoji
+   * @returns {string} The emoji to draw
+   */
+  const resolveEmoji = (emoji) => {
+    return fallbacks ? fallbacks.resolve(emoji) : emoji;
+  };
+
+  // Bundled emoji art (null when drawing with the system font only)
+  const assetPack = rendererOptions.assetPack || null;
+
+  /**
+   * Gets the asset pack sprite for an emoji, trying its fallback when the pack lacks it
+   *
+   * @param {string} emoji - The emoji
+   * @returns {Object|null} The sprite, or null to draw with the system font
+   */
+  const getPackSprite = (emoji) => {
+    if (!assetPack) {
+      return null;
+    }
+    return assetPack.getSprite(emoji) || assetPack.getSprite(resolveEmoji(emoji));
+  };
+
+  // Tinting needs an offscreen pass, so tinted glyphs always go through an atlas
+  let tintAtlas = null;
+
+  /**
+   * Gets the glyph cache to use for a render call
+   *
+   * @param {Object} options - Rendering options
+   * @returns {Object|null} The glyph atlas, or null to render directly
+   */
+  const getGlyphCache = (options) => {
+    if (atlas) {
+      return atlas;
+    }
+
+    if (options.tint) {
+      tintAtlas = tintAtlas || createGlyphAtlas({ createSurface: createAtlasSurface, pageSize: 512, maxPages: 2 });
+      return tintAtlas;
+    }
+
+    return null;
+  };
+
   /**
    * Renders a single emoji at the specified position
    *
@@ -28,9 +131,39 @@ export const createEmojiRenderer = (ctx) => {
    * @param {string} options.font - Font family to use (default: 'sans-serif')
    * @param {string} options.textBaseline - Canvas textBaseline property (default: 'middle')
    * @param {string} options.textAlign - Canvas textAlign property (default: 'center')
+   * @param {string} options.color - Fill color for text-style glyphs (defaults to the current fillStyle)
+   * @param {string} options.tint - Color to tint the emoji with (optional)
+   * @param {number} options.tintAmount - Tint strength from 0.0 to 1.0 (default: 0.5)
    * @returns {void}
    */
   const renderEmoji = (emoji, x, y, size, options = {}) => {
+    const sprite = getPackSprite(emoji);
+    const glyphText = sprite ? emoji : resolveEmoji(emoji);
+
+    // Blit from the glyph cache when available
+    const glyphCache = getGlyphCache(options);
+    if (glyphCache) {
+      const pixelRatio = backend.getPixelRatio();
+      const color = options.color || ctx.fillStyle;
+      const glyph = glyphCache.getGlyph(glyphText, size, { ...options, color, pixelRatio, sprite });
+      if (glyph) {
+        ctx.drawImage(
+          glyph.canvas,
+          glyph.sx, glyph.sy, glyph.width, glyph.height,
+          x - (glyph.anchorX / pixelRatio), y - (glyph.anchorY / pixelRatio),
+          glyph.width / pixelRatio, glyph.height / pixelRatio
+        );
+        return;
+      }
+    }
+
+    // Draw pack art directly, lined up with where the text glyph would be
+    if (sprite) {
+      const rect = getSpriteRect(x, y, size, options.textAlign, options.textBaseline);
+      ctx.drawImage(sprite.image, sprite.sx, sprite.sy, sprite.sw, sprite.sh, rect.x, rect.y, rect.width, rect.height);
+      return;
+    }
+
     // Save the current context state
     ctx.save();
 
@@ -42,8 +175,12 @@ export const createEmojiRenderer = (ctx) => {
     ctx.textBaseline = options.textBaseline || 'middle';
     ctx.textAlign = options.textAlign || 'center';
 
+    if (options.color) {
+      ctx.fillStyle = options.color;
+    }
+
     // Draw the emoji
-    ctx.fillText(emoji, x, y);
+    ctx.fillText(glyphText, x, y);
 
     // Restore the context state
     ctx.restore();
@@ -87,9 +224,14 @@ export const createEmojiRenderer = (ctx) => {
    * @returns {number} The width of the emoji in pixels
    */
   const measureEmojiWidth = (emoji, size, font = 'sans-serif') => {
+    // Pack sprites are square
+    if (getPackSprite(emoji)) {
+      return size;
+    }
+
     ctx.save();
     ctx.font = `${size}px ${font}`;
-    const width = ctx.measureText(emoji).width;
+    const width = ctx.measureText(resolveEmoji(emoji)).width;
     ctx.restore();
     return width;
   };
@@ -100,7 +242,8 @@ export const createEmojiRenderer = (ctx) => {
    * @returns {void}
    */
   const clearCanvas = () => {
-    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    const { width, height } = backend.getSize();
+    ctx.clearRect(0, 0, width, height);
   };
 
   /**
@@ -112,13 +255,64 @@ export const createEmojiRenderer = (ctx) => {
     return ctx;
   };
 
+  /**
+   * Gets the logical size of the drawing surface (CSS pixels on high-DPI canvases)
+   *
+   * @returns {Object} Object with width and height properties
+   */
+  const getViewportSize = () => {
+    return backend.getSize();
+  };
+
+  /**
+   * Gets the render backend used by this renderer
+   *
+   * @returns {Object} The render backend
+   */
+  const getBackend = () => {
+    return backend;
+  };
+
+  /**
+   * Gets the glyph atlas used by this renderer
+   *
+   * @returns {Object|null} The glyph atlas, or null if glyph caching is disabled
+   */
+  const getAtlas = () => {
+    return atlas;
+  };
+
+  /**
+   * Gets the fallback registry used by this renderer
+   *
+   * @returns {Object|null} The fallback registry, or null if fallbacks are disabled
+   */
+  const getFallbacks = () => {
+    return fallbacks;
+  };
+
+  /**
+   * Gets the asset pack used by this renderer
+   *
+   * @returns {Object|null} The asset pack, or null if emojis are drawn with the system font only
+   */
+  const getAssetPack = () => {
+    return assetPack;
+  };
+
   // Return the public API
   return {
     renderEmoji,
+    resolveEmoji,
     renderEmojiGrid,
     measureEmojiWidth,
     clearCanvas,
-    getContext
+    getViewportSize,
+    getContext,
+    getBackend,
+    getAtlas,
+    getFallbacks,
+    getAssetPack
   };
 };
 
@@ -128,9 +322,18 @@ export const createEmojiRenderer = (ctx) => {
  * @param {number} width - Canvas width in pixels
  * @param {number} height - Canvas height in pixels
  * @param {boolean} appendToBody - Whether to append the canvas to document.body
- * @returns {Object} Object containing the canvas element and its 2D context
+ * @param {Object} options - Canvas options
+ * @param {boolean} options.hiDPI - Scale the backing store by the device pixel ratio so emojis
+ *   stay sharp on high-DPI displays. Width and height remain the logical (CSS pixel) size.
+ * @param {number} options.pixelRatio - Explicit pixel ratio (default: window.devicePixelRatio)
+ * @param {boolean} options.autoUpdate - Follow device pixel ratio changes, for example when the
+ *   window moves between monitors (default: true when hiDPI is enabled without an explicit ratio)
+ * @param {Function} options.onPixelRatioChange - Called with the new ratio after the canvas has been
+ *   resized for it. Resizing clears the canvas, so this is the place to redraw.
+ * @returns {Object} Object containing the canvas element, its 2D context, a render backend
+ *   and a destroy function that stops watching for pixel ratio changes
  */
-export const createCanvas = (width, height, appendToBody = false) => {
+export const createCanvas = (width, height, appendToBody = false, options = {}) => {
   const canvas = document.createElement('canvas');
   canvas.width = width;
   canvas.height = height;
@@ -141,8 +344,27 @@ export const createCanvas = (width, height, appendToBody = false) => {
 
   const ctx = canvas.getContext('2d');
 
+  const pixelRatio = options.hiDPI ? (options.pixelRatio || getDevicePixelRatio()) : 1;
+  const backend = createCanvasBackend(ctx, { pixelRatio });
+
+  // Keep the backing store in sync with the display the canvas is shown on
+  const autoUpdate = options.autoUpdate !== undefined
+    ? options.autoUpdate
+    : Boolean(options.hiDPI && !options.pixelRatio);
+
+  const unwatch = autoUpdate
+    ? watchDevicePixelRatio((ratio) => {
+      backend.setPixelRatio(ratio);
+      if (typeof options.onPixelRatioChange === 'function') {
+        options.onPixelRatioChange(ratio);
+      }
+    })
+    : () => {};
+
   return {
     canvas,
-    ctx
+    ctx,
+    backend,
+    destroy: unwatch
   };
 };
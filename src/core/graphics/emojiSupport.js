@@ -0,0 +1,404 @@
+/**
+ * emojiSupport.js
+ *
+ * A module for detecting which emojis the current platform can display and for
+ * substituting fallbacks for those it cannot. Each emoji is probed individually:
+ * it is drawn on an offscreen surface and compared with the platform's "tofu"
+ * (missing glyph) box, and sequences are measured to catch ZWJ sequences, flags
+ * and skin tones that fall apart into several glyphs. Results are cached.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { createCanvasSurface } from './renderBackend.js';
+import { EMOJI_SEQUENCE_TYPE, classifyEmoji, removeSkinTones } from './emojiParser.js';
+
+/**
+ * Enum for emoji support probe results
+ * @readonly
+ * @enum {string}
+ */
+export const EMOJI_SUPPORT_STATUS = {
+  SUPPORTED: 'supported',
+  BLANK: 'blank',
+  TOFU: 'tofu',
+  SPLIT: 'split',
+  UNTESTED: 'untested'
+};
+
+// Code points that no font maps, used to capture the platform's missing glyph box
+const TOFU_REFERENCES = ['\u{10FFFD}', '\u{FFFF}'];
+
+/**
+ * Hashes pixel data into a compact signature (FNV-1a)
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @returns {string|null} Signature, or null if the pixels are blank
+ */
+const hashPixels = (data) => {
+  let hash = 0x811c9dc5;
+  let painted = false;
+
+  for (let i = 0; i < data.length; i++) {
+    if (i % 4 === 3 && data[i] > 0) {
+      painted = true;
+    }
+    hash ^= data[i];
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return painted ? hash.toString(16) : null;
+};
+
+/**
+ * Creates an emoji support probe that tests individual emojis
+ *
+ * @param {Object} options - Probe options
+ * @param {Object} options.backend - Render backend used to create the test surface (optional).
+ *   Defaults to an offscreen canvas surface. Backends without pixel access (such as recording
+ *   backends) can only run the width check.
+ * @param {string} options.font - Font family to probe with (default: 'sans-serif')
+ * @param {number} options.size - Font size in pixels (default: 32)
+ * @param {number} options.splitRatio - A sequence is considered split when it is wider than its
+ *   first character by this factor (default: 1.5)
+ * @returns {Object} An emoji support probe object
+ */
+export const createEmojiSupportProbe = (options = {}) => {
+  const config = {
+    backend: options.backend || null,
+    font: options.font || 'sans-serif',
+    size: options.size !== undefined ? options.size : 32,
+    splitRatio: options.splitRatio !== undefined ? options.splitRatio : 1.5
+  };
+
+  // Cached results by emoji
+  const results = new Map();
+
+  // Test surface and tofu signatures, created on first use
+  let surface = null;
+  let tofuSignatures = null;
+
+  /**
+   * Gets the test surface, creating it on first use
+   *
+   * @returns {Object} Render backend of the test surface
+   */
+  const getSurface = () => {
+    if (!surface) {
+      // Wide enough to hold a sequence that falls apart into several glyphs
+      const width = config.size * 4;
+      surface = config.backend
+        ? config.backend.createSurface(width, config.size * 2)
+        : createCanvasSurface(width, config.size * 2);
+    }
+    return surface;
+  };
+
+  /**
+   * Draws text on the test surface and returns its pixel signature
+   *
+   * @param {string} text - Text to draw
+   * @returns {string|null|undefined} Signature, null if nothing was drawn, or undefined
+   *   if the surface has no pixel access
+   */
+  const getSignature = (text) => {
+    const testSurface = getSurface();
+    const ctx = testSurface.getContext();
+    const { width, height } = testSurface.getSize();
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.save();
+    ctx.font = `${config.size}px ${config.font}`;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#000000';
+    ctx.fillText(text, 0, 0);
+    ctx.restore();
+
+    const pixels = testSurface.readPixels(0, 0, width, height);
+    return pixels ? hashPixels(pixels) : undefined;
+  };
+
+  /**
+   * Measures the width of text on the test surface
+   *
+   * @param {string} text - Text to measure
+   * @returns {number} Width in pixels
+   */
+  const measure = (text) => {
+    const ctx = getSurface().getContext();
+    ctx.save();
+    ctx.font = `${config.size}px ${config.font}`;
+    const width = ctx.measureText(text).width;
+    ctx.restore();
+    return width;
+  };
+
+  /**
+   * Gets the signatures of the platform's missing glyph boxes
+   *
+   * @returns {Set<string>} Tofu signatures
+   */
+  const getTofuSignatures = () => {
+    if (!tofuSignatures) {
+      tofuSignatures = new Set(TOFU_REFERENCES.map(getSignature).filter(Boolean));
+    }
+    return tofuSignatures;
+  };
+
+  /**
+   * Runs the checks for one emoji
+   *
+   * @param {string} emoji - The emoji
+   * @returns {string} Status from EMOJI_SUPPORT_STATUS
+   */
+  const runProbe = (emoji) => {
+    const type = classifyEmoji(emoji);
+
+    // Sequences that fall apart render wider than a single glyph
+    if (type !== EMOJI_SEQUENCE_TYPE.BASIC && type !== EMOJI_SEQUENCE_TYPE.KEYCAP) {
+      const firstWidth = measure(Array.from(emoji)[0]);
+      if (firstWidth > 0 && measure(emoji) > firstWidth * config.splitRatio) {
+        return EMOJI_SUPPORT_STATUS.SPLIT;
+      }
+    }
+
+    const signature = getSignature(emoji);
+    if (signature === undefined) {
+      return EMOJI_SUPPORT_STATUS.UNTESTED;
+    }
+    if (signature === null) {
+      return EMOJI_SUPPORT_STATUS.BLANK;
+    }
+    if (getTofuSignatures().has(signature)) {
+      return EMOJI_SUPPORT_STATUS.TOFU;
+    }
+
+    // Unsupported tag sequences collapse to the plain black flag
+    if (type === EMOJI_SEQUENCE_TYPE.TAG && signature === getSignature(Array.from(emoji)[0])) {
+      return EMOJI_SUPPORT_STATUS.SPLIT;
+    }
+
+    return EMOJI_SUPPORT_STATUS.SUPPORTED;
+  };
+
+  /**
+   * Probes an emoji, using the cached result if there is one. Strings that are not
+   * a single emoji (such as '?') are plain text and always reported as supported.
+   *
+   * @param {string} emoji - The emoji to probe
+   * @returns {string} Status from EMOJI_SUPPORT_STATUS
+   */
+  const probe = (emoji) => {
+    if (!classifyEmoji(emoji)) {
+      return EMOJI_SUPPORT_STATUS.SUPPORTED;
+    }
+
+    if (!results.has(emoji)) {
+      results.set(emoji, runProbe(emoji));
+    }
+    return results.get(emoji);
+  };
+
+  /**
+   * Checks whether an emoji can be displayed. Emojis that cannot be tested because
+   * the surface has no pixel access are assumed to be supported.
+   *
+   * @param {string} emoji - The emoji to check
+   * @returns {boolean} True if the emoji is supported
+   */
+  const isSupported = (emoji) => {
+    const status = probe(emoji);
+    return status === EMOJI_SUPPORT_STATUS.SUPPORTED || status === EMOJI_SUPPORT_STATUS.UNTESTED;
+  };
+
+  /**
+   * Exports the cached results, for example to store them between sessions
+   *
+   * @returns {Object} Object mapping emojis to statuses
+   */
+  const exportResults = () => Object.fromEntries(results);
+
+  /**
+   * Imports previously exported results
+   *
+   * @param {Object} data - Object mapping emojis to statuses
+   * @returns {boolean} True if the import was successful
+   */
+  const importResults = (data) => {
+    if (!data || typeof data !== 'object') {
+      return false;
+    }
+
+    const statuses = Object.values(EMOJI_SUPPORT_STATUS);
+    Object.entries(data).forEach(([emoji, status]) => {
+      if (statuses.includes(status)) {
+        results.set(emoji, status);
+      }
+    });
+    return true;
+  };
+
+  /**
+   * Forgets all cached results, for example after a web font has loaded
+   *
+   * @returns {void}
+   */
+  const clearCache = () => {
+    results.clear();
+    tofuSignatures = null;
+  };
+
+  // Return the public API
+  return {
+    probe,
+    isSupported,
+    exportResults,
+    importResults,
+    clearCache
+  };
+};
+
+/**
+ * Creates a fallback registry that resolves emojis to the first supported choice.
+ * Declared chains are tried first; with automatic fallbacks enabled, an emoji with
+ * skin tones then falls back to its untoned form and a ZWJ sequence to its first
+ * character. The last entry of a chain is used when nothing is supported, so a chain
+ * can end in plain text: { '🫠': ['😵', '?'] }.
+ *
+ * @param {Object} options - Fallback options
+ * @param {Object} options.probe - Support probe created with createEmojiSupportProbe
+ *   (default: a new probe with default options)
+ * @param {Object} options.chains - Initial fallback chains mapping an emoji to an array of fallbacks
+ * @param {boolean} options.automatic - Add automatic fallbacks after declared ones (default: true)
+ * @returns {Object} A fallback registry object
+ */
+export const createEmojiFallbacks = (options = {}) => {
+  const probe = options.probe || createEmojiSupportProbe();
+  const automatic = options.automatic !== undefined ? options.automatic : true;
+
+  // Declared chains and resolved emojis
+  const chains = new Map();
+  const resolved = new Map();
+
+  /**
+   * Declares the fallback chain of an emoji, replacing any previous chain
+   *
+   * @param {string} emoji - The emoji
+   * @param {string|Array<string>} fallbacks - Fallback or array of fallbacks in order of preference
+   * @returns {void}
+   */
+  const setFallback = (emoji, fallbacks) => {
+    // Validate input
+    if (!emoji || typeof emoji !== 'string') {
+      throw new Error('Invalid emoji provided to setFallback');
+    }
+
+    chains.set(emoji, (Array.isArray(fallbacks) ? fallbacks : [fallbacks]).filter(Boolean));
+    resolved.clear();
+  };
+
+  /**
+   * Declares several fallback chains at once
+   *
+   * @param {Object} chainMap - Object mapping emojis to fallbacks
+   * @returns {void}
+   */
+  const setFallbacks = (chainMap) => {
+    Object.entries(chainMap || {}).forEach(([emoji, fallbacks]) => setFallback(emoji, fallbacks));
+  };
+
+  /**
+   * Removes the declared fallback chain of an emoji
+   *
+   * @param {string} emoji - The emoji
+   * @returns {boolean} True if a chain was removed
+   */
+  const removeFallback = (emoji) => {
+    const removed = chains.delete(emoji);
+    if (removed) {
+      resolved.clear();
+    }
+    return removed;
+  };
+
+  /**
+   * Gets the full chain of candidates for an emoji, starting with the emoji itself
+   *
+   * @param {string} emoji - The emoji
+   * @returns {Array<string>} Candidates in order of preference
+   */
+  const getFallbackChain = (emoji) => {
+    const candidates = [emoji, ...(chains.get(emoji) || [])];
+
+    if (automatic) {
+      const untoned = removeSkinTones(emoji);
+      const first = untoned.split('\u200D')[0];
+      [untoned, first].forEach(candidate => {
+        if (candidate && !candidates.includes(candidate)) {
+          // Keep a declared plain-text terminal at the end of the chain
+          const terminalIndex = candidates.length > 1 && !classifyEmoji(candidates[candidates.length - 1])
+            ? candidates.length - 1
+            : candidates.length;
+          candidates.splice(terminalIndex, 0, candidate);
+        }
+      });
+    }
+
+    return candidates;
+  };
+
+  /**
+   * Resolves an emoji to the first supported candidate of its chain
+   *
+   * @param {string} emoji - The emoji to resolve
+   * @returns {string} The emoji to draw
+   */
+  const resolve = (emoji) => {
+    if (!emoji) {
+      return emoji;
+    }
+
+    if (!resolved.has(emoji)) {
+      const candidates = getFallbackChain(emoji);
+      const choice = candidates.find(candidate => probe.isSupported(candidate));
+      resolved.set(emoji, choice !== undefined ? choice : candidates[candidates.length - 1]);
+    }
+    return resolved.get(emoji);
+  };
+
+  /**
+   * Forgets resolved emojis and the probe's cached results
+   *
+   * @returns {void}
+   */
+  const clearCache = () => {
+    resolved.clear();
+    probe.clearCache();
+  };
+
+  setFallbacks(options.chains);
+
+  // Return the public API
+  return {
+    setFallback,
+    setFallbacks,
+    removeFallback,
+    getFallbackChain,
+    resolve,
+    clearCache,
+
+    /**
+     * Gets the support probe used by this registry
+     *
+     * @returns {Object} The support probe
+     */
+    getProbe: () => probe,
+
+    /**
+     * Exports the declared fallback chains
+     *
+     * @returns {Object} Object mapping emojis to arrays of fallbacks
+     */
+    exportData: () => Object.fromEntries(Array.from(chains, ([emoji, list]) => [emoji, [...list]]))
+  };
+};
@@ -5,6 +5,12 @@
  * emoji variants and skin tone modifiers.
  */
 
+import { createCanvasSurface } from './renderBackend.js';
+import { EMOJI_DATA, EMOJI_GROUPS, EMOJI_SUBGROUPS, EMOJI_SKIN_TONE_SUPPORT } from './emojiData.js';
+import { isEmojiGrapheme, normalizeEmoji, applySkinTones, removeSkinTones } from './emojiParser.js';
+
+export { EMOJI_GROUPS, EMOJI_SUBGROUPS, EMOJI_SKIN_TONE_SUPPORT };
+
 /**
  * Skin tone modifier code points
  * These are the Fitzpatrick skin tone modifiers that can be applied to certain emojis
@@ -26,45 +32,42 @@ export const EMOJI_STYLE = {
 };
 
 /**
- * Checks if a string is a single emoji character (may include modifiers)
+ * Checks if a string is a single emoji, including modifier sequences, ZWJ sequences
+ * such as 👨‍👩‍👧, flags such as 🇯🇵 and 🏴󠁧󠁢󠁳󠁣󠁴󠁿, and keycaps such as 1️⃣
  *
  * @param {string} str - The string to check
  * @returns {boolean} True if the string is a single emoji
  */
-export const isSingleEmoji = (str) => {
-  if (typeof str !== 'string' || str.length === 0) {
-    return false;
-  }
-
-  // Remove skin tone modifiers and presentation selectors for the check
-  const normalized = str
-    .replace(new RegExp(`[${Object.values(SKIN_TONES).join('')}${Object.values(EMOJI_STYLE).join('')}]`, 'gu'), '');
-
-  // Basic regex to check if the string contains a single emoji
-  // This is a simplified approach and may not catch all edge cases
-  const emojiRegex = /^(\p{Emoji}|\p{Emoji_Presentation}|\p{Extended_Pictographic})$/u;
-
-  return emojiRegex.test(normalized);
-};
+export const isSingleEmoji = (str) => isEmojiGrapheme(str);
 
 /**
- * Applies a skin tone modifier to an emoji that supports it
+ * Applies skin tones to an emoji that supports them. Tones are applied per person,
+ * so 🧑‍🤝‍🧑 with [SKIN_TONES.LIGHT, SKIN_TONES.DARK] becomes 🧑🏻‍🤝‍🧑🏿. Emojis with a
+ * single person use only the first tone. Existing tones are replaced and the result
+ * is fully-qualified.
  *
  * @param {string} emoji - The base emoji character
- * @param {string} skinTone - The skin tone modifier to apply
+ * @param {string|Array<string>} skinTone - The skin tone modifier to apply, or one modifier per person
  * @returns {string} The emoji with the skin tone applied, or the original emoji if not applicable
  */
 export const applyEmojiSkinTone = (emoji, skinTone) => {
-  if (!emoji || !skinTone || !Object.values(SKIN_TONES).includes(skinTone)) {
+  const tones = Array.isArray(skinTone) ? skinTone : [skinTone];
+  if (!emoji || tones.length === 0 || !tones.every(tone => Object.values(SKIN_TONES).includes(tone))) {
     return emoji;
   }
 
-  // Check if this emoji supports skin tones
-  // This is a simplified approach - a more comprehensive solution would use
-  // a database of emojis that support skin tones
-  const supportsSkinTone = /^(\p{Emoji_Modifier_Base})$/u.test(emoji);
+  // The dataset knows which emojis take one tone and which take one per person
+  const data = getEmojiData(emoji);
+  const support = data
+    ? data.skinTones
+    : (supportsSkinTone(emoji) ? EMOJI_SKIN_TONE_SUPPORT.SINGLE : EMOJI_SKIN_TONE_SUPPORT.NONE);
+
+  if (support === EMOJI_SKIN_TONE_SUPPORT.NONE) {
+    return emoji;
+  }
 
-  return supportsSkinTone ? `${emoji}${skinTone}` : emoji;
+  const toned = applySkinTones(emoji, support === EMOJI_SKIN_TONE_SUPPORT.MULTIPLE ? tones : tones[0]);
+  return normalizeEmoji(toned);
 };
 
 /**
@@ -93,17 +96,15 @@ export const getAllSkinToneVariations = (emoji) => {
     return [];
   }
 
-  // Check if this emoji supports skin tones
-  const supportsSkinTone = /^(\p{Emoji_Modifier_Base})$/u.test(emoji);
-
-  if (!supportsSkinTone) {
+  if (!supportsSkinTone(emoji)) {
     return [emoji];
   }
 
   // Return the base emoji plus all skin tone variations
+  const base = normalizeEmoji(removeSkinTones(emoji));
   return [
-    emoji, // Base emoji without skin tone
-    ...Object.values(SKIN_TONES).map(tone => `${emoji}${tone}`)
+    base, // Base emoji without skin tone
+    ...Object.values(SKIN_TONES).map(tone => applyEmojiSkinTone(base, tone))
   ];
 };
 
@@ -118,7 +119,13 @@ export const supportsSkinTone = (emoji) => {
     return false;
   }
 
-  return /^(\p{Emoji_Modifier_Base})$/u.test(emoji);
+  // Prefer the dataset, which also knows about ZWJ sequences such as 🧑‍💻
+  const data = getEmojiData(emoji);
+  if (data) {
+    return data.skinTones !== EMOJI_SKIN_TONE_SUPPORT.NONE;
+  }
+
+  return applySkinTones(removeSkinTones(emoji), SKIN_TONES.LIGHT) !== removeSkinTones(emoji);
 };
 
 /**
@@ -133,63 +140,341 @@ export const getBaseEmoji = (emoji) => {
   }
 
   // Remove skin tone modifiers and presentation selectors
-  return emoji.replace(
+  return removeSkinTones(emoji).replace(
     new RegExp(`[${Object.values(SKIN_TONES).join('')}${Object.values(EMOJI_STYLE).join('')}]`, 'gu'),
     ''
   );
 };
 
 /**
- * Common emoji categories with sample emojis
- * This is a simplified list - a real implementation would have a more comprehensive database
+ * Common emoji categories with sample emojis. The groups field lists the dataset
+ * groups (see EMOJI_GROUPS) that make up each category; use getEmojisByCategory
+ * to get every emoji of a category.
  */
 export const EMOJI_CATEGORIES = {
   FACES: {
     name: 'Faces & People',
+    groups: ['smileys-emotion', 'people-body'],
     samples: ['😀', '😂', '😍', '🤔', '😎', '🙂', '😊', '🥰', '😇', '🤩']
   },
   ANIMALS: {
     name: 'Animals & Nature',
+    groups: ['animals-nature'],
     samples: ['🐶', '🐱', '🐭', '🦊', '🐻', '🐼', '🦁', '🐮', '🐷', '🐸']
   },
   FOOD: {
     name: 'Food & Drink',
+    groups: ['food-drink'],
     samples: ['🍎', '🍐', '🍊', '🍋', '🍌', '🍉', '🍇', '🍓', '🍒', '🍑']
   },
   ACTIVITIES: {
     name: 'Activities',
+    groups: ['activities'],
     samples: ['⚽', '🏀', '🏈', '⚾', '🎾', '🏐', '🏉', '🎱', '🏓', '🏸']
   },
   TRAVEL: {
     name: 'Travel & Places',
+    groups: ['travel-places'],
     samples: ['🚗', '🚕', '🚙', '🚌', '🚎', '🏎️', '🚓', '🚑', '🚒', '🚐']
   },
   OBJECTS: {
     name: 'Objects',
+    groups: ['objects'],
     samples: ['⌚', '📱', '💻', '⌨️', '🖥️', '🖨️', '🖱️', '🖲️', '🕹️', '🗜️']
   },
   SYMBOLS: {
     name: 'Symbols',
+    groups: ['symbols'],
     samples: ['❤️', '💔', '💖', '💘', '💝', '💟', '☮️', '✝️', '☪️', '🕉️']
+  },
+  FLAGS: {
+    name: 'Flags',
+    groups: ['flags'],
+    samples: ['🏁', '🚩', '🎌', '🏴', '🏳️', '🏳️‍🌈', '🏴‍☠️', '🇺🇳', '🇪🇺', '🇯🇵']
+  }
+};
+
+// Lazily built dataset indexes
+let emojiIndex = null;
+let emojiEntries = null;
+
+/**
+ * Builds the lookup key of an emoji: presentation selectors and skin tones are
+ * removed so that unqualified and skin-toned forms find their base entry
+ *
+ * @param {string} emoji - The emoji
+ * @returns {string} Lookup key
+ */
+const toLookupKey = (emoji) => emoji.replace(
+  new RegExp(`[${Object.values(SKIN_TONES).join('')}${Object.values(EMOJI_STYLE).join('')}]`, 'gu'),
+  ''
+);
+
+/**
+ * Splits text into lowercase words
+ *
+ * @param {string} text - The text
+ * @returns {Array<string>} Words
+ */
+const toWords = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Builds the dataset entries and lookup index on first use
+ *
+ * @returns {void}
+ */
+const ensureIndex = () => {
+  if (emojiIndex) {
+    return;
+  }
+
+  emojiIndex = new Map();
+  emojiEntries = EMOJI_DATA.map(([emoji, name, keywords, group, subgroup, version, skinTones], order) => {
+    const entry = Object.freeze({
+      emoji,
+      name,
+      keywords: Object.freeze(keywords ? keywords.split('|') : []),
+      group: EMOJI_GROUPS[group],
+      subgroup: EMOJI_SUBGROUPS[subgroup],
+      version,
+      skinTones,
+      order
+    });
+
+    const key = toLookupKey(emoji);
+    if (!emojiIndex.has(key)) {
+      emojiIndex.set(key, entry);
+    }
+    return entry;
+  });
+};
+
+/**
+ * Gets dataset information about an emoji. Skin-toned and unqualified forms
+ * resolve to their base emoji.
+ *
+ * @param {string} emoji - The emoji
+ * @returns {Object|null} Object with emoji (fully-qualified base form), name, keywords,
+ *   group, subgroup, version, skinTones (from EMOJI_SKIN_TONE_SUPPORT) and order,
+ *   or null if the emoji is not in the dataset
+ */
+export const getEmojiData = (emoji) => {
+  if (typeof emoji !== 'string' || emoji.length === 0) {
+    return null;
   }
+
+  ensureIndex();
+  return emojiIndex.get(emoji) || emojiIndex.get(toLookupKey(emoji)) || null;
+};
+
+/**
+ * Gets the CLDR short name of an emoji
+ *
+ * @param {string} emoji - The emoji
+ * @returns {string|null} The name or null if the emoji is not in the dataset
+ */
+export const getEmojiName = (emoji) => {
+  const data = getEmojiData(emoji);
+  return data ? data.name : null;
+};
+
+/**
+ * Gets the Unicode emoji version that introduced an emoji
+ *
+ * @param {string} emoji - The emoji
+ * @returns {number|null} The emoji version (e.g. 13.1) or null if the emoji is not in the dataset
+ */
+export const getEmojiVersion = (emoji) => {
+  const data = getEmojiData(emoji);
+  return data ? data.version : null;
 };
 
 /**
- * Detects if the browser has proper emoji support
+ * Finds an emoji by its exact CLDR short name (case-insensitive)
  *
+ * @param {string} name - The name, e.g. 'dog face'
+ * @returns {Object|null} The dataset entry or null if not found
+ */
+export const getEmojiByName = (name) => {
+  if (!name) {
+    return null;
+  }
+
+  ensureIndex();
+  const lowerName = name.toLowerCase();
+  return emojiEntries.find(entry => entry.name.toLowerCase() === lowerName) || null;
+};
+
+/**
+ * Gets all dataset entries
+ *
+ * @param {Object} options - Filter options
+ * @param {number} options.maxVersion - Only include emojis up to this Unicode emoji version
+ * @returns {Array<Object>} Dataset entries in CLDR order
+ */
+export const getAllEmojis = (options = {}) => {
+  ensureIndex();
+  return options.maxVersion !== undefined
+    ? emojiEntries.filter(entry => entry.version <= options.maxVersion)
+    : [...emojiEntries];
+};
+
+/**
+ * Gets the dataset groups with their subgroups
+ *
+ * @returns {Array<Object>} Array of objects with name and subgroups (array of names)
+ */
+export const getEmojiGroups = () => {
+  ensureIndex();
+  const groups = new Map(EMOJI_GROUPS.map(name => [name, []]));
+
+  emojiEntries.forEach(entry => {
+    const subgroups = groups.get(entry.group);
+    if (!subgroups.includes(entry.subgroup)) {
+      subgroups.push(entry.subgroup);
+    }
+  });
+
+  return Array.from(groups.entries()).map(([name, subgroups]) => ({ name, subgroups }));
+};
+
+/**
+ * Gets the emojis of a dataset group, optionally narrowed to a subgroup
+ *
+ * @param {string} group - Group name from EMOJI_GROUPS
+ * @param {string} subgroup - Subgroup name from EMOJI_SUBGROUPS (optional)
+ * @param {Object} options - Filter options
+ * @param {number} options.maxVersion - Only include emojis up to this Unicode emoji version
+ * @returns {Array<string>} Emojis in CLDR order
+ */
+export const getEmojisByGroup = (group, subgroup = null, options = {}) => {
+  return getAllEmojis(options)
+    .filter(entry => entry.group === group && (!subgroup || entry.subgroup === subgroup))
+    .map(entry => entry.emoji);
+};
+
+/**
+ * Gets every emoji of a category from EMOJI_CATEGORIES
+ *
+ * @param {string} category - Category key, e.g. 'ANIMALS'
+ * @param {Object} options - Filter options
+ * @param {number} options.maxVersion - Only include emojis up to this Unicode emoji version
+ * @returns {Array<string>} Emojis in CLDR order, or an empty array for unknown categories
+ */
+export const getEmojisByCategory = (category, options = {}) => {
+  const definition = EMOJI_CATEGORIES[category];
+  if (!definition) {
+    return [];
+  }
+
+  return getAllEmojis(options)
+    .filter(entry => definition.groups.includes(entry.group))
+    .map(entry => entry.emoji);
+};
+
+/**
+ * Scores how well a dataset entry matches the words of a search query.
+ * Every query word must match the name or a keyword.
+ *
+ * @param {Object} entry - Dataset entry
+ * @param {string} query - Lowercase query
+ * @param {Array<string>} queryWords - Lowercase query words
+ * @returns {number} Score, 0 if the entry does not match
+ */
+const scoreEntry = (entry, query, queryWords) => {
+  const name = entry.name.toLowerCase();
+  const nameWords = toWords(entry.name);
+  const keywords = entry.keywords.map(keyword => keyword.toLowerCase());
+  let score = name === query ? 100 : 0;
+
+  // Prefer names that start with the query, so 'dog face' ranks above 'hot dog'
+  if (nameWords[0] === queryWords[0]) {
+    score += 5;
+  }
+
+  for (const word of queryWords) {
+    let best = 0;
+    if (nameWords.includes(word)) {
+      best = 40;
+    } else if (nameWords.some(nameWord => nameWord.startsWith(word))) {
+      best = 30;
+    } else if (keywords.includes(word)) {
+      best = 25;
+    } else if (keywords.some(keyword => keyword.startsWith(word))) {
+      best = 15;
+    } else if (name.includes(word)) {
+      best = 8;
+    } else if (keywords.some(keyword => keyword.includes(word))) {
+      best = 5;
+    }
+
+    if (best === 0) {
+      return 0;
+    }
+    score += best;
+  }
+
+  return score;
+};
+
+/**
+ * Searches the dataset by name and keyword. Results are ranked: exact names first,
+ * then whole-word name matches, name prefixes, keyword matches and substring matches;
+ * ties keep CLDR order with shorter names first. Searching for an emoji finds that emoji.
+ *
+ * @param {string} query - Search text, e.g. 'dog' or 'red heart'
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of results (default: 50)
+ * @param {string} options.group - Only search this group (optional)
+ * @param {number} options.maxVersion - Only include emojis up to this Unicode emoji version
+ * @returns {Array<Object>} Matching dataset entries, best match first
+ */
+export const searchEmojis = (query, options = {}) => {
+  const limit = options.limit !== undefined ? options.limit : 50;
+  const lowerQuery = (query || '').trim().toLowerCase();
+  if (!lowerQuery) {
+    return [];
+  }
+
+  // Searching for an emoji itself
+  const direct = getEmojiData(lowerQuery);
+  if (direct) {
+    return [direct];
+  }
+
+  const queryWords = toWords(lowerQuery);
+  if (queryWords.length === 0) {
+    return [];
+  }
+
+  return getAllEmojis(options)
+    .filter(entry => !options.group || entry.group === options.group)
+    .map(entry => ({ entry, score: scoreEntry(entry, lowerQuery, queryWords) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => (b.score - a.score) ||
+      (a.entry.name.length - b.entry.name.length) ||
+      (a.entry.order - b.entry.order))
+    .slice(0, limit)
+    .map(result => result.entry);
+};
+
+/**
+ * Detects if the browser has proper emoji support. This only checks that emojis
+ * render at all; use createEmojiSupportProbe to test individual emojis.
+ *
+ * @param {Object} backend - Render backend used to create the test surface (optional).
+ *   Defaults to an offscreen canvas surface.
  * @returns {boolean} True if the browser supports emoji rendering
  */
-export const detectEmojiSupport = () => {
-  // Create a canvas to test emoji rendering
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
+export const detectEmojiSupport = (backend = null) => {
+  // Create a surface to test emoji rendering
+  const surface = backend ? backend.createSurface(20, 20) : createCanvasSurface(20, 20);
+  const ctx = surface.getContext();
 
   // Test emoji
   const testEmoji = '🙂';
 
-  // Set canvas and font
-  canvas.width = 20;
-  canvas.height = 20;
+  // Set font
   ctx.textBaseline = 'top';
   ctx.font = '16px sans-serif';
 
@@ -198,7 +483,12 @@ export const detectEmojiSupport = () => {
 
   // Check if the canvas contains non-blank pixels
   // If the emoji is supported, the canvas should have colored pixels
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+  const imageData = surface.readPixels(0, 0, 20, 20);
+
+  // Surfaces without pixel access (such as recording backends) cannot be probed
+  if (!imageData) {
+    return true;
+  }
 
   // Check if there are any non-transparent pixels
   for (let i = 0; i < imageData.length; i += 4) {
@@ -0,0 +1,492 @@
+/**
+ * renderBackend.js
+ *
+ * Pluggable render backends for the emoji rendering system. A backend wraps a
+ * context that implements the subset of the CanvasRenderingContext2D API used by
+ * the engine, so grid, animator and composer logic can run without a DOM.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Enum for render backend types
+ * @readonly
+ * @enum {string}
+ */
+export const RENDER_BACKEND_TYPE = {
+  CANVAS: 'canvas',
+  RECORDING: 'recording'
+};
+
+/**
+ * Context methods captured by the recording backend
+ */
+const RECORDED_METHODS = [
+  'translate', 'rotate', 'scale', 'transform', 'setTransform', 'resetTransform',
+  'fillText', 'strokeText', 'fillRect', 'strokeRect', 'clearRect',
+  'beginPath', 'closePath', 'moveTo', 'lineTo', 'rect', 'arc', 'fill', 'stroke', 'clip'
+];
+
+/**
+ * Context properties captured by the recording backend, with their defaults
+ */
+const RECORDED_PROPERTIES = {
+  font: '10px sans-serif',
+  textAlign: 'start',
+  textBaseline: 'alphabetic',
+  fillStyle: '#000000',
+  strokeStyle: '#000000',
+  lineWidth: 1,
+  globalAlpha: 1,
+  globalCompositeOperation: 'source-over',
+  filter: 'none',
+  shadowColor: 'rgba(0, 0, 0, 0)',
+  shadowBlur: 0,
+  shadowOffsetX: 0,
+  shadowOffsetY: 0,
+  imageSmoothingEnabled: true
+};
+
+/**
+ * Counts the user-perceived characters in a string
+ *
+ * @param {string} text - The text to count
+ * @returns {number} Number of graphemes
+ */
+const countGraphemes = (text) => {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return [...new Intl.Segmenter().segment(text)].length;
+  }
+  return [...text].length;
+};
+
+/**
+ * Checks whether an object is a real 2D canvas context (on-screen or offscreen)
+ *
+ * @param {any} ctx - The object to check
+ * @returns {boolean} True if the object is a 2D canvas context
+ */
+const isCanvasContext = (ctx) => Boolean(ctx) && (
+  (typeof CanvasRenderingContext2D !== 'undefined' && ctx instanceof CanvasRenderingContext2D) ||
+  (typeof OffscreenCanvasRenderingContext2D !== 'undefined' && ctx instanceof OffscreenCanvasRenderingContext2D)
+);
+
+/**
+ * Gets the device pixel ratio of the current display
+ *
+ * @returns {number} The device pixel ratio (1 outside the browser)
+ */
+export const getDevicePixelRatio = () => {
+  return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+};
+
+/**
+ * Watches for device pixel ratio changes, for example when a window moves
+ * between monitors or the page is zoomed
+ *
+ * @param {Function} callback - Called with the new pixel ratio whenever it changes
+ * @returns {Function} Function that stops watching
+ */
+export const watchDevicePixelRatio = (callback) => {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+    return () => {};
+  }
+
+  let mediaQuery = null;
+
+  // A resolution query only fires once, so it is re-created for each new ratio
+  const handleChange = () => {
+    unwatch();
+    watch();
+    callback(getDevicePixelRatio());
+  };
+
+  const watch = () => {
+    mediaQuery = window.matchMedia(`(resolution: ${getDevicePixelRatio()}dppx)`);
+    mediaQuery.addEventListener('change', handleChange);
+  };
+
+  const unwatch = () => {
+    if (mediaQuery) {
+      mediaQuery.removeEventListener('change', handleChange);
+      mediaQuery = null;
+    }
+  };
+
+  watch();
+  return unwatch;
+};
+
+/**
+ * Creates a canvas render backend around an existing 2D context.
+ *
+ * With a pixel ratio above 1 the canvas backing store holds ratio times more
+ * pixels than its logical (CSS pixel) size, and the context transform is scaled
+ * so that all drawing code keeps working in logical coordinates.
+ *
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - The canvas 2D rendering context
+ * @param {Object} options - Backend options
+ * @param {number} options.pixelRatio - Backing store pixels per logical pixel (default: 1).
+ *   The canvas is resized so its current width and height become the logical size.
+ * @returns {Object} A canvas render backend
+ */
+export const createCanvasBackend = (ctx, options = {}) => {
+  // Validate input
+  if (!isCanvasContext(ctx)) {
+    throw new Error('Invalid canvas context provided to createCanvasBackend');
+  }
+
+  const canvas = ctx.canvas;
+  let pixelRatio = 1;
+  let logicalWidth = canvas.width;
+  let logicalHeight = canvas.height;
+
+  /**
+   * Resizes the backing store and scales the context transform
+   *
+   * @returns {void}
+   */
+  const applyPixelRatio = () => {
+    canvas.width = Math.round(logicalWidth * pixelRatio);
+    canvas.height = Math.round(logicalHeight * pixelRatio);
+
+    // On-screen canvases keep their CSS size so the extra pixels add sharpness
+    if (canvas.style) {
+      canvas.style.width = `${logicalWidth}px`;
+      canvas.style.height = `${logicalHeight}px`;
+    }
+
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  };
+
+  if (options.pixelRatio && options.pixelRatio !== 1) {
+    pixelRatio = options.pixelRatio;
+    applyPixelRatio();
+  }
+
+  return {
+    type: RENDER_BACKEND_TYPE.CANVAS,
+
+    /**
+     * Gets the 2D context used for drawing
+     *
+     * @returns {CanvasRenderingContext2D} The canvas 2D rendering context
+     */
+    getContext: () => ctx,
+
+    /**
+     * Gets the canvas element backing this backend
+     *
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The canvas
+     */
+    getCanvas: () => canvas,
+
+    /**
+     * Gets the logical drawing surface size (in CSS pixels)
+     *
+     * @returns {Object} Object with width and height properties
+     */
+    getSize: () => (pixelRatio === 1
+      ? { width: canvas.width, height: canvas.height }
+      : { width: logicalWidth, height: logicalHeight }),
+
+    /**
+     * Gets the number of backing store pixels per logical pixel
+     *
+     * @returns {number} The pixel ratio
+     */
+    getPixelRatio: () => pixelRatio,
+
+    /**
+     * Changes the pixel ratio, resizing the backing store. This clears the canvas,
+     * so the caller is responsible for redrawing.
+     *
+     * @param {number} ratio - The new pixel ratio
+     * @returns {void}
+     */
+    setPixelRatio: (ratio) => {
+      if (!(ratio > 0)) {
+        throw new Error('Pixel ratio must be a positive number');
+      }
+
+      if (pixelRatio === 1) {
+        logicalWidth = canvas.width;
+        logicalHeight = canvas.height;
+      }
+
+      pixelRatio = ratio;
+      applyPixelRatio();
+    },
+
+    /**
+     * Resizes the surface, keeping the current pixel ratio
+     *
+     * @param {number} width - New logical width
+     * @param {number} height - New logical height
+     * @returns {void}
+     */
+    resize: (width, height) => {
+      logicalWidth = width;
+      logicalHeight = height;
+      applyPixelRatio();
+    },
+
+    /**
+     * Creates an offscreen surface using the same kind of backend
+     *
+     * @param {number} width - Logical surface width
+     * @param {number} height - Logical surface height
+     * @param {Object} surfaceOptions - Surface options
+     * @param {number} surfaceOptions.pixelRatio - Pixel ratio for the surface (default: 1)
+     * @returns {Object} A new canvas render backend
+     */
+    createSurface: (width, height, surfaceOptions = {}) => createCanvasSurface(width, height, surfaceOptions),
+
+    /**
+     * Reads raw RGBA pixel data from the backing store
+     *
+     * @param {number} x - X coordinate in backing store pixels
+     * @param {number} y - Y coordinate in backing store pixels
+     * @param {number} width - Width of the area
+     * @param {number} height - Height of the area
+     * @returns {Uint8ClampedArray} The pixel data
+     */
+    readPixels: (x, y, width, height) => ctx.getImageData(x, y, width, height).data
+  };
+};
+
+/**
+ * Creates an offscreen canvas surface. Uses OffscreenCanvas when available so it
+ * also works in workers, falling back to a detached canvas element.
+ *
+ * @param {number} width - Logical surface width
+ * @param {number} height - Logical surface height
+ * @param {Object} options - Surface options
+ * @param {number} options.pixelRatio - Pixel ratio for the surface (default: 1)
+ * @returns {Object} A canvas render backend for the new surface
+ */
+export const createCanvasSurface = (width, height, options = {}) => {
+  let canvas;
+
+  if (typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(width, height);
+  } else if (typeof document !== 'undefined') {
+    canvas = document.createElement('canvas');
+  } else {
+    throw new Error('No canvas implementation available; use createRecordingBackend instead');
+  }
+
+  canvas.width = width;
+  canvas.height = height;
+
+  return createCanvasBackend(canvas.getContext('2d'), options);
+};
+
+/**
+ * Creates a recording render backend that captures draw calls as a serializable
+ * command list instead of producing pixels. Useful for snapshot testing in Node.
+ *
+ * Each command is a plain object: `{ op: 'fillText', args: ['😀', 10, 10] }` for
+ * method calls and `{ op: 'set', prop: 'font', value: '16px sans-serif' }` for
+ * property assignments. Images drawn from other recording surfaces are recorded
+ * as `{ surface: id }`.
+ *
+ * @param {number} width - Logical surface width
+ * @param {number} height - Logical surface height
+ * @param {Object} options - Backend options
+ * @param {string} options.id - Identifier used when this surface is drawn elsewhere
+ * @returns {Object} A recording render backend
+ */
+export const createRecordingBackend = (width, height, options = {}) => {
+  // Validate input
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('Recording backend dimensions must be positive numbers');
+  }
+
+  const commands = [];
+  let surfaceCount = 0;
+  const id = options.id || 'main';
+
+  // Canvas stand-in so code reading ctx.canvas keeps working
+  const canvas = { width, height, id };
+
+  const state = { ...RECORDED_PROPERTIES };
+
+  /**
+   * Converts a drawImage source into a serializable reference
+   *
+   * @param {Object} source - Image source
+   * @returns {Object} Serializable reference
+   */
+  const describeSource = (source) => {
+    if (source && source.id !== undefined) {
+      return { surface: source.id };
+    }
+    return { image: (source && (source.src || source.constructor && source.constructor.name)) || 'unknown' };
+  };
+
+  const ctx = { canvas };
+
+  RECORDED_METHODS.forEach(method => {
+    ctx[method] = (...args) => {
+      commands.push({ op: method, args });
+    };
+  });
+
+  Object.keys(RECORDED_PROPERTIES).forEach(prop => {
+    Object.defineProperty(ctx, prop, {
+      enumerable: true,
+      get: () => state[prop],
+      set: (value) => {
+        state[prop] = value;
+        commands.push({ op: 'set', prop, value });
+      }
+    });
+  });
+
+  // Mirror the canvas state stack so property reads stay accurate after restore()
+  const stateStack = [];
+
+  ctx.save = () => {
+    stateStack.push({ ...state });
+    commands.push({ op: 'save', args: [] });
+  };
+
+  ctx.restore = () => {
+    if (stateStack.length) {
+      Object.assign(state, stateStack.pop());
+    }
+    commands.push({ op: 'restore', args: [] });
+  };
+
+  ctx.drawImage = (source, ...args) => {
+    commands.push({ op: 'drawImage', source: describeSource(source), args });
+  };
+
+  // Text measurement uses a deterministic estimate: one em per grapheme
+  ctx.measureText = (text) => {
+    const size = parseFloat(state.font) || 10;
+    return { width: size * countGraphemes(String(text)) };
+  };
+
+  ctx.getImageData = (x, y, w, h) => ({
+    width: w,
+    height: h,
+    data: new Uint8ClampedArray(w * h * 4)
+  });
+
+  canvas.getContext = () => ctx;
+
+  return {
+    type: RENDER_BACKEND_TYPE.RECORDING,
+    id,
+
+    /**
+     * Gets the recording context
+     *
+     * @returns {Object} Context-like object that records draw calls
+     */
+    getContext: () => ctx,
+
+    /**
+     * Gets the canvas stand-in
+     *
+     * @returns {Object} Object with width, height and id properties
+     */
+    getCanvas: () => canvas,
+
+    /**
+     * Gets the drawing surface size
+     *
+     * @returns {Object} Object with width and height properties
+     */
+    getSize: () => ({ width: canvas.width, height: canvas.height }),
+
+    /**
+     * Recording surfaces are always measured in logical pixels
+     *
+     * @returns {number} Always 1
+     */
+    getPixelRatio: () => 1,
+
+    /**
+     * Creates an offscreen recording surface
+     *
+     * @param {number} surfaceWidth - Surface width
+     * @param {number} surfaceHeight - Surface height
+     * @returns {Object} A new recording render backend
+     */
+    createSurface: (surfaceWidth, surfaceHeight) => {
+      surfaceCount++;
+      return createRecordingBackend(surfaceWidth, surfaceHeight, { id: `${id}/surface_${surfaceCount}` });
+    },
+
+    /**
+     * Recording surfaces hold no pixels
+     *
+     * @returns {null} Always null
+     */
+    readPixels: () => null,
+
+    /**
+     * Gets a copy of the recorded commands
+     *
+     * @returns {Array<Object>} The recorded command list
+     */
+    getCommands: () => JSON.parse(JSON.stringify(commands)),
+
+    /**
+     * Clears the recorded commands and resets the context state
+     *
+     * @returns {void}
+     */
+    clearCommands: () => {
+      commands.length = 0;
+      stateStack.length = 0;
+      Object.assign(state, RECORDED_PROPERTIES);
+    },
+
+    /**
+     * Serializes the recording
+     *
+     * @returns {Object} Object with id, width, height and commands
+     */
+    toJSON: () => ({
+      id,
+      width: canvas.width,
+      height: canvas.height,
+      commands: JSON.parse(JSON.stringify(commands))
+    })
+  };
+};
+
+/**
+ * Checks whether an object is a render backend
+ *
+ * @param {any} target - The object to check
+ * @returns {boolean} True if the object is a render backend
+ */
+export const isRenderBackend = (target) => Boolean(
+  target &&
+  Object.values(RENDER_BACKEND_TYPE).includes(target.type) &&
+  typeof target.getContext === 'function' &&
+  typeof target.createSurface === 'function'
+);
+
+/**
+ * Resolves a render target into a backend. Accepts either a backend or a
+ * CanvasRenderingContext2D, which is wrapped in a canvas backend.
+ *
+ * @param {Object|CanvasRenderingContext2D} target - Backend or canvas context
+ * @returns {Object|null} The render backend, or null if the target is invalid
+ */
+export const resolveRenderBackend = (target) => {
+  if (isRenderBackend(target)) {
+    return target;
+  }
+
+  if (isCanvasContext(target)) {
+    return createCanvasBackend(target);
+  }
+
+  return null;
+};
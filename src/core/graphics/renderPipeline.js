@@ -0,0 +1,427 @@
+/**
+ * renderPipeline.js
+ *
+ * A module for composing a scene from ordered render layers (for example a grid map,
+ * animations and a UI) on one canvas. Instead of clearing the whole canvas every frame,
+ * parts of the scene are invalidated as dirty regions; rendering clears only those
+ * regions and redraws every layer clipped to them.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Normalizes a rectangle to integer pixel bounds that cover it
+ *
+ * @param {Object} rect - Rectangle with x, y, width and height
+ * @returns {Object} Rectangle with integer bounds
+ */
+const toPixelRect = (rect) => {
+  const x = Math.floor(rect.x);
+  const y = Math.floor(rect.y);
+  return {
+    x,
+    y,
+    width: Math.ceil(rect.x + rect.width) - x,
+    height: Math.ceil(rect.y + rect.height) - y
+  };
+};
+
+/**
+ * Intersects two rectangles
+ *
+ * @param {Object} a - First rectangle
+ * @param {Object} b - Second rectangle
+ * @returns {Object|null} The intersection, or null if the rectangles do not overlap
+ */
+const intersectRects = (a, b) => {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+};
+
+/**
+ * Computes the bounding rectangle of two rectangles
+ *
+ * @param {Object} a - First rectangle
+ * @param {Object} b - Second rectangle
+ * @returns {Object} The union rectangle
+ */
+const unionRects = (a, b) => {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  };
+};
+
+/**
+ * Merges overlapping or touching rectangles until none overlap
+ *
+ * @param {Array<Object>} rects - Rectangles
+ * @returns {Array<Object>} Merged rectangles
+ */
+export const mergeDirtyRects = (rects) => {
+  const merged = [...rects];
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (let i = 0; i < merged.length && !changed; i++) {
+      for (let j = i + 1; j < merged.length; j++) {
+        const a = merged[i];
+        const b = merged[j];
+        const touching = a.x <= b.x + b.width && b.x <= a.x + a.width &&
+          a.y <= b.y + b.height && b.y <= a.y + a.height;
+        if (touching) {
+          merged[i] = unionRects(a, b);
+          merged.splice(j, 1);
+          changed = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Creates a render pipeline that draws ordered layers on an emoji renderer's canvas.
+ *
+ * Layers are render functions called with (ctx, info) where info holds region (the
+ * screen rectangle being redrawn), full (true on full redraws), renderer and time.
+ * Drawing is clipped to the region, so layers may draw everything; layers that can
+ * limit their work should use the region, for example:
+ * pipeline.addLayer('map', (ctx, { region }) => gridRenderer.renderGridMap(map, 0, 0, 32, { region }));
+ *
+ * @param {Object} emojiRenderer - An emoji renderer created with createEmojiRenderer
+ * @param {Object} options - Pipeline options
+ * @param {string} options.clearColor - Color to fill cleared regions with (default: transparent)
+ * @param {number} options.fullRedrawThreshold - Redraw everything when dirty regions cover more than
+ *   this fraction of the viewport (default: 0.5)
+ * @param {Object} options.scheduler - Scheduler (see createScheduler) whose next frame requestRender
+ *   waits for (default: requestAnimationFrame)
+ * @returns {Object} A render pipeline object
+ */
+export const createRenderPipeline = (emojiRenderer, options = {}) => {
+  // Validate input
+  if (!emojiRenderer || !emojiRenderer.getContext) {
+    throw new Error('Invalid emoji renderer provided to createRenderPipeline');
+  }
+
+  const config = {
+    clearColor: options.clearColor || null,
+    fullRedrawThreshold: options.fullRedrawThreshold !== undefined ? options.fullRedrawThreshold : 0.5,
+    scheduler: options.scheduler || null
+  };
+
+  // Layers by id, and the insertion counter used to keep equal z-indexes stable
+  const layers = new Map();
+  let layerCount = 0;
+
+  // Dirty state: everything starts dirty so the first render draws the whole scene
+  let dirtyRects = [];
+  let fullRedraw = true;
+
+  // Pending animation frame for requestRender, or the scheduler callback remover
+  let frameId = null;
+  let cancelScheduled = null;
+
+  const stats = {
+    frames: 0,
+    fullRedraws: 0,
+    partialRedraws: 0
+  };
+
+  /**
+   * Gets the viewport rectangle
+   *
+   * @returns {Object} Rectangle covering the canvas
+   */
+  const getViewportRect = () => {
+    const { width, height } = emojiRenderer.getViewportSize();
+    return { x: 0, y: 0, width, height };
+  };
+
+  /**
+   * Gets visible layers in drawing order
+   *
+   * @returns {Array<Object>} Layers sorted by z-index
+   */
+  const getOrderedLayers = () => Array.from(layers.values())
+    .filter(layer => layer.visible)
+    .sort((a, b) => (a.zIndex - b.zIndex) || (a.order - b.order));
+
+  /**
+   * Marks the whole scene for redraw
+   *
+   * @returns {void}
+   */
+  const invalidateAll = () => {
+    fullRedraw = true;
+    dirtyRects = [];
+  };
+
+  /**
+   * Marks a screen rectangle for redraw. Without a rectangle the whole scene is invalidated.
+   *
+   * @param {Object} rect - Rectangle with x, y, width and height (optional)
+   * @returns {void}
+   */
+  const invalidate = (rect) => {
+    if (!rect) {
+      invalidateAll();
+      return;
+    }
+
+    if (fullRedraw || !(rect.width > 0) || !(rect.height > 0)) {
+      return;
+    }
+
+    const clipped = intersectRects(toPixelRect(rect), getViewportRect());
+    if (clipped) {
+      dirtyRects.push(clipped);
+    }
+  };
+
+  /**
+   * Adds a layer, replacing any layer with the same id
+   *
+   * @param {string} id - Layer id
+   * @param {Function} render - Called with (ctx, info) to draw the layer
+   * @param {Object} layerOptions - Layer options
+   * @param {number} layerOptions.zIndex - Drawing order; higher layers are drawn on top (default: 0)
+   * @param {boolean} layerOptions.visible - Whether the layer is drawn (default: true)
+   * @returns {string} The layer id
+   */
+  const addLayer = (id, render, layerOptions = {}) => {
+    // Validate input
+    if (!id || typeof render !== 'function') {
+      throw new Error('Invalid layer provided to addLayer');
+    }
+
+    layers.set(id, {
+      id,
+      render,
+      zIndex: layerOptions.zIndex !== undefined ? layerOptions.zIndex : 0,
+      visible: layerOptions.visible !== undefined ? layerOptions.visible : true,
+      order: layerCount++
+    });
+    invalidateAll();
+    return id;
+  };
+
+  /**
+   * Removes a layer
+   *
+   * @param {string} id - Layer id
+   * @returns {boolean} True if the layer was removed
+   */
+  const removeLayer = (id) => {
+    const removed = layers.delete(id);
+    if (removed) {
+      invalidateAll();
+    }
+    return removed;
+  };
+
+  /**
+   * Updates a layer's z-index or visibility
+   *
+   * @param {string} id - Layer id
+   * @param {Object} updates - Object with zIndex and/or visible
+   * @returns {boolean} True if the layer exists
+   */
+  const updateLayer = (id, updates = {}) => {
+    const layer = layers.get(id);
+    if (!layer) {
+      return false;
+    }
+
+    if (updates.zIndex !== undefined) {
+      layer.zIndex = updates.zIndex;
+    }
+    if (updates.visible !== undefined) {
+      layer.visible = updates.visible;
+    }
+    invalidateAll();
+    return true;
+  };
+
+  /**
+   * Clears a region and redraws every layer clipped to it
+   *
+   * @param {Object} region - Screen rectangle
+   * @param {boolean} full - Whether this is a full redraw
+   * @param {number} time - Frame timestamp
+   * @returns {void}
+   */
+  const drawRegion = (region, full, time) => {
+    const ctx = emojiRenderer.getContext();
+
+    ctx.save();
+    if (!full) {
+      ctx.beginPath();
+      ctx.rect(region.x, region.y, region.width, region.height);
+      ctx.clip();
+    }
+
+    ctx.clearRect(region.x, region.y, region.width, region.height);
+    if (config.clearColor) {
+      ctx.fillStyle = config.clearColor;
+      ctx.fillRect(region.x, region.y, region.width, region.height);
+    }
+
+    getOrderedLayers().forEach(layer => {
+      ctx.save();
+      layer.render(ctx, { region, full, renderer: emojiRenderer, time });
+      ctx.restore();
+    });
+
+    ctx.restore();
+  };
+
+  /**
+   * Renders the dirty parts of the scene
+   *
+   * @param {number} time - Frame timestamp (default: Date.now())
+   * @returns {number} Number of regions drawn (0 if nothing was dirty)
+   */
+  const render = (time = Date.now()) => {
+    const viewport = getViewportRect();
+    let regions = fullRedraw ? [viewport] : mergeDirtyRects(dirtyRects);
+
+    // Many small regions cost more than one full redraw
+    const dirtyArea = regions.reduce((area, rect) => area + (rect.width * rect.height), 0);
+    const full = fullRedraw || dirtyArea > viewport.width * viewport.height * config.fullRedrawThreshold;
+    if (full && regions.length > 0) {
+      regions = [viewport];
+    }
+
+    fullRedraw = false;
+    dirtyRects = [];
+
+    if (regions.length === 0) {
+      return 0;
+    }
+
+    regions.forEach(region => drawRegion(region, full, time));
+
+    stats.frames++;
+    if (full) {
+      stats.fullRedraws++;
+    } else {
+      stats.partialRedraws++;
+    }
+    return regions.length;
+  };
+
+  /**
+   * Schedules a render on the next animation frame. Several requests before that
+   * frame result in a single render.
+   *
+   * @returns {void}
+   */
+  const requestRender = () => {
+    if (frameId !== null || cancelScheduled !== null) {
+      return;
+    }
+
+    if (config.scheduler) {
+      cancelScheduled = config.scheduler.onFrame((frame) => {
+        cancelScheduled();
+        cancelScheduled = null;
+        render(frame.time);
+      });
+      return;
+    }
+
+    if (typeof requestAnimationFrame !== 'function') {
+      render();
+      return;
+    }
+
+    frameId = requestAnimationFrame((time) => {
+      frameId = null;
+      render(time);
+    });
+  };
+
+  /**
+   * Cancels a scheduled render and removes all layers
+   *
+   * @returns {void}
+   */
+  const destroy = () => {
+    if (frameId !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(frameId);
+    }
+    if (cancelScheduled !== null) {
+      cancelScheduled();
+    }
+    frameId = null;
+    cancelScheduled = null;
+    layers.clear();
+  };
+
+  // Return the public API
+  return {
+    addLayer,
+    removeLayer,
+    updateLayer,
+    invalidate,
+    invalidateAll,
+    render,
+    requestRender,
+    destroy,
+
+    /**
+     * Checks whether a layer exists
+     *
+     * @param {string} id - Layer id
+     * @returns {boolean} True if the layer exists
+     */
+    hasLayer: (id) => layers.has(id),
+
+    /**
+     * Gets the ids of all layers in drawing order
+     *
+     * @returns {Array<string>} Layer ids
+     */
+    getLayerIds: () => Array.from(layers.values())
+      .sort((a, b) => (a.zIndex - b.zIndex) || (a.order - b.order))
+      .map(layer => layer.id),
+
+    /**
+     * Checks whether anything needs to be redrawn
+     *
+     * @returns {boolean} True if there are dirty regions
+     */
+    isDirty: () => fullRedraw || dirtyRects.length > 0,
+
+    /**
+     * Gets the pending dirty regions, merged
+     *
+     * @returns {Array<Object>} Dirty rectangles (the viewport when a full redraw is pending)
+     */
+    getDirtyRegions: () => (fullRedraw ? [getViewportRect()] : mergeDirtyRects(dirtyRects)),
+
+    /**
+     * Gets the emoji renderer used by this pipeline
+     *
+     * @returns {Object} The emoji renderer
+     */
+    getRenderer: () => emojiRenderer,
+
+    /**
+     * Gets rendering statistics
+     *
+     * @returns {Object} Object with frames, fullRedraws and partialRedraws
+     */
+    getStats: () => ({ ...stats })
+  };
+};
@@ -0,0 +1,387 @@
+/**
+ * commandHistory.js
+ *
+ * A module for undo/redo shared by editors such as grid layers and the emoji composer.
+ * Edits are recorded as commands with undo and redo functions; several commands can be
+ * grouped into one step (for example all cells painted during a drag stroke).
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Creates a command object
+ *
+ * @param {string} label - Human-readable description shown in undo/redo menus
+ * @param {Function} undo - Reverts the edit
+ * @param {Function} redo - Re-applies the edit
+ * @param {number} size - Estimated memory cost of the command, such as the number of cells
+ *   it keeps for undo (default: 1)
+ * @returns {Object} Command object
+ */
+export const createCommand = (label, undo, redo, size = 1) => ({
+  label: label || 'Edit',
+  undo,
+  redo,
+  size
+});
+
+/**
+ * Gets the estimated memory cost of a command
+ *
+ * @param {Object} command - Command with an optional size
+ * @returns {number} Size of the command (1 when no valid size is given)
+ */
+const getCommandSize = (command) => (command.size >= 0 ? command.size : 1);
+
+/**
+ * Adds up the sizes of the commands in a step
+ *
+ * @param {Object} step - Step with commands
+ * @returns {number} Size of the step
+ */
+const getStepSize = (step) => step.commands.reduce((total, command) => total + getCommandSize(command), 0);
+
+/**
+ * Creates a command history with undo, redo and grouping
+ *
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum number of undo steps (default: 100)
+ * @param {number} options.maxCommands - Maximum number of commands kept across all undo steps,
+ *   whatever their size; the oldest steps are dropped first (default: 10000)
+ * @param {number} options.maxSize - Maximum total size of the commands kept across all undo steps.
+ *   Commands report their size with a size property (for example the number of cells a fill keeps
+ *   for undo) and count as 1 without one, so this bounds memory only as well as those hints do;
+ *   the oldest steps are dropped first (default: 1000000). The newest step is always kept, even
+ *   when it alone exceeds maxCommands or maxSize, so a large edit can still be undone
+ * @returns {Object} A command history object
+ */
+export const createCommandHistory = (options = {}) => {
+  const config = {
+    limit: options.limit !== undefined ? options.limit : 100,
+    maxCommands: options.maxCommands !== undefined ? options.maxCommands : 10000,
+    maxSize: options.maxSize !== undefined ? options.maxSize : 1000000
+  };
+
+  // Steps are { label, commands }
+  const undoStack = [];
+  const redoStack = [];
+
+  // Open group state
+  let groupDepth = 0;
+  let openGroup = null;
+
+  // True while commands are being undone or redone, so nested edits are not recorded
+  let applying = false;
+
+  // Change listeners
+  const listeners = new Set();
+
+  /**
+   * Counts the commands held by the undo stack
+   *
+   * @returns {number} Number of commands
+   */
+  const countCommands = () => undoStack.reduce((total, step) => total + step.commands.length, 0);
+
+  /**
+   * Adds up the sizes of the commands held by the undo stack
+   *
+   * @returns {number} Total size
+   */
+  const measureSize = () => undoStack.reduce((total, step) => total + getStepSize(step), 0);
+
+  /**
+   * Notifies listeners of a history change
+   *
+   * @param {Object} event - Change event
+   * @returns {void}
+   */
+  const notify = (event) => {
+    const state = {
+      ...event,
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0
+    };
+    listeners.forEach(listener => listener(state));
+  };
+
+  /**
+   * Drops the oldest steps until the history fits its limits. The newest step is kept
+   * whatever its command count and size; only the step limit can drop it.
+   *
+   * @returns {number} Number of dropped steps
+   */
+  const enforceLimits = () => {
+    let dropped = 0;
+    let commandCount = countCommands();
+    let size = measureSize();
+
+    while (undoStack.length > 0 && (undoStack.length > config.limit ||
+           (undoStack.length > 1 && (commandCount > config.maxCommands || size > config.maxSize)))) {
+      const step = undoStack.shift();
+      commandCount -= step.commands.length;
+      size -= getStepSize(step);
+      dropped++;
+    }
+
+    return dropped;
+  };
+
+  /**
+   * Pushes a finished step onto the undo stack
+   *
+   * @param {Object} step - The step
+   * @returns {void}
+   */
+  const pushStep = (step) => {
+    undoStack.push(step);
+    redoStack.length = 0;
+    const dropped = enforceLimits();
+    notify({ type: 'record', label: step.label, dropped });
+  };
+
+  /**
+   * Records a command that has already been applied. Commands recorded while a
+   * group is open become part of that group. Commands recorded while undoing or
+   * redoing are ignored.
+   *
+   * @param {Object} command - Command with label, undo, redo and an optional size (see createCommand)
+   * @returns {boolean} True if the command was recorded
+   */
+  const record = (command) => {
+    // Validate input
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      throw new Error('Invalid command provided to record');
+    }
+
+    if (applying) {
+      return false;
+    }
+
+    if (openGroup) {
+      openGroup.commands.push(command);
+      return true;
+    }
+
+    pushStep({ label: command.label || 'Edit', commands: [command] });
+    return true;
+  };
+
+  /**
+   * Applies a command by calling its redo function and records it
+   *
+   * @param {Object} command - Command with label, undo and redo
+   * @returns {boolean} True if the command was recorded
+   */
+  const execute = (command) => {
+    if (!command || typeof command.redo !== 'function') {
+      throw new Error('Invalid command provided to execute');
+    }
+
+    command.redo();
+    return record(command);
+  };
+
+  /**
+   * Opens a group. Commands recorded until the matching endGroup form a single
+   * undo step. Groups may be nested; only the outermost group creates a step.
+   *
+   * @param {string} label - Label of the step (default: 'Edit')
+   * @returns {void}
+   */
+  const beginGroup = (label = 'Edit') => {
+    if (groupDepth === 0) {
+      openGroup = { label, commands: [] };
+    }
+    groupDepth++;
+  };
+
+  /**
+   * Closes the innermost open group. Empty groups do not create a step.
+   *
+   * @returns {boolean} True if a group was open
+   */
+  const endGroup = () => {
+    if (groupDepth === 0) {
+      return false;
+    }
+
+    groupDepth--;
+    if (groupDepth === 0) {
+      const group = openGroup;
+      openGroup = null;
+      if (group.commands.length > 0) {
+        pushStep(group);
+      }
+    }
+
+    return true;
+  };
+
+  /**
+   * Runs a function inside a group, closing the group even if the function throws
+   *
+   * @param {string} label - Label of the step
+   * @param {Function} fn - Function performing the edits
+   * @returns {any} The function's return value
+   */
+  const transaction = (label, fn) => {
+    beginGroup(label);
+    try {
+      return fn();
+    } finally {
+      endGroup();
+    }
+  };
+
+  /**
+   * Closes all open groups
+   *
+   * @returns {void}
+   */
+  const closeGroups = () => {
+    while (groupDepth > 0) {
+      endGroup();
+    }
+  };
+
+  /**
+   * Undoes the most recent step
+   *
+   * @returns {boolean} True if a step was undone
+   */
+  const undo = () => {
+    closeGroups();
+    if (undoStack.length === 0) {
+      return false;
+    }
+
+    const step = undoStack.pop();
+    applying = true;
+    try {
+      for (let i = step.commands.length - 1; i >= 0; i--) {
+        step.commands[i].undo();
+      }
+    } finally {
+      applying = false;
+    }
+
+    redoStack.push(step);
+    notify({ type: 'undo', label: step.label });
+    return true;
+  };
+
+  /**
+   * Redoes the most recently undone step
+   *
+   * @returns {boolean} True if a step was redone
+   */
+  const redo = () => {
+    closeGroups();
+    if (redoStack.length === 0) {
+      return false;
+    }
+
+    const step = redoStack.pop();
+    applying = true;
+    try {
+      step.commands.forEach(command => command.redo());
+    } finally {
+      applying = false;
+    }
+
+    undoStack.push(step);
+    notify({ type: 'redo', label: step.label });
+    return true;
+  };
+
+  /**
+   * Removes all steps
+   *
+   * @returns {void}
+   */
+  const clear = () => {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    groupDepth = 0;
+    openGroup = null;
+    notify({ type: 'clear' });
+  };
+
+  // Return the public API
+  return {
+    record,
+    execute,
+    beginGroup,
+    endGroup,
+    transaction,
+    undo,
+    redo,
+    clear,
+
+    /**
+     * Checks whether there is a step to undo
+     *
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo: () => undoStack.length > 0 || (openGroup !== null && openGroup.commands.length > 0),
+
+    /**
+     * Checks whether there is a step to redo
+     *
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo: () => redoStack.length > 0,
+
+    /**
+     * Gets the label of the step that undo would revert
+     *
+     * @returns {string|null} The label or null if there is nothing to undo
+     */
+    getUndoLabel: () => (undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null),
+
+    /**
+     * Gets the label of the step that redo would re-apply
+     *
+     * @returns {string|null} The label or null if there is nothing to redo
+     */
+    getRedoLabel: () => (redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null),
+
+    /**
+     * Checks whether commands are currently being undone or redone
+     *
+     * @returns {boolean} True while undoing or redoing
+     */
+    isApplying: () => applying,
+
+    /**
+     * Checks whether a group is open
+     *
+     * @returns {boolean} True if a group is open
+     */
+    isGrouping: () => groupDepth > 0,
+
+    /**
+     * Gets history statistics
+     *
+     * @returns {Object} Object with undoSteps, redoSteps, commands and size
+     */
+    getStats: () => ({
+      undoSteps: undoStack.length,
+      redoSteps: redoStack.length,
+      commands: countCommands(),
+      size: measureSize()
+    }),
+
+    /**
+     * Subscribes to history changes. Listeners receive { type, label, canUndo, canRedo }
+     * where type is 'record', 'undo', 'redo' or 'clear'.
+     *
+     * @param {Function} listener - Change listener
+     * @returns {Function} Function that removes the listener
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,489 @@
+/**
+ * camera.js
+ *
+ * A module for camera control on grid maps created with createGridMap or
+ * createChunkedGridMap. The camera follows a target through a dead zone with
+ * optional lerp or spring smoothing, stays inside the map bounds, steps through
+ * zoom levels and supports screen-shake hooks. Each update writes the result to
+ * the map with setCamera and setZoom, so renderers and coordinate conversions
+ * pick it up automatically.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Enum for camera smoothing modes
+ * @readonly
+ * @enum {string}
+ */
+export const CAMERA_SMOOTHING = {
+  NONE: 'none',
+  LERP: 'lerp',
+  SPRING: 'spring'
+};
+
+/**
+ * Creates a camera controller for a grid map
+ *
+ * @param {Object} gridMap - A grid map created with createGridMap or createChunkedGridMap
+ * @param {Object} options - Camera options
+ * @param {number} options.viewportWidth - Viewport width in screen pixels (default: 800)
+ * @param {number} options.viewportHeight - Viewport height in screen pixels (default: 600)
+ * @param {Object} options.deadZone - Area around the viewport center, in screen pixels, in which the
+ *   target can move without moving the camera (default: { width: 0, height: 0 })
+ * @param {string} options.smoothing - Smoothing mode from CAMERA_SMOOTHING (default: CAMERA_SMOOTHING.LERP)
+ * @param {number} options.lerpFactor - Fraction of the remaining distance covered per 1/60 s (default: 0.1)
+ * @param {number} options.stiffness - Spring stiffness (default: 120)
+ * @param {number} options.damping - Spring damping (default: 2 * sqrt(stiffness), critically damped)
+ * @param {boolean} options.clampToBounds - Keep the view inside the map bounds (default: true)
+ * @param {Object} options.bounds - Bounds in cells ({ minX, minY, maxX, maxY }) overriding gridMap.getBounds()
+ * @param {Array<number>} options.zoomLevels - Zoom levels used by zoomIn/zoomOut (default: [0.5, 1, 2, 4])
+ * @param {number} options.zoom - Initial zoom (default: 1.0)
+ * @param {Function} options.random - Random number generator used by shake (default: Math.random)
+ * @returns {Object} A camera controller object
+ */
+export const createCamera = (gridMap, options = {}) => {
+  // Validate input
+  if (!gridMap || typeof gridMap.setCamera !== 'function' || typeof gridMap.setZoom !== 'function') {
+    throw new Error('Invalid grid map provided to createCamera');
+  }
+
+  const stiffness = options.stiffness !== undefined ? options.stiffness : 120;
+  const config = {
+    deadZone: { width: 0, height: 0, ...(options.deadZone || {}) },
+    smoothing: options.smoothing || CAMERA_SMOOTHING.LERP,
+    lerpFactor: options.lerpFactor !== undefined ? options.lerpFactor : 0.1,
+    stiffness,
+    damping: options.damping !== undefined ? options.damping : 2 * Math.sqrt(stiffness),
+    clampToBounds: options.clampToBounds !== undefined ? options.clampToBounds : true,
+    bounds: options.bounds || null,
+    zoomLevels: [...(options.zoomLevels || [0.5, 1, 2, 4])].sort((a, b) => a - b),
+    random: options.random || Math.random
+  };
+
+  if (!Object.values(CAMERA_SMOOTHING).includes(config.smoothing)) {
+    throw new Error(`Invalid camera smoothing: ${config.smoothing}`);
+  }
+
+  let viewportWidth = options.viewportWidth !== undefined ? options.viewportWidth : 800;
+  let viewportHeight = options.viewportHeight !== undefined ? options.viewportHeight : 600;
+
+  // Camera state: top-left of the view in world pixels, without shake
+  const initial = gridMap.getCamera();
+  let x = initial.x;
+  let y = initial.y;
+  let velocityX = 0;
+  let velocityY = 0;
+  let zoom = options.zoom !== undefined ? options.zoom : gridMap.getZoom();
+
+  // Follow target: { x, y } in grid cells, or a function returning one
+  let target = null;
+  let targetOffsetX = 0;
+  let targetOffsetY = 0;
+
+  // Shake hooks return { x, y } offsets in screen pixels each update
+  const shakeHooks = new Set();
+  let shakeX = 0;
+  let shakeY = 0;
+  let time = 0;
+
+  /**
+   * Gets the view size in world pixels at the current zoom
+   *
+   * @returns {Object} Object with width and height
+   */
+  const getViewSize = () => ({
+    width: viewportWidth / zoom,
+    height: viewportHeight / zoom
+  });
+
+  /**
+   * Gets the target position in world pixels (center of the target cell)
+   *
+   * @returns {Object|null} Object with x and y, or null when not following
+   */
+  const getTargetPosition = () => {
+    if (!target) {
+      return null;
+    }
+
+    const position = typeof target === 'function' ? target() : target;
+    if (!position) {
+      return null;
+    }
+
+    const cellSize = gridMap.cellSize;
+    return {
+      x: ((position.x + 0.5) * cellSize) + targetOffsetX,
+      y: ((position.y + 0.5) * cellSize) + targetOffsetY
+    };
+  };
+
+  /**
+   * Computes the camera position that keeps the target inside the dead zone
+   *
+   * @returns {Object} Object with desired x and y
+   */
+  const getDesiredPosition = () => {
+    const targetPosition = getTargetPosition();
+    if (!targetPosition) {
+      return { x, y };
+    }
+
+    const view = getViewSize();
+    const halfDeadWidth = (config.deadZone.width / zoom) / 2;
+    const halfDeadHeight = (config.deadZone.height / zoom) / 2;
+
+    let centerX = x + (view.width / 2);
+    let centerY = y + (view.height / 2);
+
+    if (targetPosition.x < centerX - halfDeadWidth) {
+      centerX = targetPosition.x + halfDeadWidth;
+    } else if (targetPosition.x > centerX + halfDeadWidth) {
+      centerX = targetPosition.x - halfDeadWidth;
+    }
+
+    if (targetPosition.y < centerY - halfDeadHeight) {
+      centerY = targetPosition.y + halfDeadHeight;
+    } else if (targetPosition.y > centerY + halfDeadHeight) {
+      centerY = targetPosition.y - halfDeadHeight;
+    }
+
+    return { x: centerX - (view.width / 2), y: centerY - (view.height / 2) };
+  };
+
+  /**
+   * Clamps one axis of the camera position to the map bounds. Maps smaller than
+   * the view are centered.
+   *
+   * @param {number} value - Camera position on the axis
+   * @param {number} min - Minimum world coordinate of the map
+   * @param {number} max - Maximum world coordinate of the map
+   * @param {number} viewSize - View size on the axis
+   * @returns {number} Clamped position
+   */
+  const clampAxis = (value, min, max, viewSize) => {
+    if (!isFinite(min) || !isFinite(max)) {
+      return value;
+    }
+    if (max - min <= viewSize) {
+      return min - ((viewSize - (max - min)) / 2);
+    }
+    return Math.min(Math.max(value, min), max - viewSize);
+  };
+
+  /**
+   * Clamps a camera position to the map bounds if clamping is enabled
+   *
+   * @param {Object} position - Object with x and y
+   * @returns {Object} Clamped position
+   */
+  const clampPosition = (position) => {
+    if (!config.clampToBounds) {
+      return position;
+    }
+
+    const bounds = config.bounds || gridMap.getBounds();
+    const cellSize = gridMap.cellSize;
+    const view = getViewSize();
+
+    return {
+      x: clampAxis(position.x, bounds.minX * cellSize, (bounds.maxX + 1) * cellSize, view.width),
+      y: clampAxis(position.y, bounds.minY * cellSize, (bounds.maxY + 1) * cellSize, view.height)
+    };
+  };
+
+  /**
+   * Writes the camera state to the map
+   *
+   * @returns {void}
+   */
+  const apply = () => {
+    gridMap.setZoom(zoom);
+    gridMap.setCamera(x + (shakeX / zoom), y + (shakeY / zoom));
+  };
+
+  /**
+   * Advances the camera: moves toward the follow target, applies smoothing,
+   * clamps to the bounds and evaluates shake hooks.
+   *
+   * @param {number} deltaTime - Elapsed time in seconds
+   * @returns {Object} Camera state (see getState)
+   */
+  const update = (deltaTime = 1 / 60) => {
+    time += deltaTime;
+    const desired = clampPosition(getDesiredPosition());
+
+    if (config.smoothing === CAMERA_SMOOTHING.NONE || !target) {
+      x = desired.x;
+      y = desired.y;
+      velocityX = 0;
+      velocityY = 0;
+    } else if (config.smoothing === CAMERA_SMOOTHING.LERP) {
+      // Frame-rate independent exponential approach
+      const t = 1 - Math.pow(1 - config.lerpFactor, deltaTime * 60);
+      x += (desired.x - x) * t;
+      y += (desired.y - y) * t;
+    } else {
+      velocityX += ((config.stiffness * (desired.x - x)) - (config.damping * velocityX)) * deltaTime;
+      velocityY += ((config.stiffness * (desired.y - y)) - (config.damping * velocityY)) * deltaTime;
+      x += velocityX * deltaTime;
+      y += velocityY * deltaTime;
+    }
+
+    // Sum the offsets of all shake hooks
+    shakeX = 0;
+    shakeY = 0;
+    shakeHooks.forEach(hook => {
+      const offset = hook(deltaTime, time);
+      if (offset) {
+        shakeX += offset.x || 0;
+        shakeY += offset.y || 0;
+      }
+    });
+
+    apply();
+    return getState();
+  };
+
+  /**
+   * Gets the camera state
+   *
+   * @returns {Object} Object with x, y (without shake), zoom, shakeX, shakeY and following
+   */
+  const getState = () => ({
+    x,
+    y,
+    zoom,
+    shakeX,
+    shakeY,
+    following: target !== null
+  });
+
+  /**
+   * Starts following a target
+   *
+   * @param {Object|Function} newTarget - Object with x and y in grid cells (read on every update),
+   *   or a function returning one
+   * @param {Object} followOptions - Follow options
+   * @param {number} followOptions.offsetX - Offset from the target in world pixels (default: 0)
+   * @param {number} followOptions.offsetY - Offset from the target in world pixels (default: 0)
+   * @param {boolean} followOptions.snap - Jump to the target immediately (default: false)
+   * @returns {void}
+   */
+  const follow = (newTarget, followOptions = {}) => {
+    if (!newTarget || (typeof newTarget !== 'function' && typeof newTarget !== 'object')) {
+      throw new Error('Invalid target provided to follow');
+    }
+
+    target = newTarget;
+    targetOffsetX = followOptions.offsetX || 0;
+    targetOffsetY = followOptions.offsetY || 0;
+
+    if (followOptions.snap) {
+      snapToTarget();
+    }
+  };
+
+  /**
+   * Moves the camera to the target immediately, ignoring smoothing and the dead zone
+   *
+   * @returns {boolean} True if there was a target to snap to
+   */
+  const snapToTarget = () => {
+    const targetPosition = getTargetPosition();
+    if (!targetPosition) {
+      return false;
+    }
+
+    const view = getViewSize();
+    const position = clampPosition({
+      x: targetPosition.x - (view.width / 2),
+      y: targetPosition.y - (view.height / 2)
+    });
+    x = position.x;
+    y = position.y;
+    velocityX = 0;
+    velocityY = 0;
+    apply();
+    return true;
+  };
+
+  /**
+   * Sets the zoom, keeping the world point under a screen anchor fixed
+   *
+   * @param {number} newZoom - Zoom factor
+   * @param {Object} anchor - Screen point to zoom around (default: viewport center)
+   * @returns {number} The new zoom
+   */
+  const setZoom = (newZoom, anchor = null) => {
+    if (!(newZoom > 0)) {
+      throw new Error('Zoom must be a positive number');
+    }
+
+    const anchorX = anchor ? anchor.x : viewportWidth / 2;
+    const anchorY = anchor ? anchor.y : viewportHeight / 2;
+
+    // World point under the anchor stays under the anchor
+    const worldX = x + (anchorX / zoom);
+    const worldY = y + (anchorY / zoom);
+    zoom = newZoom;
+
+    const position = clampPosition({ x: worldX - (anchorX / zoom), y: worldY - (anchorY / zoom) });
+    x = position.x;
+    y = position.y;
+    apply();
+    return zoom;
+  };
+
+  /**
+   * Zooms in to the next zoom level
+   *
+   * @param {Object} anchor - Screen point to zoom around (default: viewport center)
+   * @returns {number} The new zoom
+   */
+  const zoomIn = (anchor = null) => {
+    const next = config.zoomLevels.find(level => level > zoom + 1e-9);
+    return next !== undefined ? setZoom(next, anchor) : zoom;
+  };
+
+  /**
+   * Zooms out to the previous zoom level
+   *
+   * @param {Object} anchor - Screen point to zoom around (default: viewport center)
+   * @returns {number} The new zoom
+   */
+  const zoomOut = (anchor = null) => {
+    const previous = [...config.zoomLevels].reverse().find(level => level < zoom - 1e-9);
+    return previous !== undefined ? setZoom(previous, anchor) : zoom;
+  };
+
+  /**
+   * Adds a shake hook. Hooks are called on every update with (deltaTime, time) and
+   * return an { x, y } offset in screen pixels, or null when idle.
+   *
+   * @param {Function} hook - Shake hook
+   * @returns {Function} Function that removes the hook
+   */
+  const addShakeHook = (hook) => {
+    if (typeof hook !== 'function') {
+      throw new Error('Invalid hook provided to addShakeHook');
+    }
+    shakeHooks.add(hook);
+    return () => shakeHooks.delete(hook);
+  };
+
+  /**
+   * Starts a random shake that fades out over its duration
+   *
+   * @param {number} intensity - Maximum offset in screen pixels
+   * @param {number} duration - Duration in seconds
+   * @returns {Function} Function that stops the shake early
+   */
+  const shake = (intensity = 8, duration = 0.3) => {
+    let remaining = duration;
+    let removeHook = null;
+
+    removeHook = addShakeHook((deltaTime) => {
+      remaining -= deltaTime;
+      if (remaining <= 0) {
+        removeHook();
+        return null;
+      }
+
+      const strength = intensity * (remaining / duration);
+      return {
+        x: ((config.random() * 2) - 1) * strength,
+        y: ((config.random() * 2) - 1) * strength
+      };
+    });
+
+    return removeHook;
+  };
+
+  // Return the public API
+  return {
+    update,
+    getState,
+    follow,
+
+    /**
+     * Stops following the current target
+     *
+     * @returns {void}
+     */
+    stopFollowing: () => {
+      target = null;
+      velocityX = 0;
+      velocityY = 0;
+    },
+
+    snapToTarget,
+
+    /**
+     * Moves the camera to a position immediately
+     *
+     * @param {number} newX - X coordinate of the view's top-left corner in world pixels
+     * @param {number} newY - Y coordinate of the view's top-left corner in world pixels
+     * @returns {void}
+     */
+    setPosition: (newX, newY) => {
+      const position = clampPosition({ x: newX, y: newY });
+      x = position.x;
+      y = position.y;
+      velocityX = 0;
+      velocityY = 0;
+      apply();
+    },
+
+    /**
+     * Centers the view on a grid cell immediately
+     *
+     * @param {number} gridX - X coordinate on grid
+     * @param {number} gridY - Y coordinate on grid
+     * @returns {void}
+     */
+    centerOn: (gridX, gridY) => {
+      const view = getViewSize();
+      const position = clampPosition({
+        x: ((gridX + 0.5) * gridMap.cellSize) - (view.width / 2),
+        y: ((gridY + 0.5) * gridMap.cellSize) - (view.height / 2)
+      });
+      x = position.x;
+      y = position.y;
+      velocityX = 0;
+      velocityY = 0;
+      apply();
+    },
+
+    setZoom,
+    getZoom: () => zoom,
+    zoomIn,
+    zoomOut,
+
+    /**
+     * Sets the viewport size, for example after the canvas was resized
+     *
+     * @param {number} width - Viewport width in screen pixels
+     * @param {number} height - Viewport height in screen pixels
+     * @returns {void}
+     */
+    setViewport: (width, height) => {
+      viewportWidth = width;
+      viewportHeight = height;
+    },
+
+    /**
+     * Sets the dead zone size
+     *
+     * @param {number} width - Dead zone width in screen pixels
+     * @param {number} height - Dead zone height in screen pixels
+     * @returns {void}
+     */
+    setDeadZone: (width, height) => {
+      config.deadZone = { width, height };
+    },
+
+    addShakeHook,
+    shake
+  };
+};
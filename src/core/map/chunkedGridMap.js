@@ -0,0 +1,895 @@
+/**
+ * chunkedGridMap.js
+ *
+ * A module for effectively infinite grid maps. Cells are stored in fixed-size
+ * chunks that are allocated lazily when a cell is written, coordinates may be
+ * negative, and chunks can be streamed in and out through loader callbacks.
+ * Chunked maps expose the same layer, camera and rendering API as maps created
+ * with createGridMap, so they can be drawn with createGridRenderer.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import {
+  GRID_LAYER_TYPE,
+  getTileEmoji,
+  isSameCell,
+  normalizeCell,
+  serializeCell
+} from '../graphics/emojiGrid.js';
+
+/**
+ * Builds the lookup key of a chunk
+ *
+ * @param {number} chunkX - Chunk X coordinate
+ * @param {number} chunkY - Chunk Y coordinate
+ * @returns {string} Chunk key
+ */
+const chunkKey = (chunkX, chunkY) => `${chunkX},${chunkY}`;
+
+/**
+ * Checks whether a value is a promise-like object
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True if the value has a then method
+ */
+const isThenable = (value) => value !== null && typeof value === 'object' && typeof value.then === 'function';
+
+/**
+ * Creates a chunked grid map with multiple layers and no fixed size
+ *
+ * @param {number} cellSize - Size of each cell in pixels
+ * @param {Object} options - Additional options
+ * @param {number} options.chunkSize - Width and height of a chunk in cells (default: 16)
+ * @param {Function} options.loader - Called with (chunkX, chunkY) when a chunk is needed; returns chunk
+ *   data ({ [layerType]: cells }), null for an empty chunk, or a promise of either
+ * @param {Function} options.unloader - Called with (chunkX, chunkY, data, dirty) before a chunk is
+ *   dropped, so modified chunks can be saved
+ * @param {number} options.preloadMargin - Extra chunks loaded around a prepared region (default: 1)
+ * @param {number} options.unloadMargin - Chunks farther than this from a prepared region are
+ *   unloaded when a loader is configured (default: 2)
+ * @param {string} options.defaultBackgroundEmoji - Background of unwritten cells (default: '⬜')
+ * @param {Object} options.history - Command history (see createCommandHistory) that records
+ *   setCell, fillRect and clear on every layer
+ * @returns {Object} A chunked grid map object
+ */
+export const createChunkedGridMap = (cellSize, options = {}) => {
+  // Validate input
+  if (cellSize <= 0) {
+    throw new Error('Cell size must be a positive number');
+  }
+
+  const chunkSize = options.chunkSize !== undefined ? options.chunkSize : 16;
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new Error('Invalid chunk size provided to createChunkedGridMap');
+  }
+
+  const loader = typeof options.loader === 'function' ? options.loader : null;
+  const unloader = typeof options.unloader === 'function' ? options.unloader : null;
+  const preloadMargin = options.preloadMargin !== undefined ? options.preloadMargin : 1;
+  const unloadMargin = options.unloadMargin !== undefined ? options.unloadMargin : 2;
+
+  // Undo history, if any
+  let history = options.history || null;
+
+  // Default content of unwritten cells per layer
+  const defaults = {
+    [GRID_LAYER_TYPE.BACKGROUND]: normalizeCell(options.defaultBackgroundEmoji || '⬜'),
+    [GRID_LAYER_TYPE.COLLISION]: normalizeCell(options.defaultCollisionEmoji || ''),
+    [GRID_LAYER_TYPE.EVENT]: normalizeCell(options.defaultEventEmoji || ''),
+    [GRID_LAYER_TYPE.SPRITE]: normalizeCell(options.defaultSpriteEmoji || ''),
+    [GRID_LAYER_TYPE.GUI]: normalizeCell(options.defaultGuiEmoji || '')
+  };
+
+  // Loaded chunks: key -> { chunkX, chunkY, layers: { [layerType]: cells }, dirty, loading, pending }
+  // where pending maps layer types to the cells written while loading (a Set of
+  // local indices, or true when the whole layer was cleared)
+  const chunks = new Map();
+
+  // Change listeners per layer type
+  const listeners = {};
+  Object.values(GRID_LAYER_TYPE).forEach(type => {
+    listeners[type] = new Set();
+  });
+
+  /**
+   * Notifies listeners of a layer that cells changed
+   *
+   * @param {string} type - Layer type
+   * @param {Object} event - Change event
+   * @returns {void}
+   */
+  const notifyChange = (type, event) => {
+    listeners[type].forEach(listener => listener({ layer: type, ...event }));
+  };
+
+  /**
+   * Notifies listeners of every layer
+   *
+   * @param {Object} event - Change event
+   * @returns {void}
+   */
+  const notifyAll = (event) => {
+    Object.values(GRID_LAYER_TYPE).forEach(type => notifyChange(type, event));
+  };
+
+  /**
+   * Converts a cell coordinate to its chunk coordinate
+   *
+   * @param {number} value - Cell coordinate
+   * @returns {number} Chunk coordinate
+   */
+  const toChunk = (value) => Math.floor(value / chunkSize);
+
+  /**
+   * Allocates the cells of one layer in a chunk, filled with the layer default
+   *
+   * @param {string} type - Layer type
+   * @returns {Array<Array>} Chunk cells
+   */
+  const createChunkCells = (type) => Array(chunkSize).fill().map(() =>
+    Array(chunkSize).fill().map(() => normalizeCell(defaults[type]))
+  );
+
+  /**
+   * Copies serialized chunk data into a chunk
+   *
+   * @param {Object} chunk - The chunk
+   * @param {Object} data - Chunk data ({ [layerType]: cells })
+   * @returns {void}
+   */
+  const applyChunkData = (chunk, data) => {
+    Object.entries(data || {}).forEach(([type, cells]) => {
+      if (defaults[type] === undefined || !Array.isArray(cells)) {
+        return;
+      }
+
+      const target = chunk.layers[type] || createChunkCells(type);
+      for (let y = 0; y < chunkSize; y++) {
+        for (let x = 0; x < chunkSize; x++) {
+          if (cells[y] && cells[y][x] !== undefined) {
+            target[y][x] = normalizeCell(cells[y][x]);
+          }
+        }
+      }
+      chunk.layers[type] = target;
+    });
+  };
+
+  /**
+   * Records that cells of a loading chunk were written, so the loaded data does not
+   * overwrite them
+   *
+   * @param {Object} chunk - The chunk
+   * @param {string} type - Layer type
+   * @param {number} localX - X coordinate within the chunk, omitted when the whole layer changed
+   * @param {number} localY - Y coordinate within the chunk
+   * @returns {void}
+   */
+  const markPendingWrite = (chunk, type, localX, localY) => {
+    if (!chunk.loading || chunk.pending[type] === true) {
+      return;
+    }
+    if (localX === undefined) {
+      chunk.pending[type] = true;
+      return;
+    }
+    if (!chunk.pending[type]) {
+      chunk.pending[type] = new Set();
+    }
+    chunk.pending[type].add((localY * chunkSize) + localX);
+  };
+
+  /**
+   * Applies loaded data to a chunk that was written while loading. The loaded data
+   * fills the chunk first and the cells written in the meantime are laid on top.
+   *
+   * @param {Object} chunk - The chunk
+   * @param {Object} data - Chunk data ({ [layerType]: cells })
+   * @returns {void}
+   */
+  const applyLoadedData = (chunk, data) => {
+    const written = chunk.layers;
+    const pending = chunk.pending;
+    chunk.layers = {};
+    chunk.pending = {};
+    applyChunkData(chunk, data);
+
+    Object.entries(pending).forEach(([type, indices]) => {
+      if (indices === true) {
+        chunk.layers[type] = written[type];
+        return;
+      }
+
+      const target = chunk.layers[type] || createChunkCells(type);
+      indices.forEach(index => {
+        const localX = index % chunkSize;
+        const localY = Math.floor(index / chunkSize);
+        target[localY][localX] = written[type][localY][localX];
+      });
+      chunk.layers[type] = target;
+    });
+  };
+
+  /**
+   * Serializes the allocated layers of a chunk
+   *
+   * @param {Object} chunk - The chunk
+   * @returns {Object} Chunk data ({ [layerType]: cells })
+   */
+  const serializeChunk = (chunk) => {
+    const data = {};
+    Object.entries(chunk.layers).forEach(([type, cells]) => {
+      data[type] = cells.map(row => row.map(serializeCell));
+    });
+    return data;
+  };
+
+  /**
+   * Gets the cell bounds of a chunk
+   *
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @returns {Object} Object with minX, minY, maxX and maxY
+   */
+  const getChunkRect = (chunkX, chunkY) => ({
+    minX: chunkX * chunkSize,
+    minY: chunkY * chunkSize,
+    maxX: ((chunkX + 1) * chunkSize) - 1,
+    maxY: ((chunkY + 1) * chunkSize) - 1
+  });
+
+  /**
+   * Loads a chunk, calling the loader if one is configured. Loaded chunks are
+   * returned as-is. With an asynchronous loader the chunk is available right away
+   * with default cells and filled in when the promise resolves; cells written
+   * in the meantime keep their written values on top of the loaded data.
+   *
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @returns {Object} The chunk
+   */
+  const loadChunk = (chunkX, chunkY) => {
+    const key = chunkKey(chunkX, chunkY);
+    if (chunks.has(key)) {
+      return chunks.get(key);
+    }
+
+    const chunk = { chunkX, chunkY, layers: {}, dirty: false, loading: false, pending: {} };
+    chunks.set(key, chunk);
+
+    if (loader) {
+      const result = loader(chunkX, chunkY);
+
+      if (isThenable(result)) {
+        chunk.loading = true;
+        result.then(data => {
+          // Ignore data for chunks that were unloaded while loading
+          if (chunks.get(key) !== chunk) {
+            return;
+          }
+          chunk.loading = false;
+          applyLoadedData(chunk, data);
+          notifyAll({ type: 'rect', ...getChunkRect(chunkX, chunkY) });
+        }, () => {
+          chunk.loading = false;
+          chunk.pending = {};
+        });
+      } else {
+        applyChunkData(chunk, result);
+      }
+    }
+
+    notifyAll({ type: 'chunk', action: 'load', chunkX, chunkY });
+    return chunk;
+  };
+
+  /**
+   * Unloads a chunk, handing its data to the unloader first
+   *
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @returns {boolean} True if the chunk was loaded
+   */
+  const unloadChunk = (chunkX, chunkY) => {
+    const key = chunkKey(chunkX, chunkY);
+    const chunk = chunks.get(key);
+    if (!chunk) {
+      return false;
+    }
+
+    if (unloader) {
+      unloader(chunkX, chunkY, serializeChunk(chunk), chunk.dirty);
+    }
+
+    chunks.delete(key);
+    notifyAll({ type: 'chunk', action: 'unload', chunkX, chunkY });
+    return true;
+  };
+
+  /**
+   * Gets the cells of a layer in the chunk containing a cell, without allocating
+   *
+   * @param {string} type - Layer type
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<Array>|null} Chunk cells or null if not allocated
+   */
+  const findChunkCells = (type, x, y) => {
+    const chunk = chunks.get(chunkKey(toChunk(x), toChunk(y)));
+    return chunk && chunk.layers[type] ? chunk.layers[type] : null;
+  };
+
+  /**
+   * Gets the cells of a layer in the chunk containing a cell, allocating them if needed
+   *
+   * @param {string} type - Layer type
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<Array>} Chunk cells
+   */
+  const ensureChunkCells = (type, x, y) => {
+    const chunkX = toChunk(x);
+    const chunkY = toChunk(y);
+    const chunk = loadChunk(chunkX, chunkY);
+    if (!chunk.layers[type]) {
+      chunk.layers[type] = createChunkCells(type);
+    }
+    chunk.dirty = true;
+    markPendingWrite(chunk, type, x - (chunkX * chunkSize), y - (chunkY * chunkSize));
+    return chunk.layers[type];
+  };
+
+  /**
+   * Creates a layer view over the chunk store
+   *
+   * @param {string} type - Layer type
+   * @returns {Object} A chunked layer object
+   */
+  const createChunkedLayer = (type) => {
+    // Layer properties
+    const properties = {
+      visible: true,
+      opacity: 1.0,
+      name: type
+    };
+
+    /**
+     * Gets the content of the specified cell. Reading never allocates chunks.
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {string|Object} The emoji or tile descriptor at the specified cell
+     */
+    const getCell = (x, y) => {
+      const cells = findChunkCells(type, x, y);
+      if (!cells) {
+        return defaults[type];
+      }
+      return cells[y - (toChunk(y) * chunkSize)][x - (toChunk(x) * chunkSize)];
+    };
+
+    /**
+     * Writes a cell without notifying listeners
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string|Object} emoji - Emoji or tile descriptor to set
+     * @returns {Object} Object with the previous and new value
+     */
+    const writeCell = (x, y, emoji) => {
+      const cells = ensureChunkCells(type, x, y);
+      const localX = x - (toChunk(x) * chunkSize);
+      const localY = y - (toChunk(y) * chunkSize);
+      const previous = cells[localY][localX];
+      cells[localY][localX] = normalizeCell(emoji);
+      return { previous, value: cells[localY][localX] };
+    };
+
+    // The layer object
+    const layer = {
+      type,
+      properties,
+
+      getCell,
+
+      /**
+       * Gets the emoji displayed at the specified cell, whether it holds a string or a tile
+       *
+       * @param {number} x - X coordinate
+       * @param {number} y - Y coordinate
+       * @returns {string} The emoji at the specified cell, or empty string if empty
+       */
+      getCellEmoji: (x, y) => {
+        return getTileEmoji(getCell(x, y));
+      },
+
+      /**
+       * Sets the content of the specified cell, allocating its chunk if needed
+       *
+       * @param {number} x - X coordinate
+       * @param {number} y - Y coordinate
+       * @param {string|Object} emoji - Emoji or tile descriptor to set
+       * @returns {boolean} Always true, chunked layers have no bounds
+       */
+      setCell: (x, y, emoji) => {
+        const change = writeCell(x, y, emoji);
+        notifyChange(type, { type: 'cell', x, y, ...change });
+
+        if (history && !isSameCell(change.previous, change.value)) {
+          history.record({
+            label: 'Set cell',
+            undo: () => layer.setCell(x, y, change.previous),
+            redo: () => layer.setCell(x, y, change.value)
+          });
+        }
+        return true;
+      },
+
+      /**
+       * Fills a rectangular area with the specified emoji
+       *
+       * @param {number} startX - Starting X coordinate
+       * @param {number} startY - Starting Y coordinate
+       * @param {number} endX - Ending X coordinate
+       * @param {number} endY - Ending Y coordinate
+       * @param {string|Object} emoji - Emoji or tile descriptor to fill with
+       * @returns {void}
+       */
+      fillRect: (startX, startY, endX, endY, emoji) => {
+        const minX = Math.min(startX, endX);
+        const maxX = Math.max(startX, endX);
+        const minY = Math.min(startY, endY);
+        const maxY = Math.max(startY, endY);
+        const previous = [];
+
+        for (let y = minY; y <= maxY; y++) {
+          const row = [];
+          for (let x = minX; x <= maxX; x++) {
+            row.push(writeCell(x, y, emoji).previous);
+          }
+          previous.push(row);
+        }
+
+        notifyChange(type, { type: 'rect', minX, minY, maxX, maxY });
+
+        if (history) {
+          history.record({
+            label: 'Fill area',
+            undo: () => {
+              previous.forEach((row, rowIndex) => {
+                row.forEach((cell, columnIndex) => writeCell(minX + columnIndex, minY + rowIndex, cell));
+              });
+              notifyChange(type, { type: 'rect', minX, minY, maxX, maxY });
+            },
+            redo: () => layer.fillRect(minX, minY, maxX, maxY, emoji),
+            size: (maxX - minX + 1) * (maxY - minY + 1)
+          });
+        }
+      },
+
+      /**
+       * Clears the layer in every loaded chunk (sets all cells to empty string)
+       *
+       * @returns {void}
+       */
+      clear: () => {
+        const previous = new Map();
+
+        chunks.forEach(chunk => {
+          previous.set(chunk, chunk.layers[type]);
+          chunk.layers[type] = Array(chunkSize).fill().map(() => Array(chunkSize).fill(''));
+          chunk.dirty = true;
+          markPendingWrite(chunk, type);
+        });
+
+        notifyChange(type, { type: 'clear' });
+
+        if (history) {
+          history.record({
+            label: 'Clear layer',
+            undo: () => {
+              // Chunks unloaded since the clear keep whatever the unloader saved
+              previous.forEach((cells, chunk) => {
+                if (chunks.get(chunkKey(chunk.chunkX, chunk.chunkY)) === chunk) {
+                  if (cells) {
+                    chunk.layers[type] = cells;
+                  } else {
+                    delete chunk.layers[type];
+                  }
+                }
+              });
+              notifyChange(type, { type: 'clear' });
+            },
+            redo: () => layer.clear(),
+            size: previous.size * chunkSize * chunkSize
+          });
+        }
+      },
+
+      /**
+       * Sets a property value
+       *
+       * @param {string} key - Property name
+       * @param {any} value - Property value
+       * @returns {void}
+       */
+      setProperty: (key, value) => {
+        properties[key] = value;
+      },
+
+      /**
+       * Gets a property value
+       *
+       * @param {string} key - Property name
+       * @returns {any} Property value
+       */
+      getProperty: (key) => {
+        return properties[key];
+      },
+
+      /**
+       * Subscribes to cell changes. Listeners receive the same events as createGridLayer
+       * (except resize) plus { type: 'chunk', action: 'load' | 'unload', chunkX, chunkY }.
+       *
+       * @param {Function} listener - Change listener
+       * @returns {Function} Function that removes the listener
+       */
+      onChange: (listener) => {
+        listeners[type].add(listener);
+        return () => listeners[type].delete(listener);
+      }
+    };
+
+    // Return the layer object
+    return layer;
+  };
+
+  // Create layers for each type
+  const layers = {};
+  Object.values(GRID_LAYER_TYPE).forEach(type => {
+    layers[type] = createChunkedLayer(type);
+  });
+
+  // Map properties
+  const properties = {
+    name: options.name || 'New Map',
+    backgroundColor: options.backgroundColor || '#FFFFFF',
+    gridColor: options.gridColor || '#CCCCCC',
+    showGrid: options.showGrid !== undefined ? options.showGrid : true,
+    ...options
+  };
+
+  // Callbacks and the history are not map properties
+  delete properties.loader;
+  delete properties.unloader;
+  delete properties.history;
+
+  // Camera position (for scrolling) in world pixels, and zoom
+  let cameraX = 0;
+  let cameraY = 0;
+  let cameraZoom = 1.0;
+
+  /**
+   * Converts screen coordinates to grid coordinates, taking camera position and zoom into account
+   *
+   * @param {number} screenX - X coordinate on screen
+   * @param {number} screenY - Y coordinate on screen
+   * @returns {Object} Object with x and y grid coordinates
+   */
+  const screenToGrid = (screenX, screenY) => {
+    const gridX = Math.floor(((screenX / cameraZoom) + cameraX) / cellSize);
+    const gridY = Math.floor(((screenY / cameraZoom) + cameraY) / cellSize);
+    return { x: gridX, y: gridY };
+  };
+
+  /**
+   * Converts grid coordinates to screen coordinates, taking camera position and zoom into account
+   *
+   * @param {number} gridX - X coordinate on grid
+   * @param {number} gridY - Y coordinate on grid
+   * @returns {Object} Object with x and y screen coordinates (center of cell)
+   */
+  const gridToScreen = (gridX, gridY) => {
+    const screenX = ((gridX * cellSize) + (cellSize / 2) - cameraX) * cameraZoom;
+    const screenY = ((gridY * cellSize) + (cellSize / 2) - cameraY) * cameraZoom;
+    return { x: screenX, y: screenY };
+  };
+
+  /**
+   * Loads the chunks that intersect a cell region (plus the preload margin) and,
+   * when a loader is configured, unloads chunks outside the unload margin.
+   * Renderers call this with the visible region before drawing.
+   *
+   * @param {number} minX - Minimum X coordinate
+   * @param {number} minY - Minimum Y coordinate
+   * @param {number} maxX - Maximum X coordinate
+   * @param {number} maxY - Maximum Y coordinate
+   * @returns {void}
+   */
+  const prepareRegion = (minX, minY, maxX, maxY) => {
+    const minChunkX = toChunk(minX);
+    const minChunkY = toChunk(minY);
+    const maxChunkX = toChunk(maxX);
+    const maxChunkY = toChunk(maxY);
+
+    // Without a loader unloaded chunks could not be restored, so keep everything
+    if (loader) {
+      Array.from(chunks.values()).forEach(chunk => {
+        if (chunk.chunkX < minChunkX - unloadMargin || chunk.chunkX > maxChunkX + unloadMargin ||
+            chunk.chunkY < minChunkY - unloadMargin || chunk.chunkY > maxChunkY + unloadMargin) {
+          unloadChunk(chunk.chunkX, chunk.chunkY);
+        }
+      });
+
+      for (let chunkY = minChunkY - preloadMargin; chunkY <= maxChunkY + preloadMargin; chunkY++) {
+        for (let chunkX = minChunkX - preloadMargin; chunkX <= maxChunkX + preloadMargin; chunkX++) {
+          loadChunk(chunkX, chunkY);
+        }
+      }
+    }
+  };
+
+  // Return the map object
+  return {
+    chunked: true,
+    width: Infinity,
+    height: Infinity,
+    get cellSize() {
+      return cellSize;
+    },
+    get chunkSize() {
+      return chunkSize;
+    },
+    layers,
+    properties,
+
+    /**
+     * Gets a specific layer
+     *
+     * @param {string} type - Layer type (from GRID_LAYER_TYPE)
+     * @returns {Object} The layer object
+     */
+    getLayer: (type) => {
+      if (!layers[type]) {
+        throw new Error(`Invalid layer type: ${type}`);
+      }
+      return layers[type];
+    },
+
+    /**
+     * Gets all layers as an array
+     *
+     * @returns {Array} Array of layer objects
+     */
+    getAllLayers: () => {
+      return Object.values(layers);
+    },
+
+    /**
+     * Gets the cell content for all layers at the specified coordinates
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object} Object with layer types as keys and cell content (emoji or tile) as values
+     */
+    getCellContent: (x, y) => {
+      const content = {};
+      Object.entries(layers).forEach(([type, layer]) => {
+        content[type] = layer.getCell(x, y);
+      });
+      return content;
+    },
+
+    /**
+     * Sets a property value
+     *
+     * @param {string} key - Property name
+     * @param {any} value - Property value
+     * @returns {void}
+     */
+    setProperty: (key, value) => {
+      properties[key] = value;
+    },
+
+    /**
+     * Gets a property value
+     *
+     * @param {string} key - Property name
+     * @returns {any} Property value
+     */
+    getProperty: (key) => {
+      return properties[key];
+    },
+
+    /**
+     * Gets the cell bounds of the map. Chunked maps are unbounded.
+     *
+     * @returns {Object} Object with minX, minY, maxX and maxY
+     */
+    getBounds: () => {
+      return { minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity };
+    },
+
+    prepareRegion,
+    loadChunk: (chunkX, chunkY) => {
+      loadChunk(chunkX, chunkY);
+    },
+    unloadChunk,
+
+    /**
+     * Sets or removes the command history that all layers record their edits into
+     *
+     * @param {Object|null} newHistory - Command history or null to stop recording
+     * @returns {void}
+     */
+    setHistory: (newHistory) => {
+      history = newHistory || null;
+    },
+
+    /**
+     * Checks whether a chunk is loaded
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkY - Chunk Y coordinate
+     * @returns {boolean} True if the chunk is loaded
+     */
+    isChunkLoaded: (chunkX, chunkY) => {
+      return chunks.has(chunkKey(chunkX, chunkY));
+    },
+
+    /**
+     * Gets the coordinates of all loaded chunks
+     *
+     * @returns {Array<Object>} Array of objects with chunkX, chunkY, dirty and loading
+     */
+    getLoadedChunks: () => {
+      return Array.from(chunks.values()).map(chunk => ({
+        chunkX: chunk.chunkX,
+        chunkY: chunk.chunkY,
+        dirty: chunk.dirty,
+        loading: chunk.loading
+      }));
+    },
+
+    /**
+     * Gets the chunk coordinates containing a cell
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object} Object with chunkX and chunkY
+     */
+    getChunkCoords: (x, y) => {
+      return { chunkX: toChunk(x), chunkY: toChunk(y) };
+    },
+
+    /**
+     * Sets the camera position
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {void}
+     */
+    setCamera: (x, y) => {
+      cameraX = x;
+      cameraY = y;
+    },
+
+    /**
+     * Gets the camera position
+     *
+     * @returns {Object} Object with x and y properties
+     */
+    getCamera: () => {
+      return { x: cameraX, y: cameraY };
+    },
+
+    /**
+     * Moves the camera by the specified amount
+     *
+     * @param {number} deltaX - X amount to move
+     * @param {number} deltaY - Y amount to move
+     * @returns {void}
+     */
+    moveCamera: (deltaX, deltaY) => {
+      cameraX += deltaX;
+      cameraY += deltaY;
+    },
+
+    /**
+     * Sets the camera zoom. Screen coordinates are world pixels relative to the
+     * camera multiplied by the zoom.
+     *
+     * @param {number} zoom - Zoom factor (1.0 = original size)
+     * @returns {void}
+     */
+    setZoom: (zoom) => {
+      if (!(zoom > 0)) {
+        throw new Error('Zoom must be a positive number');
+      }
+      cameraZoom = zoom;
+    },
+
+    /**
+     * Gets the camera zoom
+     *
+     * @returns {number} Zoom factor
+     */
+    getZoom: () => {
+      return cameraZoom;
+    },
+
+    screenToGrid,
+    gridToScreen,
+
+    /**
+     * Snaps a screen coordinate to the nearest grid cell
+     *
+     * @param {number} screenX - X coordinate on screen
+     * @param {number} screenY - Y coordinate on screen
+     * @returns {Object} Object with snapped x and y screen coordinates
+     */
+    snapToGrid: (screenX, screenY) => {
+      const gridCoords = screenToGrid(screenX, screenY);
+      return gridToScreen(gridCoords.x, gridCoords.y);
+    },
+
+    /**
+     * Exports the loaded chunks as a serializable object. Chunks that have been
+     * streamed out are owned by the unloader and are not included.
+     *
+     * @returns {Object} Serializable map data
+     */
+    exportData: () => {
+      const layerProperties = {};
+      Object.entries(layers).forEach(([type, layer]) => {
+        layerProperties[type] = { ...layer.properties };
+      });
+
+      return {
+        chunked: true,
+        chunkSize,
+        cellSize,
+        properties: { ...properties },
+        layerProperties,
+        chunks: Array.from(chunks.values()).map(chunk => ({
+          x: chunk.chunkX,
+          y: chunk.chunkY,
+          layers: serializeChunk(chunk)
+        }))
+      };
+    },
+
+    /**
+     * Imports map data produced by exportData. Imported chunks replace loaded
+     * chunks with the same coordinates.
+     *
+     * @param {Object} data - Serialized map data
+     * @returns {boolean} True if import was successful
+     */
+    importData: (data) => {
+      if (!data || !data.chunked || data.chunkSize !== chunkSize || !Array.isArray(data.chunks)) {
+        return false;
+      }
+
+      if (data.cellSize) {
+        cellSize = data.cellSize;
+      }
+      Object.assign(properties, data.properties || {});
+
+      Object.entries(data.layerProperties || {}).forEach(([type, layerProperties]) => {
+        if (layers[type]) {
+          Object.assign(layers[type].properties, layerProperties);
+        }
+      });
+
+      data.chunks.forEach(chunkData => {
+        const chunk = { chunkX: chunkData.x, chunkY: chunkData.y, layers: {}, dirty: true, loading: false, pending: {} };
+        applyChunkData(chunk, chunkData.layers);
+        chunks.set(chunkKey(chunk.chunkX, chunk.chunkY), chunk);
+        notifyAll({ type: 'rect', ...getChunkRect(chunk.chunkX, chunk.chunkY) });
+      });
+
+      return true;
+    }
+  };
+};
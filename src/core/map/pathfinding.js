@@ -0,0 +1,529 @@
+/**
+ * pathfinding.js
+ *
+ * A module for finding paths across grid maps created with createGridMap.
+ * Walkability is read from a map layer (the collision layer by default), and
+ * results are cached until that layer changes. Only bounded maps are supported;
+ * chunked maps are rejected.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { GRID_LAYER_TYPE, getTileEmoji } from '../graphics/emojiGrid.js';
+
+/**
+ * Enum for movement modes
+ * @readonly
+ * @enum {number}
+ */
+export const MOVEMENT_MODE = {
+  FOUR_WAY: 4,
+  EIGHT_WAY: 8
+};
+
+/**
+ * Enum for diagonal corner-cutting rules (only used with eight-way movement)
+ * @readonly
+ * @enum {string}
+ */
+export const DIAGONAL_RULE = {
+  ALWAYS: 'always',                       // Diagonals are allowed even between two blocked cells
+  AT_MOST_ONE_OBSTACLE: 'at-most-one',    // Diagonals may cut past one blocked corner
+  NO_OBSTACLES: 'no-obstacles'            // Diagonals require both adjacent cells to be walkable
+};
+
+const FOUR_WAY_STEPS = [
+  { dx: 0, dy: -1 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 }
+];
+
+const DIAGONAL_STEPS = [
+  { dx: 1, dy: -1 },
+  { dx: 1, dy: 1 },
+  { dx: -1, dy: 1 },
+  { dx: -1, dy: -1 }
+];
+
+/**
+ * Creates a binary min-heap keyed by priority
+ *
+ * @returns {Object} Priority queue with push, pop and size
+ */
+const createPriorityQueue = () => {
+  const items = [];
+
+  const swap = (a, b) => {
+    const temp = items[a];
+    items[a] = items[b];
+    items[b] = temp;
+  };
+
+  return {
+    push: (value, priority) => {
+      items.push({ value, priority });
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (items[parent].priority <= items[index].priority) {
+          break;
+        }
+        swap(parent, index);
+        index = parent;
+      }
+    },
+
+    pop: () => {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = (index * 2) + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < items.length && items[left].priority < items[smallest].priority) {
+            smallest = left;
+          }
+          if (right < items.length && items[right].priority < items[smallest].priority) {
+            smallest = right;
+          }
+          if (smallest === index) {
+            break;
+          }
+          swap(smallest, index);
+          index = smallest;
+        }
+      }
+      return top.value;
+    },
+
+    size: () => items.length
+  };
+};
+
+/**
+ * Manhattan distance heuristic for four-way movement
+ *
+ * @param {number} dx - Horizontal distance
+ * @param {number} dy - Vertical distance
+ * @returns {number} Estimated distance
+ */
+const manhattanDistance = (dx, dy) => dx + dy;
+
+/**
+ * Octile distance heuristic for eight-way movement
+ *
+ * @param {number} dx - Horizontal distance
+ * @param {number} dy - Vertical distance
+ * @returns {number} Estimated distance
+ */
+const octileDistance = (dx, dy) => Math.max(dx, dy) + ((Math.SQRT2 - 1) * Math.min(dx, dy));
+
+/**
+ * Gets the cheapest cost of entering any walkable cell, so that distance
+ * heuristics scaled by it never overestimate
+ *
+ * @param {Object} config - Pathfinder configuration
+ * @returns {number} Minimum step cost (0 when some cell costs nothing to enter)
+ */
+const getMinimumStepCost = (config) => {
+  const costs = [config.emptyCost, config.defaultCost, ...Object.values(config.costs || {})]
+    .filter(cost => Number.isFinite(cost));
+  return costs.length > 0 ? Math.max(0, Math.min(...costs)) : 0;
+};
+
+/**
+ * Creates a pathfinder for a grid map
+ *
+ * @param {Object} gridMap - A bounded grid map created with createGridMap
+ * @param {Object} options - Pathfinder options
+ * @param {string} options.layer - Layer to read walkability from (default: GRID_LAYER_TYPE.COLLISION)
+ * @param {Object} options.costs - Movement cost per emoji, e.g. { '🌲': 3, '🌊': Infinity }.
+ *   Without a cost table any non-empty cell blocks movement.
+ * @param {number} options.defaultCost - Cost of non-empty cells missing from the cost table (default: Infinity)
+ * @param {number} options.emptyCost - Cost of empty cells (default: 1)
+ * @param {number} options.movement - Movement mode from MOVEMENT_MODE (default: FOUR_WAY)
+ * @param {string} options.diagonalRule - Corner-cutting rule from DIAGONAL_RULE (default: NO_OBSTACLES)
+ * @param {number} options.cacheSize - Maximum number of cached paths and flow fields (default: 64)
+ * @returns {Object} A pathfinder object
+ */
+export const createPathfinder = (gridMap, options = {}) => {
+  // Validate input
+  if (!gridMap || typeof gridMap.getLayer !== 'function') {
+    throw new Error('Invalid grid map provided to createPathfinder');
+  }
+  if (gridMap.chunked || !Number.isFinite(gridMap.width) || !Number.isFinite(gridMap.height)) {
+    throw new Error('Unbounded grid map provided to createPathfinder');
+  }
+
+  const config = {
+    layer: options.layer || GRID_LAYER_TYPE.COLLISION,
+    costs: options.costs || null,
+    defaultCost: options.defaultCost !== undefined ? options.defaultCost : Infinity,
+    emptyCost: options.emptyCost !== undefined ? options.emptyCost : 1,
+    movement: options.movement || MOVEMENT_MODE.FOUR_WAY,
+    diagonalRule: options.diagonalRule || DIAGONAL_RULE.NO_OBSTACLES,
+    cacheSize: options.cacheSize || 64
+  };
+
+  if (!Object.values(MOVEMENT_MODE).includes(config.movement)) {
+    throw new Error(`Invalid movement mode: ${config.movement}`);
+  }
+
+  if (!Object.values(DIAGONAL_RULE).includes(config.diagonalRule)) {
+    throw new Error(`Invalid diagonal rule: ${config.diagonalRule}`);
+  }
+
+  const layer = gridMap.getLayer(config.layer);
+  const baseDistance = config.movement === MOVEMENT_MODE.EIGHT_WAY ? octileDistance : manhattanDistance;
+
+  // Scale the distance by the cheapest step so cells costing less than 1 keep A* optimal
+  const minimumStepCost = getMinimumStepCost(config);
+  const heuristic = (dx, dy) => baseDistance(dx, dy) * minimumStepCost;
+
+  // Cached results, in least-recently-used order (oldest first)
+  const pathCache = new Map();
+  const flowFieldCache = new Map();
+  const stats = { hits: 0, misses: 0, invalidations: 0 };
+
+  /**
+   * Clears all cached paths and flow fields
+   *
+   * @returns {void}
+   */
+  const invalidate = () => {
+    pathCache.clear();
+    flowFieldCache.clear();
+    stats.invalidations++;
+  };
+
+  // Any change to the walkability layer can open or close routes, so drop everything
+  const unsubscribe = layer.onChange(invalidate);
+
+  /**
+   * Reads a cached value and marks it as recently used
+   *
+   * @param {Map} cache - The cache
+   * @param {string} key - Cache key
+   * @returns {any} The cached value, or undefined on a miss
+   */
+  const readCache = (cache, key) => {
+    if (!cache.has(key)) {
+      stats.misses++;
+      return undefined;
+    }
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    stats.hits++;
+    return value;
+  };
+
+  /**
+   * Stores a value, evicting the least recently used entry when full
+   *
+   * @param {Map} cache - The cache
+   * @param {string} key - Cache key
+   * @param {any} value - Value to store
+   * @returns {void}
+   */
+  const writeCache = (cache, key, value) => {
+    cache.set(key, value);
+    if (cache.size > config.cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  /**
+   * Checks whether a cell lies inside the map
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the cell is inside the map
+   */
+  const isInBounds = (x, y) => x >= 0 && y >= 0 && x < gridMap.width && y < gridMap.height;
+
+  /**
+   * Gets the cost of entering a cell
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Movement cost (Infinity for blocked or out-of-bounds cells)
+   */
+  const getCost = (x, y) => {
+    if (!isInBounds(x, y)) {
+      return Infinity;
+    }
+
+    const emoji = getTileEmoji(layer.getCell(x, y));
+    if (!emoji) {
+      return config.emptyCost;
+    }
+
+    if (config.costs && config.costs[emoji] !== undefined) {
+      return config.costs[emoji];
+    }
+
+    return config.defaultCost;
+  };
+
+  /**
+   * Checks whether a cell can be entered
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the cell is walkable
+   */
+  const isWalkable = (x, y) => getCost(x, y) !== Infinity;
+
+  /**
+   * Gets the cells reachable in one step from a cell, with their step costs
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<Object>} Array of { x, y, cost }
+   */
+  const getNeighbors = (x, y) => {
+    const neighbors = [];
+
+    FOUR_WAY_STEPS.forEach(({ dx, dy }) => {
+      const cost = getCost(x + dx, y + dy);
+      if (cost !== Infinity) {
+        neighbors.push({ x: x + dx, y: y + dy, cost });
+      }
+    });
+
+    if (config.movement === MOVEMENT_MODE.EIGHT_WAY) {
+      DIAGONAL_STEPS.forEach(({ dx, dy }) => {
+        const cost = getCost(x + dx, y + dy);
+        if (cost === Infinity) {
+          return;
+        }
+
+        const blockedCorners = (isWalkable(x + dx, y) ? 0 : 1) + (isWalkable(x, y + dy) ? 0 : 1);
+        const allowed = config.diagonalRule === DIAGONAL_RULE.ALWAYS ||
+          (config.diagonalRule === DIAGONAL_RULE.AT_MOST_ONE_OBSTACLE && blockedCorners <= 1) ||
+          blockedCorners === 0;
+
+        if (allowed) {
+          neighbors.push({ x: x + dx, y: y + dy, cost: cost * Math.SQRT2 });
+        }
+      });
+    }
+
+    return neighbors;
+  };
+
+  /**
+   * Converts coordinates into a numeric cell index
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Cell index
+   */
+  const toIndex = (x, y) => (y * gridMap.width) + x;
+
+  /**
+   * Finds the cheapest path between two cells using A*
+   *
+   * @param {Object} start - Start cell with x and y
+   * @param {Object} goal - Goal cell with x and y
+   * @returns {Array<Object>|null} Cells from start to goal (inclusive), or null if unreachable.
+   *   The returned array is shared with the cache and must not be modified.
+   */
+  const findPath = (start, goal) => {
+    const key = `${start.x},${start.y}>${goal.x},${goal.y}`;
+    const cached = readCache(pathCache, key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    let path = null;
+
+    if (isInBounds(start.x, start.y) && isWalkable(goal.x, goal.y)) {
+      const open = createPriorityQueue();
+      const cameFrom = new Map();
+      const costSoFar = new Map();
+      const startIndex = toIndex(start.x, start.y);
+      const goalIndex = toIndex(goal.x, goal.y);
+
+      open.push({ x: start.x, y: start.y, index: startIndex }, 0);
+      costSoFar.set(startIndex, 0);
+
+      while (open.size() > 0) {
+        const current = open.pop();
+
+        if (current.index === goalIndex) {
+          // Walk back from the goal to rebuild the path
+          path = [];
+          let index = goalIndex;
+          while (index !== undefined) {
+            path.unshift({ x: index % gridMap.width, y: Math.floor(index / gridMap.width) });
+            index = cameFrom.get(index);
+          }
+          break;
+        }
+
+        getNeighbors(current.x, current.y).forEach(neighbor => {
+          const index = toIndex(neighbor.x, neighbor.y);
+          const newCost = costSoFar.get(current.index) + neighbor.cost;
+
+          if (!costSoFar.has(index) || newCost < costSoFar.get(index)) {
+            costSoFar.set(index, newCost);
+            cameFrom.set(index, current.index);
+            const estimate = heuristic(Math.abs(goal.x - neighbor.x), Math.abs(goal.y - neighbor.y));
+            open.push({ x: neighbor.x, y: neighbor.y, index }, newCost + estimate);
+          }
+        });
+      }
+    }
+
+    writeCache(pathCache, key, path);
+    return path;
+  };
+
+  /**
+   * Builds a Dijkstra flow field towards one or more goals. Every reachable cell
+   * stores its distance to the nearest goal and the step to take from it, which
+   * lets many agents share one search.
+   *
+   * @param {Object|Array<Object>} goals - Goal cell or array of goal cells with x and y
+   * @returns {Object} Flow field with getDistance, getDirection and getNextStep
+   */
+  const createFlowField = (goals) => {
+    const goalList = Array.isArray(goals) ? goals : [goals];
+    const key = goalList.map(goal => `${goal.x},${goal.y}`).sort().join(';');
+    const cached = readCache(flowFieldCache, key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const width = gridMap.width;
+    const height = gridMap.height;
+    const distances = new Float64Array(width * height).fill(Infinity);
+    const open = createPriorityQueue();
+
+    goalList.forEach(goal => {
+      if (isWalkable(goal.x, goal.y)) {
+        distances[toIndex(goal.x, goal.y)] = 0;
+        open.push({ x: goal.x, y: goal.y }, 0);
+      }
+    });
+
+    // Expand outwards from the goals. Step costs are symmetric except for the
+    // destination cell, so the cost of moving from a neighbour into the current
+    // cell is the cost of the current cell.
+    while (open.size() > 0) {
+      const current = open.pop();
+      const currentDistance = distances[toIndex(current.x, current.y)];
+      const enterCost = getCost(current.x, current.y);
+
+      getNeighbors(current.x, current.y).forEach(neighbor => {
+        const isDiagonal = neighbor.x !== current.x && neighbor.y !== current.y;
+        const stepCost = isDiagonal ? enterCost * Math.SQRT2 : enterCost;
+        const index = toIndex(neighbor.x, neighbor.y);
+        const newDistance = currentDistance + stepCost;
+
+        if (newDistance < distances[index]) {
+          distances[index] = newDistance;
+          open.push({ x: neighbor.x, y: neighbor.y }, newDistance);
+        }
+      });
+    }
+
+    /**
+     * Gets the distance from a cell to the nearest goal
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Distance (Infinity if unreachable)
+     */
+    const getDistance = (x, y) => (
+      x >= 0 && y >= 0 && x < width && y < height ? distances[(y * width) + x] : Infinity
+    );
+
+    /**
+     * Gets the step to take from a cell towards the nearest goal: the neighbour with
+     * the lowest cost of entering it plus its distance to the goal
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} Object with dx and dy, or null at a goal or unreachable cell
+     */
+    const getDirection = (x, y) => {
+      const distance = getDistance(x, y);
+      if (distance === 0 || distance === Infinity) {
+        return null;
+      }
+
+      // Neighbour costs already include the diagonal factor, matching the Dijkstra pass
+      let best = null;
+      let bestTotal = Infinity;
+      getNeighbors(x, y).forEach(neighbor => {
+        const total = neighbor.cost + getDistance(neighbor.x, neighbor.y);
+        if (total < bestTotal) {
+          bestTotal = total;
+          best = { dx: neighbor.x - x, dy: neighbor.y - y };
+        }
+      });
+      return best;
+    };
+
+    /**
+     * Gets the next cell to move to from a cell
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} Object with x and y, or null at a goal or unreachable cell
+     */
+    const getNextStep = (x, y) => {
+      const direction = getDirection(x, y);
+      return direction ? { x: x + direction.dx, y: y + direction.dy } : null;
+    };
+
+    const flowField = {
+      goals: goalList.map(goal => ({ x: goal.x, y: goal.y })),
+      getDistance,
+      getDirection,
+      getNextStep
+    };
+
+    writeCache(flowFieldCache, key, flowField);
+    return flowField;
+  };
+
+  /**
+   * Gets cache statistics
+   *
+   * @returns {Object} Object with hits, misses, invalidations, paths and flowFields
+   */
+  const getCacheStats = () => ({
+    ...stats,
+    paths: pathCache.size,
+    flowFields: flowFieldCache.size
+  });
+
+  /**
+   * Stops listening for layer changes
+   *
+   * @returns {void}
+   */
+  const destroy = () => {
+    unsubscribe();
+    invalidate();
+  };
+
+  // Return the public API
+  return {
+    getCost,
+    isWalkable,
+    getNeighbors,
+    findPath,
+    createFlowField,
+    invalidate,
+    getCacheStats,
+    destroy
+  };
+};
@@ -0,0 +1,405 @@
+/**
+ * visibility.js
+ *
+ * A module for field-of-view and fog-of-war on grid maps created with createGridMap.
+ * Sight is blocked by cells of a map layer (the collision layer by default) and
+ * computed with recursive shadowcasting. Cells that have been seen once stay
+ * explored, so renderers can show remembered terrain.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import { GRID_LAYER_TYPE, getTileEmoji } from '../graphics/emojiGrid.js';
+
+/**
+ * Enum for cell visibility states
+ * @readonly
+ * @enum {string}
+ */
+export const VISIBILITY_STATE = {
+  UNEXPLORED: 'unexplored',
+  EXPLORED: 'explored',
+  VISIBLE: 'visible'
+};
+
+// Octant transforms for shadowcasting: [xx, xy, yx, yy] per octant
+const OCTANTS = [
+  [1, 0, 0, 1], [0, 1, 1, 0], [0, -1, 1, 0], [-1, 0, 0, 1],
+  [-1, 0, 0, -1], [0, -1, -1, 0], [0, 1, -1, 0], [1, 0, 0, -1]
+];
+
+/**
+ * Computes the cells visible from a point using recursive shadowcasting.
+ * This is a pure function over an opacity callback.
+ *
+ * @param {Function} isOpaque - Called with (x, y); returns true if the cell blocks sight
+ * @param {number} originX - Viewer X coordinate
+ * @param {number} originY - Viewer Y coordinate
+ * @param {number} radius - Sight radius in cells
+ * @param {Function} markVisible - Called with (x, y) for every visible cell
+ * @returns {void}
+ */
+export const computeFieldOfView = (isOpaque, originX, originY, radius, markVisible) => {
+  const radiusSquared = radius * radius;
+
+  /**
+   * Scans one octant row by row, recursing around obstacles
+   *
+   * @param {number} row - Distance from the origin
+   * @param {number} startSlope - Slope where the lit area starts
+   * @param {number} endSlope - Slope where the lit area ends
+   * @param {Array<number>} transform - Octant transform
+   * @returns {void}
+   */
+  const castLight = (row, startSlope, endSlope, transform) => {
+    if (startSlope < endSlope) {
+      return;
+    }
+
+    const [xx, xy, yx, yy] = transform;
+    let start = startSlope;
+    let nextStart = startSlope;
+
+    for (let distance = row; distance <= radius; distance++) {
+      let blocked = false;
+
+      for (let dx = -distance; dx <= 0; dx++) {
+        const dy = -distance;
+        const leftSlope = (dx - 0.5) / (dy + 0.5);
+        const rightSlope = (dx + 0.5) / (dy - 0.5);
+
+        if (start < rightSlope) {
+          continue;
+        }
+        if (endSlope > leftSlope) {
+          break;
+        }
+
+        const x = originX + (dx * xx) + (dy * xy);
+        const y = originY + (dx * yx) + (dy * yy);
+
+        if ((dx * dx) + (dy * dy) <= radiusSquared) {
+          markVisible(x, y);
+        }
+
+        const opaque = isOpaque(x, y);
+        if (blocked) {
+          if (opaque) {
+            nextStart = rightSlope;
+          } else {
+            blocked = false;
+            start = nextStart;
+          }
+        } else if (opaque && distance < radius) {
+          blocked = true;
+          castLight(distance + 1, start, leftSlope, transform);
+          nextStart = rightSlope;
+        }
+      }
+
+      if (blocked) {
+        break;
+      }
+    }
+  };
+
+  markVisible(originX, originY);
+  OCTANTS.forEach(transform => castLight(1, 1.0, 0.0, transform));
+};
+
+/**
+ * Run-length encodes a flag array as alternating run lengths, starting with unset cells
+ *
+ * @param {Uint8Array} flags - Flag array
+ * @returns {Array<number>} Run lengths
+ */
+const encodeRuns = (flags) => {
+  const runs = [];
+  let current = 0;
+  let length = 0;
+
+  flags.forEach(flag => {
+    const value = flag ? 1 : 0;
+    if (value === current) {
+      length++;
+    } else {
+      runs.push(length);
+      current = value;
+      length = 1;
+    }
+  });
+
+  runs.push(length);
+  return runs;
+};
+
+/**
+ * Decodes run lengths produced by encodeRuns into a flag array
+ *
+ * @param {Array<number>} runs - Run lengths
+ * @param {number} size - Number of cells
+ * @returns {Uint8Array} Flag array
+ */
+const decodeRuns = (runs, size) => {
+  const flags = new Uint8Array(size);
+  let index = 0;
+
+  runs.forEach((length, runIndex) => {
+    const value = runIndex % 2;
+    for (let i = 0; i < length && index < size; i++) {
+      flags[index++] = value;
+    }
+  });
+
+  return flags;
+};
+
+/**
+ * Creates a visibility map that tracks which cells of a grid map a viewer can
+ * currently see and which cells have been explored.
+ *
+ * Attach it to the grid map with gridMap.setVisibilityMap so that visibility and
+ * explored state are included in the map's exportData/importData.
+ *
+ * State is stored in one flag per cell, so only bounded maps are supported. For
+ * chunked maps call computeFieldOfView directly with the map's own storage.
+ *
+ * @param {Object} gridMap - A grid map created with createGridMap
+ * @param {Object} options - Visibility options
+ * @param {string} options.layer - Layer whose cells block sight (default: GRID_LAYER_TYPE.COLLISION)
+ * @param {Array<string>} options.transparent - Emojis on that layer that do not block sight,
+ *   e.g. ['🪟', '🌊'] (default: none)
+ * @param {number} options.radius - Default sight radius in cells (default: 8)
+ * @returns {Object} A visibility map object
+ */
+export const createVisibilityMap = (gridMap, options = {}) => {
+  // Validate input
+  if (!gridMap || typeof gridMap.getLayer !== 'function') {
+    throw new Error('Invalid grid map provided to createVisibilityMap');
+  }
+  if (gridMap.chunked || !Number.isFinite(gridMap.width) || !Number.isFinite(gridMap.height)) {
+    throw new Error('Unbounded grid map provided to createVisibilityMap; use computeFieldOfView for chunked maps');
+  }
+
+  const config = {
+    layer: options.layer || GRID_LAYER_TYPE.COLLISION,
+    transparent: new Set(options.transparent || []),
+    radius: options.radius !== undefined ? options.radius : 8
+  };
+
+  const layer = gridMap.getLayer(config.layer);
+
+  let width = gridMap.width;
+  let height = gridMap.height;
+  let visible = new Uint8Array(width * height);
+  let explored = new Uint8Array(width * height);
+
+  /**
+   * Resizes the state arrays, keeping overlapping cells
+   *
+   * @param {number} newWidth - New width
+   * @param {number} newHeight - New height
+   * @returns {void}
+   */
+  const resizeState = (newWidth, newHeight) => {
+    const newVisible = new Uint8Array(newWidth * newHeight);
+    const newExplored = new Uint8Array(newWidth * newHeight);
+
+    for (let y = 0; y < Math.min(height, newHeight); y++) {
+      for (let x = 0; x < Math.min(width, newWidth); x++) {
+        newVisible[(y * newWidth) + x] = visible[(y * width) + x];
+        newExplored[(y * newWidth) + x] = explored[(y * width) + x];
+      }
+    }
+
+    width = newWidth;
+    height = newHeight;
+    visible = newVisible;
+    explored = newExplored;
+  };
+
+  const unsubscribe = layer.onChange(event => {
+    if (event.type === 'resize') {
+      resizeState(event.width, event.height);
+    }
+  });
+
+  /**
+   * Checks whether a cell lies inside the map
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the cell is inside the map
+   */
+  const isInBounds = (x, y) => x >= 0 && y >= 0 && x < width && y < height;
+
+  /**
+   * Checks whether a cell blocks sight
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the cell blocks sight
+   */
+  const isOpaque = (x, y) => {
+    if (!isInBounds(x, y)) {
+      return true;
+    }
+    const emoji = getTileEmoji(layer.getCell(x, y));
+    return Boolean(emoji) && !config.transparent.has(emoji);
+  };
+
+  /**
+   * Recomputes visibility for one or more viewers. Cells seen by any viewer become
+   * visible and explored; all other cells stop being visible.
+   *
+   * @param {Object|Array<Object>} viewers - Viewer or array of viewers with x, y and optional radius
+   * @returns {number} Number of visible cells
+   */
+  const update = (viewers) => {
+    const viewerList = Array.isArray(viewers) ? viewers : [viewers];
+    visible.fill(0);
+    let count = 0;
+
+    const markVisible = (x, y) => {
+      if (isInBounds(x, y)) {
+        const index = (y * width) + x;
+        if (!visible[index]) {
+          visible[index] = 1;
+          explored[index] = 1;
+          count++;
+        }
+      }
+    };
+
+    viewerList.forEach(viewer => {
+      const radius = viewer.radius !== undefined ? viewer.radius : config.radius;
+      computeFieldOfView(isOpaque, viewer.x, viewer.y, radius, markVisible);
+    });
+
+    return count;
+  };
+
+  /**
+   * Checks whether a cell is currently visible
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the cell is visible
+   */
+  const isVisible = (x, y) => isInBounds(x, y) && visible[(y * width) + x] === 1;
+
+  /**
+   * Checks whether a cell has ever been seen
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if the cell is explored
+   */
+  const isExplored = (x, y) => isInBounds(x, y) && explored[(y * width) + x] === 1;
+
+  /**
+   * Gets the visibility state of a cell
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {string} State from VISIBILITY_STATE
+   */
+  const getState = (x, y) => {
+    if (isVisible(x, y)) {
+      return VISIBILITY_STATE.VISIBLE;
+    }
+    return isExplored(x, y) ? VISIBILITY_STATE.EXPLORED : VISIBILITY_STATE.UNEXPLORED;
+  };
+
+  /**
+   * Marks a rectangular area as explored (for example when reading a map scroll)
+   *
+   * @param {number} startX - Starting X coordinate
+   * @param {number} startY - Starting Y coordinate
+   * @param {number} endX - Ending X coordinate
+   * @param {number} endY - Ending Y coordinate
+   * @returns {void}
+   */
+  const reveal = (startX, startY, endX, endY) => {
+    const minX = Math.max(0, Math.min(startX, endX));
+    const maxX = Math.min(width - 1, Math.max(startX, endX));
+    const minY = Math.max(0, Math.min(startY, endY));
+    const maxY = Math.min(height - 1, Math.max(startY, endY));
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        explored[(y * width) + x] = 1;
+      }
+    }
+  };
+
+  /**
+   * Forgets all visible and explored cells
+   *
+   * @returns {void}
+   */
+  const reset = () => {
+    visible.fill(0);
+    explored.fill(0);
+  };
+
+  /**
+   * Exports visibility and explored state as a serializable object
+   *
+   * @returns {Object} Object with width, height and run-length encoded visible and explored flags
+   */
+  const exportData = () => ({
+    width,
+    height,
+    visible: encodeRuns(visible),
+    explored: encodeRuns(explored)
+  });
+
+  /**
+   * Imports visibility and explored state
+   *
+   * @param {Object} data - Data produced by exportData
+   * @returns {boolean} True if the import was successful
+   */
+  const importData = (data) => {
+    if (!data || !data.width || !data.height || !Array.isArray(data.explored)) {
+      return false;
+    }
+
+    width = data.width;
+    height = data.height;
+    explored = decodeRuns(data.explored, width * height);
+    visible = Array.isArray(data.visible)
+      ? decodeRuns(data.visible, width * height)
+      : new Uint8Array(width * height);
+
+    // Follow the map if it has been resized since the data was exported
+    if (width !== gridMap.width || height !== gridMap.height) {
+      resizeState(gridMap.width, gridMap.height);
+    }
+
+    return true;
+  };
+
+  /**
+   * Stops listening for map changes
+   *
+   * @returns {void}
+   */
+  const destroy = () => {
+    unsubscribe();
+  };
+
+  // Return the public API
+  return {
+    update,
+    isOpaque,
+    isVisible,
+    isExplored,
+    getState,
+    reveal,
+    reset,
+    exportData,
+    importData,
+    destroy
+  };
+};
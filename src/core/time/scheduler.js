@@ -0,0 +1,467 @@
+/**
+ * scheduler.js
+ *
+ * A central scheduler for game logic and animations. Time comes from an injectable
+ * clock, so loops can be driven by the browser or stepped manually in tests. Game
+ * logic runs in fixed-size update steps, rendering runs once per frame, and game
+ * time can be slowed down, sped up or paused globally.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+/**
+ * Creates a clock that reads the system time
+ *
+ * @returns {Object} Clock object with a now function returning milliseconds
+ */
+export const createSystemClock = () => ({
+  now: () => (typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now())
+});
+
+/**
+ * Creates a clock that only moves when told to, for deterministic tests
+ *
+ * @param {number} startTime - Initial time in milliseconds (default: 0)
+ * @returns {Object} Clock object with now, advance and set functions
+ */
+export const createManualClock = (startTime = 0) => {
+  let time = startTime;
+
+  return {
+    /**
+     * Gets the current time
+     *
+     * @returns {number} Time in milliseconds
+     */
+    now: () => time,
+
+    /**
+     * Moves the clock forward
+     *
+     * @param {number} ms - Milliseconds to advance
+     * @returns {number} The new time
+     */
+    advance: (ms) => {
+      time += Math.max(0, ms);
+      return time;
+    },
+
+    /**
+     * Sets the clock to a time
+     *
+     * @param {number} ms - Time in milliseconds
+     * @returns {void}
+     */
+    set: (ms) => {
+      time = ms;
+    }
+  };
+};
+
+/**
+ * Creates a scheduler.
+ *
+ * Update callbacks receive (step, time) and run in fixed steps of game time. Frame
+ * callbacks receive { delta, time, alpha, steps } once per frame, where delta is the
+ * game time since the last frame and alpha is the fraction of a step left over,
+ * useful for interpolating between updates. Game time stops while paused and
+ * moves at timeScale times real time.
+ *
+ * A started scheduler stops requesting frames once it has no update callbacks,
+ * frame callbacks or timers left, and starts again when one is added, so an idle
+ * scheduler does not keep a browser tab or a Node process busy.
+ *
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.clock - Clock with a now function (default: createSystemClock())
+ * @param {number} options.fixedStep - Length of an update step in milliseconds (default: 1000 / 60)
+ * @param {number} options.maxSubSteps - Maximum update steps per frame; extra time is dropped so a
+ *   slow frame cannot cause a spiral of catch-up steps (default: 5)
+ * @param {number} options.maxFrameDelta - Longest real time counted for one frame, for example after
+ *   the tab was in the background (default: 250)
+ * @param {number} options.timeScale - Game time speed; 0.5 is slow motion (default: 1)
+ * @param {boolean} options.manual - Never request frames; the owner calls tick, step or advance
+ *   (default: false)
+ * @param {Function} options.requestFrame - Frame request function (default: requestAnimationFrame,
+ *   or a 16 ms timeout where it is unavailable)
+ * @param {Function} options.cancelFrame - Cancels a frame request (default: matches requestFrame)
+ * @returns {Object} A scheduler object
+ */
+export const createScheduler = (options = {}) => {
+  const hasAnimationFrame = typeof requestAnimationFrame === 'function';
+
+  const config = {
+    clock: options.clock || createSystemClock(),
+    fixedStep: options.fixedStep !== undefined ? options.fixedStep : 1000 / 60,
+    maxSubSteps: options.maxSubSteps !== undefined ? options.maxSubSteps : 5,
+    maxFrameDelta: options.maxFrameDelta !== undefined ? options.maxFrameDelta : 250,
+    manual: options.manual !== undefined ? options.manual : false,
+    requestFrame: options.requestFrame ||
+      (hasAnimationFrame ? requestAnimationFrame : (callback) => setTimeout(callback, 16)),
+    cancelFrame: options.cancelFrame ||
+      (options.requestFrame ? () => {} : (hasAnimationFrame ? cancelAnimationFrame : clearTimeout))
+  };
+
+  // Validate input
+  if (!(config.fixedStep > 0)) {
+    throw new Error('Fixed step must be a positive number');
+  }
+
+  let timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+  let paused = false;
+  let running = false;
+  let frameId = null;
+
+  // True from start until stop; the frame loop only runs while there is work
+  let started = false;
+
+  // Game time, time consumed by update steps, and the clock reading of the last frame
+  let time = 0;
+  let accumulator = 0;
+  let lastNow = null;
+  let frameCount = 0;
+
+  // Callbacks
+  const updateCallbacks = new Set();
+  const frameCallbacks = new Set();
+
+  // Timers in game time: { id, due, interval, callback }
+  const timers = new Map();
+  let timerCount = 0;
+
+  /**
+   * Runs the timers that are due
+   *
+   * @returns {void}
+   */
+  const runTimers = () => {
+    timers.forEach(timer => {
+      while (timers.has(timer.id) && timer.due <= time) {
+        if (timer.interval > 0) {
+          timer.due += timer.interval;
+        } else {
+          timers.delete(timer.id);
+        }
+        timer.callback(time);
+      }
+    });
+  };
+
+  /**
+   * Advances game time, runs the update steps that fit and the frame callbacks
+   *
+   * @param {number} delta - Game time to add in milliseconds
+   * @param {number} forcedSteps - Update steps to run regardless of accumulated time
+   * @returns {number} Number of update steps run
+   */
+  const advanceTime = (delta, forcedSteps = 0) => {
+    time += delta;
+    accumulator += delta;
+
+    let steps = 0;
+    while ((accumulator >= config.fixedStep && steps < config.maxSubSteps) || steps < forcedSteps) {
+      accumulator = Math.max(0, accumulator - config.fixedStep);
+      updateCallbacks.forEach(callback => callback(config.fixedStep, time - accumulator));
+      steps++;
+    }
+
+    // Drop the backlog rather than falling further behind
+    if (accumulator >= config.fixedStep) {
+      accumulator = config.fixedStep - 1e-6;
+    }
+
+    runTimers();
+
+    frameCount++;
+    const frame = { delta, time, alpha: accumulator / config.fixedStep, steps };
+    frameCallbacks.forEach(callback => callback(frame));
+    return steps;
+  };
+
+  /**
+   * Processes one frame using the clock
+   *
+   * @param {number} now - Clock reading (default: clock.now())
+   * @returns {number} Number of update steps run
+   */
+  const tick = (now = config.clock.now()) => {
+    const realDelta = lastNow === null ? 0 : Math.min(Math.max(0, now - lastNow), config.maxFrameDelta);
+    lastNow = now;
+    return advanceTime(paused ? 0 : realDelta * timeScale);
+  };
+
+  /**
+   * Checks whether anything is waiting for frames
+   *
+   * @returns {boolean} True if there are callbacks or timers
+   */
+  const hasWork = () => updateCallbacks.size > 0 || frameCallbacks.size > 0 || timers.size > 0;
+
+  /**
+   * Requests the next frame while running, and stops the loop when there is no work left
+   *
+   * @returns {void}
+   */
+  const scheduleFrame = () => {
+    frameId = config.requestFrame(() => {
+      frameId = null;
+      if (running) {
+        tick();
+        if (hasWork()) {
+          scheduleFrame();
+        } else {
+          running = false;
+        }
+      }
+    });
+  };
+
+  /**
+   * Runs the frame loop if the scheduler is started but the loop is not running
+   *
+   * @returns {void}
+   */
+  const resumeLoop = () => {
+    if (!started || running) {
+      return;
+    }
+
+    running = true;
+    lastNow = config.clock.now();
+    if (!config.manual) {
+      scheduleFrame();
+    }
+  };
+
+  /**
+   * Starts the frame loop. Manual schedulers only record that they are running.
+   *
+   * @returns {void}
+   */
+  const start = () => {
+    started = true;
+    resumeLoop();
+  };
+
+  /**
+   * Stops the frame loop
+   *
+   * @returns {void}
+   */
+  const stop = () => {
+    started = false;
+    running = false;
+    if (frameId !== null) {
+      config.cancelFrame(frameId);
+      frameId = null;
+    }
+  };
+
+  /**
+   * Runs update steps immediately, even while paused, then the frame callbacks.
+   * Useful for frame-by-frame debugging and tests.
+   *
+   * @param {number} count - Number of update steps (default: 1)
+   * @returns {number} Number of update steps run
+   */
+  const step = (count = 1) => {
+    return advanceTime(count * config.fixedStep, count);
+  };
+
+  /**
+   * Advances game time by an amount, running the update steps that fit, then the
+   * frame callbacks. The clock is not read.
+   *
+   * @param {number} ms - Game time in milliseconds
+   * @returns {number} Number of update steps run
+   */
+  const advance = (ms) => {
+    const steps = Math.floor((accumulator + ms) / config.fixedStep);
+    return advanceTime(ms, steps);
+  };
+
+  /**
+   * Registers a callback
+   *
+   * @param {Set<Function>} callbacks - Callback set
+   * @param {Function} callback - The callback
+   * @returns {Function} Function that removes the callback
+   */
+  const addCallback = (callbacks, callback) => {
+    if (typeof callback !== 'function') {
+      throw new Error('Invalid callback provided to scheduler');
+    }
+    callbacks.add(callback);
+    resumeLoop();
+    return () => callbacks.delete(callback);
+  };
+
+  /**
+   * Adds a timer in game time
+   *
+   * @param {number} delay - Delay in milliseconds of game time
+   * @param {Function} callback - Called with the game time when the timer fires
+   * @param {number} interval - Repeat interval, or 0 for a one-shot timer
+   * @returns {Function} Function that cancels the timer
+   */
+  const addTimer = (delay, callback, interval) => {
+    if (typeof callback !== 'function') {
+      throw new Error('Invalid callback provided to scheduler');
+    }
+
+    const id = ++timerCount;
+    timers.set(id, { id, due: time + Math.max(0, delay), interval, callback });
+    resumeLoop();
+    return () => timers.delete(id);
+  };
+
+  // Return the public API
+  return {
+    start,
+    stop,
+    tick,
+    step,
+    advance,
+
+    /**
+     * Registers a fixed-step update callback, called with (step, time)
+     *
+     * @param {Function} callback - Update callback
+     * @returns {Function} Function that removes the callback
+     */
+    onUpdate: (callback) => addCallback(updateCallbacks, callback),
+
+    /**
+     * Registers a frame callback, called with { delta, time, alpha, steps }
+     *
+     * @param {Function} callback - Frame callback
+     * @returns {Function} Function that removes the callback
+     */
+    onFrame: (callback) => addCallback(frameCallbacks, callback),
+
+    /**
+     * Calls a function once after a delay of game time
+     *
+     * @param {number} delay - Delay in milliseconds
+     * @param {Function} callback - The function
+     * @returns {Function} Function that cancels the timer
+     */
+    after: (delay, callback) => addTimer(delay, callback, 0),
+
+    /**
+     * Calls a function repeatedly at an interval of game time
+     *
+     * @param {number} interval - Interval in milliseconds
+     * @param {Function} callback - The function
+     * @returns {Function} Function that cancels the timer
+     */
+    every: (interval, callback) => {
+      if (!(interval > 0)) {
+        throw new Error('Interval must be a positive number');
+      }
+      return addTimer(interval, callback, interval);
+    },
+
+    /**
+     * Gets the current game time
+     *
+     * @returns {number} Game time in milliseconds
+     */
+    getTime: () => time,
+
+    /**
+     * Pauses game time globally; frame callbacks keep running with a delta of 0
+     *
+     * @returns {void}
+     */
+    pause: () => {
+      paused = true;
+    },
+
+    /**
+     * Resumes game time
+     *
+     * @returns {void}
+     */
+    resume: () => {
+      paused = false;
+    },
+
+    /**
+     * Checks whether game time is paused
+     *
+     * @returns {boolean} True if paused
+     */
+    isPaused: () => paused,
+
+    /**
+     * Checks whether the frame loop is running. A started scheduler reports false while
+     * it has no callbacks or timers.
+     *
+     * @returns {boolean} True if running
+     */
+    isRunning: () => running,
+
+    /**
+     * Sets the game time speed
+     *
+     * @param {number} scale - Time scale; 1 is real time, 0.5 slow motion, 2 fast forward
+     * @returns {void}
+     */
+    setTimeScale: (scale) => {
+      if (!(scale >= 0)) {
+        throw new Error('Time scale must be a non-negative number');
+      }
+      timeScale = scale;
+    },
+
+    /**
+     * Gets the game time speed
+     *
+     * @returns {number} Time scale
+     */
+    getTimeScale: () => timeScale,
+
+    /**
+     * Gets the length of an update step
+     *
+     * @returns {number} Step length in milliseconds
+     */
+    getFixedStep: () => config.fixedStep,
+
+    /**
+     * Gets the clock used by this scheduler
+     *
+     * @returns {Object} The clock
+     */
+    getClock: () => config.clock,
+
+    /**
+     * Gets scheduler statistics
+     *
+     * @returns {Object} Object with frames, time, updateCallbacks, frameCallbacks and timers
+     */
+    getStats: () => ({
+      frames: frameCount,
+      time,
+      updateCallbacks: updateCallbacks.size,
+      frameCallbacks: frameCallbacks.size,
+      timers: timers.size
+    })
+  };
+};
+
+// Scheduler shared by animators and game loops that are not given one
+let defaultScheduler = null;
+
+/**
+ * Gets the shared default scheduler, creating it on first use
+ *
+ * @returns {Object} The default scheduler
+ */
+export const getDefaultScheduler = () => {
+  if (!defaultScheduler) {
+    defaultScheduler = createScheduler();
+  }
+  return defaultScheduler;
+};
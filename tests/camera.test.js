@@ -0,0 +1,126 @@
+/**
+ * Tests of the camera: following a target through a dead zone, smoothing that does not
+ * depend on the frame rate, clamping to the map bounds, and zooming around an anchor.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGridMap } from '../src/core/graphics/emojiGrid.js';
+import { CAMERA_SMOOTHING, createCamera } from '../src/core/map/camera.js';
+
+/**
+ * Creates a 40x30 map of 32 pixel cells (1280x960 world pixels) with a camera
+ * on a 320x240 viewport
+ *
+ * @param {Object} options - Extra camera options
+ * @returns {Object} Object with gridMap and camera
+ */
+const createScene = (options = {}) => {
+  const gridMap = createGridMap(40, 30, 32);
+  const camera = createCamera(gridMap, { viewportWidth: 320, viewportHeight: 240, ...options });
+  return { gridMap, camera };
+};
+
+test('the camera only moves once the target leaves the dead zone', () => {
+  const { gridMap, camera } = createScene({ smoothing: CAMERA_SMOOTHING.NONE, deadZone: { width: 64, height: 64 } });
+  const target = { x: 10, y: 10 };
+
+  camera.follow(target, { snap: true });
+  assert.deepEqual(gridMap.getCamera(), { x: 176, y: 216 });
+
+  // Cell 11 is centered on the right edge of the dead zone
+  target.x = 11;
+  camera.update();
+  assert.deepEqual(gridMap.getCamera(), { x: 176, y: 216 });
+
+  // Further out, the camera keeps the target on the edge of the dead zone
+  target.x = 12;
+  camera.update();
+  assert.deepEqual(gridMap.getCamera(), { x: 208, y: 216 });
+
+  target.x = 5;
+  target.y = 12;
+  camera.update();
+  assert.deepEqual(gridMap.getCamera(), { x: 48, y: 248 });
+
+  // The dead zone is measured in screen pixels, so it covers less of the world when zoomed in
+  camera.setZoom(2);
+  camera.update();
+  const { x, y } = camera.getState();
+  assert.deepEqual({ x, y }, { x: 112, y: 324 });
+  assert.equal(gridMap.getZoom(), 2);
+
+  camera.stopFollowing();
+  target.x = 30;
+  camera.update();
+  assert.equal(camera.getState().following, false);
+  assert.equal(camera.getState().x, 112);
+});
+
+test('lerp smoothing covers the same distance at any frame rate', () => {
+  const atSixty = createScene({ lerpFactor: 0.5 });
+  const atThirty = createScene({ lerpFactor: 0.5 });
+
+  [atSixty, atThirty].forEach(({ camera }) => camera.follow({ x: 20, y: 15 }));
+
+  atSixty.camera.update(1 / 60);
+  assert.deepEqual(atSixty.gridMap.getCamera(), { x: 248, y: 188 });
+
+  atSixty.camera.update(1 / 60);
+  atThirty.camera.update(1 / 30);
+  const sixty = atSixty.camera.getState();
+  const thirty = atThirty.camera.getState();
+  assert.ok(Math.abs(sixty.x - thirty.x) < 1e-9 && Math.abs(sixty.y - thirty.y) < 1e-9);
+  assert.deepEqual({ x: sixty.x, y: sixty.y }, { x: 372, y: 282 });
+});
+
+test('the view stays inside the map bounds and centers maps smaller than the view', () => {
+  const { gridMap, camera } = createScene();
+
+  camera.centerOn(0, 0);
+  assert.deepEqual(gridMap.getCamera(), { x: 0, y: 0 });
+
+  camera.centerOn(39, 29);
+  assert.deepEqual(gridMap.getCamera(), { x: 960, y: 720 });
+
+  camera.setPosition(-500, 2000);
+  assert.deepEqual(gridMap.getCamera(), { x: 0, y: 720 });
+
+  // Zooming out until the map is smaller than the view centers it
+  camera.setZoom(0.25);
+  assert.deepEqual(gridMap.getCamera(), { x: 0, y: 0 });
+  camera.setZoom(0.2);
+  assert.deepEqual(gridMap.getCamera(), { x: -160, y: -120 });
+
+  // Explicit bounds replace the map's, and clamping can be turned off
+  const bounded = createScene({ bounds: { minX: 10, minY: 10, maxX: 29, maxY: 19 } });
+  bounded.camera.centerOn(0, 0);
+  assert.deepEqual(bounded.gridMap.getCamera(), { x: 320, y: 320 });
+
+  const free = createScene({ clampToBounds: false });
+  free.camera.centerOn(0, 0);
+  assert.deepEqual(free.gridMap.getCamera(), { x: -144, y: -104 });
+});
+
+test('zooming keeps the anchored point in place and steps through the zoom levels', () => {
+  const { gridMap, camera } = createScene({ zoomLevels: [4, 0.5, 1, 2] });
+  camera.setPosition(100, 100);
+
+  const anchor = gridMap.gridToScreen(7, 5);
+  assert.equal(camera.zoomIn(anchor), 2);
+  assert.deepEqual(gridMap.gridToScreen(7, 5), anchor);
+  assert.deepEqual(gridMap.getCamera(), { x: 170, y: 138 });
+
+  // Without an anchor the viewport center stays in place
+  assert.equal(camera.zoomIn(), 4);
+  assert.deepEqual(gridMap.getCamera(), { x: 210, y: 168 });
+  assert.equal(camera.zoomIn(), 4);
+
+  assert.equal(camera.zoomOut(), 2);
+  assert.equal(camera.zoomOut(), 1);
+  assert.equal(camera.zoomOut(), 0.5);
+  assert.equal(camera.zoomOut(), 0.5);
+  assert.equal(camera.getZoom(), 0.5);
+
+  assert.throws(() => camera.setZoom(0), /Zoom must be a positive number/);
+});
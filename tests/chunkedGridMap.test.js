@@ -0,0 +1,110 @@
+/**
+ * Tests of chunked grid maps: chunks are streamed in and out through the loader and
+ * unloader around a prepared region, and cells written while an asynchronous load is
+ * pending survive the loaded data.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GRID_LAYER_TYPE } from '../src/core/graphics/emojiGrid.js';
+import { createChunkedGridMap } from '../src/core/map/chunkedGridMap.js';
+
+const BACKGROUND = GRID_LAYER_TYPE.BACKGROUND;
+
+test('prepareRegion loads nearby chunks and hands dirty chunks to the unloader', () => {
+  const loaded = [];
+  const unloaded = [];
+  const map = createChunkedGridMap(32, {
+    chunkSize: 4,
+    preloadMargin: 0,
+    unloadMargin: 0,
+    loader: (chunkX, chunkY) => {
+      loaded.push([chunkX, chunkY]);
+      return chunkX === -1 ? { [BACKGROUND]: [['🌳']] } : null;
+    },
+    unloader: (chunkX, chunkY, data, dirty) => unloaded.push({ chunkX, chunkY, data, dirty })
+  });
+
+  map.prepareRegion(-4, 0, 3, 3);
+  assert.deepEqual(loaded, [[-1, 0], [0, 0]]);
+  assert.equal(map.layers[BACKGROUND].getCell(-4, 0), '🌳');
+  assert.equal(map.layers[BACKGROUND].getCell(-3, 0), '⬜');
+
+  map.layers[BACKGROUND].setCell(1, 1, '🪨');
+  map.prepareRegion(8, 0, 11, 3);
+
+  assert.equal(map.isChunkLoaded(0, 0), false);
+  assert.equal(map.isChunkLoaded(2, 0), true);
+  assert.deepEqual(unloaded.map(({ chunkX, dirty }) => [chunkX, dirty]), [[-1, false], [0, true]]);
+  assert.equal(unloaded[1].data[BACKGROUND][1][1], '🪨');
+
+  // Reading an unloaded chunk returns defaults without loading it
+  assert.equal(map.layers[BACKGROUND].getCell(1, 1), '⬜');
+  assert.equal(map.isChunkLoaded(0, 0), false);
+});
+
+test('cells written while an asynchronous load is pending are kept on top of the loaded data', async () => {
+  let resolveLoad;
+  const map = createChunkedGridMap(32, {
+    chunkSize: 2,
+    loader: () => new Promise(resolve => {
+      resolveLoad = resolve;
+    })
+  });
+  const layer = map.layers[BACKGROUND];
+
+  map.loadChunk(0, 0);
+  assert.deepEqual(map.getLoadedChunks(), [{ chunkX: 0, chunkY: 0, dirty: false, loading: true }]);
+
+  layer.setCell(1, 0, '🔥');
+  resolveLoad({ [BACKGROUND]: [['🌳', '🌳'], ['🌊', '🌊']] });
+  await Promise.resolve();
+
+  assert.equal(layer.getCell(0, 0), '🌳');
+  assert.equal(layer.getCell(1, 0), '🔥');
+  assert.equal(layer.getCell(0, 1), '🌊');
+  assert.equal(map.getLoadedChunks()[0].loading, false);
+
+  // Later writes go straight to the loaded cells
+  layer.setCell(0, 0, '🪨');
+  assert.equal(layer.getCell(0, 0), '🪨');
+});
+
+test('clearing a layer while its chunk is loading discards the loaded cells of that layer', async () => {
+  let resolveLoad;
+  const map = createChunkedGridMap(32, {
+    chunkSize: 2,
+    loader: () => new Promise(resolve => {
+      resolveLoad = resolve;
+    })
+  });
+
+  map.loadChunk(0, 0);
+  map.layers[GRID_LAYER_TYPE.SPRITE].clear();
+  resolveLoad({
+    [BACKGROUND]: [['🌳', '🌳'], ['🌳', '🌳']],
+    [GRID_LAYER_TYPE.SPRITE]: [['🧙', ''], ['', '']]
+  });
+  await Promise.resolve();
+
+  assert.equal(map.layers[BACKGROUND].getCell(1, 1), '🌳');
+  assert.equal(map.layers[GRID_LAYER_TYPE.SPRITE].getCell(0, 0), '');
+});
+
+test('data of a chunk unloaded before its load resolves is ignored', async () => {
+  let resolveLoad;
+  const map = createChunkedGridMap(32, {
+    chunkSize: 2,
+    loader: () => new Promise(resolve => {
+      resolveLoad = resolve;
+    })
+  });
+
+  map.loadChunk(0, 0);
+  map.unloadChunk(0, 0);
+  resolveLoad({ [BACKGROUND]: [['🌳', '🌳'], ['🌳', '🌳']] });
+  await Promise.resolve();
+
+  assert.equal(map.isChunkLoaded(0, 0), false);
+  assert.equal(map.layers[BACKGROUND].getCell(0, 0), '⬜');
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests of the command history: undo/redo of grouped steps, nested groups and
+ * transactions, and the step, command and size limits.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommand, createCommandHistory } from '../src/core/history/commandHistory.js';
+import { createGridLayer, createTile, GRID_LAYER_TYPE } from '../src/core/graphics/emojiGrid.js';
+import { createChunkedGridMap } from '../src/core/map/chunkedGridMap.js';
+
+/**
+ * Creates a command that appends to and removes from a log
+ *
+ * @param {Array<string>} log - Shared log
+ * @param {string} value - Value the command appends
+ * @param {number} size - Command size
+ * @returns {Object} Command
+ */
+const createAppend = (log, value, size) => createCommand(`Add ${value}`, () => log.pop(), () => log.push(value), size);
+
+test('grouped commands are undone and redone as one step', () => {
+  const history = createCommandHistory();
+  const log = [];
+
+  history.execute(createAppend(log, 'a'));
+  history.beginGroup('Stroke');
+  history.execute(createAppend(log, 'b'));
+  history.beginGroup('Inner');
+  history.execute(createAppend(log, 'c'));
+  history.endGroup();
+  history.execute(createAppend(log, 'd'));
+  history.endGroup();
+
+  assert.deepEqual(history.getStats(), { undoSteps: 2, redoSteps: 0, commands: 4, size: 4 });
+  assert.equal(history.getUndoLabel(), 'Stroke');
+
+  assert.equal(history.undo(), true);
+  assert.deepEqual(log, ['a']);
+  assert.equal(history.getRedoLabel(), 'Stroke');
+
+  assert.equal(history.redo(), true);
+  assert.deepEqual(log, ['a', 'b', 'c', 'd']);
+
+  history.undo();
+  history.undo();
+  assert.deepEqual(log, []);
+  assert.equal(history.undo(), false);
+
+  // Recording a new step drops the redo stack
+  history.redo();
+  history.execute(createAppend(log, 'e'));
+  assert.equal(history.canRedo(), false);
+  assert.deepEqual(log, ['a', 'e']);
+});
+
+test('transactions close their group when the edit throws and empty groups add no step', () => {
+  const history = createCommandHistory();
+  const log = [];
+
+  assert.throws(() => history.transaction('Broken', () => {
+    history.execute(createAppend(log, 'a'));
+    throw new Error('failed');
+  }), /failed/);
+  assert.equal(history.isGrouping(), false);
+  assert.equal(history.getUndoLabel(), 'Broken');
+
+  history.transaction('Nothing', () => {});
+  assert.equal(history.getStats().undoSteps, 1);
+});
+
+test('commands recorded while undoing are ignored', () => {
+  const history = createCommandHistory();
+  const layer = createGridLayer(2, 2, GRID_LAYER_TYPE.BACKGROUND, '⬜', { history });
+
+  layer.setCell(0, 0, '🌳');
+  layer.setCell(1, 0, '🌊');
+  history.undo();
+
+  assert.equal(layer.getCell(1, 0), '⬜');
+  assert.deepEqual(history.getStats(), { undoSteps: 1, redoSteps: 1, commands: 1, size: 1 });
+});
+
+test('the oldest steps are dropped to respect the step, command and size limits', () => {
+  const log = [];
+
+  const stepLimited = createCommandHistory({ limit: 2 });
+  ['a', 'b', 'c'].forEach(value => stepLimited.execute(createAppend(log, value)));
+  assert.equal(stepLimited.getStats().undoSteps, 2);
+
+  const commandLimited = createCommandHistory({ maxCommands: 3 });
+  commandLimited.transaction('Pair', () => {
+    commandLimited.execute(createAppend(log, 'a'));
+    commandLimited.execute(createAppend(log, 'b'));
+  });
+  commandLimited.transaction('Pair', () => {
+    commandLimited.execute(createAppend(log, 'c'));
+    commandLimited.execute(createAppend(log, 'd'));
+  });
+  assert.deepEqual(commandLimited.getStats(), { undoSteps: 1, redoSteps: 0, commands: 2, size: 2 });
+
+  const sizeLimited = createCommandHistory({ maxSize: 100 });
+  sizeLimited.execute(createAppend(log, 'small', 10));
+  sizeLimited.execute(createAppend(log, 'large', 80));
+  assert.equal(sizeLimited.getStats().undoSteps, 2);
+  sizeLimited.execute(createAppend(log, 'medium', 20));
+  assert.deepEqual(sizeLimited.getStats(), { undoSteps: 2, redoSteps: 0, commands: 2, size: 100 });
+});
+
+test('the newest step is kept even when it alone exceeds the size or command limit', () => {
+  const log = [];
+  const history = createCommandHistory({ maxSize: 100, maxCommands: 2 });
+
+  history.execute(createAppend(log, 'small', 10));
+  history.execute(createAppend(log, 'huge', 500));
+  assert.deepEqual(history.getStats(), { undoSteps: 1, redoSteps: 0, commands: 1, size: 500 });
+
+  assert.equal(history.undo(), true);
+  assert.deepEqual(log, ['small']);
+  history.redo();
+
+  history.transaction('Stroke', () => {
+    ['a', 'b', 'c'].forEach(value => history.execute(createAppend(log, value)));
+  });
+  assert.deepEqual(history.getStats(), { undoSteps: 1, redoSteps: 0, commands: 3, size: 3 });
+
+  // The step limit still applies to the newest step
+  const disabled = createCommandHistory({ limit: 0 });
+  disabled.execute(createAppend(log, 'd'));
+  assert.equal(disabled.canUndo(), false);
+});
+
+test('grid layer fills report the cells they keep for undo as their size', () => {
+  const history = createCommandHistory({ maxSize: 20 });
+  const layer = createGridLayer(4, 4, GRID_LAYER_TYPE.BACKGROUND, '⬜', { history });
+
+  layer.fillRect(0, 0, 2, 2, '🌳');
+  assert.equal(history.getStats().size, 9);
+
+  layer.clear();
+  assert.deepEqual(history.getStats(), { undoSteps: 1, redoSteps: 0, commands: 1, size: 16 });
+
+  history.undo();
+  assert.equal(layer.getCell(0, 0), '🌳');
+});
+
+test('re-painting a cell with an equal tile records no step', () => {
+  const history = createCommandHistory();
+  const layer = createGridLayer(2, 2, GRID_LAYER_TYPE.BACKGROUND, '⬜', { history });
+  const chunked = createChunkedGridMap(32, { history }).layers[GRID_LAYER_TYPE.BACKGROUND];
+
+  [layer, chunked].forEach(target => {
+    history.transaction('Stroke', () => {
+      target.setCell(0, 0, createTile('🌳', { rotation: 1 }));
+      target.setCell(0, 0, createTile('🌳', { rotation: 1 }));
+      target.setCell(0, 0, '🌳');
+      target.setCell(0, 0, '🌳');
+    });
+  });
+
+  assert.deepEqual(history.getStats(), { undoSteps: 2, redoSteps: 0, commands: 4, size: 4 });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests of animator playback driven by a manual clock: marker and loop order across
+ * ping-pong passes, timeline sequences, stopped handles, and seeking paused animations.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createManualClock, createScheduler } from '../src/core/time/scheduler.js';
+import { createRecordingBackend } from '../src/core/graphics/renderBackend.js';
+import { createEmojiRenderer } from '../src/core/graphics/emojiRenderer.js';
+import {
+  ANIMATION_EVENT,
+  createAnimation,
+  createAnimationFrame,
+  createEmojiAnimator,
+  getPlaybackPosition
+} from '../src/core/graphics/emojiAnimator.js';
+import { createDelay, createSequence } from '../src/core/animation/timeline.js';
+
+/**
+ * Creates an animator on a manual scheduler that the test moves forward
+ *
+ * @returns {Object} backend, animator and advance (moves time and runs a frame)
+ */
+const createScene = () => {
+  const clock = createManualClock();
+  const scheduler = createScheduler({ clock, manual: true, maxFrameDelta: Infinity });
+  const backend = createRecordingBackend(64, 64);
+  const animator = createEmojiAnimator(createEmojiRenderer(backend), { scheduler });
+
+  // The first frame only records the clock reading
+  scheduler.tick();
+
+  return {
+    backend,
+    animator,
+    advance: (ms) => {
+      clock.advance(ms);
+      scheduler.tick();
+    }
+  };
+};
+
+/**
+ * Creates a non-looping moon animation of three 100 ms frames with a marker on each
+ * frame and one at its end
+ *
+ * @returns {Object} Animation sequence object
+ */
+const createMoonAnimation = () => createAnimation([
+  createAnimationFrame('🌑', 100, { events: 'new' }),
+  createAnimationFrame('🌓', 100, { events: 'half' }),
+  createAnimationFrame('🌕', 100, { events: 'full' })
+], { loop: false, name: 'moon', markers: [{ name: 'end', time: 300 }] });
+
+/**
+ * Records the marker names and loops of a playback handle
+ *
+ * @param {Object} handle - Playback handle
+ * @returns {Array<string>} Log that fills as events arrive
+ */
+const recordEvents = (handle) => {
+  const log = [];
+  handle.on(ANIMATION_EVENT.MARKER, event => log.push(event.name));
+  handle.on(ANIMATION_EVENT.LOOP, () => log.push('loop'));
+  return log;
+};
+
+/**
+ * Lists the emoji drawn by the animator's current frames
+ *
+ * @param {Object} scene - Scene from createScene
+ * @returns {Array<string>} Drawn emoji
+ */
+const getShownEmoji = ({ backend, animator }) => {
+  backend.clearCommands();
+  animator.renderAnimations();
+  return backend.getCommands().filter(command => command.op === 'fillText').map(command => command.args[0]);
+};
+
+test('ping-pong passes emit markers in playback order, whatever the frame length', async () => {
+  const expected = [
+    'new', 'half', 'full', 'end',
+    'loop', 'end', 'full', 'half', 'new',
+    'loop', 'new', 'half', 'full', 'end'
+  ];
+
+  [[10, 90], [37, 25], [900, 1]].forEach(([frameTime, frameCount]) => {
+    const { animator, advance } = createScene();
+    const handle = animator.play(createMoonAnimation(), 32, 32, 32, { playback: { pingPong: true, loops: 3 } });
+    const log = recordEvents(handle);
+
+    for (let i = 0; i < frameCount; i++) {
+      advance(frameTime);
+    }
+
+    assert.deepEqual(log, expected, `${frameTime} ms frames`);
+    assert.equal(handle.isFinished(), true);
+  });
+
+  // Reversed playback starts with the last frame and its markers
+  const { animator, advance } = createScene();
+  const handle = animator.play(createMoonAnimation(), 32, 32, 32, { playback: { reverse: true } });
+  const log = recordEvents(handle);
+  advance(300);
+  assert.deepEqual(log, ['end', 'full', 'half', 'new']);
+  assert.deepEqual(await handle, { id: handle.id, completed: true });
+});
+
+test('playback positions reverse on every other ping-pong pass and finish after the last', () => {
+  const playback = { pingPong: true, loops: 2 };
+
+  assert.deepEqual(getPlaybackPosition(300, 50, playback), { time: 50, cycle: 0, reversed: false, finished: false });
+  assert.deepEqual(getPlaybackPosition(300, 350, playback), { time: 250, cycle: 1, reversed: true, finished: false });
+  assert.deepEqual(getPlaybackPosition(300, 700, playback), { time: 0, cycle: 1, reversed: true, finished: true });
+  assert.deepEqual(
+    getPlaybackPosition(300, 350, { reverse: true, pingPong: true, loops: Infinity }),
+    { time: 50, cycle: 1, reversed: false, finished: false }
+  );
+});
+
+test('sequences play their steps in turn and resolve once the last completes', async () => {
+  const scene = createScene();
+  const { animator, advance } = scene;
+
+  // Animations inside a timeline play once even if they loop on their own
+  const looping = createAnimation([createAnimationFrame('⭐', 100, { events: 'star' })], { loop: true });
+  const handle = animator.play(createSequence([createMoonAnimation(), createDelay(50), looping]), 32, 32, 32);
+  const log = recordEvents(handle);
+  const completions = [];
+  handle.on(ANIMATION_EVENT.COMPLETE, event => completions.push(event.id));
+
+  advance(250);
+  assert.deepEqual(log, ['new', 'half', 'full']);
+  assert.deepEqual(getShownEmoji(scene), ['🌕']);
+
+  // The delay draws nothing
+  advance(75);
+  assert.deepEqual(log, ['new', 'half', 'full', 'end']);
+  assert.deepEqual(getShownEmoji(scene), []);
+  assert.equal(handle.isFinished(), false);
+
+  for (let i = 0; i < 4; i++) {
+    advance(50);
+  }
+  assert.deepEqual(log, ['new', 'half', 'full', 'end', 'star']);
+  assert.deepEqual(completions, [handle.id]);
+  assert.deepEqual(await handle, { id: handle.id, completed: true });
+  assert.deepEqual(getShownEmoji(scene), []);
+});
+
+test('stopping a handle resolves it as not completed and plays no further steps', async () => {
+  const { animator, advance } = createScene();
+  const events = [];
+  animator.subscribe(event => events.push(event.type));
+
+  const looping = createAnimation([createAnimationFrame('🔥', 100)], { loop: true });
+  const single = animator.play(looping, 32, 32, 32);
+  advance(250);
+  single.stop();
+  assert.deepEqual(await single, { id: single.id, completed: false });
+  assert.equal(animator.getProgress(single.id), null);
+  assert.deepEqual(events, [ANIMATION_EVENT.START, ANIMATION_EVENT.LOOP, ANIMATION_EVENT.LOOP, ANIMATION_EVENT.STOP]);
+
+  const sequence = animator.play(createSequence([createMoonAnimation(), createMoonAnimation()]), 32, 32, 32);
+  const log = recordEvents(sequence);
+  const stops = [];
+  sequence.on(ANIMATION_EVENT.STOP, event => stops.push(event.id));
+
+  advance(150);
+  sequence.stop();
+  sequence.stop();
+  advance(500);
+
+  assert.deepEqual(await sequence, { id: sequence.id, completed: false });
+  assert.deepEqual(log, ['new', 'half']);
+  assert.deepEqual(stops, [sequence.id]);
+  assert.equal(sequence.isFinished(), true);
+});
+
+test('seeking a paused animation shows the frame at that time and keeps its direction', () => {
+  const scene = createScene();
+  const { animator, advance } = scene;
+  const events = [];
+  animator.subscribe(event => {
+    if (event.type === ANIMATION_EVENT.MARKER) {
+      events.push(event.name);
+    }
+  });
+
+  const id = animator.playAnimation('moon', createMoonAnimation(), 32, 32, 32, { playback: { pingPong: true, loops: 2 } });
+  advance(50);
+  animator.pauseAnimation(id);
+
+  assert.equal(animator.seek(id, 150), true);
+  assert.equal(animator.getProgress(id), 0.5);
+  assert.deepEqual(getShownEmoji(scene), ['🌓']);
+
+  // Paused time is not played
+  advance(1000);
+  assert.equal(animator.getProgress(id), 0.5);
+  assert.deepEqual(getShownEmoji(scene), ['🌓']);
+  assert.deepEqual(events, ['new']);
+
+  // Playback continues from the seeked time, emitting the markers from there
+  animator.resumeAnimation(id);
+  advance(100);
+  assert.equal(animator.getProgress(id), 250 / 300);
+  assert.deepEqual(events, ['new', 'full']);
+
+  // During the reversed pass a seek keeps playing backwards
+  advance(100);
+  animator.pauseAnimation(id);
+  assert.equal(animator.seek(id, 250), true);
+  assert.deepEqual(getShownEmoji(scene), ['🌕']);
+  animator.resumeAnimation(id);
+  advance(100);
+  assert.equal(animator.getProgress(id), 0.5);
+  assert.deepEqual(getShownEmoji(scene), ['🌓']);
+
+  assert.equal(animator.seek('missing', 0), false);
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests of the glyph atlas: slots of evicted and invalidated glyphs are reused, and
+ * cached glyphs are drawn in the same color as directly rendered ones.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecordingBackend } from '../src/core/graphics/renderBackend.js';
+import { createGlyphAtlas } from '../src/core/graphics/emojiAtlas.js';
+import { createEmojiRenderer } from '../src/core/graphics/emojiRenderer.js';
+
+/**
+ * Creates an atlas whose pages are recording surfaces
+ *
+ * @param {Object} options - Atlas options
+ * @returns {Object} Object with the atlas and the recording backends of its pages
+ */
+const createRecordingAtlas = (options = {}) => {
+  const surfaces = [];
+  const atlas = createGlyphAtlas({
+    ...options,
+    createSurface: (width, height) => {
+      const surface = createRecordingBackend(width, height, { id: `page_${surfaces.length}` });
+      surfaces.push(surface);
+      return { canvas: surface.getCanvas(), ctx: surface.getContext() };
+    }
+  });
+  return { atlas, surfaces };
+};
+
+test('glyphs evicted over maxEntries give their slot to the next glyph of that size', () => {
+  const { atlas } = createRecordingAtlas({ pageSize: 128, maxEntries: 2 });
+
+  const first = atlas.getGlyph('A', 16);
+  atlas.getGlyph('B', 16);
+  atlas.getGlyph('C', 16);
+  const fourth = atlas.getGlyph('D', 16);
+
+  assert.deepEqual([fourth.sx, fourth.sy], [first.sx, first.sy]);
+  const { entries, evictions, pageResets, pages } = atlas.getStats();
+  assert.deepEqual({ entries, evictions, pageResets, pages }, { entries: 2, evictions: 2, pageResets: 0, pages: 1 });
+
+  // Repeated churn cycles through the three packed slots instead of filling the page
+  const positions = new Set();
+  for (let i = 0; i < 20; i++) {
+    const glyph = atlas.getGlyph(String.fromCharCode(69 + i), 16);
+    positions.add(`${glyph.sx},${glyph.sy}`);
+  }
+  assert.equal(positions.size, 3);
+  assert.equal(atlas.getStats().pageResets, 0);
+});
+
+test('invalidated glyphs free their slot, but only for glyphs of a similar size', () => {
+  const { atlas } = createRecordingAtlas({ pageSize: 256 });
+
+  const small = atlas.getGlyph('A', 16);
+  atlas.invalidate('A');
+
+  const large = atlas.getGlyph('B', 48);
+  assert.notDeepEqual([large.sx, large.sy], [small.sx, small.sy]);
+
+  const reused = atlas.getGlyph('C', 16);
+  assert.deepEqual([reused.sx, reused.sy], [small.sx, small.sy]);
+});
+
+test('atlas glyphs use the current fillStyle like directly rendered ones', () => {
+  const { atlas, surfaces } = createRecordingAtlas({ pageSize: 128 });
+  const backend = createRecordingBackend(64, 64);
+  const renderer = createEmojiRenderer(backend, { atlas });
+
+  backend.getContext().fillStyle = '#ff0000';
+  renderer.renderEmoji('A', 32, 32, 16);
+  renderer.renderEmoji('A', 32, 32, 16, { color: '#00ff00' });
+
+  // The first surface only measures text before a page exists
+  const page = surfaces.find(surface => surface.getSize().width === 128);
+  const fills = page.getCommands()
+    .filter(command => command.op === 'set' && command.prop === 'fillStyle')
+    .map(command => command.value);
+  assert.deepEqual(fills, ['#ff0000', '#00ff00']);
+});
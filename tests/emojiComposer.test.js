@@ -0,0 +1,344 @@
+/**
+ * Tests of the emoji composer: sampling of animated composition clips, hit testing,
+ * aligning and distributing layers, reference cycles that are found and refused, and
+ * compositions exported with inlined or referenced dependencies that import back to the
+ * same drawing.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecordingBackend } from '../src/core/graphics/renderBackend.js';
+import { createEmojiRenderer } from '../src/core/graphics/emojiRenderer.js';
+import {
+  createCompositionClip,
+  createCompositionLayer,
+  createCompositionReference,
+  createEmojiComposer,
+  createEmojiComposition,
+  createLayerGroup,
+  findCompositionCycle,
+  getCompositionClipDuration,
+  getCompositionLayerBounds,
+  hitTestCompositionLayers,
+  LAYER_ALIGNMENT,
+  sampleComposition
+} from '../src/core/graphics/emojiComposer.js';
+import { createCommandHistory } from '../src/core/history/commandHistory.js';
+
+/**
+ * Creates a composer drawing into its own recording backend
+ *
+ * @param {Object} options - Composer options
+ * @returns {Object} Object with backend and composer
+ */
+const createScene = (options = {}) => {
+  const backend = createRecordingBackend(128, 128);
+  const composer = createEmojiComposer(createEmojiRenderer(backend), options);
+  return { backend, composer };
+};
+
+/**
+ * Adds a train made of a cart of two wheels, plus a wheel of its own, to a composer
+ *
+ * @param {Object} composer - Emoji composer
+ * @returns {void}
+ */
+const addTrain = (composer) => {
+  composer.createComposition('wheel', [createCompositionLayer('🛞')], { name: 'Wheel' });
+  composer.createComposition('cart', [
+    createCompositionLayer('🛒', { zIndex: 1 }),
+    createLayerGroup([
+      createCompositionReference('wheel', { x: -10, y: 12, scale: 0.5 }),
+      createCompositionReference('wheel', { x: 10, y: 12, scale: 0.5 })
+    ], { name: 'Wheels' })
+  ], { name: 'Cart' });
+  composer.createComposition('train', [
+    createCompositionLayer('🚂'),
+    createCompositionReference('cart', { x: 30 }),
+    createCompositionReference('wheel', { x: -30, y: 12 })
+  ], { name: 'Train' });
+};
+
+/**
+ * Records the drawing commands of a composition
+ *
+ * @param {Object} scene - Object with backend and composer
+ * @param {string} id - Composition ID
+ * @returns {Array<Object>} Recorded commands
+ */
+const recordDrawing = ({ backend, composer }, id) => {
+  backend.clearCommands();
+  composer.renderComposition(composer.getComposition(id), 64, 64, 1);
+  return backend.getCommands();
+};
+
+/**
+ * Creates a character whose body bobs and grows in a looping idle clip, whose hat group
+ * drifts while the hat tilts, and whose eyes blink once
+ *
+ * @returns {Object} Emoji composition
+ */
+const createCharacter = () => createEmojiComposition([
+  createCompositionLayer('🙂', {
+    x: 4,
+    y: 2,
+    scale: 2,
+    opacity: 0.8,
+    tracks: {
+      idle: { y: [[0, 0], [400, -4], [800, 0]], scale: [[0, 1], [800, 1.5]], opacity: [[0, 1], [800, 2]] },
+      once: { x: [[0, 0], [500, 10]] }
+    }
+  }),
+  createLayerGroup([
+    createCompositionLayer('🎩', { y: -10, tracks: { idle: { rotation: [[0, 0], [1000, 1]] } } })
+  ], { zIndex: 1, tracks: { idle: { x: [[0, 0], [1000, 10]] } } }),
+  createCompositionLayer('👀', { zIndex: 2, tracks: { blink: { emoji: [[0, '👀'], [100, '😑']] } } })
+], {
+  clips: {
+    idle: createCompositionClip(),
+    once: createCompositionClip({ loop: false, duration: 600 }),
+    blink: createCompositionClip({ loop: false })
+  }
+});
+
+test('clips pose layers by adding offsets, multiplying scale and opacity and replacing emoji', () => {
+  const character = createCharacter();
+  const [body, hat, eyes] = sampleComposition(character, 'idle', 400).layers;
+
+  assert.deepEqual([body.x, body.y, body.scale, body.opacity], [4, -2, 2.5, 1]);
+  assert.equal(hat.x, 4);
+  assert.equal(hat.layers[0].y, -10);
+  assert.equal(Math.round(hat.layers[0].rotation * 1000) / 1000, 0.4);
+
+  // Layers the clip does not animate are kept as they are
+  assert.equal(eyes, character.layers[2]);
+  assert.deepEqual(
+    [0, 99, 100, 5000].map(time => sampleComposition(character, 'blink', time).layers[2].emoji),
+    ['👀', '👀', '😑', '😑']
+  );
+
+  // Without a known clip the composition itself is returned
+  assert.equal(sampleComposition(character), character);
+  assert.equal(sampleComposition(character, 'dance', 100), character);
+});
+
+test('looping clips wrap around their duration and other clips hold their ends', () => {
+  const character = createCharacter();
+
+  // The idle clip lasts until the last keyframe of any layer, including group children
+  assert.equal(getCompositionClipDuration(character, 'idle'), 1000);
+  assert.equal(getCompositionClipDuration(character, 'once'), 600);
+  assert.equal(getCompositionClipDuration(character, 'blink'), 100);
+  assert.equal(getCompositionClipDuration(character, 'dance'), 0);
+
+  assert.deepEqual(sampleComposition(character, 'idle', 1400), sampleComposition(character, 'idle', 400));
+  assert.deepEqual(sampleComposition(character, 'idle', -600), sampleComposition(character, 'idle', 400));
+
+  assert.equal(sampleComposition(character, 'once', 550).layers[0].x, 14);
+  assert.equal(sampleComposition(character, 'once', 5000).layers[0].x, 14);
+  assert.equal(sampleComposition(character, 'once', -100).layers[0].x, 4);
+});
+
+test('composers animate layers into clips and draw a clip at a time', () => {
+  const { backend, composer } = createScene();
+  composer.createComposition('torch', [createCompositionLayer('🔥'), createCompositionLayer('🪵')]);
+
+  composer.setLayerTrack('torch', 0, 'flicker', 'emoji', [[0, '🔥'], [200, '✨'], [400, '🔥']]);
+  assert.deepEqual(composer.listClips('torch'), [{ name: 'flicker', duration: 400, loop: true }]);
+
+  const drawnAt = (time) => {
+    backend.clearCommands();
+    composer.renderComposition(composer.getComposition('torch'), 64, 64, 1, { clip: 'flicker', time });
+    return backend.getCommands().filter(command => command.op === 'fillText').map(command => command.args[0]);
+  };
+  assert.deepEqual(drawnAt(100), ['🔥', '🪵']);
+  assert.deepEqual(drawnAt(250), ['✨', '🪵']);
+  assert.deepEqual(drawnAt(650), ['✨', '🪵']);
+
+  assert.throws(() => composer.setLayerTrack('torch', 0, 'flicker', 'colour', [[0, 1]]), /Invalid property/);
+});
+
+/**
+ * Adds a composition of three layers with a base size of 20 to a composer. Their boxes
+ * span x -40..-20, -20..20 and 20..30, and y 0..20, -25..15 and -5..5.
+ *
+ * @param {Object} composer - Emoji composer
+ * @returns {void}
+ */
+const addShapes = (composer) => {
+  composer.createComposition('shapes', [
+    createCompositionLayer('🟥', { x: -30, y: 10 }),
+    createCompositionLayer('🟦', { x: 0, y: -5, scale: 2, zIndex: 1 }),
+    createCompositionLayer('🟩', { x: 25, y: 0, scale: 0.5, zIndex: 2 })
+  ], { baseSize: 20 });
+};
+
+/**
+ * Gets the x and y of every layer of a composition
+ *
+ * @param {Object} composer - Emoji composer
+ * @param {string} id - Composition ID
+ * @returns {Array<Array<number>>} [x, y] per layer
+ */
+const getPositions = (composer, id) => composer.getComposition(id).layers.map(layer => [layer.x, layer.y]);
+
+test('hit tests find the topmost layer drawn at a point, inside its rotated box', () => {
+  const composition = createEmojiComposition([
+    createCompositionLayer('🟥'),
+    createCompositionLayer('🟩', { x: -40, scale: 0.5, rotation: Math.PI / 4, zIndex: 1 }),
+    createCompositionLayer('🟦', { x: 20, scale: 0.5, zIndex: 2 }),
+    createCompositionLayer('⬛', { scale: 4, visible: false, zIndex: 3 })
+  ]);
+  const bounds = getCompositionLayerBounds(composition);
+
+  assert.equal(bounds[3], null);
+  assert.deepEqual([bounds[2].left, bounds[2].top, bounds[2].right, bounds[2].bottom], [4, -16, 36, 16]);
+
+  assert.equal(hitTestCompositionLayers(bounds, 20, 0), 2);
+  assert.equal(hitTestCompositionLayers(bounds, 0, 0), 0);
+  assert.equal(hitTestCompositionLayers(bounds, -20, 0), 1);
+  assert.equal(hitTestCompositionLayers(bounds, -60, 0), 1);
+  assert.equal(hitTestCompositionLayers(bounds, 100, 100), -1);
+
+  // Inside the rotated layer's unrotated bounding box but outside the layer itself
+  assert.ok(bounds[1].left < -26 && bounds[1].top < -14);
+  assert.equal(hitTestCompositionLayers(bounds, -26, -14), 0);
+
+  // Bounds follow the size the composition is drawn at
+  const doubled = getCompositionLayerBounds(composition, { size: 2 });
+  assert.equal(hitTestCompositionLayers(doubled, 60, 0), 2);
+  assert.equal(hitTestCompositionLayers(bounds, 60, 0), -1);
+});
+
+test('layers align to the box around them, or a single layer to the center', () => {
+  const history = createCommandHistory();
+  const { composer } = createScene({ history });
+  addShapes(composer);
+
+  composer.alignLayers('shapes', [0, 1, 2], LAYER_ALIGNMENT.LEFT);
+  assert.deepEqual(getPositions(composer, 'shapes'), [[-30, 10], [-20, -5], [-35, 0]]);
+  assert.equal(history.getUndoLabel(), 'Align layers');
+
+  history.undo();
+  composer.alignLayers('shapes', [0, 1, 2], LAYER_ALIGNMENT.RIGHT);
+  assert.deepEqual(getPositions(composer, 'shapes'), [[20, 10], [10, -5], [25, 0]]);
+
+  history.undo();
+  composer.alignLayers('shapes', [0, 1, 2], LAYER_ALIGNMENT.CENTER);
+  assert.deepEqual(getPositions(composer, 'shapes'), [[-5, 10], [-5, -5], [-5, 0]]);
+
+  history.undo();
+  composer.alignLayers('shapes', [0, 2], LAYER_ALIGNMENT.TOP);
+  assert.deepEqual(getPositions(composer, 'shapes'), [[-30, 5], [0, -5], [25, 0]]);
+
+  history.undo();
+  composer.alignLayers('shapes', [1], LAYER_ALIGNMENT.MIDDLE);
+  composer.alignLayers('shapes', [0], LAYER_ALIGNMENT.CENTER);
+  assert.deepEqual(getPositions(composer, 'shapes'), [[0, 10], [0, 0], [25, 0]]);
+
+  assert.equal(composer.alignLayers('shapes', [], LAYER_ALIGNMENT.LEFT), null);
+  assert.throws(() => composer.alignLayers('shapes', [0], 'diagonal'), /Invalid alignment/);
+});
+
+test('distributing layers spreads their centers evenly between the outermost ones', () => {
+  const { composer } = createScene();
+  addShapes(composer);
+
+  composer.distributeLayers('shapes', [0, 1, 2], 'x');
+  assert.deepEqual(getPositions(composer, 'shapes'), [[-30, 10], [-2.5, -5], [25, 0]]);
+
+  // Layers are ordered by their centers, not their indexes
+  composer.distributeLayers('shapes', [2, 0, 1], 'y');
+  assert.deepEqual(getPositions(composer, 'shapes'), [[-30, 10], [-2.5, -5], [25, 2.5]]);
+
+  assert.equal(composer.distributeLayers('shapes', [0, 1], 'x'), null);
+  assert.throws(() => composer.distributeLayers('shapes', [0, 1, 2], 'z'), /Invalid axis/);
+});
+
+test('reference cycles are found through groups and other compositions', () => {
+  const compositions = {
+    a: createEmojiComposition([createCompositionReference('b')]),
+    b: createEmojiComposition([createLayerGroup([createCompositionReference('c')])]),
+    c: createEmojiComposition([createCompositionLayer('🔁')])
+  };
+  const resolve = id => compositions[id] || null;
+
+  assert.equal(findCompositionCycle('a', compositions.a, resolve), null);
+
+  const closing = createEmojiComposition([createCompositionLayer('🔁'), createCompositionReference('a')]);
+  assert.deepEqual(findCompositionCycle('c', closing, resolve), ['c', 'a', 'b', 'c']);
+  assert.deepEqual(findCompositionCycle('a', createEmojiComposition([createCompositionReference('a')]), resolve), ['a', 'a']);
+
+  // Missing compositions end the search without a cycle
+  assert.equal(findCompositionCycle('a', createEmojiComposition([createCompositionReference('gone')]), resolve), null);
+});
+
+test('edits that would make a composition contain itself are refused and not recorded', () => {
+  const history = createCommandHistory();
+  const { composer } = createScene({ history });
+  addTrain(composer);
+  const wheel = composer.getComposition('wheel');
+  const steps = history.getStats().undoSteps;
+
+  assert.throws(
+    () => composer.updateComposition('wheel', { layers: [createCompositionReference('train')] }),
+    /Composition reference cycle: wheel -> train -> cart -> wheel/
+  );
+  assert.throws(
+    () => composer.createComposition('loop', [createLayerGroup([createCompositionReference('loop')])]),
+    /Composition reference cycle: loop -> loop/
+  );
+
+  assert.equal(composer.getComposition('wheel'), wheel);
+  assert.equal(composer.getComposition('loop'), null);
+  assert.equal(history.getStats().undoSteps, steps);
+});
+
+test('inlined dependencies round-trip through JSON and draw the same composition', () => {
+  const source = createScene();
+  addTrain(source.composer);
+
+  const exported = source.composer.exportComposition('train', { dependencies: 'inline' });
+  assert.deepEqual(Object.keys(exported.dependencies).sort(), ['cart', 'wheel']);
+
+  const history = createCommandHistory();
+  const target = createScene({ history });
+  target.composer.importComposition('imported', JSON.parse(JSON.stringify(exported)));
+
+  ['wheel', 'cart'].forEach(id => {
+    assert.deepEqual(target.composer.getComposition(id).layers, source.composer.getComposition(id).layers);
+  });
+  assert.deepEqual(target.composer.getComposition('imported').layers, source.composer.getComposition('train').layers);
+  assert.deepEqual(recordDrawing(target, 'imported'), recordDrawing(source, 'train'));
+
+  // Exporting the import again gives the same dependencies
+  const reexported = target.composer.exportComposition('imported', { dependencies: 'inline' });
+  ['wheel', 'cart'].forEach(id => {
+    assert.deepEqual(reexported.dependencies[id].layers, exported.dependencies[id].layers);
+  });
+
+  // The import with its dependencies is a single undo step
+  assert.equal(history.getStats().undoSteps, 1);
+  history.undo();
+  assert.deepEqual(target.composer.listCompositions(), []);
+});
+
+test('referenced dependencies are exported by ID and resolved where they are imported', () => {
+  const source = createScene();
+  addTrain(source.composer);
+
+  const exported = JSON.parse(JSON.stringify(source.composer.exportComposition('train')));
+  assert.equal(exported.dependencies, undefined);
+  assert.deepEqual(exported.layers.filter(layer => layer.composition).map(layer => layer.composition), ['cart', 'wheel']);
+
+  // Compositions that already exist are used as they are, also when dependencies are inlined
+  const target = createScene();
+  target.composer.createComposition('wheel', [createCompositionLayer('⚙️')]);
+  target.composer.createComposition('cart', [createCompositionLayer('🛒')]);
+  target.composer.importComposition('byReference', exported);
+  target.composer.importComposition('inlined', source.composer.exportComposition('train', { dependencies: 'inline' }));
+
+  const drawn = (id) => recordDrawing(target, id).filter(command => command.op === 'fillText').map(command => command.args[0]);
+  assert.deepEqual(drawn('byReference'), ['🚂', '🛒', '⚙️']);
+  assert.deepEqual(drawn('inlined'), drawn('byReference'));
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests of the emoji parser: segmentation of mixed text, classification of ZWJ, flag,
+ * keycap, tag and modifier sequences, normalization to fully-qualified form, and
+ * per-person skin tones with their removal.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applySkinTones,
+  classifyEmoji,
+  EMOJI_SEQUENCE_TYPE,
+  extractEmoji,
+  getSkinTones,
+  isEmojiGrapheme,
+  normalizeEmoji,
+  removeSkinTones,
+  segmentEmoji
+} from '../src/core/graphics/emojiParser.js';
+
+const LIGHT = '\u{1F3FB}';
+const MEDIUM = '\u{1F3FD}';
+const DARK = '\u{1F3FF}';
+const SCOTLAND = '\u{1F3F4}\u{E0067}\u{E0062}\u{E0073}\u{E0063}\u{E0074}\u{E007F}';
+
+test('text is segmented into emoji sequences and plain graphemes with their offsets', () => {
+  const segments = segmentEmoji('Hi 👨‍👩‍👧 🏳️‍🌈🇯🇵1️⃣ é!');
+
+  assert.deepEqual(segments.map(({ value, index, isEmoji, type }) => [value, index, isEmoji, type]), [
+    ['H', 0, false, null],
+    ['i', 1, false, null],
+    [' ', 2, false, null],
+    ['👨‍👩‍👧', 3, true, EMOJI_SEQUENCE_TYPE.ZWJ],
+    [' ', 11, false, null],
+    ['🏳️‍🌈', 12, true, EMOJI_SEQUENCE_TYPE.ZWJ],
+    ['🇯🇵', 18, true, EMOJI_SEQUENCE_TYPE.FLAG],
+    ['1️⃣', 22, true, EMOJI_SEQUENCE_TYPE.KEYCAP],
+    [' ', 25, false, null],
+    ['é', 26, false, null],
+    ['!', 27, false, null]
+  ]);
+
+  // Adjacent flags split into pairs of regional indicators
+  assert.deepEqual(extractEmoji('🇯🇵🇫🇷 and 🧑‍🤝‍🧑'), ['🇯🇵', '🇫🇷', '🧑‍🤝‍🧑']);
+  assert.deepEqual(segmentEmoji(''), []);
+  assert.deepEqual(segmentEmoji(null), []);
+});
+
+test('single emoji are classified by sequence type', () => {
+  assert.equal(classifyEmoji('😀'), EMOJI_SEQUENCE_TYPE.BASIC);
+  assert.equal(classifyEmoji(`👋${MEDIUM}`), EMOJI_SEQUENCE_TYPE.MODIFIER);
+  assert.equal(classifyEmoji('👨‍👩‍👧'), EMOJI_SEQUENCE_TYPE.ZWJ);
+  assert.equal(classifyEmoji('🧑‍🤝‍🧑'), EMOJI_SEQUENCE_TYPE.ZWJ);
+  assert.equal(classifyEmoji('🏳️‍🌈'), EMOJI_SEQUENCE_TYPE.ZWJ);
+  assert.equal(classifyEmoji('🇯🇵'), EMOJI_SEQUENCE_TYPE.FLAG);
+  assert.equal(classifyEmoji('1️⃣'), EMOJI_SEQUENCE_TYPE.KEYCAP);
+  assert.equal(classifyEmoji('1⃣'), EMOJI_SEQUENCE_TYPE.KEYCAP);
+  assert.equal(classifyEmoji(SCOTLAND), EMOJI_SEQUENCE_TYPE.TAG);
+
+  assert.equal(classifyEmoji('a'), null);
+  assert.equal(classifyEmoji('😀😀'), null);
+  assert.equal(isEmojiGrapheme(SCOTLAND), true);
+  assert.equal(isEmojiGrapheme('hi'), false);
+});
+
+test('normalization adds the emoji presentation selectors of fully-qualified form', () => {
+  assert.equal(normalizeEmoji('❤ and 🏳‍🌈'), '❤️ and 🏳️‍🌈');
+  assert.equal(normalizeEmoji('1⃣'), '1️⃣');
+
+  // No selector before a skin tone, and explicit text presentation is kept
+  assert.equal(normalizeEmoji(`👍${MEDIUM}`), `👍${MEDIUM}`);
+  assert.equal(normalizeEmoji('☺︎'), '☺︎');
+
+  // Fully-qualified emoji are unchanged
+  ['👨‍👩‍👧', '🏳️‍🌈', '🇯🇵', '1️⃣', '🧑‍🤝‍🧑', SCOTLAND].forEach(emoji => {
+    assert.equal(normalizeEmoji(emoji), emoji);
+  });
+});
+
+test('skin tones are applied per person and reuse the last tone', () => {
+  assert.equal(applySkinTones('👋', MEDIUM), `👋${MEDIUM}`);
+  assert.equal(applySkinTones('👨‍👩‍👧', LIGHT), `👨${LIGHT}‍👩${LIGHT}‍👧${LIGHT}`);
+  assert.equal(applySkinTones('👨‍👩‍👧', [LIGHT, DARK]), `👨${LIGHT}‍👩${DARK}‍👧${DARK}`);
+
+  // The handshake between two people is not toned
+  assert.equal(applySkinTones('🧑‍🤝‍🧑', [LIGHT, DARK]), `🧑${LIGHT}‍🤝‍🧑${DARK}`);
+  assert.deepEqual(getSkinTones(applySkinTones('🧑‍🤝‍🧑', [LIGHT, DARK])), [LIGHT, DARK]);
+
+  // Existing tones are replaced
+  assert.equal(applySkinTones(`👋${LIGHT}`, DARK), `👋${DARK}`);
+
+  // Emoji without people and invalid tones leave the emoji unchanged
+  assert.equal(applySkinTones('🌈', LIGHT), '🌈');
+  assert.equal(applySkinTones('1️⃣', LIGHT), '1️⃣');
+  assert.equal(applySkinTones('👋', 'x'), '👋');
+});
+
+test('multi-person emoji expand to ZWJ sequences only when the tones differ', () => {
+  assert.equal(applySkinTones('🤝', LIGHT), `🤝${LIGHT}`);
+  assert.equal(applySkinTones('🤝', [LIGHT, DARK]), `🫱${LIGHT}‍🫲${DARK}`);
+  assert.equal(applySkinTones('💑', [LIGHT, LIGHT]), `💑${LIGHT}`);
+  assert.equal(applySkinTones('💑', [LIGHT, DARK]), `🧑${LIGHT}‍❤️‍🧑${DARK}`);
+});
+
+test('removing skin tones gives back the untoned emoji', () => {
+  const tonesList = [LIGHT, [LIGHT, DARK], [DARK, MEDIUM, LIGHT]];
+
+  ['👋', '👨‍👩‍👧', '🧑‍🤝‍🧑', '🤝', '💑', '👫', '🌈', '1️⃣'].forEach(emoji => {
+    tonesList.forEach(tones => {
+      assert.equal(removeSkinTones(applySkinTones(emoji, tones)), emoji, `${emoji} with ${tones}`);
+    });
+  });
+
+  // Tones replace the presentation selector, which normalization restores
+  const golfer = '🏌️‍♀️';
+  assert.equal(normalizeEmoji(removeSkinTones(applySkinTones(golfer, MEDIUM))), golfer);
+
+  assert.deepEqual(getSkinTones('👋'), []);
+  assert.equal(removeSkinTones(null), '');
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests of the grid renderer with a composition registry: maps drawn by a render
+ * pipeline are redrawn when a composition used by their tiles changes.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecordingBackend } from '../src/core/graphics/renderBackend.js';
+import { createEmojiRenderer } from '../src/core/graphics/emojiRenderer.js';
+import { createGridMap, createGridRenderer, createTile, GRID_LAYER_TYPE } from '../src/core/graphics/emojiGrid.js';
+import {
+  createCompositionLayer,
+  createCompositionRegistry,
+  createEmojiComposer
+} from '../src/core/graphics/emojiComposer.js';
+import { createRenderPipeline } from '../src/core/graphics/renderPipeline.js';
+import { createScheduler } from '../src/core/time/scheduler.js';
+
+/**
+ * Lists the text drawn by recorded commands
+ *
+ * @param {Object} backend - Recording backend
+ * @returns {Array<string>} Drawn text
+ */
+const getDrawnText = (backend) => backend.getCommands()
+  .filter(command => command.op === 'fillText')
+  .map(command => command.args[0]);
+
+/**
+ * Creates a one-cell map drawn by a pipeline, whose tile shows the 'door' composition
+ *
+ * @returns {Object} Object with the backend, scheduler, composer, pipeline and grid renderer
+ */
+const createScene = () => {
+  const backend = createRecordingBackend(32, 32);
+  const renderer = createEmojiRenderer(backend);
+  const scheduler = createScheduler({ manual: true });
+  const registry = createCompositionRegistry();
+  const composer = createEmojiComposer(renderer, { registry });
+  composer.createComposition('door', [createCompositionLayer('🚪')]);
+
+  const pipeline = createRenderPipeline(renderer, { scheduler });
+  const gridRenderer = createGridRenderer(renderer, { compositions: registry, pipeline });
+  const gridMap = createGridMap(1, 1, 32, { defaultBackgroundEmoji: '' });
+  gridMap.getLayer(GRID_LAYER_TYPE.BACKGROUND).setCell(0, 0, createTile('❓', { composition: 'door' }));
+  pipeline.addLayer('map', (ctx, { region }) => gridRenderer.renderGridMap(gridMap, 0, 0, 24, { region }));
+
+  pipeline.render(0);
+  backend.clearCommands();
+  return { backend, scheduler, composer, pipeline, gridRenderer };
+};
+
+test('composition edits redraw pipeline-drawn maps on the next frame', () => {
+  const { backend, scheduler, composer } = createScene();
+
+  composer.updateComposition('door', { layers: [createCompositionLayer('🔒')] });
+  assert.deepEqual(getDrawnText(backend), []);
+
+  scheduler.tick();
+  assert.deepEqual(getDrawnText(backend), ['🔒']);
+
+  // Deleted compositions fall back to the tile emoji
+  backend.clearCommands();
+  composer.deleteComposition('door');
+  scheduler.tick();
+  assert.deepEqual(getDrawnText(backend), ['❓']);
+});
+
+test('destroyed grid renderers stop requesting renders', () => {
+  const { backend, scheduler, composer, gridRenderer } = createScene();
+
+  gridRenderer.destroy();
+  composer.updateComposition('door', { layers: [createCompositionLayer('🔒')] });
+  scheduler.tick();
+
+  assert.deepEqual(getDrawnText(backend), []);
+});
@@ -0,0 +1,68 @@
+/**
+ * snapshot.js
+ *
+ * Snapshot assertions for the Node tests. A snapshot is stored as JSON in
+ * tests/__snapshots__ the first time its test runs, and later runs compare against
+ * it. Run with UPDATE_SNAPSHOTS=1 to rewrite snapshots after an intended change.
+ * When CI is set, a missing snapshot fails instead of being written.
+ * This module follows the functional programming paradigm and avoids external dependencies.
+ */
+
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SNAPSHOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '__snapshots__');
+
+/**
+ * Rounds the numbers in a value so snapshots do not depend on floating point noise
+ *
+ * @param {any} value - Value to normalize
+ * @returns {any} A copy with numbers rounded to 4 decimals
+ */
+const roundNumbers = (value) => {
+  if (typeof value === 'number') {
+    return Math.round(value * 10000) / 10000;
+  }
+  if (Array.isArray(value)) {
+    return value.map(roundNumbers);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundNumbers(item)]));
+  }
+  return value;
+};
+
+/**
+ * Formats a snapshot with one array item per line, so a diff shows the changed draw calls
+ *
+ * @param {any} value - Normalized value
+ * @returns {string} File contents
+ */
+const formatSnapshot = (value) => (Array.isArray(value)
+  ? `[\n${value.map(item => `  ${JSON.stringify(item)}`).join(',\n')}\n]\n`
+  : `${JSON.stringify(value, null, 2)}\n`);
+
+/**
+ * Compares a value with its stored snapshot, writing the snapshot if it does not exist yet
+ *
+ * @param {string} name - Snapshot name, used as the file name
+ * @param {any} value - JSON-serializable value, such as recorded draw commands
+ * @returns {void}
+ */
+export const assertSnapshot = (name, value) => {
+  const file = join(SNAPSHOT_DIR, `${name}.json`);
+  const actual = roundNumbers(JSON.parse(JSON.stringify(value)));
+
+  if (process.env.UPDATE_SNAPSHOTS || !existsSync(file)) {
+    if (!process.env.UPDATE_SNAPSHOTS && process.env.CI) {
+      assert.fail(`Missing snapshot ${name}; run the tests with UPDATE_SNAPSHOTS=1 to record it`);
+    }
+    mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    writeFileSync(file, formatSnapshot(actual));
+    return;
+  }
+
+  assert.deepEqual(actual, JSON.parse(readFileSync(file, 'utf8')));
+};
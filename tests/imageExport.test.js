@@ -0,0 +1,405 @@
+/**
+ * Round-trip tests of the image encoders: PNG, APNG and GIF files are decoded again
+ * with small readers written here (zlib inflation comes from node:zlib) and must give
+ * back the encoded pixels, frame timing and loop counts.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { encodeApng, encodePng } from '../src/core/export/pngEncoder.js';
+import { encodeGif } from '../src/core/export/gifEncoder.js';
+import { EXPORT_FORMAT, exportCapture } from '../src/core/export/animationExport.js';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Calculates the CRC-32 of a byte range
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} The CRC as an unsigned 32-bit integer
+ */
+const checksum = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  bytes.forEach(byte => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Creates a deterministic random number generator
+ *
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning integers in [0, 2^32)
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state;
+  };
+};
+
+/**
+ * Creates RGBA pixels that mix flat runs (for LZ77 matches) with noise
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} seed - Random seed
+ * @param {Object} options - Pixel options
+ * @param {number} options.colors - Number of distinct opaque colors (default: 200)
+ * @param {boolean} options.partialAlpha - Use alpha values between 0 and 255 (default: false)
+ * @returns {Uint8Array} RGBA pixels
+ */
+const createPixels = (width, height, seed, options = {}) => {
+  const random = createRandom(seed);
+  const colors = options.colors || 200;
+  const pixels = new Uint8Array(width * height * 4);
+
+  for (let pixel = 0; pixel < width * height; pixel++) {
+    const offset = pixel * 4;
+    const color = (pixel % width) < width / 2 ? Math.floor(pixel / width) % colors : random() % colors;
+    pixels[offset] = (color * 37) % 256;
+    pixels[offset + 1] = (color * 91) % 256;
+    pixels[offset + 2] = color;
+    pixels[offset + 3] = options.partialAlpha ? random() % 256 : 255;
+  }
+
+  // A transparent corner
+  for (let y = 0; y < Math.min(2, height); y++) {
+    for (let x = 0; x < Math.min(2, width); x++) {
+      pixels.fill(0, ((y * width) + x) * 4, ((y * width) + x + 1) * 4);
+    }
+  }
+
+  return pixels;
+};
+
+/**
+ * Reads the chunks of a PNG file, checking the signature and every CRC
+ *
+ * @param {Uint8Array} bytes - PNG file bytes
+ * @returns {Array<Object>} Chunks as { type, data, view }
+ */
+const readPngChunks = (bytes) => {
+  assert.deepEqual(Array.from(bytes.subarray(0, 8)), [137, 80, 78, 71, 13, 10, 26, 10]);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    assert.equal(view.getUint32(offset + 8 + length), checksum(bytes.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+    chunks.push({ type, data, view: new DataView(data.buffer, data.byteOffset, data.byteLength) });
+    offset += 12 + length;
+  }
+
+  return chunks;
+};
+
+/**
+ * Inflates and unfilters the scanlines of one PNG image
+ *
+ * @param {Uint8Array} compressed - zlib stream
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} RGBA pixels
+ */
+const decodeScanlines = (compressed, width, height) => {
+  const filtered = inflateSync(compressed);
+  const stride = width * 4;
+  const pixels = new Uint8Array(stride * height);
+  assert.equal(filtered.length, (stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = filtered[y * (stride + 1)];
+    for (let i = 0; i < stride; i++) {
+      const raw = filtered[(y * (stride + 1)) + 1 + i];
+      const left = i >= 4 ? pixels[(y * stride) + i - 4] : 0;
+      const above = y > 0 ? pixels[((y - 1) * stride) + i] : 0;
+      const upperLeft = y > 0 && i >= 4 ? pixels[((y - 1) * stride) + i - 4] : 0;
+      let predicted = 0;
+
+      if (filter === 1) {
+        predicted = left;
+      } else if (filter === 2) {
+        predicted = above;
+      } else if (filter === 3) {
+        predicted = Math.floor((left + above) / 2);
+      } else if (filter === 4) {
+        const estimate = left + above - upperLeft;
+        const distances = [Math.abs(estimate - left), Math.abs(estimate - above), Math.abs(estimate - upperLeft)];
+        predicted = distances[0] <= distances[1] && distances[0] <= distances[2]
+          ? left
+          : (distances[1] <= distances[2] ? above : upperLeft);
+      }
+
+      pixels[(y * stride) + i] = (raw + predicted) & 0xFF;
+    }
+  }
+
+  return pixels;
+};
+
+/**
+ * Decodes a PNG or APNG file
+ *
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object} Object with width, height, loops (APNG only) and frames as { delay, pixels }
+ */
+const decodePng = (bytes) => {
+  const chunks = readPngChunks(bytes);
+  const header = chunks[0];
+  assert.equal(header.type, 'IHDR');
+  const width = header.view.getUint32(0);
+  const height = header.view.getUint32(4);
+  assert.deepEqual(Array.from(header.data.subarray(8)), [8, 6, 0, 0, 0]);
+  assert.equal(chunks[chunks.length - 1].type, 'IEND');
+
+  const animation = chunks.find(chunk => chunk.type === 'acTL');
+  if (!animation) {
+    const compressed = Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+    return { width, height, frames: [{ delay: null, pixels: decodeScanlines(compressed, width, height) }] };
+  }
+
+  const frames = [];
+  let sequence = 0;
+  chunks.forEach(chunk => {
+    if (chunk.type === 'fcTL') {
+      assert.equal(chunk.view.getUint32(0), sequence++);
+      frames.push({ delay: (chunk.view.getUint16(20) * 1000) / chunk.view.getUint16(22), parts: [] });
+    } else if (chunk.type === 'IDAT') {
+      frames[frames.length - 1].parts.push(chunk.data);
+    } else if (chunk.type === 'fdAT') {
+      assert.equal(chunk.view.getUint32(0), sequence++);
+      frames[frames.length - 1].parts.push(chunk.data.subarray(4));
+    }
+  });
+
+  assert.equal(animation.view.getUint32(0), frames.length);
+  return {
+    width,
+    height,
+    loops: animation.view.getUint32(4),
+    frames: frames.map(frame => ({ delay: frame.delay, pixels: decodeScanlines(Buffer.concat(frame.parts), width, height) }))
+  };
+};
+
+/**
+ * Decodes GIF LZW data into palette indexes
+ *
+ * @param {Uint8Array} data - Concatenated sub-block data
+ * @param {number} minCodeSize - Minimum code size
+ * @param {number} pixelCount - Expected number of pixels
+ * @returns {Array<number>} Palette indexes
+ */
+const decodeLzw = (data, minCodeSize, pixelCount) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let dictionary = [];
+  let codeSize = minCodeSize + 1;
+  let previous = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let position = 0;
+
+  const resetDictionary = () => {
+    dictionary = Array.from({ length: clearCode + 2 }, (_, index) => [index]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  resetDictionary();
+
+  for (;;) {
+    while (bitCount < codeSize) {
+      assert.ok(position < data.length, 'LZW data ended without an end code');
+      bitBuffer |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    const code = bitBuffer & ((1 << codeSize) - 1);
+    bitBuffer >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      resetDictionary();
+      continue;
+    }
+    if (code === endCode) {
+      break;
+    }
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+      if (previous) {
+        dictionary.push([...previous, entry[0]]);
+      }
+    } else {
+      assert.equal(code, dictionary.length, 'LZW code out of range');
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    }
+
+    output.push(...entry);
+    previous = entry;
+    if (dictionary.length === (1 << codeSize) && codeSize < 12) {
+      codeSize++;
+    }
+  }
+
+  assert.equal(output.length, pixelCount);
+  return output;
+};
+
+/**
+ * Decodes a GIF file written by encodeGif (global palette, full-size frames)
+ *
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Object} Object with width, height, loops and frames as { delay, pixels }
+ */
+const decodeGif = (bytes) => {
+  assert.equal(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+  const readUint16 = (offset) => bytes[offset] | (bytes[offset + 1] << 8);
+  const width = readUint16(6);
+  const height = readUint16(8);
+  const flags = bytes[10];
+  assert.ok(flags & 0x80, 'global palette');
+  const paletteSize = 2 << (flags & 0x07);
+  const palette = bytes.subarray(13, 13 + (paletteSize * 3));
+
+  const frames = [];
+  let loops = 1;
+  let control = null;
+  let offset = 13 + (paletteSize * 3);
+
+  /**
+   * Reads the sub-blocks starting at the offset
+   *
+   * @returns {Uint8Array} Concatenated block data
+   */
+  const readSubBlocks = () => {
+    const parts = [];
+    while (bytes[offset] !== 0) {
+      parts.push(bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+      offset += 1 + bytes[offset];
+    }
+    offset++;
+    return Buffer.concat(parts);
+  };
+
+  while (bytes[offset] !== 0x3B) {
+    const introducer = bytes[offset];
+    if (introducer === 0x21) {
+      const label = bytes[offset + 1];
+      offset += 2;
+      const block = readSubBlocks();
+      if (label === 0xF9) {
+        control = { delay: (block[1] | (block[2] << 8)) * 10, transparentIndex: block[0] & 1 ? block[3] : -1 };
+      } else if (label === 0xFF && String.fromCharCode(...block.subarray(0, 11)) === 'NETSCAPE2.0') {
+        const repeats = block[12] | (block[13] << 8);
+        loops = repeats === 0 ? 0 : repeats + 1;
+      }
+    } else {
+      assert.equal(introducer, 0x2C, 'image descriptor');
+      assert.deepEqual([readUint16(offset + 5), readUint16(offset + 7), bytes[offset + 9]], [width, height, 0]);
+      const minCodeSize = bytes[offset + 10];
+      offset += 11;
+      const indexes = decodeLzw(readSubBlocks(), minCodeSize, width * height);
+
+      const pixels = new Uint8Array(width * height * 4);
+      indexes.forEach((index, pixel) => {
+        if (index !== control.transparentIndex) {
+          pixels.set(palette.subarray(index * 3, (index * 3) + 3), pixel * 4);
+          pixels[(pixel * 4) + 3] = 255;
+        }
+      });
+      frames.push({ delay: control.delay, pixels });
+      control = null;
+    }
+  }
+
+  return { width, height, loops, frames };
+};
+
+test('PNG files decode to the encoded pixels, including partial alpha', () => {
+  const pixels = createPixels(37, 23, 1, { partialAlpha: true });
+  const decoded = decodePng(encodePng(pixels, 37, 23));
+
+  assert.deepEqual([decoded.width, decoded.height], [37, 23]);
+  assert.deepEqual(decoded.frames[0].pixels, pixels);
+});
+
+test('APNG files keep every frame, its delay and the loop count', () => {
+  const frames = [
+    { data: createPixels(16, 12, 2, { partialAlpha: true }), duration: 100 },
+    { data: createPixels(16, 12, 3), duration: 250 },
+    { data: new Uint8Array(16 * 12 * 4), duration: 40 }
+  ];
+  const decoded = decodePng(encodeApng(frames, 16, 12, { loops: 3 }));
+
+  assert.equal(decoded.loops, 3);
+  assert.deepEqual(decoded.frames.map(frame => frame.delay), [100, 250, 40]);
+  decoded.frames.forEach((frame, index) => assert.deepEqual(frame.pixels, frames[index].data));
+});
+
+test('GIF files decode to the encoded pixels when the palette holds every color', () => {
+  // Enough pixels and colors for the LZW code size to reach 12 bits and reset
+  const frames = [
+    { data: createPixels(64, 64, 4), duration: 120 },
+    { data: createPixels(64, 64, 5, { colors: 3 }), duration: 80 }
+  ];
+  const decoded = decodeGif(encodeGif(frames, 64, 64));
+
+  assert.deepEqual([decoded.width, decoded.height, decoded.loops], [64, 64, 0]);
+  assert.deepEqual(decoded.frames.map(frame => frame.delay), [120, 80]);
+  decoded.frames.forEach((frame, index) => assert.deepEqual(frame.pixels, frames[index].data));
+});
+
+test('GIF pixels below the alpha threshold become transparent', () => {
+  const pixels = new Uint8Array([255, 0, 0, 255, 0, 255, 0, 100, 0, 0, 255, 200, 9, 9, 9, 0]);
+  const decoded = decodeGif(encodeGif([{ data: pixels, duration: 10 }], 2, 2, { loops: 1, alphaThreshold: 150 }));
+
+  assert.equal(decoded.loops, 1);
+  assert.deepEqual(Array.from(decoded.frames[0].pixels), [255, 0, 0, 255, 0, 0, 0, 0, 0, 0, 255, 255, 0, 0, 0, 0]);
+});
+
+test('exportCapture files round-trip for every format', () => {
+  const capture = {
+    width: 8,
+    height: 6,
+    loop: false,
+    name: 'blink',
+    frames: [
+      { time: 0, duration: 50, data: createPixels(8, 6, 6, { colors: 20 }) },
+      { time: 50, duration: 50, data: createPixels(8, 6, 7, { colors: 20 }) }
+    ]
+  };
+
+  const gif = decodeGif(exportCapture(capture, { format: EXPORT_FORMAT.GIF }).data);
+  assert.equal(gif.loops, 1);
+  gif.frames.forEach((frame, index) => assert.deepEqual(frame.pixels, capture.frames[index].data));
+
+  const apng = decodePng(exportCapture(capture, { format: EXPORT_FORMAT.APNG }).data);
+  assert.equal(apng.loops, 1);
+  apng.frames.forEach((frame, index) => assert.deepEqual(frame.pixels, capture.frames[index].data));
+
+  const sheet = exportCapture(capture, { format: EXPORT_FORMAT.SPRITE_SHEET, columns: 2 });
+  const image = decodePng(sheet.data);
+  assert.deepEqual([image.width, image.height], [16, 6]);
+  for (let y = 0; y < 6; y++) {
+    capture.frames.forEach((frame, index) => {
+      const row = image.frames[0].pixels.subarray(((y * 16) + (index * 8)) * 4, ((y * 16) + (index * 8) + 8) * 4);
+      assert.deepEqual(row, frame.data.subarray(y * 8 * 4, (y + 1) * 8 * 4));
+    });
+  }
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests of keyframe tracks and easing: per-keyframe easings shape the segment that
+ * starts at their keyframe, relative values, emoji tracks, and the easing resolver.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createKeyframe,
+  createKeyframeAnimation,
+  createKeyframeTrack,
+  sampleKeyframeAnimation,
+  sampleKeyframeTrack
+} from '../src/core/animation/keyframes.js';
+import { EASING, resolveEasing } from '../src/core/animation/easing.js';
+
+/**
+ * Samples a track at evenly spaced times
+ *
+ * @param {Object} track - Keyframe track
+ * @param {Array<number>} times - Times in milliseconds
+ * @returns {Array<number>} Values rounded to 4 decimals
+ */
+const sampleAt = (track, times) => times.map(time => Math.round(sampleKeyframeTrack(track, time) * 10000) / 10000 + 0);
+
+test('the documented hop slows into its peak and speeds up as it falls', () => {
+  const animation = createKeyframeAnimation({ y: [[0, 0, 'easeOutQuad'], [300, -20, 'easeInQuad'], [600, 0]] });
+
+  assert.equal(animation.totalDuration, 600);
+  assert.deepEqual(
+    sampleAt(animation.tracks.y, [0, 75, 150, 225, 300, 375, 450, 525, 600]),
+    [0, -8.75, -15, -18.75, -20, -18.75, -15, -8.75, 0]
+  );
+});
+
+test('the easing of a keyframe applies to the segment starting at it, and the last easing is ignored', () => {
+  const track = createKeyframeTrack('x', [
+    createKeyframe(0, 0),
+    createKeyframe(100, 10, { easing: 'easeInQuad' }),
+    createKeyframe(200, 20, { easing: 'easeOutQuad' })
+  ]);
+
+  assert.deepEqual(sampleAt(track, [50, 150, 250]), [5, 12.5, 20]);
+});
+
+test('tracks hold their end values, default to the track easing and sort keyframes by time', () => {
+  const track = createKeyframeTrack('scale', [[200, 2], [100, 1]], { easing: 'easeInQuad' });
+
+  assert.deepEqual(track.keyframes.map(keyframe => keyframe.time), [100, 200]);
+  assert.deepEqual(sampleAt(track, [0, 150, 500]), [1, 1.25, 2]);
+});
+
+test('relative values build on the previous keyframe', () => {
+  const track = createKeyframeTrack('rotation', [[0, '+=1'], [100, '+=0.5'], [200, '-=2']]);
+
+  assert.deepEqual(track.keyframes.map(keyframe => keyframe.value), [1, 1.5, -0.5]);
+});
+
+test('emoji tracks switch at each keyframe and combine with numeric tracks', () => {
+  const animation = createKeyframeAnimation({
+    emoji: [[0, '🌑'], [100, '🌓'], [200, '🌕']],
+    opacity: [[0, 0], [200, 1]]
+  });
+
+  assert.deepEqual(
+    [0, 99, 100, 250].map(time => sampleKeyframeAnimation(animation, time).emoji),
+    ['🌑', '🌑', '🌓', '🌕']
+  );
+  assert.equal(sampleKeyframeAnimation(animation, 50).opacity, 0.25);
+  assert.equal(sampleKeyframeAnimation(animation, 50).scale, 1);
+});
+
+test('invalid tracks and values are rejected', () => {
+  assert.throws(() => createKeyframeTrack('colour', [[0, 1]]), /Invalid property/);
+  assert.throws(() => createKeyframeTrack('x', []), /Invalid keyframes/);
+  assert.throws(() => createKeyframeTrack('x', [[-1, 0]]), /Invalid keyframe time/);
+  assert.throws(() => createKeyframeTrack('x', [[0, 'up']]), /Invalid value/);
+});
+
+test('easings resolve from names, CSS strings, control points and functions', () => {
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  assert.equal(resolveEasing(), EASING.linear);
+  assert.equal(resolveEasing('easeInQuad')(0.5), 0.25);
+  assert.equal(round(resolveEasing('cubic-bezier(0.25, 0.25, 0.75, 0.75)')(0.3)), 0.3);
+  assert.equal(round(resolveEasing([0.42, 0, 1, 1])(0.5)), round(EASING.easeIn(0.5)));
+  assert.deepEqual([0, 0.24, 0.25, 0.99, 1].map(resolveEasing('steps(4)')), [0, 0, 0.25, 0.75, 1]);
+  assert.deepEqual([0, 0.24].map(resolveEasing('steps(4, start)')), [0.25, 0.25]);
+
+  const custom = (progress) => progress;
+  assert.equal(resolveEasing(custom), custom);
+  assert.throws(() => resolveEasing('wobbly'), /Invalid easing/);
+
+  // Every named curve starts at 0 and ends at 1
+  Object.entries(EASING).forEach(([name, easing]) => {
+    assert.equal(round(easing(1)), 1, name);
+    if (name !== 'stepStart') {
+      assert.equal(round(easing(0)), 0, name);
+    }
+  });
+});
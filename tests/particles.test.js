@@ -0,0 +1,77 @@
+/**
+ * Tests of the particle system: particle objects are reused across one-shot effects,
+ * the canvas is only cleared when asked, and the scheduler goes idle after the last effect.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecordingBackend } from '../src/core/graphics/renderBackend.js';
+import { createEmojiRenderer } from '../src/core/graphics/emojiRenderer.js';
+import { createParticleSystem, PARTICLE_PRESETS } from '../src/core/graphics/emojiParticles.js';
+import { createManualClock, createScheduler } from '../src/core/time/scheduler.js';
+
+/**
+ * Creates a deterministic random number generator
+ *
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+const effect = { ...PARTICLE_PRESETS.explosion, burst: 20, lifetime: [100, 200] };
+
+test('one-shot effects reuse the particle objects of finished ones', () => {
+  const scheduler = createScheduler({ manual: true });
+  const system = createParticleSystem(createEmojiRenderer(createRecordingBackend(100, 100)), { scheduler, random: createRandom(1) });
+
+  system.burst(effect, 50, 50);
+  assert.deepEqual(system.getStats(), { emitters: 1, particles: 20, pooled: 20, spare: 0 });
+
+  scheduler.advance(500);
+  assert.deepEqual(system.getStats(), { emitters: 0, particles: 0, pooled: 20, spare: 20 });
+
+  // The second explosion allocates nothing
+  system.burst(effect, 20, 20);
+  system.burst({ ...effect, burst: 5 }, 80, 80);
+  assert.deepEqual(system.getStats(), { emitters: 2, particles: 25, pooled: 25, spare: 0 });
+});
+
+test('without a pipeline the canvas is only cleared and drawn when clear is set', () => {
+  const shared = createRecordingBackend(100, 100);
+  const scheduler = createScheduler({ manual: true });
+  createParticleSystem(createEmojiRenderer(shared), { scheduler, random: createRandom(2) }).burst(effect, 50, 50);
+  scheduler.advance(20);
+  assert.deepEqual(shared.getCommands().filter(command => command.op === 'clearRect' || command.op === 'fillText'), []);
+
+  const owned = createRecordingBackend(100, 100);
+  createParticleSystem(createEmojiRenderer(owned), { scheduler, clear: true, random: createRandom(2) }).burst(effect, 50, 50);
+  scheduler.advance(20);
+  const ops = owned.getCommands().map(command => command.op);
+  assert.equal(ops[0], 'clearRect');
+  assert.equal(ops.filter(op => op === 'fillText').length, 20);
+});
+
+test('the scheduler stops once the last effect is removed', () => {
+  const clock = createManualClock();
+  const queue = [];
+  const scheduler = createScheduler({ clock, requestFrame: callback => queue.push(callback) });
+  const system = createParticleSystem(createEmojiRenderer(createRecordingBackend(100, 100)), { scheduler });
+
+  system.burst(effect, 50, 50);
+  assert.equal(scheduler.isRunning(), true);
+
+  for (let frame = 0; frame < 100 && queue.length > 0; frame++) {
+    clock.advance(16);
+    queue.shift()();
+  }
+
+  assert.equal(system.getStats().emitters, 0);
+  assert.equal(scheduler.isRunning(), false);
+  assert.equal(queue.length, 0);
+});
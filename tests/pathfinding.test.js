@@ -0,0 +1,168 @@
+/**
+ * Tests of the pathfinding module: A* paths and flow fields on a known map, optimal
+ * paths over cells cheaper than 1, flow fields over weighted terrain, cache invalidation
+ * and the rejection of unbounded maps.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGridMap, GRID_LAYER_TYPE } from '../src/core/graphics/emojiGrid.js';
+import { createChunkedGridMap } from '../src/core/map/chunkedGridMap.js';
+import { createPathfinder, MOVEMENT_MODE } from '../src/core/map/pathfinding.js';
+
+/**
+ * Creates a 5x4 map with a wall in column 2 that is open at the bottom row
+ *
+ * @returns {Object} Grid map
+ */
+const createWalledMap = () => {
+  const map = createGridMap(5, 4, 32);
+  const collision = map.getLayer(GRID_LAYER_TYPE.COLLISION);
+  [0, 1, 2].forEach(y => collision.setCell(2, y, '🧱'));
+  return map;
+};
+
+/**
+ * Converts a path into [x, y] pairs
+ *
+ * @param {Array<Object>} path - Path cells
+ * @returns {Array<Array<number>>} Coordinate pairs
+ */
+const toPairs = (path) => path.map(({ x, y }) => [x, y]);
+
+/**
+ * Adds up the cost of entering every cell of a four-way path after the first
+ *
+ * @param {Object} pathfinder - Pathfinder
+ * @param {Array<Object>} path - Path cells
+ * @returns {number} Path cost
+ */
+const getPathCost = (pathfinder, path) => path.slice(1).reduce((sum, { x, y }) => sum + pathfinder.getCost(x, y), 0);
+
+test('A* routes around walls with four-way and eight-way movement', () => {
+  const map = createWalledMap();
+
+  const fourWay = createPathfinder(map);
+  assert.deepEqual(toPairs(fourWay.findPath({ x: 0, y: 0 }, { x: 4, y: 0 })), [
+    [0, 0], [1, 0], [1, 1], [1, 2], [1, 3], [2, 3], [3, 3], [3, 2], [4, 2], [4, 1], [4, 0]
+  ]);
+
+  // Diagonals may not cut the corner of the wall at (2, 2)
+  const eightWay = createPathfinder(map, { movement: MOVEMENT_MODE.EIGHT_WAY });
+  assert.deepEqual(toPairs(eightWay.findPath({ x: 0, y: 0 }, { x: 4, y: 0 })), [
+    [0, 0], [1, 1], [1, 2], [1, 3], [2, 3], [3, 3], [3, 2], [4, 1], [4, 0]
+  ]);
+
+  assert.equal(fourWay.findPath({ x: 0, y: 0 }, { x: 2, y: 0 }), null);
+});
+
+test('paths stay optimal when some cells cost less than 1', () => {
+  const map = createGridMap(7, 3, 32);
+  const collision = map.getLayer(GRID_LAYER_TYPE.COLLISION);
+  for (let x = 0; x < 7; x++) {
+    collision.setCell(x, 1, '🛤️');
+  }
+
+  const pathfinder = createPathfinder(map, { costs: { '🛤️': 0.1 } });
+  const path = pathfinder.findPath({ x: 0, y: 0 }, { x: 6, y: 0 });
+
+  assert.equal(Math.round(getPathCost(pathfinder, path) * 10) / 10, 1.7);
+  assert.equal(path.filter(({ y }) => y === 1).length, 7);
+});
+
+test('flow fields store the distance to the nearest goal and the step towards it', () => {
+  const pathfinder = createPathfinder(createWalledMap());
+  const field = pathfinder.createFlowField({ x: 4, y: 0 });
+
+  const distances = Array.from({ length: 4 }, (_, y) =>
+    Array.from({ length: 5 }, (__, x) => field.getDistance(x, y))
+  );
+  assert.deepEqual(distances, [
+    [10, 9, Infinity, 1, 0],
+    [9, 8, Infinity, 2, 1],
+    [8, 7, Infinity, 3, 2],
+    [7, 6, 5, 4, 3]
+  ]);
+
+  assert.deepEqual(field.getNextStep(0, 0), { x: 1, y: 0 });
+  assert.deepEqual(field.getNextStep(2, 3), { x: 3, y: 3 });
+  assert.equal(field.getNextStep(4, 0), null);
+
+  // Following the field reaches the goal at the cost found by A*
+  const path = pathfinder.findPath({ x: 0, y: 0 }, { x: 4, y: 0 });
+  assert.equal(getPathCost(pathfinder, path), field.getDistance(0, 0));
+
+  const twoGoals = pathfinder.createFlowField([{ x: 4, y: 0 }, { x: 0, y: 3 }]);
+  assert.equal(twoGoals.getDistance(0, 0), 3);
+  assert.equal(twoGoals.getDistance(3, 0), 1);
+});
+
+test('following a flow field over weighted terrain costs what getDistance and findPath report', () => {
+  // Deterministic random terrain mixing cheap, normal, slow and blocked cells
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+  const terrain = ['', '', '🟫', '🟫', '🌲', '🌲', '🪨'];
+  const costs = { '🌲': 3, '🟫': 0.5 };
+
+  [MOVEMENT_MODE.FOUR_WAY, MOVEMENT_MODE.EIGHT_WAY].forEach(movement => {
+    for (let round = 0; round < 4; round++) {
+      const map = createGridMap(12, 10, 32);
+      const collision = map.getLayer(GRID_LAYER_TYPE.COLLISION);
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 12; x++) {
+          collision.setCell(x, y, terrain[Math.floor(random() * terrain.length)]);
+        }
+      }
+      collision.setCell(0, 0, '');
+
+      const pathfinder = createPathfinder(map, { costs, movement });
+      const field = pathfinder.createFlowField({ x: 0, y: 0 });
+
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 12; x++) {
+          const distance = field.getDistance(x, y);
+          if (distance === Infinity || distance === 0) {
+            continue;
+          }
+
+          let cost = 0;
+          let cell = { x, y };
+          while (cell.x !== 0 || cell.y !== 0) {
+            const next = field.getNextStep(cell.x, cell.y);
+            const isDiagonal = next.x !== cell.x && next.y !== cell.y;
+            cost += pathfinder.getCost(next.x, next.y) * (isDiagonal ? Math.SQRT2 : 1);
+            cell = next;
+          }
+          assert.ok(Math.abs(cost - distance) < 1e-9, `cost from ${x},${y}: ${cost} vs ${distance}`);
+
+          const path = pathfinder.findPath({ x, y }, { x: 0, y: 0 });
+          const pathCost = path.slice(1).reduce((sum, step, index) => {
+            const isDiagonal = step.x !== path[index].x && step.y !== path[index].y;
+            return sum + (pathfinder.getCost(step.x, step.y) * (isDiagonal ? Math.SQRT2 : 1));
+          }, 0);
+          assert.ok(Math.abs(pathCost - distance) < 1e-9, `path from ${x},${y}: ${pathCost} vs ${distance}`);
+        }
+      }
+    }
+  });
+});
+
+test('cached results are dropped when the walkability layer changes', () => {
+  const map = createWalledMap();
+  const pathfinder = createPathfinder(map);
+
+  const first = pathfinder.findPath({ x: 0, y: 0 }, { x: 4, y: 0 });
+  assert.equal(pathfinder.findPath({ x: 0, y: 0 }, { x: 4, y: 0 }), first);
+  assert.equal(pathfinder.getCacheStats().hits, 1);
+
+  map.getLayer(GRID_LAYER_TYPE.COLLISION).setCell(2, 0, '');
+  assert.equal(pathfinder.getCacheStats().paths, 0);
+  assert.equal(pathfinder.findPath({ x: 0, y: 0 }, { x: 4, y: 0 }).length, 5);
+});
+
+test('pathfinders reject chunked maps', () => {
+  assert.throws(() => createPathfinder(createChunkedGridMap(32)), /Unbounded grid map/);
+});
@@ -0,0 +1,61 @@
+/**
+ * Snapshot tests of the draw calls made by the grid renderer, the composer and the
+ * animator, recorded with the recording render backend.
+ */
+
+import test from 'node:test';
+import { createRecordingBackend } from '../src/core/graphics/renderBackend.js';
+import { createEmojiRenderer } from '../src/core/graphics/emojiRenderer.js';
+import { createGridMap, createGridRenderer, createTile, GRID_LAYER_TYPE } from '../src/core/graphics/emojiGrid.js';
+import { createCompositionLayer, createEmojiComposer } from '../src/core/graphics/emojiComposer.js';
+import {
+  createAnimation,
+  createAnimationFrame,
+  createEmojiAnimator,
+  getAnimationFrameAtTime
+} from '../src/core/graphics/emojiAnimator.js';
+import { createScheduler } from '../src/core/time/scheduler.js';
+import { assertSnapshot } from './helpers/snapshot.js';
+
+test('renderGridMap draws every layer of a small map', () => {
+  const backend = createRecordingBackend(96, 64);
+  const gridRenderer = createGridRenderer(createEmojiRenderer(backend));
+
+  const gridMap = createGridMap(3, 2, 32);
+  gridMap.getLayer(GRID_LAYER_TYPE.BACKGROUND).setCell(0, 0, '🌲');
+  gridMap.getLayer(GRID_LAYER_TYPE.BACKGROUND).setCell(1, 0, '🌊');
+  gridMap.getLayer(GRID_LAYER_TYPE.BACKGROUND).setCell(2, 1, createTile('🪨', { rotation: Math.PI / 2, opacity: 0.5 }));
+  gridMap.getLayer(GRID_LAYER_TYPE.SPRITE).setCell(1, 1, '🧙');
+
+  gridRenderer.renderGridMap(gridMap, 0, 0, 24);
+
+  assertSnapshot('renderGridMap', backend.getCommands());
+});
+
+test('renderComposition draws layers with their transforms', () => {
+  const backend = createRecordingBackend(128, 128);
+  const composer = createEmojiComposer(createEmojiRenderer(backend));
+  const composition = composer.createComposition('knight', [
+    createCompositionLayer('🛡️', { x: -10, zIndex: 0 }),
+    createCompositionLayer('🗡️', { x: 12, y: -4, rotation: Math.PI / 4, scale: 0.75, opacity: 0.8, zIndex: 1 })
+  ]);
+
+  composer.renderComposition(composition, 64, 64, 1.5);
+
+  assertSnapshot('renderComposition', backend.getCommands());
+});
+
+test('the animator renders the frame active at a time', () => {
+  const backend = createRecordingBackend(64, 64);
+  const animator = createEmojiAnimator(createEmojiRenderer(backend), { scheduler: createScheduler({ manual: true }) });
+  const animation = createAnimation([
+    createAnimationFrame('🌑', 100),
+    createAnimationFrame('🌓', 100, { scale: 1.2, rotation: 0.5, opacity: 0.6 }),
+    createAnimationFrame('🌕', 100)
+  ]);
+
+  const { frame } = getAnimationFrameAtTime(animation, 150);
+  animator.renderAnimationFrame(frame, 32, 32, 32);
+
+  assertSnapshot('animationFrame', backend.getCommands());
+});
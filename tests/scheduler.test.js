@@ -0,0 +1,154 @@
+/**
+ * Tests of the scheduler: fixed update steps driven by a manual clock, timers, and
+ * the frame loop stopping once nothing is waiting for frames.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createManualClock, createScheduler, getDefaultScheduler } from '../src/core/time/scheduler.js';
+import { createRecordingBackend } from '../src/core/graphics/renderBackend.js';
+import { createEmojiRenderer } from '../src/core/graphics/emojiRenderer.js';
+import { createAnimation, createAnimationFrame, createEmojiAnimator } from '../src/core/graphics/emojiAnimator.js';
+
+/**
+ * Creates a scheduler whose frames are queued and run by the test
+ *
+ * @param {Object} options - Extra scheduler options
+ * @returns {Object} clock, scheduler, pending (queued frame count) and runFrames
+ */
+const createSteppedScheduler = (options = {}) => {
+  const clock = createManualClock();
+  const queue = [];
+  const scheduler = createScheduler({ clock, requestFrame: callback => queue.push(callback), ...options });
+
+  return {
+    clock,
+    scheduler,
+    pending: () => queue.length,
+    runFrames: (count, frameTime = 16) => {
+      for (let i = 0; i < count && queue.length > 0; i++) {
+        clock.advance(frameTime);
+        queue.shift()();
+      }
+    }
+  };
+};
+
+test('update steps follow the manual clock in fixed steps', () => {
+  const clock = createManualClock(1000);
+  const scheduler = createScheduler({ clock, manual: true, fixedStep: 10 });
+  const updates = [];
+  const frames = [];
+  scheduler.onUpdate((step, time) => updates.push([step, time]));
+  scheduler.onFrame(frame => frames.push(frame));
+  scheduler.start();
+
+  clock.advance(35);
+  assert.equal(scheduler.tick(), 3);
+  assert.deepEqual(updates, [[10, 10], [10, 20], [10, 30]]);
+  assert.equal(frames[0].delta, 35);
+  assert.ok(Math.abs(frames[0].alpha - 0.5) < 1e-9);
+
+  // The leftover 5 ms count towards the next step
+  clock.advance(5);
+  assert.equal(scheduler.tick(), 1);
+  assert.equal(scheduler.getTime(), 40);
+});
+
+test('slow frames are capped and time scale and pause apply to game time', () => {
+  const clock = createManualClock();
+  const scheduler = createScheduler({ clock, manual: true, fixedStep: 10, maxSubSteps: 5, maxFrameDelta: 250 });
+  let steps = 0;
+  scheduler.onUpdate(() => {
+    steps++;
+  });
+  scheduler.start();
+
+  clock.advance(1000);
+  scheduler.tick();
+  assert.equal(steps, 5);
+  assert.equal(scheduler.getTime(), 250);
+
+  scheduler.setTimeScale(0.5);
+  clock.advance(100);
+  scheduler.tick();
+  assert.equal(scheduler.getTime(), 300);
+
+  scheduler.pause();
+  clock.advance(100);
+  scheduler.tick();
+  assert.equal(scheduler.getTime(), 300);
+
+  // Stepping works while paused
+  scheduler.step(2);
+  assert.equal(scheduler.getTime(), 320);
+});
+
+test('timers fire in game time', () => {
+  const scheduler = createScheduler({ manual: true, fixedStep: 10 });
+  const fired = [];
+  scheduler.after(25, time => fired.push(['after', time]));
+  const cancel = scheduler.every(20, time => fired.push(['every', time]));
+
+  scheduler.advance(30);
+  scheduler.advance(30);
+  cancel();
+  scheduler.advance(30);
+
+  // A repeating timer catches up on every interval it missed
+  assert.deepEqual(fired, [['after', 30], ['every', 30], ['every', 60], ['every', 60]]);
+});
+
+test('the frame loop stops when nothing is left and restarts when work is added', () => {
+  const { scheduler, pending, runFrames } = createSteppedScheduler();
+  let frames = 0;
+  const remove = scheduler.onFrame(() => {
+    frames++;
+  });
+  scheduler.start();
+  assert.equal(scheduler.isRunning(), true);
+
+  runFrames(3);
+  assert.equal(frames, 3);
+
+  remove();
+  runFrames(1);
+  assert.equal(scheduler.isRunning(), false);
+  assert.equal(pending(), 0);
+
+  // A started scheduler picks up new work on its own
+  scheduler.after(10, () => {});
+  assert.equal(scheduler.isRunning(), true);
+  assert.equal(pending(), 1);
+
+  // A stopped one does not
+  scheduler.stop();
+  scheduler.onFrame(() => {});
+  assert.equal(scheduler.isRunning(), false);
+});
+
+test('playing an animation to completion leaves the scheduler idle', async () => {
+  const { scheduler, pending, runFrames } = createSteppedScheduler();
+  const animator = createEmojiAnimator(createEmojiRenderer(createRecordingBackend(64, 64)), { scheduler });
+  const animation = createAnimation([createAnimationFrame('🌑', 50), createAnimationFrame('🌕', 50)], { loop: false });
+
+  const handle = animator.play(animation, 32, 32, 32);
+  assert.equal(scheduler.isRunning(), true);
+
+  runFrames(20);
+  assert.deepEqual(await handle, { id: handle.id, completed: true });
+  assert.equal(scheduler.isRunning(), false);
+  assert.equal(pending(), 0);
+});
+
+test('the default scheduler stops after an animation completes', async () => {
+  const animator = createEmojiAnimator(createEmojiRenderer(createRecordingBackend(64, 64)));
+  const animation = createAnimation([createAnimationFrame('✨', 30)], { loop: false });
+
+  const result = await animator.play(animation, 32, 32, 32);
+  assert.equal(result.completed, true);
+
+  // The frame that completed the animation was the last one requested
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(getDefaultScheduler().isRunning(), false);
+});
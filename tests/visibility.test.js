@@ -0,0 +1,97 @@
+/**
+ * Tests of the visibility module: shadowcasting on a known map, transparent blockers,
+ * remembered cells, serialization and the rejection of unbounded maps.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGridMap, GRID_LAYER_TYPE } from '../src/core/graphics/emojiGrid.js';
+import { createChunkedGridMap } from '../src/core/map/chunkedGridMap.js';
+import { createVisibilityMap, computeFieldOfView, VISIBILITY_STATE } from '../src/core/map/visibility.js';
+
+const STATE_CHARS = {
+  [VISIBILITY_STATE.VISIBLE]: 'V',
+  [VISIBILITY_STATE.EXPLORED]: 'e',
+  [VISIBILITY_STATE.UNEXPLORED]: '.'
+};
+
+/**
+ * Creates a 7x5 map with a wall of three cells, the middle one a window
+ *
+ * @returns {Object} Grid map
+ */
+const createWalledMap = () => {
+  const map = createGridMap(7, 5, 32);
+  const collision = map.getLayer(GRID_LAYER_TYPE.COLLISION);
+  collision.setCell(3, 1, '🧱');
+  collision.setCell(3, 2, '🪟');
+  collision.setCell(3, 3, '🧱');
+  return map;
+};
+
+/**
+ * Draws the visibility state of every cell as one string per row
+ *
+ * @param {Object} visibility - Visibility map
+ * @returns {Array<string>} Rows
+ */
+const drawStates = (visibility) => Array.from({ length: 5 }, (_, y) =>
+  Array.from({ length: 7 }, (__, x) => STATE_CHARS[visibility.getState(x, y)]).join('')
+);
+
+test('walls cast shadows and only cells within the radius are visible', () => {
+  const visibility = createVisibilityMap(createWalledMap());
+
+  assert.equal(visibility.update({ x: 1, y: 2 }), 22);
+  assert.deepEqual(drawStates(visibility), [
+    'VVVVV..',
+    'VVVV...',
+    'VVVV...',
+    'VVVV...',
+    'VVVVV..'
+  ]);
+
+  // Seen cells are remembered after the viewer moves away
+  visibility.update({ x: 5, y: 2, radius: 1 });
+  assert.deepEqual(drawStates(visibility), [
+    'eeeee..',
+    'eeee.V.',
+    'eeeeVVV',
+    'eeee.V.',
+    'eeeee..'
+  ]);
+});
+
+test('transparent emojis do not block sight', () => {
+  const visibility = createVisibilityMap(createWalledMap(), { transparent: ['🪟'] });
+  visibility.update({ x: 1, y: 2 });
+
+  assert.equal(visibility.isVisible(6, 2), true);
+  assert.equal(visibility.isVisible(5, 1), true);
+  assert.equal(visibility.isVisible(6, 0), false);
+});
+
+test('explored state survives an export and import', () => {
+  const map = createWalledMap();
+  const visibility = createVisibilityMap(map);
+  visibility.update({ x: 1, y: 2 });
+  const data = visibility.exportData();
+
+  const restored = createVisibilityMap(map);
+  assert.equal(restored.importData(data), true);
+  assert.deepEqual(drawStates(restored), drawStates(visibility));
+});
+
+test('visibility maps reject chunked maps, which can still use computeFieldOfView', () => {
+  const map = createChunkedGridMap(32);
+  map.layers[GRID_LAYER_TYPE.COLLISION].setCell(-2, 0, '🧱');
+
+  assert.throws(() => createVisibilityMap(map), /Unbounded grid map/);
+
+  const seen = new Set();
+  const collision = map.layers[GRID_LAYER_TYPE.COLLISION];
+  computeFieldOfView((x, y) => Boolean(collision.getCell(x, y)), 0, 0, 3, (x, y) => seen.add(`${x},${y}`));
+  assert.equal(seen.has('-2,0'), true);
+  assert.equal(seen.has('-3,0'), false);
+  assert.equal(seen.has('3,0'), true);
+});